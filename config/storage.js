@@ -0,0 +1,79 @@
+const winston = require('winston');
+const path = require('path');
+const crypto = require('crypto');
+const { createDriver } = require('../services/storage');
+
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.json(),
+    defaultMeta: { service: 'storage-config' }
+});
+
+class StorageConfig {
+    constructor() {
+        this.driver = null;
+        this.secret = null;
+    }
+
+    /**
+     * Storage driver selection
+     * STORAGE_DRIVER=gcs uses the GCS bucket, local a directory (STORAGE_LOCAL_DIR)
+     * and memory the process. Defaults to gcs, and to memory for the test suite.
+     * Outside tests a local or memory driver next to a configured GCS bucket is a
+     * misconfiguration, so it throws rather than keep files off the bucket.
+     */
+    getDriverType() {
+        const isTest = process.env.NODE_ENV === 'test';
+        const type = process.env.STORAGE_DRIVER || (isTest ? 'memory' : 'gcs');
+
+        if (type !== 'gcs' && !isTest && process.env.GCS_BUCKET_NAME) {
+            throw new Error(`STORAGE_DRIVER is ${type} but GCS_BUCKET_NAME is set; use STORAGE_DRIVER=gcs or unset GCS_BUCKET_NAME`);
+        }
+        return type;
+    }
+
+    getDriverOptions(type) {
+        if (type === 'gcs') {
+            return {
+                projectId: process.env.GCS_PROJECT_ID,
+                keyFilename: process.env.GCS_KEY_FILE,
+                bucketName: process.env.GCS_BUCKET_NAME
+            };
+        }
+
+        return {
+            directory: process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', 'data', 'storage'),
+            baseUrl: process.env.STORAGE_BASE_URL || `${process.env.APP_URL || 'http://localhost:3000'}/storage`,
+            secret: this.getSigningSecret()
+        };
+    }
+
+    /**
+     * Key for local signed URLs (STORAGE_SIGNING_SECRET, default SESSION_SECRET).
+     * Without either a random key is used, so URLs stop working after a restart.
+     */
+    getSigningSecret() {
+        if (!this.secret) {
+            this.secret = process.env.STORAGE_SIGNING_SECRET || process.env.SESSION_SECRET;
+            if (!this.secret) {
+                logger.warn('No STORAGE_SIGNING_SECRET or SESSION_SECRET set; signed storage URLs will not survive a restart');
+                this.secret = crypto.randomBytes(32).toString('hex');
+            }
+        }
+        return this.secret;
+    }
+
+    /**
+     * Shared driver instance used by gcsService and routes/storage.js
+     */
+    getDriver() {
+        if (!this.driver) {
+            const type = this.getDriverType();
+            this.driver = createDriver(type, this.getDriverOptions(type));
+            logger.info(`Storage driver: ${type}`);
+        }
+        return this.driver;
+    }
+}
+
+module.exports = new StorageConfig();
@@ -1,5 +1,8 @@
 const TinCan = require('tincanjs');
 const winston = require('winston');
+const path = require('path');
+const fs = require('fs');
+const { createBackend } = require('../services/lrs');
 
 const logger = winston.createLogger({
     level: 'info',
@@ -10,18 +13,155 @@ const logger = winston.createLogger({
 class XAPIConfig {
     constructor() {
         this.lrs = null;
+        this.backend = null;
         this.initialized = false;
     }
 
+    /**
+     * Storage backend selection
+     * XAPI_BACKEND=remote uses the external LRS, XAPI_BACKEND=local the embedded one.
+     * Defaults to local everywhere except production.
+     */
+    getBackendType() {
+        if (process.env.XAPI_BACKEND) {
+            return process.env.XAPI_BACKEND;
+        }
+        return process.env.NODE_ENV === 'production' ? 'remote' : 'local';
+    }
+
+    getBackendOptions(type) {
+        if (type === 'remote') {
+            return {
+                endpoint: process.env.LRS_ENDPOINT || process.env.XAPI_ENDPOINT,
+                username: process.env.LRS_USERNAME || process.env.XAPI_USERNAME,
+                password: process.env.LRS_PASSWORD || process.env.XAPI_PASSWORD
+            };
+        }
+
+        // The test suite runs against an in-memory store unless a directory is given
+        const defaultDir = process.env.NODE_ENV === 'test' ? null : path.join(__dirname, '..', 'data', 'lrs');
+        return {
+            directory: process.env.XAPI_LOCAL_DIR || defaultDir,
+            maxPageSize: parseInt(process.env.XAPI_LOCAL_MAX_PAGE_SIZE || '1000', 10)
+        };
+    }
+
+    /**
+     * Statement validation mode (XAPI_VALIDATION)
+     * strict rejects invalid statements, lenient repairs what it can and logs,
+     * off disables validation. Defaults to strict everywhere except production.
+     */
+    getValidationMode() {
+        const mode = process.env.XAPI_VALIDATION || (process.env.NODE_ENV === 'production' ? 'lenient' : 'strict');
+        if (!['strict', 'lenient', 'off'].includes(mode)) {
+            throw new Error(`Unknown XAPI_VALIDATION mode "${mode}". Expected strict, lenient or off`);
+        }
+        return mode;
+    }
+
+    /**
+     * Outbox for statements that could not be delivered (XAPI_OUTBOX_DIR)
+     */
+    getOutboxOptions() {
+        const defaultDir = process.env.NODE_ENV === 'test' ? null : path.join(__dirname, '..', 'data', 'outbox');
+        return {
+            directory: process.env.XAPI_OUTBOX_DIR || defaultDir,
+            baseDelayMs: parseInt(process.env.XAPI_OUTBOX_BASE_DELAY_MS || '1000', 10),
+            maxDelayMs: parseInt(process.env.XAPI_OUTBOX_MAX_DELAY_MS || '300000', 10)
+        };
+    }
+
+    /**
+     * Secondary LRSs that statements are forwarded to, from the JSON file named by
+     * XAPI_FORWARD_CONFIG or the JSON array in XAPI_FORWARD_TARGETS. Credentials and
+     * pseudonym secrets may be left out of the JSON and given as
+     * XAPI_FORWARD_<NAME>_USERNAME, _PASSWORD and _SECRET instead.
+     */
+    getForwardingOptions() {
+        let targets = [];
+        if (process.env.XAPI_FORWARD_CONFIG) {
+            targets = JSON.parse(fs.readFileSync(path.resolve(process.env.XAPI_FORWARD_CONFIG), 'utf8'));
+        } else if (process.env.XAPI_FORWARD_TARGETS) {
+            targets = JSON.parse(process.env.XAPI_FORWARD_TARGETS);
+        }
+
+        if (!Array.isArray(targets)) {
+            throw new Error('xAPI forward targets must be a JSON array');
+        }
+
+        const names = new Set();
+        const outbox = this.getOutboxOptions();
+
+        return {
+            directory: outbox.directory ? path.join(outbox.directory, 'forward') : null,
+            baseDelayMs: outbox.baseDelayMs,
+            maxDelayMs: outbox.maxDelayMs,
+            targets: targets.filter(target => target.enabled !== false).map(target => {
+                if (!target.name || !/^[A-Za-z0-9_-]+$/.test(target.name) || names.has(target.name)) {
+                    throw new Error(`xAPI forward targets need a unique name of letters, digits, - or _ (got "${target.name}")`);
+                }
+                if (!target.endpoint) {
+                    throw new Error(`xAPI forward target "${target.name}" has no endpoint`);
+                }
+                names.add(target.name);
+
+                const envPrefix = `XAPI_FORWARD_${target.name.toUpperCase().replace(/-/g, '_')}`;
+                const pii = { ...(target.pii || {}) };
+                pii.secret = pii.secret || process.env[`${envPrefix}_SECRET`];
+                if (pii.pseudonymise && !pii.secret) {
+                    throw new Error(`xAPI forward target "${target.name}" pseudonymises actors but has no ${envPrefix}_SECRET`);
+                }
+
+                return {
+                    ...target,
+                    username: target.username || process.env[`${envPrefix}_USERNAME`],
+                    password: target.password || process.env[`${envPrefix}_PASSWORD`],
+                    pii
+                };
+            })
+        };
+    }
+
+    /**
+     * Paging for statement queries: page size requested from the LRS and the hard cap
+     * on statements read by one query (XAPI_QUERY_PAGE_SIZE, XAPI_QUERY_MAX_STATEMENTS)
+     */
+    getQueryOptions() {
+        return {
+            pageSize: parseInt(process.env.XAPI_QUERY_PAGE_SIZE || '500', 10),
+            maxStatements: parseInt(process.env.XAPI_QUERY_MAX_STATEMENTS || '100000', 10)
+        };
+    }
+
+    /**
+     * Policy for the request logging middleware (XAPI_LOGGING_POLICY, reloaded when the
+     * file changes). Client IPs are hashed with XAPI_LOGGING_IP_SECRET, or the session
+     * secret when that is not set.
+     */
+    getLoggingPolicyOptions() {
+        return {
+            file: path.resolve(process.env.XAPI_LOGGING_POLICY || path.join(__dirname, 'xapi-logging-policy.json')),
+            reloadIntervalMs: parseInt(process.env.XAPI_LOGGING_POLICY_RELOAD_MS || '5000', 10),
+            ipSecret: process.env.XAPI_LOGGING_IP_SECRET || process.env.SESSION_SECRET || null
+        };
+    }
+
+    /**
+     * Shared backend instance used by xapiService and the logging middleware
+     */
+    getBackend() {
+        if (!this.backend) {
+            const type = this.getBackendType();
+            this.backend = createBackend(type, this.getBackendOptions(type));
+            logger.info(`xAPI storage backend: ${type}`);
+        }
+        return this.backend;
+    }
+
     async initialize() {
         try {
-            // Configure TinCan LRS
-            this.lrs = new TinCan.LRS({
-                endpoint: process.env.XAPI_ENDPOINT,
-                username: process.env.XAPI_USERNAME,
-                password: process.env.XAPI_PASSWORD,
-                allowFail: false
-            });
+            this.lrs = this.getBackend();
+            await this.lrs.open();
 
             // Test connection
             const result = await this.testConnection();
@@ -39,8 +179,8 @@ class XAPIConfig {
     }
 
     async testConnection() {
-        return new Promise((resolve) => {
-            this.lrs.saveStatement(
+        try {
+            await this.lrs.saveStatement(
                 new TinCan.Statement({
                     actor: {
                         mbox: 'mailto:system@hulab.edu.hk',
@@ -66,19 +206,13 @@ class XAPIConfig {
                             'http://hulab.edu.hk/environment': process.env.NODE_ENV || 'development'
                         }
                     }
-                }),
-                {
-                    callback: (err, xhr) => {
-                        if (err !== null) {
-                            logger.error('xAPI connection test failed:', err);
-                            resolve(false);
-                        } else {
-                            resolve(true);
-                        }
-                    }
-                }
+                })
             );
-        });
+            return true;
+        } catch (err) {
+            logger.error('xAPI connection test failed:', err);
+            return false;
+        }
     }
 
     getLRS() {
@@ -0,0 +1,406 @@
+/**
+ * xAPI Profile concept registry for Hu Lab Portal
+ * Single source of truth for the verbs, activity types, extensions and statement
+ * templates the portal uses. xapiService.customVerbs is derived from it and the
+ * published JSON-LD profile (GET /xapi/profile) is generated from it.
+ *
+ * Verbs, activity types and extensions are keyed by a short name. Entries marked
+ * external are defined by another vocabulary (ADL) and are only referenced.
+ */
+
+const HULAB = 'http://hulab.edu.hk';
+const ADL_VERBS = 'http://adlnet.gov/expapi/verbs';
+const ADL_ACTIVITIES = 'http://adlnet.gov/expapi/activities';
+
+// Values used by routes/research.js RIDE_I_PHASES
+const RIDE_I_PHASE_VALUES = ['resource', 'information', 'decisions', 'experience', 'implementation'];
+
+const profile = {
+    id: `${HULAB}/xapi/profile`,
+    version: '1.2.0',
+    generatedAtTime: '2026-10-19T00:00:00Z',
+    prefLabel: 'Hu Lab Portal xAPI Profile',
+    definition: 'Verbs, activity types, extensions and statement templates used by the Hu Lab research portal to record research, collaboration, file and AI assisted learning activity.',
+    author: 'Hu Lab, The Hong Kong Polytechnic University'
+};
+
+const verbs = {
+    registered: { id: `${ADL_VERBS}/registered`, display: 'registered', external: true },
+    completed: { id: `${ADL_VERBS}/completed`, display: 'completed', external: true },
+    attempted: { id: `${ADL_VERBS}/attempted`, display: 'attempted', external: true },
+    experienced: { id: `${ADL_VERBS}/experienced`, display: 'experienced', external: true },
+    interacted: { id: `${ADL_VERBS}/interacted`, display: 'interacted', external: true },
+    voided: { id: `${ADL_VERBS}/voided`, display: 'voided', external: true },
+    uploaded: { id: `${HULAB}/verbs/uploaded`, display: 'uploaded', definition: 'Uploaded a file to portal storage.' },
+    downloaded: { id: `${HULAB}/verbs/downloaded`, display: 'downloaded', definition: 'Downloaded a file from portal storage.' },
+    collaborated: { id: `${HULAB}/verbs/collaborated`, display: 'collaborated', definition: 'Took part in a collaborative action on a research project.' },
+    researched: { id: `${HULAB}/verbs/researched`, display: 'researched', definition: 'Carried out research work on a project.' },
+    analyzed: { id: `${HULAB}/verbs/analyzed`, display: 'analyzed', definition: 'Viewed or generated an analysis of learning or research data.' },
+    assessed: { id: `${HULAB}/verbs/assessed`, display: 'assessed', definition: 'Assessed the work of a learner or collaborator.' },
+    reviewed: { id: `${HULAB}/verbs/reviewed`, display: 'reviewed', definition: 'Reviewed a research artefact.' },
+    shared: { id: `${HULAB}/verbs/shared`, display: 'shared', definition: 'Shared a resource with other portal users.' },
+    commented: { id: `${HULAB}/verbs/commented`, display: 'commented', definition: 'Posted a comment on a resource.' },
+    annotated: { id: `${HULAB}/verbs/annotated`, display: 'annotated', definition: 'Added an annotation to a resource.' },
+    queried: { id: `${HULAB}/verbs/queried`, display: 'queried AI', definition: 'Sent a prompt to the AI assistant.' },
+    rated: { id: `${HULAB}/verbs/rated`, display: 'rated', definition: 'Rated the quality of an AI assistant response.' },
+    requested: { id: `${HULAB}/verbs/requested`, display: 'requested', definition: 'Requested generated suggestions from the AI assistant.' },
+    created: { id: `${HULAB}/verbs/created`, display: 'created', definition: 'Created a resource such as a research project or publication.' },
+    updated: { id: `${HULAB}/verbs/updated`, display: 'updated', definition: 'Changed a resource.' },
+    deleted: { id: `${HULAB}/verbs/deleted`, display: 'deleted', definition: 'Deleted a resource.' },
+    restored: { id: `${HULAB}/verbs/restored`, display: 'restored', definition: 'Restored an earlier version of a file.' },
+    recovered: { id: `${HULAB}/verbs/recovered`, display: 'recovered', definition: 'Restored a deleted file or project from the trash.' },
+    moved: { id: `${HULAB}/verbs/moved`, display: 'moved', definition: 'Moved or renamed a file or folder.' },
+    viewed: { id: `${HULAB}/verbs/viewed`, display: 'viewed', definition: 'Viewed a portal view such as an analytics dashboard.' },
+    advanced: { id: `${HULAB}/verbs/advanced`, display: 'advanced to phase', definition: 'Moved a research project to another RIDE-I phase.' },
+    invited: { id: `${HULAB}/verbs/invited`, display: 'invited', definition: 'Invited another user to collaborate on a project.' },
+    accepted: { id: `${HULAB}/verbs/accepted`, display: 'accepted invitation', definition: 'Accepted a collaboration invitation.' },
+    declined: { id: `${HULAB}/verbs/declined`, display: 'declined invitation', definition: 'Declined a collaboration invitation.' }
+};
+
+const activityTypes = {
+    application: { id: `${ADL_ACTIVITIES}/application`, name: 'application', external: true },
+    assessment: { id: `${ADL_ACTIVITIES}/assessment`, name: 'assessment', external: true },
+    file: { id: `${ADL_ACTIVITIES}/file`, name: 'file', external: true },
+    folder: { id: `${HULAB}/activities/folder`, name: 'folder', definition: 'A folder of a user\'s or a project\'s file tree.' },
+    lesson: { id: `${ADL_ACTIVITIES}/lesson`, name: 'lesson', external: true },
+    project: { id: `${ADL_ACTIVITIES}/project`, name: 'project', external: true },
+    researchProject: { id: `${HULAB}/activities/research-project`, name: 'research project', definition: 'A research project following the RIDE-I phases.' },
+    profile: { id: `${HULAB}/activities/profile`, name: 'user profile', definition: 'A portal user profile.' },
+    publication: { id: `${HULAB}/activities/publication`, name: 'publication', definition: 'A scholarly publication imported into the portal.' },
+    comment: { id: `${HULAB}/activities/comment`, name: 'comment', definition: 'A comment posted on a portal resource.' },
+    share: { id: `${HULAB}/activities/share`, name: 'share', definition: 'A resource shared with other portal users.' },
+    collaborationInvitation: { id: `${HULAB}/activities/collaboration-invitation`, name: 'collaboration invitation', definition: 'An invitation to join a research project.' },
+    aiInteraction: { id: `${HULAB}/activities/ai-interaction`, name: 'AI interaction', definition: 'A session with the AI assistant.' },
+    aiAssistance: { id: `${HULAB}/activities/ai-assistance`, name: 'AI assistance', definition: 'A request for AI generated suggestions.' },
+    analyticsDashboard: { id: `${HULAB}/activities/analytics-dashboard`, name: 'analytics dashboard', definition: 'The analytics dashboard overview.' },
+    userAnalytics: { id: `${HULAB}/activities/user-analytics`, name: 'user analytics', definition: 'Analytics for a single user.' },
+    projectAnalytics: { id: `${HULAB}/activities/project-analytics`, name: 'project analytics', definition: 'Analytics for a research project.' },
+    learningAnalytics: { id: `${HULAB}/activities/learning-analytics`, name: 'learning analytics', definition: 'Learning progress analytics.' },
+    collaborationAnalytics: { id: `${HULAB}/activities/collaboration-analytics`, name: 'collaboration analytics', definition: 'Collaboration network analytics.' },
+    analyticsReport: { id: `${HULAB}/activities/analytics-report`, name: 'analytics report', definition: 'A custom analytics report.' },
+    realtimeAnalytics: { id: `${HULAB}/activities/realtime-analytics`, name: 'realtime analytics', definition: 'The realtime activity monitor.' },
+    analyticsInsights: { id: `${HULAB}/activities/analytics-insights`, name: 'analytics insights', definition: 'Generated analytics insights.' },
+    systemMaintenance: { id: `${HULAB}/activities/system-maintenance`, name: 'system maintenance', definition: 'An administrative maintenance task.' }
+};
+
+/**
+ * Extensions. kind is the xAPI Profile concept type: context, result or activity.
+ */
+const extensions = {
+    rideIPhase: { id: `${HULAB}/ride-i-phase`, kind: 'context', name: 'RIDE-I phase', definition: 'The RIDE-I phase of the project.', schema: { type: 'string', enum: RIDE_I_PHASE_VALUES } },
+    previousPhase: { id: `${HULAB}/previous-phase`, kind: 'context', name: 'previous RIDE-I phase', definition: 'The phase the project moved out of.', schema: { type: 'string' } },
+    collaborationAction: { id: `${HULAB}/collaboration-action`, kind: 'context', name: 'collaboration action', definition: 'What kind of collaboration took place, e.g. invited_collaborator.', schema: { type: 'string' } },
+    invitee: { id: `${HULAB}/invitee`, kind: 'context', name: 'invitee', definition: 'Email address of the invited user.', schema: { type: 'string' } },
+    role: { id: `${HULAB}/role`, kind: 'context', name: 'role', definition: 'Project role offered to or held by a user.', schema: { type: 'string' } },
+    recipients: { id: `${HULAB}/recipients`, kind: 'context', name: 'recipients', definition: 'Email addresses a resource was shared with.', schema: { type: 'array', items: { type: 'string' } } },
+    permissions: { id: `${HULAB}/permissions`, kind: 'context', name: 'permissions', definition: 'Permissions granted on a shared resource.' },
+    mentions: { id: `${HULAB}/mentions`, kind: 'context', name: 'mentions', definition: 'Users mentioned in a comment.', schema: { type: 'array' } },
+    parentComment: { id: `${HULAB}/parent-comment`, kind: 'context', name: 'parent comment', definition: 'Id of the comment being replied to.' },
+    suggestionType: { id: `${HULAB}/suggestion-type`, kind: 'context', name: 'suggestion type', definition: 'Kind of AI suggestions requested.', schema: { type: 'string' } },
+    ratingType: { id: `${HULAB}/rating-type`, kind: 'context', name: 'rating type', definition: 'What aspect of an AI response was rated.', schema: { type: 'string' } },
+    referrer: { id: `${HULAB}/referrer`, kind: 'context', name: 'referrer', definition: 'Page the user came from.', schema: { type: 'string' } },
+    timeRange: { id: `${HULAB}/time-range`, kind: 'context', name: 'time range', definition: 'Analytics time range preset, e.g. last30days.', schema: { type: 'string' } },
+    personalView: { id: `${HULAB}/personal-view`, kind: 'context', name: 'personal view', definition: 'Whether analytics were limited to the viewing user.', schema: { type: 'boolean' } },
+    projectId: { id: `${HULAB}/project-id`, kind: 'context', name: 'project id', definition: 'Id of the project an analytics view relates to.' },
+    targetId: { id: `${HULAB}/target-id`, kind: 'context', name: 'target id', definition: 'Id of the user or resource an analytics view relates to.' },
+    activityId: { id: `${HULAB}/activity-id`, kind: 'context', name: 'activity id', definition: 'Activity an analytics view relates to.' },
+    reportMetrics: { id: `${HULAB}/report-metrics`, kind: 'context', name: 'report metrics', definition: 'Metrics included in a custom report.' },
+    exportFormat: { id: `${HULAB}/export-format`, kind: 'context', name: 'export format', definition: 'Format of an exported report.', schema: { type: 'string' } },
+    insightType: { id: `${HULAB}/insight-type`, kind: 'context', name: 'insight type', definition: 'Kind of analytics insights generated.', schema: { type: 'string' } },
+    aiTokens: { id: `${HULAB}/ai-tokens`, kind: 'result', name: 'AI tokens', definition: 'Number of model tokens used to answer a prompt.', schema: { type: 'number' } },
+    prompt: { id: `${HULAB}/prompt`, kind: 'result', name: 'prompt', definition: 'The prompt sent to the AI assistant.', schema: { type: 'string' } },
+    fileSize: { id: `${HULAB}/file-size`, kind: 'result', name: 'file size', definition: 'Size of the file in bytes.', schema: { type: 'number' } },
+    fileVersion: { id: `${HULAB}/file-version`, kind: 'context', name: 'file version', definition: 'Version number of a versioned file.', schema: { type: 'number' } },
+    versionComment: { id: `${HULAB}/version-comment`, kind: 'context', name: 'version comment', definition: 'Comment the uploader gave a file version.', schema: { type: 'string' } },
+    restoredVersion: { id: `${HULAB}/restored-version`, kind: 'context', name: 'restored version', definition: 'Version of a file whose content was restored.', schema: { type: 'number' } },
+    prunedVersions: { id: `${HULAB}/pruned-versions`, kind: 'result', name: 'pruned versions', definition: 'Version numbers removed by a retention policy.', schema: { type: 'array', items: { type: 'number' } } },
+    sourceLocation: { id: `${HULAB}/source-location`, kind: 'context', name: 'source location', definition: 'Where a moved file or folder was, e.g. { projectId, folder, name }.' },
+    targetLocation: { id: `${HULAB}/target-location`, kind: 'context', name: 'target location', definition: 'Where a moved file or folder went, e.g. { projectId, folder, name }.' },
+    retentionPolicy: { id: `${HULAB}/retention-policy`, kind: 'context', name: 'retention policy', definition: 'Version retention policy applied, e.g. { keepLast, maxAgeDays }.' },
+    sessionId: { id: `${HULAB}/extensions/session-id`, kind: 'context', name: 'session id', definition: 'Portal session identifier.' },
+    userRole: { id: `${HULAB}/extensions/user-role`, kind: 'context', name: 'user role', definition: 'Portal role of the user (admin, educator, researcher, student).' },
+    userAgent: { id: `${HULAB}/extensions/user-agent`, kind: 'context', name: 'user agent', definition: 'Browser user agent string.' },
+    ipAddress: { id: `${HULAB}/extensions/ip-address`, kind: 'context', name: 'IP address', definition: 'Client IP address.' },
+    path: { id: `${HULAB}/extensions/path`, kind: 'context', name: 'path', definition: 'Request path.' },
+    httpMethod: { id: `${HULAB}/extensions/http-method`, kind: 'context', name: 'HTTP method', definition: 'HTTP method of the request.' },
+    queryParams: { id: `${HULAB}/extensions/query-params`, kind: 'context', name: 'query parameters', definition: 'Query string parameters of the request.' },
+    statusCode: { id: `${HULAB}/extensions/status-code`, kind: 'context', name: 'status code', definition: 'HTTP status code of the response.' },
+    requestSize: { id: `${HULAB}/extensions/request-size`, kind: 'context', name: 'request size', definition: 'Size of the request body in bytes.' },
+    responseSize: { id: `${HULAB}/extensions/response-size`, kind: 'context', name: 'response size', definition: 'Size of the response body in bytes.' },
+    requestMethod: { id: `${HULAB}/extensions/request-method`, kind: 'context', name: 'request method', definition: 'HTTP method of the failed request.' },
+    requestPath: { id: `${HULAB}/extensions/request-path`, kind: 'context', name: 'request path', definition: 'Path of the failed request.' },
+    errorType: { id: `${HULAB}/extensions/error-type`, kind: 'context', name: 'error type', definition: 'Class of the error raised.' },
+    errorMessage: { id: `${HULAB}/extensions/error-message`, kind: 'context', name: 'error message', definition: 'Message of the error raised.' },
+    errorStatus: { id: `${HULAB}/extensions/error-status`, kind: 'context', name: 'error status', definition: 'HTTP status of the error response.' },
+    responseTimeMs: { id: `${HULAB}/extensions/response-time-ms`, kind: 'result', name: 'response time', definition: 'Time taken to serve the request in milliseconds.', schema: { type: 'number' } },
+    errorDetails: { id: `${HULAB}/extensions/error-details`, kind: 'result', name: 'error details', definition: 'Details of an error response.' },
+    errorStack: { id: `${HULAB}/extensions/error-stack`, kind: 'result', name: 'error stack', definition: 'Stack trace of the error (development only).' },
+    voidReason: { id: `${HULAB}/extensions/void-reason`, kind: 'context', name: 'void reason', definition: 'Why a statement was voided.', schema: { type: 'string' } },
+    replacedBy: { id: `${HULAB}/extensions/replaced-by`, kind: 'context', name: 'replaced by', definition: 'Id of the statement that corrects a voided statement.', schema: { type: 'string' } }
+};
+
+/**
+ * Statement templates, one per tracked action.
+ * verb and objectActivityType are the determining properties: a statement with that
+ * verb and object type must satisfy the template's rules. Rule locations are
+ * JSONPath expressions; presence is included, excluded or recommended.
+ */
+const ext = key => extensions[key].id;
+
+const templates = [
+    {
+        key: 'project-created',
+        prefLabel: 'project created',
+        definition: 'A user created a research project. The project starts in the resource phase.',
+        verb: 'created',
+        objectActivityType: 'researchProject',
+        rules: [
+            { location: '$.object.definition.name', presence: 'included' },
+            { location: `$.context.extensions['${ext('rideIPhase')}']`, presence: 'included' }
+        ]
+    },
+    {
+        key: 'project-updated',
+        prefLabel: 'project updated',
+        definition: 'A user changed the details of a research project.',
+        verb: 'updated',
+        objectActivityType: 'researchProject',
+        rules: [
+            { location: '$.object.definition.name', presence: 'recommended' }
+        ]
+    },
+    {
+        key: 'project-deleted',
+        prefLabel: 'project deleted',
+        definition: 'A user deleted a research project.',
+        verb: 'deleted',
+        objectActivityType: 'researchProject',
+        rules: []
+    },
+    {
+        key: 'project-recovered',
+        prefLabel: 'project recovered',
+        definition: 'A user restored a deleted research project from the trash.',
+        verb: 'recovered',
+        objectActivityType: 'researchProject',
+        rules: [
+            { location: '$.object.definition.name', presence: 'recommended' }
+        ]
+    },
+    {
+        key: 'project-phase-advanced',
+        prefLabel: 'project phase advanced',
+        definition: 'A user moved a research project to another RIDE-I phase.',
+        verb: 'advanced',
+        objectActivityType: 'researchProject',
+        rules: [
+            { location: `$.context.extensions['${ext('rideIPhase')}']`, presence: 'included', any: RIDE_I_PHASE_VALUES },
+            { location: `$.context.extensions['${ext('previousPhase')}']`, presence: 'included' }
+        ]
+    },
+    {
+        key: 'project-collaborated',
+        prefLabel: 'project collaboration',
+        definition: 'A collaborative action on a research project, such as adding a collaborator.',
+        verb: 'collaborated',
+        objectActivityType: 'project',
+        rules: [
+            { location: `$.context.extensions['${ext('collaborationAction')}']`, presence: 'included' },
+            { location: '$.context.team', presence: 'recommended' }
+        ]
+    },
+    {
+        key: 'collaborator-invited',
+        prefLabel: 'collaborator invited',
+        definition: 'A user invited another user to collaborate on a research project.',
+        verb: 'invited',
+        objectActivityType: 'researchProject',
+        rules: [
+            { location: `$.context.extensions['${ext('invitee')}']`, presence: 'included' },
+            { location: '$.context.contextActivities.other[*].id', presence: 'included' }
+        ]
+    },
+    {
+        key: 'invitation-accepted',
+        prefLabel: 'invitation accepted',
+        definition: 'A user accepted a collaboration invitation.',
+        verb: 'accepted',
+        objectActivityType: 'collaborationInvitation',
+        rules: [
+            { location: '$.context.contextActivities.parent[*].id', presence: 'included' }
+        ]
+    },
+    {
+        key: 'invitation-declined',
+        prefLabel: 'invitation declined',
+        definition: 'A user declined a collaboration invitation.',
+        verb: 'declined',
+        objectActivityType: 'collaborationInvitation',
+        rules: [
+            { location: '$.context.contextActivities.parent[*].id', presence: 'included' }
+        ]
+    },
+    {
+        key: 'file-uploaded',
+        prefLabel: 'file uploaded',
+        definition: 'A user uploaded a file. The result records the stored file id and size.',
+        verb: 'uploaded',
+        objectActivityType: 'file',
+        rules: [
+            { location: '$.object.definition.name', presence: 'included' },
+            { location: '$.result.response', presence: 'included' },
+            { location: `$.result.extensions['${ext('fileSize')}']`, presence: 'included' }
+        ]
+    },
+    {
+        key: 'file-downloaded',
+        prefLabel: 'file downloaded',
+        definition: 'A user downloaded a file.',
+        verb: 'downloaded',
+        objectActivityType: 'file',
+        rules: []
+    },
+    {
+        key: 'file-deleted',
+        prefLabel: 'file deleted',
+        definition: 'A user deleted a file.',
+        verb: 'deleted',
+        objectActivityType: 'file',
+        rules: []
+    },
+    {
+        key: 'file-version-restored',
+        prefLabel: 'file version restored',
+        definition: 'A user restored an earlier version of a file. The restored content becomes a new version.',
+        verb: 'restored',
+        objectActivityType: 'file',
+        rules: [
+            { location: `$.context.extensions['${ext('restoredVersion')}']`, presence: 'included' },
+            { location: `$.context.extensions['${ext('fileVersion')}']`, presence: 'included' }
+        ]
+    },
+    {
+        key: 'file-recovered',
+        prefLabel: 'file recovered',
+        definition: 'A user restored a deleted file from the trash, with all of its versions.',
+        verb: 'recovered',
+        objectActivityType: 'file',
+        rules: [
+            { location: '$.object.definition.name', presence: 'included' }
+        ]
+    },
+    {
+        key: 'file-moved',
+        prefLabel: 'file moved',
+        definition: 'A user moved a file to another folder or project, or renamed it. All of its versions move with it.',
+        verb: 'moved',
+        objectActivityType: 'file',
+        rules: [
+            { location: `$.context.extensions['${ext('sourceLocation')}']`, presence: 'included' },
+            { location: `$.context.extensions['${ext('targetLocation')}']`, presence: 'included' }
+        ]
+    },
+    {
+        key: 'folder-moved',
+        prefLabel: 'folder moved',
+        definition: 'A user renamed a folder or moved it to another parent folder, together with its files.',
+        verb: 'moved',
+        objectActivityType: 'folder',
+        rules: [
+            { location: `$.context.extensions['${ext('sourceLocation')}']`, presence: 'included' },
+            { location: `$.context.extensions['${ext('targetLocation')}']`, presence: 'included' }
+        ]
+    },
+    {
+        key: 'ai-queried',
+        prefLabel: 'AI queried',
+        definition: 'A user sent a prompt to the AI assistant and received a response.',
+        verb: 'queried',
+        objectActivityType: 'aiInteraction',
+        rules: [
+            { location: '$.result.response', presence: 'included' },
+            { location: `$.result.extensions['${ext('prompt')}']`, presence: 'included' },
+            { location: `$.result.extensions['${ext('aiTokens')}']`, presence: 'recommended' }
+        ]
+    },
+    {
+        key: 'ai-rated',
+        prefLabel: 'AI response rated',
+        definition: 'A user rated an AI assistant response on a five point scale.',
+        verb: 'rated',
+        objectActivityType: 'aiInteraction',
+        rules: [
+            { location: '$.result.score.scaled', presence: 'included' }
+        ]
+    },
+    {
+        key: 'user-registered',
+        prefLabel: 'user registered',
+        definition: 'A user registered with the portal.',
+        verb: 'registered',
+        objectActivityType: 'application',
+        rules: [
+            { location: '$.actor.name', presence: 'recommended' },
+            { location: '$.context.platform', presence: 'included' }
+        ]
+    },
+    {
+        key: 'page-viewed',
+        prefLabel: 'page viewed',
+        definition: 'A user viewed a portal page.',
+        verb: 'experienced',
+        objectActivityType: 'lesson',
+        rules: []
+    },
+    {
+        key: 'assessment-completed',
+        prefLabel: 'assessment completed',
+        definition: 'A user submitted an assessment.',
+        verb: 'completed',
+        objectActivityType: 'assessment',
+        rules: [
+            { location: '$.result.completion', presence: 'included', all: [true] },
+            { location: '$.result.response', presence: 'included' }
+        ]
+    },
+    {
+        key: 'resource-commented',
+        prefLabel: 'resource commented',
+        definition: 'A user commented on a portal resource.',
+        verb: 'commented',
+        objectActivityType: null,
+        rules: [
+            { location: '$.result.response', presence: 'included' },
+            { location: '$.context.contextActivities.other[*].id', presence: 'included' }
+        ]
+    },
+    {
+        key: 'analytics-dashboard-viewed',
+        prefLabel: 'analytics dashboard viewed',
+        definition: 'A user opened the analytics dashboard.',
+        verb: 'viewed',
+        objectActivityType: 'analyticsDashboard',
+        rules: [
+            { location: `$.context.extensions['${ext('timeRange')}']`, presence: 'included' }
+        ]
+    },
+    {
+        key: 'statement-voided',
+        prefLabel: 'statement voided',
+        definition: 'An administrator retracted a wrong statement, optionally naming the statement that corrects it.',
+        verb: 'voided',
+        objectActivityType: null,
+        rules: [
+            { location: '$.object.objectType', presence: 'included', all: ['StatementRef'] },
+            { location: `$.context.extensions['${ext('voidReason')}']`, presence: 'included' }
+        ]
+    }
+];
+
+module.exports = {
+    profile,
+    verbs,
+    activityTypes,
+    extensions,
+    templates
+};
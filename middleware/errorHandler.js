@@ -146,7 +146,7 @@ async function logErrorToXAPI(err, req, errorContext) {
             return;
         }
         
-        const lrs = xapiConfig.getLRS();
+        const xapiService = require('../services/xapiService');
         const TinCan = require('tincanjs');
         const uuid = require('uuid');
         
@@ -196,22 +196,21 @@ async function logErrorToXAPI(err, req, errorContext) {
             timestamp: new Date().toISOString()
         });
         
-        // Save statement to LRS
-        lrs.saveStatement(statement, {
-            callback: (xapiErr, xhr) => {
-                if (xapiErr) {
-                    logger.error('Failed to log error to xAPI', {
-                        xapiError: xapiErr.message,
-                        originalError: err.message
-                    });
-                } else {
-                    logger.debug('Error logged to xAPI successfully', {
-                        statementId: statement.id,
-                        errorStatus: err.status || 500
-                    });
-                }
-            }
-        });
+        // Save statement to LRS; held in the outbox if the LRS is unreachable
+        xapiService.deliver([statement])
+            .then(queued => {
+                logger.debug('Error logged to xAPI successfully', {
+                    statementId: statement.id,
+                    queued,
+                    errorStatus: err.status || 500
+                });
+            })
+            .catch(xapiErr => {
+                logger.error('Failed to log error to xAPI', {
+                    xapiError: xapiErr.message,
+                    originalError: err.message
+                });
+            });
         
     } catch (xapiError) {
         logger.error('Error in xAPI error logging', {
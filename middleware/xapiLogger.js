@@ -1,6 +1,8 @@
 const winston = require('winston');
 const TinCan = require('tincanjs');
 const uuid = require('uuid');
+const { RequestLoggingPolicy } = require('../services/lrs');
+const xapiProfile = require('../config/xapiProfile');
 
 // Configure logger
 const logger = winston.createLogger({
@@ -16,13 +18,50 @@ const logger = winston.createLogger({
     ]
 });
 
+let requestPolicy = null;
+
 /**
- * Middleware to log all HTTP requests to xAPI as statements
- * Creates xAPI statements for user interactions with the portal
+ * Request logging policy, loaded on first use and reloaded when its file changes.
+ * If the file cannot be read at startup every request is logged with the defaults.
+ */
+function getRequestPolicy() {
+    if (!requestPolicy) {
+        const xapiConfig = require('../config/xapi');
+        const options = xapiConfig.getLoggingPolicyOptions();
+
+        requestPolicy = new RequestLoggingPolicy({
+            ...options,
+            onReload: details => logger.info('xAPI request logging policy reloaded', details),
+            onError: error => logger.error('Invalid xAPI request logging policy, keeping the previous one', {
+                file: options.file,
+                error: error.message
+            })
+        });
+
+        try {
+            requestPolicy.load();
+        } catch (error) {
+            logger.error('Failed to load xAPI request logging policy', { file: options.file, error: error.message });
+        }
+        requestPolicy.watch();
+
+        if (!options.ipSecret) {
+            logger.warn('No XAPI_LOGGING_IP_SECRET or SESSION_SECRET set; client IPs will not be recorded');
+        }
+    }
+    return requestPolicy;
+}
+
+/**
+ * Middleware to log HTTP requests to xAPI as statements
+ * Which requests are logged, and as what, is decided by the request logging policy
  */
 function xapiLogger(req, res, next) {
     // Store the start time for duration calculation
     req.startTime = Date.now();
+
+    // Routers rewrite req.url, so keep the full path for the policy
+    const requestPath = req.path;
     
     // Store original res.end to intercept response
     const originalEnd = res.end;
@@ -37,7 +76,7 @@ function xapiLogger(req, res, next) {
         
         // Log the request to xAPI (async, don't block response)
         setImmediate(() => {
-            logRequestToXAPI(req, res, duration);
+            logRequestToXAPI(req, res, duration, requestPath);
         });
     };
     
@@ -48,10 +87,15 @@ function xapiLogger(req, res, next) {
 /**
  * Asynchronously log request to xAPI
  */
-async function logRequestToXAPI(req, res, duration) {
+async function logRequestToXAPI(req, res, duration, requestPath) {
     try {
-        // Skip logging for certain routes to avoid noise
-        if (shouldSkipLogging(req.path)) {
+        // Skip ignored routes and requests left out by sampling
+        const decision = getRequestPolicy().evaluate({
+            method: req.method,
+            path: requestPath,
+            statusCode: res.statusCode
+        });
+        if (!decision) {
             return;
         }
         
@@ -64,40 +108,40 @@ async function logRequestToXAPI(req, res, duration) {
             return;
         }
         
-        const lrs = xapiConfig.getLRS();
+        const xapiService = require('../services/xapiService');
         
         // Create the xAPI statement
-        const statement = createRequestStatement(req, res, duration, xapiConfig);
+        const statement = createRequestStatement(req, res, duration, xapiConfig, decision);
         
-        // Save statement to LRS
-        lrs.saveStatement(statement, {
-            callback: (err, xhr) => {
-                if (err) {
-                    logger.error('Failed to log request to xAPI', {
-                        error: err.message,
-                        method: req.method,
-                        path: req.path,
-                        statusCode: res.statusCode,
-                        userId: req.user ? req.user.id : 'anonymous'
-                    });
-                } else {
-                    logger.debug('Request logged to xAPI successfully', {
-                        method: req.method,
-                        path: req.path,
-                        statusCode: res.statusCode,
-                        duration: duration,
-                        statementId: statement.id
-                    });
-                }
-            }
-        });
+        // Save statement to LRS; held in the outbox if the LRS is unreachable
+        xapiService.deliver([statement])
+            .then(queued => {
+                logger.debug('Request logged to xAPI successfully', {
+                    method: req.method,
+                    path: requestPath,
+                    route: decision.route,
+                    statusCode: res.statusCode,
+                    duration: duration,
+                    statementId: statement.id,
+                    queued
+                });
+            })
+            .catch(err => {
+                logger.error('Failed to log request to xAPI', {
+                    error: err.message,
+                    method: req.method,
+                    path: requestPath,
+                    statusCode: res.statusCode,
+                    userId: req.user ? req.user.id : 'anonymous'
+                });
+            });
         
     } catch (error) {
         logger.error('Error in xAPI request logging', {
             error: error.message,
             stack: error.stack,
             method: req.method,
-            path: req.path
+            path: requestPath
         });
     }
 }
@@ -105,44 +149,36 @@ async function logRequestToXAPI(req, res, duration) {
 /**
  * Create xAPI statement for HTTP request
  */
-function createRequestStatement(req, res, duration, xapiConfig) {
+function createRequestStatement(req, res, duration, xapiConfig, decision) {
+    const policy = getRequestPolicy();
+    const clientAddress = policy.clientAddress(req.ip, decision);
+
     // Create actor (user or anonymous)
     let actor;
     if (req.user && req.user.email) {
         actor = xapiConfig.createActor(req.user.email, req.user.name);
     } else {
+        const anonymousId = !clientAddress
+            ? 'unknown'
+            : (decision.hashIp ? clientAddress : clientAddress.replace(/[.:]/g, '-'));
         actor = {
             account: {
                 homePage: 'http://hulab.edu.hk/portal',
-                name: `anonymous-${req.ip.replace(/[.:]/g, '-')}`
+                name: `anonymous-${anonymousId}`
             },
             name: 'Anonymous User'
         };
     }
     
-    // Determine verb based on HTTP method and response status
-    let verbId, verbDisplay;
-    if (req.method === 'GET') {
-        verbId = res.statusCode >= 400 ? 'failed' : 'experienced';
-        verbDisplay = res.statusCode >= 400 ? 'failed to access' : 'accessed';
-    } else if (req.method === 'POST') {
-        verbId = res.statusCode >= 400 ? 'failed' : 'created';
-        verbDisplay = res.statusCode >= 400 ? 'failed to create' : 'created';
-    } else if (req.method === 'PUT' || req.method === 'PATCH') {
-        verbId = res.statusCode >= 400 ? 'failed' : 'updated';
-        verbDisplay = res.statusCode >= 400 ? 'failed to update' : 'updated';
-    } else if (req.method === 'DELETE') {
-        verbId = res.statusCode >= 400 ? 'failed' : 'deleted';
-        verbDisplay = res.statusCode >= 400 ? 'failed to delete' : 'deleted';
-    } else {
-        verbId = 'interacted-with';
-        verbDisplay = 'interacted with';
-    }
+    // Use the route's verb from the policy, otherwise derive it from the method and status
+    const verb = decision.verb
+        ? resolveVerb(decision.verb, xapiConfig)
+        : createMethodVerb(req.method, res.statusCode, xapiConfig);
     
-    const verb = xapiConfig.createVerb(verbId, verbDisplay);
-    
-    // Create activity object based on the request path
-    const activity = createActivityFromPath(req.path, req.method, xapiConfig);
+    // Create activity object from the policy, or based on the request path
+    const activity = decision.activity
+        ? createPolicyActivity(decision.activity, xapiConfig)
+        : createActivityFromPath(decision.path, req.method, xapiConfig);
     
     // Create context with request details
     const context = xapiConfig.createContext({
@@ -150,14 +186,20 @@ function createRequestStatement(req, res, duration, xapiConfig) {
             'http://hulab.edu.hk/extensions/http-method': req.method,
             'http://hulab.edu.hk/extensions/status-code': res.statusCode,
             'http://hulab.edu.hk/extensions/user-agent': req.get('User-Agent'),
-            'http://hulab.edu.hk/extensions/ip-address': req.ip,
-            'http://hulab.edu.hk/extensions/query-params': req.query,
+            'http://hulab.edu.hk/extensions/ip-address': clientAddress || undefined,
+            'http://hulab.edu.hk/extensions/query-params': policy.redactQuery(req.query, decision),
             'http://hulab.edu.hk/extensions/request-size': req.get('Content-Length') || 0,
             'http://hulab.edu.hk/extensions/response-size': res.get('Content-Length') || 0,
-            'http://hulab.edu.hk/extensions/session-id': req.sessionID
+            'http://hulab.edu.hk/extensions/session-id': req.sessionID,
+            'http://hulab.edu.hk/extensions/route': decision.route || undefined,
+            'http://hulab.edu.hk/extensions/sample-rate': decision.sampleRate
         }
     });
     
+    if (decision.includeBody && req.body && Object.keys(req.body).length > 0) {
+        context.extensions['http://hulab.edu.hk/extensions/request-body'] = policy.redactBody(req.body, decision);
+    }
+    
     // Add user role to context if available
     if (req.user && req.user.role) {
         context.extensions['http://hulab.edu.hk/extensions/user-role'] = req.user.role;
@@ -186,6 +228,60 @@ function createRequestStatement(req, res, duration, xapiConfig) {
     });
 }
 
+/**
+ * Default verb for routes without one in the policy
+ */
+function createMethodVerb(method, statusCode, xapiConfig) {
+    let verbId, verbDisplay;
+    if (method === 'GET') {
+        verbId = statusCode >= 400 ? 'failed' : 'experienced';
+        verbDisplay = statusCode >= 400 ? 'failed to access' : 'accessed';
+    } else if (method === 'POST') {
+        verbId = statusCode >= 400 ? 'failed' : 'created';
+        verbDisplay = statusCode >= 400 ? 'failed to create' : 'created';
+    } else if (method === 'PUT' || method === 'PATCH') {
+        verbId = statusCode >= 400 ? 'failed' : 'updated';
+        verbDisplay = statusCode >= 400 ? 'failed to update' : 'updated';
+    } else if (method === 'DELETE') {
+        verbId = statusCode >= 400 ? 'failed' : 'deleted';
+        verbDisplay = statusCode >= 400 ? 'failed to delete' : 'deleted';
+    } else {
+        verbId = 'interacted-with';
+        verbDisplay = 'interacted with';
+    }
+    
+    return xapiConfig.createVerb(verbId, verbDisplay);
+}
+
+/**
+ * Policy verbs name a verb in the xAPI profile registry, a short name known to
+ * createVerb, or a full IRI
+ */
+function resolveVerb(name, xapiConfig) {
+    const xapiService = require('../services/xapiService');
+    if (xapiService.customVerbs[name]) {
+        return xapiService.customVerbs[name];
+    }
+    if (/^https?:\/\//.test(name)) {
+        return { id: name, display: { 'en-US': name.split('/').pop() } };
+    }
+    return xapiConfig.createVerb(name, name);
+}
+
+/**
+ * Activity from a policy route; the type may be a profile registry key
+ */
+function createPolicyActivity(activity, xapiConfig) {
+    const registered = xapiProfile.activityTypes[activity.type];
+    const name = activity.name || 'Portal Page';
+    return xapiConfig.createActivity(
+        activity.id,
+        registered ? registered.id : (activity.type || 'application'),
+        name,
+        activity.description || `HuLab Portal ${name}`
+    );
+}
+
 /**
  * Create activity object based on request path
  */
@@ -235,37 +331,6 @@ function createActivityFromPath(path, method, xapiConfig) {
     );
 }
 
-/**
- * Determine if request should be skipped from logging
- */
-function shouldSkipLogging(path) {
-    const skipPaths = [
-        '/favicon.ico',
-        '/robots.txt',
-        '/health',
-        '/ping',
-        '/status'
-    ];
-    
-    const skipPatterns = [
-        /^\/css\//,
-        /^\/js\//,
-        /^\/img\//,
-        /^\/images\//,
-        /^\/static\//,
-        /^\/assets\//,
-        /\.(css|js|png|jpg|jpeg|gif|ico|svg|woff|woff2|ttf|eot)$/i
-    ];
-    
-    // Skip specific paths
-    if (skipPaths.includes(path)) {
-        return true;
-    }
-    
-    // Skip pattern matches
-    return skipPatterns.some(pattern => pattern.test(path));
-}
-
 /**
  * Extract error details from response
  */
@@ -315,7 +380,7 @@ function xapiLearningLogger(activityType, verb, objectName) {
                 return next();
             }
             
-            const lrs = xapiConfig.getLRS();
+            const xapiService = require('../services/xapiService');
             
             // Create specific learning activity statement
             const statement = new TinCan.Statement({
@@ -338,28 +403,27 @@ function xapiLearningLogger(activityType, verb, objectName) {
                 timestamp: new Date().toISOString()
             });
             
-            // Save statement to LRS (async, don't block)
-            lrs.saveStatement(statement, {
-                callback: (err, xhr) => {
-                    if (err) {
-                        logger.error('Failed to log learning activity to xAPI', {
-                            error: err.message,
-                            activityType,
-                            verb,
-                            objectName,
-                            userId: req.user.id
-                        });
-                    } else {
-                        logger.debug('Learning activity logged to xAPI', {
-                            activityType,
-                            verb,
-                            objectName,
-                            userId: req.user.id,
-                            statementId: statement.id
-                        });
-                    }
-                }
-            });
+            // Save statement to LRS (async, don't block); held in the outbox if the LRS is unreachable
+            xapiService.deliver([statement])
+                .then(queued => {
+                    logger.debug('Learning activity logged to xAPI', {
+                        activityType,
+                        verb,
+                        objectName,
+                        userId: req.user.id,
+                        statementId: statement.id,
+                        queued
+                    });
+                })
+                .catch(err => {
+                    logger.error('Failed to log learning activity to xAPI', {
+                        error: err.message,
+                        activityType,
+                        verb,
+                        objectName,
+                        userId: req.user.id
+                    });
+                });
             
         } catch (error) {
             logger.error('Error in xAPI learning activity logging', {
@@ -216,8 +216,6 @@ class XAPIClient {
             registration: this.sessionId,
             platform: 'Hu Lab Portal',
             language: 'en-US',
-            instructor: contextData.instructor || null,
-            team: contextData.team || null,
             contextActivities: {
                 parent: contextData.parent || this.contextActivities.parent || [],
                 grouping: contextData.grouping || this.contextActivities.grouping || [],
@@ -234,6 +232,14 @@ class XAPIClient {
             }
         };
 
+        // Optional members are left out rather than sent as null, which xAPI rejects
+        if (contextData.instructor) {
+            context.instructor = contextData.instructor;
+        }
+        if (contextData.team) {
+            context.team = contextData.team;
+        }
+
         return context;
     }
 
@@ -320,10 +326,17 @@ class XAPIClient {
                 console.log(`xAPI: Successfully sent ${statements.length} statements`);
                 this.clearStoredStatements(statements);
             } else {
-                throw new Error(response.message || 'Failed to send statements');
+                this.handlePartialFailure(statements, response, force);
             }
 
         } catch (error) {
+            // Partial failures come back as 207/4xx/502 with per-statement results
+            const response = error.responseJSON;
+            if (response && Array.isArray(response.results)) {
+                this.handlePartialFailure(statements, response, force);
+                return;
+            }
+
             console.error('xAPI: Failed to send statements:', error);
             
             // Re-queue failed statements if not forced
@@ -334,6 +347,36 @@ class XAPIClient {
         }
     }
 
+    /**
+     * Handle per-statement results from the server.
+     * Stored and permanently rejected statements are cleared; retryable ones are re-queued.
+     */
+    handlePartialFailure(statements, response, force = false) {
+        const results = Array.isArray(response.results) ? response.results : [];
+        const retry = [];
+        const done = [];
+
+        statements.forEach((statement, index) => {
+            const result = results[index];
+            if (result && (result.status === 'stored' || result.status === 'queued' || result.retryable === false)) {
+                if (result.retryable === false) {
+                    console.warn('xAPI: Statement rejected by server:', statement.id, result.errors);
+                }
+                done.push(statement);
+            } else {
+                retry.push(statement);
+            }
+        });
+
+        this.clearStoredStatements(done);
+        console.log(`xAPI: Sent ${response.stored || 0} statements, ${retry.length} will be retried`);
+
+        if (retry.length > 0 && !force) {
+            this.statementQueue.unshift(...retry);
+            this.retryFailedStatements();
+        }
+    }
+
     /**
      * Setup automatic statement flushing
      */
@@ -6,11 +6,19 @@
 const express = require('express');
 const analyticsService = require('../services/analyticsService');
 const xapiService = require('../services/xapiService');
+const projectIndexService = require('../services/projectIndexService');
 const { authenticate, requireRole, requirePermission } = require('../middleware/authentication');
 const winston = require('winston');
 
 const router = express.Router();
 
+// Response type and file extension of each analytics export format
+const EXPORT_DOWNLOADS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    caliper: { contentType: 'application/json', extension: 'json' },
+    xapi: { contentType: 'application/x-ndjson', extension: 'jsonl' }
+};
+
 // Configure logger
 const logger = winston.createLogger({
     level: 'info',
@@ -142,11 +150,7 @@ router.get('/project/:projectId', async (req, res) => {
         const userEmail = req.userContext.email;
 
         // Check if user has access to this project
-        const projectData = await xapiService.getActivityState(
-            userEmail,
-            `${xapiService.baseActivityId}/project/${projectId}`,
-            'project-data'
-        );
+        const projectData = await projectIndexService.getProjectData(projectId, userEmail);
 
         if (!projectData) {
             return res.status(404).json({
@@ -260,11 +264,7 @@ router.get('/collaboration', async (req, res) => {
 
         // If projectId is specified, check access permissions
         if (projectId) {
-            const projectData = await xapiService.getActivityState(
-                userEmail,
-                `${xapiService.baseActivityId}/project/${projectId}`,
-                'project-data'
-            );
+            const projectData = await projectIndexService.getProjectData(projectId, userEmail);
 
             if (projectData) {
                 const hasAccess = projectData.createdBy === userEmail || 
@@ -394,6 +394,100 @@ router.post('/reports/custom', async (req, res) => {
     }
 });
 
+/**
+ * GET /analytics/export
+ * Download analytics events. Query: format (csv, caliper or xapi), timeRange or
+ * since/until, targetUser, projectId, verb (IRI or profile verb name), limit.
+ * Users other than admins and instructors only get their own events.
+ */
+router.get('/export', async (req, res) => {
+    const controller = new AbortController();
+    req.on('close', () => controller.abort());
+
+    try {
+        const { format = 'csv', timeRange, since, until, targetUser, projectId, verb, limit } = req.query;
+        const canViewOthers = req.userContext.role === 'admin' || req.userContext.role === 'instructor';
+
+        if (targetUser && targetUser !== req.userContext.email && !canViewOthers) {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: 'You do not have permission to export other users\' analytics'
+            });
+        }
+        const userEmail = targetUser || (canViewOthers ? null : req.userContext.email);
+
+        const date = new Date().toISOString().split('T')[0];
+        if (Object.prototype.hasOwnProperty.call(EXPORT_DOWNLOADS, format)) {
+            const { contentType, extension } = EXPORT_DOWNLOADS[format];
+            res.setHeader('Content-Type', contentType);
+            res.setHeader('Content-Disposition', `attachment; filename="analytics-events-${date}.${extension}"`);
+        }
+
+        const result = await analyticsService.exportEvents(format, {
+            timeRange,
+            since,
+            until,
+            userEmail,
+            projectId,
+            verb
+        }, res, {
+            limit: limit ? parseInt(limit, 10) : undefined,
+            signal: controller.signal
+        });
+        res.end();
+
+        // Track analytics export
+        await xapiService.sendStatement({
+            actor: { email: req.userContext.email },
+            verb: xapiService.customVerbs.downloaded,
+            object: {
+                id: `${xapiService.baseActivityId}/analytics/export`,
+                definition: {
+                    type: 'http://hulab.edu.hk/activities/analytics-report',
+                    name: { 'en-US': 'Analytics Event Export' }
+                }
+            },
+            context: {
+                extensions: {
+                    'http://hulab.edu.hk/export-format': format,
+                    ...(timeRange && { 'http://hulab.edu.hk/time-range': timeRange }),
+                    ...(userEmail && { 'http://hulab.edu.hk/target-id': userEmail })
+                }
+            }
+        });
+
+        logger.info('Analytics events exported', {
+            format,
+            count: result.count,
+            skipped: result.skipped,
+            truncated: result.truncated,
+            targetUser: userEmail,
+            email: req.userContext.email
+        });
+    } catch (error) {
+        if (res.headersSent) {
+            logger.error('Analytics export interrupted', { error: error.message });
+            return res.destroy(error);
+        }
+        res.removeHeader('Content-Type');
+        res.removeHeader('Content-Disposition');
+        if (error.status === 400) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: error.message
+            });
+        }
+        logger.error('Error exporting analytics events', {
+            error: error.message,
+            email: req.userContext.email
+        });
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Unable to export analytics events'
+        });
+    }
+});
+
 /**
  * GET /analytics/realtime
  * Get real-time analytics
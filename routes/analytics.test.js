@@ -0,0 +1,74 @@
+const express = require('express');
+const uuid = require('uuid');
+const xapiConfig = require('../config/xapi');
+const xapiService = require('../services/xapiService');
+const analyticsService = require('../services/analyticsService');
+const projectIndexService = require('../services/projectIndexService');
+const analyticsRoutes = require('./analytics');
+
+const owner = { id: 'owner-1', email: 'owner@example.com', name: 'Owner', role: 'educator' };
+const member = { id: 'member-1', email: 'member@example.com', name: 'Member', role: 'student' };
+const outsider = { id: 'outsider-1', email: 'outsider@example.com', name: 'Outsider', role: 'student' };
+
+let server;
+let baseUrl;
+let currentUser = member;
+let project;
+
+beforeAll(async () => {
+    await xapiConfig.initialize();
+    await xapiService.initialize();
+
+    project = {
+        id: uuid.v4(),
+        title: 'Analysed project',
+        createdBy: owner.email,
+        collaborators: [{ email: member.email, role: 'viewer' }],
+        status: 'active',
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        version: 1
+    };
+    await xapiService.saveActivityState(owner.email, `${xapiService.baseActivityId}/project/${project.id}`, 'project-data', project);
+    await projectIndexService.upsert(project);
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.isAuthenticated = () => true;
+        req.user = currentUser;
+        next();
+    });
+    app.use('/api/analytics', analyticsRoutes);
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/analytics`;
+});
+
+afterAll(() => {
+    server.close();
+    xapiService.outbox.close();
+});
+
+describe('project analytics access', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('collaborators see analytics of the owner\'s project', async () => {
+        jest.spyOn(analyticsService, 'getProjectAnalytics').mockResolvedValue({ projectId: project.id });
+        jest.spyOn(analyticsService, 'getCollaborationAnalytics').mockResolvedValue({ projectId: project.id });
+        currentUser = member;
+
+        const response = await fetch(`${baseUrl}/project/${project.id}`);
+        expect(response.status).toBe(200);
+        expect((await response.json()).analytics.projectId).toBe(project.id);
+        expect((await fetch(`${baseUrl}/collaboration?projectId=${project.id}`)).status).toBe(200);
+    });
+
+    test('other users are refused', async () => {
+        currentUser = outsider;
+
+        expect((await fetch(`${baseUrl}/project/${project.id}`)).status).toBe(403);
+        expect((await fetch(`${baseUrl}/collaboration?projectId=${project.id}`)).status).toBe(403);
+    });
+});
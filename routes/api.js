@@ -6,13 +6,28 @@
 const express = require('express');
 const multer = require('multer');
 const xapiService = require('../services/xapiService');
+const identityService = require('../services/identityService');
 const gcsService = require('../services/gcsService');
+const fileVersionService = require('../services/fileVersionService');
+const folderService = require('../services/folderService');
+const quotaService = require('../services/quotaService');
+const uploadSessionService = require('../services/uploadSessionService');
+const trashService = require('../services/trashService');
 const aiService = require('../services/aiService');
 const { authenticate, requireRole, requireOwnership } = require('../middleware/authentication');
 const winston = require('winston');
 
 const router = express.Router();
 
+// Response titles of the errors folder and move operations raise
+const FOLDER_ERROR_TITLES = {
+    400: 'Bad request',
+    403: 'Access denied',
+    404: 'Not found',
+    409: 'Conflict',
+    413: 'Quota exceeded'
+};
+
 // Configure logger
 const logger = winston.createLogger({
     level: 'info',
@@ -99,7 +114,7 @@ router.use(authenticate);
  */
 router.get('/profile', async (req, res) => {
     try {
-        const userEmail = req.userContext.email;
+        const userEmail = await identityService.getPrimaryEmail(req.userContext.email);
         const profile = await xapiService.getUserProfile(userEmail);
 
         if (!profile) {
@@ -135,7 +150,7 @@ router.get('/profile', async (req, res) => {
  */
 router.put('/profile', async (req, res) => {
     try {
-        const userEmail = req.userContext.email;
+        const userEmail = await identityService.getPrimaryEmail(req.userContext.email);
         const updates = req.body;
 
         // Get current profile
@@ -196,7 +211,12 @@ router.put('/profile', async (req, res) => {
 
 /**
  * POST /api/files/upload
- * Upload files to Google Cloud Storage
+ * Upload files to Google Cloud Storage. A file with the same name in the same project
+ * and folder becomes a new version of it; comment describes the version.
+ * Uploading into a project needs edit access to its files (403 otherwise).
+ * Answers 413 without storing anything when the files do not fit the user's or the
+ * project's quota. Files rejected by upload inspection are listed as failed with
+ * the inspection report.
  */
 router.post('/files/upload', upload.array('files', 10), async (req, res) => {
     try {
@@ -209,14 +229,28 @@ router.post('/files/upload', upload.array('files', 10), async (req, res) => {
 
         const userEmail = req.userContext.email;
         const userId = req.userContext.id;
-        const { projectId, folder = 'general', generateThumbnails = 'true' } = req.body;
+        const { projectId, folder = 'general', generateThumbnails = 'true', comment } = req.body;
+
+        try {
+            await folderService.authorize(req.userContext, projectId, 'edit');
+            const totalSize = req.files.reduce((total, file) => total + file.size, 0);
+            await quotaService.checkUpload(req.userContext, projectId, totalSize, await uploadSessionService.reservedBytes(userId, projectId));
+        } catch (error) {
+            if ([403, 404, 413].includes(error.status)) {
+                return respondWithStatus(res, error, req, 'Unable to upload files');
+            }
+            throw error;
+        }
 
         const uploadPromises = req.files.map(async (file) => {
             try {
-                const uploadResult = await gcsService.uploadFile(file.buffer, file.originalname, {
+                const versioned = await fileVersionService.addVersion(file.buffer, file.originalname, {
                     userId: userId,
+                    userEmail: userEmail,
+                    userRole: req.userContext.role,
                     projectId: projectId,
                     folder: folder,
+                    comment: comment,
                     generateThumbnail: generateThumbnails === 'true',
                     metadata: {
                         uploadedVia: 'api',
@@ -224,6 +258,7 @@ router.post('/files/upload', upload.array('files', 10), async (req, res) => {
                         mimetype: file.mimetype
                     }
                 });
+                const uploadResult = versioned.upload;
 
                 // Track file upload in xAPI
                 await xapiService.trackFileUpload(
@@ -231,12 +266,18 @@ router.post('/files/upload', upload.array('files', 10), async (req, res) => {
                     uploadResult.fileId,
                     file.originalname,
                     file.size,
-                    projectId
+                    projectId,
+                    { version: { fileId: versioned.fileId, version: versioned.version, comment } }
                 );
 
                 return {
                     success: true,
-                    file: uploadResult
+                    file: {
+                        ...uploadResult,
+                        versionedFileId: versioned.fileId,
+                        version: versioned.version,
+                        versionCount: versioned.versionCount
+                    }
                 };
             } catch (error) {
                 logger.error('File upload failed', { 
@@ -247,7 +288,9 @@ router.post('/files/upload', upload.array('files', 10), async (req, res) => {
                 return {
                     success: false,
                     filename: file.originalname,
-                    error: error.message
+                    error: error.message,
+                    ...(error.quota ? { quota: error.quota } : {}),
+                    ...(error.inspection ? { inspection: error.inspection } : {})
                 };
             }
         });
@@ -274,35 +317,198 @@ router.post('/files/upload', upload.array('files', 10), async (req, res) => {
 
 /**
  * GET /api/files
- * List user's files
+ * Browse the folder tree of the user's own files, or of a project's files with projectId.
+ * Lists one folder (folder, default the root) with its breadcrumbs, subfolders and a page
+ * of files; view=tree returns the whole tree instead, and view=objects the stored
+ * objects under the user's prefix (including files uploaded before version history).
  */
 router.get('/files', async (req, res) => {
     try {
         const userId = req.userContext.id;
-        const { projectId, folder, limit = 50, pageToken } = req.query;
+        const { projectId, folder, view, limit = 50, pageToken } = req.query;
+
+        if (view === 'objects') {
+            const fileList = await gcsService.listFiles(userId, {
+                projectId: projectId,
+                folder: folder,
+                limit: parseInt(limit),
+                pageToken: pageToken,
+                includeMetadata: true
+            });
+
+            return res.json({
+                success: true,
+                files: fileList.files,
+                nextPageToken: fileList.nextPageToken,
+                totalCount: fileList.totalCount
+            });
+        }
+
+        const project = await folderService.authorize(req.userContext, projectId, 'view');
+        const scope = folderService.scopeOf({ userId, projectId });
+        const rootName = project ? project.title : 'My files';
+
+        if (view === 'tree') {
+            const tree = await folderService.describeTree(scope, { rootName });
+            return res.json({
+                success: true,
+                projectId: projectId || null,
+                ...tree
+            });
+        }
 
-        const options = {
-            projectId: projectId,
-            folder: folder,
-            limit: parseInt(limit),
+        const listing = await folderService.listFolder(scope, folder, {
+            limit: Math.min(Math.max(parseInt(limit) || 50, 1), 500),
             pageToken: pageToken,
-            includeMetadata: true
-        };
+            rootName: rootName
+        });
+
+        res.json({
+            success: true,
+            projectId: projectId || null,
+            ...listing
+        });
+    } catch (error) {
+        respondWithStatus(res, error, req, 'Unable to retrieve file list');
+    }
+});
+
+/**
+ * POST /api/files/:fileId/move
+ * Move a versioned file to another folder or project and/or rename it:
+ * { projectId, folder, name }, each defaulting to the current one; projectId null moves
+ * a project file to the owner's own files. Owners may move their files, and project
+ * editors may also reorganise other members' files within the project.
+ */
+router.post('/files/:fileId/move', async (req, res) => {
+    try {
+        const user = req.userContext;
+        const file = await fileVersionService.get(req.params.fileId);
+        if (!file) {
+            return res.status(404).json({
+                error: 'File not found',
+                message: `No versioned file ${req.params.fileId}`
+            });
+        }
+
+        const isOwner = file.owner === user.id;
+        if (file.projectId) {
+            await folderService.authorize(user, file.projectId, isOwner ? 'view' : 'edit');
+        } else if (!isOwner && user.role !== 'admin') {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: 'Only the owner can move this file'
+            });
+        }
+
+        const { projectId, folder, name } = req.body;
+        if (projectId !== undefined && (projectId || null) !== (file.projectId || null)) {
+            if (!isOwner && user.role !== 'admin') {
+                return res.status(403).json({
+                    error: 'Access denied',
+                    message: 'Only the owner can move this file to another project'
+                });
+            }
+            await folderService.authorize(user, projectId, 'edit');
+        }
+
+        const result = await fileVersionService.move(file.fileId, { projectId, folder, name });
+
+        if (result.moved) {
+            await trackVersionAction(req, 'moved', result.file, {
+                'http://hulab.edu.hk/source-location': result.from,
+                'http://hulab.edu.hk/target-location': result.to
+            });
 
-        const fileList = await gcsService.listFiles(userId, options);
+            logger.info('File moved', { fileId: file.fileId, from: result.from, to: result.to, email: user.email });
+        }
 
         res.json({
             success: true,
-            files: fileList.files,
-            nextPageToken: fileList.nextPageToken,
-            totalCount: fileList.totalCount
+            moved: result.moved,
+            from: result.from,
+            to: result.to,
+            file: result.file
         });
     } catch (error) {
-        logger.error('Error listing files', { error: error.message, email: req.userContext.email });
-        res.status(500).json({
-            error: 'Internal server error',
-            message: 'Unable to retrieve file list'
+        respondWithStatus(res, error, req, 'Unable to move file');
+    }
+});
+
+/**
+ * POST /api/folders
+ * Create a folder (and any missing parents): { path, projectId }
+ */
+router.post('/folders', async (req, res) => {
+    try {
+        const { projectId, path } = req.body;
+        await folderService.authorize(req.userContext, projectId, 'edit');
+
+        const scope = folderService.scopeOf({ userId: req.userContext.id, projectId });
+        const result = await folderService.createFolder(scope, path, req.userContext.email);
+
+        await trackFolderAction(req, 'created', scope, result.path);
+
+        res.status(201).json({
+            success: true,
+            folder: result.path,
+            created: result.created
         });
+    } catch (error) {
+        respondWithStatus(res, error, req, 'Unable to create folder');
+    }
+});
+
+/**
+ * POST /api/folders/move
+ * Rename a folder or move it under another parent, with everything in it:
+ * { from, to, projectId }
+ */
+router.post('/folders/move', async (req, res) => {
+    try {
+        const { projectId, from, to } = req.body;
+        await folderService.authorize(req.userContext, projectId, 'edit');
+
+        const scope = folderService.scopeOf({ userId: req.userContext.id, projectId });
+        const result = await fileVersionService.moveFolder(scope, from, to, { userEmail: req.userContext.email });
+
+        await trackFolderAction(req, 'moved', scope, result.to, {
+            'http://hulab.edu.hk/source-location': { projectId: projectId || null, folder: result.from },
+            'http://hulab.edu.hk/target-location': { projectId: projectId || null, folder: result.to }
+        });
+
+        res.json({
+            success: true,
+            from: result.from,
+            to: result.to,
+            movedFiles: result.moved.length
+        });
+    } catch (error) {
+        respondWithStatus(res, error, req, 'Unable to move folder');
+    }
+});
+
+/**
+ * DELETE /api/folders?path=&projectId=
+ * Delete an empty folder and its empty subfolders
+ */
+router.delete('/folders', async (req, res) => {
+    try {
+        const { projectId, path } = req.query;
+        await folderService.authorize(req.userContext, projectId, 'edit');
+
+        const scope = folderService.scopeOf({ userId: req.userContext.id, projectId });
+        const result = await folderService.deleteFolder(scope, path);
+
+        await trackFolderAction(req, 'deleted', scope, result.path);
+
+        res.json({
+            success: true,
+            folder: result.path,
+            removed: result.removed
+        });
+    } catch (error) {
+        respondWithStatus(res, error, req, 'Unable to delete folder');
     }
 });
 
@@ -341,6 +547,7 @@ router.get('/files/:fileId/download', async (req, res) => {
             success: true,
             downloadUrl: downloadInfo.downloadUrl,
             metadata: downloadInfo.metadata,
+            inspection: downloadInfo.inspection,
             expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString()
         });
     } catch (error) {
@@ -358,7 +565,10 @@ router.get('/files/:fileId/download', async (req, res) => {
 
 /**
  * DELETE /api/files/:fileId
- * Delete a file
+ * Delete a file. Versioned files go to their owner's trash, from which they can be
+ * restored until they expire (see /api/trash); owners, admins and editors of the
+ * file's project may delete them. Other ids name objects of the user's general folder,
+ * which are deleted at once.
  */
 router.delete('/files/:fileId', async (req, res) => {
     try {
@@ -366,6 +576,32 @@ router.delete('/files/:fileId', async (req, res) => {
         const userId = req.userContext.id;
         const userEmail = req.userContext.email;
 
+        const file = await fileVersionService.get(fileId);
+        if (file) {
+            const isOwner = file.owner === userId;
+            if (file.projectId) {
+                await folderService.authorize(req.userContext, file.projectId, isOwner ? 'view' : 'edit');
+            } else if (!isOwner && req.userContext.role !== 'admin') {
+                return res.status(403).json({
+                    error: 'Access denied',
+                    message: 'Only the owner can delete this file'
+                });
+            }
+
+            const item = await trashService.trashFile(file, req.userContext);
+            await trackVersionAction(req, 'deleted', file);
+
+            logger.info('File moved to trash', { fileId, trashId: item.id, email: userEmail });
+
+            return res.json({
+                success: true,
+                message: 'File moved to trash',
+                trashId: item.id,
+                deletedAt: item.deletedAt,
+                expiresAt: item.expiresAt
+            });
+        }
+
         // Construct file path (simplified)
         const filePath = `${userId}/general/${fileId}`;
 
@@ -390,6 +626,9 @@ router.delete('/files/:fileId', async (req, res) => {
             deletedAt: deleteResult.deletedAt
         });
     } catch (error) {
+        if (FOLDER_ERROR_TITLES[error.status]) {
+            return respondWithStatus(res, error, req, 'Unable to delete file');
+        }
         logger.error('Error deleting file', { 
             error: error.message, 
             fileId: req.params.fileId,
@@ -402,9 +641,227 @@ router.delete('/files/:fileId', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/files/:fileId/versions
+ * Version history of a versioned file (fileId is the versionedFileId of an upload)
+ */
+router.get('/files/:fileId/versions', async (req, res) => {
+    try {
+        const file = await findVersionedFile(req, res);
+        if (!file) {
+            return;
+        }
+
+        await trackVersionAction(req, 'viewed', file);
+
+        res.json({
+            success: true,
+            file: file
+        });
+    } catch (error) {
+        logger.error('Error listing file versions', { error: error.message, fileId: req.params.fileId, email: req.userContext.email });
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Unable to retrieve file versions'
+        });
+    }
+});
+
+/**
+ * GET /api/files/:fileId/versions/:version/download
+ * Get a download URL for one version of a file
+ */
+router.get('/files/:fileId/versions/:version/download', async (req, res) => {
+    try {
+        const file = await findVersionedFile(req, res);
+        if (!file) {
+            return;
+        }
+
+        const { entry } = await fileVersionService.getVersion(file.fileId, req.params.version);
+        const downloadInfo = await gcsService.downloadFile(entry.objectPath, {
+            generateSignedUrl: true,
+            urlExpiration: 60 * 60 * 1000 // 1 hour
+        });
+
+        await trackVersionAction(req, 'downloaded', file, {
+            'http://hulab.edu.hk/file-version': entry.version
+        });
+
+        res.json({
+            success: true,
+            downloadUrl: downloadInfo.downloadUrl,
+            version: entry,
+            inspection: downloadInfo.inspection,
+            expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+        });
+    } catch (error) {
+        if (error.status === 404) {
+            return res.status(404).json({
+                error: 'Version not found',
+                message: error.message
+            });
+        }
+        logger.error('Error generating version download URL', { error: error.message, fileId: req.params.fileId, email: req.userContext.email });
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Unable to generate download URL'
+        });
+    }
+});
+
+/**
+ * GET /api/files/:fileId/image
+ * Redirect to the variant of an image file that suits the client, for use as an image
+ * URL. size (thumb, medium, large, ...) or width picks the size and the Accept header
+ * (or format) the format: AVIF or WebP for browsers that list them, JPEG or PNG for
+ * the rest. version picks another version than the current one; redirect=false answers
+ * with the URL instead. Owners, admins and project members may view images.
+ */
+router.get('/files/:fileId/image', async (req, res) => {
+    try {
+        const user = req.userContext;
+        const file = await fileVersionService.get(req.params.fileId);
+        if (!file) {
+            return res.status(404).json({
+                error: 'File not found',
+                message: `No versioned file ${req.params.fileId}`
+            });
+        }
+
+        if (file.projectId) {
+            await folderService.authorize(user, file.projectId, 'view');
+        } else if (file.owner !== user.id && user.role !== 'admin') {
+            return res.status(403).json({
+                error: 'Access denied',
+                message: 'Only the owner can view this image'
+            });
+        }
+
+        const { version, size, width, format, redirect } = req.query;
+        const { entry } = await fileVersionService.getVersion(file.fileId, version || file.currentVersion);
+        const image = await gcsService.getImageVariant(entry.objectPath, {
+            accept: req.get('Accept') || '',
+            size,
+            width,
+            format
+        });
+
+        res.set('Vary', 'Accept');
+        if (redirect === 'false') {
+            return res.json({
+                success: true,
+                url: image.url,
+                variant: image.variant,
+                version: entry.version,
+                expiresAt: image.expiresAt
+            });
+        }
+        res.set('Cache-Control', 'private, max-age=300');
+        res.redirect(302, image.url);
+    } catch (error) {
+        if (error.status === 400 || error.status === 422) {
+            return res.status(error.status).json({
+                error: 'Image not available',
+                message: error.message
+            });
+        }
+        respondWithStatus(res, error, req, 'Unable to get image');
+    }
+});
+
+/**
+ * POST /api/files/:fileId/versions/:version/restore
+ * Make an earlier version current again by copying it into a new version
+ */
+router.post('/files/:fileId/versions/:version/restore', async (req, res) => {
+    try {
+        const file = await findVersionedFile(req, res, 'edit');
+        if (!file) {
+            return;
+        }
+
+        const restored = await fileVersionService.restore(file.fileId, req.params.version, {
+            userEmail: req.userContext.email,
+            comment: req.body.comment
+        });
+
+        await trackVersionAction(req, 'restored', file, {
+            'http://hulab.edu.hk/restored-version': restored.version.restoredFrom,
+            'http://hulab.edu.hk/file-version': restored.version.version
+        });
+
+        res.json({
+            success: true,
+            version: restored.version,
+            file: restored.file,
+            pruned: restored.pruned
+        });
+    } catch (error) {
+        if (error.status === 404) {
+            return res.status(404).json({
+                error: 'Version not found',
+                message: error.message
+            });
+        }
+        if (error.status === 413) {
+            return respondWithStatus(res, error, req, 'Unable to restore file version');
+        }
+        logger.error('Error restoring file version', { error: error.message, fileId: req.params.fileId, email: req.userContext.email });
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Unable to restore file version'
+        });
+    }
+});
+
+/**
+ * POST /api/files/:fileId/versions/prune
+ * Delete old versions by retention policy: { keepLast, maxAgeDays }.
+ * The current version is always kept.
+ */
+router.post('/files/:fileId/versions/prune', async (req, res) => {
+    try {
+        const file = await findVersionedFile(req, res, 'edit');
+        if (!file) {
+            return;
+        }
+
+        const policy = fileVersionService.checkPolicy({
+            keepLast: req.body.keepLast,
+            maxAgeDays: req.body.maxAgeDays
+        });
+        const result = await fileVersionService.prune(file.fileId, policy);
+
+        await trackVersionAction(req, 'deleted', file, {
+            'http://hulab.edu.hk/retention-policy': policy
+        }, {
+            extensions: { 'http://hulab.edu.hk/pruned-versions': result.pruned }
+        });
+
+        res.json({
+            success: true,
+            pruned: result.pruned,
+            file: result.file
+        });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({
+                error: 'Invalid retention policy',
+                message: error.message
+            });
+        }
+        logger.error('Error pruning file versions', { error: error.message, fileId: req.params.fileId, email: req.userContext.email });
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Unable to prune file versions'
+        });
+    }
+});
+
 /**
  * GET /api/storage/usage
- * Get storage usage statistics
+ * Get storage usage statistics, with the user's quota (and the project's, with projectId)
  */
 router.get('/storage/usage', async (req, res) => {
     try {
@@ -412,10 +869,15 @@ router.get('/storage/usage', async (req, res) => {
         const { projectId } = req.query;
 
         const usage = await gcsService.getStorageUsage(userId, projectId);
+        const quota = { user: await quotaService.getStatus({ userId }, req.userContext.role) };
+        if (projectId) {
+            quota.project = await quotaService.getStatus({ projectId });
+        }
 
         res.json({
             success: true,
-            usage: usage
+            usage: usage,
+            quota: quota
         });
     } catch (error) {
         logger.error('Error getting storage usage', { error: error.message, email: req.userContext.email });
@@ -747,7 +1209,7 @@ async function importScholarPublications(scholarId, userEmail, userName) {
                 },
                 context: {
                     platform: 'Google Scholar Import',
-                    instructor: { email: userEmail, name: userName }
+                    instructor: xapiService.createActor({ email: userEmail, name: userName })
                 }
             });
             
@@ -770,6 +1232,130 @@ async function importScholarPublications(scholarId, userEmail, userName) {
     }
 }
 
+/**
+ * Versioned file named by :fileId if the user may see (access 'view') or change
+ * (access 'edit') it: project files by the project's rules (folderService.authorize),
+ * personal files by their owner, and every file by admins.
+ * Otherwise answers 404 or 403 and returns null.
+ */
+async function findVersionedFile(req, res, access = 'view') {
+    const user = req.userContext;
+    const file = await fileVersionService.get(req.params.fileId);
+    if (!file) {
+        res.status(404).json({
+            error: 'File not found',
+            message: `No versioned file ${req.params.fileId}`
+        });
+        return null;
+    }
+
+    if (file.projectId) {
+        try {
+            await folderService.authorize(user, file.projectId, access);
+        } catch (error) {
+            if (error.status !== 403 && error.status !== 404) {
+                throw error;
+            }
+            res.status(error.status).json({
+                error: FOLDER_ERROR_TITLES[error.status],
+                message: error.message
+            });
+            return null;
+        }
+    } else if (file.owner !== user.id && user.role !== 'admin') {
+        res.status(403).json({
+            error: 'Access denied',
+            message: 'Only the owner can manage the versions of this file'
+        });
+        return null;
+    }
+    return file;
+}
+
+/**
+ * Track an action on a versioned file
+ */
+async function trackVersionAction(req, verb, file, extensions = {}, result = null) {
+    const statement = {
+        actor: { email: req.userContext.email },
+        verb: xapiService.customVerbs[verb],
+        object: {
+            id: fileVersionService.activityId(file.fileId),
+            definition: {
+                type: 'http://adlnet.gov/expapi/activities/file',
+                name: { 'en-US': file.name }
+            }
+        },
+        context: {}
+    };
+    if (Object.keys(extensions).length > 0) {
+        statement.context.extensions = extensions;
+    }
+    if (file.projectId) {
+        statement.context.contextActivities = {
+            parent: [{ id: `${xapiService.baseActivityId}/project/${file.projectId}` }]
+        };
+    }
+    if (result) {
+        statement.result = result;
+    }
+
+    await xapiService.sendStatement(statement);
+}
+
+/**
+ * Track an action on a folder of a user's or project's tree
+ */
+async function trackFolderAction(req, verb, scope, folderPath, extensions = {}) {
+    const statement = {
+        actor: { email: req.userContext.email },
+        verb: xapiService.customVerbs[verb],
+        object: {
+            id: folderService.folderActivityId(scope, folderPath),
+            definition: {
+                type: 'http://hulab.edu.hk/activities/folder',
+                name: { 'en-US': folderPath }
+            }
+        },
+        context: {}
+    };
+    if (Object.keys(extensions).length > 0) {
+        statement.context.extensions = extensions;
+    }
+    if (scope.projectId) {
+        statement.context.contextActivities = {
+            parent: [{ id: `${xapiService.baseActivityId}/project/${scope.projectId}` }]
+        };
+    }
+
+    await xapiService.sendStatement(statement);
+}
+
+/**
+ * Answer with the status of folder and move errors, or 500
+ */
+function respondWithStatus(res, error, req, message) {
+    if (FOLDER_ERROR_TITLES[error.status]) {
+        const body = {
+            error: FOLDER_ERROR_TITLES[error.status],
+            message: error.message
+        };
+        if (error.fileCount) {
+            body.fileCount = error.fileCount;
+        }
+        if (error.quota) {
+            body.quota = error.quota;
+        }
+        return res.status(error.status).json(body);
+    }
+
+    logger.error(message, { error: error.message, email: req.userContext.email });
+    res.status(500).json({
+        error: 'Internal server error',
+        message: message
+    });
+}
+
 /**
  * Error handling middleware for API routes
  */
@@ -0,0 +1,140 @@
+const express = require('express');
+const xapiConfig = require('../config/xapi');
+const xapiService = require('../services/xapiService');
+const projectIndexService = require('../services/projectIndexService');
+const fileVersionService = require('../services/fileVersionService');
+const apiRoutes = require('./api');
+
+const owner = { id: 'api-owner', email: 'api-owner@example.com', name: 'Owner', role: 'researcher' };
+const editor = { id: 'api-editor', email: 'api-editor@example.com', name: 'Editor', role: 'student' };
+const viewer = { id: 'api-viewer', email: 'api-viewer@example.com', name: 'Viewer', role: 'student' };
+const stranger = { id: 'api-stranger', email: 'api-stranger@example.com', name: 'Stranger', role: 'student' };
+
+let server;
+let baseUrl;
+let currentUser = owner;
+
+beforeAll(async () => {
+    await xapiConfig.initialize();
+    await xapiService.initialize();
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.isAuthenticated = () => true;
+        req.user = currentUser;
+        next();
+    });
+    app.use('/api', apiRoutes);
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+    await projectIndexService.upsert({
+        id: 'api-project',
+        title: 'API project',
+        createdBy: owner.email,
+        status: 'active',
+        collaborators: [
+            { email: editor.email, role: 'editor', status: 'active' },
+            { email: viewer.email, role: 'viewer', status: 'active' }
+        ]
+    });
+});
+
+afterAll(() => {
+    server.close();
+    xapiService.outbox.close();
+});
+
+afterEach(() => {
+    currentUser = owner;
+    jest.restoreAllMocks();
+});
+
+function request(method, path, body) {
+    return fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+}
+
+function upload(user, text, options = {}) {
+    return fileVersionService.addVersion(Buffer.from(text), 'protocol.txt', {
+        userId: user.id,
+        userEmail: user.email,
+        userRole: user.role,
+        folder: 'protocols',
+        ...options
+    });
+}
+
+describe('POST /api/files/upload', () => {
+    function uploadForm(projectId) {
+        const form = new FormData();
+        form.append('files', new Blob(['minutes'], { type: 'text/plain' }), 'minutes.txt');
+        form.append('projectId', projectId);
+        return fetch(`${baseUrl}/files/upload`, { method: 'POST', body: form });
+    }
+
+    test('refuses project uploads without edit access before checking the quota', async () => {
+        const checkUpload = jest.spyOn(require('../services/quotaService'), 'checkUpload');
+
+        currentUser = viewer;
+        expect((await uploadForm('api-project')).status).toBe(403);
+        currentUser = stranger;
+        expect((await uploadForm('api-project')).status).toBe(403);
+        expect((await uploadForm('missing-project')).status).toBe(404);
+        expect(checkUpload).not.toHaveBeenCalled();
+
+        currentUser = editor;
+        const response = await uploadForm('api-project');
+        expect(response.status).toBeLessThan(300);
+        expect(checkUpload).toHaveBeenCalled();
+    });
+});
+
+describe('file version routes', () => {
+    test('let project members see versions and editors restore them', async () => {
+        const { fileId } = await upload(owner, 'v1', { projectId: 'api-project' });
+        await upload(editor, 'v2', { projectId: 'api-project' });
+
+        currentUser = viewer;
+        const listed = await request('GET', `/files/${fileId}/versions`);
+        expect(listed.status).toBe(200);
+        expect((await listed.json()).file.versions).toHaveLength(2);
+        expect((await request('POST', `/files/${fileId}/versions/1/restore`, {})).status).toBe(403);
+
+        currentUser = editor;
+        const restored = await request('POST', `/files/${fileId}/versions/1/restore`, {});
+        expect(restored.status).toBe(200);
+        expect((await restored.json()).version).toMatchObject({ version: 3, restoredFrom: 1 });
+
+        currentUser = stranger;
+        expect((await request('GET', `/files/${fileId}/versions`)).status).toBe(403);
+    });
+
+    test('keep personal file versions to their owner', async () => {
+        const { fileId } = await upload(owner, 'private');
+
+        currentUser = editor;
+        expect((await request('GET', `/files/${fileId}/versions`)).status).toBe(403);
+
+        currentUser = owner;
+        expect((await request('GET', `/files/${fileId}/versions`)).status).toBe(200);
+    });
+
+    test('answer 413 when a restore does not fit the quota', async () => {
+        const { fileId } = await upload(owner, 'too big to restore');
+        const quotaError = Object.assign(new Error('You have 0 B of your 1 KB storage quota left'), {
+            status: 413,
+            quota: { scope: 'user', userId: owner.id }
+        });
+        jest.spyOn(require('../services/quotaService'), 'check').mockRejectedValue(quotaError);
+
+        const response = await request('POST', `/files/${fileId}/versions/1/restore`, {});
+
+        expect(response.status).toBe(413);
+        expect((await response.json()).quota).toMatchObject({ scope: 'user' });
+    });
+});
@@ -7,6 +7,7 @@ const express = require('express');
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const xapiService = require('../services/xapiService');
+const identityService = require('../services/identityService');
 const { optionalAuthenticate } = require('../middleware/authentication');
 const winston = require('winston');
 
@@ -38,10 +39,26 @@ passport.use(new GoogleStrategy({
             name: profile.displayName
         });
 
+        // Link the Google account to the portal user; the profile lives under the primary email
+        const identity = await identityService.link([
+            { type: 'email', value: profile.emails[0].value },
+            { type: 'google', value: profile.id }
+        ], { name: profile.displayName, source: 'google' });
+
+        if (identity.conflicts.length > 0) {
+            logger.warn('Google sign-in matches several portal users', {
+                googleId: profile.id,
+                userId: identity.id,
+                conflicts: identity.conflicts
+            });
+        }
+
         // Create user object from Google profile
         const user = {
             id: profile.id,
-            email: profile.emails[0].value,
+            userId: identity.id,
+            email: identity.primaryEmail,
+            loginEmail: profile.emails[0].value,
             name: profile.displayName,
             firstName: profile.name.givenName,
             lastName: profile.name.familyName,
@@ -113,9 +130,9 @@ passport.serializeUser((user, done) => {
 
 passport.deserializeUser(async (id, done) => {
     try {
-        // Find user by Google ID in xAPI profiles
-        // This is a simplified approach - in production, you might want a more efficient lookup
-        const profile = await xapiService.getUserProfile(`google:${id}`);
+        // Find the portal user linked to the Google ID
+        const identity = await identityService.resolve('google', id);
+        const profile = identity ? await xapiService.getUserProfile(identity.primaryEmail) : null;
         if (profile) {
             done(null, profile);
         } else {
@@ -342,8 +359,10 @@ router.get('/profile', optionalAuthenticate, async (req, res) => {
             });
         }
 
-        // Get full profile from xAPI
-        const profile = await xapiService.getUserProfile(req.userContext.email);
+        // Get full profile from xAPI, kept under the user's primary email
+        const profile = await xapiService.getUserProfile(
+            await identityService.getPrimaryEmail(req.userContext.email)
+        );
         
         if (!profile) {
             return res.status(404).json({
@@ -389,7 +408,7 @@ router.put('/profile', optionalAuthenticate, async (req, res) => {
         }
 
         const updates = req.body;
-        const userEmail = req.userContext.email;
+        const userEmail = await identityService.getPrimaryEmail(req.userContext.email);
 
         // Get current profile
         const currentProfile = await xapiService.getUserProfile(userEmail);
@@ -527,13 +546,31 @@ router.post('/oauth/register', async (req, res) => {
             provider: 'oauth.skoonline.org'
         });
 
+        // Link the gateway identity to the portal user; the profile lives under the primary email.
+        // Gateway subjects are not Google account ids, so they are linked under their own type
+        const identity = await identityService.link([
+            { type: 'email', value: user.email },
+            { type: 'skoonline', value: user.sub }
+        ], { name: user.name, source: 'oauth.skoonline.org' });
+        const email = identity.primaryEmail;
+
+        if (identity.conflicts.length > 0) {
+            logger.warn('Gateway sign-in matches several portal users', {
+                email: user.email,
+                userId: identity.id,
+                conflicts: identity.conflicts
+            });
+        }
+
         // Check if user already exists in xAPI profiles
-        const existingProfile = await xapiService.getUserProfile(user.email);
+        const existingProfile = await xapiService.getUserProfile(email);
         
         // Create comprehensive user profile
         const userProfile = {
             id: user.sub || user.id || user.email, // Use Google ID or email as fallback
-            email: user.email,
+            userId: identity.id,
+            email: email,
+            loginEmail: user.email,
             name: user.name,
             firstName: user.given_name || user.givenName,
             lastName: user.family_name || user.familyName,
@@ -567,11 +604,11 @@ router.post('/oauth/register', async (req, res) => {
                 }
             };
 
-            await xapiService.saveUserProfile(user.email, updatedProfile);
+            await xapiService.saveUserProfile(email, updatedProfile);
             
             // Track login activity
             await xapiService.sendStatement({
-                actor: { email: user.email, name: user.name },
+                actor: { email: email, name: user.name },
                 verb: {
                     id: 'http://adlnet.gov/expapi/verbs/experienced',
                     display: { 'en-US': 'logged in' }
@@ -618,10 +655,10 @@ router.post('/oauth/register', async (req, res) => {
                 }
             };
 
-            await xapiService.saveUserProfile(user.email, newProfile);
+            await xapiService.saveUserProfile(email, newProfile);
             
             // Track user registration in xAPI LRS
-            await xapiService.trackUserRegistration(user.email, user.name, 'OAuth via oauth.skoonline.org');
+            await xapiService.trackUserRegistration(email, user.name, 'OAuth via oauth.skoonline.org');
             
             logger.info('Created new legitimate user profile', { 
                 email: user.email,
@@ -665,7 +702,7 @@ router.get('/oauth/profile/:email', async (req, res) => {
             });
         }
 
-        const profile = await xapiService.getUserProfile(email);
+        const profile = await xapiService.getUserProfile(await identityService.getPrimaryEmail(email));
         
         if (!profile) {
             return res.status(404).json({
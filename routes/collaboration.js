@@ -7,12 +7,16 @@ const express = require('express');
 const xapiService = require('../services/xapiService');
 const gcsService = require('../services/gcsService');
 const aiService = require('../services/aiService');
+const projectIndexService = require('../services/projectIndexService');
 const { authenticate, requireRole, requirePermission } = require('../middleware/authentication');
 const winston = require('winston');
 const uuid = require('uuid');
 
 const router = express.Router();
 
+// Attempts at a conditional project-data write before giving up with 409
+const MAX_WRITE_ATTEMPTS = 5;
+
 // Configure logger
 const logger = winston.createLogger({
     level: 'info',
@@ -87,11 +91,7 @@ router.get('/teams', async (req, res) => {
                 const projectDetails = [];
                 for (const projectId of teamInfo.projects) {
                     try {
-                        const projectData = await xapiService.getActivityState(
-                            userEmail,
-                            `${xapiService.baseActivityId}/project/${projectId}`,
-                            'project-data'
-                        );
+                        const projectData = await projectIndexService.getProjectData(projectId, userEmail);
                         if (projectData && (status === 'all' || projectData.status === status)) {
                             projectDetails.push({
                                 id: projectId,
@@ -168,11 +168,7 @@ router.post('/invite', async (req, res) => {
         }
 
         // Verify project exists and user has permission to invite
-        const projectData = await xapiService.getActivityState(
-            userEmail,
-            `${xapiService.baseActivityId}/project/${projectId}`,
-            'project-data'
-        );
+        const projectData = await projectIndexService.getProjectData(projectId, userEmail);
 
         if (!projectData) {
             return res.status(404).json({
@@ -459,54 +455,20 @@ router.post('/invitations/:invitationId/respond', async (req, res) => {
             });
         }
 
-        // Update invitation status
-        const updatedInvitation = {
-            ...invitationData,
-            status: response === 'accept' ? 'accepted' : 'declined',
-            responseMessage: message,
-            respondedAt: new Date().toISOString()
-        };
-
-        await xapiService.saveActivityState(
-            userEmail,
-            `${xapiService.baseActivityId}/invitation/${invitationId}`,
-            'invitation-data',
-            updatedInvitation
-        );
-
-        // If accepted, add user to project collaborators
+        // Join the project before the invitation is marked accepted, so a join that keeps
+        // losing to concurrent project edits leaves the invitation pending
         if (response === 'accept') {
             try {
-                const projectData = await xapiService.getActivityState(
-                    invitationData.inviterEmail,
-                    `${xapiService.baseActivityId}/project/${invitationData.projectId}`,
-                    'project-data'
-                );
-
-                if (projectData) {
-                    const newCollaborator = {
-                        email: userEmail,
-                        name: req.userContext.name,
-                        role: invitationData.role,
-                        permissions: invitationData.permissions,
-                        joinedAt: new Date().toISOString(),
-                        invitedBy: invitationData.inviterEmail
-                    };
-
-                    const updatedProject = {
-                        ...projectData,
-                        collaborators: [...(projectData.collaborators || []), newCollaborator],
-                        updatedAt: new Date().toISOString(),
-                        version: projectData.version + 1
-                    };
-
-                    await xapiService.saveActivityState(
-                        invitationData.inviterEmail,
-                        `${xapiService.baseActivityId}/project/${invitationData.projectId}`,
-                        'project-data',
-                        updatedProject
-                    );
+                const project = await addCollaborator(invitationData, {
+                    email: userEmail,
+                    name: req.userContext.name,
+                    role: invitationData.role,
+                    permissions: invitationData.permissions,
+                    joinedAt: new Date().toISOString(),
+                    invitedBy: invitationData.inviterEmail
+                });
 
+                if (project) {
                     logger.info('User joined project via invitation', {
                         projectId: invitationData.projectId,
                         user: userEmail,
@@ -514,6 +476,12 @@ router.post('/invitations/:invitationId/respond', async (req, res) => {
                     });
                 }
             } catch (error) {
+                if (error.status === 409) {
+                    return res.status(409).json({
+                        error: 'Conflict',
+                        message: 'The project is being changed by others; please accept the invitation again'
+                    });
+                }
                 logger.error('Error adding user to project after accepting invitation', {
                     error: error.message,
                     invitationId,
@@ -522,13 +490,25 @@ router.post('/invitations/:invitationId/respond', async (req, res) => {
             }
         }
 
+        // Update invitation status
+        const updatedInvitation = {
+            ...invitationData,
+            status: response === 'accept' ? 'accepted' : 'declined',
+            responseMessage: message,
+            respondedAt: new Date().toISOString()
+        };
+
+        await xapiService.saveActivityState(
+            userEmail,
+            `${xapiService.baseActivityId}/invitation/${invitationId}`,
+            'invitation-data',
+            updatedInvitation
+        );
+
         // Track invitation response
         await xapiService.sendStatement({
             actor: { email: userEmail },
-            verb: { 
-                id: `http://hulab.edu.hk/verbs/${response}ed`, 
-                display: { 'en-US': `${response}ed invitation` }
-            },
+            verb: response === 'accept' ? xapiService.customVerbs.accepted : xapiService.customVerbs.declined,
             object: {
                 id: `${xapiService.baseActivityId}/invitation/${invitationId}`,
                 definition: {
@@ -685,6 +665,15 @@ router.post('/share', async (req, res) => {
                 }
             },
             context: {
+                contextActivities: {
+                    other: [{
+                        id: `${xapiService.baseActivityId}/share/${shareId}`,
+                        definition: {
+                            type: 'http://hulab.edu.hk/activities/share',
+                            name: { 'en-US': 'Share' }
+                        }
+                    }]
+                },
                 extensions: {
                     'http://hulab.edu.hk/recipients': recipients,
                     'http://hulab.edu.hk/permissions': permissions
@@ -1039,6 +1028,48 @@ router.post('/ai-suggestions', async (req, res) => {
     }
 });
 
+/**
+ * Add an accepted invitee to the project's collaborators. project-data is only written
+ * if it is unchanged since it was read and is re-read after a conflict. Returns the
+ * project, or null if it no longer exists.
+ */
+async function addCollaborator(invitation, collaborator) {
+    // project-data lives under the owner's agent, who may not be the inviter
+    const ownerEmail = await projectIndexService.getOwner(invitation.projectId) || invitation.inviterEmail;
+    const activityId = `${xapiService.baseActivityId}/project/${invitation.projectId}`;
+
+    for (let attempt = 1; ; attempt++) {
+        const document = await xapiService.getActivityStateDocument(ownerEmail, activityId, 'project-data');
+        if (!document) {
+            return null;
+        }
+
+        const projectData = document.data;
+        if ((projectData.collaborators || []).some(member => member.email === collaborator.email)) {
+            return projectData;
+        }
+
+        const updatedProject = {
+            ...projectData,
+            collaborators: [...(projectData.collaborators || []), collaborator],
+            updatedAt: new Date().toISOString(),
+            version: (projectData.version || 0) + 1
+        };
+
+        try {
+            await xapiService.saveActivityState(ownerEmail, activityId, 'project-data', updatedProject, { etag: document.etag });
+        } catch (error) {
+            if (error.status !== 409 || attempt >= MAX_WRITE_ATTEMPTS) {
+                throw error;
+            }
+            continue;
+        }
+
+        await projectIndexService.upsert(updatedProject);
+        return updatedProject;
+    }
+}
+
 /**
  * Error handling middleware for collaboration routes
  */
@@ -0,0 +1,172 @@
+const express = require('express');
+const uuid = require('uuid');
+const xapiConfig = require('../config/xapi');
+const xapiService = require('../services/xapiService');
+const projectIndexService = require('../services/projectIndexService');
+const collaborationRoutes = require('./collaboration');
+
+const owner = { id: 'owner-1', email: 'owner@example.com', name: 'Owner', role: 'educator' };
+const invitee = { id: 'invitee-1', email: 'invitee@example.com', name: 'Invitee', role: 'student' };
+const editor = { id: 'editor-1', email: 'editor@example.com', name: 'Editor', role: 'student' };
+
+let server;
+let baseUrl;
+let currentUser = owner;
+
+beforeAll(async () => {
+    await xapiConfig.initialize();
+    await xapiService.initialize();
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.isAuthenticated = () => true;
+        req.user = currentUser;
+        next();
+    });
+    app.use('/api/collaboration', collaborationRoutes);
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/collaboration`;
+});
+
+afterAll(() => {
+    server.close();
+    xapiService.outbox.close();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+function request(method, path, body) {
+    return fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+}
+
+const projectActivity = projectId => `${xapiService.baseActivityId}/project/${projectId}`;
+
+async function createProject(collaborators = []) {
+    const project = {
+        id: uuid.v4(),
+        title: 'Shared project',
+        description: 'Project used by the collaboration tests',
+        createdBy: owner.email,
+        collaborators,
+        status: 'active',
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        version: 1
+    };
+    await xapiService.saveActivityState(owner.email, projectActivity(project.id), 'project-data', project, { ifNoneMatch: true });
+    await projectIndexService.upsert(project);
+    return project;
+}
+
+async function createInvitation(project) {
+    const invitation = {
+        id: uuid.v4(),
+        projectId: project.id,
+        projectTitle: project.title,
+        inviterEmail: owner.email,
+        inviteeEmail: invitee.email,
+        role: 'editor',
+        permissions: ['read', 'write'],
+        status: 'pending',
+        expiresAt: new Date(Date.now() + 86400000).toISOString()
+    };
+    await xapiService.saveActivityState(
+        invitee.email,
+        `${xapiService.baseActivityId}/invitation/${invitation.id}`,
+        'invitation-data',
+        invitation
+    );
+    return invitation;
+}
+
+/**
+ * Make every conditional project-data write first lose to another edit
+ */
+function editConcurrently(times) {
+    const save = xapiService.saveActivityState.bind(xapiService);
+    let edits = 0;
+    return jest.spyOn(xapiService, 'saveActivityState').mockImplementation(async (email, activityId, stateId, data, options = {}) => {
+        if (stateId === 'project-data' && options.etag && edits < times) {
+            edits++;
+            const current = await xapiService.getActivityState(email, activityId, stateId);
+            await save(email, activityId, stateId, { ...current, description: `Edited ${edits}` });
+        }
+        return save(email, activityId, stateId, data, options);
+    });
+}
+
+describe('POST /api/collaboration/invitations/:invitationId/respond', () => {
+    test('adds the invitee without losing a concurrent project edit', async () => {
+        const project = await createProject();
+        const invitation = await createInvitation(project);
+        editConcurrently(1);
+
+        currentUser = invitee;
+        const response = await request('POST', `/invitations/${invitation.id}/respond`, { response: 'accept' });
+
+        expect(response.status).toBe(200);
+        const stored = await xapiService.getActivityState(owner.email, projectActivity(project.id), 'project-data');
+        expect(stored.description).toBe('Edited 1');
+        expect(stored.collaborators.map(collab => collab.email)).toEqual([invitee.email]);
+        expect((await projectIndexService.list(invitee.email)).projects.map(entry => entry.id)).toContain(project.id);
+    });
+
+    test('answers 409 and leaves the invitation pending when the project keeps changing', async () => {
+        const project = await createProject();
+        const invitation = await createInvitation(project);
+        editConcurrently(Infinity);
+
+        currentUser = invitee;
+        const response = await request('POST', `/invitations/${invitation.id}/respond`, { response: 'accept' });
+
+        expect(response.status).toBe(409);
+        const stored = await xapiService.getActivityState(owner.email, projectActivity(project.id), 'project-data');
+        expect(stored.collaborators).toEqual([]);
+        const pending = await xapiService.getActivityState(
+            invitee.email,
+            `${xapiService.baseActivityId}/invitation/${invitation.id}`,
+            'invitation-data'
+        );
+        expect(pending.status).toBe('pending');
+    });
+});
+
+describe('POST /api/collaboration/invite', () => {
+    test('lets a project editor invite others to the owner\'s project', async () => {
+        const project = await createProject([{ email: editor.email, role: 'editor' }]);
+
+        currentUser = editor;
+        const response = await request('POST', '/invite', { projectId: project.id, inviteeEmails: [invitee.email], role: 'viewer' });
+        const body = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(body.results[0].status).toBe('sent');
+        const invitation = await xapiService.getActivityState(
+            invitee.email,
+            `${xapiService.baseActivityId}/invitation/${body.results[0].invitationId}`,
+            'invitation-data'
+        );
+        expect(invitation).toMatchObject({ projectId: project.id, projectTitle: project.title, inviterEmail: editor.email });
+
+        currentUser = invitee;
+        expect((await request('POST', `/invitations/${invitation.id}/respond`, { response: 'accept' })).status).toBe(200);
+        const stored = await xapiService.getActivityState(owner.email, projectActivity(project.id), 'project-data');
+        expect(stored.collaborators.map(collab => collab.email)).toEqual([editor.email, invitee.email]);
+    });
+
+    test('refuses collaborators who may only view', async () => {
+        const project = await createProject([{ email: editor.email, role: 'viewer' }]);
+
+        currentUser = editor;
+        const response = await request('POST', '/invite', { projectId: project.id, inviteeEmails: [invitee.email] });
+
+        expect(response.status).toBe(403);
+    });
+});
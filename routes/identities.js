@@ -0,0 +1,191 @@
+/**
+ * Identity Routes for Hu Lab Portal
+ * Admin endpoints for the identifiers linked to each portal user and for merging
+ * users that signed in with different accounts
+ */
+
+const express = require('express');
+const identityService = require('../services/identityService');
+const analyticsService = require('../services/analyticsService');
+const { authenticate, requireRole } = require('../middleware/authentication');
+const winston = require('winston');
+
+const router = express.Router();
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.json(),
+    defaultMeta: { service: 'identity-routes' },
+    transports: [
+        new winston.transports.File({ filename: 'logs/identities.log' }),
+        new winston.transports.Console({
+            format: winston.format.simple()
+        })
+    ]
+});
+
+// All identity routes are for administrators
+router.use(authenticate);
+router.use(requireRole('admin'));
+
+/**
+ * GET /api/identities/:email
+ * The portal user an email address belongs to, with all linked identifiers
+ */
+router.get('/:email', async (req, res) => {
+    try {
+        const identity = await identityService.resolve('email', req.params.email);
+
+        if (!identity) {
+            return res.status(404).json({
+                error: 'Identity not found',
+                message: `No portal user is linked to ${req.params.email}`
+            });
+        }
+
+        res.json({
+            success: true,
+            identity
+        });
+    } catch (error) {
+        logger.error('Error retrieving identity', { error: error.message, email: req.params.email });
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Unable to retrieve identity'
+        });
+    }
+});
+
+/**
+ * POST /api/identities/link
+ * Link another identifier to a user. Body: { email, identifier: { type, value } }
+ * An identifier that already belongs to another user is not moved; merge the users instead.
+ */
+router.post('/link', async (req, res) => {
+    try {
+        const { email, identifier } = req.body || {};
+
+        if (!email || !identifier || !identifier.type || !identifier.value) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: 'email and identifier { type, value } are required'
+            });
+        }
+
+        const user = await identityService.resolve('email', email);
+        if (!user) {
+            return res.status(404).json({
+                error: 'Identity not found',
+                message: `No portal user is linked to ${email}`
+            });
+        }
+
+        const owner = await identityService.resolve(identifier.type, identifier.value);
+        if (owner && owner.id !== user.id) {
+            return res.status(409).json({
+                error: 'Identifier already linked',
+                message: `The identifier belongs to another user (${owner.primaryEmail}); merge the users instead`,
+                identity: owner
+            });
+        }
+
+        const identity = await identityService.link([
+            { type: 'email', value: user.primaryEmail },
+            identifier
+        ], { source: 'admin' });
+
+        logger.info('Identifier linked', {
+            userId: identity.id,
+            type: identifier.type,
+            email: req.userContext.email
+        });
+
+        res.json({
+            success: true,
+            identity
+        });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: error.message
+            });
+        }
+        logger.error('Error linking identifier', { error: error.message });
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Unable to link identifier'
+        });
+    }
+});
+
+/**
+ * POST /api/identities/merge
+ * Merge the user signed in as `source` into the user signed in as `target`.
+ * Body: { source, target } (email addresses). Moves agent profiles, activity state and
+ * project ownership to the target and reports what was moved or left for review.
+ */
+router.post('/merge', async (req, res) => {
+    try {
+        const { source, target } = req.body || {};
+
+        if (!source || !target) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: 'source and target email addresses are required'
+            });
+        }
+
+        const report = await identityService.merge(source, target, {
+            mergedBy: req.userContext.email
+        });
+
+        // Cached analytics still count the source as a separate user
+        analyticsService.clearCache();
+
+        logger.info('Users merged', {
+            sourceUserId: report.source.id,
+            targetUserId: report.target.id,
+            profiles: report.profiles.migrated.length + report.profiles.merged.length,
+            states: report.states.migrated.length,
+            conflicts: report.profiles.conflicts.length + report.states.conflicts.length,
+            email: req.userContext.email
+        });
+
+        res.json({
+            success: true,
+            ...report
+        });
+    } catch (error) {
+        if (error.status === 400 || error.status === 409) {
+            return res.status(error.status).json({
+                error: 'Unable to merge users',
+                message: error.message
+            });
+        }
+        logger.error('Error merging users', { error: error.message, source: req.body?.source, target: req.body?.target });
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Unable to merge users'
+        });
+    }
+});
+
+/**
+ * Error handling middleware for identity routes
+ */
+router.use((error, req, res, next) => {
+    logger.error('Identity route error', {
+        error: error.message,
+        path: req.path,
+        method: req.method
+    });
+
+    res.status(500).json({
+        error: 'Internal server error',
+        message: 'An error occurred while processing the identity request'
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,119 @@
+/**
+ * Notification Routes for Hu Lab Portal
+ * The signed-in user's in-app notifications, such as storage quota warnings. New
+ * notifications are also pushed over the socket as 'notification' events.
+ */
+
+const express = require('express');
+const notificationService = require('../services/notificationService');
+const { authenticate } = require('../middleware/authentication');
+const winston = require('winston');
+
+const router = express.Router();
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.json(),
+    defaultMeta: { service: 'notification-routes' },
+    transports: [
+        new winston.transports.File({ filename: 'logs/notifications.log' }),
+        new winston.transports.Console({
+            format: winston.format.simple()
+        })
+    ]
+});
+
+// All notification routes require authentication
+router.use(authenticate);
+
+/**
+ * GET /api/notifications
+ * Newest first; unread=true for unread ones only, limit (default 50)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 100);
+        const result = await notificationService.list(req.userContext.email, {
+            unreadOnly: req.query.unread === 'true',
+            limit: limit
+        });
+
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        logger.error('Error listing notifications', { error: error.message, email: req.userContext.email });
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Unable to retrieve notifications'
+        });
+    }
+});
+
+/**
+ * POST /api/notifications/read
+ * Mark all notifications as read
+ */
+router.post('/read', async (req, res) => {
+    try {
+        const result = await notificationService.markRead(req.userContext.email);
+
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        logger.error('Error marking notifications read', { error: error.message, email: req.userContext.email });
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Unable to update notifications'
+        });
+    }
+});
+
+/**
+ * POST /api/notifications/:notificationId/read
+ * Mark one notification as read
+ */
+router.post('/:notificationId/read', async (req, res) => {
+    try {
+        const result = await notificationService.markRead(req.userContext.email, req.params.notificationId);
+
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        if (error.status === 404) {
+            return res.status(404).json({
+                error: 'Notification not found',
+                message: error.message
+            });
+        }
+        logger.error('Error marking notification read', { error: error.message, email: req.userContext.email });
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Unable to update notification'
+        });
+    }
+});
+
+/**
+ * Error handling middleware for notification routes
+ */
+router.use((error, req, res, next) => {
+    logger.error('Notification route error', {
+        error: error.message,
+        path: req.path,
+        method: req.method
+    });
+
+    res.status(500).json({
+        error: 'Internal server error',
+        message: 'An error occurred while processing the notification request'
+    });
+});
+
+module.exports = router;
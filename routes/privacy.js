@@ -0,0 +1,198 @@
+/**
+ * Privacy Routes for Hu Lab Portal
+ * Admin endpoints for personal data requests: download everything held about a user,
+ * erase a user and follow the erasure job to its signed completion report
+ */
+
+const express = require('express');
+const privacyService = require('../services/privacyService');
+const analyticsService = require('../services/analyticsService');
+const { authenticate, requireRole } = require('../middleware/authentication');
+const winston = require('winston');
+
+const router = express.Router();
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.json(),
+    defaultMeta: { service: 'privacy-routes' },
+    transports: [
+        new winston.transports.File({ filename: 'logs/privacy.log' }),
+        new winston.transports.Console({
+            format: winston.format.simple()
+        })
+    ]
+});
+
+// All privacy routes are for administrators
+router.use(authenticate);
+router.use(requireRole('admin'));
+
+/**
+ * GET /api/privacy/exports/:email
+ * Download a tar.gz archive of the user's statements, agent profiles, activity state,
+ * files, comments, shares and invitations (manifest.json describes the contents)
+ */
+router.get('/exports/:email', async (req, res) => {
+    const date = new Date().toISOString().split('T')[0];
+
+    try {
+        res.setHeader('Content-Type', 'application/gzip');
+        res.setHeader('Content-Disposition', `attachment; filename="personal-data-${date}.tar.gz"`);
+
+        const manifest = await privacyService.writeExport(req.params.email, res, {
+            exportedBy: req.userContext.email
+        });
+
+        logger.info('Personal data exported', {
+            userId: manifest.subject.userId,
+            statements: manifest.statements.count,
+            files: manifest.files.count,
+            email: req.userContext.email
+        });
+    } catch (error) {
+        logger.error('Error exporting personal data', { error: error.message });
+
+        if (res.headersSent) {
+            return;
+        }
+        res.removeHeader('Content-Disposition');
+        if (error.status === 400) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: error.message
+            });
+        }
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Unable to export personal data'
+        });
+    }
+});
+
+/**
+ * POST /api/privacy/erasures
+ * Start erasing a user. Body: { email, files: 'delete' | 'transfer',
+ * projects: 'delete' | 'transfer', transferTo, reason }. Returns 202 with the job;
+ * poll GET /api/privacy/erasures/:jobId for progress and the signed report.
+ */
+router.post('/erasures', async (req, res) => {
+    try {
+        const { email, files, projects, transferTo, reason } = req.body || {};
+
+        const job = await privacyService.startErasure(email, {
+            files,
+            projects,
+            transferTo,
+            reason,
+            requestedBy: req.userContext.email
+        });
+
+        // Cached analytics still count the user under their address
+        analyticsService.clearCache();
+
+        logger.info('Personal data erasure started', {
+            jobId: job.id,
+            subject: job.subject,
+            email: req.userContext.email
+        });
+
+        res.status(202).json({
+            success: true,
+            job
+        });
+    } catch (error) {
+        if ([400, 409, 503].includes(error.status)) {
+            return res.status(error.status).json({
+                error: 'Unable to start erasure',
+                message: error.message
+            });
+        }
+        logger.error('Error starting personal data erasure', { error: error.message });
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Unable to start erasure'
+        });
+    }
+});
+
+/**
+ * POST /api/privacy/erasures/verify
+ * Check the signature of a completion report. Body: { report }
+ */
+router.post('/erasures/verify', (req, res) => {
+    try {
+        const { report } = req.body || {};
+
+        if (!report || typeof report !== 'object') {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: 'report is required'
+            });
+        }
+
+        res.json({
+            success: true,
+            valid: privacyService.verifyReport(report)
+        });
+    } catch (error) {
+        if (error.status === 503) {
+            return res.status(503).json({
+                error: 'Unable to verify report',
+                message: error.message
+            });
+        }
+        logger.error('Error verifying erasure report', { error: error.message });
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Unable to verify report'
+        });
+    }
+});
+
+/**
+ * GET /api/privacy/erasures/:jobId
+ * Status of an erasure job, with its signed report once it has finished
+ */
+router.get('/erasures/:jobId', async (req, res) => {
+    try {
+        const job = await privacyService.getErasureJob(req.params.jobId);
+
+        if (!job) {
+            return res.status(404).json({
+                error: 'Job not found',
+                message: `No erasure job ${req.params.jobId}`
+            });
+        }
+
+        res.json({
+            success: true,
+            job
+        });
+    } catch (error) {
+        logger.error('Error retrieving erasure job', { error: error.message, jobId: req.params.jobId });
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Unable to retrieve erasure job'
+        });
+    }
+});
+
+/**
+ * Error handling middleware for privacy routes
+ */
+router.use((error, req, res, next) => {
+    logger.error('Privacy route error', {
+        error: error.message,
+        path: req.path,
+        method: req.method
+    });
+
+    res.status(500).json({
+        error: 'Internal server error',
+        message: 'An error occurred while processing the privacy request'
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,177 @@
+/**
+ * Storage Quota Routes for Hu Lab Portal
+ * Admin endpoints for the storage quotas of users and projects: the quotas by role,
+ * everyone's usage, and quotas set for one user or project in place of the default.
+ * Users see their own quota with GET /api/storage/usage.
+ */
+
+const express = require('express');
+const quotaService = require('../services/quotaService');
+const projectIndexService = require('../services/projectIndexService');
+const { authenticate, requireRole } = require('../middleware/authentication');
+const winston = require('winston');
+
+const router = express.Router();
+
+const MB = 1024 * 1024;
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.json(),
+    defaultMeta: { service: 'quota-routes' },
+    transports: [
+        new winston.transports.File({ filename: 'logs/quotas.log' }),
+        new winston.transports.Console({
+            format: winston.format.simple()
+        })
+    ]
+});
+
+// All quota routes are for administrators
+router.use(authenticate);
+router.use(requireRole('admin'));
+
+/**
+ * GET /api/quotas
+ * Quotas by role and for projects (bytes, null when unlimited), the warning levels,
+ * and the usage of every user and project with stored files
+ */
+router.get('/', async (req, res) => {
+    try {
+        const statuses = await quotaService.listStatuses();
+
+        res.json({
+            success: true,
+            policy: quotaService.getPolicy(),
+            ...statuses
+        });
+    } catch (error) {
+        logger.error('Error listing storage quotas', { error: error.message, email: req.userContext.email });
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Unable to list storage quotas'
+        });
+    }
+});
+
+/**
+ * GET /api/quotas/users/:userId
+ * GET /api/quotas/projects/:projectId
+ * Usage and the quota that applies
+ */
+router.get('/:kind(users|projects)/:id', async (req, res) => {
+    try {
+        const scope = await scopeOf(req);
+        const status = await quotaService.getStatus(scope);
+
+        res.json({
+            success: true,
+            quota: status
+        });
+    } catch (error) {
+        respondWithError(res, error, req, 'Unable to retrieve storage quota');
+    }
+});
+
+/**
+ * PUT /api/quotas/users/:userId
+ * PUT /api/quotas/projects/:projectId
+ * Set the quota in place of the role's or the project default.
+ * Body: { limitMB (null for unlimited), reason }
+ */
+router.put('/:kind(users|projects)/:id', async (req, res) => {
+    try {
+        const { limitMB, reason = null } = req.body || {};
+        if (limitMB !== null && !(typeof limitMB === 'number' && limitMB >= 0)) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: 'limitMB must be a number of megabytes, or null for no limit'
+            });
+        }
+
+        const scope = await scopeOf(req);
+        const status = await quotaService.setQuota(scope, limitMB === null ? null : Math.round(limitMB * MB), {
+            setBy: req.userContext.email,
+            reason: reason
+        });
+
+        logger.info('Storage quota set', { ...scope, limitMB, email: req.userContext.email });
+
+        res.json({
+            success: true,
+            quota: status
+        });
+    } catch (error) {
+        respondWithError(res, error, req, 'Unable to set storage quota');
+    }
+});
+
+/**
+ * DELETE /api/quotas/users/:userId
+ * DELETE /api/quotas/projects/:projectId
+ * Go back to the role's or the project default quota
+ */
+router.delete('/:kind(users|projects)/:id', async (req, res) => {
+    try {
+        const scope = await scopeOf(req);
+        const status = await quotaService.clearQuota(scope);
+
+        logger.info('Storage quota reset', { ...scope, email: req.userContext.email });
+
+        res.json({
+            success: true,
+            quota: status
+        });
+    } catch (error) {
+        respondWithError(res, error, req, 'Unable to reset storage quota');
+    }
+});
+
+/**
+ * Error handling middleware for quota routes
+ */
+router.use((error, req, res, next) => {
+    logger.error('Quota route error', {
+        error: error.message,
+        path: req.path,
+        method: req.method
+    });
+
+    res.status(500).json({
+        error: 'Internal server error',
+        message: 'An error occurred while processing the storage quota request'
+    });
+});
+
+/**
+ * Quota scope of the request; projects must exist
+ */
+async function scopeOf(req) {
+    if (req.params.kind === 'users') {
+        return { userId: req.params.id };
+    }
+    if (!await projectIndexService.get(req.params.id)) {
+        const error = new Error(`Project ${req.params.id} not found`);
+        error.status = 404;
+        throw error;
+    }
+    return { projectId: req.params.id };
+}
+
+function respondWithError(res, error, req, message) {
+    if (error.status === 404) {
+        return res.status(404).json({
+            error: 'Not found',
+            message: error.message
+        });
+    }
+
+    logger.error(message, { error: error.message, id: req.params.id, email: req.userContext.email });
+    res.status(500).json({
+        error: 'Internal server error',
+        message: message
+    });
+}
+
+module.exports = router;
@@ -9,6 +9,8 @@ const xapiService = require('../services/xapiService');
 const gcsService = require('../services/gcsService');
 const aiService = require('../services/aiService');
 const analyticsService = require('../services/analyticsService');
+const projectIndexService = require('../services/projectIndexService');
+const trashService = require('../services/trashService');
 const { authenticate, requireRole, requirePermission } = require('../middleware/authentication');
 const winston = require('winston');
 const uuid = require('uuid');
@@ -47,57 +49,48 @@ const RIDE_I_PHASES = {
 router.get('/projects', async (req, res) => {
     try {
         const userEmail = req.userContext.email;
-        const { status, phase, limit = 50, offset = 0 } = req.query;
+        const { status, phase, role, sort = 'updatedAt', order } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
 
-        // Get projects from xAPI activity states
-        const projects = [];
-        
-        // This is a simplified approach - in production you might want a dedicated project index
-        const activities = await xapiService.getUserActivities(userEmail, parseInt(limit) * 2);
-        const projectActivities = activities.filter(activity => 
-            activity.object.id.includes('/project/') &&
-            activity.verb.display['en-US'] === 'created'
-        );
-
-        for (const activity of projectActivities) {
-            try {
-                const projectId = activity.object.id.split('/project/')[1];
-                const projectData = await xapiService.getActivityState(
-                    userEmail,
-                    `${xapiService.baseActivityId}/project/${projectId}`,
-                    'project-data'
-                );
-
-                if (projectData) {
-                    // Apply filters
-                    if (status && projectData.status !== status) continue;
-                    if (phase && projectData.currentPhase !== phase) continue;
+        if (phase && !Object.values(RIDE_I_PHASES).includes(phase)) {
+            return res.status(400).json({
+                error: 'Invalid phase',
+                message: 'Phase must be one of: ' + Object.values(RIDE_I_PHASES).join(', ')
+            });
+        }
 
-                    projects.push({
-                        id: projectId,
-                        ...projectData,
-                        lastActivity: activity.timestamp
-                    });
-                }
-            } catch (error) {
-                logger.warn('Error retrieving project data', { 
-                    error: error.message, 
-                    projectId: activity.object.id 
-                });
-            }
+        if (!projectIndexService.sortFields.includes(sort) || (order && !['asc', 'desc'].includes(order))) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: `sort must be one of: ${projectIndexService.sortFields.join(', ')}; order must be asc or desc`
+            });
         }
 
-        // Sort by last activity (most recent first)
-        projects.sort((a, b) => new Date(b.lastActivity) - new Date(a.lastActivity));
+        if (role && !['owner', 'collaborator'].includes(role)) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: 'role must be owner or collaborator'
+            });
+        }
 
-        // Apply pagination
-        const paginatedProjects = projects.slice(parseInt(offset), parseInt(offset) + parseInt(limit));
+        const { projects, totalCount, hasMore } = await projectIndexService.list(userEmail, {
+            status,
+            phase,
+            role,
+            sort,
+            order,
+            limit,
+            offset
+        });
 
         res.json({
             success: true,
-            projects: paginatedProjects,
-            totalCount: projects.length,
-            hasMore: projects.length > parseInt(offset) + parseInt(limit)
+            projects,
+            totalCount,
+            hasMore,
+            limit,
+            offset
         });
     } catch (error) {
         logger.error('Error retrieving research projects', { 
@@ -201,12 +194,7 @@ router.post('/projects', requirePermission('canCreateProjects'), async (req, res
         };
 
         // Save project data to xAPI activity state
-        await xapiService.saveActivityState(
-            userEmail,
-            `${xapiService.baseActivityId}/project/${projectId}`,
-            'project-data',
-            projectData
-        );
+        const etag = await saveProject(userEmail, projectId, projectData, null);
 
         // Track project creation
         await xapiService.sendStatement({
@@ -229,6 +217,9 @@ router.post('/projects', requirePermission('canCreateProjects'), async (req, res
 
         logger.info('Research project created', { projectId, title, email: userEmail });
 
+        if (etag) {
+            res.set('ETag', etag);
+        }
         res.status(201).json({
             success: true,
             message: 'Research project created successfully',
@@ -255,19 +246,17 @@ router.get('/projects/:projectId', async (req, res) => {
         const { projectId } = req.params;
         const userEmail = req.userContext.email;
 
-        const projectData = await xapiService.getActivityState(
-            userEmail,
-            `${xapiService.baseActivityId}/project/${projectId}`,
-            'project-data'
-        );
+        const document = await loadProject(userEmail, projectId);
 
-        if (!projectData) {
+        if (!document) {
             return res.status(404).json({
                 error: 'Project not found',
                 message: 'Research project could not be found or you do not have access'
             });
         }
 
+        const projectData = document.data;
+
         // Check if user has access to this project
         const hasAccess = projectData.createdBy === userEmail || 
                          projectData.collaborators.some(collab => collab.email === userEmail) ||
@@ -283,6 +272,9 @@ router.get('/projects/:projectId', async (req, res) => {
         // Get recent project activities
         const recentActivities = await xapiService.getProjectActivities(projectId, 20);
 
+        if (document.etag) {
+            res.set('ETag', document.etag);
+        }
         res.json({
             success: true,
             project: projectData,
@@ -309,22 +301,21 @@ router.put('/projects/:projectId', async (req, res) => {
     try {
         const { projectId } = req.params;
         const userEmail = req.userContext.email;
-        const updates = req.body;
+        // version is the client's concurrency token, not an update
+        const { version: expectedVersion, ...updates } = req.body;
 
         // Get current project data
-        const currentProject = await xapiService.getActivityState(
-            userEmail,
-            `${xapiService.baseActivityId}/project/${projectId}`,
-            'project-data'
-        );
+        const document = await loadProject(userEmail, projectId);
 
-        if (!currentProject) {
+        if (!document) {
             return res.status(404).json({
                 error: 'Project not found',
                 message: 'Research project could not be found'
             });
         }
 
+        const currentProject = document.data;
+
         // Check permissions
         const canEdit = currentProject.createdBy === userEmail || 
                        currentProject.collaborators.some(collab => 
@@ -339,6 +330,10 @@ router.put('/projects/:projectId', async (req, res) => {
             });
         }
 
+        if (isStale(req, document, expectedVersion)) {
+            return sendConflict(res, document);
+        }
+
         // Merge updates (protect certain fields)
         const updatedProject = {
             ...currentProject,
@@ -351,12 +346,7 @@ router.put('/projects/:projectId', async (req, res) => {
         };
 
         // Save updated project
-        await xapiService.saveActivityState(
-            userEmail,
-            `${xapiService.baseActivityId}/project/${projectId}`,
-            'project-data',
-            updatedProject
-        );
+        const etag = await saveProject(userEmail, projectId, updatedProject, document);
 
         // Track project update
         await xapiService.sendStatement({
@@ -377,12 +367,18 @@ router.put('/projects/:projectId', async (req, res) => {
             email: userEmail 
         });
 
+        if (etag) {
+            res.set('ETag', etag);
+        }
         res.json({
             success: true,
             message: 'Research project updated successfully',
             project: updatedProject
         });
     } catch (error) {
+        if (error.status === 409) {
+            return sendConflict(res, error.current);
+        }
         logger.error('Error updating research project', { 
             error: error.message, 
             projectId: req.params.projectId,
@@ -397,20 +393,27 @@ router.put('/projects/:projectId', async (req, res) => {
 
 /**
  * DELETE /research/projects/:projectId
- * Delete research project
+ * Delete research project. It goes to the owner's trash and can be restored until it
+ * expires (see /api/trash).
  */
 router.delete('/projects/:projectId', async (req, res) => {
     try {
         const { projectId } = req.params;
         const userEmail = req.userContext.email;
 
-        const projectData = await xapiService.getActivityState(
-            userEmail,
-            `${xapiService.baseActivityId}/project/${projectId}`,
-            'project-data'
-        );
+        const document = await loadProject(userEmail, projectId);
 
-        if (!projectData) {
+        if (!document) {
+            return res.status(404).json({
+                error: 'Project not found',
+                message: 'Research project could not be found'
+            });
+        }
+
+        const projectData = document.data;
+
+        // A deleted project is already in the trash
+        if (projectData.status === 'deleted') {
             return res.status(404).json({
                 error: 'Project not found',
                 message: 'Research project could not be found'
@@ -425,6 +428,10 @@ router.delete('/projects/:projectId', async (req, res) => {
             });
         }
 
+        if (isStale(req, document, req.body && req.body.version)) {
+            return sendConflict(res, document);
+        }
+
         // Mark as deleted instead of actually deleting (soft delete)
         const deletedProject = {
             ...projectData,
@@ -434,12 +441,8 @@ router.delete('/projects/:projectId', async (req, res) => {
             updatedAt: new Date().toISOString()
         };
 
-        await xapiService.saveActivityState(
-            userEmail,
-            `${xapiService.baseActivityId}/project/${projectId}`,
-            'project-data',
-            deletedProject
-        );
+        await saveProject(userEmail, projectId, deletedProject, document);
+        const trashItem = await trashService.trashProject(deletedProject, projectData.status, req.userContext);
 
         // Track project deletion
         await xapiService.sendStatement({
@@ -454,15 +457,23 @@ router.delete('/projects/:projectId', async (req, res) => {
             }
         });
 
-        logger.info('Research project deleted', { projectId, email: userEmail });
+        logger.info('Research project deleted', { projectId, trashId: trashItem.id, email: userEmail });
 
         res.json({
             success: true,
-            message: 'Research project deleted successfully'
+            message: 'Research project moved to trash',
+            trashId: trashItem.id,
+            deletedAt: trashItem.deletedAt,
+            expiresAt: trashItem.expiresAt
         });
     } catch (error) {
+        if (error.status === 409) {
+            return sendConflict(res, error.current);
+        }
         logger.error('Error deleting research project', { 
             error: error.message, 
+            // The project may be left deleted but not in the trash
+            rollbackError: error.rollbackError ? error.rollbackError.message : undefined,
             projectId: req.params.projectId,
             email: req.userContext.email 
         });
@@ -481,7 +492,7 @@ router.post('/projects/:projectId/phase/:phase', async (req, res) => {
     try {
         const { projectId, phase } = req.params;
         const userEmail = req.userContext.email;
-        const { completionNotes = '', outputs = [] } = req.body;
+        const { completionNotes = '', outputs = [], version: expectedVersion } = req.body;
 
         if (!Object.values(RIDE_I_PHASES).includes(phase)) {
             return res.status(400).json({
@@ -490,19 +501,17 @@ router.post('/projects/:projectId/phase/:phase', async (req, res) => {
             });
         }
 
-        const projectData = await xapiService.getActivityState(
-            userEmail,
-            `${xapiService.baseActivityId}/project/${projectId}`,
-            'project-data'
-        );
+        const document = await loadProject(userEmail, projectId);
 
-        if (!projectData) {
+        if (!document) {
             return res.status(404).json({
                 error: 'Project not found',
                 message: 'Research project could not be found'
             });
         }
 
+        const projectData = document.data;
+
         // Check permissions
         const canAdvance = projectData.createdBy === userEmail || 
                           projectData.collaborators.some(collab => 
@@ -517,6 +526,10 @@ router.post('/projects/:projectId/phase/:phase', async (req, res) => {
             });
         }
 
+        if (isStale(req, document, expectedVersion)) {
+            return sendConflict(res, document);
+        }
+
         // Update phase information
         const updatedProject = { ...projectData };
         
@@ -542,12 +555,7 @@ router.post('/projects/:projectId/phase/:phase', async (req, res) => {
         updatedProject.version = projectData.version + 1;
 
         // Save updated project
-        await xapiService.saveActivityState(
-            userEmail,
-            `${xapiService.baseActivityId}/project/${projectId}`,
-            'project-data',
-            updatedProject
-        );
+        const etag = await saveProject(userEmail, projectId, updatedProject, document);
 
         // Track phase advancement
         await xapiService.sendStatement({
@@ -575,12 +583,18 @@ router.post('/projects/:projectId/phase/:phase', async (req, res) => {
             email: userEmail 
         });
 
+        if (etag) {
+            res.set('ETag', etag);
+        }
         res.json({
             success: true,
             message: `Project advanced to ${phase} phase`,
             project: updatedProject
         });
     } catch (error) {
+        if (error.status === 409) {
+            return sendConflict(res, error.current);
+        }
         logger.error('Error advancing project phase', { 
             error: error.message, 
             projectId: req.params.projectId,
@@ -602,7 +616,7 @@ router.post('/projects/:projectId/collaborate', async (req, res) => {
     try {
         const { projectId } = req.params;
         const userEmail = req.userContext.email;
-        const { collaboratorEmail, role = 'viewer', permissions = [] } = req.body;
+        const { collaboratorEmail, role = 'viewer', permissions = [], version: expectedVersion } = req.body;
 
         if (!collaboratorEmail || !collaboratorEmail.includes('@')) {
             return res.status(400).json({
@@ -611,19 +625,17 @@ router.post('/projects/:projectId/collaborate', async (req, res) => {
             });
         }
 
-        const projectData = await xapiService.getActivityState(
-            userEmail,
-            `${xapiService.baseActivityId}/project/${projectId}`,
-            'project-data'
-        );
+        const document = await loadProject(userEmail, projectId);
 
-        if (!projectData) {
+        if (!document) {
             return res.status(404).json({
                 error: 'Project not found',
                 message: 'Research project could not be found'
             });
         }
 
+        const projectData = document.data;
+
         // Check if user can add collaborators
         const canAddCollaborators = projectData.createdBy === userEmail || 
                                    projectData.collaborators.some(collab => 
@@ -638,6 +650,10 @@ router.post('/projects/:projectId/collaborate', async (req, res) => {
             });
         }
 
+        if (isStale(req, document, expectedVersion)) {
+            return sendConflict(res, document);
+        }
+
         // Check if collaborator already exists
         const existingCollaborator = projectData.collaborators.find(
             collab => collab.email === collaboratorEmail
@@ -667,12 +683,7 @@ router.post('/projects/:projectId/collaborate', async (req, res) => {
             version: projectData.version + 1
         };
 
-        await xapiService.saveActivityState(
-            userEmail,
-            `${xapiService.baseActivityId}/project/${projectId}`,
-            'project-data',
-            updatedProject
-        );
+        const etag = await saveProject(userEmail, projectId, updatedProject, document);
 
         // Track collaboration invitation
         await xapiService.trackCollaboration(
@@ -689,12 +700,18 @@ router.post('/projects/:projectId/collaborate', async (req, res) => {
             addedBy: userEmail 
         });
 
+        if (etag) {
+            res.set('ETag', etag);
+        }
         res.json({
             success: true,
             message: 'Collaborator added successfully',
             collaborator: newCollaborator
         });
     } catch (error) {
+        if (error.status === 409) {
+            return sendConflict(res, error.current);
+        }
         logger.error('Error adding collaborator', { 
             error: error.message, 
             projectId: req.params.projectId,
@@ -717,11 +734,8 @@ router.get('/projects/:projectId/analytics', async (req, res) => {
         const userEmail = req.userContext.email;
         const { timeRange = 'all' } = req.query;
 
-        const projectData = await xapiService.getActivityState(
-            userEmail,
-            `${xapiService.baseActivityId}/project/${projectId}`,
-            'project-data'
-        );
+        const document = await loadProject(userEmail, projectId);
+        const projectData = document ? document.data : null;
 
         if (!projectData) {
             return res.status(404).json({
@@ -772,11 +786,8 @@ router.post('/projects/:projectId/ai-assist', async (req, res) => {
         const userEmail = req.userContext.email;
         const { assistanceType = 'general', context = '' } = req.body;
 
-        const projectData = await xapiService.getActivityState(
-            userEmail,
-            `${xapiService.baseActivityId}/project/${projectId}`,
-            'project-data'
-        );
+        const document = await loadProject(userEmail, projectId);
+        const projectData = document ? document.data : null;
 
         if (!projectData) {
             return res.status(404).json({
@@ -925,6 +936,76 @@ router.get('/templates', async (req, res) => {
     }
 });
 
+/**
+ * Optimistic concurrency for project-data.
+ * Writes are conditional on the ETag read at the start of the request. Clients may also
+ * send If-Match or the project version they last saw; if either is out of date the
+ * request is answered with 409 and the current project so the client can merge and retry.
+ */
+async function loadProject(userEmail, projectId) {
+    // project-data lives under the owner's agent; the index tells collaborators who that is
+    const ownerEmail = await projectIndexService.getOwner(projectId);
+
+    return xapiService.getActivityStateDocument(
+        ownerEmail || userEmail,
+        `${xapiService.baseActivityId}/project/${projectId}`,
+        'project-data'
+    );
+}
+
+/**
+ * Write project-data only if it is unchanged since `document` was read
+ * (or, for a new project, only if it does not exist yet), then refresh the
+ * project index. Returns the new ETag.
+ */
+async function saveProject(userEmail, projectId, project, document) {
+    const response = await xapiService.saveActivityState(
+        project.createdBy || userEmail,
+        `${xapiService.baseActivityId}/project/${projectId}`,
+        'project-data',
+        project,
+        document ? { etag: document.etag } : { ifNoneMatch: true }
+    );
+
+    try {
+        await projectIndexService.upsert(project);
+    } catch (error) {
+        // The project itself is saved; the entry is refreshed on its next write
+        logger.error('Error updating project index', { error: error.message, projectId });
+    }
+
+    return response ? response.etag : null;
+}
+
+function isStale(req, document, expectedVersion) {
+    const ifMatch = req.get('If-Match');
+    if (ifMatch && ifMatch.trim() !== '*') {
+        const current = normalizeEtag(document.etag);
+        if (!ifMatch.split(',').some(tag => normalizeEtag(tag) === current)) {
+            return true;
+        }
+    }
+
+    return expectedVersion !== undefined && expectedVersion !== null &&
+        Number(expectedVersion) !== document.data.version;
+}
+
+function normalizeEtag(tag) {
+    return String(tag || '').trim().replace(/^W\//, '').replace(/^"|"$/g, '');
+}
+
+function sendConflict(res, document) {
+    if (document && document.etag) {
+        res.set('ETag', document.etag);
+    }
+    return res.status(409).json({
+        error: 'Conflict',
+        message: 'Research project was changed by someone else. Merge your changes with the current version and retry.',
+        project: document ? document.data : null,
+        etag: document ? document.etag : null
+    });
+}
+
 /**
  * Error handling middleware for research routes
  */
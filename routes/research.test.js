@@ -0,0 +1,99 @@
+const express = require('express');
+const xapiConfig = require('../config/xapi');
+const xapiService = require('../services/xapiService');
+const researchRoutes = require('./research');
+
+const owner = { id: 'owner-1', email: 'owner@example.com', name: 'Owner', role: 'admin' };
+const editor = { id: 'editor-1', email: 'editor@example.com', name: 'Editor', role: 'student' };
+
+let server;
+let baseUrl;
+let currentUser = owner;
+
+beforeAll(async () => {
+    await xapiConfig.initialize();
+    await xapiService.initialize();
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.isAuthenticated = () => true;
+        req.user = currentUser;
+        next();
+    });
+    app.use('/api/research', researchRoutes);
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/research`;
+});
+
+afterAll(() => {
+    server.close();
+    xapiService.outbox.close();
+});
+
+function request(method, path, body, headers = {}) {
+    return fetch(`${baseUrl}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: body ? JSON.stringify(body) : undefined
+    });
+}
+
+async function createProject() {
+    currentUser = owner;
+    const response = await request('POST', '/projects', {
+        title: 'Shared project',
+        description: 'Edited by owner and collaborator',
+        collaborators: [{ email: editor.email, role: 'editor' }]
+    });
+    expect(response.status).toBe(201);
+    return (await response.json()).project;
+}
+
+describe('research project updates', () => {
+    test('collaborators edit the owner\'s project-data', async () => {
+        const project = await createProject();
+
+        currentUser = editor;
+        const response = await request('PUT', `/projects/${project.id}`, { title: 'Renamed by editor' });
+
+        expect(response.status).toBe(200);
+        const stored = await xapiService.getActivityState(
+            owner.email,
+            `${xapiService.baseActivityId}/project/${project.id}`,
+            'project-data'
+        );
+        expect(stored.title).toBe('Renamed by editor');
+        expect(await xapiService.getActivityState(
+            editor.email,
+            `${xapiService.baseActivityId}/project/${project.id}`,
+            'project-data'
+        )).toBeNull();
+    });
+
+    test('answers a stale If-Match with 409 and the current project', async () => {
+        const project = await createProject();
+
+        const first = await request('GET', `/projects/${project.id}`);
+        const etag = first.headers.get('etag');
+        expect(etag).toBeTruthy();
+
+        expect((await request('PUT', `/projects/${project.id}`, { title: 'First' }, { 'If-Match': etag })).status).toBe(200);
+
+        const stale = await request('PUT', `/projects/${project.id}`, { title: 'Second' }, { 'If-Match': etag });
+        const body = await stale.json();
+
+        expect(stale.status).toBe(409);
+        expect(body.project.title).toBe('First');
+        expect(stale.headers.get('etag')).toBe(body.etag);
+    });
+
+    test('answers an outdated version with 409', async () => {
+        const project = await createProject();
+
+        const response = await request('PUT', `/projects/${project.id}`, { title: 'Late', version: project.version - 1 });
+
+        expect(response.status).toBe(409);
+        expect((await response.json()).project.version).toBe(project.version);
+    });
+});
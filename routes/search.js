@@ -0,0 +1,127 @@
+/**
+ * Search Routes for Hu Lab Portal
+ * Full-text search over the files users may see, and admin endpoints for the state of
+ * the search index and rebuilding it from storage.
+ */
+
+const express = require('express');
+const searchService = require('../services/searchService');
+const fileVersionService = require('../services/fileVersionService');
+const { authenticate, requireRole } = require('../middleware/authentication');
+const winston = require('winston');
+
+const router = express.Router();
+
+// Response titles of the errors searches raise
+const ERROR_TITLES = {
+    400: 'Invalid request',
+    403: 'Access denied',
+    404: 'Not found'
+};
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.json(),
+    defaultMeta: { service: 'search-routes' },
+    transports: [
+        new winston.transports.File({ filename: 'logs/search.log' }),
+        new winston.transports.Console({
+            format: winston.format.simple()
+        })
+    ]
+});
+
+// Apply authentication to all search routes
+router.use(authenticate);
+
+/**
+ * GET /api/search?q=
+ * Files matching q (words, "quoted phrases", prefix*), best first, with passages of
+ * their text around the matches in <mark>. Filters: projectId, owner (me, a user id
+ * or an email), type (extensions or categories such as documents, comma-separated),
+ * from and to (upload date of the current version). Pages with limit and offset.
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { q, projectId, owner, type, from, to, limit, offset } = req.query;
+        const result = await searchService.search(req.userContext, { q, projectId, owner, type, from, to, limit, offset });
+
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        respondWithError(res, error, req, 'Unable to search files');
+    }
+});
+
+/**
+ * GET /api/search/status
+ * Files and terms in the index, extraction results and files waiting (admin only)
+ */
+router.get('/status', requireRole('admin'), async (req, res) => {
+    try {
+        await searchService.open();
+
+        res.json({
+            success: true,
+            status: searchService.getStatus()
+        });
+    } catch (error) {
+        respondWithError(res, error, req, 'Unable to retrieve search index status');
+    }
+});
+
+/**
+ * POST /api/search/reindex
+ * Extract and index every versioned file again and drop files that are gone (admin
+ * only). Answers once the files are queued; GET /api/search/status shows progress.
+ */
+router.post('/reindex', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await searchService.reindex(fileId => fileVersionService.get(fileId));
+
+        logger.info('Search index rebuild started', { ...result, email: req.userContext.email });
+
+        res.status(202).json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        respondWithError(res, error, req, 'Unable to rebuild the search index');
+    }
+});
+
+/**
+ * Error handling middleware for search routes
+ */
+router.use((error, req, res, next) => {
+    logger.error('Search route error', {
+        error: error.message,
+        path: req.path,
+        method: req.method
+    });
+
+    res.status(500).json({
+        error: 'Internal server error',
+        message: 'An error occurred while processing the search request'
+    });
+});
+
+function respondWithError(res, error, req, message) {
+    if (ERROR_TITLES[error.status]) {
+        return res.status(error.status).json({
+            error: ERROR_TITLES[error.status],
+            message: error.message
+        });
+    }
+
+    logger.error(message, { error: error.message, email: req.userContext.email });
+    res.status(500).json({
+        error: 'Internal server error',
+        message: message
+    });
+}
+
+module.exports = router;
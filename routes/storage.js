@@ -0,0 +1,183 @@
+/**
+ * Storage Routes for Hu Lab Portal
+ * Serve the signed and public URLs of the local and in-memory storage drivers,
+ * which stand in for GCS signed URLs. Requests are authorised by the URL signature
+ * rather than the session, so these routes are mounted before the body parsers.
+ */
+
+const express = require('express');
+const path = require('path');
+const storageConfig = require('../config/storage');
+const gcsService = require('../services/gcsService');
+const winston = require('winston');
+
+const router = express.Router();
+
+// Raster images are safe to display in the page; everything else (HTML, SVG, PDF, ...)
+// is downloaded so a stored file never runs as a page of the portal's origin
+const INLINE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/avif'];
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.json(),
+    defaultMeta: { service: 'storage-routes' },
+    transports: [
+        new winston.transports.File({ filename: 'logs/storage.log' }),
+        new winston.transports.Console({
+            format: winston.format.simple()
+        })
+    ]
+});
+
+// GCS serves its own URLs
+router.use((req, res, next) => {
+    if (typeof storageConfig.getDriver().verifySignedUrl !== 'function') {
+        return res.status(404).json({
+            error: 'Not found',
+            message: 'Storage URLs are served by the storage provider'
+        });
+    }
+    next();
+});
+
+/**
+ * GET /storage/*
+ * Download an object through a signed read URL, or a public object without a signature.
+ * Only INLINE_TYPES are shown inline; the rest are attachments, all under a sandbox CSP.
+ */
+router.get('/*', async (req, res) => {
+    const driver = storageConfig.getDriver();
+    const name = req.params[0];
+
+    try {
+        const signed = req.query['X-Signature'] !== undefined;
+        if (signed && driver.verifySignedUrl(name, req.query).action !== 'read') {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: 'URL is not signed for reading'
+            });
+        }
+
+        const info = await driver.getMetadata(name);
+        if (!signed && !info.isPublic) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: 'A signed URL is required to read this file'
+            });
+        }
+
+        const stream = await driver.createReadStream(name);
+        const contentType = (info.contentType || '').split(';')[0].trim().toLowerCase();
+        if (INLINE_TYPES.includes(contentType)) {
+            res.set('Content-Disposition', 'inline');
+        } else {
+            res.attachment(path.posix.basename(name));
+        }
+        res.set({
+            'Content-Type': info.contentType,
+            'Content-Length': info.size,
+            'Cache-Control': info.isPublic ? 'public, max-age=3600' : 'private, no-store',
+            'Content-Security-Policy': 'sandbox',
+            'X-Content-Type-Options': 'nosniff'
+        });
+        if (info.md5Hash) {
+            res.set('ETag', `"${info.md5Hash}"`);
+        }
+
+        stream.on('error', (error) => {
+            logger.error('Error streaming stored file', { error: error.message, name });
+            res.destroy(error);
+        });
+        stream.pipe(res);
+    } catch (error) {
+        respondWithError(res, error, 'Unable to read file', name);
+    }
+});
+
+/**
+ * PUT /storage/*
+ * Upload an object through a signed write URL. The body is the file content; when
+ * the URL was signed for a content type the request must send the same one.
+ */
+router.put('/*', express.raw({ type: () => true, limit: gcsService.maxFileSize }), async (req, res) => {
+    const driver = storageConfig.getDriver();
+    const name = req.params[0];
+
+    try {
+        const { action, contentType } = driver.verifySignedUrl(name, req.query);
+        if (action !== 'write') {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: 'URL is not signed for writing'
+            });
+        }
+
+        const requestType = req.get('Content-Type') || null;
+        if (contentType && requestType !== contentType) {
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: `Content-Type must be ${contentType}`
+            });
+        }
+
+        const info = await driver.save(name, Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0), {
+            contentType: contentType || requestType || undefined
+        });
+
+        res.json({
+            success: true,
+            file: {
+                name: info.name,
+                size: info.size,
+                contentType: info.contentType,
+                md5Hash: info.md5Hash
+            }
+        });
+    } catch (error) {
+        respondWithError(res, error, 'Unable to store file', name);
+    }
+});
+
+/**
+ * Error handling middleware for storage routes
+ */
+router.use((error, req, res, next) => {
+    logger.error('Storage route error', {
+        error: error.message,
+        path: req.path,
+        method: req.method
+    });
+
+    if (error.type === 'entity.too.large') {
+        return res.status(413).json({
+            error: 'Payload too large',
+            message: 'File exceeds the maximum upload size'
+        });
+    }
+
+    res.status(500).json({
+        error: 'Internal server error',
+        message: 'An error occurred while processing the storage request'
+    });
+});
+
+/**
+ * Answer with the status of driver errors (400 name, 403 signature, 404 missing)
+ */
+function respondWithError(res, error, message, name) {
+    if ([400, 403, 404].includes(error.status)) {
+        return res.status(error.status).json({
+            error: error.status === 404 ? 'Not found' : error.status === 403 ? 'Forbidden' : 'Bad request',
+            message: error.message
+        });
+    }
+
+    logger.error(message, { error: error.message, name });
+    res.status(500).json({
+        error: 'Internal server error',
+        message
+    });
+}
+
+module.exports = router;
@@ -0,0 +1,113 @@
+const express = require('express');
+const storageConfig = require('../config/storage');
+const storageRoutes = require('./storage');
+
+let server;
+let baseUrl;
+
+beforeAll(() => {
+    const app = express();
+    app.use('/storage', storageRoutes);
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => {
+    server.close();
+});
+
+/**
+ * Request a driver URL against the test server
+ */
+function get(url) {
+    const { pathname, search } = new URL(url);
+    return fetch(`${baseUrl}${pathname}${search}`);
+}
+
+describe('storage routes', () => {
+    const driver = storageConfig.getDriver();
+
+    test('serves a signed read URL and rejects tampered or missing signatures', async () => {
+        await driver.save('users/u-1/report.pdf', Buffer.from('%PDF-1.4'), { contentType: 'application/pdf' });
+        const url = await driver.getSignedUrl('users/u-1/report.pdf');
+
+        const response = await get(url);
+        expect(response.status).toBe(200);
+        expect(await response.text()).toBe('%PDF-1.4');
+
+        expect((await get(url.replace('report.pdf', 'other.pdf'))).status).toBe(403);
+        expect((await get(url.split('?')[0])).status).toBe(403);
+    });
+
+    test('rejects expired and write-only URLs for reading', async () => {
+        await driver.save('users/u-1/old.txt', Buffer.from('old'), { contentType: 'text/plain' });
+
+        expect((await get(await driver.getSignedUrl('users/u-1/old.txt', { expires: Date.now() - 1000 }))).status).toBe(403);
+        expect((await get(await driver.getSignedUrl('users/u-1/old.txt', { action: 'write' }))).status).toBe(403);
+    });
+
+    test('downloads active content as a sandboxed attachment', async () => {
+        await driver.save('users/u-1/page.html', Buffer.from('<script>alert(1)</script>'), { contentType: 'text/html' });
+        await driver.save('users/u-1/logo.svg', Buffer.from('<svg/>'), { contentType: 'image/svg+xml' });
+
+        for (const name of ['users/u-1/page.html', 'users/u-1/logo.svg']) {
+            const response = await get(await driver.getSignedUrl(name));
+            expect(response.headers.get('content-disposition')).toMatch(/^attachment; filename=/);
+            expect(response.headers.get('content-security-policy')).toBe('sandbox');
+            expect(response.headers.get('x-content-type-options')).toBe('nosniff');
+        }
+    });
+
+    test('shows raster images inline and serves public files without a signature', async () => {
+        await driver.save('users/u-1/photo.png', Buffer.from('png'), { contentType: 'image/png' });
+        expect((await get(driver.publicUrl('users/u-1/photo.png'))).status).toBe(403);
+
+        await driver.makePublic('users/u-1/photo.png');
+        const response = await get(driver.publicUrl('users/u-1/photo.png'));
+
+        expect(response.status).toBe(200);
+        expect(response.headers.get('content-disposition')).toBe('inline');
+        expect(response.headers.get('content-security-policy')).toBe('sandbox');
+        expect(response.headers.get('cache-control')).toBe('public, max-age=3600');
+    });
+
+    test('stores a PUT through a write URL bound to its content type', async () => {
+        const url = await driver.getSignedUrl('users/u-1/upload.txt', { action: 'write', contentType: 'text/plain' });
+        const { pathname, search } = new URL(url);
+        const put = contentType => fetch(`${baseUrl}${pathname}${search}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': contentType },
+            body: 'hello'
+        });
+
+        expect((await put('text/html')).status).toBe(403);
+        expect((await put('text/plain')).status).toBe(200);
+        expect((await driver.read('users/u-1/upload.txt')).toString()).toBe('hello');
+    });
+});
+
+describe('storage driver selection', () => {
+    const saved = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...saved };
+    });
+
+    test('defaults to gcs, and to memory for the test suite', () => {
+        delete process.env.STORAGE_DRIVER;
+        expect(storageConfig.getDriverType()).toBe('memory');
+
+        process.env.NODE_ENV = 'development';
+        expect(storageConfig.getDriverType()).toBe('gcs');
+    });
+
+    test('refuses a local driver while a GCS bucket is configured', () => {
+        process.env.NODE_ENV = 'production';
+        process.env.STORAGE_DRIVER = 'local';
+        delete process.env.GCS_BUCKET_NAME;
+        expect(storageConfig.getDriverType()).toBe('local');
+
+        process.env.GCS_BUCKET_NAME = 'hulab-portal-storage';
+        expect(() => storageConfig.getDriverType()).toThrow('GCS_BUCKET_NAME is set');
+    });
+});
@@ -0,0 +1,238 @@
+/**
+ * Trash Routes for Hu Lab Portal
+ * Deleted files and research projects wait in their owner's trash until they expire.
+ * Users list, restore and delete for good their own items; admins can do the same for
+ * anyone and see what has been purged.
+ */
+
+const express = require('express');
+const xapiService = require('../services/xapiService');
+const trashService = require('../services/trashService');
+const fileVersionService = require('../services/fileVersionService');
+const { authenticate, requireRole } = require('../middleware/authentication');
+const winston = require('winston');
+
+const router = express.Router();
+
+// Response titles of the errors trash operations raise
+const ERROR_TITLES = {
+    400: 'Invalid request',
+    403: 'Access denied',
+    404: 'Not found',
+    409: 'Conflict'
+};
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.json(),
+    defaultMeta: { service: 'trash-routes' },
+    transports: [
+        new winston.transports.File({ filename: 'logs/trash.log' }),
+        new winston.transports.Console({
+            format: winston.format.simple()
+        })
+    ]
+});
+
+// Apply authentication to all trash routes
+router.use(authenticate);
+
+/**
+ * GET /api/trash
+ * The user's deleted files and projects, newest first, with when each expires.
+ * type=file|project narrows the list; limit and offset page it. Admins may pass
+ * owner (a user id or an email) for another user's trash, or all=true for everyone's.
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { owner, all, type, limit, offset } = req.query;
+        const result = await trashService.list(req.userContext, {
+            owner: owner || null,
+            all: all === 'true',
+            type: type || null,
+            limit,
+            offset
+        });
+
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        respondWithError(res, error, req, 'Unable to retrieve trash');
+    }
+});
+
+/**
+ * GET /api/trash/purged
+ * Items the purge job deleted for good, newest first (admin only). owner narrows it to
+ * one user's items.
+ */
+router.get('/purged', requireRole('admin'), async (req, res) => {
+    try {
+        const { owner, limit, offset } = req.query;
+        const result = await trashService.getHistory({ owner: owner || null, limit, offset });
+
+        res.json({
+            success: true,
+            retentionDays: trashService.retentionDays,
+            ...result
+        });
+    } catch (error) {
+        respondWithError(res, error, req, 'Unable to retrieve purge history');
+    }
+});
+
+/**
+ * POST /api/trash/:trashId/restore
+ * Put a file back in its folder (renamed if its name was taken meanwhile) or give a
+ * project back its previous status. Owners restore their own items, admins anyone's.
+ */
+router.post('/:trashId/restore', async (req, res) => {
+    try {
+        const { item, restored } = await trashService.restore(req.params.trashId, req.userContext);
+
+        await trackRecovery(req, item, restored);
+
+        logger.info('Restored from trash', {
+            trashId: item.id,
+            type: item.type,
+            itemId: item.itemId,
+            owner: item.ownerEmail,
+            email: req.userContext.email
+        });
+
+        res.json({
+            success: true,
+            type: item.type,
+            [item.type]: restored
+        });
+    } catch (error) {
+        respondWithError(res, error, req, 'Unable to restore item');
+    }
+});
+
+/**
+ * DELETE /api/trash/:trashId
+ * Delete an item for good before it expires, freeing the space it takes. Owners delete
+ * their own items, admins anyone's.
+ */
+router.delete('/:trashId', async (req, res) => {
+    try {
+        const purges = await trashService.remove(req.params.trashId, req.userContext);
+
+        await trackPurge(req, purges[0]);
+
+        logger.info('Deleted from trash', {
+            trashId: purges[0].id,
+            type: purges[0].type,
+            itemId: purges[0].itemId,
+            owner: purges[0].ownerEmail,
+            email: req.userContext.email
+        });
+
+        res.json({
+            success: true,
+            purged: purges
+        });
+    } catch (error) {
+        respondWithError(res, error, req, 'Unable to delete item');
+    }
+});
+
+/**
+ * DELETE /api/trash
+ * Delete everything in the user's trash for good
+ */
+router.delete('/', async (req, res) => {
+    try {
+        const purges = await trashService.empty(req.userContext);
+
+        for (const purge of purges.filter(entry => entry.reason === 'deleted')) {
+            await trackPurge(req, purge);
+        }
+
+        logger.info('Trash emptied', { items: purges.length, email: req.userContext.email });
+
+        res.json({
+            success: true,
+            purged: purges
+        });
+    } catch (error) {
+        respondWithError(res, error, req, 'Unable to empty trash');
+    }
+});
+
+/**
+ * Error handling middleware for trash routes
+ */
+router.use((error, req, res, next) => {
+    logger.error('Trash route error', {
+        error: error.message,
+        path: req.path,
+        method: req.method
+    });
+
+    res.status(500).json({
+        error: 'Internal server error',
+        message: 'An error occurred while processing the trash request'
+    });
+});
+
+/**
+ * Track a file or project coming back from the trash
+ */
+async function trackRecovery(req, item, restored) {
+    const name = item.type === 'file' ? restored.name : restored.title;
+    await xapiService.sendStatement(trashStatement(req, item, xapiService.customVerbs.recovered, name));
+}
+
+/**
+ * Track an item deleted from the trash for good
+ */
+async function trackPurge(req, item) {
+    const verb = { id: 'http://hulab.edu.hk/verbs/deleted', display: { 'en-US': 'deleted' } };
+    await xapiService.sendStatement(trashStatement(req, item, verb, item.name));
+}
+
+function trashStatement(req, item, verb, name) {
+    const isFile = item.type === 'file';
+    const statement = {
+        actor: { email: req.userContext.email },
+        verb,
+        object: {
+            id: isFile
+                ? fileVersionService.activityId(item.itemId)
+                : `${xapiService.baseActivityId}/project/${item.itemId}`,
+            definition: {
+                type: isFile ? 'http://adlnet.gov/expapi/activities/file' : 'http://hulab.edu.hk/activities/research-project',
+                name: { 'en-US': name }
+            }
+        },
+        context: {}
+    };
+    if (isFile && item.projectId) {
+        statement.context.contextActivities = {
+            parent: [{ id: `${xapiService.baseActivityId}/project/${item.projectId}` }]
+        };
+    }
+    return statement;
+}
+
+function respondWithError(res, error, req, message) {
+    if (ERROR_TITLES[error.status]) {
+        return res.status(error.status).json({
+            error: ERROR_TITLES[error.status],
+            message: error.message
+        });
+    }
+
+    logger.error(message, { error: error.message, email: req.userContext.email });
+    res.status(500).json({
+        error: 'Internal server error',
+        message: message
+    });
+}
+
+module.exports = router;
@@ -0,0 +1,84 @@
+const express = require('express');
+const xapiConfig = require('../config/xapi');
+const xapiService = require('../services/xapiService');
+const quotaService = require('../services/quotaService');
+const searchService = require('../services/searchService');
+const fileVersionService = require('../services/fileVersionService');
+const trashService = require('../services/trashService');
+const trashRoutes = require('./trash');
+
+const owner = { id: 'trash-route-owner', email: 'trash-route-owner@example.com', name: 'Owner', role: 'researcher' };
+const stranger = { id: 'trash-route-stranger', email: 'trash-route-stranger@example.com', name: 'Stranger', role: 'student' };
+
+let server;
+let baseUrl;
+let currentUser = owner;
+
+beforeAll(async () => {
+    await xapiConfig.initialize();
+    await xapiService.initialize();
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.isAuthenticated = () => true;
+        req.user = currentUser;
+        next();
+    });
+    app.use('/api/trash', trashRoutes);
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/trash`;
+});
+
+afterAll(async () => {
+    server.close();
+    await searchService.idle();
+    await searchService.extractor.close();
+    quotaService.stop();
+    xapiService.outbox.close();
+});
+
+afterEach(() => {
+    currentUser = owner;
+});
+
+async function trashed(name) {
+    const { fileId } = await fileVersionService.addVersion(Buffer.from(`${name} notes`), name, {
+        userId: owner.id,
+        userEmail: owner.email,
+        userRole: owner.role,
+        folder: 'trash-routes'
+    });
+    return trashService.trashFile(await fileVersionService.get(fileId), owner);
+}
+
+describe('trash routes', () => {
+    test('list, restore and delete for good the owner\'s items', async () => {
+        const kept = await trashed('kept.txt');
+        const deleted = await trashed('deleted.txt');
+
+        const listed = await (await fetch(baseUrl)).json();
+        expect(listed.items.map(item => item.id)).toEqual(expect.arrayContaining([kept.id, deleted.id]));
+
+        currentUser = stranger;
+        expect((await fetch(`${baseUrl}/${deleted.id}`, { method: 'DELETE' })).status).toBe(404);
+
+        currentUser = owner;
+        const response = await fetch(`${baseUrl}/${deleted.id}`, { method: 'DELETE' });
+        expect(response.status).toBe(200);
+        expect((await response.json()).purged[0]).toMatchObject({ id: deleted.id, reason: 'deleted' });
+        expect(await fileVersionService.get(deleted.itemId, { includeTrashed: true })).toBeNull();
+
+        const restored = await fetch(`${baseUrl}/${kept.id}/restore`, { method: 'POST' });
+        expect((await restored.json())).toMatchObject({ success: true, type: 'file', file: { name: 'kept.txt' } });
+    });
+
+    test('empty the user\'s trash', async () => {
+        const item = await trashed('emptied.txt');
+
+        const response = await fetch(baseUrl, { method: 'DELETE' });
+
+        expect((await response.json()).purged.map(purge => purge.id)).toContain(item.id);
+        expect((await (await fetch(baseUrl)).json()).total).toBe(0);
+    });
+});
@@ -0,0 +1,214 @@
+/**
+ * Resumable Upload Routes for Hu Lab Portal
+ * Chunked uploads for large files: open a session, PUT the chunks (in any order, again
+ * after a reconnect), then complete it. See services/uploadSessionService.js.
+ */
+
+const express = require('express');
+const uploadSessionService = require('../services/uploadSessionService');
+const xapiService = require('../services/xapiService');
+const { authenticate } = require('../middleware/authentication');
+const winston = require('winston');
+
+const router = express.Router();
+
+// Response titles of the errors upload sessions raise
+const ERROR_TITLES = {
+    400: 'Bad request',
+    403: 'Access denied',
+    404: 'Upload not found',
+    409: 'Conflict',
+    410: 'Upload expired',
+    413: 'Upload too large',
+    422: 'Upload rejected',
+    503: 'Scanner unavailable'
+};
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.json(),
+    defaultMeta: { service: 'upload-routes' },
+    transports: [
+        new winston.transports.File({ filename: 'logs/uploads.log' }),
+        new winston.transports.Console({
+            format: winston.format.simple()
+        })
+    ]
+});
+
+// All upload routes require authentication
+router.use(authenticate);
+
+/**
+ * POST /api/uploads
+ * Open an upload: { fileName, size, sha256 (hex, whole file), contentType, chunkSize,
+ * projectId, folder, comment }. Fails with 403 without edit access to the project's
+ * files and with 413 when the user's or the project's quota cannot hold it.
+ */
+router.post('/', async (req, res) => {
+    try {
+        const upload = await uploadSessionService.create(req.userContext, req.body || {});
+
+        logger.info('Resumable upload opened', {
+            uploadId: upload.id,
+            fileName: upload.fileName,
+            size: upload.size,
+            email: req.userContext.email
+        });
+
+        res.status(201).json({
+            success: true,
+            upload: upload
+        });
+    } catch (error) {
+        respondWithError(res, error, req, 'Unable to open upload');
+    }
+});
+
+/**
+ * GET /api/uploads/:uploadId
+ * Upload state, including the chunks still missing (to resume after a reconnect)
+ */
+router.get('/:uploadId', async (req, res) => {
+    try {
+        const upload = await uploadSessionService.get(req.params.uploadId, req.userContext);
+
+        res.json({
+            success: true,
+            upload: upload
+        });
+    } catch (error) {
+        respondWithError(res, error, req, 'Unable to retrieve upload');
+    }
+});
+
+/**
+ * PUT /api/uploads/:uploadId/chunks/:index
+ * Send one chunk as application/octet-stream with its hex SHA-256 in X-Chunk-SHA256.
+ * Every chunk but the last must be exactly chunkSize bytes.
+ */
+router.put('/:uploadId/chunks/:index', async (req, res) => {
+    try {
+        if (!req.is('application/octet-stream')) {
+            return res.status(415).json({
+                error: 'Unsupported media type',
+                message: 'Chunks must be sent as application/octet-stream'
+            });
+        }
+
+        const upload = await uploadSessionService.receiveChunk(
+            req.params.uploadId,
+            req.userContext,
+            req.params.index,
+            req,
+            req.get('X-Chunk-SHA256')
+        );
+
+        res.json({
+            success: true,
+            upload: upload
+        });
+    } catch (error) {
+        respondWithError(res, error, req, 'Unable to store chunk');
+    }
+});
+
+/**
+ * POST /api/uploads/:uploadId/complete
+ * Assemble the file once every chunk has arrived. The file becomes a new version of
+ * the file with the same name, as with POST /api/files/upload.
+ */
+router.post('/:uploadId/complete', async (req, res) => {
+    try {
+        const { session, result, alreadyCompleted } = await uploadSessionService.complete(req.params.uploadId, req.userContext);
+
+        // A client that lost the first response may complete again
+        if (!alreadyCompleted) {
+            await xapiService.trackFileUpload(
+                req.userContext.email,
+                result.file.fileId,
+                session.fileName,
+                session.size,
+                session.projectId,
+                { version: { fileId: result.versionedFileId, version: result.version, comment: session.comment } }
+            );
+        }
+
+        res.json({
+            success: true,
+            upload: session,
+            file: {
+                ...result.file,
+                versionedFileId: result.versionedFileId,
+                version: result.version,
+                versionCount: result.versionCount
+            }
+        });
+    } catch (error) {
+        respondWithError(res, error, req, 'Unable to complete upload');
+    }
+});
+
+/**
+ * DELETE /api/uploads/:uploadId
+ * Abandon an upload and delete its chunks
+ */
+router.delete('/:uploadId', async (req, res) => {
+    try {
+        const result = await uploadSessionService.abort(req.params.uploadId, req.userContext);
+
+        res.json({
+            success: true,
+            ...result
+        });
+    } catch (error) {
+        respondWithError(res, error, req, 'Unable to abort upload');
+    }
+});
+
+/**
+ * Error handling middleware for upload routes
+ */
+router.use((error, req, res, next) => {
+    logger.error('Upload route error', {
+        error: error.message,
+        path: req.path,
+        method: req.method
+    });
+
+    res.status(500).json({
+        error: 'Internal server error',
+        message: 'An error occurred while processing the upload'
+    });
+});
+
+/**
+ * Answer with the status of upload errors, or 500
+ */
+function respondWithError(res, error, req, message) {
+    if (ERROR_TITLES[error.status]) {
+        const body = {
+            error: error.quota ? 'Quota exceeded' : ERROR_TITLES[error.status],
+            message: error.message
+        };
+        if (error.missingChunks) {
+            body.missingChunks = error.missingChunks;
+        }
+        if (error.quota) {
+            body.quota = error.quota;
+        }
+        if (error.inspection) {
+            body.inspection = error.inspection;
+        }
+        return res.status(error.status).json(body);
+    }
+
+    logger.error(message, { error: error.message, uploadId: req.params.uploadId, email: req.userContext.email });
+    res.status(500).json({
+        error: 'Internal server error',
+        message: message
+    });
+}
+
+module.exports = router;
@@ -0,0 +1,523 @@
+/**
+ * xAPI Routes for Hu Lab Portal
+ * Ingests statements queued by the browser xAPI client (public/js/xapi-client.js)
+ * and exposes xAPI administration endpoints
+ */
+
+const express = require('express');
+const uuid = require('uuid');
+const xapiService = require('../services/xapiService');
+const analyticsService = require('../services/analyticsService');
+const { validateStatement, formatErrors } = require('../services/lrs');
+const { authenticate, requireRole } = require('../middleware/authentication');
+const winston = require('winston');
+
+const router = express.Router();
+
+// Configure logger
+const logger = winston.createLogger({
+    level: 'info',
+    format: winston.format.json(),
+    defaultMeta: { service: 'xapi-routes' },
+    transports: [
+        new winston.transports.File({ filename: 'logs/xapi.log' }),
+        new winston.transports.Console({
+            format: winston.format.simple()
+        })
+    ]
+});
+
+// Maximum number of statements accepted in one request
+const MAX_BATCH_SIZE = 100;
+
+// All xAPI routes require authentication
+router.use(authenticate);
+
+/**
+ * POST /api/xapi/statements
+ * Accept a single statement or an array of statements from the browser client.
+ * The actor is always replaced with the authenticated user so it cannot be forged.
+ * Responds with one result per submitted statement, in submission order.
+ * Statements that cannot reach the LRS right now are reported as queued.
+ */
+router.post('/statements', async (req, res) => {
+    try {
+        const submitted = Array.isArray(req.body) ? req.body : [req.body];
+
+        if (submitted.length === 0 || (submitted.length === 1 && !isPlainObject(submitted[0]))) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid request',
+                message: 'Expected a statement object or an array of statements'
+            });
+        }
+
+        if (submitted.length > MAX_BATCH_SIZE) {
+            return res.status(413).json({
+                success: false,
+                error: 'Batch too large',
+                message: `A maximum of ${MAX_BATCH_SIZE} statements can be sent per request`
+            });
+        }
+
+        const actor = xapiService.createActor({
+            email: req.userContext.email,
+            name: req.userContext.name
+        });
+
+        const results = [];
+        const accepted = [];
+
+        submitted.forEach((raw, index) => {
+            if (!isPlainObject(raw)) {
+                results[index] = invalidResult(index, null, ['statement: must be an object']);
+                return;
+            }
+
+            // Client input is always validated strictly so the browser gets precise error paths back
+            const { valid, errors, statement } = validateStatement(toServerStatement(raw, actor));
+            if (!valid) {
+                results[index] = invalidResult(index, raw.id || null, formatErrors(errors));
+                return;
+            }
+
+            accepted.push({ index, statement });
+        });
+
+        if (accepted.length > 0) {
+            await forwardStatements(accepted, results);
+        }
+
+        // Statements held in the outbox are delivered by the server, so the client treats them as stored
+        const stored = results.filter(result => result.status === 'stored' || result.status === 'queued').length;
+        const status = stored === results.length ? 200 : (stored > 0 ? 207 : statusForFailures(results));
+
+        if (stored < results.length) {
+            logger.warn('Some client statements were not stored', {
+                email: req.userContext.email,
+                submitted: results.length,
+                stored
+            });
+        }
+
+        res.status(status).json({
+            success: stored === results.length,
+            stored,
+            failed: results.length - stored,
+            results
+        });
+    } catch (error) {
+        logger.error('Error ingesting xAPI statements', { error: error.message, email: req.userContext.email });
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Unable to store statements'
+        });
+    }
+});
+
+/**
+ * POST /api/xapi/statements/:statementId/void
+ * Retract a wrong statement (admin only). Body: { reason }
+ */
+router.post('/statements/:statementId/void', requireRole('admin'), async (req, res) => {
+    try {
+        const { statementId } = req.params;
+        const { reason } = req.body || {};
+
+        const voiding = await xapiService.voidStatement(statementId, {
+            reason,
+            voidedBy: { email: req.userContext.email, name: req.userContext.name }
+        });
+
+        // Cached dashboards may still count the voided statement
+        analyticsService.clearCache();
+
+        logger.info('Statement voided', { statementId, reason, email: req.userContext.email });
+
+        res.status(201).json({
+            success: true,
+            voidedStatementId: statementId,
+            voidingStatementId: voiding.id,
+            queued: voiding.queued
+        });
+    } catch (error) {
+        if (error.status >= 400 && error.status < 500) {
+            return res.status(error.status).json({
+                success: false,
+                error: 'Unable to void statement',
+                message: error.message,
+                errors: error.errors ? formatErrors(error.errors) : undefined
+            });
+        }
+        logger.error('Error voiding statement', { error: error.message, statementId: req.params.statementId });
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Unable to void statement'
+        });
+    }
+});
+
+/**
+ * POST /api/xapi/statements/:statementId/correct
+ * Store a corrected copy of a statement and void the original (admin only).
+ * Body: { reason, statement: { verb?, object?, result?, context?, timestamp? } }
+ * Omitted fields are copied from the original; the actor stays the original actor.
+ */
+router.post('/statements/:statementId/correct', requireRole('admin'), async (req, res) => {
+    try {
+        const { statementId } = req.params;
+        const { reason, statement = {} } = req.body || {};
+
+        if (!isPlainObject(statement)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid request',
+                message: 'statement must be an object with the corrected fields'
+            });
+        }
+
+        // Only the statement content can be corrected, never who it is about or its identity
+        const { id, actor, authority, stored, version, ...fields } = statement;
+
+        const { replacement, voiding } = await xapiService.correctStatement(statementId, fields, {
+            reason,
+            voidedBy: { email: req.userContext.email, name: req.userContext.name }
+        });
+
+        analyticsService.clearCache();
+
+        logger.info('Statement corrected', {
+            statementId,
+            replacementId: replacement.id,
+            reason,
+            email: req.userContext.email
+        });
+
+        res.status(201).json({
+            success: true,
+            voidedStatementId: statementId,
+            voidingStatementId: voiding.id,
+            replacementStatementId: replacement.id,
+            replacement: replacement.statement,
+            queued: replacement.queued || voiding.queued
+        });
+    } catch (error) {
+        if (error.status >= 400 && error.status < 500) {
+            return res.status(error.status).json({
+                success: false,
+                error: 'Unable to correct statement',
+                message: error.message,
+                errors: error.errors ? formatErrors(error.errors) : undefined
+            });
+        }
+        logger.error('Error correcting statement', { error: error.message, statementId: req.params.statementId });
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Unable to correct statement'
+        });
+    }
+});
+
+/**
+ * GET /api/xapi/statements/export
+ * Stream statements as JSON Lines (admin only), oldest first.
+ * Query: since, until, agent (email), verb (IRI or profile verb name), activity,
+ * related_agents, related_activities, ascending, exclude_voided, limit
+ */
+router.get('/statements/export', requireRole('admin'), async (req, res) => {
+    const controller = new AbortController();
+    req.on('close', () => controller.abort());
+
+    try {
+        const { limit, exclude_voided: excludeVoided, ...filters } = req.query;
+        const date = new Date().toISOString().split('T')[0];
+
+        res.setHeader('Content-Type', 'application/x-ndjson');
+        res.setHeader('Content-Disposition', `attachment; filename="statements-${date}.jsonl"`);
+
+        const result = await xapiService.exportStatements(filters, res, {
+            maxStatements: limit ? parseInt(limit, 10) : null,
+            excludeVoided: excludeVoided === 'true',
+            signal: controller.signal
+        });
+        res.end();
+
+        logger.info('Statements exported', {
+            count: result.count,
+            truncated: result.truncated,
+            filters,
+            email: req.userContext.email
+        });
+    } catch (error) {
+        if (res.headersSent) {
+            logger.error('Statement export interrupted', { error: error.message });
+            return res.destroy(error);
+        }
+        res.removeHeader('Content-Type');
+        res.removeHeader('Content-Disposition');
+        if (error.status === 400) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid request',
+                message: error.message
+            });
+        }
+        logger.error('Error exporting statements', { error: error.message });
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: 'Unable to export statements'
+        });
+    }
+});
+
+/**
+ * POST /api/xapi/statements/import
+ * Import statements sent as JSON Lines (Content-Type: application/x-ndjson, admin only).
+ * Statements keep their actors and ids; ids the LRS already has are skipped.
+ * Query: importId (resume an interrupted import by sending the same file again),
+ * rebaseTo (ISO date or "now"), rebaseFrom, batchSize
+ */
+router.post('/statements/import', requireRole('admin'), async (req, res) => {
+    try {
+        const { importId, rebaseTo, rebaseFrom, batchSize } = req.query;
+
+        if (req.is('application/json') || req.is('application/x-www-form-urlencoded')) {
+            return res.status(415).json({
+                success: false,
+                error: 'Unsupported media type',
+                message: 'Send statements as JSON Lines with Content-Type: application/x-ndjson'
+            });
+        }
+        if (importId !== undefined && !/^[\w-]{1,64}$/.test(importId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid request',
+                message: 'importId may only contain letters, digits, - and _'
+            });
+        }
+
+        const result = await xapiService.importStatements(req, {
+            checkpoint: importId ? importCheckpoint(importId) : null,
+            batchSize: batchSize ? Math.min(parseInt(batchSize, 10) || MAX_BATCH_SIZE, 1000) : MAX_BATCH_SIZE,
+            rebaseTo,
+            rebaseFrom
+        });
+
+        analyticsService.clearCache();
+
+        logger.info('Statements imported', {
+            importId,
+            imported: result.imported,
+            queued: result.queued,
+            duplicates: result.duplicates,
+            invalid: result.invalid,
+            resumedAfter: result.resumedAfter,
+            email: req.userContext.email
+        });
+
+        res.json({
+            success: true,
+            importId: importId || null,
+            ...result
+        });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid request',
+                message: error.message
+            });
+        }
+        logger.error('Error importing statements', { error: error.message, importId: req.query.importId });
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: req.query.importId
+                ? `Import stopped: ${error.message}. Send the file again with the same importId to resume.`
+                : `Import stopped: ${error.message}`
+        });
+    }
+});
+
+/**
+ * GET /api/xapi/forwarding
+ * Delivery status of each secondary LRS statements are forwarded to (admin only)
+ */
+router.get('/forwarding', requireRole('admin'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            targets: xapiService.getForwardingStatus()
+        });
+    } catch (error) {
+        logger.error('Error retrieving forwarding status', { error: error.message });
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Unable to retrieve forwarding status'
+        });
+    }
+});
+
+/**
+ * POST /api/xapi/forwarding/:target/retry
+ * Retry a target's queued statements now instead of waiting for backoff (admin only)
+ */
+router.post('/forwarding/:target/retry', requireRole('admin'), async (req, res) => {
+    try {
+        const target = await xapiService.flushForwardTarget(req.params.target);
+
+        logger.info('Forward target retried', { target: req.params.target, email: req.userContext.email });
+
+        res.json({
+            success: true,
+            target
+        });
+    } catch (error) {
+        if (error.status === 404) {
+            return res.status(404).json({
+                error: 'Target not found',
+                message: error.message
+            });
+        }
+        logger.error('Error retrying forward target', { error: error.message, target: req.params.target });
+        res.status(500).json({
+            error: 'Internal server error',
+            message: 'Unable to retry forward target'
+        });
+    }
+});
+
+/**
+ * Send accepted statements to the LRS as one batch. If the batch is rejected,
+ * fall back to sending them one by one so a single bad statement does not
+ * fail the rest.
+ */
+async function forwardStatements(accepted, results) {
+    try {
+        const { queued } = await xapiService.sendStatementsBatch(accepted.map(entry => entry.statement));
+        accepted.forEach(({ index, statement }) => {
+            results[index] = { index, id: statement.id, status: queued ? 'queued' : 'stored' };
+        });
+        return;
+    } catch (error) {
+        if (accepted.length === 1) {
+            const { index, statement } = accepted[0];
+            results[index] = failedResult(index, statement, error);
+            return;
+        }
+        logger.warn('Batch rejected by LRS, retrying statements individually', { error: error.message });
+    }
+
+    for (const { index, statement } of accepted) {
+        try {
+            const { queued } = await xapiService.sendStatement(statement);
+            results[index] = { index, id: statement.id, status: queued ? 'queued' : 'stored' };
+        } catch (error) {
+            results[index] = failedResult(index, statement, error);
+        }
+    }
+}
+
+function invalidResult(index, id, errors) {
+    return {
+        index,
+        id,
+        status: 'invalid',
+        retryable: false,
+        errors
+    };
+}
+
+function failedResult(index, statement, error) {
+    // 4xx from the LRS means the statement itself was refused; anything else may succeed later
+    const refused = error.status >= 400 && error.status < 500;
+    return {
+        index,
+        id: statement.id,
+        status: refused ? 'rejected' : 'failed',
+        retryable: !refused,
+        errors: error.errors ? formatErrors(error.errors) : [error.message]
+    };
+}
+
+function statusForFailures(results) {
+    return results.some(result => result.retryable) ? 502 : 400;
+}
+
+/**
+ * Build the statement that is stored on behalf of the user.
+ * Client supplied authority and stored values are never trusted.
+ */
+function toServerStatement(raw, actor) {
+    const statement = {
+        id: raw.id || uuid.v4(),
+        actor,
+        verb: raw.verb,
+        object: raw.object,
+        timestamp: raw.timestamp
+    };
+
+    if (raw.result) {
+        statement.result = raw.result;
+    }
+    if (raw.context) {
+        statement.context = withoutNulls(raw.context);
+    }
+
+    return statement;
+}
+
+/**
+ * Older portal clients send unset context members (instructor, team) as null, which
+ * xAPI does not allow; they are dropped instead of failing the statement
+ */
+function withoutNulls(context) {
+    if (!isPlainObject(context)) {
+        return context;
+    }
+    return Object.fromEntries(Object.entries(context).filter(([, value]) => value !== null));
+}
+
+/**
+ * Import progress kept as an activity profile document, so an import resumes
+ * on any instance
+ */
+function importCheckpoint(importId) {
+    const activityId = `${xapiService.baseActivityId}/imports`;
+    const profileId = `import-${importId}`;
+
+    return {
+        load: async () => {
+            const document = await xapiService.getActivityProfileDocument(activityId, profileId);
+            return document ? document.data : null;
+        },
+        save: progress => xapiService.saveActivityProfileDocument(activityId, profileId, progress)
+    };
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Error handling middleware for xAPI routes
+ */
+router.use((error, req, res, next) => {
+    logger.error('xAPI route error', {
+        error: error.message,
+        path: req.path,
+        method: req.method
+    });
+
+    res.status(500).json({
+        success: false,
+        error: 'xAPI ingestion error',
+        message: 'An error occurred while processing statements'
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,100 @@
+const express = require('express');
+const xapiConfig = require('../config/xapi');
+const xapiService = require('../services/xapiService');
+const xapiRoutes = require('./xapi');
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+    await xapiConfig.initialize();
+    await xapiService.initialize();
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.isAuthenticated = () => true;
+        req.user = { id: 'u1', email: 'learner@example.com', name: 'Learner', role: 'student' };
+        next();
+    });
+    app.use('/api/xapi', xapiRoutes);
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/xapi`;
+});
+
+afterAll(() => {
+    server.close();
+    xapiService.outbox.close();
+});
+
+function post(body) {
+    return fetch(`${baseUrl}/statements`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+const statement = {
+    actor: { mbox: 'mailto:someone-else@example.com' },
+    verb: { id: 'http://adlnet.gov/expapi/verbs/experienced', display: { 'en-US': 'experienced' } },
+    object: { id: 'http://hulab.edu.hk/pages/dashboard', definition: { name: { 'en-US': 'Dashboard' } } }
+};
+
+describe('POST /api/xapi/statements', () => {
+    test('stores statements as the signed-in user, whatever actor the client sent', async () => {
+        const response = await post(statement);
+        const body = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(body.stored).toBe(1);
+        const stored = await xapiService.lrs.retrieveStatement(body.results[0].id);
+        expect(stored.actor.mbox).toBe('mailto:learner@example.com');
+    });
+
+    test('reports invalid statements of a batch with their paths (207)', async () => {
+        const response = await post([statement, { ...statement, verb: { id: 'not an iri' } }]);
+        const body = await response.json();
+
+        expect(response.status).toBe(207);
+        expect(body.stored).toBe(1);
+        expect(body.results[1].status).toBe('invalid');
+        expect(body.results[1].errors.join(' ')).toMatch(/verb\.id/);
+    });
+
+    test('stores statements with the context the portal client builds', async () => {
+        // Just enough of a browser to load the client
+        global.$ = () => ({ ready: () => {} });
+        global.document = {};
+        global.navigator = { userAgent: 'jest' };
+        global.screen = { width: 1280, height: 800 };
+        const XAPIClient = require('../public/js/xapi-client');
+        const client = Object.create(XAPIClient.prototype);
+        Object.assign(client, { sessionId: XAPIClient.prototype.generateUUID(), contextActivities: {}, extensions: {} });
+
+        try {
+            const context = client.createContext({ parent: [{ id: 'http://hulab.edu.hk/pages' }] });
+            // What clients sent before unset members were left out
+            const legacy = { ...client.createContext(), instructor: null, team: null };
+
+            const response = await post([{ ...statement, context }, { ...statement, context: legacy }]);
+            const body = await response.json();
+
+            expect(response.status).toBe(200);
+            expect(body.results.map(result => result.status)).toEqual(['stored', 'stored']);
+            const stored = await xapiService.lrs.retrieveStatement(body.results[1].id);
+            expect(stored.context).not.toHaveProperty('instructor');
+            expect(stored.context.registration).toBe(client.sessionId);
+        } finally {
+            delete global.$;
+            delete global.document;
+            delete global.navigator;
+            delete global.screen;
+        }
+    });
+
+    test('rejects batches over the limit', async () => {
+        const response = await post(Array.from({ length: 101 }, () => statement));
+        expect(response.status).toBe(413);
+    });
+});
@@ -42,6 +42,13 @@ const logger = winston.createLogger({
 const authConfig = require('./config/auth');
 const xapiConfig = require('./config/xapi');
 const gcsConfig = require('./config/gcs');
+const storageConfig = require('./config/storage');
+// Refuses to start when STORAGE_DRIVER and the GCS settings disagree
+storageConfig.getDriverType();
+const xapiService = require('./services/xapiService');
+const quotaService = require('./services/quotaService');
+const trashService = require('./services/trashService');
+const notificationService = require('./services/notificationService');
 
 // Import middleware
 const { xapiLogger } = require('./middleware/xapiLogger');
@@ -54,6 +61,15 @@ const apiRoutes = require('./routes/api');
 const researchRoutes = require('./routes/research');
 const analyticsRoutes = require('./routes/analytics');
 const collaborationRoutes = require('./routes/collaboration');
+const xapiRoutes = require('./routes/xapi');
+const identityRoutes = require('./routes/identities');
+const privacyRoutes = require('./routes/privacy');
+const storageRoutes = require('./routes/storage');
+const uploadRoutes = require('./routes/uploads');
+const quotaRoutes = require('./routes/quotas');
+const notificationRoutes = require('./routes/notifications');
+const searchRoutes = require('./routes/search');
+const trashRoutes = require('./routes/trash');
 
 // Security middleware
 app.use(helmet({
@@ -81,10 +97,16 @@ app.use(cors({
 const limiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 100, // Limit each IP to 100 requests per windowMs
-    message: 'Too many requests from this IP, please try again later.'
+    message: 'Too many requests from this IP, please try again later.',
+    // A resumable upload sends one request per chunk
+    skip: (req) => req.method === 'PUT' && /^\/uploads\/[^/]+\/chunks\//.test(req.path)
 });
 app.use('/api', limiter);
 
+// Signed URLs of the local and memory storage drivers; uploads read the raw body,
+// so this is mounted before the body parsers
+app.use('/storage', storageRoutes);
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -155,6 +177,14 @@ app.use('/api', apiRoutes);
 app.use('/api/research', researchRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/collaboration', collaborationRoutes);
+app.use('/api/xapi', xapiRoutes);
+app.use('/api/identities', identityRoutes);
+app.use('/api/privacy', privacyRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/quotas', quotaRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/trash', trashRoutes);
 
 // Serve HTML pages
 app.get('/', (req, res) => {
@@ -268,17 +298,25 @@ app.get('/about', (req, res) => {
     res.sendFile(path.join(__dirname, 'views', 'about.html'));
 });
 
+// Public xAPI Profile describing the portal's verbs, activity types and statement templates
+app.get('/xapi/profile', (req, res) => {
+    const url = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+    res.type('application/ld+json').json(xapiService.getProfileDocument(url));
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.json({
         status: 'healthy',
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
-        environment: process.env.NODE_ENV
+        environment: process.env.NODE_ENV,
+        xapiOutbox: xapiService.getOutboxStats()
     });
 });
 
 // WebSocket configuration for real-time features
+notificationService.attach(io);
 io.use((socket, next) => {
     const sessionMiddleware = session({
         secret: process.env.SESSION_SECRET || 'default-secret-change-in-production',
@@ -295,6 +333,12 @@ io.on('connection', (socket) => {
     if (socket.request.session && socket.request.session.userId) {
         socket.join(`user:${socket.request.session.userId}`);
     }
+
+    // Join the room notifications for the signed-in user are pushed to
+    const sessionUser = socket.request.session?.passport?.user;
+    if (sessionUser && sessionUser.email) {
+        socket.join(notificationService.room(sessionUser.email));
+    }
     
     // Handle joining project rooms
     socket.on('join-project', (projectId) => {
@@ -314,7 +358,6 @@ io.on('connection', (socket) => {
         });
         
         // Log collaboration activity to xAPI
-        const xapiService = require('./services/xapiService');
         xapiService.logCollaboration({
             userId: socket.request.session.userId,
             projectId: data.projectId,
@@ -372,15 +415,25 @@ httpServer.listen(PORT, () => {
     // Initialize services
     xapiConfig.initialize().then(() => {
         logger.info('xAPI service initialized');
+        // Starts delivery of statements left in the outbox by a previous run
+        return xapiService.initialize();
+    }).then(() => {
+        // Warns users nearing their storage quota
+        quotaService.start();
+        // Purges trashed files and projects once they expire
+        trashService.start();
     }).catch(err => {
         logger.error('Failed to initialize xAPI service:', err);
     });
     
-    gcsConfig.initialize().then(() => {
-        logger.info('Google Cloud Storage service initialized');
-    }).catch(err => {
-        logger.error('Failed to initialize GCS service:', err);
-    });
+    // Bucket CORS only applies when files are kept in GCS
+    if (storageConfig.getDriverType() === 'gcs') {
+        gcsConfig.initialize().then(() => {
+            logger.info('Google Cloud Storage service initialized');
+        }).catch(err => {
+            logger.error('Failed to initialize GCS service:', err);
+        });
+    }
 });
 
 // Graceful shutdown
@@ -5,8 +5,149 @@
  */
 
 const xapiService = require('./xapiService');
+const identityService = require('./identityService');
+const { exportStatements, exportCaliperEnvelope, exportTable } = require('./lrs');
 const moment = require('moment');
 
+// Failed statements kept for the real-time error breakdown
+const ERROR_SAMPLE_SIZE = 100;
+
+// Export formats of analytics events, each writing a statement stream to an output
+const EXPORT_WRITERS = {
+    xapi: async (statements, output) => ({ count: await exportStatements(statements, output) }),
+    caliper: (statements, output) => exportCaliperEnvelope(statements, output),
+    csv: async (statements, output) => ({ count: await exportTable(statements, output) })
+};
+
+/**
+ * Running totals over a stream of statements. Analytics add statements one at a time
+ * as they are paged from the LRS, so only the aggregates are held in memory.
+ */
+class StatementSummary {
+    constructor(options = {}) {
+        this.recentLimit = options.recentLimit || 10;
+        // Counts linked actors of one user together when given an identity resolver
+        this.actorKey = options.actorKey || (actor => actor.mbox);
+        this.total = 0;
+        this.verbIds = new Set();
+        this.verbCounts = {};
+        this.userCounts = {};
+        this.projects = new Set();
+        this.hours = {};
+        this.days = new Set();
+        this.oldestTimestamp = null;
+        this.attempts = 0;
+        this.completions = 0;
+        this.collaborations = 0;
+        this.collaborationPartners = new Set();
+        this.recent = [];
+    }
+
+    static from(statements) {
+        const summary = new StatementSummary();
+        statements.forEach(statement => summary.add(statement));
+        return summary;
+    }
+
+    add(s) {
+        const verbId = s.verb.id;
+        const verb = s.verb.display?.['en-US'];
+
+        this.total++;
+        this.verbIds.add(verbId);
+        this.verbCounts[verb] = (this.verbCounts[verb] || 0) + 1;
+        const user = this.actorKey(s.actor);
+        this.userCounts[user] = (this.userCounts[user] || 0) + 1;
+
+        const projectId = s.context?.contextActivities?.parent?.[0]?.id;
+        if (projectId && projectId.includes('/project/')) {
+            this.projects.add(projectId);
+        }
+
+        const timestamp = moment(s.timestamp);
+        this.hours[timestamp.hour()] = (this.hours[timestamp.hour()] || 0) + 1;
+        this.days.add(timestamp.format('YYYY-MM-DD'));
+        if (!this.oldestTimestamp || timestamp.isBefore(this.oldestTimestamp)) {
+            this.oldestTimestamp = timestamp;
+        }
+
+        if (verbId.includes('attempted') || verbId.includes('started')) {
+            this.attempts++;
+        }
+        if (verbId.includes('completed') || verbId.includes('finished')) {
+            this.completions++;
+        }
+        if (verbId.includes('collaborated') || verbId.includes('shared') || verbId.includes('commented')) {
+            this.collaborations++;
+            // context.team is a Group; older statements used a bare array of agents
+            const team = s.context?.team;
+            const members = Array.isArray(team) ? team : (team?.member || []);
+            members.forEach(member => this.collaborationPartners.add(member.mbox));
+        }
+
+        // The newest statements, newest first, whichever linked actor's query they came from
+        const time = Date.parse(s.timestamp);
+        const oldest = this.recent[this.recent.length - 1];
+        if (this.recent.length < this.recentLimit || time > Date.parse(oldest.timestamp)) {
+            const at = this.recent.findIndex(other => Date.parse(other.timestamp) < time);
+            this.recent.splice(at === -1 ? this.recent.length : at, 0, s);
+            this.recent.length = Math.min(this.recent.length, this.recentLimit);
+        }
+    }
+
+    get uniqueUsers() {
+        return Object.keys(this.userCounts).length;
+    }
+
+    completionRate() {
+        return this.attempts > 0 ? (this.completions / this.attempts) * 100 : 0;
+    }
+
+    consistency() {
+        if (this.total === 0) return 0;
+        const totalDays = moment().diff(this.oldestTimestamp, 'days') + 1;
+        return Math.min(this.days.size / totalDays, 1);
+    }
+
+    engagementScore() {
+        // Complex engagement calculation based on various factors
+        const factors = {
+            activity: Math.min(this.total / 100, 1) * 0.4, // Activity volume
+            diversity: (this.verbIds.size / 10) * 0.3, // Action diversity
+            consistency: this.consistency() * 0.2, // Regular usage
+            completion: this.completionRate() / 100 * 0.1 // Task completion
+        };
+
+        return Math.round((factors.activity + factors.diversity + factors.consistency + factors.completion) * 100);
+    }
+
+    collaborationIndex() {
+        return {
+            score: this.total > 0 ? Math.min((this.collaborations / this.total) * 100, 100) : 0,
+            interactions: this.collaborations,
+            uniquePartners: this.collaborationPartners.size
+        };
+    }
+
+    topActivities() {
+        return Object.entries(this.verbCounts)
+            .sort(([,a], [,b]) => b - a)
+            .slice(0, 5)
+            .map(([verb, count]) => ({ verb, count }));
+    }
+
+    userRankings() {
+        return Object.entries(this.userCounts)
+            .sort(([,a], [,b]) => b - a)
+            .slice(0, 10)
+            .map(([email, count], index) => ({
+                rank: index + 1,
+                user: email.replace('mailto:', ''),
+                activities: count
+            }));
+    }
+}
+
 class AnalyticsService {
     constructor() {
         this.initialized = false;
@@ -101,37 +242,33 @@ class AnalyticsService {
 
             const dateRange = this.timeRanges[timeRange]();
             const queryParams = {
-                limit: 10000,
                 since: dateRange.since,
                 until: dateRange.until
             };
 
             if (userEmail) {
-                queryParams.agent = xapiService.createActor({ email: userEmail });
+                queryParams.agents = await identityService.getActors(userEmail);
             }
 
-            const statements = await xapiService.getStatements(queryParams);
+            const { summary, truncated } = await this.summarizeStatements(queryParams);
 
             const overview = {
-                totalActivities: statements.length,
-                uniqueUsers: userEmail ? 1 : new Set(statements.map(s => s.actor.mbox)).size,
-                activeProjects: new Set(statements
-                    .filter(s => s.context?.contextActivities?.parent)
-                    .map(s => s.context.contextActivities.parent[0]?.id)
-                    .filter(id => id && id.includes('/project/'))
-                ).size,
-                completionRate: this.calculateCompletionRate(statements),
-                engagementScore: this.calculateEngagementScore(statements),
-                collaborationIndex: this.calculateCollaborationIndex(statements),
-                topActivities: this.getTopActivities(statements),
-                recentActivities: statements.slice(0, 10).map(s => ({
+                totalActivities: summary.total,
+                uniqueUsers: userEmail ? 1 : summary.uniqueUsers,
+                activeProjects: summary.projects.size,
+                completionRate: summary.completionRate(),
+                engagementScore: summary.engagementScore(),
+                collaborationIndex: summary.collaborationIndex(),
+                topActivities: summary.topActivities(),
+                recentActivities: summary.recent.map(s => ({
                     user: s.actor.name || s.actor.mbox.replace('mailto:', ''),
                     action: s.verb.display['en-US'],
                     object: s.object.definition?.name?.['en-US'] || s.object.id,
                     timestamp: s.timestamp
                 })),
-                timeDistribution: this.getTimeDistribution(statements),
-                userRankings: userEmail ? null : this.getUserRankings(statements),
+                timeDistribution: summary.hours,
+                userRankings: userEmail ? null : summary.userRankings(),
+                truncated: truncated,
                 timeRange: timeRange,
                 generatedAt: new Date().toISOString()
             };
@@ -154,7 +291,10 @@ class AnalyticsService {
             if (!this.initialized) await this.initialize();
 
             const dateRange = this.timeRanges[timeRange]();
-            const statements = await xapiService.getUserActivities(userEmail, 1000, dateRange.since);
+            const statements = await this.fetchStatements({
+                agents: await identityService.getActors(userEmail),
+                since: dateRange.since
+            }, 1000);
 
             const analytics = {
                 user: userEmail,
@@ -188,7 +328,9 @@ class AnalyticsService {
             if (!this.initialized) await this.initialize();
 
             const dateRange = timeRange !== 'all' ? this.timeRanges[timeRange]() : null;
-            const statements = await xapiService.getProjectActivities(projectId, 1000);
+            const statements = await this.fetchStatements({
+                activity: { id: `${xapiService.baseActivityId}/project/${projectId}` }
+            }, 1000);
 
             const filteredStatements = dateRange ? 
                 statements.filter(s => moment(s.timestamp).isBetween(dateRange.since, dateRange.until)) :
@@ -227,7 +369,6 @@ class AnalyticsService {
 
             const dateRange = this.timeRanges[timeRange]();
             const queryParams = {
-                limit: 5000,
                 since: dateRange.since,
                 until: dateRange.until
             };
@@ -236,7 +377,7 @@ class AnalyticsService {
                 queryParams.activity = { id: activityId };
             }
 
-            const statements = await xapiService.getStatements(queryParams);
+            const statements = await this.fetchStatements(queryParams, 5000);
 
             const analytics = {
                 activityId: activityId,
@@ -285,12 +426,11 @@ class AnalyticsService {
             const dateRange = this.timeRanges[timeRange]();
             const queryParams = {
                 verb: xapiService.customVerbs.collaborated,
-                limit: 2000,
                 since: dateRange.since,
                 until: dateRange.until
             };
 
-            const statements = await xapiService.getStatements(queryParams);
+            const statements = await this.fetchStatements(queryParams, 2000);
             const filteredStatements = projectId ? 
                 statements.filter(s => s.object.id.includes(`/project/${projectId}`)) :
                 statements;
@@ -351,24 +491,25 @@ class AnalyticsService {
 
             const dateRange = this.timeRanges[timeRange]();
             const queryParams = {
-                limit: 10000,
                 since: dateRange.since,
                 until: dateRange.until
             };
 
             // Apply filters
-            if (userEmail) queryParams.agent = xapiService.createActor({ email: userEmail });
+            if (userEmail) queryParams.agents = await identityService.getActors(userEmail);
             if (projectId) queryParams.activity = { id: `${xapiService.baseActivityId}/project/${projectId}` };
 
-            const statements = await xapiService.getStatements(queryParams);
-            const filteredStatements = this.applyFilters(statements, filters);
+            const { summary, truncated } = await this.summarizeStatements(queryParams, {
+                filter: statement => this.matchesFilters(statement, filters)
+            });
 
             const report = {
                 reportConfig: reportConfig,
                 metadata: {
                     generatedAt: new Date().toISOString(),
                     dataRange: dateRange,
-                    totalStatements: filteredStatements.length,
+                    totalStatements: summary.total,
+                    truncated: truncated,
                     reportId: require('uuid').v4()
                 },
                 data: {}
@@ -378,28 +519,28 @@ class AnalyticsService {
             for (const metric of metrics) {
                 switch (metric) {
                     case 'engagement':
-                        report.data.engagement = await this.generateEngagementMetrics(filteredStatements, groupBy);
+                        report.data.engagement = await this.generateEngagementMetrics(summary, groupBy);
                         break;
                     case 'learning':
-                        report.data.learning = await this.generateLearningMetrics(filteredStatements, groupBy);
+                        report.data.learning = await this.generateLearningMetrics(summary, groupBy);
                         break;
                     case 'collaboration':
-                        report.data.collaboration = await this.generateCollaborationMetrics(filteredStatements, groupBy);
+                        report.data.collaboration = await this.generateCollaborationMetrics(summary, groupBy);
                         break;
                     case 'content':
-                        report.data.content = await this.generateContentMetrics(filteredStatements, groupBy);
+                        report.data.content = await this.generateContentMetrics(summary, groupBy);
                         break;
                     case 'assessment':
-                        report.data.assessment = await this.generateAssessmentMetrics(filteredStatements, groupBy);
+                        report.data.assessment = await this.generateAssessmentMetrics(summary, groupBy);
                         break;
                     case 'research':
-                        report.data.research = await this.generateResearchMetrics(filteredStatements, groupBy);
+                        report.data.research = await this.generateResearchMetrics(summary, groupBy);
                         break;
                     case 'ai':
-                        report.data.ai = await this.generateAIMetrics(filteredStatements, groupBy);
+                        report.data.ai = await this.generateAIMetrics(summary, groupBy);
                         break;
                     case 'platform':
-                        report.data.platform = await this.generatePlatformMetrics(filteredStatements, groupBy);
+                        report.data.platform = await this.generatePlatformMetrics(summary, groupBy);
                         break;
                 }
             }
@@ -432,42 +573,51 @@ class AnalyticsService {
             const endTime = moment();
             const startTime = endTime.clone().subtract(windowSize, 'minutes');
 
-            const statements = await xapiService.getStatements({
+            // Every failure is counted, but only a capped sample is kept in memory
+            const errors = { count: 0, sample: [] };
+            const { summary, truncated } = await this.summarizeStatements({
                 since: startTime.toISOString(),
-                until: endTime.toISOString(),
-                limit: 1000
+                until: endTime.toISOString()
+            }, {
+                each: s => {
+                    if (s.result && s.result.success === false) {
+                        errors.count++;
+                        if (errors.sample.length < ERROR_SAMPLE_SIZE) {
+                            errors.sample.push(s);
+                        }
+                    }
+                }
             });
 
             const realtimeMetrics = {
                 timestamp: new Date().toISOString(),
                 windowSize: windowSize,
+                truncated: truncated,
                 metrics: {}
             };
 
             if (metrics.includes('activity')) {
                 realtimeMetrics.metrics.activity = {
-                    total: statements.length,
-                    rate: statements.length / windowSize, // activities per minute
-                    breakdown: this.getActivityBreakdown(statements)
+                    total: summary.total,
+                    rate: summary.total / windowSize, // activities per minute
+                    breakdown: summary.verbCounts
                 };
             }
 
             if (metrics.includes('users')) {
-                const activeUsers = new Set(statements.map(s => s.actor.mbox));
+                const activeUsers = Object.keys(summary.userCounts);
                 realtimeMetrics.metrics.users = {
-                    active: activeUsers.size,
-                    list: Array.from(activeUsers).map(mbox => mbox.replace('mailto:', ''))
+                    active: activeUsers.length,
+                    list: activeUsers.map(mbox => mbox.replace('mailto:', ''))
                 };
             }
 
             if (metrics.includes('errors')) {
-                const errorStatements = statements.filter(s => 
-                    s.result && s.result.success === false
-                );
                 realtimeMetrics.metrics.errors = {
-                    count: errorStatements.length,
-                    rate: errorStatements.length / statements.length,
-                    types: this.categorizeErrors(errorStatements)
+                    count: errors.count,
+                    rate: summary.total > 0 ? errors.count / summary.total : 0,
+                    types: this.categorizeErrors(errors.sample),
+                    sampled: errors.count > errors.sample.length
                 };
             }
 
@@ -481,112 +631,156 @@ class AnalyticsService {
     /**
      * Helper methods for analytics calculations
      */
-    calculateCompletionRate(statements) {
-        const attempts = statements.filter(s => 
-            s.verb.id.includes('attempted') || s.verb.id.includes('started')
-        ).length;
-        const completions = statements.filter(s => 
-            s.verb.id.includes('completed') || s.verb.id.includes('finished')
-        ).length;
-        
-        return attempts > 0 ? (completions / attempts) * 100 : 0;
-    }
+    /**
+     * Statements for an analytics computation. Voided statements (and the voiding
+     * statements themselves) never count towards analytics.
+     * queryParams.agents (a user's linked actors) queries each actor in turn.
+     */
+    async fetchStatements(queryParams, limit) {
+        const queries = this.agentQueries(queryParams);
+        const statements = [];
 
-    calculateEngagementScore(statements) {
-        // Complex engagement calculation based on various factors
-        const factors = {
-            activity: Math.min(statements.length / 100, 1) * 0.4, // Activity volume
-            diversity: (new Set(statements.map(s => s.verb.id)).size / 10) * 0.3, // Action diversity
-            consistency: this.calculateConsistency(statements) * 0.2, // Regular usage
-            completion: this.calculateCompletionRate(statements) / 100 * 0.1 // Task completion
-        };
+        for (const query of queries) {
+            statements.push(...await xapiService.iterateStatements(query, { maxStatements: limit, excludeVoided: true }).toArray());
+        }
 
-        return Math.round((factors.activity + factors.diversity + factors.consistency + factors.completion) * 100);
+        if (queries.length === 1) {
+            return statements;
+        }
+        return statements
+            .sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp))
+            .slice(0, limit);
     }
 
-    calculateCollaborationIndex(statements) {
-        const collaborationStatements = statements.filter(s => 
-            s.verb.id.includes('collaborated') || 
-            s.verb.id.includes('shared') ||
-            s.verb.id.includes('commented')
-        );
-
-        const uniqueCollaborators = new Set();
-        collaborationStatements.forEach(s => {
-            if (s.context && s.context.team) {
-                s.context.team.forEach(member => uniqueCollaborators.add(member.mbox));
+    agentQueries(queryParams) {
+        const { agents, ...query } = queryParams;
+        if (!agents) {
+            return [query];
+        }
+        return agents.map(agent => ({ ...query, agent }));
+    }
+
+    /**
+     * Stream the statements matching a query into a StatementSummary.
+     * options.filter skips statements, options.each sees every counted statement,
+     * options.maxStatements and options.signal are passed to the statement cursor.
+     */
+    async summarizeStatements(queryParams, options = {}) {
+        const summary = new StatementSummary({ actorKey: await identityService.getResolver() });
+        let truncated = false;
+
+        for (const query of this.agentQueries(queryParams)) {
+            const cursor = xapiService.iterateStatements(query, {
+                maxStatements: options.maxStatements,
+                signal: options.signal,
+                excludeVoided: true
+            });
+
+            for await (const statement of cursor) {
+                if (options.filter && !options.filter(statement)) {
+                    continue;
+                }
+                summary.add(statement);
+                if (options.each) {
+                    options.each(statement);
+                }
             }
-        });
+            truncated = truncated || cursor.truncated;
+        }
 
-        return {
-            score: Math.min((collaborationStatements.length / statements.length) * 100, 100),
-            interactions: collaborationStatements.length,
-            uniquePartners: uniqueCollaborators.size
-        };
+        return { summary, truncated };
     }
 
-    getTopActivities(statements) {
-        const activityCounts = {};
-        statements.forEach(s => {
-            const verb = s.verb.display['en-US'];
-            activityCounts[verb] = (activityCounts[verb] || 0) + 1;
+    /**
+     * Stream the statements of an analytics query to output in an export format:
+     * xapi (JSON Lines), caliper (IMS Caliper 1.2 envelope) or csv (one row per event).
+     * filters: { timeRange, since, until, userEmail, projectId, verb }; since/until
+     * override the time range preset. Voided statements are never exported.
+     * options.limit caps the rows of the whole export, across the user's linked
+     * identities; options.signal is passed to the statement cursors.
+     */
+    async exportEvents(format, filters = {}, output, options = {}) {
+        if (!this.initialized) await this.initialize();
+
+        if (!Object.prototype.hasOwnProperty.call(EXPORT_WRITERS, format)) {
+            const error = new Error(`format must be one of: ${Object.keys(EXPORT_WRITERS).join(', ')}`);
+            error.status = 400;
+            throw error;
+        }
+
+        const { timeRange = 'last30days', userEmail = null, projectId = null } = filters;
+        if (!filters.since && !Object.prototype.hasOwnProperty.call(this.timeRanges, timeRange)) {
+            const error = new Error(`timeRange must be one of: ${Object.keys(this.timeRanges).join(', ')}`);
+            error.status = 400;
+            throw error;
+        }
+        const dateRange = filters.since ? {} : this.timeRanges[timeRange]();
+
+        const queryParams = xapiService.exportQuery({
+            since: filters.since || dateRange.since,
+            until: filters.until || dateRange.until,
+            verb: filters.verb,
+            activity: projectId ? `${xapiService.baseActivityId}/project/${projectId}` : null,
+            related_activities: !!projectId
         });
+        if (userEmail) queryParams.agents = await identityService.getActors(userEmail);
+
+        let truncated = false;
+        const queries = this.agentQueries(queryParams);
+        const statements = (async function* () {
+            let remaining = options.limit || Infinity;
+            for (const [index, query] of queries.entries()) {
+                const cursor = xapiService.iterateStatements(query, {
+                    maxStatements: remaining,
+                    signal: options.signal,
+                    excludeVoided: true
+                });
+                yield* cursor;
+                truncated = truncated || cursor.truncated;
+
+                remaining -= cursor.count;
+                if (remaining <= 0) {
+                    // Identities not read yet may hold more statements
+                    truncated = truncated || index < queries.length - 1;
+                    return;
+                }
+            }
+        })();
 
-        return Object.entries(activityCounts)
-            .sort(([,a], [,b]) => b - a)
-            .slice(0, 5)
-            .map(([verb, count]) => ({ verb, count }));
+        const result = await EXPORT_WRITERS[format](statements, output);
+        return { format, ...result, truncated };
     }
 
-    getTimeDistribution(statements) {
-        const hours = {};
-        statements.forEach(s => {
-            const hour = moment(s.timestamp).hour();
-            hours[hour] = (hours[hour] || 0) + 1;
-        });
+    calculateCompletionRate(statements) {
+        return StatementSummary.from(statements).completionRate();
+    }
 
-        return hours;
+    calculateEngagementScore(statements) {
+        return StatementSummary.from(statements).engagementScore();
     }
 
-    getUserRankings(statements) {
-        const userActivity = {};
-        statements.forEach(s => {
-            const user = s.actor.mbox;
-            userActivity[user] = (userActivity[user] || 0) + 1;
-        });
+    calculateCollaborationIndex(statements) {
+        return StatementSummary.from(statements).collaborationIndex();
+    }
 
-        return Object.entries(userActivity)
-            .sort(([,a], [,b]) => b - a)
-            .slice(0, 10)
-            .map(([email, count], index) => ({
-                rank: index + 1,
-                user: email.replace('mailto:', ''),
-                activities: count
-            }));
+    getTopActivities(statements) {
+        return StatementSummary.from(statements).topActivities();
     }
 
-    getActivityBreakdown(statements) {
-        const breakdown = {};
-        statements.forEach(s => {
-            const verb = s.verb.display['en-US'];
-            breakdown[verb] = (breakdown[verb] || 0) + 1;
-        });
-        return breakdown;
+    getTimeDistribution(statements) {
+        return StatementSummary.from(statements).hours;
     }
 
-    calculateConsistency(statements) {
-        if (statements.length === 0) return 0;
+    getUserRankings(statements) {
+        return StatementSummary.from(statements).userRankings();
+    }
 
-        const days = {};
-        statements.forEach(s => {
-            const day = moment(s.timestamp).format('YYYY-MM-DD');
-            days[day] = true;
-        });
+    getActivityBreakdown(statements) {
+        return StatementSummary.from(statements).verbCounts;
+    }
 
-        const activeDays = Object.keys(days).length;
-        const totalDays = moment().diff(moment(statements[statements.length - 1].timestamp), 'days') + 1;
-        
-        return Math.min(activeDays / totalDays, 1);
+    calculateConsistency(statements) {
+        return StatementSummary.from(statements).consistency();
     }
 
     // Additional helper methods would be implemented here for:
@@ -669,6 +863,7 @@ class AnalyticsService {
             return {
                 status: 'healthy',
                 xapiConnection: xapiHealth.status,
+                xapiOutbox: xapiHealth.outbox,
                 cacheSize: this.cache.size,
                 availableMetrics: Object.keys(this.metrics).length,
                 timestamp: new Date().toISOString()
@@ -677,6 +872,7 @@ class AnalyticsService {
             return {
                 status: 'unhealthy',
                 error: error.message,
+                xapiOutbox: xapiService.getOutboxStats(),
                 timestamp: new Date().toISOString()
             };
         }
@@ -701,46 +897,97 @@ class AnalyticsService {
     }
 
     applyFilters(statements, filters) {
-        // Implementation would apply various filters to statements
-        return statements;
+        return statements.filter(statement => this.matchesFilters(statement, filters));
+    }
+
+    /**
+     * Whether a statement passes a custom report's filters; every filter given must match.
+     * verbs (IRIs or display names) and activityTypes (object definition types) take one
+     * value or a list; success and completion compare the result flags; minScore and
+     * maxScore bound result.score.scaled; platform compares context.platform.
+     */
+    matchesFilters(statement, filters = {}) {
+        const { verbs, activityTypes, success, completion, minScore, maxScore, platform } = filters;
+        const given = value => value !== undefined && value !== null;
+        const list = value => (Array.isArray(value) ? value : [value]);
+        const result = statement.result || {};
+        const scaled = result.score ? result.score.scaled : undefined;
+
+        if (given(verbs)) {
+            const verb = statement.verb || {};
+            if (!list(verbs).some(name => name === verb.id || name === verb.display?.['en-US'])) {
+                return false;
+            }
+        }
+        if (given(activityTypes) && !list(activityTypes).includes(statement.object?.definition?.type)) {
+            return false;
+        }
+        if (given(success) && result.success !== success) {
+            return false;
+        }
+        if (given(completion) && result.completion !== completion) {
+            return false;
+        }
+        if (given(minScore) && !(typeof scaled === 'number' && scaled >= Number(minScore))) {
+            return false;
+        }
+        if (given(maxScore) && !(typeof scaled === 'number' && scaled <= Number(maxScore))) {
+            return false;
+        }
+        if (given(platform) && statement.context?.platform !== platform) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Failed statements (result.success false) grouped by verb
+     */
+    categorizeErrors(statements) {
+        const types = {};
+        statements.forEach(statement => {
+            const verb = statement.verb.display?.['en-US'] || statement.verb.id;
+            types[verb] = (types[verb] || 0) + 1;
+        });
+        return types;
     }
 
-    generateEngagementMetrics(statements, groupBy) {
+    generateEngagementMetrics(summary, groupBy) {
         // Implementation would generate detailed engagement metrics
-        return { totalEngagement: statements.length, breakdown: {} };
+        return { totalEngagement: summary.total, breakdown: summary.verbCounts };
     }
 
-    generateLearningMetrics(statements, groupBy) {
+    generateLearningMetrics(summary, groupBy) {
         // Implementation would generate learning-specific metrics
         return { learningOutcomes: {}, progressTracking: {} };
     }
 
-    generateCollaborationMetrics(statements, groupBy) {
+    generateCollaborationMetrics(summary, groupBy) {
         // Implementation would generate collaboration metrics
         return { collaborationIndex: 0, networkMetrics: {} };
     }
 
-    generateContentMetrics(statements, groupBy) {
+    generateContentMetrics(summary, groupBy) {
         // Implementation would analyze content usage patterns
         return { contentUsage: {}, popularContent: [] };
     }
 
-    generateAssessmentMetrics(statements, groupBy) {
+    generateAssessmentMetrics(summary, groupBy) {
         // Implementation would analyze assessment performance
         return { assessmentResults: {}, performanceTrends: {} };
     }
 
-    generateResearchMetrics(statements, groupBy) {
+    generateResearchMetrics(summary, groupBy) {
         // Implementation would track research project metrics
         return { researchProgress: {}, outputMetrics: {} };
     }
 
-    generateAIMetrics(statements, groupBy) {
+    generateAIMetrics(summary, groupBy) {
         // Implementation would analyze AI interaction patterns
         return { aiUsage: {}, effectivenessMetrics: {} };
     }
 
-    generatePlatformMetrics(statements, groupBy) {
+    generatePlatformMetrics(summary, groupBy) {
         // Implementation would provide platform usage analytics
         return { platformHealth: {}, usagePatterns: {} };
     }
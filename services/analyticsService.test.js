@@ -0,0 +1,127 @@
+const { Writable } = require('stream');
+const uuid = require('uuid');
+const xapiConfig = require('../config/xapi');
+const xapiService = require('./xapiService');
+const analyticsService = require('./analyticsService');
+
+beforeAll(async () => {
+    await xapiConfig.initialize();
+    await xapiService.initialize();
+});
+
+afterAll(() => {
+    xapiService.outbox.close();
+});
+
+function statement(overrides = {}) {
+    return {
+        actor: { mbox: 'mailto:learner@example.com' },
+        verb: { id: 'http://adlnet.gov/expapi/verbs/completed', display: { 'en-US': 'completed' } },
+        object: { id: 'http://hulab.edu.hk/lesson/1', definition: { type: 'http://adlnet.gov/expapi/activities/lesson' } },
+        result: { success: true, completion: true, score: { scaled: 0.8 } },
+        context: { platform: 'Hu Lab Portal' },
+        ...overrides
+    };
+}
+
+describe('analyticsService.matchesFilters', () => {
+    test('passes every statement without filters', () => {
+        expect(analyticsService.matchesFilters(statement(), {})).toBe(true);
+    });
+
+    test('matches verbs by IRI or display name', () => {
+        expect(analyticsService.matchesFilters(statement(), { verbs: 'completed' })).toBe(true);
+        expect(analyticsService.matchesFilters(statement(), { verbs: ['http://adlnet.gov/expapi/verbs/completed'] })).toBe(true);
+        expect(analyticsService.matchesFilters(statement(), { verbs: ['attempted'] })).toBe(false);
+    });
+
+    test('requires every given filter to match', () => {
+        const filters = { activityTypes: 'http://adlnet.gov/expapi/activities/lesson', success: true, minScore: 0.5, maxScore: 0.9, platform: 'Hu Lab Portal' };
+
+        expect(analyticsService.matchesFilters(statement(), filters)).toBe(true);
+        expect(analyticsService.matchesFilters(statement({ result: { success: false, score: { scaled: 0.8 } } }), filters)).toBe(false);
+        expect(analyticsService.matchesFilters(statement({ result: { success: true, score: { scaled: 0.95 } } }), filters)).toBe(false);
+        expect(analyticsService.matchesFilters(statement({ result: { success: true } }), filters)).toBe(false);
+        expect(analyticsService.matchesFilters(statement({ context: {} }), filters)).toBe(false);
+    });
+
+    test('matches completion flags', () => {
+        expect(analyticsService.matchesFilters(statement({ result: {} }), { completion: true })).toBe(false);
+        expect(analyticsService.matchesFilters(statement(), { completion: true })).toBe(true);
+    });
+});
+
+describe('analyticsService.getRealtimeAnalytics', () => {
+    test('counts every failure but keeps only a capped sample', async () => {
+        const failed = [];
+        for (let i = 0; i < 105; i++) {
+            failed.push(statement({
+                verb: { id: 'http://adlnet.gov/expapi/verbs/failed', display: { 'en-US': 'failed' } },
+                result: { success: false },
+                timestamp: new Date().toISOString()
+            }));
+        }
+        await xapiService.lrs.saveStatements(failed.map(s => ({ ...s, id: uuid.v4() })));
+
+        const realtime = await analyticsService.getRealtimeAnalytics({ metrics: ['errors'] });
+
+        expect(realtime.metrics.errors.count).toBe(105);
+        expect(realtime.metrics.errors.types).toEqual({ failed: 100 });
+        expect(realtime.metrics.errors.sampled).toBe(true);
+    });
+});
+
+describe('analyticsService.exportEvents', () => {
+    test('caps the whole export at limit across linked identities', async () => {
+        const identityService = require('./identityService');
+        const emails = ['export-a@example.com', 'export-b@example.com'];
+        await identityService.link(emails.map(value => ({ type: 'email', value })));
+        await xapiService.lrs.saveStatements(emails.flatMap(email => [1, 2].map(() => ({
+            ...statement({ actor: { mbox: `mailto:${email}` } }),
+            id: uuid.v4(),
+            timestamp: new Date().toISOString()
+        }))));
+
+        const exported = async limit => {
+            const chunks = [];
+            const output = new Writable({
+                write(chunk, encoding, callback) {
+                    chunks.push(chunk);
+                    callback();
+                }
+            });
+            const result = await analyticsService.exportEvents('xapi', { userEmail: emails[0] }, output, { limit });
+            return { result, lines: Buffer.concat(chunks).toString().trim().split('\n').filter(Boolean) };
+        };
+
+        const capped = await exported(3);
+        expect(capped.lines).toHaveLength(3);
+        expect(capped.result.truncated).toBe(true);
+
+        const all = await exported();
+        expect(all.lines).toHaveLength(4);
+        expect(all.result.truncated).toBe(false);
+    });
+});
+
+describe('analyticsService.getDashboardOverview', () => {
+    test('lists the most recent activities across linked identities', async () => {
+        const identityService = require('./identityService');
+        const emails = [`recent-a-${uuid.v4()}@example.com`, `recent-b-${uuid.v4()}@example.com`];
+        await identityService.link(emails.map(value => ({ type: 'email', value })));
+        const now = Date.now();
+        // The first address has older activity than the second's
+        await xapiService.lrs.saveStatements(emails.flatMap((email, index) => Array.from({ length: 10 }, (value, i) => ({
+            ...statement({ actor: { mbox: `mailto:${email}` } }),
+            id: uuid.v4(),
+            timestamp: new Date(now - ((1 - index) * 60 + i) * 60 * 1000).toISOString()
+        }))));
+
+        const overview = await analyticsService.getDashboardOverview(emails[0], 'last7days');
+
+        expect(overview.recentActivities).toHaveLength(10);
+        expect(overview.recentActivities.every(activity => activity.user === emails[1])).toBe(true);
+        const times = overview.recentActivities.map(activity => Date.parse(activity.timestamp));
+        expect(times).toEqual([...times].sort((a, b) => b - a));
+    });
+});
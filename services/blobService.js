@@ -0,0 +1,223 @@
+/**
+ * Blob Service for Hu Lab Portal
+ * Content-addressed storage of file content. Every distinct content is stored once,
+ * as a blob named by its SHA-256 under .blobs/; the objects users see are empty
+ * references whose metadata names the blob. A blob is deleted when the last
+ * reference to it goes.
+ *
+ * Each blob has a reference ledger: an xAPI activity profile document listing the
+ * references, updated with ETag preconditions. Deleting moves the ledger to
+ * 'deleting' before the blob is removed, and a new reference to the same content
+ * waits for that to finish, so a blob is never removed under a new reference.
+ */
+
+const xapiService = require('./xapiService');
+const storageConfig = require('../config/storage');
+
+const LEDGER_PROFILE_ID = 'references';
+const BLOB_PREFIX = '.blobs/sha256/';
+const INCOMING_PREFIX = '.blobs/incoming/';
+const MAX_WRITE_ATTEMPTS = 5;
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+// A deletion that has not finished in this time is assumed to have been interrupted
+const DELETING_TIMEOUT = 60 * 1000;
+const DELETING_POLL_INTERVAL = 200;
+
+class BlobService {
+    activityId(sha256) {
+        return `${xapiService.baseActivityId}/blobs/${sha256}`;
+    }
+
+    blobPath(sha256) {
+        return `${BLOB_PREFIX}${sha256.slice(0, 2)}/${sha256}`;
+    }
+
+    incomingPath(id) {
+        return `${INCOMING_PREFIX}${id}`;
+    }
+
+    /**
+     * Whether a stored object is a reference to a blob rather than content itself
+     * (objects stored before deduplication hold their content)
+     */
+    isReference(info) {
+        return !!(info.metadata && SHA256_PATTERN.test(info.metadata.blob || ''));
+    }
+
+    /**
+     * Size of the content an object stands for
+     */
+    logicalSize(info) {
+        return this.isReference(info) ? parseInt(info.metadata.contentLength, 10) || 0 : info.size;
+    }
+
+    /**
+     * Name of the object that holds an object's content
+     */
+    contentPath(info) {
+        return this.isReference(info) ? this.blobPath(info.metadata.blob) : info.name;
+    }
+
+    /**
+     * Add a reference to content, storing the blob unless it is already stored.
+     * source is { buffer } or { incomingPath } (an object under .blobs/incoming/ that
+     * is copied into place). Returns the blob and whether it was already stored.
+     */
+    async store(sha256, reference, source, options = {}) {
+        const { size, contentType = 'application/octet-stream' } = options;
+        const driver = await this.storage();
+        const blobPath = this.blobPath(sha256);
+
+        const { ledger, stored } = await this.addReference(sha256, reference, { size, contentType });
+        const deduplicated = stored && await driver.exists(blobPath);
+
+        if (!deduplicated) {
+            try {
+                if (source.buffer) {
+                    await driver.save(blobPath, source.buffer, { contentType, metadata: { sha256 } });
+                } else {
+                    await driver.copy(source.incomingPath, blobPath);
+                    await driver.setMetadata(blobPath, { sha256 });
+                }
+            } catch (error) {
+                await this.release(sha256, reference).catch(() => {});
+                throw error;
+            }
+        }
+
+        return { sha256, blobPath, size: ledger.size, deduplicated, references: ledger.references.length };
+    }
+
+    /**
+     * Add a reference to a blob that another reference already keeps, e.g. for a copy
+     */
+    async reference(sha256, reference) {
+        let ledger;
+        await this.mutate(sha256, current => {
+            if (!current || current.state !== 'stored') {
+                throw httpError(`Content ${sha256} is not stored`, 404);
+            }
+            if (!current.references.includes(reference)) {
+                current.references.push(reference);
+            }
+            ledger = current;
+        });
+        return { sha256, blobPath: this.blobPath(sha256), references: ledger.references.length };
+    }
+
+    /**
+     * Remove a reference and delete the blob if it was the last one
+     */
+    async release(sha256, reference) {
+        let ledger;
+        await this.mutate(sha256, current => {
+            if (!current) {
+                throw httpError(`Content ${sha256} is not stored`, 404);
+            }
+            current.references = current.references.filter(other => other !== reference);
+            if (current.references.length === 0 && current.state === 'stored') {
+                current.state = 'deleting';
+                current.deletingAt = new Date().toISOString();
+            }
+            ledger = current;
+        });
+
+        if (ledger.references.length > 0 || ledger.state !== 'deleting') {
+            return { sha256, deleted: false, references: ledger.references.length };
+        }
+
+        const driver = await this.storage();
+        await driver.delete(this.blobPath(sha256)).catch(error => {
+            if (error.status !== 404) {
+                throw error;
+            }
+        });
+        await this.mutate(sha256, current => {
+            if (current && current.state === 'deleting' && current.deletingAt === ledger.deletingAt) {
+                current.state = 'deleted';
+                delete current.deletingAt;
+            }
+        });
+        return { sha256, deleted: true, references: 0 };
+    }
+
+    async getLedger(sha256) {
+        const { ledger } = await this.load(sha256);
+        return ledger;
+    }
+
+    /**
+     * Record a new reference, waiting for a deletion of the blob to finish first.
+     * stored tells whether the blob was stored before.
+     */
+    async addReference(sha256, reference, details) {
+        for (;;) {
+            const { ledger } = await this.load(sha256);
+            const deletingFor = ledger && ledger.state === 'deleting' ? Date.now() - Date.parse(ledger.deletingAt) : null;
+            if (deletingFor === null || deletingFor > DELETING_TIMEOUT) {
+                break;
+            }
+            await new Promise(resolve => setTimeout(resolve, DELETING_POLL_INTERVAL));
+        }
+
+        let stored;
+        const ledger = await this.mutate(sha256, current => {
+            stored = !!current && current.state === 'stored';
+            if (!current) {
+                current = { sha256, size: details.size, contentType: details.contentType, createdAt: new Date().toISOString(), references: [] };
+            }
+            current.state = 'stored';
+            delete current.deletingAt;
+            if (!current.references.includes(reference)) {
+                current.references.push(reference);
+            }
+            return current;
+        });
+        return { ledger, stored };
+    }
+
+    /**
+     * Read-modify-write a ledger, retrying when another writer got there first.
+     * change gets the ledger (null when there is none) and may return a new one.
+     */
+    async mutate(sha256, change) {
+        for (let attempt = 1; ; attempt++) {
+            const { ledger, etag } = await this.load(sha256);
+            const updated = change(ledger) || ledger;
+            updated.updatedAt = new Date().toISOString();
+
+            try {
+                await xapiService.saveActivityProfileDocument(
+                    this.activityId(sha256),
+                    LEDGER_PROFILE_ID,
+                    updated,
+                    etag ? { etag } : { ifNoneMatch: true }
+                );
+                return updated;
+            } catch (error) {
+                if (error.status !== 409 || attempt >= MAX_WRITE_ATTEMPTS) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    async load(sha256) {
+        const document = await xapiService.getActivityProfileDocument(this.activityId(sha256), LEDGER_PROFILE_ID);
+        return document ? { ledger: document.data, etag: document.etag } : { ledger: null, etag: null };
+    }
+
+    async storage() {
+        const driver = storageConfig.getDriver();
+        await driver.open();
+        return driver;
+    }
+}
+
+function httpError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+module.exports = new BlobService();
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const xapiConfig = require('../config/xapi');
+const storageConfig = require('../config/storage');
+const xapiService = require('./xapiService');
+const blobService = require('./blobService');
+const gcsService = require('./gcsService');
+
+beforeAll(async () => {
+    await xapiConfig.initialize();
+    await xapiService.initialize();
+});
+
+afterAll(() => {
+    xapiService.outbox.close();
+});
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+describe('blobService', () => {
+    test('stores content once and deletes it with its last reference', async () => {
+        const content = Buffer.from('consent form');
+        const hash = sha256(content);
+        const driver = storageConfig.getDriver();
+
+        const first = await blobService.store(hash, 'a/consent.pdf', { buffer: content }, { size: content.length });
+        const second = await blobService.store(hash, 'b/consent.pdf', { buffer: content }, { size: content.length });
+        expect(first).toMatchObject({ deduplicated: false, references: 1 });
+        expect(second).toMatchObject({ deduplicated: true, references: 2 });
+
+        expect(await blobService.release(hash, 'a/consent.pdf')).toEqual({ sha256: hash, deleted: false, references: 1 });
+        expect(await driver.exists(blobService.blobPath(hash))).toBe(true);
+
+        expect((await blobService.release(hash, 'b/consent.pdf')).deleted).toBe(true);
+        expect(await driver.exists(blobService.blobPath(hash))).toBe(false);
+        expect((await blobService.getLedger(hash)).state).toBe('deleted');
+
+        const again = await blobService.store(hash, 'c/consent.pdf', { buffer: content }, { size: content.length });
+        expect(again).toMatchObject({ deduplicated: false, references: 1 });
+    });
+});
+
+describe('gcsService public files', () => {
+    const owner = { userId: 'blob-owner', userEmail: 'blob-owner@example.com', userRole: 'researcher' };
+    const other = { userId: 'blob-other', userEmail: 'blob-other@example.com', userRole: 'researcher' };
+
+    test('do not tell an uploader whether others already hold the content', async () => {
+        const content = Buffer.from('shared survey text');
+        await gcsService.uploadFile(content, 'survey.txt', owner);
+        const result = await gcsService.uploadFile(content, 'survey.txt', other);
+
+        expect(result).not.toHaveProperty('deduplicated');
+        expect(result.sha256).toBe(sha256(content));
+    });
+
+    test('get their own public copy and never make the shared blob public', async () => {
+        const driver = storageConfig.getDriver();
+        const content = Buffer.from('public poster text');
+        const hash = sha256(content);
+        const kept = await gcsService.uploadFile(content, 'poster.txt', owner);
+        const published = await gcsService.uploadFile(content, 'poster.txt', { ...other, isPublic: true });
+
+        expect(published.url).toBe(driver.publicUrl(published.filePath));
+        expect(await driver.getMetadata(blobService.blobPath(hash))).toMatchObject({ isPublic: false });
+        const copy = await driver.getMetadata(published.filePath);
+        expect(copy).toMatchObject({ isPublic: true, size: content.length });
+        expect(blobService.isReference(copy)).toBe(false);
+        expect((await driver.read(published.filePath)).toString()).toBe('public poster text');
+        expect((await blobService.getLedger(hash)).references).toEqual([kept.filePath]);
+
+        await gcsService.shareFile(kept.filePath, { allowAnonymous: true });
+        expect(await driver.exists(blobService.blobPath(hash))).toBe(false);
+        expect(await driver.getMetadata(kept.filePath)).toMatchObject({ isPublic: true, size: content.length });
+    });
+});
@@ -0,0 +1,728 @@
+/**
+ * File Version Service for Hu Lab Portal
+ * Keeps the version history of logical files. A logical file is identified by its
+ * project (or owner, for personal files), folder and original name, so uploading a
+ * file with the same name again adds a version instead of an unrelated object; in a
+ * project that holds whoever uploads it. Every version is its own
+ * storage object; the history is an xAPI activity profile document of the file
+ * activity, updated with ETag preconditions like the project index.
+ * Files keep their id when they are moved or renamed; the folder tree
+ * (services/folderService.js) maps names in folders to ids. Every change is also
+ * queued for the search index (services/searchService.js).
+ * Deleted files go to the trash (services/trashService.js): their history is marked
+ * trashed and hidden from get() until they are restored or purged.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const uuid = require('uuid');
+const xapiService = require('./xapiService');
+const gcsService = require('./gcsService');
+const folderService = require('./folderService');
+const quotaService = require('./quotaService');
+const searchService = require('./searchService');
+
+const VERSIONS_PROFILE_ID = 'versions';
+const MAX_WRITE_ATTEMPTS = 5;
+const FILE_ID_PATTERN = /^[0-9a-f]{32}$/;
+
+class FileVersionService {
+    constructor() {
+        // Applied after every new version when set (FILE_VERSION_KEEP_LAST, FILE_VERSION_MAX_AGE_DAYS)
+        this.defaultPolicy = {
+            keepLast: parseInt(process.env.FILE_VERSION_KEEP_LAST, 10) || null,
+            maxAgeDays: parseFloat(process.env.FILE_VERSION_MAX_AGE_DAYS) || null
+        };
+    }
+
+    activityId(fileId) {
+        return `${xapiService.baseActivityId}/files/${fileId}`;
+    }
+
+    /**
+     * Stable id of the logical file a name refers to. Project files are keyed by the
+     * project alone, so every member's upload of a name lands on the same file.
+     */
+    logicalFileId({ userId, projectId = null, folder = 'general', name }) {
+        return crypto.createHash('sha256')
+            .update([projectId ? '' : userId, projectId || '', folder, name].join('\n'))
+            .digest('hex')
+            .slice(0, 32);
+    }
+
+    /**
+     * Id of the file a new upload belongs to: the file of that name in the folder, or
+     * a new id. A file that was moved away keeps its id, so its old location then
+     * gets a random one, as does the name of a file in the trash.
+     */
+    async resolveFileId({ userId, projectId = null, folder, name }) {
+        const scope = folderService.scopeOf({ userId, projectId });
+        const entry = await folderService.findFile(scope, { folder, name });
+        if (entry) {
+            return entry.fileId;
+        }
+
+        const fileId = this.logicalFileId({ userId, projectId, folder, name });
+        const existing = await this.get(fileId, { includeTrashed: true });
+        const sameScope = projectId ? existing?.projectId === projectId : existing?.owner === userId && !existing?.projectId;
+        if (existing && (existing.trashedAt || !(sameScope && existing.folder === folder && existing.name === name))) {
+            return uuid.v4().replace(/-/g, '');
+        }
+        return fileId;
+    }
+
+    /**
+     * Upload a file as the next version of its logical file, creating the file on
+     * its first upload
+     */
+    async addVersion(fileBuffer, fileName, options = {}) {
+        options = { ...options, folder: folderService.normalizeFolder(options.folder) };
+        const { userId, projectId = null, folder, metadata = {} } = options;
+        const fileId = await this.resolveFileId({ userId, projectId, folder, name: fileName });
+
+        const upload = await gcsService.uploadFile(fileBuffer, fileName, {
+            ...this.uploadOptions(options),
+            metadata: { ...metadata, versionOf: fileId }
+        });
+
+        // The stored content, which upload inspection may have sanitised
+        return this.recordVersion(fileId, upload, { ...options, sha256: upload.sha256 });
+    }
+
+    /**
+     * Same as addVersion for content that arrives as a stream. verify(upload) runs once
+     * the object is stored and throws to discard the object before it becomes a version.
+     */
+    async addStreamedVersion(stream, fileName, options = {}) {
+        options = { ...options, folder: folderService.normalizeFolder(options.folder) };
+        const { userId, projectId = null, folder, metadata = {}, verify } = options;
+        const fileId = await this.resolveFileId({ userId, projectId, folder, name: fileName });
+
+        const upload = await gcsService.uploadStream(stream, fileName, {
+            ...this.uploadOptions(options),
+            metadata: { ...metadata, versionOf: fileId }
+        });
+
+        try {
+            await verify(upload);
+        } catch (error) {
+            await gcsService.deleteFile(upload.filePath).catch(() => {});
+            throw error;
+        }
+
+        return this.recordVersion(fileId, upload, { ...options, sha256: upload.sha256 });
+    }
+
+    /**
+     * The options that are passed through to gcsService
+     */
+    uploadOptions(options) {
+        const uploadOptions = { ...options };
+        ['comment', 'metadata', 'verify'].forEach(key => delete uploadOptions[key]);
+        return uploadOptions;
+    }
+
+    /**
+     * Add a stored upload to the history of its logical file
+     */
+    async recordVersion(fileId, upload, options = {}) {
+        const { userId, userEmail, projectId = null, folder = 'general', comment = null, sha256 } = options;
+
+        let entry;
+        let file;
+        try {
+            file = await this.mutate(fileId, current => {
+                entry = this.appendVersion(current, {
+                    objectPath: upload.filePath,
+                    size: upload.size,
+                    sha256,
+                    contentType: upload.contentType,
+                    uploadedBy: userEmail,
+                    comment
+                });
+            }, { userId, ownerEmail: userEmail, projectId, folder, name: upload.originalName });
+        } catch (error) {
+            // The object is not part of any history yet
+            await gcsService.deleteFile(upload.filePath).catch(() => {});
+            throw error;
+        }
+
+        const pruned = await this.applyPolicy(file, this.defaultPolicy);
+        await this.indexFile(fileId);
+        return { fileId, version: entry.version, versionCount: file.versions.length - pruned.length, pruned, upload };
+    }
+
+    /**
+     * Version history of a file, or null when it does not exist. Files in the trash
+     * are only returned with includeTrashed.
+     */
+    async get(fileId, { includeTrashed = false } = {}) {
+        if (!FILE_ID_PATTERN.test(String(fileId))) {
+            return null;
+        }
+        const { file } = await this.load(fileId);
+        return file && (includeTrashed || !file.trashedAt) ? file : null;
+    }
+
+    async getVersion(fileId, version) {
+        const file = await this.requireFile(fileId);
+        const entry = file.versions.find(v => v.version === Number(version));
+        if (!entry) {
+            throw httpError(`Version ${version} of file ${fileId} not found`, 404);
+        }
+        return { file, entry };
+    }
+
+    /**
+     * Make an earlier version current again. Its content is copied into a new version,
+     * so the history stays linear and nothing is overwritten. The copy counts against
+     * the owner's and project's quotas like an upload (413 when it does not fit).
+     */
+    async restore(fileId, version, options = {}) {
+        const { userEmail, comment = null } = options;
+        const { file: original, entry: source } = await this.getVersion(fileId, version);
+
+        await quotaService.check({ userId: original.owner }, source.size);
+        if (original.projectId) {
+            await quotaService.check({ projectId: original.projectId }, source.size);
+        }
+
+        // The copy is charged to the owner, so it is kept under the owner's prefix
+        const { fileId: objectId, filePath: objectPath } = gcsService.prepareUpload(original.name, {
+            userId: original.owner,
+            projectId: original.projectId,
+            folder: original.folder
+        });
+
+        await gcsService.copyFile(source.objectPath, objectPath, {
+            recordSource: false,
+            updateMetadata: {
+                fileId: objectId,
+                versionOf: fileId,
+                uploadedBy: original.owner,
+                uploadedAt: new Date().toISOString(),
+                restoredFrom: String(source.version)
+            }
+        });
+
+        let entry;
+        let file;
+        try {
+            file = await this.mutate(fileId, current => {
+                entry = this.appendVersion(current, {
+                    objectPath,
+                    size: source.size,
+                    sha256: source.sha256,
+                    contentType: source.contentType,
+                    uploadedBy: userEmail,
+                    comment: comment || `Restored version ${source.version}`,
+                    restoredFrom: source.version
+                });
+            });
+        } catch (error) {
+            await gcsService.deleteFile(objectPath).catch(() => {});
+            throw error;
+        }
+
+        const pruned = await this.applyPolicy(file, this.defaultPolicy);
+        file.versions = file.versions.filter(v => !pruned.includes(v.version));
+        await this.indexFile(fileId);
+        return { file, version: entry, pruned };
+    }
+
+    /**
+     * Delete the versions a retention policy does not keep.
+     * policy: { keepLast, maxAgeDays }. The current version is always kept.
+     */
+    async prune(fileId, policy) {
+        const file = await this.requireFile(fileId);
+        const pruned = await this.applyPolicy(file, this.checkPolicy(policy));
+        const { file: updated } = await this.load(fileId);
+        if (pruned.length > 0) {
+            await this.indexFile(fileId);
+        }
+        return { file: updated, pruned };
+    }
+
+    /**
+     * Move a file to another folder or project and/or rename it: target is
+     * { projectId, folder, name }, each defaulting to the current one (projectId null
+     * moves a project file to its owner's own files). Every version moves with it.
+     * Within a project only the folder tree and object metadata change; across
+     * projects the versions are copied under the new project first.
+     */
+    async move(fileId, target = {}) {
+        const file = await this.requireFile(fileId);
+
+        const from = { projectId: file.projectId || null, folder: file.folder, name: file.name };
+        const to = {
+            projectId: target.projectId === undefined ? from.projectId : (target.projectId || null),
+            folder: target.folder === undefined ? from.folder : folderService.normalizeFolder(target.folder),
+            name: target.name === undefined ? from.name : this.checkName(target.name)
+        };
+        if (to.projectId === from.projectId && to.folder === from.folder && to.name === from.name) {
+            return { file, from, to, moved: false };
+        }
+        if (path.extname(to.name).toLowerCase() !== path.extname(from.name).toLowerCase()) {
+            throw httpError('A file cannot be renamed to another file type', 400);
+        }
+
+        const scope = folderService.scopeOf({ userId: file.owner, projectId: to.projectId });
+        const existing = await folderService.findFile(scope, { folder: to.folder, name: to.name });
+        if (existing && existing.fileId !== fileId) {
+            throw httpError(`A file named ${to.name} already exists in ${to.folder}`, 409);
+        }
+
+        let moved;
+        if (to.projectId === from.projectId) {
+            moved = await this.relabel(fileId, { folder: to.folder, name: to.name });
+        } else {
+            moved = await this.transfer(file, to);
+            await folderService.removeFile(folderService.scopeOf({ userId: file.owner, projectId: from.projectId }), fileId)
+                .catch(error => console.error(`Failed to remove ${fileId} from its previous folder tree:`, error.message));
+        }
+        await this.indexFile(fileId);
+        return { file: moved, from, to, moved: true };
+    }
+
+    /**
+     * Move a folder of a user's or project's tree, then bring the histories and
+     * objects of the files in it up to date
+     */
+    async moveFolder(scope, fromPath, toPath, options = {}) {
+        const { userEmail = null } = options;
+        const result = await folderService.moveFolder(scope, fromPath, toPath, userEmail);
+
+        for (const entry of result.moved) {
+            await this.relabel(entry.fileId, { folder: entry.folder })
+                .then(file => {
+                    searchService.queueFile(file);
+                })
+                .catch(error => {
+                    console.error(`Failed to move file ${entry.fileId} to ${entry.folder}:`, error.message);
+                });
+        }
+        return result;
+    }
+
+    /**
+     * Change a file's folder and/or name in its history and in the metadata of its
+     * version objects. The objects themselves stay where they are.
+     */
+    async relabel(fileId, location) {
+        const file = await this.mutate(fileId, current => {
+            Object.assign(current, location, { movedAt: new Date().toISOString() });
+        });
+
+        await this.updateObjects(file, { folder: file.folder, originalName: file.name });
+        return file;
+    }
+
+    /**
+     * Copy every version of a file under another project (or its owner's own files),
+     * point the history at the copies and delete the originals
+     */
+    async transfer(file, to) {
+        if (to.projectId) {
+            const size = file.versions.reduce((total, entry) => total + entry.size, 0);
+            await quotaService.check({ projectId: to.projectId }, size);
+        }
+
+        const copies = new Map();
+        let moved;
+        try {
+            for (const entry of file.versions) {
+                const { fileId: objectId, filePath } = gcsService.prepareUpload(to.name, {
+                    userId: file.owner,
+                    projectId: to.projectId,
+                    folder: to.folder
+                });
+                await gcsService.copyFile(entry.objectPath, filePath, {
+                    recordSource: false,
+                    updateMetadata: {
+                        fileId: objectId,
+                        uploadedBy: file.owner,
+                        projectId: to.projectId,
+                        folder: to.folder,
+                        originalName: to.name
+                    }
+                });
+                copies.set(entry.version, { from: entry.objectPath, to: filePath });
+            }
+
+            moved = await this.mutate(file.fileId, current => {
+                Object.assign(current, to, { movedAt: new Date().toISOString() });
+                current.versions.forEach(entry => {
+                    const copy = copies.get(entry.version);
+                    if (copy && copy.from === entry.objectPath) {
+                        entry.objectPath = copy.to;
+                    }
+                });
+            });
+        } catch (error) {
+            for (const copy of copies.values()) {
+                await gcsService.deleteFile(copy.to).catch(() => {});
+            }
+            throw error;
+        }
+
+        // Originals go after the history no longer points at them
+        for (const copy of copies.values()) {
+            await gcsService.deleteFile(copy.from).catch(error => {
+                console.error(`Failed to delete ${copy.from} after moving it:`, error.message);
+            });
+        }
+        return moved;
+    }
+
+    /**
+     * Take a user out of a file's history, for a personal data erasure. Versions stored
+     * under their prefixes are copied under the owner's, or under `owner` when the file
+     * is handed to another user (with ownerEmail and folder), and their addresses
+     * (emails) in the history become `replacement`. Resolves with the file and how
+     * many versions were copied.
+     */
+    async reassign(fileId, { prefixes, emails, replacement, owner = null, ownerEmail = null, folder = null }) {
+        const { file } = await this.load(fileId);
+        if (!file) {
+            throw httpError(`File ${fileId} not found`, 404);
+        }
+        const handedOver = Boolean(owner) && owner !== file.owner;
+        const target = {
+            owner: handedOver ? owner : file.owner,
+            folder: handedOver && folder ? folderService.normalizeFolder(folder) : file.folder
+        };
+        const theirs = address => emails.includes(String(address || '').toLowerCase());
+
+        const copies = new Map();
+        let updated;
+        try {
+            for (const entry of file.versions) {
+                if (!handedOver && !prefixes.some(prefix => entry.objectPath.startsWith(`${prefix}/`))) {
+                    continue;
+                }
+                const { fileId: objectId, filePath } = gcsService.prepareUpload(file.name, {
+                    userId: target.owner,
+                    projectId: file.projectId,
+                    folder: target.folder
+                });
+                await gcsService.copyFile(entry.objectPath, filePath, {
+                    recordSource: false,
+                    updateMetadata: { fileId: objectId, uploadedBy: target.owner, folder: target.folder }
+                });
+                copies.set(entry.version, { from: entry.objectPath, to: filePath });
+            }
+
+            updated = await this.mutate(fileId, current => {
+                if (handedOver) {
+                    Object.assign(current, target, { ownerEmail });
+                } else if (theirs(current.ownerEmail)) {
+                    current.ownerEmail = replacement;
+                }
+                if (theirs(current.trashedBy)) {
+                    current.trashedBy = replacement;
+                }
+                current.versions.forEach(entry => {
+                    const copy = copies.get(entry.version);
+                    if (copy && copy.from === entry.objectPath) {
+                        entry.objectPath = copy.to;
+                    }
+                    if (theirs(entry.uploadedBy)) {
+                        entry.uploadedBy = replacement;
+                    }
+                });
+            });
+        } catch (error) {
+            for (const copy of copies.values()) {
+                await gcsService.deleteFile(copy.to).catch(() => {});
+            }
+            throw error;
+        }
+
+        for (const copy of copies.values()) {
+            await gcsService.deleteFile(copy.from).catch(error => {
+                console.error(`Failed to delete ${copy.from} after reassigning it:`, error.message);
+            });
+        }
+        if (handedOver && !file.projectId) {
+            await folderService.removeFile(folderService.scopeOf({ userId: file.owner }), fileId)
+                .catch(error => console.error(`Failed to remove ${fileId} from its previous folder tree:`, error.message));
+        }
+        if (!updated.trashedAt) {
+            await this.indexFile(fileId);
+        }
+        return { file: updated, copied: copies.size };
+    }
+
+    /**
+     * Move a file to the trash. It leaves its folder tree and the search index, and its
+     * version objects are marked so a rebuilt tree leaves it out; nothing is deleted
+     * until purge().
+     */
+    async trash(fileId, options = {}) {
+        const { userEmail = null } = options;
+        const trashedAt = new Date().toISOString();
+        const file = await this.mutate(fileId, current => {
+            if (current.trashedAt) {
+                throw httpError(`File ${fileId} not found`, 404);
+            }
+            current.trashedAt = trashedAt;
+            current.trashedBy = userEmail;
+        });
+
+        await this.updateObjects(file, { trashedAt });
+        await folderService.removeFile(folderService.scopeOf({ userId: file.owner, projectId: file.projectId }), fileId)
+            .catch(error => console.error(`Failed to remove ${fileId} from its folder tree:`, error.message));
+        await searchService.remove(fileId);
+        return file;
+    }
+
+    /**
+     * Bring a file back from the trash into its folder. When another file has taken its
+     * name in the meantime it is restored as "name (2).ext", "name (3).ext", ...
+     */
+    async untrash(fileId) {
+        const { file: trashed } = await this.load(fileId);
+        if (!trashed || !trashed.trashedAt) {
+            throw httpError(`File ${fileId} is not in the trash`, 404);
+        }
+
+        const scope = folderService.scopeOf({ userId: trashed.owner, projectId: trashed.projectId });
+        const extension = path.extname(trashed.name);
+        const baseName = trashed.name.slice(0, trashed.name.length - extension.length);
+        let name = trashed.name;
+        for (let copy = 2; ; copy++) {
+            const existing = await folderService.findFile(scope, { folder: trashed.folder, name });
+            if (!existing || existing.fileId === fileId) {
+                break;
+            }
+            name = `${baseName} (${copy})${extension}`;
+        }
+
+        const file = await this.mutate(fileId, current => {
+            delete current.trashedAt;
+            delete current.trashedBy;
+            current.name = name;
+            current.recoveredAt = new Date().toISOString();
+        });
+
+        await this.updateObjects(file, { trashedAt: null, originalName: file.name });
+        await this.indexFile(fileId);
+        return file;
+    }
+
+    /**
+     * Delete a file for good: every version object, then its history. Objects that are
+     * already gone are skipped. Resolves with the number of versions and bytes deleted.
+     */
+    async purge(fileId) {
+        const { file } = await this.load(fileId);
+        if (!file) {
+            return { fileId, versions: 0, bytes: 0 };
+        }
+
+        let bytes = 0;
+        for (const entry of file.versions) {
+            try {
+                await gcsService.deleteFile(entry.objectPath);
+                bytes += entry.size || 0;
+            } catch (error) {
+                if (error.status !== 404) {
+                    throw error;
+                }
+            }
+        }
+
+        await xapiService.dropActivityProfileDocument(this.activityId(fileId), VERSIONS_PROFILE_ID);
+        await searchService.remove(fileId);
+        return { fileId, versions: file.versions.length, bytes };
+    }
+
+    /**
+     * Merge metadata into every version object of a file (null removes a key)
+     */
+    async updateObjects(file, metadata) {
+        for (const entry of file.versions) {
+            await gcsService.updateFileMetadata(entry.objectPath, metadata)
+                .catch(error => console.error(`Failed to update metadata of ${entry.objectPath}:`, error.message));
+        }
+    }
+
+    checkName(name) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed || trimmed.length > 255 || /[\/\\\u0000-\u001f]/.test(trimmed) || trimmed === '.' || trimmed === '..') {
+            throw httpError('A file name must be 1-255 characters without slashes', 400);
+        }
+        return trimmed;
+    }
+
+    /**
+     * Refresh the file's entry in its folder tree and queue it for the search index.
+     * The history is already saved, so a failure is only logged; the entries are
+     * refreshed on the file's next change.
+     */
+    async indexFile(fileId) {
+        let file = null;
+        try {
+            ({ file } = await this.load(fileId));
+            if (file) {
+                await folderService.recordFile(file);
+            }
+        } catch (error) {
+            console.error(`Failed to update the folder tree entry of ${fileId}:`, error.message);
+        }
+        if (file) {
+            searchService.queueFile(file);
+        }
+    }
+
+    checkPolicy(policy = {}) {
+        const keepLast = policy.keepLast === undefined || policy.keepLast === null ? null : Number(policy.keepLast);
+        const maxAgeDays = policy.maxAgeDays === undefined || policy.maxAgeDays === null ? null : Number(policy.maxAgeDays);
+
+        if (keepLast === null && maxAgeDays === null) {
+            throw httpError('A retention policy needs keepLast and/or maxAgeDays', 400);
+        }
+        if (keepLast !== null && (!Number.isInteger(keepLast) || keepLast < 1)) {
+            throw httpError('keepLast must be a positive integer', 400);
+        }
+        if (maxAgeDays !== null && (!Number.isFinite(maxAgeDays) || maxAgeDays < 0)) {
+            throw httpError('maxAgeDays must be a non-negative number', 400);
+        }
+        return { keepLast, maxAgeDays };
+    }
+
+    /**
+     * Versions outside the newest keepLast that are older than maxAgeDays
+     * (either condition alone when only one is set)
+     */
+    selectPrunable(file, policy, now = Date.now()) {
+        const { keepLast = null, maxAgeDays = null } = policy || {};
+        if (keepLast === null && maxAgeDays === null) {
+            return [];
+        }
+
+        const newestFirst = [...file.versions].sort((a, b) => b.version - a.version);
+        return newestFirst
+            .filter((entry, position) => entry.version !== file.currentVersion &&
+                (keepLast === null || position >= keepLast) &&
+                (maxAgeDays === null || now - Date.parse(entry.uploadedAt) > maxAgeDays * 24 * 60 * 60 * 1000))
+            .map(entry => entry.version)
+            .sort((a, b) => a - b);
+    }
+
+    async applyPolicy(file, policy) {
+        const versions = this.selectPrunable(file, policy);
+        if (versions.length === 0) {
+            return [];
+        }
+
+        const removed = [];
+        await this.mutate(file.fileId, current => {
+            removed.length = 0;
+            current.versions = current.versions.filter(entry => {
+                if (versions.includes(entry.version) && entry.version !== current.currentVersion) {
+                    removed.push(entry);
+                    return false;
+                }
+                return true;
+            });
+            current.prunedAt = new Date().toISOString();
+        });
+
+        // Objects go after the history no longer points at them
+        for (const entry of removed) {
+            await gcsService.deleteFile(entry.objectPath).catch(error => {
+                if (error.status !== 404) {
+                    console.error(`Failed to delete pruned version ${entry.version} of ${file.fileId}:`, error.message);
+                }
+            });
+        }
+        return removed.map(entry => entry.version);
+    }
+
+    appendVersion(file, details) {
+        const entry = {
+            version: file.latestVersion + 1,
+            objectPath: details.objectPath,
+            size: details.size,
+            sha256: details.sha256,
+            contentType: details.contentType,
+            uploadedBy: details.uploadedBy,
+            uploadedAt: new Date().toISOString(),
+            comment: details.comment || null
+        };
+        if (details.restoredFrom) {
+            entry.restoredFrom = details.restoredFrom;
+        }
+
+        file.versions.push(entry);
+        file.latestVersion = entry.version;
+        file.currentVersion = entry.version;
+        file.updatedAt = entry.uploadedAt;
+        return entry;
+    }
+
+    async requireFile(fileId) {
+        const file = await this.get(fileId);
+        if (!file) {
+            throw httpError(`File ${fileId} not found`, 404);
+        }
+        return file;
+    }
+
+    /**
+     * Read-modify-write the history, retrying when another writer got there first.
+     * create describes the file when this is its first version.
+     */
+    async mutate(fileId, change, create = null) {
+        for (let attempt = 1; ; attempt++) {
+            let { file, etag } = await this.load(fileId);
+            if (!file) {
+                if (!create) {
+                    throw httpError(`File ${fileId} not found`, 404);
+                }
+                file = {
+                    fileId,
+                    name: create.name,
+                    owner: create.userId,
+                    ownerEmail: create.ownerEmail,
+                    projectId: create.projectId,
+                    folder: create.folder,
+                    createdAt: new Date().toISOString(),
+                    latestVersion: 0,
+                    currentVersion: null,
+                    versions: []
+                };
+            }
+            change(file);
+
+            try {
+                await xapiService.saveActivityProfileDocument(
+                    this.activityId(fileId),
+                    VERSIONS_PROFILE_ID,
+                    file,
+                    etag ? { etag } : { ifNoneMatch: true }
+                );
+                return file;
+            } catch (error) {
+                if (error.status !== 409 || attempt >= MAX_WRITE_ATTEMPTS) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    async load(fileId) {
+        const document = await xapiService.getActivityProfileDocument(this.activityId(fileId), VERSIONS_PROFILE_ID);
+        return document ? { file: document.data, etag: document.etag } : { file: null, etag: null };
+    }
+}
+
+function httpError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+module.exports = new FileVersionService();
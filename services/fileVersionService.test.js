@@ -0,0 +1,69 @@
+const xapiConfig = require('../config/xapi');
+const xapiService = require('./xapiService');
+const quotaService = require('./quotaService');
+const fileVersionService = require('./fileVersionService');
+
+const owner = { userId: 'versions-owner', userEmail: 'versions-owner@example.com', userRole: 'researcher' };
+const member = { userId: 'versions-member', userEmail: 'versions-member@example.com', userRole: 'student' };
+
+beforeAll(async () => {
+    await xapiConfig.initialize();
+    await xapiService.initialize();
+});
+
+afterAll(() => {
+    xapiService.outbox.close();
+});
+
+function upload(user, text, options = {}) {
+    return fileVersionService.addVersion(Buffer.from(text), 'notes.txt', { ...user, folder: 'drafts', ...options });
+}
+
+describe('fileVersionService', () => {
+    test('adds a re-upload of the same name as the next version', async () => {
+        const first = await upload(owner, 'first draft');
+        const second = await upload(owner, 'second draft');
+
+        expect(second.fileId).toBe(first.fileId);
+        expect(second.version).toBe(2);
+        expect((await fileVersionService.get(first.fileId)).versions).toHaveLength(2);
+    });
+
+    test('keeps personal files of the same name apart', async () => {
+        const mine = await upload(owner, 'mine', { folder: 'personal' });
+        const theirs = await upload(member, 'theirs', { folder: 'personal' });
+
+        expect(theirs.fileId).not.toBe(mine.fileId);
+        expect(theirs.version).toBe(1);
+    });
+
+    test('makes project uploads of a name versions of one file, whoever uploads them', async () => {
+        const byOwner = await upload(owner, 'protocol v1', { projectId: 'versions-project' });
+        const byMember = await upload(member, 'protocol v2', { projectId: 'versions-project' });
+
+        expect(byMember.fileId).toBe(byOwner.fileId);
+        expect(byMember.version).toBe(2);
+
+        const file = await fileVersionService.get(byOwner.fileId);
+        expect(file.owner).toBe(owner.userId);
+        expect(file.versions.map(entry => entry.uploadedBy)).toEqual([owner.userEmail, member.userEmail]);
+    });
+
+    test('restores a version as a new one, and refuses it with 413 when the quota is full', async () => {
+        const { fileId } = await upload(owner, 'restore me', { folder: 'restores' });
+        await upload(owner, 'replaced', { folder: 'restores' });
+
+        const restored = await fileVersionService.restore(fileId, 1, { userEmail: owner.userEmail });
+        expect(restored.version).toMatchObject({ version: 3, restoredFrom: 1 });
+
+        const { used } = await quotaService.check({ userId: owner.userId }, 0);
+        await quotaService.setQuota({ userId: owner.userId }, used + 1);
+        try {
+            await expect(fileVersionService.restore(fileId, 1, { userEmail: owner.userEmail }))
+                .rejects.toMatchObject({ status: 413 });
+            expect((await fileVersionService.get(fileId)).versions).toHaveLength(3);
+        } finally {
+            await quotaService.setQuota({ userId: owner.userId }, null);
+        }
+    });
+});
@@ -0,0 +1,488 @@
+/**
+ * Folder Service for Hu Lab Portal
+ * Keeps the virtual folder tree of each user's personal files and of each research
+ * project. A tree lists its folders and the versioned files in them; folders exist
+ * only here, so creating, renaming or moving one never touches stored objects.
+ * Trees are xAPI activity profile documents of the user or project activity, updated
+ * with ETag preconditions. A tree that does not exist yet is built from storage.
+ */
+
+const xapiService = require('./xapiService');
+const projectIndexService = require('./projectIndexService');
+const blobService = require('./blobService');
+const storageConfig = require('../config/storage');
+
+const FOLDERS_PROFILE_ID = 'folders';
+const MAX_WRITE_ATTEMPTS = 5;
+const DEFAULT_FOLDER = 'general';
+// Top-level names the storage layout already uses under a user's prefix
+const RESERVED_FOLDERS = ['projects', 'thumbnails'];
+const MAX_SEGMENT_LENGTH = 100;
+const MAX_DEPTH = 10;
+
+class FolderService {
+    constructor() {
+        this.defaultFolder = DEFAULT_FOLDER;
+        this.building = new Map();
+    }
+
+    /**
+     * The tree a file belongs to: its project's, or its owner's when it has none
+     */
+    scopeOf({ userId, projectId = null }) {
+        return projectId ? { projectId } : { userId };
+    }
+
+    activityId(scope) {
+        return scope.projectId
+            ? `${xapiService.baseActivityId}/project/${scope.projectId}`
+            : `${xapiService.baseActivityId}/user/${scope.userId}`;
+    }
+
+    folderActivityId(scope, folderPath) {
+        return `${this.activityId(scope)}/folders/${encodeURI(folderPath)}`;
+    }
+
+    /**
+     * Check that a user may see (access 'view') or change (access 'edit') a project's
+     * tree. Owners and admins may do both, editors and managers may edit and other
+     * collaborators may view. Returns the project index entry, or null for the
+     * user's own tree.
+     */
+    async authorize(user, projectId, access = 'view') {
+        if (!projectId) {
+            return null;
+        }
+
+        const project = await projectIndexService.get(projectId);
+        if (!project || project.status === 'deleted') {
+            throw httpError(`Project ${projectId} not found`, 404);
+        }
+
+        const email = String(user.email || '').toLowerCase();
+        const isOwner = String(project.createdBy || '').toLowerCase() === email;
+        const collaborator = (project.collaborators || []).find(collab => String(collab.email || '').toLowerCase() === email);
+        const allowed = user.role === 'admin' || isOwner ||
+            (collaborator && (access === 'view' || ['editor', 'manager'].includes(collaborator.role)));
+
+        if (!allowed) {
+            throw httpError(access === 'view'
+                ? 'You do not have access to the files of this project'
+                : 'You do not have permission to change the files of this project', 403);
+        }
+        return project;
+    }
+
+    /**
+     * Canonical form of a folder path ('' is the root): segments separated by single
+     * slashes, without surrounding whitespace. Throws a 400 for unusable paths.
+     */
+    normalizePath(folderPath) {
+        if (folderPath === undefined || folderPath === null) {
+            return '';
+        }
+        if (typeof folderPath !== 'string') {
+            throw httpError('Folder path must be a string', 400);
+        }
+
+        const segments = folderPath.split('/').map(segment => segment.trim()).filter(Boolean);
+        if (segments.length > MAX_DEPTH) {
+            throw httpError(`Folders can be nested at most ${MAX_DEPTH} deep`, 400);
+        }
+        segments.forEach(segment => {
+            if (segment === '.' || segment === '..' || /[\\\u0000-\u001f]/.test(segment)) {
+                throw httpError(`Invalid folder name: ${segment}`, 400);
+            }
+            if (segment.length > MAX_SEGMENT_LENGTH) {
+                throw httpError(`Folder names can be at most ${MAX_SEGMENT_LENGTH} characters`, 400);
+            }
+        });
+        if (segments.length > 0 && RESERVED_FOLDERS.includes(segments[0].toLowerCase())) {
+            throw httpError(`${segments[0]} is a reserved folder name`, 400);
+        }
+        return segments.join('/');
+    }
+
+    /**
+     * Folder a file is stored in. Files cannot sit at the root, so no folder means
+     * the default one.
+     */
+    normalizeFolder(folder) {
+        return this.normalizePath(folder) || DEFAULT_FOLDER;
+    }
+
+    async getTree(scope) {
+        const { tree } = await this.load(scope);
+        return tree;
+    }
+
+    /**
+     * File entry of the file of that name in a folder of the tree, or null. A project
+     * folder holds one file per name, whichever member uploaded it.
+     */
+    async findFile(scope, { folder, name }) {
+        const tree = await this.getTree(scope);
+        return Object.values(tree.files)
+            .find(entry => entry.folder === folder && entry.name === name) || null;
+    }
+
+    /**
+     * Add or refresh a file's entry from its version history, creating its folder
+     */
+    async recordFile(file) {
+        return this.mutate(this.scopeOf({ userId: file.owner, projectId: file.projectId }), tree => {
+            this.addFolder(tree, file.folder, file.ownerEmail);
+            tree.files[file.fileId] = this.summarize(file);
+        });
+    }
+
+    async removeFile(scope, fileId) {
+        return this.mutate(scope, tree => {
+            delete tree.files[fileId];
+        });
+    }
+
+    /**
+     * Delete a whole tree, when its project is purged
+     */
+    async dropTree(scope) {
+        await xapiService.dropActivityProfileDocument(this.activityId(scope), FOLDERS_PROFILE_ID);
+    }
+
+    summarize(file) {
+        const current = file.versions.find(entry => entry.version === file.currentVersion) || {};
+        return {
+            fileId: file.fileId,
+            name: file.name,
+            folder: file.folder,
+            owner: file.owner,
+            ownerEmail: file.ownerEmail || null,
+            size: current.size || 0,
+            contentType: current.contentType || null,
+            currentVersion: file.currentVersion,
+            versionCount: file.versions.length,
+            updatedAt: file.updatedAt || file.createdAt
+        };
+    }
+
+    /**
+     * Create a folder and any missing parents
+     */
+    async createFolder(scope, folderPath, userEmail) {
+        const target = this.normalizePath(folderPath);
+        if (!target) {
+            throw httpError('A folder path is required', 400);
+        }
+
+        let created;
+        await this.mutate(scope, tree => {
+            if (tree.folders[target]) {
+                throw httpError(`Folder ${target} already exists`, 409);
+            }
+            created = this.addFolder(tree, target, userEmail);
+        });
+        return { path: target, created };
+    }
+
+    /**
+     * Rename a folder or move it under another parent, with its subfolders and files.
+     * Returns the entries of the files that moved, with their new folder.
+     */
+    async moveFolder(scope, fromPath, toPath, userEmail) {
+        const from = this.normalizePath(fromPath);
+        const to = this.normalizePath(toPath);
+        if (!from || !to) {
+            throw httpError('Both the folder and its new path are required', 400);
+        }
+        if (from === DEFAULT_FOLDER) {
+            throw httpError(`The ${DEFAULT_FOLDER} folder cannot be renamed or moved`, 400);
+        }
+        if (to === from || to.startsWith(`${from}/`)) {
+            throw httpError('A folder cannot be moved into itself', 400);
+        }
+
+        const moved = [];
+        await this.mutate(scope, tree => {
+            moved.length = 0;
+            if (!tree.folders[from]) {
+                throw httpError(`Folder ${from} not found`, 404);
+            }
+            if (tree.folders[to]) {
+                throw httpError(`Folder ${to} already exists`, 409);
+            }
+
+            this.addFolder(tree, parentOf(to), userEmail);
+            Object.keys(tree.folders)
+                .filter(folder => isWithin(folder, from))
+                .forEach(folder => {
+                    tree.folders[to + folder.slice(from.length)] = tree.folders[folder];
+                    delete tree.folders[folder];
+                });
+            Object.values(tree.files)
+                .filter(entry => isWithin(entry.folder, from))
+                .forEach(entry => {
+                    entry.folder = to + entry.folder.slice(from.length);
+                    moved.push({ ...entry });
+                });
+        });
+        return { from, to, moved };
+    }
+
+    /**
+     * Delete an empty folder and its empty subfolders
+     */
+    async deleteFolder(scope, folderPath) {
+        const target = this.normalizePath(folderPath);
+        if (!target) {
+            throw httpError('A folder path is required', 400);
+        }
+        if (target === DEFAULT_FOLDER) {
+            throw httpError(`The ${DEFAULT_FOLDER} folder cannot be deleted`, 400);
+        }
+
+        const removed = [];
+        await this.mutate(scope, tree => {
+            removed.length = 0;
+            if (!tree.folders[target]) {
+                throw httpError(`Folder ${target} not found`, 404);
+            }
+            const fileCount = Object.values(tree.files).filter(entry => isWithin(entry.folder, target)).length;
+            if (fileCount > 0) {
+                const error = httpError(`Folder ${target} still contains ${fileCount} file(s); move them first`, 409);
+                error.fileCount = fileCount;
+                throw error;
+            }
+
+            Object.keys(tree.folders)
+                .filter(folder => isWithin(folder, target))
+                .forEach(folder => {
+                    removed.push(folder);
+                    delete tree.folders[folder];
+                });
+        });
+        return { path: target, removed: removed.sort() };
+    }
+
+    /**
+     * One folder of a tree: its breadcrumbs, subfolders and a page of its files
+     * (sorted by name). pageToken is the offset returned as nextPageToken.
+     */
+    async listFolder(scope, folderPath, options = {}) {
+        const { limit = 50, pageToken = null, rootName = null } = options;
+        const folder = this.normalizePath(folderPath);
+        const tree = await this.getTree(scope);
+
+        if (folder && !tree.folders[folder]) {
+            throw httpError(`Folder ${folder} not found`, 404);
+        }
+
+        const entries = Object.values(tree.files);
+        const subfolders = Object.keys(tree.folders)
+            .filter(path => parentOf(path) === folder)
+            .sort(comparePaths)
+            .map(path => ({
+                name: baseName(path),
+                path,
+                folderCount: Object.keys(tree.folders).filter(other => parentOf(other) === path).length,
+                fileCount: entries.filter(entry => isWithin(entry.folder, path)).length
+            }));
+
+        const files = entries
+            .filter(entry => entry.folder === folder)
+            .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }) || a.fileId.localeCompare(b.fileId));
+        const offset = Math.max(0, parseInt(pageToken, 10) || 0);
+        const page = files.slice(offset, offset + limit);
+
+        return {
+            folder,
+            breadcrumbs: this.breadcrumbs(folder, rootName),
+            folders: subfolders,
+            files: page,
+            totalCount: files.length,
+            nextPageToken: offset + limit < files.length ? String(offset + limit) : null
+        };
+    }
+
+    /**
+     * The whole tree as nested folders, each with its files
+     */
+    async describeTree(scope, options = {}) {
+        const { rootName = null } = options;
+        const tree = await this.getTree(scope);
+        const entries = Object.values(tree.files);
+
+        const node = (path) => ({
+            name: path ? baseName(path) : rootName,
+            path,
+            folders: Object.keys(tree.folders)
+                .filter(other => parentOf(other) === path)
+                .sort(comparePaths)
+                .map(node),
+            files: entries
+                .filter(entry => entry.folder === path)
+                .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }))
+        });
+
+        return {
+            root: node(''),
+            folderCount: Object.keys(tree.folders).length,
+            fileCount: entries.length,
+            updatedAt: tree.updatedAt
+        };
+    }
+
+    breadcrumbs(folder, rootName = null) {
+        const crumbs = [{ name: rootName, path: '' }];
+        let path = '';
+        (folder ? folder.split('/') : []).forEach(segment => {
+            path = path ? `${path}/${segment}` : segment;
+            crumbs.push({ name: segment, path });
+        });
+        return crumbs;
+    }
+
+    /**
+     * Add a folder and its parents to a tree. Returns the paths that were new.
+     */
+    addFolder(tree, folderPath, userEmail = null) {
+        const created = [];
+        let path = '';
+        (folderPath ? folderPath.split('/') : []).forEach(segment => {
+            path = path ? `${path}/${segment}` : segment;
+            if (!tree.folders[path]) {
+                tree.folders[path] = { createdAt: new Date().toISOString(), createdBy: userEmail };
+                created.push(path);
+            }
+        });
+        return created;
+    }
+
+    /**
+     * Read-modify-write a tree, retrying when another writer got there first
+     */
+    async mutate(scope, change) {
+        for (let attempt = 1; ; attempt++) {
+            const { tree, etag } = await this.load(scope);
+            change(tree);
+            tree.updatedAt = new Date().toISOString();
+
+            try {
+                await xapiService.saveActivityProfileDocument(
+                    this.activityId(scope),
+                    FOLDERS_PROFILE_ID,
+                    tree,
+                    etag ? { etag } : { ifNoneMatch: true }
+                );
+                return tree;
+            } catch (error) {
+                if (error.status !== 409 || attempt >= MAX_WRITE_ATTEMPTS) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    /**
+     * Load a tree. Users and projects without one have it built from the versioned
+     * files in storage and saved, like project storage totals.
+     */
+    async load(scope) {
+        const activityId = this.activityId(scope);
+        const document = await xapiService.getActivityProfileDocument(activityId, FOLDERS_PROFILE_ID);
+        if (document) {
+            return { tree: document.data, etag: document.etag };
+        }
+
+        if (!this.building.has(activityId)) {
+            this.building.set(activityId, this.build(scope).finally(() => {
+                this.building.delete(activityId);
+            }));
+        }
+        await this.building.get(activityId);
+        return this.load(scope);
+    }
+
+    /**
+     * Build a tree from the object metadata of the scope's versioned files. The newest
+     * object of a file is its current version. Objects uploaded before version
+     * history existed, and files in the trash, are not part of any tree.
+     */
+    async build(scope) {
+        const driver = storageConfig.getDriver();
+        await driver.open();
+
+        const tree = { scope, folders: {}, files: {}, updatedAt: null };
+        this.addFolder(tree, DEFAULT_FOLDER);
+
+        const versions = new Map();
+        let pageToken = null;
+        do {
+            const page = await driver.list({ prefix: scope.projectId ? '' : `${scope.userId}/`, pageToken });
+            page.files
+                .filter(file => file.metadata.versionOf && !file.metadata.trashedAt && !file.name.startsWith('.'))
+                .filter(file => scope.projectId ? file.metadata.projectId === scope.projectId : !file.metadata.projectId)
+                .forEach(file => {
+                    const objects = versions.get(file.metadata.versionOf) || [];
+                    objects.push(file);
+                    versions.set(file.metadata.versionOf, objects);
+                });
+            pageToken = page.nextPageToken;
+        } while (pageToken);
+
+        versions.forEach((objects, fileId) => {
+            const current = objects.reduce((newest, file) =>
+                Date.parse(file.metadata.uploadedAt || file.created) > Date.parse(newest.metadata.uploadedAt || newest.created) ? file : newest);
+            const folder = current.metadata.folder || DEFAULT_FOLDER;
+
+            this.addFolder(tree, folder);
+            tree.files[fileId] = {
+                fileId,
+                name: current.metadata.originalName || baseName(current.name),
+                folder,
+                owner: current.metadata.uploadedBy,
+                ownerEmail: null,
+                size: blobService.logicalSize(current),
+                contentType: current.contentType,
+                currentVersion: null,
+                versionCount: objects.length,
+                updatedAt: current.metadata.uploadedAt || current.created
+            };
+        });
+        tree.updatedAt = new Date().toISOString();
+
+        try {
+            await xapiService.saveActivityProfileDocument(this.activityId(scope), FOLDERS_PROFILE_ID, tree, { ifNoneMatch: true });
+        } catch (error) {
+            // Another process built it first
+            if (error.status !== 409) {
+                throw error;
+            }
+        }
+        return tree;
+    }
+}
+
+function parentOf(folderPath) {
+    const slash = folderPath.lastIndexOf('/');
+    return slash === -1 ? '' : folderPath.slice(0, slash);
+}
+
+function baseName(folderPath) {
+    return folderPath.slice(folderPath.lastIndexOf('/') + 1);
+}
+
+function isWithin(folderPath, ancestor) {
+    return folderPath === ancestor || folderPath.startsWith(`${ancestor}/`);
+}
+
+function comparePaths(a, b) {
+    return a.localeCompare(b, undefined, { sensitivity: 'base' });
+}
+
+function httpError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+module.exports = new FolderService();
@@ -0,0 +1,86 @@
+const xapiConfig = require('../config/xapi');
+const xapiService = require('./xapiService');
+const projectIndexService = require('./projectIndexService');
+const folderService = require('./folderService');
+
+const scope = { userId: 'folders-user' };
+
+beforeAll(async () => {
+    await xapiConfig.initialize();
+    await xapiService.initialize();
+    await projectIndexService.upsert({
+        id: 'folders-project',
+        title: 'Folders',
+        createdBy: 'owner@example.com',
+        status: 'active',
+        collaborators: [
+            { email: 'editor@example.com', role: 'editor' },
+            { email: 'viewer@example.com', role: 'viewer' }
+        ]
+    });
+});
+
+afterAll(() => {
+    xapiService.outbox.close();
+});
+
+describe('folderService.normalizePath', () => {
+    test('trims segments and collapses slashes', () => {
+        expect(folderService.normalizePath(' data / 2024//raw/ ')).toBe('data/2024/raw');
+        expect(folderService.normalizePath(undefined)).toBe('');
+        expect(folderService.normalizeFolder('')).toBe('general');
+    });
+
+    test('rejects traversal, reserved names and deep nesting', () => {
+        expect(() => folderService.normalizePath('data/../secrets')).toThrow('Invalid folder name');
+        expect(() => folderService.normalizePath('projects/x')).toThrow('reserved');
+        expect(() => folderService.normalizePath(Array(12).fill('a').join('/'))).toThrow('nested');
+    });
+});
+
+describe('folderService.authorize', () => {
+    test('lets owners and editors change files and other members view them', async () => {
+        await expect(folderService.authorize({ email: 'owner@example.com' }, 'folders-project', 'edit')).resolves.toMatchObject({ id: 'folders-project' });
+        await expect(folderService.authorize({ email: 'editor@example.com' }, 'folders-project', 'edit')).resolves.toBeTruthy();
+        await expect(folderService.authorize({ email: 'viewer@example.com' }, 'folders-project', 'view')).resolves.toBeTruthy();
+        await expect(folderService.authorize({ email: 'viewer@example.com' }, 'folders-project', 'edit')).rejects.toMatchObject({ status: 403 });
+        await expect(folderService.authorize({ email: 'other@example.com', role: 'admin' }, 'folders-project', 'edit')).resolves.toBeTruthy();
+        await expect(folderService.authorize({ email: 'owner@example.com' }, 'no-such-project')).rejects.toMatchObject({ status: 404 });
+        await expect(folderService.authorize({ email: 'anyone@example.com' }, null, 'edit')).resolves.toBeNull();
+    });
+});
+
+describe('folder trees', () => {
+    test('create, move and delete folders with their subfolders', async () => {
+        await folderService.createFolder(scope, 'reports/2024/q1', 'user@example.com');
+        await expect(folderService.createFolder(scope, 'reports/2024', 'user@example.com')).rejects.toMatchObject({ status: 409 });
+
+        const listing = await folderService.listFolder(scope, 'reports');
+        expect(listing.folders.map(folder => folder.path)).toEqual(['reports/2024']);
+        expect(listing.breadcrumbs.map(crumb => crumb.path)).toEqual(['', 'reports']);
+
+        await expect(folderService.moveFolder(scope, 'reports', 'reports/inside')).rejects.toMatchObject({ status: 400 });
+        await folderService.moveFolder(scope, 'reports/2024', 'archive/2024', 'user@example.com');
+        const tree = await folderService.getTree(scope);
+        expect(Object.keys(tree.folders)).toEqual(expect.arrayContaining(['archive', 'archive/2024', 'archive/2024/q1']));
+        expect(tree.folders['reports/2024']).toBeUndefined();
+
+        const { removed } = await folderService.deleteFolder(scope, 'archive');
+        expect(removed).toEqual(['archive', 'archive/2024', 'archive/2024/q1']);
+        await expect(folderService.deleteFolder(scope, 'general')).rejects.toMatchObject({ status: 400 });
+    });
+
+    test('refuses to delete a folder that still holds files', async () => {
+        await folderService.recordFile({
+            fileId: 'f'.repeat(32),
+            name: 'notes.txt',
+            folder: 'keep',
+            owner: scope.userId,
+            versions: [{ version: 1, size: 5 }],
+            currentVersion: 1
+        });
+
+        await expect(folderService.deleteFolder(scope, 'keep')).rejects.toMatchObject({ status: 409, fileCount: 1 });
+        expect(await folderService.findFile(scope, { folder: 'keep', name: 'notes.txt' })).toMatchObject({ fileId: 'f'.repeat(32) });
+    });
+});
@@ -2,22 +2,27 @@
  * Google Cloud Storage Service for Hu Lab Portal
  * Handles all file operations including upload, download, delete, versioning, and access control
  * All file storage operations should go through this service
+ * Objects are kept by the storage driver chosen in config/storage.js (GCS bucket,
+ * local directory or memory). File content is stored once per distinct SHA-256 by
+ * services/blobService.js; the object at a file's path refers to it. Uploads are
+ * checked by services/uploadInspectionService.js before they are stored, and images
+ * get resized variants from services/imageVariantService.js.
  */
 
-const { Storage } = require('@google-cloud/storage');
+const crypto = require('crypto');
 const path = require('path');
-const fs = require('fs').promises;
+const { Transform } = require('stream');
 const uuid = require('uuid');
 const mime = require('mime-types');
-const sharp = require('sharp');
+const storageConfig = require('../config/storage');
+const quotaService = require('./quotaService');
+const blobService = require('./blobService');
+const uploadInspectionService = require('./uploadInspectionService');
+const imageVariantService = require('./imageVariantService');
 
 class GCSService {
     constructor() {
-        this.storage = null;
-        this.bucket = null;
-        this.bucketName = process.env.GCS_BUCKET_NAME;
-        this.projectId = process.env.GCS_PROJECT_ID;
-        this.keyFilename = process.env.GCS_KEY_FILE;
+        this.driver = null;
         this.initialized = false;
         this.allowedFileTypes = {
             images: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg', 'bmp'],
@@ -30,50 +35,28 @@ class GCSService {
             video: ['mp4', 'avi', 'mov', 'wmv', 'flv', 'webm']
         };
         this.maxFileSize = 100 * 1024 * 1024; // 100MB default
-        this.thumbnailSize = { width: 300, height: 300 };
     }
 
     /**
-     * Initialize Google Cloud Storage
+     * Initialize the storage driver
      */
     async initialize() {
         try {
-            const storageConfig = {
-                projectId: this.projectId
-            };
-
-            // Use key file if provided, otherwise rely on environment authentication
-            if (this.keyFilename && await this.fileExists(this.keyFilename)) {
-                storageConfig.keyFilename = this.keyFilename;
-            }
-
-            this.storage = new Storage(storageConfig);
-            this.bucket = this.storage.bucket(this.bucketName);
-
-            // Verify bucket exists and is accessible
-            const [exists] = await this.bucket.exists();
-            if (!exists) {
-                console.log(`Bucket ${this.bucketName} does not exist, attempting to create...`);
-                try {
-                    await this.bucket.create();
-                    console.log(`Successfully created bucket ${this.bucketName}`);
-                } catch (createError) {
-                    console.warn(`Could not create bucket: ${createError.message}`);
-                    console.log('GCS will operate in limited mode - some features may not work');
-                }
-            }
+            this.driver = storageConfig.getDriver();
+            await this.driver.open();
 
             this.initialized = true;
-            console.log('Google Cloud Storage initialized successfully');
+            console.log(`File storage initialized successfully (${this.driver.description})`);
             return true;
         } catch (error) {
-            console.error('Failed to initialize Google Cloud Storage:', error);
+            console.error('Failed to initialize file storage:', error);
             throw new Error('GCS initialization failed: ' + error.message);
         }
     }
 
     /**
-     * Upload file to GCS
+     * Upload file to GCS. With generateThumbnail, images also get their variants
+     * (thumbnail and larger sizes in several formats).
      */
     async uploadFile(fileBuffer, fileName, options = {}) {
         if (!this.initialized) {
@@ -81,36 +64,154 @@ class GCSService {
         }
 
         try {
-            const {
-                userId = 'anonymous',
-                projectId = null,
-                folder = 'general',
-                metadata = {},
-                generateThumbnail = false,
-                isPublic = false,
-                contentType = null
-            } = options;
-
-            // Generate unique filename
-            const fileExtension = path.extname(fileName).toLowerCase();
-            const fileId = uuid.v4();
-            const sanitizedFileName = this.sanitizeFileName(path.basename(fileName, fileExtension));
-            const uniqueFileName = `${sanitizedFileName}-${fileId}${fileExtension}`;
-            
-            // Create folder structure: userId/projectId/folder/file
-            let filePath = `${userId}/${folder}/${uniqueFileName}`;
-            if (projectId) {
-                filePath = `${userId}/projects/${projectId}/${folder}/${uniqueFileName}`;
-            }
+            const { generateThumbnail = false, isPublic = false } = options;
+            const target = this.prepareUpload(fileName, options);
 
             // Validate file
             await this.validateFile(fileBuffer, fileName);
 
-            // Determine content type
-            const detectedContentType = contentType || mime.lookup(fileName) || 'application/octet-stream';
+            // Check what the content really is; sanitised content is stored instead
+            const { report, buffer } = await uploadInspectionService.inspectBuffer(fileBuffer, fileName);
+            const content = buffer || fileBuffer;
+            if (buffer) {
+                report.original = { size: fileBuffer.length, sha256: this.sha256(fileBuffer) };
+            }
+            this.setInspection(target, report);
+
+            // Refuse it if the uploader or the project has no room left
+            await quotaService.checkUpload(
+                { id: target.userId, email: options.userEmail, role: options.userRole },
+                target.projectId,
+                content.length
+            );
+
+            // Store the content unless it is already stored, then the file referring to it
+            await this.beforeUsageChange(target);
+            const blob = await blobService.store(this.sha256(content), target.filePath, { buffer: content }, {
+                size: content.length,
+                contentType: target.contentType
+            });
+            await this.saveReference(target, blob, { isPublic });
+            await this.recordUsage(target, content.length, 1);
+
+            // Generate thumbnail and other variants for images
+            let variants = null;
+            if (generateThumbnail && this.isImageFile(fileName)) {
+                variants = await this.generateVariants(content, blob.sha256);
+            }
+
+            return await this.uploadResult(target, blob, { isPublic, variants });
+        } catch (error) {
+            console.error('Error uploading file to GCS:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Upload file from a stream without holding it in memory.
+     * Takes the options of uploadFile except generateThumbnail (image variants are made
+     * when first asked for); the size limit and quota checks are up to the caller.
+     */
+    async uploadStream(stream, fileName, options = {}) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        try {
+            const { isPublic = false } = options;
+            const target = this.prepareUpload(fileName, options);
+            this.validateFileType(fileName);
+
+            // The content is hashed and sampled on its way into storage, inspected, and
+            // moved to its blob afterwards
+            const hash = crypto.createHash('sha256');
+            const sample = uploadInspectionService.createSample();
+            const hashing = new Transform({
+                transform(chunk, encoding, callback) {
+                    hash.update(chunk);
+                    sample.update(chunk);
+                    callback(null, chunk);
+                }
+            });
+            stream.on('error', error => hashing.destroy(error));
+
+            const incomingPath = blobService.incomingPath(target.fileId);
+            await this.beforeUsageChange(target);
+            let blob;
+            try {
+                const info = await this.driver.saveStream(incomingPath, stream.pipe(hashing), { contentType: target.contentType });
+                const sha256 = hash.digest('hex');
+                const { report, buffer } = await uploadInspectionService.inspect({
+                    ...sample,
+                    read: () => this.driver.read(incomingPath),
+                    open: () => this.driver.createReadStream(incomingPath)
+                }, fileName);
+                if (buffer) {
+                    report.original = { size: info.size, sha256 };
+                }
+                this.setInspection(target, report);
+
+                if (buffer) {
+                    blob = await blobService.store(this.sha256(buffer), target.filePath, { buffer }, {
+                        size: buffer.length,
+                        contentType: target.contentType
+                    });
+                } else {
+                    blob = await blobService.store(sha256, target.filePath, { incomingPath }, {
+                        size: info.size,
+                        contentType: target.contentType
+                    });
+                }
+            } finally {
+                await this.driver.delete(incomingPath).catch(() => {});
+            }
+            await this.saveReference(target, blob, { isPublic });
+            await this.recordUsage(target, blob.size, 1);
 
-            // Prepare file metadata
-            const fileMetadata = {
+            return await this.uploadResult(target, blob, { isPublic, variants: null });
+        } catch (error) {
+            console.error('Error streaming file to GCS:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Object path and metadata for a new upload
+     */
+    prepareUpload(fileName, options = {}) {
+        const {
+            userId = 'anonymous',
+            projectId = null,
+            folder = 'general',
+            metadata = {},
+            contentType = null
+        } = options;
+
+        // Generate unique filename
+        const fileExtension = path.extname(fileName).toLowerCase();
+        const fileId = uuid.v4();
+        const sanitizedFileName = this.sanitizeFileName(path.basename(fileName, fileExtension));
+        const uniqueFileName = `${sanitizedFileName}-${fileId}${fileExtension}`;
+
+        // Create folder structure: userId/projectId/folder/file
+        let filePath = `${userId}/${folder}/${uniqueFileName}`;
+        if (projectId) {
+            filePath = `${userId}/projects/${projectId}/${folder}/${uniqueFileName}`;
+        }
+
+        // Determine content type
+        const detectedContentType = contentType || mime.lookup(fileName) || 'application/octet-stream';
+
+        return {
+            fileId,
+            fileName,
+            uniqueFileName,
+            filePath,
+            userId,
+            projectId,
+            folder,
+            contentType: detectedContentType,
+            fileMetadata: {
                 contentType: detectedContentType,
                 metadata: {
                     originalName: fileName,
@@ -121,64 +222,98 @@ class GCSService {
                     fileId: fileId,
                     ...metadata
                 }
-            };
-
-            // Upload main file
-            const file = this.bucket.file(filePath);
-            const stream = file.createWriteStream({
-                metadata: fileMetadata,
-                resumable: true,
-                validation: 'crc32c'
-            });
+            }
+        };
+    }
 
-            const uploadPromise = new Promise((resolve, reject) => {
-                stream.on('error', reject);
-                stream.on('finish', resolve);
-                stream.end(fileBuffer);
+    /**
+     * Save the object at a file's path that refers to its blob. A public file gets its
+     * own public copy of the content (see makeFilePublic).
+     */
+    async saveReference(target, blob, { isPublic }) {
+        try {
+            await this.driver.save(target.filePath, Buffer.alloc(0), {
+                contentType: target.contentType,
+                metadata: {
+                    ...target.fileMetadata.metadata,
+                    blob: blob.sha256,
+                    contentLength: String(blob.size)
+                },
+                isPublic
             });
-
-            await uploadPromise;
-
-            // Set public access if requested
             if (isPublic) {
-                await file.makePublic();
-            }
-
-            // Generate thumbnail for images
-            let thumbnailUrl = null;
-            if (generateThumbnail && this.isImageFile(fileName)) {
-                thumbnailUrl = await this.generateThumbnail(fileBuffer, filePath, fileId, userId, projectId);
+                await this.makeFilePublic(target.filePath);
             }
+        } catch (error) {
+            await blobService.release(blob.sha256, target.filePath).catch(() => {});
+            throw error;
+        }
+    }
 
-            // Get signed URL for private access
-            const [signedUrl] = await file.getSignedUrl({
-                action: 'read',
-                expires: Date.now() + 24 * 60 * 60 * 1000 // 24 hours
+    /**
+     * Make a file readable by anyone with its URL. A blob is shared by every file with
+     * the same content, whoever owns it, so it is never made public: the file leaves
+     * deduplication and keeps its own copy of the content, which is made public.
+     */
+    async makeFilePublic(filePath) {
+        const info = await this.driver.getMetadata(filePath);
+        if (blobService.isReference(info)) {
+            const { blob, contentLength, ...metadata } = info.metadata;
+            const content = await this.driver.createReadStream(blobService.blobPath(blob));
+            await this.driver.saveStream(filePath, content, { contentType: info.contentType, metadata, isPublic: true });
+            await blobService.release(blob, filePath).catch(error => {
+                console.error(`Failed to release the blob of ${filePath}:`, error.message);
             });
+        }
+        await this.driver.makePublic(filePath);
+    }
 
-            const result = {
-                fileId: fileId,
-                fileName: uniqueFileName,
-                originalName: fileName,
-                filePath: filePath,
-                url: isPublic ? file.publicUrl() : signedUrl,
-                thumbnailUrl: thumbnailUrl,
-                contentType: detectedContentType,
-                size: fileBuffer.length,
-                uploadedAt: new Date().toISOString(),
-                userId: userId,
-                projectId: projectId,
-                folder: folder,
-                isPublic: isPublic
-            };
+    /**
+     * Keep an upload's inspection report in its metadata
+     */
+    setInspection(target, report) {
+        target.inspection = report;
+        target.fileMetadata.metadata.inspection = JSON.stringify(report);
+    }
 
-            return result;
+    /**
+     * Inspection report of a stored file, or null for files stored before uploads were inspected
+     */
+    inspectionOf(metadata) {
+        try {
+            return metadata && metadata.inspection ? JSON.parse(metadata.inspection) : null;
         } catch (error) {
-            console.error('Error uploading file to GCS:', error);
-            throw error;
+            return null;
         }
     }
 
+    async uploadResult(target, blob, { isPublic, variants }) {
+        // Get signed URL for private access
+        const signedUrl = await this.driver.getSignedUrl(blob.blobPath, {
+            action: 'read',
+            expires: Date.now() + 24 * 60 * 60 * 1000 // 24 hours
+        });
+
+        return {
+            fileId: target.fileId,
+            fileName: target.uniqueFileName,
+            originalName: target.fileName,
+            filePath: target.filePath,
+            url: isPublic ? this.driver.publicUrl(target.filePath) : signedUrl,
+            thumbnailUrl: variants ? variants.thumbnailUrl : null,
+            variants: variants ? this.describeVariants(variants.manifest) : null,
+            contentType: target.contentType,
+            size: blob.size,
+            sha256: blob.sha256,
+            inspection: target.inspection || null,
+            uploadedAt: new Date().toISOString(),
+            userId: target.userId,
+            projectId: target.projectId,
+            folder: target.folder,
+            isPublic: isPublic
+        };
+    }
+
     /**
      * Download file from GCS
      */
@@ -193,33 +328,25 @@ class GCSService {
                 urlExpiration = 60 * 60 * 1000 // 1 hour
             } = options;
 
-            const file = this.bucket.file(filePath);
-            
-            // Check if file exists
-            const [exists] = await file.exists();
-            if (!exists) {
-                throw new Error('File not found');
-            }
-
-            // Get file metadata
-            const [metadata] = await file.getMetadata();
+            // Get file metadata (fails with 'File not found' if it does not exist)
+            const metadata = await this.driver.getMetadata(filePath);
 
             let downloadUrl = null;
             if (generateSignedUrl) {
-                const [signedUrl] = await file.getSignedUrl({
+                downloadUrl = await this.driver.getSignedUrl(blobService.contentPath(metadata), {
                     action: 'read',
                     expires: Date.now() + urlExpiration
                 });
-                downloadUrl = signedUrl;
             }
 
             return {
                 filePath: filePath,
                 downloadUrl: downloadUrl,
-                metadata: metadata.metadata || {},
+                metadata: metadata.metadata,
+                inspection: this.inspectionOf(metadata.metadata),
                 contentType: metadata.contentType,
-                size: metadata.size,
-                created: metadata.timeCreated,
+                size: blobService.logicalSize(metadata),
+                created: metadata.created,
                 updated: metadata.updated
             };
         } catch (error) {
@@ -237,15 +364,29 @@ class GCSService {
         }
 
         try {
-            const file = this.bucket.file(filePath);
-            const [buffer] = await file.download();
-            return buffer;
+            const metadata = await this.driver.getMetadata(filePath);
+            return await this.driver.read(blobService.contentPath(metadata));
         } catch (error) {
             console.error('Error getting file buffer from GCS:', error);
             throw error;
         }
     }
 
+    /**
+     * Read stream of a file's content with its size, for copying it without buffering
+     */
+    async getFileStream(filePath) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        const metadata = await this.driver.getMetadata(filePath);
+        return {
+            stream: await this.driver.createReadStream(blobService.contentPath(metadata)),
+            size: blobService.logicalSize(metadata)
+        };
+    }
+
     /**
      * Delete file from GCS
      */
@@ -257,29 +398,29 @@ class GCSService {
         try {
             const { deleteThumbnail = true } = options;
 
-            const file = this.bucket.file(filePath);
-            
-            // Check if file exists
-            const [exists] = await file.exists();
-            if (!exists) {
-                throw new Error('File not found');
+            // Get metadata before deletion (fails with 'File not found' if it does not exist)
+            const metadata = await this.driver.getMetadata(filePath);
+            const fileId = metadata.metadata.fileId;
+
+            // Delete main file, and its content when no other file refers to it
+            const owner = { userId: metadata.metadata.uploadedBy, projectId: metadata.metadata.projectId };
+            await this.beforeUsageChange(owner);
+            await this.driver.delete(filePath);
+            const blobDeleted = await this.releaseBlob(metadata);
+            await this.recordUsage(owner, -blobService.logicalSize(metadata), -1);
+            if (blobDeleted) {
+                await this.deleteVariants(metadata.metadata.blob);
             }
 
-            // Get metadata before deletion
-            const [metadata] = await file.getMetadata();
-            const fileId = metadata.metadata?.fileId;
-
-            // Delete main file
-            await file.delete();
-
             // Delete thumbnail if exists
             if (deleteThumbnail && fileId) {
-                await this.deleteThumbnail(fileId, metadata.metadata?.uploadedBy, metadata.metadata?.projectId);
+                await this.deleteThumbnail(fileId, metadata.metadata.uploadedBy, metadata.metadata.projectId);
             }
 
             return {
                 filePath: filePath,
                 deleted: true,
+                blobDeleted: blobDeleted,
                 deletedAt: new Date().toISOString()
             };
         } catch (error) {
@@ -313,30 +454,27 @@ class GCSService {
                 prefix += `${folder}/`;
             }
 
-            const [files, , metadata] = await this.bucket.getFiles({
+            const page = await this.driver.list({
                 prefix: prefix,
-                maxResults: limit,
+                limit: limit,
                 pageToken: pageToken
             });
 
-            const fileList = await Promise.all(files.map(async (file) => {
-                const [fileMetadata] = includeMetadata ? await file.getMetadata() : [{}];
-                
-                return {
-                    name: file.name,
-                    size: fileMetadata.size,
-                    contentType: fileMetadata.contentType,
-                    created: fileMetadata.timeCreated,
-                    updated: fileMetadata.updated,
-                    metadata: fileMetadata.metadata || {},
-                    publicUrl: fileMetadata.metadata?.isPublic ? file.publicUrl() : null
-                };
+            // Drivers always describe listed objects, so includeMetadata only trims the result
+            const fileList = page.files.map(file => ({
+                name: file.name,
+                size: blobService.logicalSize(file),
+                contentType: file.contentType,
+                created: file.created,
+                updated: file.updated,
+                metadata: includeMetadata ? file.metadata : {},
+                publicUrl: file.isPublic ? this.driver.publicUrl(blobService.contentPath(file)) : null
             }));
 
             return {
                 files: fileList,
-                nextPageToken: metadata.nextPageToken || null,
-                totalCount: files.length
+                nextPageToken: page.nextPageToken,
+                totalCount: fileList.length
             };
         } catch (error) {
             console.error('Error listing files from GCS:', error);
@@ -359,18 +497,13 @@ class GCSService {
                 contentType = null
             } = options;
 
-            const file = this.bucket.file(filePath);
-            
-            const signedUrlOptions = {
+            // Reads are served from the file's content; writes go to the path itself
+            const target = action === 'read' ? blobService.contentPath(await this.driver.getMetadata(filePath)) : filePath;
+            const signedUrl = await this.driver.getSignedUrl(target, {
                 action: action,
-                expires: expires
-            };
-
-            if (contentType && action === 'write') {
-                signedUrlOptions.contentType = contentType;
-            }
-
-            const [signedUrl] = await file.getSignedUrl(signedUrlOptions);
+                expires: expires,
+                contentType: contentType
+            });
 
             return {
                 signedUrl: signedUrl,
@@ -392,28 +525,34 @@ class GCSService {
         }
 
         try {
-            const { updateMetadata = {} } = options;
+            const { updateMetadata = {}, recordSource = true } = options;
 
-            const sourceFile = this.bucket.file(sourcePath);
-            const destinationFile = this.bucket.file(destinationPath);
-
-            await sourceFile.copy(destinationFile);
+            const source = await this.driver.getMetadata(sourcePath);
+            const owner = {
+                userId: updateMetadata.uploadedBy !== undefined ? updateMetadata.uploadedBy : source.metadata.uploadedBy,
+                projectId: updateMetadata.projectId !== undefined ? updateMetadata.projectId : source.metadata.projectId
+            };
+            await this.beforeUsageChange(owner);
+            // A copy of a file refers to the same content
+            if (blobService.isReference(source)) {
+                await blobService.reference(source.metadata.blob, destinationPath);
+            }
+            try {
+                await this.driver.copy(sourcePath, destinationPath);
+            } catch (error) {
+                await this.releaseBlob({ ...source, name: destinationPath }).catch(() => {});
+                throw error;
+            }
 
             // Update metadata if provided
             if (Object.keys(updateMetadata).length > 0) {
-                const [metadata] = await destinationFile.getMetadata();
-                const newMetadata = {
-                    ...metadata,
-                    metadata: {
-                        ...metadata.metadata,
-                        ...updateMetadata,
-                        copiedFrom: sourcePath,
-                        copiedAt: new Date().toISOString()
-                    }
-                };
-
-                await destinationFile.setMetadata(newMetadata);
+                await this.driver.setMetadata(destinationPath, {
+                    ...updateMetadata,
+                    ...(recordSource ? { copiedFrom: sourcePath } : {}),
+                    copiedAt: new Date().toISOString()
+                });
             }
+            await this.recordUsage(owner, blobService.logicalSize(source), 1);
 
             return {
                 sourcePath: sourcePath,
@@ -427,6 +566,27 @@ class GCSService {
         }
     }
 
+    /**
+     * Update custom metadata of a file (null values remove a key)
+     */
+    async updateFileMetadata(filePath, metadata = {}) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        try {
+            const info = await this.driver.setMetadata(filePath, metadata);
+            return {
+                filePath: filePath,
+                metadata: info.metadata,
+                updated: info.updated
+            };
+        } catch (error) {
+            console.error('Error updating file metadata:', error);
+            throw error;
+        }
+    }
+
     /**
      * Share file with other users
      */
@@ -443,12 +603,11 @@ class GCSService {
                 expirationTime = null
             } = shareOptions;
 
-            const file = this.bucket.file(filePath);
-
             // Make file publicly accessible if allowAnonymous
             if (allowAnonymous) {
-                await file.makePublic();
+                await this.makeFilePublic(filePath);
             }
+            const contentPath = blobService.contentPath(await this.driver.getMetadata(filePath));
 
             // Add specific email permissions (simplified - GCS doesn't directly support email-based permissions like Google Drive)
             // This would typically be handled at the application level with signed URLs
@@ -463,11 +622,10 @@ class GCSService {
             // Generate signed URLs for shared access
             if (emails.length > 0) {
                 const expiration = expirationTime || (Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
-                const [signedUrl] = await file.getSignedUrl({
+                shareInfo.sharedUrl = await this.driver.getSignedUrl(contentPath, {
                     action: 'read',
                     expires: expiration
                 });
-                shareInfo.sharedUrl = signedUrl;
                 shareInfo.expires = new Date(expiration).toISOString();
             }
 
@@ -479,63 +637,86 @@ class GCSService {
     }
 
     /**
-     * Generate thumbnail for images
+     * Make the variants of an image's content. Returns the manifest and a signed URL of
+     * the thumbnail (the smallest size in JPEG or PNG), or null when the content is not
+     * an image sharp can read.
      */
-    async generateThumbnail(imageBuffer, originalFilePath, fileId, userId, projectId) {
+    async generateVariants(imageBuffer, sha256) {
         try {
-            if (!this.isImageFile(originalFilePath)) {
-                return null;
-            }
+            const manifest = await imageVariantService.generate(imageBuffer, sha256);
+            const thumbnail = imageVariantService.choose(manifest, { size: manifest.sizes[0].name });
+            const thumbnailUrl = await this.driver.getSignedUrl(thumbnail.path, {
+                action: 'read',
+                expires: Date.now() + 24 * 60 * 60 * 1000 // 24 hours
+            });
+            return { manifest, thumbnailUrl };
+        } catch (error) {
+            console.error('Error generating image variants:', error);
+            return null;
+        }
+    }
 
-            // Generate thumbnail using sharp
-            const thumbnailBuffer = await sharp(imageBuffer)
-                .resize(this.thumbnailSize.width, this.thumbnailSize.height, {
-                    fit: 'inside',
-                    withoutEnlargement: true
-                })
-                .jpeg({ quality: 80 })
-                .toBuffer();
+    /**
+     * Signed URL of the variant of an image file that suits a request ({ accept, size,
+     * width, format }, see imageVariantService.choose). Variants that were not made on
+     * upload are made now.
+     */
+    async getImageVariant(filePath, request = {}, options = {}) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
 
-            // Upload thumbnail
-            let thumbnailPath = `${userId}/thumbnails/${fileId}.jpg`;
-            if (projectId) {
-                thumbnailPath = `${userId}/projects/${projectId}/thumbnails/${fileId}.jpg`;
-            }
+        const { urlExpiration = 60 * 60 * 1000 } = options;
+        const metadata = await this.driver.getMetadata(filePath);
+        if (!this.isImageFile(filePath) || !blobService.isReference(metadata)) {
+            throw httpError('Image variants are only available for uploaded images', 400);
+        }
 
-            const thumbnailFile = this.bucket.file(thumbnailPath);
-            const stream = thumbnailFile.createWriteStream({
-                metadata: {
-                    contentType: 'image/jpeg',
-                    metadata: {
-                        originalFile: originalFilePath,
-                        fileId: fileId,
-                        thumbnailFor: originalFilePath,
-                        createdAt: new Date().toISOString()
-                    }
-                }
-            });
+        const sha256 = metadata.metadata.blob;
+        let manifest = await imageVariantService.getManifest(sha256);
+        if (!manifest || !imageVariantService.isCurrent(manifest)) {
+            const generated = await this.generateVariants(await this.driver.read(blobService.contentPath(metadata)), sha256);
+            if (!generated) {
+                throw httpError('Image variants could not be made for this file', 422);
+            }
+            manifest = generated.manifest;
+        }
 
-            await new Promise((resolve, reject) => {
-                stream.on('error', reject);
-                stream.on('finish', resolve);
-                stream.end(thumbnailBuffer);
-            });
+        const variant = imageVariantService.choose(manifest, request);
+        const expiresAt = Date.now() + urlExpiration;
+        return {
+            url: await this.driver.getSignedUrl(variant.path, { action: 'read', expires: expiresAt }),
+            variant: { name: variant.name, format: variant.format, contentType: variant.contentType, width: variant.width, height: variant.height, size: variant.size },
+            expiresAt: new Date(expiresAt).toISOString()
+        };
+    }
 
-            // Generate signed URL for thumbnail
-            const [thumbnailUrl] = await thumbnailFile.getSignedUrl({
-                action: 'read',
-                expires: Date.now() + 24 * 60 * 60 * 1000 // 24 hours
-            });
+    /**
+     * Sizes and formats of an image's variants, for API responses
+     */
+    describeVariants(manifest) {
+        return {
+            width: manifest.width,
+            height: manifest.height,
+            sizes: manifest.sizes,
+            formats: manifest.formats
+        };
+    }
 
-            return thumbnailUrl;
+    /**
+     * Delete the variants of deleted content
+     */
+    async deleteVariants(sha256) {
+        try {
+            return await imageVariantService.deleteVariants(sha256);
         } catch (error) {
-            console.error('Error generating thumbnail:', error);
-            return null;
+            console.error(`Failed to delete image variants of ${sha256}:`, error.message);
+            return 0;
         }
     }
 
     /**
-     * Delete thumbnail
+     * Delete the thumbnail of a file uploaded before images had variants
      */
     async deleteThumbnail(fileId, userId, projectId) {
         try {
@@ -544,11 +725,8 @@ class GCSService {
                 thumbnailPath = `${userId}/projects/${projectId}/thumbnails/${fileId}.jpg`;
             }
 
-            const thumbnailFile = this.bucket.file(thumbnailPath);
-            const [exists] = await thumbnailFile.exists();
-            
-            if (exists) {
-                await thumbnailFile.delete();
+            if (await this.driver.exists(thumbnailPath)) {
+                await this.driver.delete(thumbnailPath);
             }
 
             return true;
@@ -562,7 +740,6 @@ class GCSService {
      * File validation
      */
     async validateFile(fileBuffer, fileName) {
-        const fileExtension = path.extname(fileName).toLowerCase().substring(1);
         const fileSize = fileBuffer.length;
 
         // Check file size
@@ -570,6 +747,12 @@ class GCSService {
             throw new Error(`File size exceeds maximum allowed size of ${this.maxFileSize / (1024 * 1024)}MB`);
         }
 
+        return this.validateFileType(fileName);
+    }
+
+    validateFileType(fileName) {
+        const fileExtension = path.extname(fileName).toLowerCase().substring(1);
+
         // Check file type
         const isAllowedType = Object.values(this.allowedFileTypes)
             .some(types => types.includes(fileExtension));
@@ -581,6 +764,57 @@ class GCSService {
         return true;
     }
 
+    /**
+     * Drop a deleted file's reference to its content. Returns whether the content
+     * itself was deleted (because no other file refers to it).
+     */
+    async releaseBlob(info) {
+        if (!blobService.isReference(info)) {
+            return false;
+        }
+        try {
+            const { deleted } = await blobService.release(info.metadata.blob, info.name);
+            return deleted;
+        } catch (error) {
+            console.error(`Failed to release content of ${info.name}:`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Scopes whose stored byte counts a file of owner ({ userId, projectId }) adds to
+     */
+    usageScopes(owner) {
+        const scopes = [];
+        if (owner.userId) {
+            scopes.push({ userId: owner.userId });
+        }
+        if (owner.projectId) {
+            scopes.push({ projectId: owner.projectId });
+        }
+        return scopes;
+    }
+
+    /**
+     * Make sure the owner's and the project's stored byte counts exist before one of
+     * their files changes, so a first count from storage does not include the change
+     */
+    async beforeUsageChange(owner) {
+        for (const scope of this.usageScopes(owner)) {
+            await quotaService.getUsage(scope);
+        }
+    }
+
+    async recordUsage(owner, bytes, files) {
+        for (const scope of this.usageScopes(owner)) {
+            try {
+                await quotaService.recordUsage(scope, bytes, files);
+            } catch (error) {
+                console.error(`Failed to update storage usage of ${quotaService.scopeKey(scope)}:`, error.message);
+            }
+        }
+    }
+
     /**
      * Helper methods
      */
@@ -596,13 +830,8 @@ class GCSService {
         return this.allowedFileTypes.images.includes(ext);
     }
 
-    async fileExists(filePath) {
-        try {
-            await fs.access(filePath);
-            return true;
-        } catch {
-            return false;
-        }
+    sha256(buffer) {
+        return crypto.createHash('sha256').update(buffer).digest('hex');
     }
 
     /**
@@ -628,34 +857,52 @@ class GCSService {
     }
 
     /**
-     * Get storage usage for a user
+     * Get storage usage for a user. totalSize (logicalSize) counts every file;
+     * physicalSize counts content shared by several of the files once.
      */
     async getStorageUsage(userId, projectId = null) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
         try {
             let prefix = `${userId}/`;
             if (projectId) {
                 prefix += `projects/${projectId}/`;
             }
 
-            const [files] = await this.bucket.getFiles({ prefix });
-            
             let totalSize = 0;
-            const fileCount = files.length;
+            let fileCount = 0;
             const typeBreakdown = {};
+            // Content of these files, counted once however many of them share it
+            const contents = new Map();
+
+            let pageToken = null;
+            do {
+                const page = await this.driver.list({ prefix, pageToken });
+                for (const file of page.files) {
+                    const size = blobService.logicalSize(file);
+                    totalSize += size;
+                    fileCount++;
+                    contents.set(blobService.contentPath(file), size);
+
+                    const ext = path.extname(file.name).toLowerCase().substring(1) || 'unknown';
+                    typeBreakdown[ext] = (typeBreakdown[ext] || 0) + size;
+                }
+                pageToken = page.nextPageToken;
+            } while (pageToken);
 
-            for (const file of files) {
-                const [metadata] = await file.getMetadata();
-                totalSize += parseInt(metadata.size || 0);
-                
-                const ext = path.extname(file.name).toLowerCase().substring(1) || 'unknown';
-                typeBreakdown[ext] = (typeBreakdown[ext] || 0) + parseInt(metadata.size || 0);
-            }
+            const physicalSize = [...contents.values()].reduce((total, size) => total + size, 0);
 
             return {
                 userId,
                 projectId,
                 totalSize,
+                logicalSize: totalSize,
+                physicalSize,
+                savedSize: totalSize - physicalSize,
                 fileCount,
+                contentCount: contents.size,
                 typeBreakdown,
                 calculatedAt: new Date().toISOString()
             };
@@ -674,13 +921,14 @@ class GCSService {
                 await this.initialize();
             }
 
-            // Try to list one file to test connection
-            await this.bucket.getFiles({ maxResults: 1 });
+            // Try to reach the bucket or directory
+            await this.driver.check();
             
             return { 
                 status: 'healthy', 
                 timestamp: new Date().toISOString(),
-                bucket: this.bucketName
+                driver: storageConfig.getDriverType(),
+                bucket: this.driver.description
             };
         } catch (error) {
             return { 
@@ -692,4 +940,10 @@ class GCSService {
     }
 }
 
+function httpError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
 module.exports = new GCSService();
\ No newline at end of file
@@ -0,0 +1,477 @@
+/**
+ * Identity Service for Hu Lab Portal
+ * Links the identifiers a person signs in with (email addresses, Google account ids,
+ * gateway subjects) to one canonical portal user, so Google, oauth.skoonline.org and
+ * email logins do not become separate xAPI actors.
+ * The identity index is one xAPI activity profile document, updated with ETag
+ * preconditions like the project index. Statements are immutable and keep the actor
+ * they were recorded with; profile and analytics lookups resolve every linked actor.
+ */
+
+const uuid = require('uuid');
+const xapiService = require('./xapiService');
+const projectIndexService = require('./projectIndexService');
+
+const INDEX_PROFILE_ID = 'identity-index';
+const MAX_WRITE_ATTEMPTS = 5;
+const USER_PROFILE_ID = 'user-profile';
+const PROJECT_STATE_ID = 'project-data';
+
+class IdentityService {
+    get activityId() {
+        return `${xapiService.baseActivityId}/identities`;
+    }
+
+    /**
+     * Record a sign-in. Identifiers already linked to a user are attached to it and new
+     * ones are added; a new user is created when none is known. Identifiers that belong
+     * to another user are never moved here, only by an admin merge.
+     * identifiers: [{ type: 'email' | 'google' | 'skoonline' | ..., value }]
+     * Returns the user entry with conflicts listing any other users that matched.
+     * Repeat sign-ins that link nothing new do not rewrite the index.
+     */
+    async link(identifiers, options = {}) {
+        const requested = normalizeIdentifiers(identifiers);
+        if (!requested.some(identifier => identifier.type === 'email')) {
+            const error = new Error('An email address is required to link an identity');
+            error.status = 400;
+            throw error;
+        }
+
+        let result = null;
+        await this.mutate(index => {
+            let changed = false;
+            const matched = [...new Set(requested.map(identifier => index.lookup[identifier.key]).filter(Boolean))];
+            const now = new Date().toISOString();
+
+            let user = matched.length > 0 ? index.users[matched[0]] : null;
+            if (!user) {
+                user = {
+                    id: uuid.v4(),
+                    primaryEmail: requested.find(identifier => identifier.type === 'email').value,
+                    name: options.name || null,
+                    identifiers: [],
+                    mergedInto: null,
+                    merges: [],
+                    createdAt: now,
+                    updatedAt: now
+                };
+                index.users[user.id] = user;
+                changed = true;
+            }
+
+            requested
+                .filter(identifier => !index.lookup[identifier.key])
+                .forEach(identifier => {
+                    user.identifiers.push({ ...identifier, source: options.source || null, linkedAt: now });
+                    index.lookup[identifier.key] = user.id;
+                    user.updatedAt = now;
+                    changed = true;
+                });
+
+            if (options.name && !user.name) {
+                user.name = options.name;
+                changed = true;
+            }
+
+            result = { ...user, conflicts: matched.slice(1) };
+            return changed;
+        });
+
+        return result;
+    }
+
+    /**
+     * The user an identifier is linked to, or null
+     */
+    async resolve(type, value) {
+        const [identifier] = normalizeIdentifiers([{ type, value }]);
+        const { index } = await this.load();
+        const userId = index.lookup[identifier.key];
+        return userId ? index.users[userId] : null;
+    }
+
+    async get(userId) {
+        const { index } = await this.load();
+        return index.users[userId] || null;
+    }
+
+    /**
+     * Email address the user's profile and new statements are kept under
+     */
+    async getPrimaryEmail(email) {
+        const user = await this.resolve('email', email);
+        return user ? user.primaryEmail : email;
+    }
+
+    /**
+     * Every email address linked to the same user, primary first
+     */
+    async getLinkedEmails(email) {
+        const user = await this.resolve('email', email);
+        if (!user) {
+            return [email];
+        }
+        return emailsOf(user);
+    }
+
+    /**
+     * xAPI agents for every address linked to the user, for statement queries
+     */
+    async getActors(email) {
+        const emails = await this.getLinkedEmails(email);
+        return emails.map(address => xapiService.createActor({ email: address }));
+    }
+
+    /**
+     * Snapshot function mapping a statement actor to its user's primary mbox,
+     * so linked actors are counted as one user
+     */
+    async getResolver() {
+        const { index } = await this.load();
+        return actor => {
+            const mbox = actor && actor.mbox;
+            if (!mbox) {
+                return mbox;
+            }
+            const userId = index.lookup[identifierKey('email', mbox.replace(/^mailto:/, ''))];
+            return userId ? `mailto:${index.users[userId].primaryEmail}` : mbox;
+        };
+    }
+
+    /**
+     * Merge the user signed in as sourceEmail into the user signed in as targetEmail
+     * (admin operation). The source user's agent profiles and activity state are moved
+     * to the target's primary email, its projects are handed over, and its identifiers
+     * are linked to the target. Documents the target already has are kept and reported
+     * as conflicts; the source copy is left in place for review.
+     */
+    async merge(sourceEmail, targetEmail, options = {}) {
+        const source = await this.link([{ type: 'email', value: sourceEmail }], { source: 'merge' });
+        const target = await this.link([{ type: 'email', value: targetEmail }], { source: 'merge' });
+
+        if (source.id === target.id) {
+            const error = new Error(`${sourceEmail} and ${targetEmail} are already the same user`);
+            error.status = 409;
+            throw error;
+        }
+
+        const report = {
+            source: { id: source.id, emails: emailsOf(source) },
+            target: { id: target.id, primaryEmail: target.primaryEmail },
+            profiles: { migrated: [], merged: [], conflicts: [] },
+            states: { migrated: [], conflicts: [] },
+            projects: { owned: [], collaborating: [] }
+        };
+
+        // Move documents before relinking, so a failed merge can simply be run again
+        for (const email of report.source.emails) {
+            await this.migrateProfiles(email, target.primaryEmail, report);
+            await this.migrateStates(email, target.primaryEmail, report);
+            await this.migrateProjects(email, target.primaryEmail, report);
+        }
+
+        await this.mutate(index => {
+            const from = index.users[source.id];
+            const into = index.users[target.id];
+            const now = new Date().toISOString();
+
+            from.identifiers.forEach(identifier => {
+                into.identifiers.push({ ...identifier, source: 'merge', linkedAt: now });
+                index.lookup[identifier.key] = into.id;
+            });
+            into.merges.push({
+                userId: from.id,
+                primaryEmail: from.primaryEmail,
+                mergedAt: now,
+                mergedBy: options.mergedBy || null
+            });
+            into.name = into.name || from.name;
+            into.updatedAt = now;
+
+            from.identifiers = [];
+            from.mergedInto = into.id;
+            from.updatedAt = now;
+        });
+
+        report.user = await this.get(target.id);
+        return report;
+    }
+
+    async migrateProfiles(fromEmail, toEmail, report) {
+        const profileIds = await xapiService.getAgentProfileIds(fromEmail);
+
+        for (const profileId of profileIds) {
+            const from = await xapiService.getAgentProfileDocument(fromEmail, profileId);
+            if (!from) {
+                continue;
+            }
+            const to = await xapiService.getAgentProfileDocument(toEmail, profileId);
+
+            if (profileId === USER_PROFILE_ID && to) {
+                await xapiService.saveAgentProfileDocument(toEmail, profileId, mergeUserProfiles(from.data, to.data, toEmail), { etag: to.etag });
+                report.profiles.merged.push({ email: fromEmail, profileId });
+            } else if (to) {
+                report.profiles.conflicts.push({ email: fromEmail, profileId });
+                continue;
+            } else {
+                const data = profileId === USER_PROFILE_ID ? { ...from.data, email: toEmail } : from.data;
+                await xapiService.saveAgentProfileDocument(toEmail, profileId, data, { ifNoneMatch: true });
+                report.profiles.migrated.push({ email: fromEmail, profileId });
+            }
+
+            await xapiService.dropAgentProfile(fromEmail, profileId);
+        }
+    }
+
+    async migrateStates(fromEmail, toEmail, report) {
+        for (const activityId of await this.stateActivityIds(fromEmail)) {
+            const stateIds = await xapiService.getActivityStateIds(fromEmail, activityId);
+
+            for (const stateId of stateIds) {
+                const from = await xapiService.getActivityStateDocument(fromEmail, activityId, stateId);
+                if (!from) {
+                    continue;
+                }
+
+                try {
+                    await xapiService.saveActivityState(toEmail, activityId, stateId, from.data, { ifNoneMatch: true });
+                } catch (error) {
+                    if (error.status !== 409) {
+                        throw error;
+                    }
+                    report.states.conflicts.push({ email: fromEmail, activityId, stateId });
+                    continue;
+                }
+
+                await xapiService.dropActivityState(fromEmail, activityId, stateId);
+                report.states.migrated.push({ email: fromEmail, activityId, stateId });
+            }
+        }
+    }
+
+    /**
+     * Activities an agent may hold state for: everything in statements about the
+     * agent, plus the projects it owns (project-data lives under the owner)
+     */
+    async stateActivityIds(email) {
+        const ids = new Set();
+
+        const statements = xapiService.iterateStatements({
+            agent: xapiService.createActor({ email }),
+            related_agents: true
+        });
+        for await (const statement of statements) {
+            activityIdsOf(statement).forEach(id => ids.add(id));
+        }
+
+        const { projects } = await projectIndexService.list(email, { role: 'owner', limit: Infinity });
+        projects.forEach(project => ids.add(`${xapiService.baseActivityId}/project/${project.id}`));
+
+        return [...ids];
+    }
+
+    /**
+     * Hand the source's projects to the target: owned projects (whose project-data
+     * has just been moved) and projects the source collaborates on
+     */
+    async migrateProjects(fromEmail, toEmail, report) {
+        const owned = await projectIndexService.list(fromEmail, { role: 'owner', status: null, limit: Infinity });
+        const deleted = await projectIndexService.list(fromEmail, { role: 'owner', status: 'deleted', limit: Infinity });
+        const collaborating = await projectIndexService.list(fromEmail, { role: 'collaborator', limit: Infinity });
+
+        for (const entry of [...owned.projects, ...deleted.projects]) {
+            if (await this.reassignProject(entry.id, toEmail, fromEmail, toEmail)) {
+                report.projects.owned.push(entry.id);
+            }
+        }
+        for (const entry of collaborating.projects) {
+            if (await this.reassignProject(entry.id, entry.createdBy, fromEmail, toEmail)) {
+                report.projects.collaborating.push(entry.id);
+            }
+        }
+    }
+
+    /**
+     * Replace fromEmail as creator and collaborator of a project; a null toEmail
+     * removes it from the collaborators instead
+     */
+    async reassignProject(projectId, ownerEmail, fromEmail, toEmail) {
+        const activityId = `${xapiService.baseActivityId}/project/${projectId}`;
+        const same = email => String(email || '').toLowerCase() === fromEmail.toLowerCase();
+
+        for (let attempt = 1; ; attempt++) {
+            const document = await xapiService.getActivityStateDocument(ownerEmail, activityId, PROJECT_STATE_ID);
+            if (!document) {
+                return false;
+            }
+
+            const project = {
+                ...document.data,
+                createdBy: same(document.data.createdBy) && toEmail ? toEmail : document.data.createdBy,
+                collaborators: dedupeCollaborators((document.data.collaborators || [])
+                    .filter(collab => toEmail || !same(collab.email))
+                    .map(collab => same(collab.email) ? { ...collab, email: toEmail } : collab))
+            };
+
+            try {
+                await xapiService.saveActivityState(ownerEmail, activityId, PROJECT_STATE_ID, project, { etag: document.etag });
+                await projectIndexService.upsert(project);
+                return true;
+            } catch (error) {
+                if (error.status !== 409 || attempt >= MAX_WRITE_ATTEMPTS) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    /**
+     * Forget a user after a privacy erasure. Its identifiers are unlinked and the entry
+     * keeps only its id, the pseudonym it was erased under and when; users merged into
+     * it lose their email addresses too. Returns the erased user's id, or null.
+     */
+    async erase(email, options = {}) {
+        const user = await this.resolve('email', email);
+        if (!user) {
+            return null;
+        }
+
+        await this.mutate(index => {
+            const now = new Date().toISOString();
+            const forget = entry => ({
+                id: entry.id,
+                primaryEmail: null,
+                name: null,
+                identifiers: [],
+                mergedInto: entry.mergedInto,
+                merges: entry.merges.map(merge => ({ ...merge, primaryEmail: null })),
+                erasure: { pseudonym: options.pseudonym || null, erasedAt: now, jobId: options.jobId || null },
+                createdAt: entry.createdAt,
+                updatedAt: now
+            });
+
+            Object.values(index.users)
+                .filter(entry => entry.id === user.id || entry.mergedInto === user.id)
+                .forEach(entry => { index.users[entry.id] = forget(entry); });
+        });
+
+        return user.id;
+    }
+
+    /**
+     * Rebuild the identifier lookup from the user entries
+     */
+    reindex(index) {
+        const lookup = {};
+        Object.values(index.users).forEach(user => {
+            user.identifiers.forEach(identifier => {
+                lookup[identifier.key] = user.id;
+            });
+        });
+        index.lookup = lookup;
+        index.updatedAt = new Date().toISOString();
+        return index;
+    }
+
+    /**
+     * Read-modify-write the index, retrying when another writer got there first.
+     * A change that returns false leaves the stored index untouched.
+     */
+    async mutate(change) {
+        for (let attempt = 1; ; attempt++) {
+            const { index, etag } = await this.load();
+            if (change(index) === false) {
+                return index;
+            }
+
+            try {
+                await xapiService.saveActivityProfileDocument(
+                    this.activityId,
+                    INDEX_PROFILE_ID,
+                    this.reindex(index),
+                    etag ? { etag } : { ifNoneMatch: true }
+                );
+                return index;
+            } catch (error) {
+                if (error.status !== 409 || attempt >= MAX_WRITE_ATTEMPTS) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    async load() {
+        const document = await xapiService.getActivityProfileDocument(this.activityId, INDEX_PROFILE_ID);
+        return document
+            ? { index: document.data, etag: document.etag }
+            : { index: this.reindex({ users: {} }), etag: null };
+    }
+}
+
+function identifierKey(type, value) {
+    return `${type}:${type === 'email' ? value.toLowerCase() : value}`;
+}
+
+function normalizeIdentifiers(identifiers) {
+    return identifiers
+        .filter(identifier => identifier && identifier.value)
+        .map(identifier => {
+            const type = String(identifier.type || '').toLowerCase();
+            if (!/^[a-z][a-z0-9-]*$/.test(type)) {
+                const error = new Error(`Invalid identifier type "${identifier.type}"`);
+                error.status = 400;
+                throw error;
+            }
+            const value = type === 'email' ? String(identifier.value).trim().toLowerCase() : String(identifier.value).trim();
+            return { type, value, key: identifierKey(type, value) };
+        });
+}
+
+function emailsOf(user) {
+    const others = user.identifiers
+        .filter(identifier => identifier.type === 'email' && identifier.value !== user.primaryEmail)
+        .map(identifier => identifier.value);
+    return [user.primaryEmail, ...others];
+}
+
+function activityIdsOf(statement) {
+    const ids = [];
+    if (statement.object && (!statement.object.objectType || statement.object.objectType === 'Activity')) {
+        ids.push(statement.object.id);
+    }
+    const contextActivities = (statement.context && statement.context.contextActivities) || {};
+    Object.values(contextActivities).forEach(activities => {
+        (Array.isArray(activities) ? activities : [activities]).forEach(activity => ids.push(activity && activity.id));
+    });
+    return ids.filter(Boolean);
+}
+
+/**
+ * The target's profile wins; login counts add up and the source's settings fill gaps
+ */
+function mergeUserProfiles(source, target, email) {
+    return {
+        ...source,
+        ...target,
+        email,
+        preferences: { ...(source.preferences || {}), ...(target.preferences || {}) },
+        loginCount: (source.loginCount || 0) + (target.loginCount || 0),
+        createdAt: [source.createdAt, target.createdAt].filter(Boolean).sort()[0] || target.createdAt,
+        updatedAt: new Date().toISOString()
+    };
+}
+
+function dedupeCollaborators(collaborators) {
+    const seen = new Set();
+    return collaborators.filter(collab => {
+        const key = String(collab.email || '').toLowerCase();
+        if (seen.has(key)) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    });
+}
+
+module.exports = new IdentityService();
@@ -0,0 +1,78 @@
+const uuid = require('uuid');
+const xapiConfig = require('../config/xapi');
+const xapiService = require('./xapiService');
+const identityService = require('./identityService');
+
+beforeAll(async () => {
+    await xapiConfig.initialize();
+    await xapiService.initialize();
+});
+
+afterAll(() => {
+    xapiService.outbox.close();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+const address = name => `${name}-${uuid.v4()}@example.com`;
+
+describe('identityService.link', () => {
+    test('links a Google id and a gateway subject to one user', async () => {
+        const email = address('alice');
+        const google = await identityService.link([{ type: 'email', value: email }, { type: 'google', value: 'g-1' + email }], { name: 'Alice' });
+        const gateway = await identityService.link([{ type: 'email', value: email.toUpperCase() }, { type: 'skoonline', value: 's-1' + email }]);
+
+        expect(gateway.id).toBe(google.id);
+        expect(gateway.identifiers.map(identifier => identifier.type)).toEqual(['email', 'google', 'skoonline']);
+        expect((await identityService.resolve('skoonline', 's-1' + email)).id).toBe(google.id);
+        expect(await identityService.resolve('google', 's-1' + email)).toBeNull();
+    });
+
+    test('does not rewrite the index when nothing new is linked', async () => {
+        const email = address('bob');
+        const identifiers = [{ type: 'email', value: email }, { type: 'skoonline', value: 'sub-' + email }];
+        await identityService.link(identifiers, { name: 'Bob' });
+
+        const save = jest.spyOn(xapiService, 'saveActivityProfileDocument');
+        const again = await identityService.link(identifiers, { name: 'Bob' });
+
+        expect(again.primaryEmail).toBe(email);
+        expect(save).not.toHaveBeenCalled();
+    });
+
+    test('never moves an identifier that belongs to another user', async () => {
+        const first = await identityService.link([{ type: 'email', value: address('carol') }]);
+        const secondEmail = address('carol-work');
+        const second = await identityService.link([{ type: 'email', value: secondEmail }]);
+
+        const result = await identityService.link([{ type: 'email', value: first.primaryEmail }, { type: 'email', value: secondEmail }]);
+
+        expect(result.id).toBe(first.id);
+        expect(result.conflicts).toEqual([second.id]);
+        expect((await identityService.resolve('email', secondEmail)).id).toBe(second.id);
+    });
+
+    test('requires an email address', async () => {
+        await expect(identityService.link([{ type: 'google', value: 'g-only' }])).rejects.toMatchObject({ status: 400 });
+    });
+});
+
+describe('identityService.merge', () => {
+    test('moves profiles and identifiers to the target user', async () => {
+        const sourceEmail = address('dave-old');
+        const targetEmail = address('dave');
+        await identityService.link([{ type: 'email', value: sourceEmail }, { type: 'google', value: 'g-' + sourceEmail }]);
+        await xapiService.saveAgentProfileDocument(sourceEmail, 'preferences', { theme: 'dark' });
+
+        const report = await identityService.merge(sourceEmail, targetEmail, { mergedBy: 'admin@example.com' });
+
+        expect(report.profiles.migrated).toEqual([{ email: sourceEmail, profileId: 'preferences' }]);
+        expect(await identityService.getPrimaryEmail(sourceEmail)).toBe(targetEmail);
+        expect(await identityService.getLinkedEmails(targetEmail)).toEqual([targetEmail, sourceEmail]);
+        expect((await identityService.resolve('google', 'g-' + sourceEmail)).id).toBe(report.user.id);
+        expect((await xapiService.getAgentProfileDocument(targetEmail, 'preferences')).data).toEqual({ theme: 'dark' });
+        await expect(identityService.merge(sourceEmail, targetEmail)).rejects.toMatchObject({ status: 409 });
+    });
+});
@@ -0,0 +1,219 @@
+/**
+ * Image Variant Service for Hu Lab Portal
+ * Resized copies of uploaded images for responsive pages. Every configured size (by
+ * default thumb 300x300, medium 800x800 and large 1600x1600, fitted inside and never
+ * enlarged) is made in each configured modern format (AVIF and WebP) and in JPEG, or
+ * PNG for images with transparency, for clients that accept neither.
+ *
+ * Variants belong to the stored content, so files that share content share them:
+ *   .blobs/variants/<xx>/<sha256>/manifest.json     sizes and formats made
+ *   .blobs/variants/<xx>/<sha256>/<size>.<ext>      one variant
+ * choose() picks the variant for a request from its size or width and Accept header.
+ */
+
+const sharp = require('sharp');
+const storageConfig = require('../config/storage');
+
+const VARIANT_PREFIX = '.blobs/variants/';
+const MANIFEST_NAME = 'manifest.json';
+const DEFAULT_SIZES = 'thumb:300x300,medium:800x800,large:1600x1600';
+const MODERN_FORMATS = ['avif', 'webp'];
+const FORMAT_OPTIONS = {
+    // AVIF encoding is slow; low effort keeps uploads quick at a small cost in size
+    avif: { quality: 50, effort: 2 },
+    webp: { quality: 80 },
+    jpeg: { quality: 80, progressive: true },
+    png: { compressionLevel: 9 }
+};
+const CONTENT_TYPES = { avif: 'image/avif', webp: 'image/webp', jpeg: 'image/jpeg', png: 'image/png' };
+const EXTENSIONS = { avif: 'avif', webp: 'webp', jpeg: 'jpg', png: 'png' };
+
+class ImageVariantService {
+    constructor() {
+        const sizes = parseSizes(process.env.IMAGE_VARIANTS || '');
+        this.sizes = sizes.length > 0 ? sizes : parseSizes(DEFAULT_SIZES);
+        this.formats = (process.env.IMAGE_VARIANT_FORMATS || MODERN_FORMATS.join(','))
+            .split(',')
+            .map(format => format.trim().toLowerCase())
+            .filter(format => MODERN_FORMATS.includes(format));
+    }
+
+    prefix(sha256) {
+        return `${VARIANT_PREFIX}${sha256.slice(0, 2)}/${sha256}/`;
+    }
+
+    variantPath(sha256, name, format) {
+        return `${this.prefix(sha256)}${name}.${EXTENSIONS[format]}`;
+    }
+
+    /**
+     * Sizes and formats made of some content, or null when none were
+     */
+    async getManifest(sha256) {
+        const driver = await this.storage();
+        const manifestPath = this.prefix(sha256) + MANIFEST_NAME;
+        if (!await driver.exists(manifestPath)) {
+            return null;
+        }
+        return JSON.parse((await driver.read(manifestPath)).toString('utf8'));
+    }
+
+    /**
+     * Make the variants of an image unless they were made before with the current
+     * sizes and formats. Returns the manifest.
+     */
+    async generate(buffer, sha256) {
+        const existing = await this.getManifest(sha256);
+        if (existing && this.isCurrent(existing)) {
+            return existing;
+        }
+        if (existing) {
+            await this.deleteVariants(sha256);
+        }
+
+        const driver = await this.storage();
+        const metadata = await sharp(buffer).metadata();
+        const rotated = (metadata.orientation || 1) >= 5;
+        const fallback = metadata.hasAlpha ? 'png' : 'jpeg';
+        const formats = [...this.formats, fallback];
+        const variants = [];
+
+        for (const size of this.sizes) {
+            const { data, info } = await sharp(buffer)
+                .rotate()
+                .resize(size.width, size.height, { fit: 'inside', withoutEnlargement: true })
+                .raw()
+                .toBuffer({ resolveWithObject: true });
+
+            for (const format of formats) {
+                const output = await sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+                    .toFormat(format, FORMAT_OPTIONS[format])
+                    .toBuffer();
+                const variantPath = this.variantPath(sha256, size.name, format);
+                await driver.save(variantPath, output, {
+                    contentType: CONTENT_TYPES[format],
+                    metadata: { variantOf: sha256, variant: size.name }
+                });
+                variants.push({
+                    name: size.name,
+                    format,
+                    contentType: CONTENT_TYPES[format],
+                    width: info.width,
+                    height: info.height,
+                    size: output.length,
+                    path: variantPath
+                });
+            }
+        }
+
+        const manifest = {
+            sha256,
+            width: rotated ? metadata.height : metadata.width,
+            height: rotated ? metadata.width : metadata.height,
+            sizes: this.sizes.map(size => ({ ...size })),
+            formats,
+            fallback,
+            variants,
+            createdAt: new Date().toISOString()
+        };
+        await driver.save(this.prefix(sha256) + MANIFEST_NAME, Buffer.from(JSON.stringify(manifest), 'utf8'), {
+            contentType: 'application/json'
+        });
+        return manifest;
+    }
+
+    /**
+     * Delete the variants of some content. Returns how many objects were deleted.
+     */
+    async deleteVariants(sha256) {
+        const driver = await this.storage();
+        let deleted = 0;
+        let pageToken = null;
+        do {
+            const page = await driver.list({ prefix: this.prefix(sha256), pageToken });
+            for (const file of page.files) {
+                await driver.delete(file.name);
+                deleted++;
+            }
+            pageToken = page.nextPageToken;
+        } while (pageToken);
+        return deleted;
+    }
+
+    /**
+     * The variant that suits a request: size names one, width asks for the smallest
+     * at least that wide (the largest without either). format names a format, or else
+     * the first modern format the Accept header lists is used, and the fallback when it
+     * lists none, since clients that only send wildcards may not decode them.
+     */
+    choose(manifest, { accept = '', size = null, width = null, format = null } = {}) {
+        const available = manifest.sizes.map(candidate => candidate.name);
+        if (size && !available.includes(size)) {
+            throw httpError(`Unknown image size "${size}". Expected one of: ${available.join(', ')}`, 400);
+        }
+        if (format && !manifest.formats.includes(format)) {
+            throw httpError(`Unknown image format "${format}". Expected one of: ${manifest.formats.join(', ')}`, 400);
+        }
+
+        let name = size;
+        if (!name) {
+            // Sizes by the width of their fallback variant, narrowest first
+            const bySize = manifest.variants
+                .filter(variant => variant.format === manifest.fallback)
+                .sort((a, b) => a.width - b.width);
+            const wanted = parseInt(width, 10);
+            const match = wanted > 0 ? bySize.find(variant => variant.width >= wanted) : null;
+            name = (match || bySize[bySize.length - 1]).name;
+        }
+
+        const chosenFormat = format ||
+            manifest.formats.find(candidate => candidate !== manifest.fallback && accepts(accept, CONTENT_TYPES[candidate])) ||
+            manifest.fallback;
+        return manifest.variants.find(variant => variant.name === name && variant.format === chosenFormat);
+    }
+
+    isCurrent(manifest) {
+        return this.sizes.every(size => manifest.sizes.some(made =>
+            made.name === size.name && made.width === size.width && made.height === size.height)) &&
+            this.formats.every(format => manifest.formats.includes(format));
+    }
+
+    async storage() {
+        const driver = storageConfig.getDriver();
+        await driver.open();
+        return driver;
+    }
+}
+
+/**
+ * "thumb:300x300,medium:800" -> [{ name, width, height }]; a single number is a square
+ */
+function parseSizes(value) {
+    return value.split(',')
+        .map(entry => /^\s*([a-z0-9-]+):(\d+)(?:x(\d+))?\s*$/i.exec(entry))
+        .filter(Boolean)
+        .map(([, name, width, height]) => ({
+            name: name.toLowerCase(),
+            width: parseInt(width, 10),
+            height: parseInt(height || width, 10)
+        }));
+}
+
+/**
+ * Whether an Accept header names a content type (not just a wildcard) with q > 0
+ */
+function accepts(accept, contentType) {
+    return String(accept).split(',').some(entry => {
+        const [type, ...parameters] = entry.split(';').map(part => part.trim().toLowerCase());
+        const quality = parameters.find(parameter => parameter.startsWith('q='));
+        return type === contentType && (!quality || parseFloat(quality.slice(2)) > 0);
+    });
+}
+
+function httpError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+module.exports = new ImageVariantService();
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const storageConfig = require('../config/storage');
+const imageVariantService = require('./imageVariantService');
+
+const { sizes, formats } = imageVariantService;
+
+beforeAll(() => {
+    // Small sizes keep encoding quick
+    imageVariantService.sizes = [{ name: 'thumb', width: 16, height: 16 }, { name: 'medium', width: 48, height: 48 }];
+    imageVariantService.formats = ['avif', 'webp'];
+});
+
+afterAll(() => {
+    imageVariantService.sizes = sizes;
+    imageVariantService.formats = formats;
+});
+
+function image(width, height, options = {}) {
+    const channels = options.alpha ? 4 : 3;
+    const background = options.alpha ? { r: 20, g: 120, b: 200, alpha: 0.5 } : { r: 20, g: 120, b: 200 };
+    let pipeline = sharp({ create: { width, height, channels, background } });
+    if (options.orientation) {
+        pipeline = pipeline.withMetadata({ orientation: options.orientation });
+    }
+    return pipeline.toFormat(options.alpha ? 'png' : 'jpeg').toBuffer();
+}
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+describe('imageVariantService', () => {
+    test('makes every size in each format and the JPEG fallback, fitted inside and never enlarged', async () => {
+        const buffer = await image(32, 20);
+        const manifest = await imageVariantService.generate(buffer, sha256(buffer));
+
+        expect(manifest).toMatchObject({ width: 32, height: 20, formats: ['avif', 'webp', 'jpeg'], fallback: 'jpeg' });
+        expect(manifest.variants).toHaveLength(6);
+        expect(manifest.variants.filter(variant => variant.name === 'thumb').map(variant => [variant.width, variant.height]))
+            .toEqual([[16, 10], [16, 10], [16, 10]]);
+        expect(manifest.variants.find(variant => variant.name === 'medium').width).toBe(32);
+
+        const driver = storageConfig.getDriver();
+        const stored = await driver.read(manifest.variants.find(variant => variant.format === 'webp').path);
+        expect((await sharp(stored).metadata()).format).toBe('webp');
+    });
+
+    test('falls back to PNG for images with transparency', async () => {
+        const buffer = await image(20, 20, { alpha: true });
+        const manifest = await imageVariantService.generate(buffer, sha256(buffer));
+
+        expect(manifest.fallback).toBe('png');
+        expect(manifest.formats).toEqual(['avif', 'webp', 'png']);
+    });
+
+    test('applies the EXIF orientation', async () => {
+        const buffer = await image(40, 20, { orientation: 6 });
+        const manifest = await imageVariantService.generate(buffer, sha256(buffer));
+
+        expect(manifest).toMatchObject({ width: 20, height: 40 });
+        expect(manifest.variants.find(variant => variant.name === 'thumb')).toMatchObject({ width: 8, height: 16 });
+    });
+
+    test('reuses current variants and remakes them when the sizes change', async () => {
+        const buffer = await image(24, 24);
+        const hash = sha256(buffer);
+        const first = await imageVariantService.generate(buffer, hash);
+
+        expect(await imageVariantService.generate(buffer, hash)).toEqual(first);
+
+        imageVariantService.sizes = [{ name: 'thumb', width: 12, height: 12 }];
+        try {
+            const remade = await imageVariantService.generate(buffer, hash);
+            expect(remade.variants.map(variant => variant.name)).toEqual(['thumb', 'thumb', 'thumb']);
+            expect(remade.variants[0].width).toBe(12);
+        } finally {
+            imageVariantService.sizes = [{ name: 'thumb', width: 16, height: 16 }, { name: 'medium', width: 48, height: 48 }];
+        }
+
+        expect(await imageVariantService.deleteVariants(hash)).toBe(4);
+        expect(await imageVariantService.getManifest(hash)).toBeNull();
+    });
+
+    test('chooses the variant from the size or width and the Accept header', async () => {
+        const buffer = await image(64, 64);
+        const manifest = await imageVariantService.generate(buffer, sha256(buffer));
+
+        expect(imageVariantService.choose(manifest, { accept: 'image/avif,image/webp,*/*' })).toMatchObject({ name: 'medium', format: 'avif' });
+        expect(imageVariantService.choose(manifest, { accept: 'image/avif;q=0,image/webp', size: 'thumb' })).toMatchObject({ name: 'thumb', format: 'webp' });
+        expect(imageVariantService.choose(manifest, { accept: '*/*', width: 10 })).toMatchObject({ name: 'thumb', format: 'jpeg' });
+        expect(imageVariantService.choose(manifest, { width: 20, format: 'webp' })).toMatchObject({ name: 'medium', format: 'webp' });
+        expect(() => imageVariantService.choose(manifest, { size: 'huge' })).toThrow(expect.objectContaining({ status: 400 }));
+        expect(() => imageVariantService.choose(manifest, { format: 'gif' })).toThrow(expect.objectContaining({ status: 400 }));
+    });
+});
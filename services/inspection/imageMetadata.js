@@ -0,0 +1,82 @@
+/**
+ * Image metadata removal for Hu Lab Portal uploads
+ * Photos carry EXIF data (GPS location, camera serial numbers, owner names), XMP and
+ * IPTC records that classroom photos should not share. stripImageMetadata re-encodes
+ * JPEG, PNG and WebP images that have any of them with sharp, which writes none of
+ * them back; the colour profile is kept and the EXIF orientation is applied to the
+ * pixels. Images without such metadata are left untouched.
+ *   stripImageMetadata(buffer) -> { buffer, removed } (buffer null when nothing was removed)
+ */
+
+const sharp = require('sharp');
+
+// High enough that re-encoding a photo does not visibly change it
+const OUTPUT_OPTIONS = {
+    jpeg: { quality: 92, chromaSubsampling: '4:4:4' },
+    png: { compressionLevel: 9 },
+    webp: { quality: 92 }
+};
+const GPS_IFD_TAG = 0x8825;
+
+async function stripImageMetadata(buffer) {
+    const metadata = await sharp(buffer).metadata();
+    const options = OUTPUT_OPTIONS[metadata.format];
+    if (!options || !(metadata.exif || metadata.xmp || metadata.iptc)) {
+        return { buffer: null, removed: [] };
+    }
+
+    const removed = [];
+    if (metadata.exif) {
+        if (hasGpsInfo(metadata.exif)) {
+            removed.push('metadata:gps');
+        }
+        removed.push('metadata:exif');
+    }
+    if (metadata.xmp) {
+        removed.push('metadata:xmp');
+    }
+    if (metadata.iptc) {
+        removed.push('metadata:iptc');
+    }
+
+    const animated = (metadata.pages || 1) > 1;
+    let image = sharp(buffer, { animated }).keepIccProfile();
+    if (!animated) {
+        image = image.rotate();
+    }
+    if (metadata.format === 'png' && metadata.isPalette) {
+        image = image.png({ ...options, palette: true });
+    } else {
+        image = image.toFormat(metadata.format, options);
+    }
+    return { buffer: await image.toBuffer(), removed };
+}
+
+/**
+ * Whether an EXIF block ("Exif\0\0" and a TIFF structure) points at GPS data
+ */
+function hasGpsInfo(exif) {
+    const tiff = exif.toString('latin1', 0, 4) === 'Exif' ? exif.subarray(6) : exif;
+    if (tiff.length < 8) {
+        return false;
+    }
+    const littleEndian = tiff.toString('latin1', 0, 2) === 'II';
+    const read16 = offset => littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+    const read32 = offset => littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset);
+
+    const ifd = read32(4);
+    if (ifd + 2 > tiff.length) {
+        return false;
+    }
+    const count = read16(ifd);
+    for (let i = 0; i < count && ifd + 2 + (i + 1) * 12 <= tiff.length; i++) {
+        if (read16(ifd + 2 + i * 12) === GPS_IFD_TAG) {
+            return true;
+        }
+    }
+    return false;
+}
+
+module.exports = {
+    stripImageMetadata
+};
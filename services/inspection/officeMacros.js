@@ -0,0 +1,106 @@
+/**
+ * Office macro removal for Hu Lab Portal uploads
+ * Word, Excel and PowerPoint files (docx, xlsx, pptx) are zip packages; macros are kept
+ * in a VBA project part. stripMacros removes that part and its signature, the
+ * relationships and content types that point at them, and turns a macro-enabled
+ * document back into a plain one, so the file still opens without its macros.
+ * Older binary Office files (doc, xls, ppt) cannot be rewritten; hasLegacyMacros only
+ * reports whether they contain a VBA project.
+ */
+
+const path = require('path');
+const { readZip, entryData, writeZip } = require('./zipArchive');
+
+const MACRO_PART = /(^|\/)(vbaProject\.bin|vbaProjectSignature\w*\.bin|vbaData\.xml)$/i;
+const MACRO_RELATIONSHIP = /\/(vbaProject|vbaProjectSignature\w*|wordVbaData)"/i;
+const VBA_CONTENT_TYPE = 'application/vnd.ms-office.vbaProject';
+
+// Main part content types of macro-enabled documents and their macro-free equivalents
+const MACRO_FREE_TYPES = {
+    'application/vnd.ms-word.document.macroEnabled.main+xml': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml',
+    'application/vnd.ms-word.template.macroEnabledTemplate.main+xml': 'application/vnd.openxmlformats-officedocument.wordprocessingml.template.main+xml',
+    'application/vnd.ms-excel.sheet.macroEnabled.main+xml': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml',
+    'application/vnd.ms-excel.template.macroEnabled.main+xml': 'application/vnd.openxmlformats-officedocument.spreadsheetml.template.main+xml',
+    'application/vnd.ms-powerpoint.presentation.macroEnabled.main+xml': 'application/vnd.openxmlformats-officedocument.presentationml.presentation.main+xml',
+    'application/vnd.ms-powerpoint.slideshow.macroEnabled.main+xml': 'application/vnd.openxmlformats-officedocument.presentationml.slideshow.main+xml',
+    'application/vnd.ms-powerpoint.template.macroEnabled.main+xml': 'application/vnd.openxmlformats-officedocument.presentationml.template.main+xml'
+};
+
+// Stream and storage names (UTF-16LE in the compound file directory) of a VBA project
+const LEGACY_MACRO_MARKERS = ['_VBA_PROJECT', 'VBA_PROJECT_CUR', 'Macros'].map(name => Buffer.from(name, 'utf16le'));
+
+/**
+ * Remove the macros of an Office Open XML package.
+ * Returns { buffer, removed, activeX }: the parts removed (buffer is the input when
+ * none were) and whether the package has ActiveX controls, which are left in place.
+ */
+function stripMacros(buffer) {
+    const entries = readZip(buffer);
+    const removed = entries.filter(entry => MACRO_PART.test(entry.name)).map(entry => entry.name);
+    const activeX = entries.some(entry => /(^|\/)activeX\//i.test(entry.name));
+    if (removed.length === 0) {
+        return { buffer, removed, activeX };
+    }
+
+    const removedNames = new Set(removed.map(name => path.posix.basename(name).toLowerCase()));
+    const kept = entries
+        .filter(entry => !MACRO_PART.test(entry.name))
+        // Relationships of the removed parts themselves, e.g. word/_rels/vbaProject.bin.rels
+        .filter(entry => !(entry.name.endsWith('.rels') && removedNames.has(path.posix.basename(entry.name, '.rels').toLowerCase())))
+        .map(entry => {
+            if (entry.name === '[Content_Types].xml') {
+                return rewrite(entry, xml => cleanContentTypes(xml, removed));
+            }
+            if (entry.name.endsWith('.rels')) {
+                return rewrite(entry, xml => cleanRelationships(xml, removedNames));
+            }
+            return entry;
+        });
+
+    return { buffer: writeZip(kept), removed, activeX };
+}
+
+/**
+ * Whether a binary Office file holds a VBA project
+ */
+function hasLegacyMacros(buffer) {
+    return LEGACY_MACRO_MARKERS.some(marker => buffer.includes(marker));
+}
+
+function rewrite(entry, change) {
+    const xml = entryData(entry).toString('utf8');
+    const updated = change(xml);
+    if (updated === xml) {
+        return entry;
+    }
+    return { name: entry.name, data: Buffer.from(updated, 'utf8'), time: entry.time, date: entry.date };
+}
+
+function cleanContentTypes(xml, removed) {
+    const partNames = new Set(removed.map(name => `/${name}`.toLowerCase()));
+    return xml
+        .replace(/<Override\b[^>]*\/>/g, element => {
+            const partName = attribute(element, 'PartName');
+            return partName && partNames.has(partName.toLowerCase()) ? '' : element;
+        })
+        .replace(/<Default\b[^>]*\/>/g, element => attribute(element, 'ContentType') === VBA_CONTENT_TYPE ? '' : element)
+        .replace(/ContentType="([^"]+)"/g, (match, type) => MACRO_FREE_TYPES[type] ? `ContentType="${MACRO_FREE_TYPES[type]}"` : match);
+}
+
+function cleanRelationships(xml, removedNames) {
+    return xml.replace(/<Relationship\b[^>]*\/>/g, element => {
+        const target = attribute(element, 'Target') || '';
+        const removedTarget = removedNames.has(path.posix.basename(target).toLowerCase());
+        return removedTarget || MACRO_RELATIONSHIP.test(element) ? '' : element;
+    });
+}
+
+function attribute(element, name) {
+    const match = new RegExp(`\\b${name}="([^"]*)"`).exec(element);
+    return match ? match[1] : null;
+}
+
+module.exports = {
+    stripMacros,
+    hasLegacyMacros
+};
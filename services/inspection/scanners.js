@@ -0,0 +1,125 @@
+/**
+ * Malware scanners for Hu Lab Portal uploads
+ * A scanner has a name and scan(stream, { name, size }) resolving to
+ *   { status: 'clean' | 'infected', signature }
+ * and throws when it cannot scan. clamav sends the content to a clamd daemon (INSTREAM
+ * over TCP or a Unix socket); stub only recognises the EICAR test file, for
+ * development and tests. Other scanners can be plugged in with
+ * uploadInspectionService.setScanner.
+ */
+
+const net = require('net');
+const { once } = require('events');
+
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+// clamd's default StreamMaxLength chunking is up to the client; keep chunks small
+const CLAMAV_CHUNK_SIZE = 64 * 1024;
+
+class ClamAVScanner {
+    constructor(options = {}) {
+        this.name = 'clamav';
+        this.socketPath = options.socket || null;
+        this.host = options.host || '127.0.0.1';
+        this.port = parseInt(options.port, 10) || 3310;
+        this.timeout = options.timeout || 60 * 1000;
+    }
+
+    async scan(stream) {
+        const socket = this.socketPath
+            ? net.createConnection({ path: this.socketPath })
+            : net.createConnection({ host: this.host, port: this.port });
+        socket.setTimeout(this.timeout, () => socket.destroy(new Error('ClamAV did not answer in time')));
+
+        const reply = [];
+        socket.on('data', chunk => reply.push(chunk));
+        const closed = once(socket, 'close');
+        const failed = once(socket, 'error').then(([error]) => {
+            throw new Error(`ClamAV scan failed: ${error.message}`);
+        });
+        // Raced against the steps below, which report the error
+        failed.catch(() => {});
+        closed.catch(() => {});
+
+        const send = async data => {
+            if (!socket.write(data)) {
+                await Promise.race([once(socket, 'drain'), failed]);
+            }
+        };
+
+        try {
+            await Promise.race([once(socket, 'connect'), failed]);
+            await send('zINSTREAM\0');
+            for await (const data of stream) {
+                for (let offset = 0; offset < data.length; offset += CLAMAV_CHUNK_SIZE) {
+                    const chunk = data.subarray(offset, offset + CLAMAV_CHUNK_SIZE);
+                    const length = Buffer.alloc(4);
+                    length.writeUInt32BE(chunk.length, 0);
+                    await send(length);
+                    await send(chunk);
+                }
+            }
+            await send(Buffer.alloc(4));
+            socket.end();
+            await Promise.race([closed, failed]);
+        } finally {
+            socket.destroy();
+        }
+
+        // "stream: OK", "stream: <signature> FOUND" or "<message> ERROR"
+        const answer = Buffer.concat(reply).toString('utf8').replace(/\0/g, '').trim();
+        const found = /^stream: (.+) FOUND$/.exec(answer);
+        if (found) {
+            return { status: 'infected', signature: found[1] };
+        }
+        if (answer === 'stream: OK') {
+            return { status: 'clean', signature: null };
+        }
+        throw new Error(`ClamAV scan failed: ${answer || 'no answer'}`);
+    }
+}
+
+/**
+ * Flags the EICAR anti-virus test file and passes everything else
+ */
+class StubScanner {
+    constructor() {
+        this.name = 'stub';
+    }
+
+    async scan(stream) {
+        let carry = '';
+        for await (const data of stream) {
+            const text = carry + data.toString('latin1');
+            if (text.includes(EICAR)) {
+                return { status: 'infected', signature: 'Eicar-Test-Signature' };
+            }
+            carry = text.slice(-EICAR.length);
+        }
+        return { status: 'clean', signature: null };
+    }
+}
+
+const scanners = {
+    clamav: ClamAVScanner,
+    stub: StubScanner
+};
+
+/**
+ * Scanner of a type, or null for 'none'
+ */
+function createScanner(type, options = {}) {
+    if (!type || type === 'none') {
+        return null;
+    }
+    const Scanner = scanners[type];
+    if (!Scanner) {
+        throw new Error(`Unknown upload scanner "${type}". Expected one of: none, ${Object.keys(scanners).join(', ')}`);
+    }
+    return new Scanner(options);
+}
+
+module.exports = {
+    createScanner,
+    ClamAVScanner,
+    StubScanner
+};
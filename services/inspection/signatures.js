@@ -0,0 +1,183 @@
+/**
+ * File signature detection for Hu Lab Portal uploads
+ * Works out what a file really is from its first bytes (and, for zip based formats,
+ * the names in its central directory) instead of trusting the extension:
+ *   detect(header, { tail }) -> { kind, mimeType } or { kind: 'unknown' }
+ *   accepts(extension, kind) -> whether a file with that extension may be of that kind
+ * header is the start of the file (HEADER_SIZE bytes are enough); tail, the end of the
+ * file, lets zip based formats be told apart.
+ */
+
+const HEADER_SIZE = 8192;
+const TEXT_SAMPLE_SIZE = 8192;
+
+// Checked in order; offset defaults to 0. Short signatures that text could start with
+// also have to pass when(header).
+const SIGNATURES = [
+    { kind: 'executable', mimeType: 'application/x-msdownload', bytes: [0x4D, 0x5A], when: header => header.length >= 64 && !isText(header) },
+    { kind: 'executable', mimeType: 'application/x-elf', bytes: [0x7F, 0x45, 0x4C, 0x46] },
+    { kind: 'executable', mimeType: 'application/x-mach-binary', bytes: [0xFE, 0xED, 0xFA, 0xCE] },
+    { kind: 'executable', mimeType: 'application/x-mach-binary', bytes: [0xFE, 0xED, 0xFA, 0xCF] },
+    { kind: 'executable', mimeType: 'application/x-mach-binary', bytes: [0xCE, 0xFA, 0xED, 0xFE] },
+    { kind: 'executable', mimeType: 'application/x-mach-binary', bytes: [0xCF, 0xFA, 0xED, 0xFE] },
+    { kind: 'executable', mimeType: 'application/java-vm', bytes: [0xCA, 0xFE, 0xBA, 0xBE] },
+    { kind: 'jpeg', mimeType: 'image/jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+    { kind: 'png', mimeType: 'image/png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+    { kind: 'gif', mimeType: 'image/gif', ascii: 'GIF87a' },
+    { kind: 'gif', mimeType: 'image/gif', ascii: 'GIF89a' },
+    { kind: 'webp', mimeType: 'image/webp', ascii: 'RIFF', then: { offset: 8, ascii: 'WEBP' } },
+    { kind: 'wav', mimeType: 'audio/wav', ascii: 'RIFF', then: { offset: 8, ascii: 'WAVE' } },
+    { kind: 'avi', mimeType: 'video/x-msvideo', ascii: 'RIFF', then: { offset: 8, ascii: 'AVI ' } },
+    { kind: 'bmp', mimeType: 'image/bmp', ascii: 'BM', when: header => header.length >= 14 && header.readUInt32LE(6) === 0 },
+    { kind: 'pdf', mimeType: 'application/pdf', ascii: '%PDF-' },
+    { kind: 'rtf', mimeType: 'application/rtf', ascii: '{\\rtf' },
+    { kind: 'ole2', mimeType: 'application/x-ole-storage', bytes: [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1] },
+    { kind: 'zip', mimeType: 'application/zip', bytes: [0x50, 0x4B, 0x03, 0x04] },
+    { kind: 'zip', mimeType: 'application/zip', bytes: [0x50, 0x4B, 0x05, 0x06] },
+    { kind: 'rar', mimeType: 'application/vnd.rar', ascii: 'Rar!\x1A\x07' },
+    { kind: '7z', mimeType: 'application/x-7z-compressed', bytes: [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C] },
+    { kind: 'gzip', mimeType: 'application/gzip', bytes: [0x1F, 0x8B] },
+    { kind: 'tar', mimeType: 'application/x-tar', offset: 257, ascii: 'ustar' },
+    { kind: 'mp3', mimeType: 'audio/mpeg', ascii: 'ID3', when: header => header[3] >= 2 && header[3] <= 4 },
+    { kind: 'ogg', mimeType: 'audio/ogg', ascii: 'OggS', when: header => header[4] === 0 },
+    { kind: 'flac', mimeType: 'audio/flac', ascii: 'fLaC' },
+    { kind: 'mp4', mimeType: 'video/mp4', offset: 4, ascii: 'ftyp' },
+    { kind: 'asf', mimeType: 'video/x-ms-asf', bytes: [0x30, 0x26, 0xB2, 0x75, 0x8E, 0x66, 0xCF, 0x11] },
+    { kind: 'flv', mimeType: 'video/x-flv', ascii: 'FLV\x01' },
+    { kind: 'webm', mimeType: 'video/webm', bytes: [0x1A, 0x45, 0xDF, 0xA3] }
+];
+
+// Kinds each allowed extension may have. Text formats are any text that is not one
+// of the signatures above; svg has to be text with an <svg> element.
+const EXTENSION_KINDS = {
+    jpg: ['jpeg'], jpeg: ['jpeg'], png: ['png'], gif: ['gif'], webp: ['webp'], bmp: ['bmp'],
+    svg: ['svg'],
+    pdf: ['pdf'], rtf: ['rtf'],
+    doc: ['ole2'], xls: ['ole2'], ppt: ['ole2'],
+    docx: ['ooxml-word'], xlsx: ['ooxml-excel'], pptx: ['ooxml-powerpoint'],
+    odt: ['odf-text'], ods: ['odf-spreadsheet'], odp: ['odf-presentation'],
+    zip: ['zip', 'ooxml-word', 'ooxml-excel', 'ooxml-powerpoint', 'odf-text', 'odf-spreadsheet', 'odf-presentation'],
+    rar: ['rar'], '7z': ['7z'], tar: ['tar'], gz: ['gzip'],
+    mp3: ['mp3'], wav: ['wav'], ogg: ['ogg'], m4a: ['mp4'], flac: ['flac'],
+    mp4: ['mp4'], mov: ['mp4'], avi: ['avi'], wmv: ['asf'], flv: ['flv'], webm: ['webm'],
+    txt: ['text'], csv: ['text'], json: ['text'], xml: ['text', 'svg'],
+    js: ['text'], html: ['text', 'svg'], css: ['text'],
+    py: ['text'], java: ['text'], cpp: ['text'], c: ['text'], php: ['text'], rb: ['text']
+};
+
+const ZIP_KINDS = {
+    'ooxml-word': { part: 'word/document.xml', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+    'ooxml-excel': { part: 'xl/workbook.xml', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    'ooxml-powerpoint': { part: 'ppt/presentation.xml', mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation' }
+};
+
+const ODF_KINDS = {
+    'application/vnd.oasis.opendocument.text': 'odf-text',
+    'application/vnd.oasis.opendocument.spreadsheet': 'odf-spreadsheet',
+    'application/vnd.oasis.opendocument.presentation': 'odf-presentation'
+};
+
+function detect(header, options = {}) {
+    const signature = SIGNATURES.find(candidate => matches(header, candidate));
+    if (signature) {
+        if (signature.kind === 'zip') {
+            return detectZip(header, options.tail || header) || { kind: 'zip', mimeType: signature.mimeType };
+        }
+        return { kind: signature.kind, mimeType: signature.mimeType };
+    }
+    if (isMp3Frame(header)) {
+        return { kind: 'mp3', mimeType: 'audio/mpeg' };
+    }
+    if (isText(header)) {
+        const text = decodeText(header).replace(/<!--[\s\S]*?-->/g, '');
+        if (/^\s*(<\?xml[\s\S]*?\?>\s*)?(<!DOCTYPE[^>]*>\s*)?<svg[\s>]/i.test(text)) {
+            return { kind: 'svg', mimeType: 'image/svg+xml' };
+        }
+        return { kind: 'text', mimeType: 'text/plain' };
+    }
+    return { kind: 'unknown', mimeType: 'application/octet-stream' };
+}
+
+function accepts(extension, kind) {
+    return (EXTENSION_KINDS[extension] || []).includes(kind);
+}
+
+/**
+ * Office and OpenDocument files are zip archives; their main part names tell them apart.
+ * OpenDocument stores its media type uncompressed as the first entry.
+ */
+function detectZip(header, tail) {
+    if (header.length >= 38 && header.toString('latin1', 30, 38) === 'mimetype') {
+        // The entry is followed directly by the next one, so its stored size ends it
+        const start = 38 + header.readUInt16LE(28);
+        const mimeType = header.toString('latin1', start, start + Math.min(header.readUInt32LE(18), 80)).trim();
+        if (ODF_KINDS[mimeType]) {
+            return { kind: ODF_KINDS[mimeType], mimeType };
+        }
+    }
+
+    const names = `${header.toString('latin1')}${tail.toString('latin1')}`;
+    if (!names.includes('[Content_Types].xml')) {
+        return null;
+    }
+    const kind = Object.keys(ZIP_KINDS).find(candidate => names.includes(ZIP_KINDS[candidate].part));
+    return kind ? { kind, mimeType: ZIP_KINDS[kind].mimeType } : null;
+}
+
+function matches(header, signature) {
+    const offset = signature.offset || 0;
+    const expected = signature.bytes ? Buffer.from(signature.bytes) : Buffer.from(signature.ascii, 'latin1');
+    if (header.length < offset + expected.length || !header.subarray(offset, offset + expected.length).equals(expected)) {
+        return false;
+    }
+    if (signature.when && !signature.when(header)) {
+        return false;
+    }
+    return signature.then ? matches(header, signature.then) : true;
+}
+
+/**
+ * MPEG audio without an ID3 tag starts with a frame sync
+ */
+function isMp3Frame(header) {
+    return header.length >= 2 && header[0] === 0xFF && (header[1] & 0xE6) === 0xE2;
+}
+
+/**
+ * No NUL bytes (outside UTF-16) and few control characters in the first bytes
+ */
+function isText(header) {
+    const sample = header.subarray(0, TEXT_SAMPLE_SIZE);
+    if (isUtf16(sample)) {
+        return true;
+    }
+    let control = 0;
+    for (const byte of sample) {
+        if (byte === 0) {
+            return false;
+        }
+        if (byte < 0x20 && ![0x09, 0x0A, 0x0C, 0x0D, 0x1B].includes(byte)) {
+            control++;
+        }
+    }
+    return control <= sample.length / 100;
+}
+
+function isUtf16(sample) {
+    return sample.length >= 2 && ((sample[0] === 0xFF && sample[1] === 0xFE) || (sample[0] === 0xFE && sample[1] === 0xFF));
+}
+
+function decodeText(sample) {
+    if (isUtf16(sample) && sample[0] === 0xFF) {
+        return sample.subarray(2).toString('utf16le');
+    }
+    return sample.toString('utf8').replace(/^﻿/, '');
+}
+
+module.exports = {
+    HEADER_SIZE,
+    detect,
+    accepts,
+    isText,
+    decodeText
+};
@@ -0,0 +1,167 @@
+/**
+ * SVG sanitiser for Hu Lab Portal uploads
+ * SVG images can carry scripts that run when the file is opened from its URL. The
+ * markup is re-written keeping only passive content:
+ *   - script, foreignObject, iframe, embed, object and similar elements are removed
+ *     with everything inside them
+ *   - event handler attributes (onload, onclick, ...) are removed
+ *   - links and references may only point into the document, to relative or http(s)
+ *     URLs, or to raster data: URLs; javascript:, other data: URLs and the like are
+ *     removed, also as animated values
+ *   - the DOCTYPE (and any entities it declares), processing instructions other than
+ *     the XML declaration, and comments are dropped
+ *   - style sheets and style attributes that import, script or bind behaviour are removed
+ * sanitizeSvg(text) -> { svg, removed } where removed lists what was taken out.
+ */
+
+const BLOCKED_ELEMENTS = new Set([
+    'script', 'foreignobject', 'iframe', 'frame', 'embed', 'object', 'applet',
+    'meta', 'link', 'base', 'handler', 'listener', 'form', 'input', 'button', 'textarea'
+]);
+const URL_ATTRIBUTES = new Set(['href', 'src', 'action', 'formaction']);
+// Animations can set any attribute, links included
+const ANIMATION_ATTRIBUTES = new Set(['from', 'to', 'values', 'by']);
+const ACTIVE_SCHEME = /(javascript|vbscript|data):/i;
+const SAFE_DATA_URL = /^data:image\/(png|jpe?g|gif|webp);base64,[a-z0-9+/=\s]*$/i;
+const SAFE_URL = /^(#|https?:)/i;
+const ACTIVE_STYLE = /@import|javascript:|expression\s*\(|behavior\s*:|-moz-binding|url\s*\(\s*['"]?\s*(?!#|https?:|data:image\/)/i;
+
+// Markup tokens: comments, CDATA, DOCTYPE (with an internal subset), processing
+// instructions, and tags with quoted attribute values that may contain '>'
+const TOKEN = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<!DOCTYPE(?:[^>[]|\[[\s\S]*?\])*>|<\?[\s\S]*?\?>|<\/?[A-Za-z][^\s/>]*(?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*\s*\/?>/g;
+const TAG = /^<(\/?)([^\s/>]+)([\s\S]*?)(\/?)>$/;
+const ATTRIBUTE = /([^\s=/>]+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s"'>]+))?/g;
+
+function sanitizeSvg(text) {
+    const removed = [];
+    const output = [];
+    // Name and depth of the blocked element being skipped
+    let skipping = null;
+    let position = 0;
+    let match;
+
+    TOKEN.lastIndex = 0;
+    while ((match = TOKEN.exec(text)) !== null) {
+        const token = match[0];
+        if (!skipping) {
+            output.push(escapeStrayMarkup(text.slice(position, match.index)));
+        }
+        position = match.index + token.length;
+
+        if (skipping) {
+            const tag = TAG.exec(token);
+            if (tag && tag[2].toLowerCase() === skipping.name) {
+                if (tag[1]) {
+                    skipping.depth--;
+                } else if (!tag[4]) {
+                    skipping.depth++;
+                }
+                if (skipping.depth === 0) {
+                    skipping = null;
+                }
+            }
+            continue;
+        }
+
+        if (token.startsWith('<!--')) {
+            continue;
+        }
+        if (token.startsWith('<![CDATA[')) {
+            output.push(token);
+            continue;
+        }
+        if (token.startsWith('<!')) {
+            removed.push('doctype');
+            continue;
+        }
+        if (token.startsWith('<?')) {
+            if (/^<\?xml\s/i.test(token)) {
+                output.push(token);
+            } else {
+                removed.push('processing-instruction');
+            }
+            continue;
+        }
+
+        const [, closing, rawName, attributes, selfClosing] = TAG.exec(token);
+        const name = rawName.toLowerCase();
+        const localName = name.includes(':') ? name.split(':').pop() : name;
+        if (BLOCKED_ELEMENTS.has(localName)) {
+            removed.push(`element:${localName}`);
+            if (!closing && !selfClosing) {
+                skipping = { name, depth: 1 };
+            }
+            continue;
+        }
+        if (closing) {
+            output.push(`</${rawName}>`);
+            continue;
+        }
+        if (localName === 'style') {
+            const end = text.toLowerCase().indexOf(`</${name}`, position);
+            const css = text.slice(position, end === -1 ? text.length : end);
+            if (ACTIVE_STYLE.test(css)) {
+                removed.push('element:style');
+                skipping = selfClosing ? null : { name, depth: 1 };
+                continue;
+            }
+        }
+
+        output.push(`<${rawName}${cleanAttributes(attributes, removed)}${selfClosing ? '/' : ''}>`);
+    }
+    if (!skipping) {
+        output.push(escapeStrayMarkup(text.slice(position)));
+    }
+
+    return { svg: output.join(''), removed: Array.from(new Set(removed)) };
+}
+
+function cleanAttributes(attributes, removed) {
+    const kept = [];
+    let match;
+    ATTRIBUTE.lastIndex = 0;
+    while ((match = ATTRIBUTE.exec(attributes)) !== null) {
+        const [source, rawName, rawValue] = match;
+        const name = rawName.toLowerCase().split(':').pop();
+        const value = rawValue === undefined ? '' : decodeEntities(rawValue.replace(/^["']|["']$/g, ''));
+        const plain = value.replace(/[\s\u0000-\u001F]+/g, '');
+
+        if (name.startsWith('on')) {
+            removed.push('attribute:event-handler');
+        } else if (URL_ATTRIBUTES.has(name) && /^[a-z][a-z0-9+.-]*:/i.test(plain) && !SAFE_URL.test(plain) && !SAFE_DATA_URL.test(value.trim())) {
+            removed.push(`attribute:${name}`);
+        } else if (ANIMATION_ATTRIBUTES.has(name) && ACTIVE_SCHEME.test(plain)) {
+            removed.push(`attribute:${name}`);
+        } else if (name === 'style' && ACTIVE_STYLE.test(value)) {
+            removed.push('attribute:style');
+        } else {
+            kept.push(source);
+        }
+    }
+    return kept.length ? ` ${kept.join(' ')}` : '';
+}
+
+/**
+ * A '<' that does not start valid markup is text
+ */
+function escapeStrayMarkup(text) {
+    return text.replace(/</g, '&lt;');
+}
+
+function decodeEntities(value) {
+    return value
+        .replace(/&#x([0-9a-f]+);?/gi, (entity, hex) => fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);?/g, (entity, decimal) => fromCodePoint(parseInt(decimal, 10)))
+        .replace(/&colon;/gi, ':')
+        .replace(/&tab;/gi, '\t')
+        .replace(/&newline;/gi, '\n')
+        .replace(/&amp;/gi, '&');
+}
+
+function fromCodePoint(code) {
+    return code <= 0x10FFFF ? String.fromCodePoint(code) : '';
+}
+
+module.exports = {
+    sanitizeSvg
+};
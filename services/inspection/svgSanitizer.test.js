@@ -0,0 +1,47 @@
+const { sanitizeSvg } = require('./svgSanitizer');
+
+describe('sanitizeSvg', () => {
+    test('removes scripts and foreign content with everything inside them', () => {
+        const { svg, removed } = sanitizeSvg(
+            '<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script>' +
+            '<foreignObject><div><script>alert(2)</script></div></foreignObject><circle r="4"/></svg>'
+        );
+
+        expect(svg).toBe('<svg xmlns="http://www.w3.org/2000/svg"><circle r="4"/></svg>');
+        expect(removed).toEqual(['element:script', 'element:foreignobject']);
+    });
+
+    test('removes event handlers and active links, also when encoded or animated', () => {
+        const { svg, removed } = sanitizeSvg(
+            '<svg onload="alert(1)"><a href="java&#x09;script:alert(1)"><rect width="1"/></a>' +
+            '<a xlink:href="#inside"/><set attributeName="href" to="javascript:alert(1)"/></svg>'
+        );
+
+        expect(svg).toBe('<svg><a><rect width="1"/></a><a xlink:href="#inside"/><set attributeName="href"/></svg>');
+        expect(removed).toEqual(['attribute:event-handler', 'attribute:href', 'attribute:to']);
+    });
+
+    test('keeps raster data URLs but drops other data URLs', () => {
+        const { svg } = sanitizeSvg(
+            '<svg><image href="data:image/png;base64,iVBORw0KGgo="/><image href="data:text/html;base64,PHNjcmlwdD4="/></svg>'
+        );
+
+        expect(svg).toBe('<svg><image href="data:image/png;base64,iVBORw0KGgo="/><image/></svg>');
+    });
+
+    test('drops doctypes with their entities, comments and active style sheets', () => {
+        const { svg, removed } = sanitizeSvg(
+            '<?xml version="1.0"?><!DOCTYPE svg [<!ENTITY x "<script>">]><!-- note -->' +
+            '<svg><style>@import url(http://evil.example/x.css);</style><g style="fill:red"/></svg>'
+        );
+
+        expect(svg).toBe('<?xml version="1.0"?><svg><g style="fill:red"/></svg>');
+        expect(removed).toEqual(['doctype', 'element:style']);
+    });
+
+    test('leaves a passive image as it is', () => {
+        const text = '<svg viewBox="0 0 10 10"><path d="M0 0L10 10"/><text>a &lt; b</text></svg>';
+
+        expect(sanitizeSvg(text)).toEqual({ svg: text, removed: [] });
+    });
+});
@@ -0,0 +1,189 @@
+/**
+ * Minimal zip reader and writer for Hu Lab Portal upload inspection
+ * Enough of the format to take parts out of Office documents and write them back:
+ *   const entries = readZip(buffer);       // [{ name, method, crc, size, compressed, ... }]
+ *   const data = entryData(entries[0]);    // uncompressed contents
+ *   const zip = writeZip([...entries, { name: 'a.xml', data }]);
+ * Entries read from an archive are written back unchanged; entries given as { name, data }
+ * are deflated. Encrypted and zip64 archives are not supported.
+ */
+
+const zlib = require('zlib');
+
+const LOCAL_HEADER = 0x04034B50;
+const CENTRAL_HEADER = 0x02014B50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054B50;
+const END_RECORD_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xFFFF;
+const STORED = 0;
+const DEFLATED = 8;
+const UTF8_NAMES = 0x0800;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function readZip(buffer) {
+    const end = findEndRecord(buffer);
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    if (count === 0xFFFF || offset === 0xFFFFFFFF) {
+        throw unsupported('zip64 archives are not supported');
+    }
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_HEADER) {
+            throw unsupported('Damaged zip central directory');
+        }
+        const flags = buffer.readUInt16LE(offset + 8);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const entry = {
+            name: buffer.toString(flags & UTF8_NAMES ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength),
+            flags,
+            method: buffer.readUInt16LE(offset + 10),
+            time: buffer.readUInt16LE(offset + 12),
+            date: buffer.readUInt16LE(offset + 14),
+            crc: buffer.readUInt32LE(offset + 16),
+            compressedSize: buffer.readUInt32LE(offset + 20),
+            size: buffer.readUInt32LE(offset + 24),
+            externalAttributes: buffer.readUInt32LE(offset + 38)
+        };
+        if (flags & 0x0001) {
+            throw unsupported('Encrypted zip entries are not supported');
+        }
+        if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_HEADER) {
+            throw unsupported(`Damaged zip entry ${entry.name}`);
+        }
+        const dataOffset = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        entry.compressed = buffer.subarray(dataOffset, dataOffset + entry.compressedSize);
+        entries.push(entry);
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+/**
+ * Uncompressed contents of an entry read by readZip. maxSize stops inflating entries
+ * that would grow beyond it (a RangeError).
+ */
+function entryData(entry, { maxSize } = {}) {
+    if (entry.method === STORED) {
+        return entry.compressed;
+    }
+    if (entry.method === DEFLATED) {
+        return zlib.inflateRawSync(entry.compressed, maxSize ? { maxOutputLength: maxSize } : {});
+    }
+    throw unsupported(`Zip compression method ${entry.method} is not supported`);
+}
+
+function writeZip(entries) {
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const source of entries) {
+        const entry = source.data ? deflateEntry(source) : source;
+        const name = Buffer.from(entry.name, 'utf8');
+        const flags = UTF8_NAMES;
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(LOCAL_HEADER, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(flags, 6);
+        local.writeUInt16LE(entry.method, 8);
+        local.writeUInt16LE(entry.time, 10);
+        local.writeUInt16LE(entry.date, 12);
+        local.writeUInt32LE(entry.crc, 14);
+        local.writeUInt32LE(entry.compressed.length, 18);
+        local.writeUInt32LE(entry.size, 22);
+        local.writeUInt16LE(name.length, 26);
+        parts.push(local, name, entry.compressed);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(CENTRAL_HEADER, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(flags, 8);
+        central.writeUInt16LE(entry.method, 10);
+        central.writeUInt16LE(entry.time, 12);
+        central.writeUInt16LE(entry.date, 14);
+        central.writeUInt32LE(entry.crc, 16);
+        central.writeUInt32LE(entry.compressed.length, 20);
+        central.writeUInt32LE(entry.size, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(entry.externalAttributes || 0, 38);
+        central.writeUInt32LE(offset, 42);
+        directory.push(central, name);
+
+        offset += local.length + name.length + entry.compressed.length;
+    }
+
+    const directorySize = directory.reduce((total, part) => total + part.length, 0);
+    const end = Buffer.alloc(END_RECORD_SIZE);
+    end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directorySize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...parts, ...directory, end]);
+}
+
+function deflateEntry({ name, data, time, date, externalAttributes }) {
+    const now = dosDateTime(new Date());
+    return {
+        name,
+        method: DEFLATED,
+        time: time !== undefined ? time : now.time,
+        date: date !== undefined ? date : now.date,
+        crc: crc32(data),
+        size: data.length,
+        compressed: zlib.deflateRawSync(data),
+        externalAttributes
+    };
+}
+
+function findEndRecord(buffer) {
+    const earliest = Math.max(0, buffer.length - END_RECORD_SIZE - MAX_COMMENT_SIZE);
+    for (let offset = buffer.length - END_RECORD_SIZE; offset >= earliest; offset--) {
+        if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+            return offset;
+        }
+    }
+    throw unsupported('Not a zip archive');
+}
+
+function crc32(data) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of data) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+function unsupported(message) {
+    const error = new Error(message);
+    error.code = 'ZIP_UNSUPPORTED';
+    return error;
+}
+
+module.exports = {
+    readZip,
+    entryData,
+    writeZip
+};
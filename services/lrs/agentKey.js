@@ -0,0 +1,43 @@
+/**
+ * Agent identification helpers shared by the LRS backends
+ * Reduces an xAPI Agent/Group to its Inverse Functional Identifier (IFI)
+ */
+
+/**
+ * Return a stable string key for an agent's IFI, or null if it has none
+ */
+function agentKey(agent) {
+    if (!agent) {
+        return null;
+    }
+
+    if (agent.mbox) {
+        const mbox = agent.mbox.toLowerCase();
+        return mbox.startsWith('mailto:') ? mbox : `mailto:${mbox}`;
+    }
+    if (agent.mbox_sha1sum) {
+        return `sha1:${agent.mbox_sha1sum}`;
+    }
+    if (agent.openid) {
+        return `openid:${agent.openid}`;
+    }
+    if (agent.account && agent.account.name) {
+        return `account:${agent.account.homePage || ''}|${agent.account.name}`;
+    }
+    return null;
+}
+
+/**
+ * Convert a TinCan object (Agent, Activity, Statement...) to plain xAPI JSON
+ */
+function toPlain(value) {
+    if (value && typeof value.asVersion === 'function') {
+        return value.asVersion('1.0.0');
+    }
+    return value;
+}
+
+module.exports = {
+    agentKey,
+    toPlain
+};
@@ -0,0 +1,296 @@
+/**
+ * IMS Caliper 1.2 conversion for Hu Lab Portal
+ * Maps the xAPI statements the portal records (the xapiService track helpers and the
+ * route statements described by config/xapiProfile.js) to Caliper events, for partners
+ * who load portal activity into a Caliper based warehouse. Each statement becomes at
+ * most one event; statements whose verb has no Caliper counterpart are skipped.
+ *   toCaliperEvent(statement)                      -> event or null
+ *   exportCaliperEnvelope(statements, output, { sensor })
+ *     writes { sensor, sendTime, dataVersion, data: [events] } without buffering the events
+ */
+
+const { drained } = require('./statementTransfer');
+
+const CALIPER_CONTEXT = 'http://purl.imsglobal.org/ctx/caliper/v1p2';
+
+const HULAB = 'http://hulab.edu.hk';
+const ADL_VERBS = 'http://adlnet.gov/expapi/verbs';
+const ADL_ACTIVITIES = 'http://adlnet.gov/expapi/activities';
+
+const DEFAULT_SENSOR = `${HULAB}/sensors/portal`;
+const DEFAULT_ED_APP = { id: HULAB, type: 'SoftwareApplication', name: 'Hu Lab Portal' };
+
+// Event type and action per verb. assessment marks verbs that become AssessmentEvents
+// when their object is an assessment and generic Events otherwise.
+const VERB_EVENTS = {
+    [`${ADL_VERBS}/registered`]: { type: 'Event', action: 'OptedIn' },
+    [`${ADL_VERBS}/completed`]: { type: 'Event', action: 'Completed', assessment: 'Submitted' },
+    [`${ADL_VERBS}/attempted`]: { type: 'Event', action: 'Started', assessment: 'Started' },
+    [`${ADL_VERBS}/experienced`]: { type: 'NavigationEvent', action: 'NavigatedTo' },
+    [`${ADL_VERBS}/interacted`]: { type: 'Event', action: 'Used' },
+    [`${HULAB}/verbs/uploaded`]: { type: 'ResourceManagementEvent', action: 'Uploaded' },
+    [`${HULAB}/verbs/downloaded`]: { type: 'ResourceManagementEvent', action: 'Downloaded' },
+    [`${HULAB}/verbs/created`]: { type: 'ResourceManagementEvent', action: 'Created' },
+    [`${HULAB}/verbs/updated`]: { type: 'ResourceManagementEvent', action: 'Modified' },
+    [`${HULAB}/verbs/advanced`]: { type: 'ResourceManagementEvent', action: 'Modified' },
+    [`${HULAB}/verbs/deleted`]: { type: 'ResourceManagementEvent', action: 'Deleted' },
+    [`${HULAB}/verbs/restored`]: { type: 'ResourceManagementEvent', action: 'Restored' },
+    [`${HULAB}/verbs/recovered`]: { type: 'ResourceManagementEvent', action: 'Restored' },
+    [`${HULAB}/verbs/moved`]: { type: 'ResourceManagementEvent', action: 'Modified' },
+    [`${HULAB}/verbs/collaborated`]: { type: 'Event', action: 'Shared' },
+    [`${HULAB}/verbs/invited`]: { type: 'Event', action: 'Shared' },
+    [`${HULAB}/verbs/accepted`]: { type: 'Event', action: 'Accepted' },
+    [`${HULAB}/verbs/declined`]: { type: 'Event', action: 'Declined' },
+    [`${HULAB}/verbs/shared`]: { type: 'AnnotationEvent', action: 'Shared' },
+    [`${HULAB}/verbs/commented`]: { type: 'FeedbackEvent', action: 'Commented' },
+    [`${HULAB}/verbs/rated`]: { type: 'FeedbackEvent', action: 'Ranked' },
+    [`${HULAB}/verbs/queried`]: { type: 'ToolUseEvent', action: 'Used' },
+    [`${HULAB}/verbs/requested`]: { type: 'ToolUseEvent', action: 'Used' },
+    [`${HULAB}/verbs/reviewed`]: { type: 'Event', action: 'Reviewed' },
+    [`${HULAB}/verbs/viewed`]: { type: 'ViewEvent', action: 'Viewed' },
+    [`${HULAB}/verbs/analyzed`]: { type: 'ViewEvent', action: 'Viewed' }
+};
+
+// Caliper entity type per xAPI activity type
+const ENTITY_TYPES = {
+    [`${ADL_ACTIVITIES}/application`]: 'SoftwareApplication',
+    [`${ADL_ACTIVITIES}/assessment`]: 'Assessment',
+    [`${ADL_ACTIVITIES}/file`]: 'Document',
+    [`${HULAB}/activities/folder`]: 'DigitalResourceCollection',
+    [`${ADL_ACTIVITIES}/lesson`]: 'WebPage',
+    [`${ADL_ACTIVITIES}/project`]: 'DigitalResourceCollection',
+    [`${HULAB}/activities/research-project`]: 'DigitalResourceCollection',
+    [`${HULAB}/activities/publication`]: 'Document',
+    [`${HULAB}/activities/comment`]: 'Comment',
+    [`${HULAB}/activities/share`]: 'DigitalResource',
+    [`${HULAB}/activities/profile`]: 'DigitalResource',
+    [`${HULAB}/activities/ai-interaction`]: 'SoftwareApplication',
+    [`${HULAB}/activities/ai-assistance`]: 'SoftwareApplication',
+    [`${HULAB}/activities/analytics-dashboard`]: 'WebPage',
+    [`${HULAB}/activities/user-analytics`]: 'WebPage',
+    [`${HULAB}/activities/project-analytics`]: 'WebPage',
+    [`${HULAB}/activities/learning-analytics`]: 'WebPage',
+    [`${HULAB}/activities/collaboration-analytics`]: 'WebPage',
+    [`${HULAB}/activities/realtime-analytics`]: 'WebPage',
+    [`${HULAB}/activities/analytics-insights`]: 'WebPage',
+    [`${HULAB}/activities/analytics-report`]: 'Document'
+};
+
+const REFERRER_EXTENSION = `${HULAB}/referrer`;
+const RECIPIENTS_EXTENSION = `${HULAB}/recipients`;
+
+/**
+ * The Caliper event type and action a statement maps to, or null
+ */
+function caliperMapping(statement) {
+    const mapping = VERB_EVENTS[statement.verb?.id];
+    if (!mapping) {
+        return null;
+    }
+    if (mapping.assessment && statement.object?.definition?.type === `${ADL_ACTIVITIES}/assessment`) {
+        return { type: 'AssessmentEvent', action: mapping.assessment };
+    }
+    return { type: mapping.type, action: mapping.action };
+}
+
+/**
+ * Convert one xAPI statement. options.edApp overrides the portal SoftwareApplication.
+ */
+function toCaliperEvent(statement, options = {}) {
+    const mapping = caliperMapping(statement);
+    if (!mapping || !statement.object || statement.object.objectType === 'StatementRef') {
+        return null;
+    }
+
+    const actor = toPerson(statement.actor);
+    const object = toEntity(statement.object);
+    const event = {
+        '@context': CALIPER_CONTEXT,
+        id: `urn:uuid:${statement.id}`,
+        type: mapping.type,
+        actor,
+        action: mapping.action,
+        object,
+        eventTime: statement.timestamp,
+        edApp: options.edApp || DEFAULT_ED_APP
+    };
+
+    const generated = generatedEntity(mapping, statement, actor, object);
+    if (generated) {
+        event.generated = generated;
+    }
+
+    const referrer = statement.context?.extensions?.[REFERRER_EXTENSION];
+    if (mapping.type === 'NavigationEvent' && referrer) {
+        event.referrer = { id: referrer, type: 'WebPage' };
+    }
+
+    const project = (statement.context?.contextActivities?.parent || []).find(parent => String(parent.id).includes('/project/'));
+    if (project) {
+        event.group = { id: project.id, type: 'Group' };
+    }
+
+    if (statement.context?.registration) {
+        event.session = { id: `urn:uuid:${statement.context.registration}`, type: 'Session' };
+    }
+
+    event.extensions = {
+        xapiStatementId: statement.id,
+        xapiVerb: statement.verb.id,
+        ...(statement.context?.extensions || {}),
+        ...(statement.result?.extensions || {})
+    };
+
+    return event;
+}
+
+/**
+ * Write statements from an (async) iterable as a single Caliper envelope.
+ * Returns the number of events written and statements skipped.
+ */
+async function exportCaliperEnvelope(statements, output, options = {}) {
+    const opening = JSON.stringify({
+        sensor: options.sensor || DEFAULT_SENSOR,
+        sendTime: new Date().toISOString(),
+        dataVersion: CALIPER_CONTEXT
+    });
+    let count = 0;
+    let skipped = 0;
+
+    await write(output, `${opening.slice(0, -1)},"data":[`);
+    for await (const statement of statements) {
+        if (output.destroyed || output.writableEnded) {
+            break;
+        }
+        const event = toCaliperEvent(statement, options);
+        if (!event) {
+            skipped++;
+            continue;
+        }
+        await write(output, `${count > 0 ? ',' : ''}\n${JSON.stringify(event)}`);
+        count++;
+    }
+    await write(output, '\n]}\n');
+
+    return { count, skipped };
+}
+
+function toPerson(agent = {}) {
+    const person = {
+        id: agentIri(agent),
+        type: agent.objectType === 'Group' ? 'Group' : 'Person'
+    };
+    if (agent.name) {
+        person.name = agent.name;
+    }
+    return person;
+}
+
+/**
+ * Caliper needs an IRI for every entity; accounts become homePage/name
+ */
+function agentIri(agent) {
+    if (agent.mbox) return agent.mbox;
+    if (agent.openid) return agent.openid;
+    if (agent.account) return `${agent.account.homePage.replace(/\/$/, '')}/${encodeURIComponent(agent.account.name)}`;
+    if (agent.mbox_sha1sum) return `urn:sha1:${agent.mbox_sha1sum}`;
+    return null;
+}
+
+function toEntity(object) {
+    if (object.objectType === 'Agent' || object.objectType === 'Group') {
+        return toPerson(object);
+    }
+
+    const definition = object.definition || {};
+    const entity = {
+        id: object.id,
+        type: ENTITY_TYPES[definition.type] || 'Entity'
+    };
+    const name = languageValue(definition.name);
+    const description = languageValue(definition.description);
+    if (name) {
+        entity.name = name;
+    }
+    if (description) {
+        entity.description = description;
+    }
+    return entity;
+}
+
+function generatedEntity(mapping, statement, actor, object) {
+    const result = statement.result || {};
+
+    if (mapping.type === 'AssessmentEvent' && mapping.action === 'Submitted') {
+        const attempt = {
+            id: `${object.id}/attempts/${statement.id}`,
+            type: 'Attempt',
+            assignee: actor,
+            assignable: object,
+            count: 1,
+            endedAtTime: statement.timestamp
+        };
+        if (result.duration) {
+            attempt.duration = result.duration;
+        }
+        if (result.score) {
+            attempt.extensions = { score: result.score };
+        }
+        return attempt;
+    }
+
+    if (mapping.action === 'Commented' && typeof result.response === 'string') {
+        return {
+            id: `${object.id}/comments/${statement.id}`,
+            type: 'Comment',
+            commenter: actor,
+            commentedOn: object,
+            value: result.response
+        };
+    }
+
+    if (mapping.action === 'Ranked' && result.score) {
+        const value = result.score.raw !== undefined ? result.score.raw : result.score.scaled;
+        return {
+            id: `${object.id}/ratings/${statement.id}`,
+            type: 'Rating',
+            rater: actor,
+            rated: object,
+            selections: [String(value)]
+        };
+    }
+
+    const recipients = statement.context?.extensions?.[RECIPIENTS_EXTENSION];
+    if (mapping.type === 'AnnotationEvent' && Array.isArray(recipients)) {
+        return {
+            id: `${object.id}/shares/${statement.id}`,
+            type: 'SharedAnnotation',
+            annotator: actor,
+            annotated: object,
+            withAgents: recipients.filter(email => typeof email === 'string').map(email => ({ id: `mailto:${email}`, type: 'Person' }))
+        };
+    }
+
+    return null;
+}
+
+function languageValue(map) {
+    if (!map || typeof map !== 'object') {
+        return null;
+    }
+    return map['en-US'] || Object.values(map)[0] || null;
+}
+
+async function write(output, chunk) {
+    if (!output.write(chunk)) {
+        await drained(output);
+    }
+}
+
+module.exports = {
+    CALIPER_CONTEXT,
+    caliperMapping,
+    agentIri,
+    toCaliperEvent,
+    exportCaliperEnvelope
+};
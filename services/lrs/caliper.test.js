@@ -0,0 +1,60 @@
+const { Writable } = require('stream');
+const { CALIPER_CONTEXT, toCaliperEvent, exportCaliperEnvelope } = require('./caliper');
+
+function statement(overrides = {}) {
+    return {
+        id: '6f1c2a8e-1d4b-4c55-9a3e-2f7b8c9d0e11',
+        timestamp: '2024-03-01T10:00:00.000Z',
+        actor: { mbox: 'mailto:learner@example.com', name: 'Learner' },
+        verb: { id: 'http://hulab.edu.hk/verbs/uploaded', display: { 'en-US': 'uploaded' } },
+        object: { id: 'http://hulab.edu.hk/files/1', definition: { type: 'http://adlnet.gov/expapi/activities/file' } },
+        context: {
+            registration: '0b8d3c1e-5a4f-4e2b-8c7d-9e1f2a3b4c5d',
+            contextActivities: { parent: [{ id: 'http://hulab.edu.hk/project/p-1' }] }
+        },
+        ...overrides
+    };
+}
+
+describe('Caliper conversion', () => {
+    test('maps an upload to a ResourceManagementEvent', () => {
+        const event = toCaliperEvent(statement());
+
+        expect(event).toMatchObject({
+            '@context': CALIPER_CONTEXT,
+            id: 'urn:uuid:6f1c2a8e-1d4b-4c55-9a3e-2f7b8c9d0e11',
+            type: 'ResourceManagementEvent',
+            action: 'Uploaded',
+            eventTime: '2024-03-01T10:00:00.000Z',
+            actor: { id: 'mailto:learner@example.com', type: 'Person', name: 'Learner' },
+            group: { id: 'http://hulab.edu.hk/project/p-1', type: 'Group' },
+            session: { id: 'urn:uuid:0b8d3c1e-5a4f-4e2b-8c7d-9e1f2a3b4c5d', type: 'Session' }
+        });
+        expect(event.extensions.xapiStatementId).toBe('6f1c2a8e-1d4b-4c55-9a3e-2f7b8c9d0e11');
+    });
+
+    test('skips verbs without a Caliper counterpart and statement references', () => {
+        expect(toCaliperEvent(statement({ verb: { id: 'http://example.com/verbs/unknown' } }))).toBeNull();
+        expect(toCaliperEvent(statement({ object: { objectType: 'StatementRef', id: 'x' } }))).toBeNull();
+    });
+
+    test('streams an envelope and counts skipped statements', async () => {
+        const chunks = [];
+        const output = new Writable({
+            write(chunk, encoding, callback) {
+                chunks.push(chunk);
+                callback();
+            }
+        });
+
+        const result = await exportCaliperEnvelope([
+            statement(),
+            statement({ verb: { id: 'http://example.com/verbs/unknown' } })
+        ], output, { sensor: 'http://hulab.edu.hk/sensors/test' });
+        const envelope = JSON.parse(Buffer.concat(chunks).toString());
+
+        expect(result).toEqual({ count: 1, skipped: 1 });
+        expect(envelope).toMatchObject({ sensor: 'http://hulab.edu.hk/sensors/test', dataVersion: CALIPER_CONTEXT });
+        expect(envelope.data).toHaveLength(1);
+    });
+});
@@ -0,0 +1,192 @@
+/**
+ * Statement forwarding for Hu Lab Portal
+ * Copies statements stored in the primary LRS to any number of secondary LRSs,
+ * e.g. the university-wide LRS. Each target has its own credentials, verb and
+ * activity filters, PII rules and outbox, so one slow or failing target never
+ * holds back the primary LRS or the other targets.
+ */
+
+const path = require('path');
+const RemoteLRS = require('./remoteLRS');
+const StatementOutbox = require('./outbox');
+const { stripPersonalData } = require('./pii');
+
+class StatementForwarder {
+    constructor(targets = [], options = {}) {
+        this.options = options;
+        this.targets = targets.map(config => this.createTarget(config));
+        this.opened = null;
+    }
+
+    createTarget(config) {
+        const backend = this.options.createBackend
+            ? this.options.createBackend(config)
+            : new RemoteLRS({ endpoint: config.endpoint, username: config.username, password: config.password });
+
+        const target = {
+            name: config.name,
+            endpoint: config.endpoint,
+            filters: config.filters || {},
+            pii: config.pii || {},
+            backend,
+            stats: {
+                forwarded: 0,
+                filtered: 0,
+                lastAttemptAt: null,
+                lastSuccessAt: null,
+                lastError: null
+            }
+        };
+
+        target.send = async statements => {
+            target.stats.lastAttemptAt = new Date().toISOString();
+            await backend.saveStatements(statements);
+            target.stats.forwarded += statements.length;
+            target.stats.lastSuccessAt = new Date().toISOString();
+        };
+
+        target.outbox = new StatementOutbox({
+            directory: this.options.directory ? path.join(this.options.directory, config.name) : null,
+            baseDelayMs: this.options.baseDelayMs,
+            maxDelayMs: this.options.maxDelayMs,
+            send: target.send
+        });
+
+        return target;
+    }
+
+    async open() {
+        if (!this.opened) {
+            this.opened = Promise.all(this.targets.map(target => target.outbox.open())).then(() => true);
+        }
+        return this.opened;
+    }
+
+    /**
+     * Forward statements to every target whose filters they match
+     */
+    async forward(statements) {
+        await this.open();
+        await Promise.all(this.targets.map(target => this.forwardTo(target, statements)));
+    }
+
+    async forwardTo(target, statements) {
+        const selected = statements.filter(statement => matchesFilters(statement, target.filters));
+        target.stats.filtered += statements.length - selected.length;
+
+        if (selected.length === 0) {
+            return;
+        }
+
+        const prepared = selected.map(statement => stripPersonalData(statement, target.pii));
+
+        try {
+            await target.send(prepared);
+        } catch (error) {
+            target.stats.lastError = error.message;
+            await target.outbox.enqueue(prepared, error);
+
+            if (!StatementOutbox.isRetryable(error)) {
+                // Refused by the target: the outbox retries one by one and dead-letters what is still refused
+                await this.retryNow(target);
+            }
+        }
+    }
+
+    async retryNow(target) {
+        const now = Date.now();
+        target.outbox.entries.forEach(entry => {
+            entry.nextAttemptAt = now;
+        });
+        await target.outbox.flush();
+    }
+
+    /**
+     * Retry a target's queued statements now rather than waiting for the backoff timer
+     */
+    async flush(name) {
+        const target = this.targets.find(candidate => candidate.name === name);
+        if (!target) {
+            const error = new Error(`Unknown forward target "${name}"`);
+            error.status = 404;
+            throw error;
+        }
+
+        await this.retryNow(target);
+        return this.describe(target);
+    }
+
+    /**
+     * Per-target delivery status (credentials are never included)
+     */
+    getStatus() {
+        return this.targets.map(target => this.describe(target));
+    }
+
+    describe(target) {
+        return {
+            name: target.name,
+            endpoint: target.endpoint,
+            filters: target.filters,
+            pii: {
+                pseudonymise: !!target.pii.pseudonymise,
+                dropNames: !!target.pii.dropNames,
+                dropResponses: !!target.pii.dropResponses,
+                dropExtensions: target.pii.dropExtensions || []
+            },
+            delivery: { ...target.stats },
+            outbox: target.outbox.getStats()
+        };
+    }
+
+    close() {
+        this.targets.forEach(target => target.outbox.close());
+    }
+}
+
+/**
+ * Filters: verbs / excludeVerbs list verb IRIs; activities / excludeActivities list
+ * activity IRI prefixes matched against the object and context activities.
+ */
+function matchesFilters(statement, filters = {}) {
+    const verbId = statement.verb && statement.verb.id;
+
+    if (filters.verbs && filters.verbs.length > 0 && !filters.verbs.includes(verbId)) {
+        return false;
+    }
+    if (filters.excludeVerbs && filters.excludeVerbs.includes(verbId)) {
+        return false;
+    }
+
+    const activityIds = statementActivityIds(statement);
+    const matchesPrefix = prefixes => activityIds.some(id => prefixes.some(prefix => id.startsWith(prefix)));
+
+    if (filters.activities && filters.activities.length > 0 && !matchesPrefix(filters.activities)) {
+        return false;
+    }
+    if (filters.excludeActivities && filters.excludeActivities.length > 0 && matchesPrefix(filters.excludeActivities)) {
+        return false;
+    }
+
+    return true;
+}
+
+function statementActivityIds(statement) {
+    const ids = [];
+    const object = statement.object || {};
+
+    if (!object.objectType || object.objectType === 'Activity') {
+        ids.push(object.id);
+    }
+
+    const contextActivities = (statement.context && statement.context.contextActivities) || {};
+    ['parent', 'grouping', 'category', 'other'].forEach(key => {
+        const activities = contextActivities[key];
+        (Array.isArray(activities) ? activities : (activities ? [activities] : []))
+            .forEach(activity => ids.push(activity.id));
+    });
+
+    return ids.filter(Boolean);
+}
+
+module.exports = StatementForwarder;
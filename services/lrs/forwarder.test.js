@@ -0,0 +1,156 @@
+const StatementForwarder = require('./forwarder');
+const { stripPersonalData, pseudonym } = require('./pii');
+
+function statement(n, overrides = {}) {
+    return {
+        id: `00000000-0000-4000-8000-00000000000${n}`,
+        timestamp: '2025-01-01T00:00:00.000Z',
+        actor: { mbox: 'mailto:student@hulab.edu.hk', name: 'Student' },
+        verb: { id: 'http://adlnet.gov/expapi/verbs/completed' },
+        object: { id: 'http://hulab.edu.hk/project/1' },
+        ...overrides
+    };
+}
+
+/**
+ * A target backend that records what it receives and fails while `failWith` is set
+ */
+function recordingBackend() {
+    const backend = {
+        received: [],
+        failWith: null,
+        saveStatements: async statements => {
+            if (backend.failWith) {
+                const error = new Error(`status ${backend.failWith}`);
+                error.status = backend.failWith;
+                throw error;
+            }
+            backend.received.push(...statements);
+        }
+    };
+    return backend;
+}
+
+function createForwarder(configs) {
+    const backends = {};
+    const forwarder = new StatementForwarder(configs, {
+        baseDelayMs: 60000,
+        createBackend: config => (backends[config.name] = recordingBackend())
+    });
+    return { forwarder, backends };
+}
+
+describe('StatementForwarder', () => {
+    let forwarder;
+
+    afterEach(() => {
+        forwarder.close();
+    });
+
+    test('forwards to each target only the statements its filters select', async () => {
+        const created = createForwarder([
+            { name: 'university', endpoint: 'https://lrs.university.edu/xapi/', filters: { excludeVerbs: ['http://hulab.edu.hk/verbs/viewed'] } },
+            { name: 'projects', endpoint: 'https://lrs.example.com/xapi/', filters: { activities: ['http://hulab.edu.hk/project/'] } }
+        ]);
+        forwarder = created.forwarder;
+
+        await forwarder.forward([
+            statement(1),
+            statement(2, { verb: { id: 'http://hulab.edu.hk/verbs/viewed' } }),
+            statement(3, { object: { id: 'http://hulab.edu.hk/file/1' }, context: { contextActivities: { parent: [{ id: 'http://hulab.edu.hk/project/2' }] } } }),
+            statement(4, { object: { id: 'http://hulab.edu.hk/file/2' } })
+        ]);
+
+        expect(created.backends.university.received.map(s => s.id.slice(-1))).toEqual(['1', '3', '4']);
+        expect(created.backends.projects.received.map(s => s.id.slice(-1))).toEqual(['1', '2', '3']);
+        const [university] = forwarder.getStatus();
+        expect(university.delivery).toMatchObject({ forwarded: 3, filtered: 1 });
+    });
+
+    test('applies the target\'s PII rules', async () => {
+        const created = createForwarder([
+            { name: 'university', endpoint: 'https://lrs.university.edu/xapi/', pii: { pseudonymise: true, secret: 'key' } }
+        ]);
+        forwarder = created.forwarder;
+
+        await forwarder.forward([statement(1)]);
+
+        expect(created.backends.university.received[0].actor).toEqual({
+            account: { homePage: 'https://hulab.edu.hk', name: pseudonym('mailto:student@hulab.edu.hk', 'key') }
+        });
+        expect(forwarder.getStatus()[0].pii.pseudonymise).toBe(true);
+    });
+
+    test('queues statements for a failing target without holding back the others', async () => {
+        const created = createForwarder([
+            { name: 'down', endpoint: 'https://down.example.com/xapi/' },
+            { name: 'up', endpoint: 'https://up.example.com/xapi/' }
+        ]);
+        forwarder = created.forwarder;
+        created.backends.down.failWith = 503;
+
+        await forwarder.forward([statement(1)]);
+
+        expect(created.backends.up.received.length).toBe(1);
+        const down = forwarder.getStatus()[0];
+        expect(down.outbox.depth).toBe(1);
+        expect(down.delivery.lastError).toBe('status 503');
+
+        created.backends.down.failWith = null;
+        const retried = await forwarder.flush('down');
+        expect(retried.outbox.depth).toBe(0);
+        expect(created.backends.down.received.length).toBe(1);
+    });
+
+    test('dead-letters statements a target refuses', async () => {
+        const created = createForwarder([{ name: 'strict', endpoint: 'https://strict.example.com/xapi/' }]);
+        forwarder = created.forwarder;
+        created.backends.strict.failWith = 400;
+
+        await forwarder.forward([statement(1)]);
+
+        const status = forwarder.getStatus()[0];
+        expect(status.outbox.depth).toBe(0);
+        expect(status.outbox.deadLetters).toBe(1);
+    });
+
+    test('rejects unknown targets with 404', async () => {
+        forwarder = createForwarder([]).forwarder;
+
+        await expect(forwarder.flush('missing')).rejects.toMatchObject({ status: 404 });
+    });
+});
+
+describe('stripPersonalData', () => {
+    const input = statement(1, {
+        object: { objectType: 'Agent', mbox: 'mailto:peer@hulab.edu.hk', name: 'Peer' },
+        result: { response: 'free text', extensions: { 'http://hulab.edu.hk/extensions/ip-address': '10.0.0.1', keep: 1 } },
+        context: { instructor: { mbox: 'mailto:teacher@hulab.edu.hk', name: 'Teacher' } }
+    });
+
+    test('drops names, responses and listed extensions without touching the input', () => {
+        const output = stripPersonalData(input, {
+            dropNames: true,
+            dropResponses: true,
+            dropExtensions: ['http://hulab.edu.hk/extensions/ip-address']
+        });
+
+        expect(output.actor).toEqual({ mbox: 'mailto:student@hulab.edu.hk' });
+        expect(output.object).toEqual({ objectType: 'Agent', mbox: 'mailto:peer@hulab.edu.hk' });
+        expect(output.context.instructor).toEqual({ mbox: 'mailto:teacher@hulab.edu.hk' });
+        expect(output.result).toEqual({ extensions: { keep: 1 } });
+        expect(input.actor.name).toBe('Student');
+        expect(input.result.response).toBe('free text');
+    });
+
+    test('pseudonymises only the listed agents', () => {
+        const output = stripPersonalData(input, { pseudonymise: true, secret: 'key', agents: ['mailto:peer@hulab.edu.hk'] });
+
+        expect(output.actor.mbox).toBe('mailto:student@hulab.edu.hk');
+        expect(output.object.account.name).toBe(pseudonym('mailto:peer@hulab.edu.hk', 'key'));
+    });
+
+    test('requires a secret to pseudonymise', () => {
+        expect(() => stripPersonalData(input, { pseudonymise: true })).toThrow('A secret is required');
+    });
+});
@@ -0,0 +1,69 @@
+/**
+ * LRS backend factory for Hu Lab Portal
+ * Backends share one promise based interface:
+ *   statements:        saveStatement, saveStatements, retrieveStatement, retrieveVoidedStatement,
+ *                      queryStatements, moreStatements
+ *   activity state:    retrieveState, saveState, dropState, retrieveStateIds
+ *   activity profile:  retrieveActivityProfile, saveActivityProfile, dropActivityProfile, retrieveActivityProfileIds
+ *   agent profile:     retrieveAgentProfile, saveAgentProfile, dropAgentProfile, retrieveAgentProfileIds
+ * LocalLRS can also purge voided statements for erasure requests; remote LRSs cannot.
+ * StatementCursor pages through a statement query by following its "more" links.
+ * StatementOutbox queues statements for retry when a backend is unreachable.
+ * StatementForwarder copies statements to secondary LRSs, with per-target filters and PII rules.
+ * RequestLoggingPolicy decides how the request logging middleware records each route.
+ * exportStatements and StatementImporter move statements in and out as JSON Lines.
+ * toCaliperEvent and exportCaliperEnvelope convert statements to IMS Caliper 1.2 events;
+ * exportTable writes them as CSV with one row per event.
+ * validateStatement checks statements against the xAPI 1.0.3 data model.
+ * profile builds the published xAPI Profile and checks statements against its templates.
+ */
+
+const LocalLRS = require('./localLRS');
+const RemoteLRS = require('./remoteLRS');
+const StatementOutbox = require('./outbox');
+const StatementCursor = require('./statementCursor');
+const StatementForwarder = require('./forwarder');
+const RequestLoggingPolicy = require('./requestPolicy');
+const { exportStatements, StatementImporter, fileCheckpoint } = require('./statementTransfer');
+const { toCaliperEvent, exportCaliperEnvelope } = require('./caliper');
+const { exportTable } = require('./tabular');
+const { stripPersonalData, pseudonym } = require('./pii');
+const { validateStatement, formatErrors } = require('./validator');
+const { buildVerbMap, buildProfileDocument, compileTemplates, checkTemplates } = require('./profile');
+
+const backends = {
+    local: LocalLRS,
+    remote: RemoteLRS
+};
+
+function createBackend(type, options = {}) {
+    const Backend = backends[type];
+    if (!Backend) {
+        throw new Error(`Unknown xAPI backend "${type}". Expected one of: ${Object.keys(backends).join(', ')}`);
+    }
+    return new Backend(options);
+}
+
+module.exports = {
+    createBackend,
+    LocalLRS,
+    RemoteLRS,
+    StatementOutbox,
+    StatementCursor,
+    StatementForwarder,
+    RequestLoggingPolicy,
+    exportStatements,
+    StatementImporter,
+    fileCheckpoint,
+    toCaliperEvent,
+    exportCaliperEnvelope,
+    exportTable,
+    stripPersonalData,
+    pseudonym,
+    validateStatement,
+    formatErrors,
+    buildVerbMap,
+    buildProfileDocument,
+    compileTemplates,
+    checkTemplates
+};
@@ -0,0 +1,560 @@
+/**
+ * Embedded local LRS for Hu Lab Portal
+ * Implements the xAPI statements, activity state, activity profile and agent profile
+ * resources in-process so the portal can run and be tested without an external LRS.
+ * Data is kept in memory and, when a directory is configured, persisted to disk as
+ * an append-only statement log plus a JSON document store.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const uuid = require('uuid');
+const { agentKey, toPlain } = require('./agentKey');
+
+const VOIDED_VERB = 'http://adlnet.gov/expapi/verbs/voided';
+const DOCUMENT_TYPES = ['states', 'activityProfiles', 'agentProfiles'];
+
+class LocalLRS {
+    constructor(options = {}) {
+        this.directory = options.directory || null;
+        this.defaultPageSize = options.defaultPageSize || 100;
+        this.maxPageSize = options.maxPageSize || 1000;
+        this.statements = [];
+        this.statementIndex = new Map();
+        this.voided = new Set();
+        this.documents = {
+            states: new Map(),
+            activityProfiles: new Map(),
+            agentProfiles: new Map()
+        };
+        this.writeQueue = Promise.resolve();
+        this.opened = null;
+    }
+
+    /**
+     * Load persisted data (idempotent)
+     */
+    async open() {
+        if (!this.opened) {
+            this.opened = this.load();
+        }
+        return this.opened;
+    }
+
+    async load() {
+        if (!this.directory) {
+            return true;
+        }
+
+        await fs.mkdir(this.directory, { recursive: true });
+
+        const statementLog = await this.readFileIfExists(this.statementsPath());
+        if (statementLog) {
+            statementLog.split('\n').filter(line => line.trim()).forEach(line => {
+                this.insertStatement(JSON.parse(line));
+            });
+        }
+
+        const documentStore = await this.readFileIfExists(this.documentsPath());
+        if (documentStore) {
+            const parsed = JSON.parse(documentStore);
+            DOCUMENT_TYPES.forEach(type => {
+                (parsed[type] || []).forEach(entry => {
+                    this.documents[type].set(entry.key, entry);
+                });
+            });
+        }
+
+        return true;
+    }
+
+    /**
+     * Statements resource
+     */
+    async saveStatement(statement) {
+        const [id] = await this.saveStatements([statement]);
+        return id;
+    }
+
+    async saveStatements(statements) {
+        await this.open();
+
+        const prepared = statements.map(statement => this.prepareStatement(toPlain(statement)));
+        const toStore = [];
+
+        prepared.forEach(statement => {
+            const existing = this.statementIndex.get(statement.id);
+            if (existing) {
+                // Re-sending an identical statement is a no-op, anything else is a conflict
+                if (!this.sameStatement(existing.statement, statement)) {
+                    const error = new Error(`Statement ${statement.id} already exists with different content`);
+                    error.status = 409;
+                    throw error;
+                }
+                return;
+            }
+            if (toStore.some(s => s.id === statement.id)) {
+                return;
+            }
+            this.validateVoiding(statement, toStore);
+            toStore.push(statement);
+        });
+
+        const stored = new Date().toISOString();
+        toStore.forEach(statement => {
+            statement.stored = stored;
+            this.insertStatement(statement);
+        });
+
+        if (toStore.length > 0) {
+            await this.persist(() => fs.appendFile(
+                this.statementsPath(),
+                toStore.map(s => JSON.stringify(s)).join('\n') + '\n'
+            ));
+        }
+
+        return prepared.map(s => s.id);
+    }
+
+    async retrieveStatement(statementId) {
+        await this.open();
+        const entry = this.statementIndex.get(statementId);
+        if (!entry || this.voided.has(statementId)) {
+            return null;
+        }
+        return entry.statement;
+    }
+
+    async retrieveVoidedStatement(statementId) {
+        await this.open();
+        const entry = this.statementIndex.get(statementId);
+        if (!entry || !this.voided.has(statementId)) {
+            return null;
+        }
+        return entry.statement;
+    }
+
+    /**
+     * The ids among statementIds that are stored, voided or not
+     */
+    async findStatementIds(statementIds) {
+        await this.open();
+        return new Set(statementIds.filter(id => this.statementIndex.has(id)));
+    }
+
+    /**
+     * Delete voided statements for good, e.g. to erase a user's personal data. xAPI has
+     * no delete, so this is local only. The voiding statements are kept, so the ids stay
+     * voided. Returns the ids that were purged.
+     */
+    async purgeStatements(statementIds) {
+        await this.open();
+        const purge = new Set(statementIds.filter(id => this.voided.has(id) && this.statementIndex.has(id)));
+        if (purge.size === 0) {
+            return [];
+        }
+
+        this.statements = this.statements.filter(entry => !purge.has(entry.statement.id));
+        purge.forEach(id => this.statementIndex.delete(id));
+
+        await this.persist(async () => {
+            const target = this.statementsPath();
+            const tmp = `${target}.${process.pid}.tmp`;
+            await fs.writeFile(tmp, this.statements.map(entry => JSON.stringify(entry.statement) + '\n').join(''));
+            await fs.rename(tmp, target);
+        });
+
+        return [...purge];
+    }
+
+    /**
+     * Query statements with the standard xAPI filters
+     * (agent, verb, activity, registration, since/until, related_*, ascending, limit)
+     */
+    async queryStatements(params = {}) {
+        await this.open();
+        const query = this.normalizeQuery(params);
+        const through = this.statements.length > 0 ? this.statements[this.statements.length - 1].storedMs : 0;
+        return this.runQuery(query, 0, through);
+    }
+
+    /**
+     * Follow a "more" URL returned by queryStatements
+     */
+    async moreStatements(moreUrl) {
+        await this.open();
+        const token = new URL(moreUrl, 'http://localhost').searchParams.get('more');
+        if (!token) {
+            const error = new Error('Invalid more URL');
+            error.status = 400;
+            throw error;
+        }
+
+        let cursor;
+        try {
+            cursor = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+        } catch (error) {
+            const invalid = new Error('Invalid more token');
+            invalid.status = 400;
+            throw invalid;
+        }
+
+        return this.runQuery(cursor.query, cursor.offset, cursor.through);
+    }
+
+    runQuery(query, offset, through) {
+        let matches = this.statements.filter(entry =>
+            entry.storedMs <= through &&
+            !this.voided.has(entry.statement.id) &&
+            this.matchesQuery(entry.statement, entry.storedMs, query)
+        );
+
+        if (!query.ascending) {
+            matches = matches.reverse();
+        }
+
+        const page = matches.slice(offset, offset + query.limit);
+        const nextOffset = offset + page.length;
+        let more = '';
+
+        if (nextOffset < matches.length) {
+            const token = Buffer.from(JSON.stringify({ query, offset: nextOffset, through }), 'utf8').toString('base64url');
+            more = `/xapi/statements?more=${token}`;
+        }
+
+        return {
+            statements: page.map(entry => entry.statement),
+            more: more
+        };
+    }
+
+    normalizeQuery(params) {
+        const parseJSON = (value) => typeof value === 'string' ? JSON.parse(value) : toPlain(value);
+        const idOf = (value) => {
+            if (!value) return null;
+            if (typeof value === 'string') return value;
+            return value.id || null;
+        };
+
+        let limit = parseInt(params.limit, 10);
+        if (!limit || limit < 0) {
+            limit = this.defaultPageSize;
+        }
+
+        return {
+            agent: params.agent ? agentKey(parseJSON(params.agent)) : null,
+            verb: idOf(params.verb),
+            activity: idOf(params.activity),
+            registration: params.registration || null,
+            since: params.since ? Date.parse(params.since) : null,
+            until: params.until ? Date.parse(params.until) : null,
+            relatedActivities: params.related_activities === true || params.related_activities === 'true',
+            relatedAgents: params.related_agents === true || params.related_agents === 'true',
+            ascending: params.ascending === true || params.ascending === 'true',
+            limit: Math.min(limit, this.maxPageSize)
+        };
+    }
+
+    matchesQuery(statement, storedMs, query) {
+        if (query.since !== null && !(storedMs > query.since)) return false;
+        if (query.until !== null && !(storedMs <= query.until)) return false;
+        if (query.verb && statement.verb.id !== query.verb) return false;
+        if (query.registration && statement.context?.registration !== query.registration) return false;
+        if (query.agent && !this.agentsOf(statement, query.relatedAgents).includes(query.agent)) return false;
+        if (query.activity && !this.activitiesOf(statement, query.relatedActivities).includes(query.activity)) return false;
+        return true;
+    }
+
+    agentsOf(statement, related) {
+        const keys = [];
+        const addAgent = (agent) => {
+            if (!agent) return;
+            const key = agentKey(agent);
+            if (key) keys.push(key);
+            if (Array.isArray(agent.member)) {
+                agent.member.forEach(member => {
+                    const memberKey = agentKey(member);
+                    if (memberKey) keys.push(memberKey);
+                });
+            }
+        };
+
+        addAgent(statement.actor);
+        if (statement.object && ['Agent', 'Group'].includes(statement.object.objectType)) {
+            addAgent(statement.object);
+        }
+
+        if (related) {
+            addAgent(statement.authority);
+            addAgent(statement.context?.instructor);
+            addAgent(statement.context?.team);
+            if (statement.object?.objectType === 'SubStatement') {
+                this.agentsOf(statement.object, true).forEach(key => keys.push(key));
+            }
+        }
+
+        return keys;
+    }
+
+    activitiesOf(statement, related) {
+        const ids = [];
+        const object = statement.object;
+
+        if (object && (!object.objectType || object.objectType === 'Activity')) {
+            ids.push(object.id);
+        }
+
+        if (related) {
+            const contextActivities = statement.context?.contextActivities || {};
+            ['parent', 'grouping', 'category', 'other'].forEach(kind => {
+                const list = contextActivities[kind];
+                (Array.isArray(list) ? list : list ? [list] : []).forEach(activity => ids.push(activity.id));
+            });
+            if (object?.objectType === 'SubStatement') {
+                this.activitiesOf(object, true).forEach(id => ids.push(id));
+            }
+        }
+
+        return ids;
+    }
+
+    prepareStatement(statement) {
+        if (!statement || !statement.actor || !statement.verb || !statement.object) {
+            const error = new Error('Statement must have actor, verb and object');
+            error.status = 400;
+            throw error;
+        }
+
+        const prepared = JSON.parse(JSON.stringify(statement));
+        prepared.id = prepared.id || uuid.v4();
+        prepared.timestamp = prepared.timestamp || new Date().toISOString();
+        prepared.version = prepared.version || '1.0.0';
+        delete prepared.stored;
+        return prepared;
+    }
+
+    sameStatement(a, b) {
+        const strip = ({ stored, version, ...rest }) => JSON.stringify(rest);
+        return strip(a) === strip(b);
+    }
+
+    validateVoiding(statement, pending) {
+        if (statement.verb.id !== VOIDED_VERB) {
+            return;
+        }
+
+        const target = statement.object;
+        if (!target || target.objectType !== 'StatementRef') {
+            const error = new Error('Voiding statements must target a StatementRef');
+            error.status = 400;
+            throw error;
+        }
+
+        const targetEntry = this.statementIndex.get(target.id) || { statement: pending.find(s => s.id === target.id) };
+        if (targetEntry.statement && targetEntry.statement.verb.id === VOIDED_VERB) {
+            const error = new Error('A voiding statement cannot be voided');
+            error.status = 400;
+            throw error;
+        }
+    }
+
+    insertStatement(statement) {
+        const entry = { statement, storedMs: Date.parse(statement.stored) };
+        this.statements.push(entry);
+        this.statementIndex.set(statement.id, entry);
+
+        if (statement.verb.id === VOIDED_VERB && statement.object?.objectType === 'StatementRef') {
+            this.voided.add(statement.object.id);
+        }
+    }
+
+    /**
+     * Document resources (state, activity profile, agent profile)
+     */
+    async retrieveState({ agent, activityId, stateId, registration = null }) {
+        return this.retrieveDocument('states', this.stateKey(agent, activityId, registration, stateId));
+    }
+
+    async saveState({ agent, activityId, stateId, registration = null, contents, contentType, etag, ifNoneMatch }) {
+        return this.saveDocument('states', this.stateKey(agent, activityId, registration, stateId), {
+            agent: toPlain(agent),
+            agentKey: agentKey(toPlain(agent)),
+            activityId,
+            registration,
+            id: stateId
+        }, { contents, contentType, etag, ifNoneMatch });
+    }
+
+    async dropState({ agent, activityId, stateId, registration = null }) {
+        return this.dropDocument('states', this.stateKey(agent, activityId, registration, stateId));
+    }
+
+    async retrieveStateIds({ agent, activityId, registration = null }) {
+        const key = agentKey(toPlain(agent));
+        return this.listDocumentIds('states', entry =>
+            entry.agentKey === key &&
+            entry.activityId === activityId &&
+            (entry.registration || null) === registration
+        );
+    }
+
+    async retrieveActivityProfile({ activityId, profileId }) {
+        return this.retrieveDocument('activityProfiles', `${activityId}|${profileId}`);
+    }
+
+    async saveActivityProfile({ activityId, profileId, contents, contentType, etag, ifNoneMatch }) {
+        return this.saveDocument('activityProfiles', `${activityId}|${profileId}`, {
+            activityId,
+            id: profileId
+        }, { contents, contentType, etag, ifNoneMatch });
+    }
+
+    async dropActivityProfile({ activityId, profileId }) {
+        return this.dropDocument('activityProfiles', `${activityId}|${profileId}`);
+    }
+
+    async retrieveActivityProfileIds({ activityId }) {
+        return this.listDocumentIds('activityProfiles', entry => entry.activityId === activityId);
+    }
+
+    async retrieveAgentProfile({ agent, profileId }) {
+        return this.retrieveDocument('agentProfiles', `${agentKey(toPlain(agent))}|${profileId}`);
+    }
+
+    async saveAgentProfile({ agent, profileId, contents, contentType, etag, ifNoneMatch }) {
+        const key = agentKey(toPlain(agent));
+        return this.saveDocument('agentProfiles', `${key}|${profileId}`, {
+            agent: toPlain(agent),
+            agentKey: key,
+            id: profileId
+        }, { contents, contentType, etag, ifNoneMatch });
+    }
+
+    async dropAgentProfile({ agent, profileId }) {
+        return this.dropDocument('agentProfiles', `${agentKey(toPlain(agent))}|${profileId}`);
+    }
+
+    async retrieveAgentProfileIds({ agent }) {
+        const key = agentKey(toPlain(agent));
+        return this.listDocumentIds('agentProfiles', entry => entry.agentKey === key);
+    }
+
+    stateKey(agent, activityId, registration, stateId) {
+        return `${agentKey(toPlain(agent))}|${activityId}|${registration || ''}|${stateId}`;
+    }
+
+    async retrieveDocument(type, key) {
+        await this.open();
+        const entry = this.documents[type].get(key);
+        if (!entry) {
+            return null;
+        }
+        return {
+            id: entry.id,
+            contents: entry.contents,
+            contentType: entry.contentType,
+            etag: entry.etag,
+            updated: entry.updated
+        };
+    }
+
+    /**
+     * Write a document, honouring If-Match (etag) and If-None-Match preconditions
+     */
+    async saveDocument(type, key, scope, { contents, contentType = 'application/json', etag, ifNoneMatch }) {
+        await this.open();
+        const existing = this.documents[type].get(key);
+
+        if (etag && (!existing || existing.etag !== etag)) {
+            const error = new Error('Document has been modified (If-Match precondition failed)');
+            error.status = 412;
+            throw error;
+        }
+        if (ifNoneMatch && existing) {
+            const error = new Error('Document already exists (If-None-Match precondition failed)');
+            error.status = 412;
+            throw error;
+        }
+
+        const body = typeof contents === 'string' ? contents : JSON.stringify(contents);
+        const entry = {
+            key,
+            ...scope,
+            contents: body,
+            contentType,
+            etag: `"${crypto.createHash('sha1').update(body).digest('hex')}"`,
+            updated: new Date().toISOString()
+        };
+
+        this.documents[type].set(key, entry);
+        await this.persistDocuments();
+
+        return { id: entry.id, etag: entry.etag, updated: entry.updated };
+    }
+
+    async dropDocument(type, key) {
+        await this.open();
+        const deleted = this.documents[type].delete(key);
+        if (deleted) {
+            await this.persistDocuments();
+        }
+        return deleted;
+    }
+
+    async listDocumentIds(type, predicate) {
+        await this.open();
+        return Array.from(this.documents[type].values())
+            .filter(predicate)
+            .map(entry => entry.id);
+    }
+
+    /**
+     * Persistence helpers
+     */
+    statementsPath() {
+        return path.join(this.directory, 'statements.jsonl');
+    }
+
+    documentsPath() {
+        return path.join(this.directory, 'documents.json');
+    }
+
+    persistDocuments() {
+        return this.persist(async () => {
+            const snapshot = {};
+            DOCUMENT_TYPES.forEach(type => {
+                snapshot[type] = Array.from(this.documents[type].values());
+            });
+
+            const target = this.documentsPath();
+            const tmp = `${target}.${process.pid}.tmp`;
+            await fs.writeFile(tmp, JSON.stringify(snapshot));
+            await fs.rename(tmp, target);
+        });
+    }
+
+    /**
+     * Serialise disk writes so appends and snapshots never interleave
+     */
+    persist(write) {
+        if (!this.directory) {
+            return Promise.resolve();
+        }
+        this.writeQueue = this.writeQueue.then(write, write);
+        return this.writeQueue;
+    }
+
+    async readFileIfExists(filePath) {
+        try {
+            return await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+}
+
+module.exports = LocalLRS;
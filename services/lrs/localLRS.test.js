@@ -0,0 +1,126 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const LocalLRS = require('./localLRS');
+
+const actor = { objectType: 'Agent', mbox: 'mailto:learner@example.com' };
+
+function statement(overrides = {}) {
+    return {
+        actor,
+        verb: { id: 'http://hulab.edu.hk/verbs/uploaded', display: { 'en-US': 'uploaded' } },
+        object: { id: 'http://hulab.edu.hk/files/1', objectType: 'Activity' },
+        ...overrides
+    };
+}
+
+describe('LocalLRS', () => {
+    test('stores statements and treats an identical resend as a no-op', async () => {
+        const lrs = new LocalLRS();
+        const id = await lrs.saveStatement(statement());
+        const stored = await lrs.retrieveStatement(id);
+
+        expect(stored.id).toBe(id);
+        expect(stored.stored).toBeDefined();
+        await expect(lrs.saveStatement({ ...stored })).resolves.toBe(id);
+        await expect(lrs.saveStatement({ ...statement({ object: { id: 'http://other' } }), id }))
+            .rejects.toMatchObject({ status: 409 });
+    });
+
+    test('hides voided statements from retrieval and queries', async () => {
+        const lrs = new LocalLRS();
+        const id = await lrs.saveStatement(statement());
+        await lrs.saveStatement(statement({
+            verb: { id: 'http://adlnet.gov/expapi/verbs/voided' },
+            object: { objectType: 'StatementRef', id }
+        }));
+
+        expect(await lrs.retrieveStatement(id)).toBeNull();
+        expect((await lrs.retrieveVoidedStatement(id)).id).toBe(id);
+        const { statements } = await lrs.queryStatements({ verb: 'http://hulab.edu.hk/verbs/uploaded' });
+        expect(statements).toHaveLength(0);
+    });
+
+    test('finds which of a batch of ids are stored, voided ones included', async () => {
+        const lrs = new LocalLRS();
+        const kept = await lrs.saveStatement(statement());
+        const voided = await lrs.saveStatement(statement());
+        await lrs.saveStatement(statement({
+            verb: { id: 'http://adlnet.gov/expapi/verbs/voided' },
+            object: { objectType: 'StatementRef', id: voided }
+        }));
+
+        const found = await lrs.findStatementIds([kept, voided, 'ba8e2c4e-0000-4000-8000-000000000000']);
+        expect([...found].sort()).toEqual([kept, voided].sort());
+    });
+
+    test('pages queries through more links', async () => {
+        const lrs = new LocalLRS();
+        for (let i = 0; i < 5; i++) {
+            await lrs.saveStatement(statement({ object: { id: `http://hulab.edu.hk/files/${i}` } }));
+        }
+
+        const seen = [];
+        let page = await lrs.queryStatements({ limit: 2 });
+        seen.push(...page.statements);
+        while (page.more) {
+            page = await lrs.moreStatements(page.more);
+            seen.push(...page.statements);
+        }
+        expect(seen).toHaveLength(5);
+        expect(new Set(seen.map(s => s.id)).size).toBe(5);
+    });
+
+    test('honours If-Match and If-None-Match on documents', async () => {
+        const lrs = new LocalLRS();
+        const document = { activityId: 'http://hulab.edu.hk/project/1', profileId: 'index' };
+        const first = await lrs.saveActivityProfile({ ...document, contents: { a: 1 }, ifNoneMatch: true });
+
+        await expect(lrs.saveActivityProfile({ ...document, contents: { a: 2 }, ifNoneMatch: true }))
+            .rejects.toMatchObject({ status: 412 });
+        await lrs.saveActivityProfile({ ...document, contents: { a: 2 }, etag: first.etag });
+        await expect(lrs.saveActivityProfile({ ...document, contents: { a: 3 }, etag: first.etag }))
+            .rejects.toMatchObject({ status: 412 });
+        expect(JSON.parse((await lrs.retrieveActivityProfile(document)).contents)).toEqual({ a: 2 });
+    });
+
+    test('persists statements and documents to its directory', async () => {
+        const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'lrs-'));
+        try {
+            const lrs = new LocalLRS({ directory });
+            const id = await lrs.saveStatement(statement());
+            await lrs.saveState({ agent: actor, activityId: 'http://a', stateId: 's', contents: { ok: true } });
+
+            const reopened = new LocalLRS({ directory });
+            expect((await reopened.retrieveStatement(id)).id).toBe(id);
+            expect(JSON.parse((await reopened.retrieveState({ agent: actor, activityId: 'http://a', stateId: 's' })).contents))
+                .toEqual({ ok: true });
+        } finally {
+            await fs.rm(directory, { recursive: true, force: true });
+        }
+    });
+
+    test('purges voided statements for good, on disk too', async () => {
+        const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'lrs-'));
+        try {
+            const lrs = new LocalLRS({ directory });
+            const [voidedId, keptId] = await lrs.saveStatements([statement(), statement({ object: { id: 'http://hulab.edu.hk/files/2' } })]);
+            const voidingId = await lrs.saveStatement(statement({
+                verb: { id: 'http://adlnet.gov/expapi/verbs/voided' },
+                object: { objectType: 'StatementRef', id: voidedId }
+            }));
+
+            expect(await lrs.purgeStatements([voidedId, keptId])).toEqual([voidedId]);
+            expect(await lrs.retrieveVoidedStatement(voidedId)).toBeNull();
+            expect((await lrs.retrieveStatement(keptId)).id).toBe(keptId);
+
+            const reopened = new LocalLRS({ directory });
+            expect(await reopened.retrieveVoidedStatement(voidedId)).toBeNull();
+            expect((await reopened.retrieveStatement(voidingId)).id).toBe(voidingId);
+            const log = await fs.readFile(path.join(directory, 'statements.jsonl'), 'utf8');
+            expect(log.split('\n').filter(Boolean).map(line => JSON.parse(line).id)).toEqual([keptId, voidingId]);
+        } finally {
+            await fs.rm(directory, { recursive: true, force: true });
+        }
+    });
+});
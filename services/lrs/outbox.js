@@ -0,0 +1,274 @@
+/**
+ * Durable statement outbox for Hu Lab Portal
+ * Holds statements that could not be delivered to the LRS and retries them with
+ * exponential backoff. Statements keep their original id and timestamp, so a retry
+ * of a statement the LRS did in fact receive is a harmless duplicate.
+ * When a directory is configured the queue is persisted to disk and survives restarts.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { toPlain } = require('./agentKey');
+
+class StatementOutbox {
+    constructor(options = {}) {
+        this.directory = options.directory || null;
+        this.send = options.send;
+        this.batchSize = options.batchSize || 50;
+        this.baseDelayMs = options.baseDelayMs || 1000;
+        this.maxDelayMs = options.maxDelayMs || 5 * 60 * 1000;
+        this.maxDeadLetters = options.maxDeadLetters || 1000;
+        this.entries = [];
+        this.deadLetters = [];
+        this.timer = null;
+        this.flushing = null;
+        this.lastError = null;
+        this.lastDeliveryAt = null;
+        this.writeQueue = Promise.resolve();
+        this.opened = null;
+    }
+
+    /**
+     * Load the persisted queue (idempotent) and schedule delivery of anything pending
+     */
+    async open() {
+        if (!this.opened) {
+            this.opened = this.load().then(() => {
+                this.schedule();
+                return true;
+            });
+        }
+        return this.opened;
+    }
+
+    async load() {
+        if (!this.directory) {
+            return;
+        }
+
+        await fs.mkdir(this.directory, { recursive: true });
+
+        try {
+            const parsed = JSON.parse(await fs.readFile(this.queuePath(), 'utf8'));
+            this.entries = parsed.entries || [];
+            this.deadLetters = parsed.deadLetters || [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Add statements that failed delivery. Each statement must already carry its id and timestamp.
+     */
+    async enqueue(statements, error = null) {
+        const now = Date.now();
+        const queuedIds = new Set(this.entries.map(entry => entry.statement.id));
+
+        statements.map(toPlain).forEach(statement => {
+            if (!statement.id || !statement.timestamp) {
+                throw new Error('Outbox statements must have an id and timestamp');
+            }
+            if (queuedIds.has(statement.id)) {
+                return;
+            }
+            queuedIds.add(statement.id);
+            this.entries.push({
+                statement,
+                enqueuedAt: now,
+                attempts: 0,
+                nextAttemptAt: now + this.baseDelayMs,
+                lastError: error ? error.message : null
+            });
+        });
+
+        if (error) {
+            this.lastError = error.message;
+        }
+
+        await this.save();
+        this.schedule();
+    }
+
+    /**
+     * Attempt delivery of all statements whose retry time has come
+     */
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.deliverDue().finally(() => {
+                this.flushing = null;
+                this.schedule();
+            });
+        }
+        return this.flushing;
+    }
+
+    async deliverDue() {
+        let due = this.dueEntries();
+
+        while (due.length > 0) {
+            const batch = due.slice(0, this.batchSize);
+
+            try {
+                await this.send(batch.map(entry => entry.statement));
+                this.remove(batch);
+                this.lastDeliveryAt = Date.now();
+            } catch (error) {
+                this.lastError = error.message;
+
+                if (StatementOutbox.isRetryable(error)) {
+                    batch.forEach(entry => this.backoff(entry, error));
+                    await this.save();
+                    return;
+                }
+
+                // The LRS refused the batch; deliver one by one to isolate the bad statements
+                await this.deliverIndividually(batch);
+            }
+
+            await this.save();
+            due = this.dueEntries();
+        }
+    }
+
+    async deliverIndividually(batch) {
+        for (const entry of batch) {
+            try {
+                await this.send([entry.statement]);
+                this.remove([entry]);
+                this.lastDeliveryAt = Date.now();
+            } catch (error) {
+                if (StatementOutbox.isRetryable(error)) {
+                    this.backoff(entry, error);
+                } else {
+                    this.remove([entry]);
+                    this.deadLetter(entry, error);
+                }
+            }
+        }
+    }
+
+    backoff(entry, error) {
+        entry.attempts += 1;
+        entry.lastError = error.message;
+
+        const delay = Math.min(this.baseDelayMs * Math.pow(2, entry.attempts), this.maxDelayMs);
+        // Jitter keeps many instances from retrying against the LRS in lockstep
+        entry.nextAttemptAt = Date.now() + Math.round(delay * (0.5 + Math.random() / 2));
+    }
+
+    deadLetter(entry, error) {
+        this.deadLetters.push({
+            statement: entry.statement,
+            enqueuedAt: entry.enqueuedAt,
+            attempts: entry.attempts + 1,
+            failedAt: Date.now(),
+            error: error.message
+        });
+
+        if (this.deadLetters.length > this.maxDeadLetters) {
+            this.deadLetters.splice(0, this.deadLetters.length - this.maxDeadLetters);
+        }
+    }
+
+    remove(entries) {
+        const ids = new Set(entries.map(entry => entry.statement.id));
+        this.entries = this.entries.filter(entry => !ids.has(entry.statement.id));
+    }
+
+    dueEntries() {
+        const now = Date.now();
+        return this.entries.filter(entry => entry.nextAttemptAt <= now);
+    }
+
+    /**
+     * Arm the retry timer for the earliest pending statement
+     */
+    schedule() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        if (this.entries.length === 0 || this.flushing) {
+            return;
+        }
+
+        const next = Math.min(...this.entries.map(entry => entry.nextAttemptAt));
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.flush().catch(error => {
+                this.lastError = error.message;
+            });
+        }, Math.max(0, next - Date.now()));
+
+        // Never keep the process alive just to retry
+        if (this.timer.unref) {
+            this.timer.unref();
+        }
+    }
+
+    /**
+     * Queue depth and age for health reporting
+     */
+    getStats() {
+        const now = Date.now();
+        const oldest = this.entries.reduce((min, entry) => Math.min(min, entry.enqueuedAt), Infinity);
+        const nextAttempt = this.entries.reduce((min, entry) => Math.min(min, entry.nextAttemptAt), Infinity);
+
+        return {
+            depth: this.entries.length,
+            oldestPendingAt: oldest === Infinity ? null : new Date(oldest).toISOString(),
+            oldestPendingAgeSeconds: oldest === Infinity ? 0 : Math.round((now - oldest) / 1000),
+            nextAttemptAt: nextAttempt === Infinity ? null : new Date(nextAttempt).toISOString(),
+            deadLetters: this.deadLetters.length,
+            lastError: this.lastError,
+            lastDeliveryAt: this.lastDeliveryAt ? new Date(this.lastDeliveryAt).toISOString() : null,
+            persistent: !!this.directory
+        };
+    }
+
+    close() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Network failures, 5xx and 429 responses are worth retrying; other 4xx are not
+     */
+    static isRetryable(error) {
+        if (error && typeof error.retryable === 'boolean') {
+            return error.retryable;
+        }
+        const status = error && error.status;
+        return !status || status === 429 || status >= 500;
+    }
+
+    /**
+     * Persistence
+     */
+    queuePath() {
+        return path.join(this.directory, 'outbox.json');
+    }
+
+    save() {
+        if (!this.directory) {
+            return Promise.resolve();
+        }
+
+        const write = async () => {
+            const target = this.queuePath();
+            const tmp = `${target}.${process.pid}.tmp`;
+            await fs.writeFile(tmp, JSON.stringify({ entries: this.entries, deadLetters: this.deadLetters }));
+            await fs.rename(tmp, target);
+        };
+
+        // Serialise writes so snapshots never interleave
+        this.writeQueue = this.writeQueue.then(write, write);
+        return this.writeQueue;
+    }
+}
+
+module.exports = StatementOutbox;
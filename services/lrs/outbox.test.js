@@ -0,0 +1,107 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const StatementOutbox = require('./outbox');
+
+function statement(n) {
+    return { id: `00000000-0000-4000-8000-00000000000${n}`, timestamp: '2025-01-01T00:00:00.000Z', actor: {}, verb: {}, object: {} };
+}
+
+function failure(status) {
+    const error = new Error(`status ${status}`);
+    error.status = status;
+    return error;
+}
+
+describe('StatementOutbox', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('backs off exponentially, capped at maxDelayMs', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(1);
+        jest.spyOn(Date, 'now').mockReturnValue(0);
+        const outbox = new StatementOutbox({ baseDelayMs: 1000, maxDelayMs: 5000 });
+        const entry = { attempts: 0 };
+
+        const delays = [];
+        for (let i = 0; i < 4; i++) {
+            outbox.backoff(entry, new Error('down'));
+            delays.push(entry.nextAttemptAt);
+        }
+        expect(delays).toEqual([2000, 4000, 5000, 5000]);
+        expect(entry.attempts).toBe(4);
+    });
+
+    test('keeps statements queued while the LRS is unreachable and delivers them later', async () => {
+        const sent = [];
+        let reachable = false;
+        const outbox = new StatementOutbox({
+            baseDelayMs: 1,
+            send: async statements => {
+                if (!reachable) {
+                    throw failure(0);
+                }
+                sent.push(...statements);
+            }
+        });
+
+        await outbox.enqueue([statement(1), statement(2)], failure(0));
+        outbox.close();
+        outbox.entries.forEach(entry => { entry.nextAttemptAt = 0; });
+        await outbox.flush();
+        outbox.close();
+        expect(outbox.entries).toHaveLength(2);
+        expect(outbox.entries[0].attempts).toBe(1);
+
+        reachable = true;
+        outbox.entries.forEach(entry => { entry.nextAttemptAt = 0; });
+        await outbox.flush();
+        outbox.close();
+        expect(outbox.entries).toHaveLength(0);
+        expect(sent.map(s => s.id)).toEqual([statement(1).id, statement(2).id]);
+    });
+
+    test('isolates statements the LRS refuses into dead letters', async () => {
+        const outbox = new StatementOutbox({
+            send: async statements => {
+                if (statements.some(s => s.id === statement(2).id)) {
+                    throw failure(400);
+                }
+            }
+        });
+
+        await outbox.enqueue([statement(1), statement(2), statement(3)]);
+        outbox.entries.forEach(entry => { entry.nextAttemptAt = 0; });
+        await outbox.flush();
+        outbox.close();
+
+        expect(outbox.entries).toHaveLength(0);
+        expect(outbox.deadLetters.map(d => d.statement.id)).toEqual([statement(2).id]);
+    });
+
+    test('ignores statements already queued', async () => {
+        const outbox = new StatementOutbox({ send: async () => {} });
+        await outbox.enqueue([statement(1)]);
+        await outbox.enqueue([statement(1)]);
+        outbox.close();
+        expect(outbox.entries).toHaveLength(1);
+    });
+
+    test('survives a restart when persisted', async () => {
+        const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'outbox-'));
+        try {
+            const outbox = new StatementOutbox({ directory, send: async () => { throw failure(503); } });
+            await outbox.open();
+            await outbox.enqueue([statement(1)], failure(503));
+            outbox.close();
+
+            const reopened = new StatementOutbox({ directory, send: async () => {} });
+            await reopened.open();
+            reopened.close();
+            expect(reopened.entries.map(entry => entry.statement.id)).toEqual([statement(1).id]);
+        } finally {
+            await fs.rm(directory, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,154 @@
+/**
+ * Personal data handling for statements that leave the portal
+ * Replaces agent identifiers with keyed pseudonyms and strips names, free-text
+ * responses and selected extensions according to a set of rules:
+ *   {
+ *     pseudonymise: true,             // mbox/openid/account -> account { homePage, name: HMAC }
+ *     secret: '...',                  // HMAC key, required when pseudonymising
+ *     homePage: 'https://hulab.edu.hk',
+ *     dropNames: true,                // remove agent and group names
+ *     dropResponses: true,            // remove result.response
+ *     dropExtensions: ['http://...'], // remove these keys from every extensions map
+ *     agents: ['mailto:...']          // only pseudonymise / drop names of these agents
+ *   }
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_HOME_PAGE = 'https://hulab.edu.hk';
+
+/**
+ * Stable, non-reversible pseudonym for an identifier
+ */
+function pseudonym(value, secret) {
+    return crypto.createHmac('sha256', secret).update(value).digest('hex');
+}
+
+/**
+ * The inverse functional identifier of an agent as a single string
+ */
+function identifierOf(agent) {
+    if (agent.mbox) return agent.mbox.toLowerCase();
+    if (agent.mbox_sha1sum) return `sha1:${agent.mbox_sha1sum}`;
+    if (agent.openid) return agent.openid;
+    if (agent.account) return `${agent.account.homePage}::${agent.account.name}`;
+    return null;
+}
+
+function transformAgent(agent, rules) {
+    if (!agent || typeof agent !== 'object') {
+        return agent;
+    }
+
+    const result = { ...agent };
+    const selected = !rules.agents || rules.agents.includes(identifierOf(agent));
+
+    if (rules.pseudonymise && selected) {
+        const identifier = identifierOf(agent);
+        delete result.mbox;
+        delete result.mbox_sha1sum;
+        delete result.openid;
+        delete result.account;
+        delete result.name;
+        if (identifier) {
+            result.account = {
+                homePage: rules.homePage || DEFAULT_HOME_PAGE,
+                name: pseudonym(identifier, rules.secret)
+            };
+        }
+    } else if (rules.dropNames && selected) {
+        delete result.name;
+    }
+
+    if (Array.isArray(agent.member)) {
+        result.member = agent.member.map(member => transformAgent(member, rules));
+    }
+
+    return result;
+}
+
+function isAgentObject(object) {
+    return object && (object.objectType === 'Agent' || object.objectType === 'Group');
+}
+
+function dropExtensionKeys(extensions, keys) {
+    if (!extensions) {
+        return extensions;
+    }
+    const result = { ...extensions };
+    keys.forEach(key => delete result[key]);
+    return result;
+}
+
+function transformContext(context, rules) {
+    if (!context) {
+        return context;
+    }
+    const result = { ...context };
+    if (context.instructor) result.instructor = transformAgent(context.instructor, rules);
+    if (context.team) result.team = transformAgent(context.team, rules);
+    if (rules.dropExtensions && context.extensions) {
+        result.extensions = dropExtensionKeys(context.extensions, rules.dropExtensions);
+    }
+    return result;
+}
+
+function transformResult(statementResult, rules) {
+    if (!statementResult) {
+        return statementResult;
+    }
+    const result = { ...statementResult };
+    if (rules.dropResponses) delete result.response;
+    if (rules.dropExtensions && statementResult.extensions) {
+        result.extensions = dropExtensionKeys(statementResult.extensions, rules.dropExtensions);
+    }
+    return result;
+}
+
+function transformObject(object, rules) {
+    if (!object) {
+        return object;
+    }
+    if (isAgentObject(object)) {
+        return transformAgent(object, rules);
+    }
+    if (object.objectType === 'SubStatement') {
+        return transformStatement(object, rules);
+    }
+    if (rules.dropExtensions && object.definition && object.definition.extensions) {
+        return {
+            ...object,
+            definition: {
+                ...object.definition,
+                extensions: dropExtensionKeys(object.definition.extensions, rules.dropExtensions)
+            }
+        };
+    }
+    return object;
+}
+
+function transformStatement(statement, rules) {
+    const result = { ...statement };
+    result.actor = transformAgent(statement.actor, rules);
+    result.object = transformObject(statement.object, rules);
+    if (statement.context) result.context = transformContext(statement.context, rules);
+    if (statement.result) result.result = transformResult(statement.result, rules);
+    if (statement.authority) result.authority = transformAgent(statement.authority, rules);
+    return result;
+}
+
+/**
+ * Apply PII rules to a statement. Returns a new statement; the input is not modified.
+ */
+function stripPersonalData(statement, rules = {}) {
+    if (rules.pseudonymise && !rules.secret) {
+        throw new Error('A secret is required to pseudonymise statements');
+    }
+    return transformStatement(statement, rules);
+}
+
+module.exports = {
+    stripPersonalData,
+    pseudonym,
+    identifierOf
+};
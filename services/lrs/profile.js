@@ -0,0 +1,267 @@
+/**
+ * xAPI Profile support for Hu Lab Portal
+ * Builds the published JSON-LD profile from the concept registry in config/xapiProfile.js
+ * and checks statements against its statement templates.
+ */
+
+const PROFILE_CONTEXT = 'https://w3id.org/xapi/profiles/context';
+const PROFILE_CONFORMS_TO = 'https://w3id.org/xapi/profiles#1.0';
+
+const EXTENSION_TYPES = {
+    context: 'ContextExtension',
+    result: 'ResultExtension',
+    activity: 'ActivityExtension'
+};
+
+/**
+ * Verb objects ({ id, display }) keyed by registry name, as used in statements
+ */
+function buildVerbMap(registry) {
+    const verbMap = {};
+    Object.entries(registry.verbs).forEach(([key, verb]) => {
+        verbMap[key] = { id: verb.id, display: { 'en-US': verb.display } };
+    });
+    return verbMap;
+}
+
+function versionId(registry) {
+    return `${registry.profile.id}/v${registry.profile.version}`;
+}
+
+function templateId(registry, template) {
+    return `${registry.profile.id}/templates/${template.key}`;
+}
+
+/**
+ * Resolve template concept keys to IRIs
+ */
+function compileTemplates(registry) {
+    return registry.templates.map(template => {
+        const verb = registry.verbs[template.verb];
+        const activityType = template.objectActivityType ? registry.activityTypes[template.objectActivityType] : null;
+
+        if (!verb) {
+            throw new Error(`Template ${template.key} references unknown verb "${template.verb}"`);
+        }
+        if (template.objectActivityType && !activityType) {
+            throw new Error(`Template ${template.key} references unknown activity type "${template.objectActivityType}"`);
+        }
+
+        return {
+            id: templateId(registry, template),
+            key: template.key,
+            verb: verb.id,
+            objectActivityType: activityType ? activityType.id : null,
+            rules: template.rules || []
+        };
+    });
+}
+
+/**
+ * Generate the xAPI Profile JSON-LD document
+ */
+function buildProfileDocument(registry, options = {}) {
+    const { profile } = registry;
+    const inScheme = versionId(registry);
+    const label = text => ({ en: text });
+
+    const concepts = [];
+
+    Object.values(registry.verbs).filter(verb => !verb.external).forEach(verb => {
+        concepts.push({
+            id: verb.id,
+            type: 'Verb',
+            inScheme,
+            prefLabel: label(verb.display),
+            definition: label(verb.definition)
+        });
+    });
+
+    Object.values(registry.activityTypes).filter(type => !type.external).forEach(type => {
+        concepts.push({
+            id: type.id,
+            type: 'ActivityType',
+            inScheme,
+            prefLabel: label(type.name),
+            definition: label(type.definition)
+        });
+    });
+
+    Object.values(registry.extensions).forEach(extension => {
+        const concept = {
+            id: extension.id,
+            type: EXTENSION_TYPES[extension.kind],
+            inScheme,
+            prefLabel: label(extension.name),
+            definition: label(extension.definition)
+        };
+        if (extension.schema) {
+            concept.inlineSchema = JSON.stringify(extension.schema);
+        }
+        concepts.push(concept);
+    });
+
+    const templates = registry.templates.map(template => {
+        const compiled = compileTemplates({ ...registry, templates: [template] })[0];
+        const document = {
+            id: compiled.id,
+            type: 'StatementTemplate',
+            inScheme,
+            prefLabel: label(template.prefLabel),
+            definition: label(template.definition),
+            verb: compiled.verb
+        };
+        if (compiled.objectActivityType) {
+            document.objectActivityType = compiled.objectActivityType;
+        }
+        if (compiled.rules.length > 0) {
+            document.rules = compiled.rules.map(rule => ({ ...rule }));
+        }
+        return document;
+    });
+
+    const document = {
+        '@context': PROFILE_CONTEXT,
+        id: profile.id,
+        type: 'Profile',
+        conformsTo: PROFILE_CONFORMS_TO,
+        prefLabel: label(profile.prefLabel),
+        definition: label(profile.definition),
+        author: { type: 'Organization', name: profile.author },
+        versions: [{ id: inScheme, generatedAtTime: profile.generatedAtTime }],
+        concepts,
+        templates
+    };
+
+    if (options.url) {
+        document.seeAlso = options.url;
+    }
+
+    return document;
+}
+
+/**
+ * Evaluate the JSONPath subset used by template rules:
+ * $, .name, ['key'], [n] and [*]. Returns the matched values.
+ */
+function evaluatePath(document, location) {
+    const tokens = [];
+    const pattern = /\.([A-Za-z_$][\w$-]*)|\['([^']*)'\]|\[(\d+)\]|\[\*\]/g;
+
+    if (!location.startsWith('$')) {
+        throw new Error(`Invalid rule location "${location}"`);
+    }
+
+    let match;
+    let consumed = 1;
+    while ((match = pattern.exec(location)) !== null) {
+        if (match.index !== consumed) {
+            throw new Error(`Invalid rule location "${location}"`);
+        }
+        consumed = pattern.lastIndex;
+        if (match[1] !== undefined) tokens.push(match[1]);
+        else if (match[2] !== undefined) tokens.push(match[2]);
+        else if (match[3] !== undefined) tokens.push(Number(match[3]));
+        else tokens.push('*');
+    }
+    if (consumed !== location.length) {
+        throw new Error(`Invalid rule location "${location}"`);
+    }
+
+    let values = [document];
+    tokens.forEach(token => {
+        const next = [];
+        values.forEach(value => {
+            if (value === null || typeof value !== 'object') {
+                return;
+            }
+            if (token === '*') {
+                next.push(...(Array.isArray(value) ? value : Object.values(value)));
+            } else if (value[token] !== undefined) {
+                next.push(value[token]);
+            }
+        });
+        values = next;
+    });
+
+    return values.filter(value => value !== undefined && value !== null);
+}
+
+/**
+ * Render a rule location as a validator style path, e.g. context.extensions["http://..."]
+ */
+function displayPath(location) {
+    return location
+        .replace(/^\$\.?/, '')
+        .replace(/\['([^']*)'\]/g, '["$1"]');
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Check a statement against every template whose determining properties
+ * (verb and object activity type) it matches.
+ * Returns { templates: [ids], errors: [{ path, message, template }], warnings: [...] }
+ */
+function checkTemplates(statement, compiledTemplates) {
+    const verbId = statement && statement.verb ? statement.verb.id : null;
+    const objectType = statement && statement.object && statement.object.definition ? statement.object.definition.type : null;
+
+    const matching = compiledTemplates.filter(template =>
+        template.verb === verbId &&
+        (!template.objectActivityType || template.objectActivityType === objectType)
+    );
+
+    const errors = [];
+    const warnings = [];
+
+    matching.forEach(template => {
+        template.rules.forEach(rule => {
+            const values = evaluatePath(statement, rule.location);
+            const path = displayPath(rule.location);
+            const report = message => errors.push({ path, message: `${message} (template ${template.key})`, template: template.id });
+
+            if (rule.presence === 'included' && values.length === 0) {
+                report('is required');
+                return;
+            }
+            if (rule.presence === 'excluded' && values.length > 0) {
+                report('must not be present');
+                return;
+            }
+            if (rule.presence === 'recommended' && values.length === 0) {
+                warnings.push({ path, message: `is recommended (template ${template.key})`, template: template.id });
+                return;
+            }
+            if (values.length === 0) {
+                return;
+            }
+
+            if (rule.any && !values.some(value => rule.any.some(allowed => sameValue(allowed, value)))) {
+                report(`must be one of ${rule.any.map(value => JSON.stringify(value)).join(', ')}`);
+            }
+            if (rule.all && !values.every(value => rule.all.some(allowed => sameValue(allowed, value)))) {
+                report(`must only contain ${rule.all.map(value => JSON.stringify(value)).join(', ')}`);
+            }
+            if (rule.none && values.some(value => rule.none.some(denied => sameValue(denied, value)))) {
+                report(`must not be ${rule.none.map(value => JSON.stringify(value)).join(', ')}`);
+            }
+        });
+    });
+
+    return {
+        templates: matching.map(template => template.id),
+        errors,
+        warnings
+    };
+}
+
+module.exports = {
+    buildVerbMap,
+    buildProfileDocument,
+    compileTemplates,
+    checkTemplates,
+    evaluatePath
+};
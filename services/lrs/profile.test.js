@@ -0,0 +1,121 @@
+const { buildVerbMap, buildProfileDocument, compileTemplates, checkTemplates } = require('./profile');
+const xapiProfile = require('../../config/xapiProfile');
+
+const registry = {
+    profile: {
+        id: 'http://hulab.edu.hk/profile',
+        version: '1.0.0',
+        prefLabel: 'Test profile',
+        definition: 'Profile used by the tests',
+        author: 'Hu Lab',
+        generatedAtTime: '2025-01-01T00:00:00Z'
+    },
+    verbs: {
+        advanced: { id: 'http://hulab.edu.hk/verbs/advanced', display: 'advanced', definition: 'Moved on' },
+        completed: { id: 'http://adlnet.gov/expapi/verbs/completed', display: 'completed', definition: 'Finished', external: true }
+    },
+    activityTypes: {
+        project: { id: 'http://hulab.edu.hk/activities/research-project', name: 'project', definition: 'A project' }
+    },
+    extensions: {
+        phase: { id: 'http://hulab.edu.hk/extensions/phase', kind: 'context', name: 'phase', definition: 'RIDE-I phase', schema: { type: 'string' } }
+    },
+    templates: [
+        {
+            key: 'phase-advanced',
+            prefLabel: 'phase advanced',
+            definition: 'A project moved to another phase',
+            verb: 'advanced',
+            objectActivityType: 'project',
+            rules: [
+                { location: "$.context.extensions['http://hulab.edu.hk/extensions/phase']", presence: 'included', any: ['research', 'design'] },
+                { location: '$.result', presence: 'excluded' },
+                { location: '$.object.definition.name', presence: 'recommended' }
+            ]
+        }
+    ]
+};
+
+function statement(overrides = {}) {
+    return {
+        verb: { id: 'http://hulab.edu.hk/verbs/advanced' },
+        object: { id: 'http://hulab.edu.hk/project/1', definition: { type: 'http://hulab.edu.hk/activities/research-project', name: { 'en-US': 'P' } } },
+        context: { extensions: { 'http://hulab.edu.hk/extensions/phase': 'design' } },
+        ...overrides
+    };
+}
+
+describe('xAPI profile', () => {
+    test('builds statement verbs from the registry', () => {
+        expect(buildVerbMap(registry).advanced).toEqual({
+            id: 'http://hulab.edu.hk/verbs/advanced',
+            display: { 'en-US': 'advanced' }
+        });
+    });
+
+    test('publishes only the concepts the profile defines', () => {
+        const document = buildProfileDocument(registry, { url: 'https://portal/xapi/profile' });
+
+        expect(document.type).toBe('Profile');
+        expect(document.versions[0].id).toBe('http://hulab.edu.hk/profile/v1.0.0');
+        expect(document.seeAlso).toBe('https://portal/xapi/profile');
+        expect(document.concepts.map(concept => concept.type)).toEqual(['Verb', 'ActivityType', 'ContextExtension']);
+        expect(document.concepts[2].inlineSchema).toBe('{"type":"string"}');
+        expect(document.templates[0]).toMatchObject({
+            id: 'http://hulab.edu.hk/profile/templates/phase-advanced',
+            type: 'StatementTemplate',
+            verb: 'http://hulab.edu.hk/verbs/advanced',
+            objectActivityType: 'http://hulab.edu.hk/activities/research-project'
+        });
+    });
+
+    test('rejects templates that reference unknown concepts', () => {
+        const broken = { ...registry, templates: [{ key: 'broken', verb: 'missing' }] };
+
+        expect(() => compileTemplates(broken)).toThrow('Template broken references unknown verb "missing"');
+    });
+
+    test('compiles the portal registry', () => {
+        const compiled = compileTemplates(xapiProfile);
+
+        expect(compiled.length).toBe(xapiProfile.templates.length);
+        expect(compiled.every(template => template.verb.startsWith('http'))).toBe(true);
+    });
+
+    describe('checkTemplates', () => {
+        const templates = compileTemplates(registry);
+
+        test('accepts a conforming statement', () => {
+            const result = checkTemplates(statement(), templates);
+
+            expect(result.templates).toEqual(['http://hulab.edu.hk/profile/templates/phase-advanced']);
+            expect(result.errors).toEqual([]);
+            expect(result.warnings).toEqual([]);
+        });
+
+        test('reports included, excluded and value rules by path', () => {
+            const result = checkTemplates(statement({ context: {}, result: { completion: true } }), templates);
+
+            expect(result.errors.map(error => `${error.path}: ${error.message}`)).toEqual([
+                'context.extensions["http://hulab.edu.hk/extensions/phase"]: is required (template phase-advanced)',
+                'result: must not be present (template phase-advanced)'
+            ]);
+
+            const wrongPhase = checkTemplates(statement({ context: { extensions: { 'http://hulab.edu.hk/extensions/phase': 'launch' } } }), templates);
+            expect(wrongPhase.errors[0].message).toBe('must be one of "research", "design" (template phase-advanced)');
+        });
+
+        test('warns about missing recommended properties', () => {
+            const result = checkTemplates(statement({ object: { id: 'http://hulab.edu.hk/project/1', definition: { type: 'http://hulab.edu.hk/activities/research-project' } } }), templates);
+
+            expect(result.errors).toEqual([]);
+            expect(result.warnings.map(warning => warning.path)).toEqual(['object.definition.name']);
+        });
+
+        test('ignores statements the templates do not determine', () => {
+            const otherType = statement({ object: { id: 'http://hulab.edu.hk/file/1', definition: { type: 'http://adlnet.gov/expapi/activities/file' } } });
+
+            expect(checkTemplates(otherType, templates)).toEqual({ templates: [], errors: [], warnings: [] });
+        });
+    });
+});
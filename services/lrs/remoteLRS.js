@@ -0,0 +1,230 @@
+/**
+ * Remote LRS backend for Hu Lab Portal
+ * Adapts TinCanJS (callback based) to the promise based backend interface
+ * shared with the embedded local LRS.
+ */
+
+const TinCan = require('tincanjs');
+const { toPlain } = require('./agentKey');
+
+class RemoteLRS {
+    constructor(options = {}) {
+        this.endpoint = options.endpoint;
+        this.lrs = new TinCan.LRS({
+            endpoint: options.endpoint,
+            username: options.username,
+            password: options.password,
+            allowFail: false
+        });
+    }
+
+    async open() {
+        return true;
+    }
+
+    /**
+     * Statements resource
+     */
+    saveStatement(statement) {
+        const tinCanStatement = new TinCan.Statement(toPlain(statement));
+        return this.call(cfg => this.lrs.saveStatement(tinCanStatement, cfg))
+            .then(() => tinCanStatement.id);
+    }
+
+    saveStatements(statements) {
+        const tinCanStatements = statements.map(statement => new TinCan.Statement(toPlain(statement)));
+        return this.call(cfg => this.lrs.saveStatements(tinCanStatements, cfg))
+            .then(() => tinCanStatements.map(s => s.id));
+    }
+
+    retrieveStatement(statementId) {
+        return this.call(cfg => this.lrs.retrieveStatement(statementId, cfg));
+    }
+
+    retrieveVoidedStatement(statementId) {
+        return this.call(cfg => this.lrs.retrieveVoidedStatement(statementId, cfg));
+    }
+
+    async queryStatements(params = {}) {
+        const queryParams = {};
+
+        if (params.agent) queryParams.agent = new TinCan.Agent(toPlain(params.agent));
+        if (params.verb) queryParams.verb = new TinCan.Verb(typeof params.verb === 'string' ? { id: params.verb } : toPlain(params.verb));
+        if (params.activity) queryParams.activity = new TinCan.Activity(typeof params.activity === 'string' ? { id: params.activity } : toPlain(params.activity));
+
+        ['registration', 'since', 'until', 'limit', 'ascending', 'related_activities', 'related_agents', 'format'].forEach(key => {
+            if (params[key] !== undefined && params[key] !== null) {
+                queryParams[key] = params[key];
+            }
+        });
+
+        const result = await this.call(cfg => this.lrs.queryStatements({ ...cfg, params: queryParams }));
+        return { statements: result.statements || [], more: result.more || '' };
+    }
+
+    async moreStatements(moreUrl) {
+        const result = await this.call(cfg => this.lrs.moreStatements({ ...cfg, url: moreUrl }));
+        return { statements: result.statements || [], more: result.more || '' };
+    }
+
+    /**
+     * Document resources (state, activity profile, agent profile)
+     */
+    retrieveState({ agent, activityId, stateId, registration = null }) {
+        return this.call(cfg => this.lrs.retrieveState(stateId, {
+            ...cfg,
+            agent: new TinCan.Agent(toPlain(agent)),
+            activity: new TinCan.Activity({ id: activityId }),
+            registration
+        })).then(document => this.toDocument(document));
+    }
+
+    saveState({ agent, activityId, stateId, registration = null, contents, contentType = 'application/json', etag, ifNoneMatch }) {
+        const requestHeaders = ifNoneMatch ? { 'If-None-Match': '*' } : {};
+        return this.call(cfg => this.lrs.saveState(stateId, this.serialize(contents), {
+            ...cfg,
+            agent: new TinCan.Agent(toPlain(agent)),
+            activity: new TinCan.Activity({ id: activityId }),
+            registration,
+            contentType,
+            lastSHA1: etag || null,
+            requestHeaders
+        })).then(xhr => ({ id: stateId, etag: this.responseEtag(xhr) }));
+    }
+
+    dropState({ agent, activityId, stateId, registration = null }) {
+        return this.call(cfg => this.lrs.dropState(stateId, {
+            ...cfg,
+            agent: new TinCan.Agent(toPlain(agent)),
+            activity: new TinCan.Activity({ id: activityId }),
+            registration
+        })).then(() => true);
+    }
+
+    retrieveStateIds({ agent, activityId, registration = null }) {
+        return this.call(cfg => this.lrs.retrieveStateIds({
+            ...cfg,
+            agent: new TinCan.Agent(toPlain(agent)),
+            activity: new TinCan.Activity({ id: activityId }),
+            registration
+        }));
+    }
+
+    retrieveActivityProfile({ activityId, profileId }) {
+        return this.call(cfg => this.lrs.retrieveActivityProfile(profileId, {
+            ...cfg,
+            activity: new TinCan.Activity({ id: activityId })
+        })).then(document => this.toDocument(document));
+    }
+
+    async saveActivityProfile({ activityId, profileId, contents, contentType = 'application/json', etag, ifNoneMatch }) {
+        // TinCan sends If-None-Match when no etag is given, so upserts need the current etag
+        const lastSHA1 = etag || (ifNoneMatch ? null : (await this.retrieveActivityProfile({ activityId, profileId }))?.etag);
+        return this.call(cfg => this.lrs.saveActivityProfile(profileId, this.serialize(contents), {
+            ...cfg,
+            activity: new TinCan.Activity({ id: activityId }),
+            contentType,
+            lastSHA1: lastSHA1 || null
+        })).then(xhr => ({ id: profileId, etag: this.responseEtag(xhr) }));
+    }
+
+    dropActivityProfile({ activityId, profileId }) {
+        return this.call(cfg => this.lrs.dropActivityProfile(profileId, {
+            ...cfg,
+            activity: new TinCan.Activity({ id: activityId })
+        })).then(() => true);
+    }
+
+    retrieveActivityProfileIds({ activityId }) {
+        return this.call(cfg => this.lrs.retrieveActivityProfileIds({
+            ...cfg,
+            activity: new TinCan.Activity({ id: activityId })
+        }));
+    }
+
+    retrieveAgentProfile({ agent, profileId }) {
+        return this.call(cfg => this.lrs.retrieveAgentProfile(profileId, {
+            ...cfg,
+            agent: new TinCan.Agent(toPlain(agent))
+        })).then(document => this.toDocument(document));
+    }
+
+    async saveAgentProfile({ agent, profileId, contents, contentType = 'application/json', etag, ifNoneMatch }) {
+        const lastSHA1 = etag || (ifNoneMatch ? null : (await this.retrieveAgentProfile({ agent, profileId }))?.etag);
+        return this.call(cfg => this.lrs.saveAgentProfile(profileId, this.serialize(contents), {
+            ...cfg,
+            agent: new TinCan.Agent(toPlain(agent)),
+            contentType,
+            lastSHA1: lastSHA1 || null
+        })).then(xhr => ({ id: profileId, etag: this.responseEtag(xhr) }));
+    }
+
+    dropAgentProfile({ agent, profileId }) {
+        return this.call(cfg => this.lrs.dropAgentProfile(profileId, {
+            ...cfg,
+            agent: new TinCan.Agent(toPlain(agent))
+        })).then(() => true);
+    }
+
+    retrieveAgentProfileIds({ agent }) {
+        return this.call(cfg => this.lrs.retrieveAgentProfileIds({
+            ...cfg,
+            agent: new TinCan.Agent(toPlain(agent))
+        }));
+    }
+
+    /**
+     * Helpers
+     */
+
+    /**
+     * Run a TinCan request as a promise. TinCan reports success with a null error and
+     * an unreachable LRS with status 0, which must fail (and be retried) like a 5xx.
+     */
+    call(request) {
+        return new Promise((resolve, reject) => {
+            request({
+                callback: (err, result) => {
+                    if (err !== null && err !== undefined) {
+                        const error = err instanceof Error ? err : new Error(err === 0
+                            ? `LRS unreachable at ${this.endpoint}`
+                            : `LRS request failed: ${err}`);
+                        if (typeof err === 'number') {
+                            error.status = err;
+                            error.retryable = err === 0 || err === 429 || err >= 500;
+                        }
+                        reject(error);
+                    } else {
+                        resolve(result);
+                    }
+                }
+            });
+        });
+    }
+
+    toDocument(document) {
+        if (!document) {
+            return null;
+        }
+        return {
+            id: document.id,
+            contents: typeof document.contents === 'string' ? document.contents : JSON.stringify(document.contents),
+            contentType: document.contentType,
+            etag: document.etag,
+            updated: document.updated
+        };
+    }
+
+    serialize(contents) {
+        return typeof contents === 'string' ? contents : JSON.stringify(contents);
+    }
+
+    responseEtag(xhr) {
+        if (xhr && typeof xhr.getResponseHeader === 'function') {
+            return xhr.getResponseHeader('ETag') || null;
+        }
+        return null;
+    }
+}
+
+module.exports = RemoteLRS;
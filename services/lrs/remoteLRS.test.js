@@ -0,0 +1,25 @@
+const RemoteLRS = require('./remoteLRS');
+const StatementOutbox = require('./outbox');
+
+describe('RemoteLRS.call', () => {
+    const lrs = new RemoteLRS({ endpoint: 'http://lrs.example/xapi/', username: 'u', password: 'p' });
+    const respond = (err, result) => cfg => cfg.callback(err, result);
+
+    test('resolves with the result when TinCan reports no error', async () => {
+        await expect(lrs.call(respond(null, 'ok'))).resolves.toBe('ok');
+    });
+
+    test('rejects an unreachable LRS (status 0) as retryable', async () => {
+        const error = await lrs.call(respond(0, null)).catch(e => e);
+        expect(error).toBeInstanceOf(Error);
+        expect(error.status).toBe(0);
+        expect(error.retryable).toBe(true);
+        expect(StatementOutbox.isRetryable(error)).toBe(true);
+    });
+
+    test('rejects client errors as permanent', async () => {
+        const error = await lrs.call(respond(400, null)).catch(e => e);
+        expect(error.status).toBe(400);
+        expect(StatementOutbox.isRetryable(error)).toBe(false);
+    });
+});
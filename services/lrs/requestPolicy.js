@@ -0,0 +1,306 @@
+/**
+ * Request logging policy for Hu Lab Portal
+ * Decides which HTTP requests the xAPI logging middleware records and how: the verb
+ * and activity for each route, the share of requests sampled, which query and body
+ * fields are redacted and whether client IPs are hashed. The policy is a JSON file
+ * that is reloaded when it changes, so routes can be tuned without a deploy:
+ *   {
+ *     "defaults": { "sampleRate": 1, "errorSampleRate": 1, "hashIp": true,
+ *                   "includeBody": false, "redact": { "query": [...], "body": [...] } },
+ *     "ignore": ["/health", "/css/*", "*.png"],
+ *     "routes": [
+ *       { "match": "GET /api/research/projects/:projectId", "verb": "viewed",
+ *         "sampleRate": 0.5, "activity": { "id": "portal/research/projects/:projectId",
+ *         "type": "research", "name": "Research Project" } }
+ *     ]
+ *   }
+ * Patterns are "[METHOD] /path", where :name matches one path segment and * matches
+ * anything. The first matching route wins; unlisted routes use the defaults only.
+ */
+
+const fs = require('fs');
+const { pseudonym } = require('./pii');
+
+const REDACTED = '[REDACTED]';
+const ROUTE_SETTINGS = ['sampleRate', 'errorSampleRate', 'hashIp', 'includeBody'];
+
+class RequestLoggingPolicy {
+    constructor(options = {}) {
+        this.file = options.file || null;
+        this.reloadIntervalMs = options.reloadIntervalMs || 5000;
+        this.ipSecret = options.ipSecret || null;
+        this.random = options.random || Math.random;
+        this.onReload = options.onReload || (() => {});
+        this.onError = options.onError || (() => {});
+        this.watching = false;
+        this.policy = compilePolicy(options.policy || {});
+        this.loadedAt = null;
+    }
+
+    /**
+     * Read and compile the policy file. Throws on invalid JSON or patterns,
+     * leaving the current policy in place.
+     */
+    load() {
+        if (!this.file) {
+            return this.policy;
+        }
+        this.policy = compilePolicy(JSON.parse(fs.readFileSync(this.file, 'utf8')));
+        this.loadedAt = new Date().toISOString();
+        return this.policy;
+    }
+
+    /**
+     * Reload the policy whenever its file changes. A broken edit is reported
+     * through onError and the previous policy stays active.
+     */
+    watch() {
+        if (!this.file || this.watching) {
+            return;
+        }
+        this.watching = true;
+        const watcher = fs.watchFile(this.file, { interval: this.reloadIntervalMs, persistent: false }, (current, previous) => {
+            if (current.mtimeMs === previous.mtimeMs) {
+                return;
+            }
+            try {
+                this.load();
+                this.onReload(this.describe());
+            } catch (error) {
+                this.onError(error);
+            }
+        });
+        if (watcher && typeof watcher.unref === 'function') {
+            watcher.unref();
+        }
+    }
+
+    close() {
+        if (this.watching) {
+            fs.unwatchFile(this.file);
+            this.watching = false;
+        }
+    }
+
+    /**
+     * Decide how to record a finished request. Returns null when it is not
+     * recorded (ignored or not sampled), otherwise the settings for its route.
+     */
+    evaluate({ method, path, statusCode }) {
+        const cleanPath = normalizePath(path);
+
+        if (this.policy.ignore.some(pattern => pattern.regex.test(cleanPath))) {
+            return null;
+        }
+
+        let params = {};
+        const route = this.policy.routes.find(candidate => {
+            if (candidate.method && candidate.method !== method) {
+                return false;
+            }
+            const match = candidate.regex.exec(cleanPath);
+            if (match) {
+                params = extractParams(candidate, match);
+            }
+            return !!match;
+        });
+
+        const settings = { ...this.policy.defaults };
+        if (route) {
+            ROUTE_SETTINGS
+                .filter(key => route.settings[key] !== undefined)
+                .forEach(key => { settings[key] = route.settings[key]; });
+            settings.redact = {
+                query: settings.redact.query.concat(route.settings.redact.query),
+                body: settings.redact.body.concat(route.settings.redact.body)
+            };
+        }
+
+        const failed = statusCode >= 400;
+        const rate = failed ? settings.errorSampleRate : settings.sampleRate;
+        if (rate <= 0 || (rate < 1 && this.random() >= rate)) {
+            return null;
+        }
+
+        return {
+            route: route ? route.match : null,
+            path: cleanPath,
+            params,
+            failed,
+            verb: route ? (failed && route.failureVerb) || (!failed && route.verb) || null : null,
+            activity: route && route.activity ? expandActivity(route.activity, params) : null,
+            sampleRate: rate,
+            hashIp: settings.hashIp,
+            includeBody: settings.includeBody,
+            redact: settings.redact
+        };
+    }
+
+    redactQuery(query, decision) {
+        return redactFields(query, decision.redact.query);
+    }
+
+    redactBody(body, decision) {
+        return redactFields(body, decision.redact.body);
+    }
+
+    /**
+     * The client IP as it may be stored: a keyed hash when the route asks for it,
+     * or null when hashing is requested but no secret is configured.
+     */
+    clientAddress(ip, decision) {
+        if (!ip || !decision.hashIp) {
+            return ip || null;
+        }
+        return this.ipSecret ? pseudonym(ip, this.ipSecret).slice(0, 32) : null;
+    }
+
+    describe() {
+        return {
+            file: this.file,
+            loadedAt: this.loadedAt,
+            routes: this.policy.routes.length,
+            ignore: this.policy.ignore.length
+        };
+    }
+}
+
+function compilePolicy(policy) {
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        throw new Error('Request logging policy must be a JSON object');
+    }
+
+    const defaults = compileSettings(policy.defaults || {}, 'defaults');
+
+    return {
+        defaults: {
+            sampleRate: defaults.sampleRate !== undefined ? defaults.sampleRate : 1,
+            errorSampleRate: defaults.errorSampleRate !== undefined ? defaults.errorSampleRate : 1,
+            hashIp: defaults.hashIp !== undefined ? defaults.hashIp : true,
+            includeBody: !!defaults.includeBody,
+            redact: defaults.redact
+        },
+        ignore: (policy.ignore || []).map(pattern => compilePattern(pattern)),
+        routes: (policy.routes || []).map((route, index) => {
+            if (!route || typeof route.match !== 'string') {
+                throw new Error(`Request logging route ${index} needs a "match" pattern`);
+            }
+            return {
+                ...compilePattern(route.match),
+                match: route.match,
+                verb: route.verb || null,
+                failureVerb: route.failureVerb || null,
+                activity: route.activity || null,
+                settings: compileSettings(route, route.match)
+            };
+        })
+    };
+}
+
+function compileSettings(settings, label) {
+    ['sampleRate', 'errorSampleRate'].forEach(key => {
+        const value = settings[key];
+        if (value !== undefined && (typeof value !== 'number' || value < 0 || value > 1)) {
+            throw new Error(`Request logging ${label}: ${key} must be a number between 0 and 1`);
+        }
+    });
+
+    const redact = settings.redact || {};
+    ['query', 'body'].forEach(key => {
+        if (redact[key] !== undefined && !Array.isArray(redact[key])) {
+            throw new Error(`Request logging ${label}: redact.${key} must be an array of field names`);
+        }
+    });
+
+    return {
+        sampleRate: settings.sampleRate,
+        errorSampleRate: settings.errorSampleRate,
+        hashIp: settings.hashIp,
+        includeBody: settings.includeBody,
+        redact: {
+            query: (redact.query || []).map(field => String(field).toLowerCase()),
+            body: (redact.body || []).map(field => String(field).toLowerCase())
+        }
+    };
+}
+
+/**
+ * "GET /projects/:id/*" -> { method: 'GET', regex, params: ['id'] }
+ */
+function compilePattern(pattern) {
+    const parts = String(pattern).trim().split(/\s+/);
+    if (parts.length > 2 || parts[parts.length - 1] === '') {
+        throw new Error(`Invalid request logging pattern "${pattern}"`);
+    }
+
+    const method = parts.length === 2 && parts[0] !== '*' ? parts[0].toUpperCase() : null;
+    const path = normalizePath(parts[parts.length - 1]);
+    const params = [];
+
+    const source = path.split(/(:[A-Za-z_][\w]*|\*)/).map(token => {
+        if (token === '*') {
+            return '.*';
+        }
+        if (token.startsWith(':')) {
+            params.push(token.slice(1));
+            return '([^/]+)';
+        }
+        return token.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    }).join('');
+
+    return { method, regex: new RegExp(`^${source}$`), params };
+}
+
+function extractParams(route, match) {
+    const params = {};
+    route.params.forEach((name, index) => {
+        params[name] = decodeSegment(match[index + 1]);
+    });
+    return params;
+}
+
+function decodeSegment(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+function expandActivity(activity, params) {
+    const expand = value => typeof value === 'string'
+        ? value.replace(/:([A-Za-z_][\w]*)/g, (placeholder, name) =>
+            params[name] !== undefined ? encodeURIComponent(params[name]) : placeholder)
+        : value;
+
+    return {
+        id: expand(activity.id),
+        type: activity.type,
+        name: expand(activity.name),
+        description: expand(activity.description)
+    };
+}
+
+function normalizePath(path) {
+    return String(path || '/').replace(/\/+$/, '') || '/';
+}
+
+/**
+ * Copy of an object with the named fields (matched case-insensitively, at any depth) masked
+ */
+function redactFields(value, fields, depth = 0) {
+    if (!value || typeof value !== 'object' || fields.length === 0 || depth > 10) {
+        return value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redactFields(item, fields, depth + 1));
+    }
+
+    const result = {};
+    Object.entries(value).forEach(([key, item]) => {
+        result[key] = fields.includes(key.toLowerCase()) ? REDACTED : redactFields(item, fields, depth + 1);
+    });
+    return result;
+}
+
+module.exports = RequestLoggingPolicy;
@@ -0,0 +1,92 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const RequestLoggingPolicy = require('./requestPolicy');
+const { pseudonym } = require('./pii');
+
+const policy = {
+    defaults: { sampleRate: 1, errorSampleRate: 1, hashIp: true, redact: { query: ['token'], body: ['password'] } },
+    ignore: ['/health', '/css/*'],
+    routes: [
+        {
+            match: 'GET /api/research/projects/:projectId',
+            verb: 'viewed',
+            failureVerb: 'failed',
+            sampleRate: 0.5,
+            activity: { id: 'portal/research/projects/:projectId', type: 'research', name: 'Project :projectId' }
+        },
+        { match: 'POST /api/auth/*', includeBody: true, hashIp: false, redact: { body: ['otp'] } }
+    ]
+};
+
+describe('RequestLoggingPolicy', () => {
+    test('skips ignored paths', () => {
+        const requests = new RequestLoggingPolicy({ policy });
+
+        expect(requests.evaluate({ method: 'GET', path: '/health/', statusCode: 200 })).toBeNull();
+        expect(requests.evaluate({ method: 'GET', path: '/css/site.css', statusCode: 200 })).toBeNull();
+    });
+
+    test('uses the first matching route with its parameters in the activity', () => {
+        const requests = new RequestLoggingPolicy({ policy, random: () => 0.1 });
+
+        const decision = requests.evaluate({ method: 'GET', path: '/api/research/projects/a%20b', statusCode: 200 });
+
+        expect(decision).toMatchObject({
+            route: 'GET /api/research/projects/:projectId',
+            params: { projectId: 'a b' },
+            verb: 'viewed',
+            sampleRate: 0.5,
+            activity: { id: 'portal/research/projects/a%20b', type: 'research', name: 'Project a%20b' }
+        });
+        expect(requests.evaluate({ method: 'GET', path: '/api/research/projects/1', statusCode: 404 }).verb).toBe('failed');
+        expect(requests.evaluate({ method: 'DELETE', path: '/api/research/projects/1', statusCode: 200 }).route).toBeNull();
+    });
+
+    test('samples successes and failures at their own rates', () => {
+        const requests = new RequestLoggingPolicy({ policy, random: () => 0.7 });
+
+        expect(requests.evaluate({ method: 'GET', path: '/api/research/projects/1', statusCode: 200 })).toBeNull();
+        expect(requests.evaluate({ method: 'GET', path: '/api/research/projects/1', statusCode: 500 })).not.toBeNull();
+    });
+
+    test('redacts default and route fields at any depth', () => {
+        const requests = new RequestLoggingPolicy({ policy });
+        const decision = requests.evaluate({ method: 'POST', path: '/api/auth/login', statusCode: 200 });
+
+        expect(decision.includeBody).toBe(true);
+        expect(requests.redactBody({ email: 'a@b.c', Password: 'x', nested: [{ otp: '123' }] }, decision))
+            .toEqual({ email: 'a@b.c', Password: '[REDACTED]', nested: [{ otp: '[REDACTED]' }] });
+        expect(requests.redactQuery({ token: 't', page: '2' }, decision)).toEqual({ token: '[REDACTED]', page: '2' });
+    });
+
+    test('hashes client IPs with the secret, or drops them without one', () => {
+        const hashed = new RequestLoggingPolicy({ policy, ipSecret: 'key' });
+        const decision = hashed.evaluate({ method: 'GET', path: '/api/files', statusCode: 200 });
+
+        expect(hashed.clientAddress('10.0.0.1', decision)).toBe(pseudonym('10.0.0.1', 'key').slice(0, 32));
+        expect(new RequestLoggingPolicy({ policy }).clientAddress('10.0.0.1', decision)).toBeNull();
+
+        const plain = hashed.evaluate({ method: 'POST', path: '/api/auth/login', statusCode: 200 });
+        expect(hashed.clientAddress('10.0.0.1', plain)).toBe('10.0.0.1');
+    });
+
+    test('rejects invalid policies', () => {
+        expect(() => new RequestLoggingPolicy({ policy: { defaults: { sampleRate: 2 } } })).toThrow('sampleRate must be a number between 0 and 1');
+        expect(() => new RequestLoggingPolicy({ policy: { routes: [{ verb: 'viewed' }] } })).toThrow('needs a "match" pattern');
+        expect(() => new RequestLoggingPolicy({ policy: { routes: [{ match: 'GET /a /b' }] } })).toThrow('Invalid request logging pattern');
+    });
+
+    test('keeps the current policy when the file becomes invalid', () => {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'request-policy-')), 'policy.json');
+        fs.writeFileSync(file, JSON.stringify(policy));
+        const requests = new RequestLoggingPolicy({ file });
+        requests.load();
+
+        fs.writeFileSync(file, '{ not json');
+        expect(() => requests.load()).toThrow();
+        expect(requests.describe()).toMatchObject({ file, routes: 2, ignore: 2 });
+
+        fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    });
+});
@@ -0,0 +1,111 @@
+/**
+ * Statement cursor for Hu Lab Portal
+ * Async iterator over a statement query that follows the LRS "more" link until the
+ * query is exhausted. A hard cap stops runaway queries, and iteration can be cancelled
+ * with an AbortSignal, cancel() or by breaking out of the loop.
+ * With excludeVoided, voiding statements are skipped along with any statement they
+ * void that the LRS still returns (LRSs should already leave voided statements out).
+ *
+ *   const cursor = xapiService.iterateStatements({ verb }, { maxStatements: 50000 });
+ *   for await (const statement of cursor) { ... }
+ *   if (cursor.truncated) { ... }
+ */
+
+const VOIDED_VERB = 'http://adlnet.gov/expapi/verbs/voided';
+
+class StatementCursor {
+    constructor(source, query = {}, options = {}) {
+        this.source = source;
+        this.query = query;
+        this.pageSize = options.pageSize || 500;
+        this.maxStatements = options.maxStatements || Infinity;
+        this.signal = options.signal || null;
+        this.excludeVoided = !!options.excludeVoided;
+        this.voidedIds = new Set();
+        this.count = 0;
+        this.pages = 0;
+        this.truncated = false;
+        this.cancelled = false;
+        this.started = false;
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+
+    async *[Symbol.asyncIterator]() {
+        if (this.started) {
+            throw new Error('A statement cursor can only be iterated once');
+        }
+        this.started = true;
+
+        let page = await this.fetch(() => this.source.queryStatements({
+            ...this.query,
+            limit: Math.min(this.pageSize, this.maxStatements)
+        }));
+
+        for (;;) {
+            for (const statement of page.statements || []) {
+                if (this.count >= this.maxStatements) {
+                    this.truncated = true;
+                    return;
+                }
+                this.checkCancelled();
+                if (this.excludeVoided && this.isVoidedOrVoiding(statement)) {
+                    continue;
+                }
+                this.count += 1;
+                yield statement;
+            }
+
+            if (!page.more) {
+                return;
+            }
+            if (this.count >= this.maxStatements) {
+                this.truncated = true;
+                return;
+            }
+
+            page = await this.fetch(() => this.source.moreStatements(page.more));
+        }
+    }
+
+    isVoidedOrVoiding(statement) {
+        if (statement.verb && statement.verb.id === VOIDED_VERB) {
+            if (statement.object && statement.object.objectType === 'StatementRef') {
+                this.voidedIds.add(statement.object.id);
+            }
+            return true;
+        }
+        return this.voidedIds.has(statement.id);
+    }
+
+    async fetch(request) {
+        this.checkCancelled();
+        const page = await request();
+        this.pages += 1;
+        return page;
+    }
+
+    checkCancelled() {
+        if (this.cancelled || (this.signal && this.signal.aborted)) {
+            this.cancelled = true;
+            const error = new Error('Statement query was cancelled');
+            error.name = 'AbortError';
+            throw error;
+        }
+    }
+
+    /**
+     * Collect the remaining statements into an array (bounded by maxStatements)
+     */
+    async toArray() {
+        const statements = [];
+        for await (const statement of this) {
+            statements.push(statement);
+        }
+        return statements;
+    }
+}
+
+module.exports = StatementCursor;
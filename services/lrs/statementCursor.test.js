@@ -0,0 +1,84 @@
+const StatementCursor = require('./statementCursor');
+
+function statement(n, overrides = {}) {
+    return { id: `statement-${n}`, verb: { id: 'http://adlnet.gov/expapi/verbs/experienced' }, ...overrides };
+}
+
+/**
+ * A source that serves statements in pages of `pageSize` behind "more" links
+ */
+function pagedSource(statements, pageSize) {
+    const requests = [];
+    const page = offset => ({
+        statements: statements.slice(offset, offset + pageSize),
+        more: offset + pageSize < statements.length ? `/more/${offset + pageSize}` : ''
+    });
+    return {
+        requests,
+        queryStatements: async query => {
+            requests.push(query);
+            return page(0);
+        },
+        moreStatements: async more => {
+            requests.push(more);
+            return page(Number(more.split('/').pop()));
+        }
+    };
+}
+
+describe('StatementCursor', () => {
+    test('follows more links until the query is exhausted', async () => {
+        const source = pagedSource([1, 2, 3, 4, 5].map(n => statement(n)), 2);
+        const cursor = new StatementCursor(source, { verb: 'v' }, { pageSize: 2 });
+
+        const ids = (await cursor.toArray()).map(s => s.id);
+
+        expect(ids).toEqual(['statement-1', 'statement-2', 'statement-3', 'statement-4', 'statement-5']);
+        expect(source.requests).toEqual([{ verb: 'v', limit: 2 }, '/more/2', '/more/4']);
+        expect(cursor.pages).toBe(3);
+        expect(cursor.truncated).toBe(false);
+    });
+
+    test('stops at maxStatements and reports truncation', async () => {
+        const source = pagedSource([1, 2, 3, 4, 5].map(n => statement(n)), 2);
+        const cursor = new StatementCursor(source, {}, { pageSize: 2, maxStatements: 3 });
+
+        expect((await cursor.toArray()).length).toBe(3);
+        expect(cursor.truncated).toBe(true);
+        expect(source.requests.length).toBe(2);
+    });
+
+    test('skips voiding statements and the statements they void', async () => {
+        const source = pagedSource([
+            statement(1, { verb: { id: 'http://adlnet.gov/expapi/verbs/voided' }, object: { objectType: 'StatementRef', id: 'statement-2' } }),
+            statement(2),
+            statement(3)
+        ], 10);
+        const cursor = new StatementCursor(source, {}, { excludeVoided: true });
+
+        expect((await cursor.toArray()).map(s => s.id)).toEqual(['statement-3']);
+    });
+
+    test('stops when its signal is aborted', async () => {
+        const controller = new AbortController();
+        const source = pagedSource([1, 2, 3, 4].map(n => statement(n)), 2);
+        const cursor = new StatementCursor(source, {}, { pageSize: 2, signal: controller.signal });
+
+        const seen = [];
+        await expect((async () => {
+            for await (const s of cursor) {
+                seen.push(s.id);
+                controller.abort();
+            }
+        })()).rejects.toMatchObject({ name: 'AbortError' });
+        expect(seen).toEqual(['statement-1']);
+        expect(cursor.cancelled).toBe(true);
+    });
+
+    test('can only be iterated once', async () => {
+        const cursor = new StatementCursor(pagedSource([], 1));
+        await cursor.toArray();
+
+        await expect(cursor.toArray()).rejects.toThrow('only be iterated once');
+    });
+});
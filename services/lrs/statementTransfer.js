@@ -0,0 +1,265 @@
+/**
+ * JSON Lines statement export and import for Hu Lab Portal
+ * Moves statements between LRSs, or replays a fixture file into a test LRS. The export
+ * writes one statement per line. The import reads lines back in batches, skips
+ * statements the LRS (or the file) already had, looking them up once per batch, optionally shifts timestamps, and
+ * saves a checkpoint after every batch so an interrupted import resumes where it
+ * stopped when run again with the same file and checkpoint:
+ *   { line, imported, queued, duplicates, invalid, shiftMs, startedAt, updatedAt, completedAt }
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const readline = require('readline');
+const uuid = require('uuid');
+const { formatErrors } = require('./validator');
+
+// Namespace for ids given to statements that have none, so a re-import dedupes them
+const STATEMENT_ID_NAMESPACE = '5b2f7a64-3c1e-4b8e-9d0a-7f6c2e1b9a43';
+const MAX_REPORTED_ERRORS = 100;
+
+/**
+ * Write statements from an (async) iterable to a writable stream, one per line.
+ * Stops early if the stream is closed. Returns the number of statements written.
+ */
+async function exportStatements(statements, output) {
+    let count = 0;
+
+    for await (const statement of statements) {
+        if (output.destroyed || output.writableEnded) {
+            break;
+        }
+        if (!output.write(`${JSON.stringify(statement)}\n`)) {
+            await drained(output);
+        }
+        count++;
+    }
+
+    return count;
+}
+
+class StatementImporter {
+    constructor(options = {}) {
+        this.deliver = options.deliver;
+        this.validate = options.validate || (statement => statement);
+        // Ids of a batch the LRS already has, or null if it cannot tell and dedupes on delivery
+        this.existing = options.existing || (async () => null);
+        this.checkpoint = options.checkpoint || null;
+        this.batchSize = options.batchSize || 100;
+        this.rebaseTo = options.rebaseTo ? parseInstant(options.rebaseTo, 'rebaseTo') : null;
+        this.rebaseFrom = options.rebaseFrom ? parseInstant(options.rebaseFrom, 'rebaseFrom') : null;
+        this.onProgress = options.onProgress || (() => {});
+    }
+
+    /**
+     * Import every line of a readable stream. Returns the final progress with the
+     * line the run resumed after and the first errors found.
+     */
+    async run(input) {
+        const saved = this.checkpoint ? await this.checkpoint.load() : null;
+        const progress = saved || {
+            line: 0,
+            imported: 0,
+            queued: 0,
+            duplicates: 0,
+            invalid: 0,
+            shiftMs: null,
+            startedAt: new Date().toISOString(),
+            updatedAt: null
+        };
+        const resumedAfter = progress.line;
+        const errors = [];
+        const seen = new Set();
+        const addError = error => {
+            progress.invalid++;
+            if (errors.length < MAX_REPORTED_ERRORS) {
+                errors.push(error);
+            }
+        };
+
+        let batch = [];
+        let lineNumber = 0;
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+        for await (const text of lines) {
+            lineNumber++;
+            if (lineNumber <= resumedAfter || !text.trim()) {
+                continue;
+            }
+
+            let statement;
+            try {
+                statement = JSON.parse(text);
+            } catch (error) {
+                addError({ line: lineNumber, id: null, errors: [`Invalid JSON: ${error.message}`] });
+                continue;
+            }
+            if (!statement || typeof statement !== 'object' || Array.isArray(statement)) {
+                addError({ line: lineNumber, id: null, errors: ['statement: must be an object'] });
+                continue;
+            }
+
+            batch.push({ line: lineNumber, statement: this.prepare(statement, progress) });
+            if (batch.length >= this.batchSize) {
+                await this.flush(batch, lineNumber, progress, seen, addError);
+                batch = [];
+            }
+        }
+
+        await this.flush(batch, lineNumber, progress, seen, addError);
+        progress.completedAt = progress.updatedAt;
+        if (this.checkpoint) {
+            await this.checkpoint.save(progress);
+        }
+
+        return { ...progress, resumedAfter, errors };
+    }
+
+    /**
+     * Give the statement a stable id, drop what the LRS assigns and shift its timestamp
+     */
+    prepare(statement, progress) {
+        const prepared = { ...statement };
+        delete prepared.stored;
+
+        if (!prepared.id) {
+            prepared.id = uuid.v5(JSON.stringify(statement), STATEMENT_ID_NAMESPACE);
+        }
+
+        if (this.rebaseTo && prepared.timestamp) {
+            if (progress.shiftMs === null) {
+                const anchor = this.rebaseFrom || parseInstant(prepared.timestamp, 'timestamp');
+                progress.shiftMs = this.rebaseTo.getTime() - anchor.getTime();
+            }
+            const timestamp = Date.parse(prepared.timestamp);
+            if (!isNaN(timestamp)) {
+                prepared.timestamp = new Date(timestamp + progress.shiftMs).toISOString();
+            }
+        }
+
+        return prepared;
+    }
+
+    /**
+     * Store the new statements of a batch and record that every line up to lastLine is done.
+     * The LRS is asked once per batch which ids it already has.
+     */
+    async flush(batch, lastLine, progress, seen, addError) {
+        const fresh = [];
+        const known = batch.length > 0 ? await this.existing(batch.map(({ statement }) => statement.id)) : null;
+
+        for (const { line, statement } of batch) {
+            if (seen.has(statement.id) || (known && known.has(statement.id))) {
+                progress.duplicates++;
+                continue;
+            }
+            seen.add(statement.id);
+
+            try {
+                fresh.push(this.validate(statement));
+            } catch (error) {
+                if (error.status !== 400) {
+                    throw error;
+                }
+                addError({ line, id: statement.id, errors: error.errors ? formatErrors(error.errors) : [error.message] });
+            }
+        }
+
+        if (fresh.length > 0) {
+            try {
+                await this.store(fresh, progress);
+            } catch (error) {
+                error.message = `Lines ${batch[0].line}-${lastLine}: ${error.message}`;
+                throw error;
+            }
+        }
+
+        progress.line = lastLine;
+        progress.updatedAt = new Date().toISOString();
+        if (this.checkpoint) {
+            await this.checkpoint.save(progress);
+        }
+        this.onProgress(progress);
+    }
+
+    /**
+     * Deliver a batch. An LRS rejects the whole batch with 409 when one of its ids already
+     * holds different content; the statements are then sent one by one and the ones it
+     * still rejects count as duplicates. Identical re-sends are no-ops in the LRS.
+     */
+    async store(statements, progress) {
+        try {
+            const queued = await this.deliver(statements);
+            progress[queued ? 'queued' : 'imported'] += statements.length;
+            return;
+        } catch (error) {
+            if (error.status !== 409) {
+                throw error;
+            }
+            if (statements.length === 1) {
+                progress.duplicates++;
+                return;
+            }
+        }
+
+        for (const statement of statements) {
+            await this.store([statement], progress);
+        }
+    }
+}
+
+/**
+ * Checkpoint kept in a JSON file next to the import
+ */
+function fileCheckpoint(file) {
+    return {
+        async load() {
+            try {
+                return JSON.parse(await fs.readFile(file, 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return null;
+                }
+                throw error;
+            }
+        },
+        async save(progress) {
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            const temporary = `${file}.tmp`;
+            await fs.writeFile(temporary, JSON.stringify(progress, null, 2));
+            await fs.rename(temporary, file);
+        },
+        async clear() {
+            await fs.rm(file, { force: true });
+        }
+    };
+}
+
+function parseInstant(value, label) {
+    const date = value === 'now' ? new Date() : new Date(value);
+    if (isNaN(date.getTime())) {
+        const error = new Error(`${label} must be an ISO 8601 date or "now"`);
+        error.status = 400;
+        throw error;
+    }
+    return date;
+}
+
+function drained(output) {
+    return new Promise(resolve => {
+        const done = () => {
+            output.off('drain', done);
+            output.off('close', done);
+            resolve();
+        };
+        output.on('drain', done);
+        output.on('close', done);
+    });
+}
+
+module.exports = {
+    exportStatements,
+    StatementImporter,
+    fileCheckpoint,
+    drained
+};
@@ -0,0 +1,131 @@
+const { Readable } = require('stream');
+const { StatementImporter } = require('./statementTransfer');
+
+const actor = { objectType: 'Agent', mbox: 'mailto:learner@example.com' };
+
+function statement(id, overrides = {}) {
+    return {
+        id,
+        actor,
+        verb: { id: 'http://hulab.edu.hk/verbs/uploaded', display: { 'en-US': 'uploaded' } },
+        object: { id: `http://hulab.edu.hk/files/${id}`, objectType: 'Activity' },
+        timestamp: '2024-01-01T00:00:00.000Z',
+        ...overrides
+    };
+}
+
+function lines(...items) {
+    return Readable.from([items.map(item => typeof item === 'string' ? item : JSON.stringify(item)).join('\n')]);
+}
+
+function memoryCheckpoint() {
+    let saved = null;
+    return {
+        async load() { return saved && { ...saved }; },
+        async save(progress) { saved = { ...progress }; },
+        get saved() { return saved; }
+    };
+}
+
+describe('StatementImporter', () => {
+    test('skips ids repeated in the file or already in the LRS, looking them up once per batch', async () => {
+        const delivered = [];
+        const existing = jest.fn(async ids => new Set(ids.filter(id => id === 'b')));
+        const importer = new StatementImporter({
+            deliver: async statements => { delivered.push(...statements.map(s => s.id)); return false; },
+            existing,
+            batchSize: 2
+        });
+
+        const result = await importer.run(lines(statement('a'), statement('b'), statement('a'), statement('c')));
+
+        expect(delivered).toEqual(['a', 'c']);
+        expect(result).toMatchObject({ imported: 2, duplicates: 2, invalid: 0, line: 4 });
+        expect(existing).toHaveBeenCalledTimes(2);
+        expect(existing.mock.calls[0][0]).toEqual(['a', 'b']);
+    });
+
+    test('retries a rejected batch one statement at a time and counts conflicts as duplicates', async () => {
+        const deliver = jest.fn(async statements => {
+            if (statements.some(s => s.id === 'conflict')) {
+                const error = new Error('Conflict');
+                error.status = 409;
+                throw error;
+            }
+            return false;
+        });
+        const importer = new StatementImporter({ deliver });
+
+        const result = await importer.run(lines(statement('a'), statement('conflict'), statement('c')));
+
+        expect(result).toMatchObject({ imported: 2, duplicates: 1 });
+        expect(deliver).toHaveBeenCalledTimes(4);
+    });
+
+    test('rethrows other delivery errors with the line range', async () => {
+        const importer = new StatementImporter({
+            deliver: async () => { throw Object.assign(new Error('Bad statement'), { status: 400 }); }
+        });
+
+        await expect(importer.run(lines(statement('a')))).rejects.toThrow('Lines 1-1: Bad statement');
+    });
+
+    test('reports invalid lines and gives statements without an id a stable one', async () => {
+        const delivered = [];
+        const run = () => new StatementImporter({
+            deliver: async statements => { delivered.push(...statements.map(s => s.id)); return false; }
+        }).run(lines('not json', '[1]', { ...statement('x'), id: undefined }));
+
+        const result = await run();
+        await run();
+
+        expect(result.invalid).toBe(2);
+        expect(result.errors.map(error => error.line)).toEqual([1, 2]);
+        expect(delivered).toHaveLength(2);
+        expect(delivered[0]).toBe(delivered[1]);
+    });
+
+    test('resumes after the checkpointed line', async () => {
+        const checkpoint = memoryCheckpoint();
+        let calls = 0;
+        const failing = new StatementImporter({
+            checkpoint,
+            batchSize: 1,
+            deliver: async () => {
+                if (++calls === 2) throw new Error('LRS down');
+                return false;
+            }
+        });
+        const input = () => lines(statement('a'), statement('b'), statement('c'));
+
+        await expect(failing.run(input())).rejects.toThrow('LRS down');
+        expect(checkpoint.saved.line).toBe(1);
+
+        const delivered = [];
+        const result = await new StatementImporter({
+            checkpoint,
+            batchSize: 1,
+            deliver: async statements => { delivered.push(...statements.map(s => s.id)); return false; }
+        }).run(input());
+
+        expect(delivered).toEqual(['b', 'c']);
+        expect(result).toMatchObject({ resumedAfter: 1, imported: 3 });
+        expect(result.completedAt).toBeDefined();
+    });
+
+    test('shifts timestamps so the first statement lands on rebaseTo', async () => {
+        const delivered = [];
+        const importer = new StatementImporter({
+            rebaseTo: '2025-01-01T00:00:00.000Z',
+            deliver: async statements => { delivered.push(...statements); return false; }
+        });
+
+        await importer.run(lines(
+            statement('a'),
+            statement('b', { timestamp: '2024-01-02T00:00:00.000Z', stored: '2024-01-02T00:00:00.000Z' })
+        ));
+
+        expect(delivered.map(s => s.timestamp)).toEqual(['2025-01-01T00:00:00.000Z', '2025-01-02T00:00:00.000Z']);
+        expect(delivered[1].stored).toBeUndefined();
+    });
+});
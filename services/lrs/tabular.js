@@ -0,0 +1,175 @@
+/**
+ * Flat one-row-per-event export for Hu Lab Portal
+ * Turns statements into CSV rows with a fixed set of columns so partners can load
+ * portal activity straight into R or pandas. Columns are only ever added at the end;
+ * a value that a statement does not have is left empty.
+ */
+
+const { caliperMapping, agentIri } = require('./caliper');
+const { drained } = require('./statementTransfer');
+
+const HULAB = 'http://hulab.edu.hk';
+
+const COLUMNS = [
+    'event_id',
+    'timestamp',
+    'stored',
+    'actor_id',
+    'actor_name',
+    'verb_id',
+    'verb',
+    'object_id',
+    'object_type',
+    'object_name',
+    'caliper_type',
+    'caliper_action',
+    'project_id',
+    'registration',
+    'platform',
+    'language',
+    'result_success',
+    'result_completion',
+    'result_score_scaled',
+    'result_score_raw',
+    'result_duration_seconds',
+    'result_response',
+    'ai_tokens',
+    'file_size',
+    'collaboration_action',
+    'ride_i_phase',
+    'team_size',
+    'referrer'
+];
+
+/**
+ * Column values of one statement, keyed by column name
+ */
+function toRow(statement) {
+    const actor = statement.actor || {};
+    const object = statement.object || {};
+    const result = statement.result || {};
+    const context = statement.context || {};
+    const extensions = { ...(context.extensions || {}), ...(result.extensions || {}) };
+    const mapping = caliperMapping(statement);
+    const team = context.team;
+    const members = Array.isArray(team) ? team : team?.member;
+
+    return {
+        event_id: statement.id,
+        timestamp: statement.timestamp,
+        stored: statement.stored,
+        actor_id: agentIri(actor),
+        actor_name: actor.name,
+        verb_id: statement.verb?.id,
+        verb: languageValue(statement.verb?.display),
+        object_id: object.id,
+        object_type: object.definition?.type || object.objectType,
+        object_name: languageValue(object.definition?.name) || object.name,
+        caliper_type: mapping?.type,
+        caliper_action: mapping?.action,
+        project_id: projectId(statement),
+        registration: context.registration,
+        platform: context.platform,
+        language: context.language,
+        result_success: result.success,
+        result_completion: result.completion,
+        result_score_scaled: result.score?.scaled,
+        result_score_raw: result.score?.raw,
+        result_duration_seconds: durationSeconds(result.duration),
+        result_response: result.response,
+        ai_tokens: extensions[`${HULAB}/ai-tokens`],
+        file_size: extensions[`${HULAB}/file-size`],
+        collaboration_action: extensions[`${HULAB}/collaboration-action`],
+        ride_i_phase: extensions[`${HULAB}/ride-i-phase`],
+        team_size: members ? members.length : undefined,
+        referrer: extensions[`${HULAB}/referrer`]
+    };
+}
+
+/**
+ * Write statements from an (async) iterable as CSV with a header row.
+ * Stops early if the stream is closed. Returns the number of rows written.
+ */
+async function exportTable(statements, output) {
+    let count = 0;
+
+    await write(output, csvLine(COLUMNS));
+    for await (const statement of statements) {
+        if (output.destroyed || output.writableEnded) {
+            break;
+        }
+        const row = toRow(statement);
+        await write(output, csvLine(COLUMNS.map(column => row[column])));
+        count++;
+    }
+
+    return count;
+}
+
+function csvLine(values) {
+    return `${values.map(csvValue).join(',')}\r\n`;
+}
+
+/**
+ * RFC 4180 quoting; objects (e.g. a structured response) are written as JSON.
+ * Text a spreadsheet would run as a formula (=, +, -, @, tab, CR) gets a leading '.
+ */
+function csvValue(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Id of the research project the statement belongs to, from its parent context
+ * activity or from the object itself
+ */
+function projectId(statement) {
+    const ids = [
+        ...(statement.context?.contextActivities?.parent || []).map(parent => parent.id),
+        statement.object?.id
+    ];
+    for (const id of ids) {
+        const match = typeof id === 'string' && id.match(/\/project\/([^/?#]+)/);
+        if (match) {
+            return decodeURIComponent(match[1]);
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Seconds in an ISO 8601 duration such as PT1H2M3.5S (days count as 24 hours)
+ */
+function durationSeconds(duration) {
+    const match = typeof duration === 'string' && duration.match(/^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/);
+    if (!match) {
+        return undefined;
+    }
+    const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+    return Number(days) * 86400 + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+function languageValue(map) {
+    if (!map || typeof map !== 'object') {
+        return undefined;
+    }
+    return map['en-US'] || Object.values(map)[0];
+}
+
+async function write(output, chunk) {
+    if (!output.write(chunk)) {
+        await drained(output);
+    }
+}
+
+module.exports = {
+    COLUMNS,
+    toRow,
+    exportTable
+};
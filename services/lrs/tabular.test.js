@@ -0,0 +1,65 @@
+const { Writable } = require('stream');
+const { COLUMNS, toRow, exportTable } = require('./tabular');
+
+function statement(overrides = {}) {
+    return {
+        id: '6f1c2a8e-1d4b-4c55-9a3e-2f7b8c9d0e11',
+        timestamp: '2024-03-01T10:00:00.000Z',
+        actor: { mbox: 'mailto:learner@example.com', name: 'Learner' },
+        verb: { id: 'http://hulab.edu.hk/verbs/uploaded', display: { 'en-US': 'uploaded' } },
+        object: {
+            id: 'http://hulab.edu.hk/files/1',
+            definition: { type: 'http://adlnet.gov/expapi/activities/file', name: { 'en-US': 'notes.pdf' } }
+        },
+        context: { contextActivities: { parent: [{ id: 'http://hulab.edu.hk/project/p-1' }] } },
+        ...overrides
+    };
+}
+
+async function csv(statements) {
+    const chunks = [];
+    const output = new Writable({
+        write(chunk, encoding, callback) {
+            chunks.push(chunk);
+            callback();
+        }
+    });
+    const count = await exportTable(statements, output);
+    return { count, lines: Buffer.concat(chunks).toString().split('\r\n').slice(0, -1) };
+}
+
+describe('tabular export', () => {
+    test('maps a statement to the fixed columns', () => {
+        const row = toRow(statement());
+
+        expect(Object.keys(row)).toEqual(COLUMNS);
+        expect(row).toMatchObject({
+            event_id: '6f1c2a8e-1d4b-4c55-9a3e-2f7b8c9d0e11',
+            actor_id: 'mailto:learner@example.com',
+            verb: 'uploaded',
+            object_name: 'notes.pdf',
+            caliper_type: 'ResourceManagementEvent',
+            caliper_action: 'Uploaded',
+            project_id: 'p-1'
+        });
+    });
+
+    test('writes a header and quotes values with separators', async () => {
+        const { count, lines } = await csv([statement({ actor: { mbox: 'mailto:a@example.com', name: 'Doe, "Jo"' } })]);
+
+        expect(count).toBe(1);
+        expect(lines[0]).toBe(COLUMNS.join(','));
+        expect(lines[1]).toContain('"Doe, ""Jo"""');
+    });
+
+    test('neutralises text a spreadsheet would run as a formula', async () => {
+        const { lines } = await csv([
+            statement({ actor: { mbox: 'mailto:a@example.com', name: '=HYPERLINK("http://evil")' } }),
+            statement({ actor: { mbox: 'mailto:a@example.com', name: '@SUM(A1)' }, result: { score: { raw: -5 } } })
+        ]);
+
+        expect(lines[1]).toContain('"\'=HYPERLINK(""http://evil"")"');
+        expect(lines[2]).toContain('\'@SUM(A1)');
+        expect(lines[2]).toContain(',-5,');
+    });
+});
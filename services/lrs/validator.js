@@ -0,0 +1,658 @@
+/**
+ * xAPI 1.0.3 statement validator for Hu Lab Portal
+ * Checks statements against the xAPI 1.0.3 data model before they are sent to the LRS.
+ * Every problem is reported with the path of the offending property, e.g.
+ * "result.score.scaled" or "context.extensions[\"time-range\"]".
+ * With { repair: true } problems that have an unambiguous fix are corrected on a copy
+ * of the statement and reported with repaired: true.
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const IRI_PATTERN = /^[a-z][a-z0-9+.-]*:[^\s<>"{}|\\^`]*$/i;
+const LANGUAGE_TAG_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{1,8})*$|^und$/i;
+const DURATION_PATTERN = /^P(?!$)(\d+(\.\d+)?Y)?(\d+(\.\d+)?M)?(\d+(\.\d+)?W)?(\d+(\.\d+)?D)?(T(?=\d)(\d+(\.\d+)?H)?(\d+(\.\d+)?M)?(\d+(\.\d+)?S)?)?$/;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}(:?\d{2})?)?$/;
+const SHA1_PATTERN = /^[0-9a-f]{40}$/i;
+const VERSION_PATTERN = /^1\.0(\.\d+)?$/;
+
+const STATEMENT_PROPERTIES = ['id', 'actor', 'verb', 'object', 'result', 'context', 'timestamp', 'stored', 'authority', 'version', 'attachments'];
+const SUBSTATEMENT_PROPERTIES = ['objectType', 'actor', 'verb', 'object', 'result', 'context', 'timestamp', 'attachments'];
+const AGENT_PROPERTIES = ['objectType', 'name', 'mbox', 'mbox_sha1sum', 'openid', 'account', 'member'];
+const IFI_PROPERTIES = ['mbox', 'mbox_sha1sum', 'openid', 'account'];
+const CONTEXT_ACTIVITY_KEYS = ['parent', 'grouping', 'category', 'other'];
+const INTERACTION_TYPES = ['true-false', 'choice', 'fill-in', 'long-fill-in', 'matching', 'performance', 'sequencing', 'likert', 'numeric', 'other'];
+const INTERACTION_COMPONENTS = ['choices', 'scale', 'source', 'target', 'steps'];
+
+const DEFAULT_EXTENSION_BASE = 'http://hulab.edu.hk/extensions/';
+
+class StatementValidator {
+    constructor(options = {}) {
+        this.repair = !!options.repair;
+        this.extensionBase = options.extensionBase || DEFAULT_EXTENSION_BASE;
+        this.errors = [];
+    }
+
+    /**
+     * Record a problem. If a fix is given and repair is enabled it is applied.
+     */
+    report(path, message, fix = null) {
+        const repaired = this.repair && typeof fix === 'function';
+        if (repaired) {
+            fix();
+        }
+        this.errors.push({ path, message, repaired });
+    }
+
+    validate(statement) {
+        if (!isObject(statement)) {
+            this.report('statement', 'must be an object');
+            return statement;
+        }
+
+        this.checkProperties(statement, STATEMENT_PROPERTIES, '');
+
+        if (statement.id !== undefined && !isUUID(statement.id)) {
+            this.report('id', 'must be a UUID');
+        }
+
+        this.checkStatementCore(statement, '');
+
+        if (statement.stored !== undefined) {
+            this.checkTimestamp(statement, 'stored', 'stored');
+        }
+        if (statement.authority !== undefined) {
+            this.checkActor(statement.authority, 'authority');
+        }
+        if (statement.version !== undefined && !(typeof statement.version === 'string' && VERSION_PATTERN.test(statement.version))) {
+            this.report('version', 'must be a 1.0.x version string', () => { delete statement.version; });
+        }
+
+        return statement;
+    }
+
+    /**
+     * Properties shared by Statements and SubStatements
+     */
+    checkStatementCore(statement, prefix) {
+        if (statement.actor === undefined) {
+            this.report(`${prefix}actor`, 'is required');
+        } else {
+            this.checkActor(statement.actor, `${prefix}actor`);
+        }
+
+        this.checkVerb(statement.verb, `${prefix}verb`);
+
+        if (statement.object === undefined) {
+            this.report(`${prefix}object`, 'is required');
+        } else {
+            this.checkObject(statement.object, `${prefix}object`, prefix !== '');
+        }
+
+        if (statement.result !== undefined) {
+            this.checkResult(statement, `${prefix}result`);
+        }
+        if (statement.context !== undefined) {
+            this.checkContext(statement, `${prefix}context`);
+        }
+        if (statement.timestamp !== undefined) {
+            this.checkTimestamp(statement, 'timestamp', `${prefix}timestamp`);
+        }
+        if (statement.attachments !== undefined) {
+            this.checkAttachments(statement.attachments, `${prefix}attachments`);
+        }
+    }
+
+    /**
+     * Agents and Groups
+     */
+    checkActor(actor, path) {
+        if (!isObject(actor)) {
+            this.report(path, 'must be an Agent or Group object');
+            return;
+        }
+
+        this.checkProperties(actor, AGENT_PROPERTIES, path);
+
+        if (actor.objectType !== undefined && !['Agent', 'Group'].includes(actor.objectType)) {
+            this.report(`${path}.objectType`, 'must be "Agent" or "Group"');
+        }
+        if (actor.name !== undefined && typeof actor.name !== 'string') {
+            this.report(`${path}.name`, 'must be a string', () => { actor.name = String(actor.name); });
+        }
+
+        const ifis = IFI_PROPERTIES.filter(key => actor[key] !== undefined);
+        const isGroup = actor.objectType === 'Group';
+
+        if (isGroup) {
+            if (actor.member !== undefined) {
+                if (!Array.isArray(actor.member)) {
+                    this.report(`${path}.member`, 'must be an array of Agents');
+                } else {
+                    actor.member.forEach((member, index) => {
+                        const memberPath = `${path}.member[${index}]`;
+                        if (isObject(member) && member.objectType === 'Group') {
+                            this.report(`${memberPath}.objectType`, 'Group members must be Agents');
+                        }
+                        this.checkActor(member, memberPath);
+                    });
+                }
+            }
+            if (ifis.length === 0 && !(Array.isArray(actor.member) && actor.member.length > 0)) {
+                this.report(path, 'an anonymous Group must have at least one member');
+            }
+        } else {
+            if (actor.member !== undefined) {
+                this.report(`${path}.member`, 'is only allowed on Groups', () => { delete actor.member; });
+            }
+            if (ifis.length === 0) {
+                this.report(path, 'an Agent must have exactly one of mbox, mbox_sha1sum, openid or account');
+            }
+        }
+
+        if (ifis.length > 1) {
+            this.report(path, `must have exactly one inverse functional identifier, found ${ifis.join(', ')}`);
+        }
+
+        this.checkIdentifiers(actor, path);
+    }
+
+    checkIdentifiers(actor, path) {
+        if (actor.mbox !== undefined) {
+            if (typeof actor.mbox !== 'string' || !/^mailto:[^@\s]+@[^@\s]+$/i.test(actor.mbox)) {
+                const fixable = typeof actor.mbox === 'string' && /^[^@\s:]+@[^@\s]+$/.test(actor.mbox);
+                this.report(`${path}.mbox`, 'must be a mailto IRI', fixable ? () => { actor.mbox = `mailto:${actor.mbox}`; } : null);
+            }
+        }
+        if (actor.mbox_sha1sum !== undefined && !(typeof actor.mbox_sha1sum === 'string' && SHA1_PATTERN.test(actor.mbox_sha1sum))) {
+            this.report(`${path}.mbox_sha1sum`, 'must be a hex encoded SHA1 hash');
+        }
+        if (actor.openid !== undefined && !isIRI(actor.openid)) {
+            this.report(`${path}.openid`, 'must be an IRI');
+        }
+        if (actor.account !== undefined) {
+            if (!isObject(actor.account)) {
+                this.report(`${path}.account`, 'must be an object');
+                return;
+            }
+            this.checkProperties(actor.account, ['homePage', 'name'], `${path}.account`);
+            if (!isIRI(actor.account.homePage)) {
+                this.report(`${path}.account.homePage`, 'must be an IRL');
+            }
+            if (typeof actor.account.name !== 'string' || actor.account.name === '') {
+                const fixable = typeof actor.account.name === 'number';
+                this.report(`${path}.account.name`, 'must be a non-empty string', fixable ? () => { actor.account.name = String(actor.account.name); } : null);
+            }
+        }
+    }
+
+    /**
+     * Verbs
+     */
+    checkVerb(verb, path) {
+        if (!isObject(verb)) {
+            this.report(path, 'is required and must be an object');
+            return;
+        }
+
+        this.checkProperties(verb, ['id', 'display'], path);
+
+        if (!isIRI(verb.id)) {
+            this.report(`${path}.id`, 'must be an IRI');
+        }
+        if (verb.display !== undefined) {
+            this.checkLanguageMap(verb, 'display', `${path}.display`);
+        }
+    }
+
+    /**
+     * Statement objects: Activity, Agent, Group, StatementRef, SubStatement
+     */
+    checkObject(object, path, inSubStatement) {
+        if (!isObject(object)) {
+            this.report(path, 'must be an object');
+            return;
+        }
+
+        const objectType = object.objectType || 'Activity';
+
+        switch (objectType) {
+            case 'Activity':
+                this.checkActivity(object, path);
+                break;
+            case 'Agent':
+            case 'Group':
+                this.checkActor(object, path);
+                break;
+            case 'StatementRef':
+                this.checkProperties(object, ['objectType', 'id'], path);
+                if (!isUUID(object.id)) {
+                    this.report(`${path}.id`, 'must be a UUID');
+                }
+                break;
+            case 'SubStatement':
+                if (inSubStatement) {
+                    this.report(`${path}.objectType`, 'a SubStatement cannot contain another SubStatement');
+                    break;
+                }
+                this.checkProperties(object, SUBSTATEMENT_PROPERTIES, path);
+                this.checkStatementCore(object, `${path}.`);
+                break;
+            default:
+                this.report(`${path}.objectType`, 'must be Activity, Agent, Group, StatementRef or SubStatement');
+        }
+    }
+
+    checkActivity(activity, path) {
+        this.checkProperties(activity, ['objectType', 'id', 'definition'], path);
+
+        if (!isIRI(activity.id)) {
+            this.report(`${path}.id`, 'must be an IRI');
+        }
+        if (activity.definition === undefined) {
+            return;
+        }
+
+        const definition = activity.definition;
+        const definitionPath = `${path}.definition`;
+
+        if (!isObject(definition)) {
+            this.report(definitionPath, 'must be an object', () => { delete activity.definition; });
+            return;
+        }
+
+        this.checkProperties(definition, [
+            'name', 'description', 'type', 'moreInfo', 'extensions',
+            'interactionType', 'correctResponsesPattern', ...INTERACTION_COMPONENTS
+        ], definitionPath);
+
+        ['name', 'description'].forEach(key => {
+            if (definition[key] !== undefined) {
+                this.checkLanguageMap(definition, key, `${definitionPath}.${key}`);
+            }
+        });
+        if (definition.type !== undefined && !isIRI(definition.type)) {
+            this.report(`${definitionPath}.type`, 'must be an IRI');
+        }
+        if (definition.moreInfo !== undefined && !isIRI(definition.moreInfo)) {
+            this.report(`${definitionPath}.moreInfo`, 'must be an IRL', () => { delete definition.moreInfo; });
+        }
+        if (definition.extensions !== undefined) {
+            this.checkExtensions(definition, `${definitionPath}.extensions`);
+        }
+
+        this.checkInteraction(definition, definitionPath);
+    }
+
+    checkInteraction(definition, path) {
+        if (definition.interactionType === undefined) {
+            INTERACTION_COMPONENTS.concat('correctResponsesPattern').forEach(key => {
+                if (definition[key] !== undefined) {
+                    this.report(`${path}.${key}`, 'requires interactionType');
+                }
+            });
+            return;
+        }
+
+        if (!INTERACTION_TYPES.includes(definition.interactionType)) {
+            this.report(`${path}.interactionType`, `must be one of ${INTERACTION_TYPES.join(', ')}`);
+        }
+        if (definition.correctResponsesPattern !== undefined) {
+            const pattern = definition.correctResponsesPattern;
+            if (!Array.isArray(pattern) || pattern.some(item => typeof item !== 'string')) {
+                const fixable = typeof pattern === 'string';
+                this.report(`${path}.correctResponsesPattern`, 'must be an array of strings', fixable ? () => { definition.correctResponsesPattern = [pattern]; } : null);
+            }
+        }
+
+        INTERACTION_COMPONENTS.forEach(key => {
+            if (definition[key] === undefined) {
+                return;
+            }
+            if (!Array.isArray(definition[key])) {
+                this.report(`${path}.${key}`, 'must be an array of interaction components');
+                return;
+            }
+            const seen = new Set();
+            definition[key].forEach((component, index) => {
+                const componentPath = `${path}.${key}[${index}]`;
+                if (!isObject(component) || typeof component.id !== 'string' || component.id === '') {
+                    this.report(`${componentPath}.id`, 'must be a non-empty string');
+                    return;
+                }
+                if (seen.has(component.id)) {
+                    this.report(`${componentPath}.id`, `duplicates interaction component id "${component.id}"`);
+                }
+                seen.add(component.id);
+                if (component.description !== undefined) {
+                    this.checkLanguageMap(component, 'description', `${componentPath}.description`);
+                }
+            });
+        });
+    }
+
+    /**
+     * Results
+     */
+    checkResult(statement, path) {
+        const result = statement.result;
+
+        if (!isObject(result)) {
+            this.report(path, 'must be an object', result === null ? () => { delete statement.result; } : null);
+            return;
+        }
+
+        this.checkProperties(result, ['score', 'success', 'completion', 'response', 'duration', 'extensions'], path);
+
+        ['success', 'completion'].forEach(key => {
+            if (result[key] !== undefined && typeof result[key] !== 'boolean') {
+                const value = result[key];
+                const fixable = value === 'true' || value === 'false';
+                this.report(`${path}.${key}`, 'must be a boolean', fixable ? () => { result[key] = value === 'true'; } : null);
+            }
+        });
+
+        if (result.response !== undefined && typeof result.response !== 'string') {
+            this.report(`${path}.response`, 'must be a string', () => { result.response = String(result.response); });
+        }
+
+        if (result.duration !== undefined && !(typeof result.duration === 'string' && DURATION_PATTERN.test(result.duration))) {
+            const seconds = Number(result.duration);
+            const fixable = result.duration !== null && result.duration !== '' && Number.isFinite(seconds) && seconds >= 0;
+            this.report(`${path}.duration`, 'must be an ISO 8601 duration', fixable
+                ? () => { result.duration = `PT${Math.round(seconds * 100) / 100}S`; }
+                : () => { delete result.duration; });
+        }
+
+        if (result.score !== undefined) {
+            this.checkScore(result, `${path}.score`);
+        }
+        if (result.extensions !== undefined) {
+            this.checkExtensions(result, `${path}.extensions`);
+        }
+    }
+
+    checkScore(result, path) {
+        const score = result.score;
+
+        if (!isObject(score)) {
+            this.report(path, 'must be an object', () => { delete result.score; });
+            return;
+        }
+
+        this.checkProperties(score, ['scaled', 'raw', 'min', 'max'], path);
+
+        ['scaled', 'raw', 'min', 'max'].forEach(key => {
+            if (score[key] !== undefined && typeof score[key] !== 'number') {
+                const number = Number(score[key]);
+                this.report(`${path}.${key}`, 'must be a number', Number.isFinite(number) && score[key] !== ''
+                    ? () => { score[key] = number; }
+                    : () => { delete score[key]; });
+            }
+        });
+
+        if (typeof score.scaled === 'number' && (score.scaled < -1 || score.scaled > 1)) {
+            this.report(`${path}.scaled`, 'must be between -1 and 1', () => { score.scaled = Math.min(1, Math.max(-1, score.scaled)); });
+        }
+        if (typeof score.min === 'number' && typeof score.max === 'number' && score.min >= score.max) {
+            this.report(`${path}.min`, 'must be less than max');
+        }
+        if (typeof score.raw === 'number') {
+            if (typeof score.min === 'number' && score.raw < score.min) {
+                this.report(`${path}.raw`, 'must not be less than min', () => { score.raw = score.min; });
+            }
+            if (typeof score.max === 'number' && score.raw > score.max) {
+                this.report(`${path}.raw`, 'must not be greater than max', () => { score.raw = score.max; });
+            }
+        }
+    }
+
+    /**
+     * Context
+     */
+    checkContext(statement, path) {
+        const context = statement.context;
+
+        if (!isObject(context)) {
+            this.report(path, 'must be an object', context === null ? () => { delete statement.context; } : null);
+            return;
+        }
+
+        this.checkProperties(context, [
+            'registration', 'instructor', 'team', 'contextActivities', 'revision',
+            'platform', 'language', 'statement', 'extensions'
+        ], path);
+
+        if (context.registration !== undefined && !isUUID(context.registration)) {
+            this.report(`${path}.registration`, 'must be a UUID');
+        }
+        if (context.instructor !== undefined) {
+            this.checkActor(context.instructor, `${path}.instructor`);
+        }
+        if (context.team !== undefined) {
+            if (isObject(context.team) && context.team.objectType !== 'Group') {
+                this.report(`${path}.team.objectType`, 'must be "Group"');
+            }
+            this.checkActor(context.team, `${path}.team`);
+        }
+
+        // revision and platform only make sense when the object is an Activity
+        const objectIsActivity = isObject(statement.object) && (!statement.object.objectType || statement.object.objectType === 'Activity');
+        ['revision', 'platform'].forEach(key => {
+            if (context[key] === undefined) {
+                return;
+            }
+            if (!objectIsActivity) {
+                this.report(`${path}.${key}`, 'is only allowed when the object is an Activity', () => { delete context[key]; });
+            } else if (typeof context[key] !== 'string') {
+                this.report(`${path}.${key}`, 'must be a string', () => { context[key] = String(context[key]); });
+            }
+        });
+
+        if (context.language !== undefined && !(typeof context.language === 'string' && LANGUAGE_TAG_PATTERN.test(context.language))) {
+            this.report(`${path}.language`, 'must be an RFC 5646 language tag', () => { delete context.language; });
+        }
+        if (context.statement !== undefined) {
+            const ref = context.statement;
+            if (!isObject(ref) || ref.objectType !== 'StatementRef' || !isUUID(ref.id)) {
+                this.report(`${path}.statement`, 'must be a StatementRef with a UUID id');
+            }
+        }
+        if (context.contextActivities !== undefined) {
+            this.checkContextActivities(context, `${path}.contextActivities`);
+        }
+        if (context.extensions !== undefined) {
+            this.checkExtensions(context, `${path}.extensions`);
+        }
+    }
+
+    checkContextActivities(context, path) {
+        const contextActivities = context.contextActivities;
+
+        if (!isObject(contextActivities)) {
+            this.report(path, 'must be an object');
+            return;
+        }
+
+        this.checkProperties(contextActivities, CONTEXT_ACTIVITY_KEYS, path);
+
+        CONTEXT_ACTIVITY_KEYS.forEach(key => {
+            let activities = contextActivities[key];
+            if (activities === undefined) {
+                return;
+            }
+            if (isObject(activities)) {
+                this.report(`${path}.${key}`, 'must be an array of Activities', () => { contextActivities[key] = [activities]; });
+                activities = this.repair ? contextActivities[key] : [activities];
+            }
+            if (!Array.isArray(activities)) {
+                this.report(`${path}.${key}`, 'must be an array of Activities');
+                return;
+            }
+            activities.forEach((activity, index) => {
+                const activityPath = `${path}.${key}[${index}]`;
+                if (isObject(activity) && activity.objectType !== undefined && activity.objectType !== 'Activity') {
+                    this.report(`${activityPath}.objectType`, 'must be "Activity"');
+                    return;
+                }
+                this.checkObject(activity, activityPath, false);
+            });
+        });
+    }
+
+    /**
+     * Attachments
+     */
+    checkAttachments(attachments, path) {
+        if (!Array.isArray(attachments)) {
+            this.report(path, 'must be an array');
+            return;
+        }
+
+        attachments.forEach((attachment, index) => {
+            const attachmentPath = `${path}[${index}]`;
+            if (!isObject(attachment)) {
+                this.report(attachmentPath, 'must be an object');
+                return;
+            }
+            this.checkProperties(attachment, ['usageType', 'display', 'description', 'contentType', 'length', 'sha2', 'fileUrl'], attachmentPath);
+            if (!isIRI(attachment.usageType)) {
+                this.report(`${attachmentPath}.usageType`, 'must be an IRI');
+            }
+            if (attachment.display === undefined) {
+                this.report(`${attachmentPath}.display`, 'is required');
+            } else {
+                this.checkLanguageMap(attachment, 'display', `${attachmentPath}.display`);
+            }
+            if (attachment.description !== undefined) {
+                this.checkLanguageMap(attachment, 'description', `${attachmentPath}.description`);
+            }
+            if (typeof attachment.contentType !== 'string' || !attachment.contentType.includes('/')) {
+                this.report(`${attachmentPath}.contentType`, 'must be an Internet Media Type');
+            }
+            if (!Number.isInteger(attachment.length) || attachment.length < 0) {
+                this.report(`${attachmentPath}.length`, 'must be a non-negative integer');
+            }
+            if (typeof attachment.sha2 !== 'string' || !/^[0-9a-f]{56,128}$/i.test(attachment.sha2)) {
+                this.report(`${attachmentPath}.sha2`, 'must be a hex encoded SHA-2 hash');
+            }
+            if (attachment.fileUrl !== undefined && !isIRI(attachment.fileUrl)) {
+                this.report(`${attachmentPath}.fileUrl`, 'must be an IRL');
+            }
+        });
+    }
+
+    /**
+     * Shared value checks
+     */
+    checkLanguageMap(owner, key, path) {
+        const map = owner[key];
+
+        if (typeof map === 'string') {
+            this.report(path, 'must be a language map', () => { owner[key] = { 'en-US': map }; });
+            return;
+        }
+        if (!isObject(map)) {
+            this.report(path, 'must be a language map', () => { delete owner[key]; });
+            return;
+        }
+
+        Object.keys(map).forEach(tag => {
+            if (!LANGUAGE_TAG_PATTERN.test(tag)) {
+                this.report(`${path}["${tag}"]`, 'key must be an RFC 5646 language tag', () => {
+                    if (map.und === undefined) {
+                        map.und = map[tag];
+                    }
+                    delete map[tag];
+                });
+                return;
+            }
+            if (typeof map[tag] !== 'string') {
+                this.report(`${path}["${tag}"]`, 'must be a string', () => { map[tag] = String(map[tag]); });
+            }
+        });
+    }
+
+    checkExtensions(owner, path) {
+        const extensions = owner.extensions;
+
+        if (!isObject(extensions)) {
+            this.report(path, 'must be an object keyed by IRIs', () => { delete owner.extensions; });
+            return;
+        }
+
+        Object.keys(extensions).forEach(key => {
+            if (!isIRI(key)) {
+                const iri = this.extensionBase + encodeURIComponent(key);
+                this.report(`${path}["${key}"]`, 'key must be an IRI', () => {
+                    if (extensions[iri] === undefined) {
+                        extensions[iri] = extensions[key];
+                    }
+                    delete extensions[key];
+                });
+            } else if (extensions[key] === undefined) {
+                // undefined values cannot be serialized and are dropped silently by JSON
+                delete extensions[key];
+            }
+        });
+    }
+
+    checkTimestamp(owner, key, path) {
+        const value = owner[key];
+        if (typeof value !== 'string' || !TIMESTAMP_PATTERN.test(value) || isNaN(Date.parse(value))) {
+            const date = value instanceof Date || typeof value === 'number' ? new Date(value) : null;
+            const fixable = date && !isNaN(date.getTime());
+            this.report(path, 'must be an ISO 8601 timestamp', fixable ? () => { owner[key] = date.toISOString(); } : null);
+        }
+    }
+
+    checkProperties(object, allowed, path) {
+        Object.keys(object).forEach(key => {
+            if (!allowed.includes(key)) {
+                const propertyPath = path ? `${path}.${key}` : key;
+                this.report(propertyPath, 'is not a valid property here', () => { delete object[key]; });
+            }
+        });
+    }
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isUUID(value) {
+    return typeof value === 'string' && UUID_PATTERN.test(value);
+}
+
+function isIRI(value) {
+    return typeof value === 'string' && IRI_PATTERN.test(value);
+}
+
+/**
+ * Validate a statement. The input is never modified; when repairing, the
+ * corrected copy is returned as `statement`.
+ * Returns { valid, errors: [{ path, message, repaired }], statement }
+ */
+function validateStatement(statement, options = {}) {
+    const validator = new StatementValidator(options);
+    const copy = isObject(statement) ? JSON.parse(JSON.stringify(statement)) : statement;
+    const checked = validator.validate(copy);
+
+    return {
+        valid: validator.errors.every(error => error.repaired),
+        errors: validator.errors,
+        statement: checked
+    };
+}
+
+/**
+ * Format errors as "path: message" strings
+ */
+function formatErrors(errors) {
+    return errors.map(error => `${error.path}: ${error.message}`);
+}
+
+module.exports = {
+    validateStatement,
+    formatErrors,
+    StatementValidator
+};
@@ -0,0 +1,100 @@
+const { validateStatement, formatErrors } = require('./validator');
+
+function statement(overrides = {}) {
+    return {
+        id: '00000000-0000-4000-8000-000000000001',
+        actor: { mbox: 'mailto:student@hulab.edu.hk' },
+        verb: { id: 'http://adlnet.gov/expapi/verbs/completed' },
+        object: { id: 'http://hulab.edu.hk/activities/lesson/1' },
+        timestamp: '2025-01-01T00:00:00.000Z',
+        ...overrides
+    };
+}
+
+describe('validateStatement', () => {
+    test('accepts a conformant statement', () => {
+        const result = validateStatement(statement());
+
+        expect(result.valid).toBe(true);
+        expect(result.errors).toEqual([]);
+    });
+
+    test('reports every problem with its path and leaves the input untouched', () => {
+        const input = statement({ timestamp: 1735689600000, bogus: 1 });
+        const result = validateStatement(input);
+
+        expect(result.valid).toBe(false);
+        expect(formatErrors(result.errors)).toEqual([
+            'bogus: is not a valid property here',
+            'timestamp: must be an ISO 8601 timestamp'
+        ]);
+        expect(result.errors.every(error => !error.repaired)).toBe(true);
+        expect(input.bogus).toBe(1);
+    });
+
+    test('repairs unambiguous problems on a copy', () => {
+        const input = statement({ timestamp: 1735689600000, bogus: 1 });
+        const result = validateStatement(input, { repair: true });
+
+        expect(result.valid).toBe(true);
+        expect(result.errors.map(error => error.repaired)).toEqual([true, true]);
+        expect(result.statement.timestamp).toBe('2025-01-01T00:00:00.000Z');
+        expect(result.statement).not.toHaveProperty('bogus');
+        expect(input.timestamp).toBe(1735689600000);
+    });
+
+    test('stays invalid when a problem cannot be repaired', () => {
+        const result = validateStatement(statement({ verb: { id: 'completed' }, result: { score: { scaled: 2 } } }), { repair: true });
+
+        expect(result.valid).toBe(false);
+        const unrepaired = result.errors.filter(error => !error.repaired);
+        expect(unrepaired.map(error => error.path)).toEqual(['verb.id']);
+        expect(result.errors.find(error => error.path === 'result.score.scaled').repaired).toBe(true);
+    });
+});
+
+describe('xapiService validation modes', () => {
+    const xapiService = require('../xapiService');
+    const originalMode = xapiService.validationMode;
+
+    afterEach(() => {
+        xapiService.validationMode = originalMode;
+        jest.restoreAllMocks();
+    });
+
+    test('strict mode rejects with a 400 listing each path', () => {
+        xapiService.validationMode = 'strict';
+
+        expect.assertions(3);
+        try {
+            xapiService.validate(statement({ timestamp: 'yesterday' }));
+        } catch (error) {
+            expect(error.status).toBe(400);
+            expect(error.errors.map(e => e.path)).toEqual(['timestamp']);
+            expect(error.message).toContain('timestamp: must be an ISO 8601 timestamp');
+        }
+    });
+
+    test('lenient mode sends the repaired statement', () => {
+        xapiService.validationMode = 'lenient';
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const checked = xapiService.validate(statement({ timestamp: 1735689600000, bogus: 1 }));
+
+        expect(checked.timestamp).toBe('2025-01-01T00:00:00.000Z');
+        expect(checked).not.toHaveProperty('bogus');
+    });
+
+    test('lenient mode still rejects problems it cannot repair', () => {
+        xapiService.validationMode = 'lenient';
+
+        expect(() => xapiService.validate(statement({ verb: { id: 'completed' } }))).toThrow(/verb\.id: must be an IRI/);
+    });
+
+    test('off mode passes statements through', () => {
+        xapiService.validationMode = 'off';
+        const input = statement({ bogus: 1 });
+
+        expect(xapiService.validate(input)).toBe(input);
+    });
+});
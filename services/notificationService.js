@@ -0,0 +1,138 @@
+/**
+ * Notification Service for Hu Lab Portal
+ * In-app notifications such as storage quota warnings. Each user's notifications are
+ * one xAPI agent profile document (newest first, capped), updated with ETag
+ * preconditions, and are pushed to the user's socket room when they are connected.
+ */
+
+const uuid = require('uuid');
+const xapiService = require('./xapiService');
+
+const NOTIFICATIONS_PROFILE_ID = 'notifications';
+const MAX_NOTIFICATIONS = 100;
+const MAX_WRITE_ATTEMPTS = 5;
+
+class NotificationService {
+    constructor() {
+        this.io = null;
+    }
+
+    /**
+     * Socket room a user's sockets join to receive notifications as they happen
+     */
+    room(email) {
+        return `notifications:${email}`;
+    }
+
+    /**
+     * Push notifications to connected users through the socket.io server
+     */
+    attach(io) {
+        this.io = io;
+    }
+
+    /**
+     * Notify a user. notification: { type, title, message, data }
+     */
+    async notify(email, notification) {
+        const entry = {
+            id: uuid.v4(),
+            type: notification.type,
+            title: notification.title,
+            message: notification.message,
+            data: notification.data || {},
+            createdAt: new Date().toISOString(),
+            readAt: null
+        };
+
+        await this.mutate(email, document => {
+            document.notifications = [entry, ...document.notifications].slice(0, MAX_NOTIFICATIONS);
+        });
+
+        if (this.io) {
+            this.io.to(this.room(email)).emit('notification', entry);
+        }
+        return entry;
+    }
+
+    /**
+     * A user's notifications, newest first
+     */
+    async list(email, options = {}) {
+        const { unreadOnly = false, limit = 50 } = options;
+        const { document } = await this.load(email);
+        const notifications = unreadOnly
+            ? document.notifications.filter(entry => !entry.readAt)
+            : document.notifications;
+
+        return {
+            notifications: notifications.slice(0, limit),
+            unreadCount: document.notifications.filter(entry => !entry.readAt).length
+        };
+    }
+
+    /**
+     * Mark one notification (or, without an id, all of them) as read
+     */
+    async markRead(email, notificationId = null) {
+        let found = notificationId === null;
+        const readAt = new Date().toISOString();
+
+        await this.mutate(email, document => {
+            document.notifications.forEach(entry => {
+                if (!entry.readAt && (notificationId === null || entry.id === notificationId)) {
+                    entry.readAt = readAt;
+                }
+                if (entry.id === notificationId) {
+                    found = true;
+                }
+            });
+        });
+
+        if (!found) {
+            throw httpError(`Notification ${notificationId} not found`, 404);
+        }
+        return this.list(email);
+    }
+
+    /**
+     * Read-modify-write a user's notifications, retrying when another writer got there first
+     */
+    async mutate(email, change) {
+        for (let attempt = 1; ; attempt++) {
+            const { document, etag } = await this.load(email);
+            change(document);
+            document.updatedAt = new Date().toISOString();
+
+            try {
+                await xapiService.saveAgentProfileDocument(
+                    email,
+                    NOTIFICATIONS_PROFILE_ID,
+                    document,
+                    etag ? { etag } : { ifNoneMatch: true }
+                );
+                return document;
+            } catch (error) {
+                // Agent profile writes report a failed precondition as 412
+                if (![409, 412].includes(error.status) || attempt >= MAX_WRITE_ATTEMPTS) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    async load(email) {
+        const stored = await xapiService.getAgentProfileDocument(email, NOTIFICATIONS_PROFILE_ID);
+        return stored
+            ? { document: stored.data, etag: stored.etag }
+            : { document: { notifications: [] }, etag: null };
+    }
+}
+
+function httpError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,183 @@
+/**
+ * Streaming tar.gz writer for Hu Lab Portal data exports
+ * Writes POSIX ustar entries through gzip to any writable stream (an HTTP response
+ * or a file), waiting for the stream to drain so large exports are not buffered:
+ *   const archive = new TarArchive(res);
+ *   await archive.add('manifest.json', JSON.stringify(manifest));
+ *   await archive.addStream('files/report.pdf', stream, size);
+ *   await archive.finish();
+ * Only regular files are written; directories are implied by the entry names.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const zlib = require('zlib');
+const { once } = require('events');
+
+const BLOCK_SIZE = 512;
+const NAME_LENGTH = 100;
+const PREFIX_LENGTH = 155;
+
+class TarArchive {
+    constructor(output, options = {}) {
+        this.gzip = zlib.createGzip({ level: options.level !== undefined ? options.level : 6 });
+        this.gzip.pipe(output);
+        this.output = output;
+        this.entries = 0;
+        this.bytes = 0;
+        // Set when an entry broke off part-way; nothing more can be added after it
+        this.failed = false;
+    }
+
+    /**
+     * Add a file. contents is a Buffer or string; options.mtime is a Date or ISO string.
+     * Returns the entry name used, which is shortened when it does not fit ustar.
+     */
+    async add(name, contents, options = {}) {
+        const data = Buffer.isBuffer(contents) ? contents : Buffer.from(String(contents), 'utf8');
+        const entryName = fitName(name);
+        const mtime = options.mtime ? new Date(options.mtime) : new Date();
+
+        await this.write(header(entryName, data.length, isNaN(mtime) ? new Date() : mtime));
+        await this.write(data);
+        await this.endEntry(data.length);
+        return entryName;
+    }
+
+    /**
+     * Add a file from a readable stream without holding it in memory. The header needs
+     * the size up front, so a stream that fails or turns out longer or shorter than
+     * size throws and marks the archive failed.
+     */
+    async addStream(name, stream, size, options = {}) {
+        const entryName = fitName(name);
+        const mtime = options.mtime ? new Date(options.mtime) : new Date();
+
+        await this.write(header(entryName, size, isNaN(mtime) ? new Date() : mtime));
+        try {
+            let written = 0;
+            for await (const chunk of stream) {
+                written += chunk.length;
+                if (written > size) {
+                    throw new Error(`${name} is larger than its ${size} bytes`);
+                }
+                await this.write(chunk);
+            }
+            if (written !== size) {
+                throw new Error(`${name} ended after ${written} of its ${size} bytes`);
+            }
+        } catch (error) {
+            this.failed = true;
+            throw error;
+        }
+        await this.endEntry(size);
+        return entryName;
+    }
+
+    async endEntry(size) {
+        const padding = (BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE;
+        if (padding > 0) {
+            await this.write(Buffer.alloc(padding));
+        }
+
+        this.entries++;
+        this.bytes += size;
+    }
+
+    /**
+     * Write the end-of-archive blocks and wait until the output has everything
+     */
+    async finish() {
+        await this.write(Buffer.alloc(BLOCK_SIZE * 2));
+        this.gzip.end();
+        await once(this.output, 'finish');
+        return { entries: this.entries, bytes: this.bytes };
+    }
+
+    /**
+     * Stop writing after a failure; the output is left incomplete
+     */
+    abort(error) {
+        this.gzip.unpipe(this.output);
+        this.gzip.destroy();
+        if (typeof this.output.destroy === 'function') {
+            this.output.destroy(error);
+        }
+    }
+
+    async write(chunk) {
+        if (!this.gzip.write(chunk)) {
+            await once(this.gzip, 'drain');
+        }
+    }
+}
+
+function header(name, size, mtime) {
+    const block = Buffer.alloc(BLOCK_SIZE);
+    const { prefix, base } = splitName(name);
+
+    block.write(base, 0, NAME_LENGTH, 'utf8');
+    writeOctal(block, 0o644, 100, 8);
+    writeOctal(block, 0, 108, 8);
+    writeOctal(block, 0, 116, 8);
+    writeOctal(block, size, 124, 12);
+    writeOctal(block, Math.floor(mtime.getTime() / 1000), 136, 12);
+    block.fill(' ', 148, 156);
+    block.write('0', 156, 1, 'ascii');
+    block.write('ustar\0', 257, 6, 'ascii');
+    block.write('00', 263, 2, 'ascii');
+    block.write(prefix, 345, PREFIX_LENGTH, 'utf8');
+
+    let checksum = 0;
+    for (let i = 0; i < BLOCK_SIZE; i++) {
+        checksum += block[i];
+    }
+    block.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+
+    return block;
+}
+
+function writeOctal(block, value, offset, length) {
+    block.write(`${value.toString(8).padStart(length - 1, '0')}\0`, offset, length, 'ascii');
+}
+
+/**
+ * ustar keeps names up to 100 bytes plus a 155 byte directory prefix
+ */
+function splitName(name) {
+    if (Buffer.byteLength(name) <= NAME_LENGTH) {
+        return { prefix: '', base: name };
+    }
+    const parts = name.split('/');
+    for (let i = 1; i < parts.length; i++) {
+        const prefix = parts.slice(0, i).join('/');
+        const base = parts.slice(i).join('/');
+        if (Buffer.byteLength(prefix) <= PREFIX_LENGTH && Buffer.byteLength(base) <= NAME_LENGTH) {
+            return { prefix, base };
+        }
+    }
+    return null;
+}
+
+/**
+ * Names that cannot be split are replaced by a hash-prefixed version of their last
+ * part in the same directory (or at the top level when the directory is too long)
+ */
+function fitName(name) {
+    const clean = String(name).replace(/\\/g, '/').replace(/^\/+/, '').replace(/(^|\/)\.\.(?=\/|$)/g, '$1_');
+    if (splitName(clean)) {
+        return clean;
+    }
+
+    const hash = crypto.createHash('sha1').update(clean).digest('hex').slice(0, 12);
+    const extension = path.posix.extname(clean).slice(0, 16);
+    const stem = path.posix.basename(clean, extension).slice(0, 40);
+    const shortened = `${hash}-${stem}${extension}`;
+    const directory = path.posix.dirname(clean);
+
+    return directory !== '.' && splitName(`${directory}/${shortened}`)
+        ? `${directory}/${shortened}`
+        : shortened;
+}
+
+module.exports = TarArchive;
@@ -0,0 +1,56 @@
+const zlib = require('zlib');
+const { Readable, Writable } = require('stream');
+const TarArchive = require('./tarArchive');
+
+function collector() {
+    const chunks = [];
+    const output = new Writable({
+        write(chunk, encoding, callback) {
+            chunks.push(chunk);
+            callback();
+        }
+    });
+    output.tar = () => zlib.gunzipSync(Buffer.concat(chunks));
+    return output;
+}
+
+/**
+ * Names and contents of the entries of an uncompressed tar
+ */
+function entries(tar) {
+    const found = [];
+    for (let offset = 0; offset + 512 <= tar.length && tar[offset] !== 0; ) {
+        const name = tar.subarray(offset, offset + 100).toString('utf8').replace(/\0.*$/s, '');
+        const size = parseInt(tar.subarray(offset + 124, offset + 136).toString('ascii'), 8);
+        found.push({ name, contents: tar.subarray(offset + 512, offset + 512 + size).toString('utf8') });
+        offset += 512 + Math.ceil(size / 512) * 512;
+    }
+    return found;
+}
+
+describe('TarArchive', () => {
+    test('writes buffered and streamed entries', async () => {
+        const output = collector();
+        const archive = new TarArchive(output);
+
+        await archive.add('manifest.json', '{}');
+        await archive.addStream('files/notes.txt', Readable.from([Buffer.from('first '), Buffer.from('second')]), 12);
+        expect(await archive.finish()).toEqual({ entries: 2, bytes: 14 });
+
+        expect(entries(output.tar())).toEqual([
+            { name: 'manifest.json', contents: '{}' },
+            { name: 'files/notes.txt', contents: 'first second' }
+        ]);
+    });
+
+    test('fails a streamed entry that does not match its size', async () => {
+        const output = collector();
+        output.on('error', () => {});
+        const archive = new TarArchive(output);
+
+        await expect(archive.addStream('files/short.txt', Readable.from([Buffer.from('abc')]), 10))
+            .rejects.toThrow('ended after 3 of its 10 bytes');
+        expect(archive.failed).toBe(true);
+        archive.abort(new Error('stopped'));
+    });
+});
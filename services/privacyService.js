@@ -0,0 +1,865 @@
+/**
+ * Privacy Service for Hu Lab Portal
+ * Subject access and erasure for one portal user, across every email address linked
+ * to them. An export collects their statements, agent profiles, activity state, files,
+ * comments, shares and invitations into a tar.gz archive. An erasure job replaces
+ * their statements with pseudonymised copies, empties their trash, deletes or hands
+ * over their documents, projects and files, takes them out of the version history of
+ * other users' files and ends with an HMAC-signed completion report.
+ * Statements that only mention the user (invitations, shares, comment mentions) are
+ * found by scanning those verbs, since the LRS cannot query extension values.
+ */
+
+const crypto = require('crypto');
+const uuid = require('uuid');
+const xapiService = require('./xapiService');
+const gcsService = require('./gcsService');
+const identityService = require('./identityService');
+const projectIndexService = require('./projectIndexService');
+const fileVersionService = require('./fileVersionService');
+const folderService = require('./folderService');
+const trashService = require('./trashService');
+const xapiProfile = require('../config/xapiProfile');
+const { stripPersonalData, pseudonym } = require('./lrs');
+const TarArchive = require('./privacy/tarArchive');
+
+const USER_PROFILE_ID = 'user-profile';
+const PROJECT_STATE_ID = 'project-data';
+const JOB_PROFILE_PREFIX = 'erasure-';
+const STATEMENTS_PER_FILE = 5000;
+const FILE_PAGE_SIZE = 1000;
+const ERASED = '[erased]';
+
+// Verbs whose statements name other users in extensions rather than as agents
+const REFERENCE_VERBS = ['invited', 'shared', 'commented'];
+
+// Documents that statements point to through context activities, and whose agent holds them
+const REFERENCED_DOCUMENTS = [
+    { kind: 'invitation', stateId: 'invitation-data', holder: statement => statement.context?.extensions?.[xapiProfile.extensions.invitee.id] },
+    { kind: 'share', stateId: 'share-data', holder: statement => mboxEmail(statement.actor) },
+    { kind: 'comment', stateId: 'comment-data', holder: statement => mboxEmail(statement.actor) }
+];
+
+// Profile fields that are credentials rather than personal data, left out of exports
+const SECRET_PROFILE_FIELDS = ['accessToken', 'refreshToken'];
+
+// Free text the user wrote or that identifies their device, blanked in pseudonymised copies
+const FREE_TEXT_EXTENSIONS = [
+    xapiProfile.extensions.prompt.id,
+    xapiProfile.extensions.ipAddress.id,
+    xapiProfile.extensions.userAgent.id,
+    xapiProfile.extensions.queryParams.id,
+    `${xapiService.baseActivityId}/extensions/request-body`
+];
+
+class PrivacyService {
+    constructor() {
+        // Dedicated keys: rotating the session secret must not change pseudonyms or void report signatures
+        this.pseudonymSecret = process.env.PRIVACY_PSEUDONYM_SECRET || null;
+        this.reportSecret = process.env.PRIVACY_REPORT_SECRET || null;
+        this.jobs = new Map();
+    }
+
+    get activityId() {
+        return `${xapiService.baseActivityId}/privacy`;
+    }
+
+    /**
+     * The user an email address belongs to: all linked addresses, primary first.
+     * Erasures add the pseudonym they are erased under.
+     */
+    async resolveSubject(email) {
+        if (!email || typeof email !== 'string' || !email.includes('@')) {
+            const error = new Error('A valid email address is required');
+            error.status = 400;
+            throw error;
+        }
+
+        const identity = await identityService.resolve('email', email);
+        const emails = identity
+            ? await identityService.getLinkedEmails(email)
+            : [email.trim().toLowerCase()];
+
+        return {
+            email: emails[0],
+            emails: emails.map(address => address.toLowerCase()),
+            identity
+        };
+    }
+
+    /**
+     * Same value stripPersonalData gives the account name of mailto:email
+     */
+    pseudonymOf(email) {
+        this.requireSecret('pseudonymSecret', 'PRIVACY_PSEUDONYM_SECRET');
+        return pseudonym(`mailto:${email.toLowerCase()}`, this.pseudonymSecret);
+    }
+
+    /**
+     * Write a tar.gz archive of everything held about the user to `output`.
+     * The manifest is the last entry, once the counts are known, and is also returned.
+     */
+    async writeExport(email, output, options = {}) {
+        const subject = await this.resolveSubject(email);
+        const archive = new TarArchive(output);
+        const manifest = {
+            subject: { email: subject.email, emails: subject.emails, userId: subject.identity ? subject.identity.id : null },
+            exportedAt: new Date().toISOString(),
+            exportedBy: options.exportedBy || null,
+            statements: { count: 0, files: [], truncated: false },
+            profiles: [],
+            states: [],
+            files: { count: 0, bytes: 0, prefixes: [], errors: [] },
+            notes: [
+                `Credentials (${SECRET_PROFILE_FIELDS.join(', ')}) are left out of agent profiles.`,
+                'comments.json, shares.json and invitations.json repeat the matching entries of states/ and add documents other users hold about this user.'
+            ]
+        };
+
+        try {
+            let batch = [];
+            const flush = async () => {
+                const name = `statements/part-${String(manifest.statements.files.length + 1).padStart(4, '0')}.jsonl`;
+                await archive.add(name, batch.map(statement => JSON.stringify(statement)).join('\n') + '\n');
+                manifest.statements.files.push(name);
+                batch = [];
+            };
+
+            const scan = await this.scan(subject, async statement => {
+                batch.push(statement);
+                manifest.statements.count++;
+                if (batch.length >= STATEMENTS_PER_FILE) {
+                    await flush();
+                }
+            });
+            if (batch.length > 0) {
+                await flush();
+            }
+            manifest.statements.truncated = scan.truncated;
+
+            for (const profile of await this.collectProfiles(subject)) {
+                const name = `profiles/${safeName(profile.email)}/${safeName(profile.profileId)}.json`;
+                await archive.add(name, JSON.stringify(profile, null, 2));
+                manifest.profiles.push(name);
+            }
+
+            const states = await this.collectStates(subject, scan);
+            for (let i = 0; i < states.length; i++) {
+                const name = `states/${String(i + 1).padStart(5, '0')}-${safeName(states[i].stateId)}.json`;
+                await archive.add(name, JSON.stringify(states[i], null, 2));
+                manifest.states.push(name);
+            }
+
+            const referenced = await this.collectReferencedDocuments(subject, scan);
+            const ofKind = (documents, kind) => documents.filter(document => document.kind === kind).map(document => document.data);
+            await archive.add('comments.json', JSON.stringify({
+                written: ofKind(states, 'comment'),
+                mentioning: ofKind(referenced, 'comment')
+            }, null, 2));
+            await archive.add('shares.json', JSON.stringify({
+                sent: ofKind(states, 'share'),
+                received: ofKind(referenced, 'share')
+            }, null, 2));
+            await archive.add('invitations.json', JSON.stringify({
+                received: ofKind(states, 'invitation'),
+                sent: ofKind(referenced, 'invitation')
+            }, null, 2));
+
+            const files = [];
+            for (const prefix of await this.storagePrefixes(subject)) {
+                manifest.files.prefixes.push(prefix);
+                try {
+                    for await (const file of this.listAllFiles(prefix)) {
+                        const { stream, size } = await gcsService.getFileStream(file.name);
+                        const entry = await archive.addStream(`files/${file.name}`, stream, size, { mtime: file.updated });
+                        files.push({ ...file, archivePath: entry });
+                        manifest.files.count++;
+                        manifest.files.bytes += size;
+                    }
+                } catch (error) {
+                    // A file that broke off mid-entry leaves no way to go on
+                    if (archive.failed) {
+                        throw error;
+                    }
+                    manifest.files.errors.push({ prefix, error: error.message });
+                }
+            }
+            await archive.add('files.json', JSON.stringify(files, null, 2));
+
+            await archive.add('manifest.json', JSON.stringify(manifest, null, 2));
+            await archive.finish();
+        } catch (error) {
+            archive.abort(error);
+            throw error;
+        }
+
+        return manifest;
+    }
+
+    /**
+     * Start erasing a user. Runs in the background; poll getErasureJob(jobId).
+     * options: { files: 'delete' | 'transfer', projects: 'delete' | 'transfer',
+     *            transferTo, reason, requestedBy }
+     */
+    async startErasure(email, options = {}) {
+        this.requireSecret('pseudonymSecret', 'PRIVACY_PSEUDONYM_SECRET');
+        this.requireSecret('reportSecret', 'PRIVACY_REPORT_SECRET');
+
+        const settings = {
+            files: options.files || 'delete',
+            projects: options.projects || 'delete',
+            transferTo: options.transferTo ? String(options.transferTo).trim().toLowerCase() : null,
+            reason: options.reason || 'Personal data erasure request'
+        };
+        ['files', 'projects'].forEach(key => {
+            if (!['delete', 'transfer'].includes(settings[key])) {
+                throw badRequest(`${key} must be "delete" or "transfer"`);
+            }
+        });
+
+        if (!options.requestedBy) {
+            throw badRequest('requestedBy is required');
+        }
+
+        const subject = await this.resolveSubject(email);
+        subject.pseudonym = this.pseudonymOf(subject.email);
+        if ([...this.jobs.values()].some(job => job.subject === subject.pseudonym)) {
+            const error = new Error('An erasure is already running for this user');
+            error.status = 409;
+            throw error;
+        }
+
+        const transferring = settings.files === 'transfer' || settings.projects === 'transfer';
+
+        if (transferring && !settings.transferTo) {
+            throw badRequest('transferTo is required to transfer files or projects');
+        }
+        if (settings.transferTo && subject.emails.includes(settings.transferTo)) {
+            throw badRequest('transferTo must be a different user');
+        }
+
+        let transferPrefix = null;
+        if (settings.files === 'transfer') {
+            const recipient = await xapiService.getUserProfile(settings.transferTo);
+            if (!recipient || !recipient.id) {
+                throw badRequest(`${settings.transferTo} has no portal profile to receive files`);
+            }
+            transferPrefix = recipient.id;
+        }
+
+        const job = {
+            id: uuid.v4(),
+            status: 'running',
+            subject: subject.pseudonym,
+            requestedBy: options.requestedBy,
+            requestedAt: new Date().toISOString(),
+            options: settings,
+            progress: { step: 'queued' },
+            report: null,
+            error: null
+        };
+        this.jobs.set(job.id, job);
+        await this.saveJob(job);
+
+        this.runErasure(job, subject, { ...settings, transferPrefix })
+            .catch(error => {
+                job.status = 'failed';
+                job.error = error.message;
+                console.error(`Privacy erasure ${job.id} failed:`, error.message);
+            })
+            .then(() => this.saveJob(job))
+            .catch(error => console.error(`Unable to save privacy erasure ${job.id}:`, error.message))
+            .finally(() => this.jobs.delete(job.id));
+
+        return job;
+    }
+
+    async getErasureJob(jobId) {
+        if (this.jobs.has(jobId)) {
+            return this.jobs.get(jobId);
+        }
+        const document = await xapiService.getActivityProfileDocument(this.activityId, `${JOB_PROFILE_PREFIX}${jobId}`);
+        return document ? document.data : null;
+    }
+
+    async runErasure(job, subject, settings) {
+        const report = {
+            jobId: job.id,
+            subject: subject.pseudonym,
+            userId: subject.identity ? subject.identity.id : null,
+            addresses: subject.emails.length,
+            requestedBy: job.requestedBy,
+            requestedAt: job.requestedAt,
+            reason: settings.reason,
+            options: { files: settings.files, projects: settings.projects, transferTo: settings.transferTo },
+            statements: { pseudonymised: 0, purged: 0, unpurged: [], alreadyVoided: 0, retained: [], failed: [], truncated: false },
+            projects: { transferred: [], deleted: [], left: [] },
+            documents: { states: 0, profiles: 0, scrubbed: 0 },
+            trash: { purged: 0, failed: 0, scrubbed: 0 },
+            files: { deleted: 0, transferred: 0, reassigned: 0, failed: [] },
+            identity: { erased: false },
+            notes: []
+        };
+        const step = name => { job.progress = { step: name, updatedAt: new Date().toISOString() }; };
+
+        step('scanning statements');
+        const statementIds = [];
+        const scan = await this.scan(subject, statement => { statementIds.push(statement.id); });
+        report.statements.truncated = scan.truncated;
+        const states = await this.collectStates(subject, scan, { withData: false });
+        const referenced = await this.collectReferencedDocuments(subject, scan);
+
+        // Trashed files and projects are purged whatever happens to the rest
+        step('trash');
+        const prefixes = await this.storagePrefixes(subject);
+        report.trash = await trashService.erase({ ids: prefixes, emails: subject.emails }, subject.pseudonym);
+
+        step('projects');
+        await this.eraseProjects(subject, settings, report);
+
+        step('files');
+        await this.eraseFiles(subject, settings, report, scan);
+
+        step('documents');
+        for (const document of referenced) {
+            await this.scrubDocument(document, subject);
+            report.documents.scrubbed++;
+        }
+        for (const state of states) {
+            if (await xapiService.getActivityState(state.email, state.activityId, state.stateId)) {
+                await xapiService.dropActivityState(state.email, state.activityId, state.stateId);
+                report.documents.states++;
+            }
+        }
+        for (const email of subject.emails) {
+            for (const profileId of await xapiService.getAgentProfileIds(email)) {
+                await xapiService.dropAgentProfile(email, profileId);
+                report.documents.profiles++;
+            }
+        }
+
+        step('statements');
+        const voidedIds = [];
+        for (const statementId of statementIds) {
+            if (await this.pseudonymiseStatement(statementId, subject, job, report)) {
+                voidedIds.push(statementId);
+            }
+            job.progress.statements = report.statements.pseudonymised;
+        }
+
+        step('purging statements');
+        const purged = voidedIds.length > 0 ? await xapiService.purgeStatements(voidedIds) : [];
+        if (purged) {
+            report.statements.purged = purged.length;
+        } else {
+            report.statements.unpurged = voidedIds;
+        }
+
+        step('identity');
+        report.identity.erased = !!(await identityService.erase(subject.email, { pseudonym: subject.pseudonym, jobId: job.id }));
+
+        if (report.statements.unpurged.length > 0) {
+            report.notes.push('The remote LRS cannot delete statements through xAPI. The voided originals listed in statements.unpurged stay retrievable by id until its operator purges them.');
+        }
+        if (report.statements.truncated) {
+            report.notes.push('The statement scan stopped at XAPI_QUERY_MAX_STATEMENTS; run the erasure again to continue.');
+        }
+        if (report.statements.retained.length > 0) {
+            report.notes.push('Voiding statements issued by the user cannot be voided and were retained.');
+        }
+
+        report.completedAt = new Date().toISOString();
+        job.report = this.signReport(report);
+        job.status = report.statements.failed.length + report.files.failed.length + report.trash.failed > 0 ? 'completed_with_errors' : 'completed';
+        job.progress = { step: 'done', updatedAt: report.completedAt };
+    }
+
+    /**
+     * Replace one statement with a copy in which the user is a pseudonymous account
+     * and their free text is blanked, then void the original. The copy does not point
+     * back at the original, which would tie the pseudonym to the voided statement.
+     * Returns true when the original was voided.
+     */
+    async pseudonymiseStatement(statementId, subject, job, report) {
+        let original;
+        try {
+            original = await xapiService.retrieveVoidableStatement(statementId);
+        } catch (error) {
+            if (error.status === 409 || error.status === 404) {
+                report.statements.alreadyVoided++;
+            } else if (error.status === 400) {
+                report.statements.retained.push(statementId);
+            } else {
+                report.statements.failed.push({ id: statementId, error: error.message });
+            }
+            return;
+        }
+
+        try {
+            const copy = this.pseudonymousCopy(original, subject);
+            await xapiService.deliver([copy]);
+            await xapiService.voidStatement(statementId, {
+                reason: `Personal data erasure ${job.id}`,
+                voidedBy: { email: job.requestedBy }
+            });
+            report.statements.pseudonymised++;
+            return true;
+        } catch (error) {
+            report.statements.failed.push({ id: statementId, error: error.message });
+            return false;
+        }
+    }
+
+    pseudonymousCopy(statement, subject) {
+        const authored = subject.emails.includes(mboxEmail(statement.actor));
+        // Every linked address becomes the primary one first, so the user is one account
+        const stripped = stripPersonalData(this.replaceAddresses(statement, subject, subject.email), {
+            pseudonymise: true,
+            secret: this.pseudonymSecret,
+            agents: [`mailto:${subject.email}`]
+        });
+        const copy = this.replaceAddresses(stripped, subject, subject.pseudonym);
+
+        if (authored) {
+            if (copy.result && copy.result.response !== undefined) {
+                copy.result.response = ERASED;
+            }
+            [copy.result, copy.context].forEach(part => {
+                if (part && part.extensions) {
+                    FREE_TEXT_EXTENSIONS
+                        .filter(key => part.extensions[key] !== undefined)
+                        .forEach(key => { part.extensions[key] = ERASED; });
+                }
+            });
+        }
+
+        delete copy.stored;
+        delete copy.authority;
+        delete copy.version;
+        return { ...copy, id: uuid.v4() };
+    }
+
+    /**
+     * Deep copy with every linked address replaced by `replacement`
+     */
+    replaceAddresses(value, subject, replacement) {
+        const pattern = new RegExp(subject.emails.map(escapeRegExp).join('|'), 'gi');
+        const replace = item => {
+            if (typeof item === 'string') {
+                return item.replace(pattern, () => replacement);
+            }
+            if (Array.isArray(item)) {
+                return item.map(replace);
+            }
+            if (item && typeof item === 'object') {
+                return Object.fromEntries(Object.entries(item).map(([key, entry]) => [key, replace(entry)]));
+            }
+            return item;
+        };
+        return replace(value);
+    }
+
+    /**
+     * Owned projects go to transferTo or are deleted; the user leaves the others
+     */
+    async eraseProjects(subject, settings, report) {
+        for (const email of subject.emails) {
+            const owned = await projectIndexService.list(email, { role: 'owner', status: null, limit: Infinity });
+            const deleted = await projectIndexService.list(email, { role: 'owner', status: 'deleted', limit: Infinity });
+            const collaborating = await projectIndexService.list(email, { role: 'collaborator', limit: Infinity });
+
+            for (const entry of [...owned.projects, ...deleted.projects]) {
+                const activityId = `${xapiService.baseActivityId}/project/${entry.id}`;
+                const document = await xapiService.getActivityStateDocument(email, activityId, PROJECT_STATE_ID);
+
+                if (document && settings.projects === 'transfer') {
+                    await xapiService.saveActivityState(settings.transferTo, activityId, PROJECT_STATE_ID, document.data, { ifNoneMatch: true });
+                    await xapiService.dropActivityState(email, activityId, PROJECT_STATE_ID);
+                    await identityService.reassignProject(entry.id, settings.transferTo, email, settings.transferTo);
+                    report.projects.transferred.push(entry.id);
+                } else {
+                    if (document) {
+                        await xapiService.dropActivityState(email, activityId, PROJECT_STATE_ID);
+                    }
+                    await projectIndexService.remove(entry.id);
+                    report.projects.deleted.push(entry.id);
+                }
+            }
+
+            for (const entry of collaborating.projects) {
+                if (await identityService.reassignProject(entry.id, entry.createdBy, email, null)) {
+                    report.projects.left.push(entry.id);
+                }
+            }
+        }
+    }
+
+    /**
+     * Versioned files the user owns are purged, or handed over with their history;
+     * their versions of other users' files move under those owners, and their
+     * addresses leave the histories. Other stored objects are deleted or copied over.
+     */
+    async eraseFiles(subject, settings, report, scan) {
+        const prefixes = await this.storagePrefixes(subject);
+        // Files the user acted on, such as versions they restored, from the statement scan
+        const versioned = new Set(scan.activityIds
+            .filter(id => id.startsWith(fileVersionService.activityId('')))
+            .map(id => id.slice(fileVersionService.activityId('').length)));
+        const objects = new Map();
+        for (const prefix of prefixes) {
+            try {
+                const files = [];
+                for await (const file of this.listAllFiles(prefix)) {
+                    files.push(file);
+                    if (file.metadata && file.metadata.versionOf) {
+                        versioned.add(file.metadata.versionOf);
+                    }
+                }
+                objects.set(prefix, files);
+            } catch (error) {
+                report.files.failed.push({ prefix, error: error.message });
+            }
+        }
+
+        const handled = new Set();
+        for (const fileId of versioned) {
+            try {
+                const file = await fileVersionService.get(fileId, { includeTrashed: true });
+                if (!file) {
+                    continue;
+                }
+                file.versions.forEach(entry => handled.add(entry.objectPath));
+                await this.eraseVersionedFile(file, subject, prefixes, settings, report);
+            } catch (error) {
+                report.files.failed.push({ fileId, error: error.message });
+            }
+        }
+
+        for (const [prefix, files] of objects) {
+            for (const file of files.filter(entry => !handled.has(entry.name))) {
+                try {
+                    if (settings.files === 'transfer') {
+                        const relative = file.name.slice(prefix.length + 1);
+                        await gcsService.copyFile(file.name, `${settings.transferPrefix}/transferred/${subject.pseudonym.slice(0, 16)}/${relative}`, {
+                            updateMetadata: { uploadedBy: settings.transferPrefix, transferredAt: new Date().toISOString() },
+                            recordSource: false
+                        });
+                    }
+                    // Thumbnails sit under the same prefix and are listed themselves
+                    await gcsService.deleteFile(file.name, { deleteThumbnail: false });
+                    report.files[settings.files === 'transfer' ? 'transferred' : 'deleted']++;
+                } catch (error) {
+                    report.files.failed.push({ name: file.name, error: error.message });
+                }
+            }
+        }
+    }
+
+    /**
+     * A versioned file the user owns goes with its whole history, which also takes it
+     * out of the search index; another user's file keeps the user's versions under
+     * its owner, with the user's addresses pseudonymised
+     */
+    async eraseVersionedFile(file, subject, prefixes, settings, report) {
+        const erasure = { prefixes, emails: subject.emails, replacement: subject.pseudonym };
+
+        if (!prefixes.includes(file.owner)) {
+            const { copied } = await fileVersionService.reassign(file.fileId, erasure);
+            report.files.reassigned += copied;
+        } else if (settings.files === 'transfer' && !file.trashedAt) {
+            const { copied } = await fileVersionService.reassign(file.fileId, {
+                ...erasure,
+                owner: settings.transferPrefix,
+                ownerEmail: settings.transferTo,
+                folder: file.projectId ? file.folder : `transferred/${subject.pseudonym.slice(0, 16)}/${file.folder}`
+            });
+            report.files.transferred += copied;
+        } else {
+            const { versions } = await fileVersionService.purge(file.fileId);
+            if (!file.trashedAt) {
+                await folderService.removeFile(folderService.scopeOf({ userId: file.owner, projectId: file.projectId }), file.fileId);
+            }
+            report.files.deleted += versions;
+        }
+    }
+
+    /**
+     * Another user's document about this user: addresses become pseudonyms and the
+     * inviter's display name is dropped
+     */
+    async scrubDocument(document, subject) {
+        const current = await xapiService.getActivityStateDocument(document.holder, document.activityId, document.stateId);
+        if (!current) {
+            return;
+        }
+        const data = this.replaceAddresses(current.data, subject, subject.pseudonym);
+        if (document.kind === 'invitation' && 'inviterName' in data) {
+            data.inviterName = null;
+        }
+        await xapiService.saveActivityState(document.holder, document.activityId, document.stateId, data, { etag: current.etag });
+    }
+
+    /**
+     * Run through every statement about the user once: statements where they are an
+     * agent, and invitations, shares and comments that name them. Returns the
+     * activities involved and whether a query hit its statement cap.
+     */
+    async scan(subject, onStatement) {
+        const seen = new Set();
+        const activityIds = new Set();
+        const references = [];
+        let truncated = false;
+
+        const addresses = subject.emails;
+        const concerns = statement => {
+            const text = JSON.stringify(statement).toLowerCase();
+            return addresses.some(email => text.includes(email));
+        };
+
+        const cursors = [
+            ...addresses.map(email => xapiService.iterateStatements({
+                agent: xapiService.createActor({ email }),
+                related_agents: true
+            })),
+            ...REFERENCE_VERBS.map(verb => xapiService.iterateStatements({ verb: xapiService.customVerbs[verb] }))
+        ];
+
+        for (const cursor of cursors) {
+            for await (const statement of cursor) {
+                if (seen.has(statement.id) || !concerns(statement)) {
+                    continue;
+                }
+                seen.add(statement.id);
+                activityIdsOf(statement).forEach(id => activityIds.add(id));
+                references.push(...documentReferences(statement));
+                await onStatement(statement);
+            }
+            truncated = truncated || cursor.truncated;
+        }
+
+        return { activityIds: [...activityIds], references, truncated };
+    }
+
+    /**
+     * Agent profiles under every linked address, without stored credentials
+     */
+    async collectProfiles(subject) {
+        const profiles = [];
+        for (const email of subject.emails) {
+            for (const profileId of await xapiService.getAgentProfileIds(email)) {
+                const document = await xapiService.getAgentProfileDocument(email, profileId);
+                if (!document) {
+                    continue;
+                }
+                const data = profileId === USER_PROFILE_ID && document.data && typeof document.data === 'object'
+                    ? omit(document.data, SECRET_PROFILE_FIELDS)
+                    : document.data;
+                profiles.push({ email, profileId, data });
+            }
+        }
+        return profiles;
+    }
+
+    /**
+     * Activity state held under the user's addresses, for the activities found by the
+     * scan and the projects they own
+     */
+    async collectStates(subject, scan, options = {}) {
+        const withData = options.withData !== false;
+        const states = [];
+
+        for (const email of subject.emails) {
+            const activityIds = new Set(scan.activityIds);
+            for (const status of [null, 'deleted']) {
+                const { projects } = await projectIndexService.list(email, { role: 'owner', status, limit: Infinity });
+                projects.forEach(project => activityIds.add(`${xapiService.baseActivityId}/project/${project.id}`));
+            }
+
+            for (const activityId of activityIds) {
+                for (const stateId of await xapiService.getActivityStateIds(email, activityId)) {
+                    const state = { email, activityId, stateId, kind: documentKind(stateId) };
+                    if (withData) {
+                        state.data = await xapiService.getActivityState(email, activityId, stateId);
+                    }
+                    states.push(state);
+                }
+            }
+        }
+
+        return states;
+    }
+
+    /**
+     * Invitations the user sent, shares they received and comments that mention them,
+     * which other users hold
+     */
+    async collectReferencedDocuments(subject, scan) {
+        const documents = [];
+        const seen = new Set();
+
+        for (const reference of scan.references) {
+            const key = `${reference.holder}|${reference.activityId}|${reference.stateId}`;
+            if (!reference.holder || subject.emails.includes(reference.holder) || seen.has(key)) {
+                continue;
+            }
+            seen.add(key);
+
+            const data = await xapiService.getActivityState(reference.holder, reference.activityId, reference.stateId);
+            const text = data ? JSON.stringify(data).toLowerCase() : '';
+            if (subject.emails.some(email => text.includes(email))) {
+                documents.push({ ...reference, data });
+            }
+        }
+
+        return documents;
+    }
+
+    /**
+     * Storage prefixes of the user's files: the portal user ids on their profiles and
+     * their linked Google accounts
+     */
+    async storagePrefixes(subject) {
+        const prefixes = new Set();
+
+        for (const email of subject.emails) {
+            const profile = await xapiService.getUserProfile(email);
+            if (profile && profile.id) {
+                prefixes.add(String(profile.id));
+            }
+        }
+        if (subject.identity) {
+            subject.identity.identifiers
+                .filter(identifier => identifier.type === 'google')
+                .forEach(identifier => prefixes.add(identifier.value));
+        }
+
+        return [...prefixes].filter(prefix => prefix && !prefix.includes('/'));
+    }
+
+    async *listAllFiles(prefix) {
+        let pageToken = null;
+        do {
+            const page = await gcsService.listFiles(prefix, { limit: FILE_PAGE_SIZE, pageToken, includeMetadata: true });
+            yield* page.files;
+            pageToken = page.nextPageToken;
+        } while (pageToken);
+    }
+
+    /**
+     * Attach an HMAC-SHA256 signature over the canonical JSON of the report
+     */
+    signReport(report) {
+        this.requireSecret('reportSecret', 'PRIVACY_REPORT_SECRET');
+        return {
+            ...report,
+            signature: {
+                algorithm: 'HMAC-SHA256',
+                value: crypto.createHmac('sha256', this.reportSecret).update(canonicalJson(report)).digest('hex')
+            }
+        };
+    }
+
+    verifyReport(report) {
+        if (!report || !report.signature || typeof report.signature.value !== 'string') {
+            return false;
+        }
+        const { signature, ...body } = report;
+        const expected = this.signReport(body).signature.value;
+        return signature.value.length === expected.length &&
+            crypto.timingSafeEqual(Buffer.from(signature.value), Buffer.from(expected));
+    }
+
+    async saveJob(job) {
+        await xapiService.saveActivityProfileDocument(this.activityId, `${JOB_PROFILE_PREFIX}${job.id}`, job);
+    }
+
+    requireSecret(property, variable) {
+        if (!this[property]) {
+            const error = new Error(`${variable} must be set`);
+            error.status = 503;
+            throw error;
+        }
+    }
+}
+
+function badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+function mboxEmail(agent) {
+    return agent && agent.mbox ? agent.mbox.replace(/^mailto:/i, '').toLowerCase() : null;
+}
+
+function activityIdsOf(statement) {
+    const ids = [];
+    if (statement.object && (!statement.object.objectType || statement.object.objectType === 'Activity')) {
+        ids.push(statement.object.id);
+    }
+    const contextActivities = (statement.context && statement.context.contextActivities) || {};
+    Object.values(contextActivities).forEach(activities => {
+        (Array.isArray(activities) ? activities : [activities]).forEach(activity => ids.push(activity && activity.id));
+    });
+    return ids.filter(Boolean);
+}
+
+/**
+ * Invitation, share and comment documents a statement points to, with their holder
+ */
+function documentReferences(statement) {
+    const other = statement.context?.contextActivities?.other || [];
+    const references = [];
+
+    (Array.isArray(other) ? other : [other]).forEach(activity => {
+        const id = activity && activity.id;
+        const match = REFERENCED_DOCUMENTS.find(document => id && id.startsWith(`${xapiService.baseActivityId}/${document.kind}/`));
+        if (match) {
+            const holder = match.holder(statement);
+            references.push({
+                kind: match.kind,
+                holder: holder ? String(holder).toLowerCase() : null,
+                activityId: id,
+                stateId: match.stateId
+            });
+        }
+    });
+
+    return references;
+}
+
+function documentKind(stateId) {
+    const match = REFERENCED_DOCUMENTS.find(document => document.stateId === stateId);
+    return match ? match.kind : null;
+}
+
+function omit(object, keys) {
+    const result = { ...object };
+    keys.forEach(key => delete result[key]);
+    return result;
+}
+
+function safeName(value) {
+    return String(value).replace(/[^A-Za-z0-9@._-]+/g, '_').slice(0, 80);
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * JSON with object keys sorted at every level, so signatures do not depend on key order
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+module.exports = new PrivacyService();
@@ -0,0 +1,165 @@
+process.env.PRIVACY_PSEUDONYM_SECRET = 'pseudonym-test-secret';
+process.env.PRIVACY_REPORT_SECRET = 'report-test-secret';
+
+const { PassThrough } = require('stream');
+const uuid = require('uuid');
+const xapiConfig = require('../config/xapi');
+const xapiService = require('./xapiService');
+const quotaService = require('./quotaService');
+const searchService = require('./searchService');
+const fileVersionService = require('./fileVersionService');
+const trashService = require('./trashService');
+const privacyService = require('./privacyService');
+
+beforeAll(async () => {
+    await xapiConfig.initialize();
+    await xapiService.initialize();
+});
+
+afterAll(async () => {
+    await searchService.idle();
+    await searchService.extractor.close();
+    quotaService.stop();
+    xapiService.outbox.close();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+async function trackActivity(email) {
+    const { id } = await xapiService.sendStatement({
+        actor: { email },
+        verb: xapiService.customVerbs.uploaded,
+        object: { id: `${xapiService.baseActivityId}/file/${uuid.v4()}`, definition: { name: { 'en-US': 'thesis.pdf' } } },
+        result: { response: 'my private notes' }
+    });
+    return id;
+}
+
+async function finished(job) {
+    for (let i = 0; i < 100; i++) {
+        const current = await privacyService.getErasureJob(job.id);
+        if (current && current.status !== 'running') {
+            return current;
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`Erasure ${job.id} did not finish`);
+}
+
+async function createUser(name) {
+    const user = { id: `${name}-${uuid.v4()}`, email: `${name}-${uuid.v4()}@example.com`, role: 'researcher' };
+    await xapiService.saveUserProfile(user.email, { id: user.id, email: user.email });
+    return user;
+}
+
+function upload(user, name, text, options = {}) {
+    return fileVersionService.addVersion(Buffer.from(text), name, {
+        userId: user.id,
+        userEmail: user.email,
+        userRole: user.role,
+        folder: 'privacy-tests',
+        ...options
+    });
+}
+
+describe('privacyService erasure', () => {
+    test('replaces statements with pseudonymous copies and purges the originals from the local LRS', async () => {
+        const email = `erase-${uuid.v4()}@example.com`;
+        const ids = [await trackActivity(email), await trackActivity(email)];
+
+        const job = await finished(await privacyService.startErasure(email, { requestedBy: 'admin@example.com' }));
+
+        expect(job.status).toBe('completed');
+        expect(job.report.statements).toMatchObject({ pseudonymised: 2, purged: 2, unpurged: [] });
+        expect(job.report.notes.join(' ')).not.toContain('cannot delete statements');
+        for (const id of ids) {
+            expect(await xapiService.lrs.retrieveStatement(id)).toBeNull();
+            expect(await xapiService.lrs.retrieveVoidedStatement(id)).toBeNull();
+        }
+
+        const remaining = await xapiService.iterateStatements({ agent: xapiService.createActor({ email }) }).toArray();
+        expect(remaining).toEqual([]);
+        expect(privacyService.verifyReport(job.report)).toBe(true);
+    });
+
+    test('lists the voided originals for the operator when the LRS cannot delete statements', async () => {
+        const email = `erase-remote-${uuid.v4()}@example.com`;
+        const id = await trackActivity(email);
+        jest.spyOn(xapiService, 'purgeStatements').mockResolvedValue(null);
+
+        const job = await finished(await privacyService.startErasure(email, { requestedBy: 'admin@example.com' }));
+
+        expect(job.report.statements).toMatchObject({ purged: 0, unpurged: [id] });
+        expect(job.report.notes.join(' ')).toContain('cannot delete statements through xAPI');
+        expect((await xapiService.lrs.retrieveVoidedStatement(id)).id).toBe(id);
+    });
+
+    test('needs its own pseudonym secret rather than the session secret', async () => {
+        const secret = privacyService.pseudonymSecret;
+        privacyService.pseudonymSecret = null;
+        process.env.SESSION_SECRET = 'session-secret';
+
+        try {
+            await expect(privacyService.startErasure('someone@example.com', { requestedBy: 'admin@example.com' }))
+                .rejects.toMatchObject({ status: 503, message: 'PRIVACY_PSEUDONYM_SECRET must be set' });
+        } finally {
+            privacyService.pseudonymSecret = secret;
+            delete process.env.SESSION_SECRET;
+        }
+    });
+
+    test('erases versioned, trashed and indexed files with their history, trash entries and search text', async () => {
+        const subject = await createUser('erase-files');
+        const colleague = await createUser('erase-colleague');
+        const own = await upload(subject, 'glacier.txt', 'glacier meltwater notes');
+        await upload(subject, 'glacier.txt', 'glacier meltwater notes, revised');
+        const binned = await upload(subject, 'binned.txt', 'binned meltwater notes');
+        const trashed = await trashService.trashFile(await fileVersionService.get(binned.fileId), subject);
+        const project = { projectId: `privacy-${uuid.v4()}` };
+        const shared = await upload(colleague, 'shared.txt', 'shared moraine notes', project);
+        await upload(subject, 'shared.txt', 'shared moraine notes, edited', project);
+        await searchService.idle();
+        expect((await searchService.search(subject, { q: 'meltwater' })).total).toBe(1);
+
+        const job = await finished(await privacyService.startErasure(subject.email, { requestedBy: 'admin@example.com' }));
+
+        expect(job.status).toBe('completed');
+        expect(job.report.trash).toMatchObject({ purged: 1, failed: 0 });
+        expect(job.report.files).toMatchObject({ deleted: 2, reassigned: 1, failed: [] });
+        expect(await fileVersionService.get(own.fileId, { includeTrashed: true })).toBeNull();
+        expect(await fileVersionService.get(binned.fileId, { includeTrashed: true })).toBeNull();
+        expect((await trashService.list(subject)).total).toBe(0);
+        expect(await trashService.allKeys()).not.toContain(subject.id);
+        expect((await trashService.getHistory({ owner: subject.id })).total).toBe(0);
+        const history = JSON.stringify(await trashService.getHistory({ owner: job.report.subject }));
+        expect(history).toContain(trashed.id);
+        expect(history).not.toContain(subject.email);
+
+        const kept = await fileVersionService.get(shared.fileId);
+        expect(kept.versions.map(entry => entry.uploadedBy)).toEqual([colleague.email, job.report.subject]);
+        expect(kept.versions.every(entry => entry.objectPath.startsWith(`${colleague.id}/`))).toBe(true);
+
+        await searchService.idle();
+        expect((await searchService.search(subject, { q: 'meltwater' })).total).toBe(0);
+        expect(searchService.records.has(own.fileId)).toBe(false);
+        expect(searchService.records.has(binned.fileId)).toBe(false);
+    });
+
+    test('exports without the pseudonym secret', async () => {
+        const secret = privacyService.pseudonymSecret;
+        privacyService.pseudonymSecret = null;
+        const email = `export-${uuid.v4()}@example.com`;
+        await trackActivity(email);
+        const output = new PassThrough();
+        output.resume();
+
+        try {
+            const manifest = await privacyService.writeExport(email, output);
+            expect(manifest.statements.count).toBe(1);
+        } finally {
+            privacyService.pseudonymSecret = secret;
+        }
+    });
+});
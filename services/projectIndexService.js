@@ -0,0 +1,252 @@
+/**
+ * Project Index Service for Hu Lab Portal
+ * Maintains an index of research projects keyed by owner and collaborator, so project
+ * lists no longer depend on scanning a window of the user's statements.
+ * The index is one xAPI activity profile document, updated with ETag preconditions so
+ * concurrent writers retry instead of overwriting each other.
+ */
+
+const xapiService = require('./xapiService');
+
+const INDEX_PROFILE_ID = 'project-index';
+const MAX_WRITE_ATTEMPTS = 5;
+
+const SORT_FIELDS = ['updatedAt', 'createdAt', 'title'];
+
+class ProjectIndexService {
+    constructor() {
+        this.rebuilding = null;
+        this.sortFields = SORT_FIELDS;
+    }
+
+    get activityId() {
+        return `${xapiService.baseActivityId}/projects`;
+    }
+
+    /**
+     * Add or refresh a project's entry from its project-data
+     */
+    async upsert(project) {
+        return this.mutate(index => {
+            index.projects[project.id] = this.summarize(project);
+        });
+    }
+
+    async remove(projectId) {
+        return this.mutate(index => {
+            delete index.projects[projectId];
+        });
+    }
+
+    async get(projectId) {
+        const { index } = await this.load();
+        return index.projects[projectId] || null;
+    }
+
+    /**
+     * Email of the user whose agent holds the project-data state
+     */
+    async getOwner(projectId) {
+        const entry = await this.get(projectId);
+        return entry ? entry.createdBy : null;
+    }
+
+    /**
+     * A project's project-data, read from its owner's agent. fallbackEmail is tried for
+     * projects missing from the index.
+     */
+    async getProjectData(projectId, fallbackEmail) {
+        const ownerEmail = await this.getOwner(projectId) || fallbackEmail;
+        return xapiService.getActivityState(
+            ownerEmail,
+            `${xapiService.baseActivityId}/project/${projectId}`,
+            'project-data'
+        );
+    }
+
+    /**
+     * Projects the user owns or collaborates on.
+     * Deleted projects are only listed when asked for with status 'deleted'.
+     */
+    async list(email, options = {}) {
+        const {
+            status = null,
+            phase = null,
+            role = null,
+            sort = 'updatedAt',
+            order = sort === 'title' ? 'asc' : 'desc',
+            limit = 50,
+            offset = 0
+        } = options;
+
+        const { index } = await this.load();
+        const key = this.memberKey(email);
+        const ids = new Set();
+
+        if (role !== 'collaborator') {
+            (index.owners[key] || []).forEach(id => ids.add(id));
+        }
+        if (role !== 'owner') {
+            (index.collaborators[key] || []).forEach(id => ids.add(id));
+        }
+
+        const direction = order === 'asc' ? 1 : -1;
+        const matches = [...ids]
+            .map(id => index.projects[id])
+            .filter(entry => entry && (status ? entry.status === status : entry.status !== 'deleted'))
+            .filter(entry => !phase || entry.currentPhase === phase)
+            .sort((a, b) => direction * this.compare(a, b, sort) || a.id.localeCompare(b.id));
+
+        return {
+            projects: matches.slice(offset, offset + limit),
+            totalCount: matches.length,
+            hasMore: matches.length > offset + limit
+        };
+    }
+
+    compare(a, b, field) {
+        if (field === 'title') {
+            return (a.title || '').localeCompare(b.title || '', undefined, { sensitivity: 'base' });
+        }
+        return (Date.parse(a[field]) || 0) - (Date.parse(b[field]) || 0);
+    }
+
+    summarize(project) {
+        return {
+            id: project.id,
+            title: project.title,
+            description: project.description,
+            createdBy: project.createdBy,
+            collaborators: (project.collaborators || []).map(collab => ({
+                email: collab.email,
+                role: collab.role,
+                status: collab.status || null
+            })),
+            status: project.status,
+            currentPhase: project.currentPhase,
+            visibility: project.visibility,
+            keywords: project.keywords || [],
+            createdAt: project.createdAt,
+            updatedAt: project.updatedAt,
+            version: project.version
+        };
+    }
+
+    memberKey(email) {
+        return String(email || '').toLowerCase();
+    }
+
+    /**
+     * Rebuild the owner and collaborator keys from the project entries
+     */
+    reindex(index) {
+        const owners = {};
+        const collaborators = {};
+        const add = (map, email, id) => {
+            const key = this.memberKey(email);
+            (map[key] = map[key] || []).push(id);
+        };
+
+        Object.values(index.projects).forEach(entry => {
+            add(owners, entry.createdBy, entry.id);
+            entry.collaborators
+                .filter(collab => collab.email && this.memberKey(collab.email) !== this.memberKey(entry.createdBy))
+                .forEach(collab => add(collaborators, collab.email, entry.id));
+        });
+
+        index.owners = owners;
+        index.collaborators = collaborators;
+        index.updatedAt = new Date().toISOString();
+        return index;
+    }
+
+    /**
+     * Read-modify-write the index, retrying when another writer got there first
+     */
+    async mutate(change) {
+        for (let attempt = 1; ; attempt++) {
+            const { index, etag } = await this.load();
+            change(index);
+
+            try {
+                await xapiService.saveActivityProfileDocument(
+                    this.activityId,
+                    INDEX_PROFILE_ID,
+                    this.reindex(index),
+                    etag ? { etag } : { ifNoneMatch: true }
+                );
+                return index;
+            } catch (error) {
+                if (error.status !== 409 || attempt >= MAX_WRITE_ATTEMPTS) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    /**
+     * Load the index, building it from existing projects the first time
+     */
+    async load() {
+        const document = await xapiService.getActivityProfileDocument(this.activityId, INDEX_PROFILE_ID);
+        if (document) {
+            return { index: document.data, etag: document.etag };
+        }
+
+        if (!this.rebuilding) {
+            this.rebuilding = this.rebuild().finally(() => {
+                this.rebuilding = null;
+            });
+        }
+        await this.rebuilding;
+
+        const rebuilt = await xapiService.getActivityProfileDocument(this.activityId, INDEX_PROFILE_ID);
+        return rebuilt
+            ? { index: rebuilt.data, etag: rebuilt.etag }
+            : { index: this.reindex({ projects: {} }), etag: null };
+    }
+
+    /**
+     * Build the index from project creation statements and the creators' project-data.
+     * Only runs when no index exists, e.g. on first start after upgrading.
+     */
+    async rebuild() {
+        const index = { projects: {} };
+        const prefix = `${xapiService.baseActivityId}/project/`;
+
+        const statements = xapiService.iterateStatements({
+            verb: xapiService.customVerbs.created,
+            ascending: true
+        });
+
+        for await (const statement of statements) {
+            const objectId = statement.object && statement.object.id;
+            const email = statement.actor && statement.actor.mbox ? statement.actor.mbox.replace(/^mailto:/, '') : null;
+            if (!email || !objectId || !objectId.startsWith(prefix)) {
+                continue;
+            }
+
+            const projectId = objectId.slice(prefix.length);
+            const project = await xapiService.getActivityState(email, objectId, 'project-data');
+            if (project && project.id === projectId) {
+                index.projects[projectId] = this.summarize(project);
+            }
+        }
+
+        try {
+            await xapiService.saveActivityProfileDocument(
+                this.activityId,
+                INDEX_PROFILE_ID,
+                this.reindex(index),
+                { ifNoneMatch: true }
+            );
+        } catch (error) {
+            // Another instance built the index first
+            if (error.status !== 409) {
+                throw error;
+            }
+        }
+    }
+}
+
+module.exports = new ProjectIndexService();
@@ -0,0 +1,78 @@
+const uuid = require('uuid');
+const xapiConfig = require('../config/xapi');
+const xapiService = require('./xapiService');
+const projectIndexService = require('./projectIndexService');
+
+beforeAll(async () => {
+    await xapiConfig.initialize();
+    await xapiService.initialize();
+});
+
+afterAll(() => {
+    xapiService.outbox.close();
+});
+
+function project(overrides = {}) {
+    return {
+        id: uuid.v4(),
+        title: 'Project',
+        createdBy: 'owner@example.com',
+        collaborators: [],
+        status: 'active',
+        currentPhase: 'research',
+        createdAt: '2025-01-01T00:00:00.000Z',
+        updatedAt: '2025-01-01T00:00:00.000Z',
+        version: 1,
+        ...overrides
+    };
+}
+
+describe('projectIndexService', () => {
+    test('lists projects by owner and collaborator', async () => {
+        const member = `member-${uuid.v4()}@example.com`;
+        const owned = project({ createdBy: member, title: 'Owned', updatedAt: '2025-01-02T00:00:00.000Z' });
+        const joined = project({ title: 'Joined', collaborators: [{ email: member.toUpperCase(), role: 'editor' }] });
+        const deleted = project({ createdBy: member, status: 'deleted' });
+        for (const entry of [owned, joined, deleted]) {
+            await projectIndexService.upsert(entry);
+        }
+
+        const all = await projectIndexService.list(member);
+        expect(all.projects.map(entry => entry.title)).toEqual(['Owned', 'Joined']);
+        expect(all.totalCount).toBe(2);
+
+        expect((await projectIndexService.list(member, { role: 'collaborator' })).projects.map(entry => entry.id)).toEqual([joined.id]);
+        expect((await projectIndexService.list(member, { status: 'deleted' })).projects.map(entry => entry.id)).toEqual([deleted.id]);
+        expect((await projectIndexService.list(member, { sort: 'title', limit: 1 })).hasMore).toBe(true);
+
+        await projectIndexService.remove(owned.id);
+        expect((await projectIndexService.list(member)).projects.map(entry => entry.id)).toEqual([joined.id]);
+    });
+
+    test('reads project-data from the owner\'s agent', async () => {
+        const entry = project();
+        await xapiService.saveActivityState(entry.createdBy, `${xapiService.baseActivityId}/project/${entry.id}`, 'project-data', entry);
+        await projectIndexService.upsert(entry);
+
+        expect(await projectIndexService.getOwner(entry.id)).toBe(entry.createdBy);
+        expect((await projectIndexService.getProjectData(entry.id, 'someone-else@example.com')).id).toBe(entry.id);
+    });
+
+    test('falls back to the given agent for projects missing from the index', async () => {
+        const entry = project({ createdBy: 'legacy@example.com' });
+        await xapiService.saveActivityState(entry.createdBy, `${xapiService.baseActivityId}/project/${entry.id}`, 'project-data', entry);
+
+        expect((await projectIndexService.getProjectData(entry.id, entry.createdBy)).id).toBe(entry.id);
+        expect(await projectIndexService.getProjectData(entry.id, 'someone-else@example.com')).toBeNull();
+    });
+
+    test('keeps concurrent upserts', async () => {
+        const entries = [project(), project(), project()];
+
+        await Promise.all(entries.map(entry => projectIndexService.upsert(entry)));
+
+        for (const entry of entries) {
+            expect(await projectIndexService.get(entry.id)).not.toBeNull();
+        }
+    });
+});
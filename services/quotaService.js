@@ -0,0 +1,484 @@
+/**
+ * Quota Service for Hu Lab Portal
+ * Keeps a running total of the bytes stored by each user and for each research project,
+ * and checks uploads against their quotas before any data is accepted. A user's quota
+ * follows their role and a project's the project default, unless an admin has set
+ * another one for them.
+ *
+ * Totals and admin quotas are xAPI activity profile documents of the user or project
+ * activity, updated with ETag preconditions. A total that does not exist yet is counted
+ * from storage the first time. A quota index lists every user and project with a total,
+ * so a periodic check can warn users by notification as they near their quota.
+ */
+
+const xapiService = require('./xapiService');
+const storageConfig = require('../config/storage');
+const blobService = require('./blobService');
+const projectIndexService = require('./projectIndexService');
+const notificationService = require('./notificationService');
+
+const USAGE_PROFILE_ID = 'storage-usage';
+const QUOTA_PROFILE_ID = 'storage-quota';
+const INDEX_PROFILE_ID = 'quota-index';
+const MAX_WRITE_ATTEMPTS = 5;
+const MB = 1024 * 1024;
+const ROLES = ['student', 'researcher', 'educator', 'admin'];
+// Portal roles that share another role's quota
+const ROLE_ALIASES = { instructor: 'educator' };
+// Quota of each role in MB unless configured; 0 is unlimited
+const DEFAULT_ROLE_QUOTAS_MB = { student: 2048, researcher: 51200, educator: 20480, admin: 0 };
+// Changed totals are checked against the warning levels together, shortly after
+const CHECK_DELAY = 5 * 1000;
+
+class QuotaService {
+    constructor() {
+        this.projectQuotaBytes = Math.round((parseFloat(process.env.STORAGE_PROJECT_QUOTA_MB) || 10240) * MB);
+        this.roleQuotaBytes = {};
+        ROLES.forEach(role => {
+            const configured = parseFloat(process.env[`STORAGE_QUOTA_${role.toUpperCase()}_MB`]);
+            const quota = Number.isNaN(configured) ? DEFAULT_ROLE_QUOTAS_MB[role] : configured;
+            this.roleQuotaBytes[role] = quota > 0 ? Math.round(quota * MB) : null;
+        });
+        this.warningLevels = (process.env.STORAGE_QUOTA_WARNING_LEVELS || '80,95')
+            .split(',')
+            .map(level => parseFloat(level))
+            .filter(level => level > 0 && level <= 100)
+            .sort((a, b) => a - b);
+        this.checkInterval = (parseFloat(process.env.STORAGE_QUOTA_CHECK_INTERVAL_MINUTES) || 60) * 60 * 1000;
+        this.counting = new Map();
+        this.pendingChecks = new Map();
+        this.checkTimer = null;
+        this.monitor = null;
+    }
+
+    /**
+     * Scopes are { userId } or { projectId }
+     */
+    activityId(scope) {
+        return scope.projectId
+            ? `${xapiService.baseActivityId}/project/${scope.projectId}`
+            : `${xapiService.baseActivityId}/user/${scope.userId}`;
+    }
+
+    get indexActivityId() {
+        return `${xapiService.baseActivityId}/storage`;
+    }
+
+    scopeKey(scope) {
+        return scope.projectId ? `project:${scope.projectId}` : `user:${scope.userId}`;
+    }
+
+    async getUsage(scope) {
+        const { usage } = await this.load(scope);
+        return usage;
+    }
+
+    /**
+     * Add to (or, with negative numbers, subtract from) a user's or project's total
+     */
+    async recordUsage(scope, bytes, files = 0) {
+        const usage = await this.mutateUsage(scope, current => {
+            current.bytes = Math.max(0, current.bytes + bytes);
+            current.files = Math.max(0, current.files + files);
+        });
+        this.queueCheck(scope);
+        return usage;
+    }
+
+    /**
+     * The quota that applies: an admin's for this user or project, else the role's or
+     * the project default. limit is in bytes, null when unlimited.
+     */
+    async getQuota(scope, role = null) {
+        const document = await xapiService.getActivityProfileDocument(this.activityId(scope), QUOTA_PROFILE_ID);
+        if (document) {
+            return { limit: document.data.limitBytes, source: 'admin', ...pick(document.data, ['setBy', 'setAt', 'reason']) };
+        }
+        if (scope.projectId) {
+            return { limit: this.projectQuotaBytes, source: 'project' };
+        }
+
+        const userRole = this.quotaRole(role || await this.knownRole(scope.userId));
+        return { limit: this.roleQuotaBytes[userRole], source: 'role', role: userRole };
+    }
+
+    /**
+     * Total, quota and how much of it is used
+     */
+    async getStatus(scope, role = null) {
+        const usage = await this.getUsage(scope);
+        const quota = await this.getQuota(scope, role);
+
+        return {
+            ...(scope.projectId ? { projectId: scope.projectId } : { userId: scope.userId }),
+            used: usage.bytes,
+            files: usage.files,
+            ...quota,
+            available: quota.limit === null ? null : Math.max(0, quota.limit - usage.bytes),
+            percent: quota.limit === null ? null : percentOf(usage.bytes, quota.limit)
+        };
+    }
+
+    /**
+     * Throw a 413 if storing bytes more for the user, or in the project, would exceed
+     * a quota. reserved ({ user, project }) counts uploads that have been accepted but
+     * not yet stored. user is { id, email, role }.
+     */
+    async checkUpload(user, projectId, bytes, reserved = {}) {
+        await this.register({ userId: user.id }, { email: user.email, role: user.role });
+
+        const checked = { user: await this.check({ userId: user.id }, bytes, reserved.user || 0, user.role) };
+        if (projectId) {
+            checked.project = await this.check({ projectId }, bytes, reserved.project || 0);
+        }
+        return checked;
+    }
+
+    async check(scope, bytes, reserved = 0, role = null) {
+        const usage = await this.getUsage(scope);
+        const { limit, source } = await this.getQuota(scope, role);
+
+        if (limit !== null && usage.bytes + reserved + bytes > limit) {
+            const available = Math.max(0, limit - usage.bytes - reserved);
+            const holder = scope.projectId ? `Project ${scope.projectId} has` : 'You have';
+            const error = new Error(`${holder} ${formatBytes(available)} of ${scope.projectId ? 'its' : 'your'} ${formatBytes(limit)} storage quota left; the upload needs ${formatBytes(bytes)}`);
+            error.status = 413;
+            error.quota = {
+                scope: scope.projectId ? 'project' : 'user',
+                ...scope,
+                limit,
+                source,
+                used: usage.bytes,
+                reserved,
+                requested: bytes
+            };
+            throw error;
+        }
+        return { limit, used: usage.bytes, reserved };
+    }
+
+    /**
+     * Set the quota of a user or project (limitBytes null for unlimited)
+     */
+    async setQuota(scope, limitBytes, details = {}) {
+        const quota = {
+            limitBytes,
+            setBy: details.setBy || null,
+            setAt: new Date().toISOString(),
+            reason: details.reason || null
+        };
+        await xapiService.saveActivityProfileDocument(this.activityId(scope), QUOTA_PROFILE_ID, quota);
+        await this.register(scope);
+        this.queueCheck(scope);
+        return this.getStatus(scope);
+    }
+
+    /**
+     * Go back to the role's or project default quota
+     */
+    async clearQuota(scope) {
+        await xapiService.dropActivityProfileDocument(this.activityId(scope), QUOTA_PROFILE_ID);
+        this.queueCheck(scope);
+        return this.getStatus(scope);
+    }
+
+    /**
+     * Quotas by role and for projects, in bytes (null when unlimited)
+     */
+    getPolicy() {
+        return {
+            roles: { ...this.roleQuotaBytes },
+            project: this.projectQuotaBytes,
+            warningLevels: [...this.warningLevels]
+        };
+    }
+
+    /**
+     * Status of every user and project with a total
+     */
+    async listStatuses() {
+        const { index } = await this.loadIndex();
+        const users = [];
+        for (const [userId, entry] of Object.entries(index.users)) {
+            users.push({ ...await this.getStatus({ userId }, entry.role), email: entry.email || null });
+        }
+        const projects = [];
+        for (const projectId of Object.keys(index.projects)) {
+            projects.push(await this.getStatus({ projectId }));
+        }
+        return { users, projects };
+    }
+
+    /**
+     * Check every user and project against the warning levels now and then every
+     * checkInterval, until stop()
+     */
+    start() {
+        if (this.monitor) {
+            return;
+        }
+        this.monitor = setInterval(() => {
+            this.checkAll().catch(error => console.error('Storage quota check failed:', error.message));
+        }, this.checkInterval);
+        // Never keep the process alive just to check quotas
+        this.monitor.unref();
+        this.checkAll().catch(error => console.error('Storage quota check failed:', error.message));
+    }
+
+    stop() {
+        clearInterval(this.monitor);
+        clearTimeout(this.checkTimer);
+        this.monitor = null;
+        this.checkTimer = null;
+    }
+
+    async checkAll() {
+        const { index } = await this.loadIndex();
+        const scopes = [
+            ...Object.keys(index.users).map(userId => ({ userId })),
+            ...Object.keys(index.projects).map(projectId => ({ projectId }))
+        ];
+        for (const scope of scopes) {
+            await this.checkLevel(scope).catch(error => {
+                console.error(`Storage quota check of ${this.scopeKey(scope)} failed:`, error.message);
+            });
+        }
+    }
+
+    /**
+     * Warn once each time usage reaches a higher warning level. The level reached is
+     * kept with the total, and lowered again when usage drops, so a user who frees
+     * space is warned again the next time.
+     */
+    async checkLevel(scope) {
+        const status = await this.getStatus(scope);
+        const level = status.percent === null
+            ? 0
+            : this.warningLevels.filter(warning => status.percent >= warning).pop() || 0;
+
+        let raised = false;
+        const usage = await this.getUsage(scope);
+        if ((usage.warnedLevel || 0) !== level) {
+            await this.mutateUsage(scope, current => {
+                raised = level > (current.warnedLevel || 0);
+                current.warnedLevel = level;
+            });
+        }
+        if (raised) {
+            await this.warn(scope, status, level);
+        }
+        return { ...status, level, warned: raised };
+    }
+
+    async warn(scope, status, level) {
+        let email;
+        let subject;
+        if (scope.projectId) {
+            const project = await projectIndexService.get(scope.projectId);
+            email = project ? project.createdBy : null;
+            subject = `Project "${project ? project.title : scope.projectId}" has`;
+        } else {
+            const { index } = await this.loadIndex();
+            email = index.users[scope.userId] ? index.users[scope.userId].email : null;
+            subject = 'You have';
+        }
+        if (!email) {
+            return;
+        }
+
+        await notificationService.notify(email, {
+            type: 'storage-quota',
+            title: `Storage ${level}% full`,
+            message: `${subject} used ${formatBytes(status.used)} of ${scope.projectId ? 'its' : 'your'} ${formatBytes(status.limit)} storage quota (${status.percent}%). Uploads that do not fit will be refused.`,
+            data: { ...status, level }
+        });
+    }
+
+    /**
+     * Check a changed total against the warning levels shortly after, together with
+     * other changes in the meantime
+     */
+    queueCheck(scope) {
+        this.pendingChecks.set(this.scopeKey(scope), scope);
+        if (this.checkTimer) {
+            return;
+        }
+        this.checkTimer = setTimeout(async () => {
+            this.checkTimer = null;
+            const scopes = Array.from(this.pendingChecks.values());
+            this.pendingChecks.clear();
+            for (const pending of scopes) {
+                await this.checkLevel(pending).catch(error => {
+                    console.error(`Storage quota check of ${this.scopeKey(pending)} failed:`, error.message);
+                });
+            }
+        }, CHECK_DELAY);
+        this.checkTimer.unref();
+    }
+
+    quotaRole(role) {
+        const quotaRole = ROLE_ALIASES[role] || role;
+        return ROLES.includes(quotaRole) ? quotaRole : 'student';
+    }
+
+    /**
+     * Role the user last uploaded with, for checks made without the user at hand
+     */
+    async knownRole(userId) {
+        const { index } = await this.loadIndex();
+        return index.users[userId] ? index.users[userId].role : null;
+    }
+
+    /**
+     * Add a user or project to the quota index, or refresh a user's email and role
+     */
+    async register(scope, details = {}) {
+        const { index } = await this.loadIndex();
+        const group = scope.projectId ? 'projects' : 'users';
+        const id = scope.projectId || scope.userId;
+        const entry = index[group][id];
+        const changed = Object.keys(details).some(key => details[key] && (!entry || entry[key] !== details[key]));
+        if (entry && !changed) {
+            return;
+        }
+
+        await this.mutateIndex(current => {
+            current[group][id] = { ...current[group][id], ...pick(details, Object.keys(details).filter(key => details[key])) };
+        });
+    }
+
+    async mutateUsage(scope, change) {
+        for (let attempt = 1; ; attempt++) {
+            const { usage, etag } = await this.load(scope);
+            change(usage);
+            usage.updatedAt = new Date().toISOString();
+
+            try {
+                await xapiService.saveActivityProfileDocument(
+                    this.activityId(scope),
+                    USAGE_PROFILE_ID,
+                    usage,
+                    etag ? { etag } : { ifNoneMatch: true }
+                );
+                return usage;
+            } catch (error) {
+                if (error.status !== 409 || attempt >= MAX_WRITE_ATTEMPTS) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    async mutateIndex(change) {
+        for (let attempt = 1; ; attempt++) {
+            const { index, etag } = await this.loadIndex();
+            change(index);
+            index.updatedAt = new Date().toISOString();
+
+            try {
+                await xapiService.saveActivityProfileDocument(
+                    this.indexActivityId,
+                    INDEX_PROFILE_ID,
+                    index,
+                    etag ? { etag } : { ifNoneMatch: true }
+                );
+                return index;
+            } catch (error) {
+                if (error.status !== 409 || attempt >= MAX_WRITE_ATTEMPTS) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    async loadIndex() {
+        const document = await xapiService.getActivityProfileDocument(this.indexActivityId, INDEX_PROFILE_ID);
+        return document
+            ? { index: document.data, etag: document.etag }
+            : { index: { users: {}, projects: {} }, etag: null };
+    }
+
+    /**
+     * Load a total. Users and projects without one are counted from storage and the
+     * total saved, so callers that load it before changing a file are not counted twice.
+     */
+    async load(scope) {
+        const document = await xapiService.getActivityProfileDocument(this.activityId(scope), USAGE_PROFILE_ID);
+        if (document) {
+            return { usage: document.data, etag: document.etag };
+        }
+
+        const key = this.scopeKey(scope);
+        if (!this.counting.has(key)) {
+            this.counting.set(key, this.count(scope).finally(() => {
+                this.counting.delete(key);
+            }));
+        }
+        await this.counting.get(key);
+        return this.load(scope);
+    }
+
+    /**
+     * Total the files whose metadata names the project (or the user as uploader), at
+     * the size of their content whether or not other files share it. A user's files
+     * are all stored under their own prefix, so only that is listed.
+     */
+    async count(scope) {
+        const driver = storageConfig.getDriver();
+        await driver.open();
+        const prefix = scope.projectId ? undefined : `${scope.userId}/`;
+
+        const belongs = scope.projectId
+            ? file => file.metadata.projectId === scope.projectId
+            : file => file.metadata.uploadedBy === scope.userId;
+        const usage = {
+            ...scope,
+            bytes: 0,
+            files: 0,
+            warnedLevel: 0,
+            updatedAt: new Date().toISOString()
+        };
+        let pageToken = null;
+        do {
+            const page = await driver.list({ prefix, pageToken });
+            page.files
+                .filter(file => belongs(file) && !file.name.startsWith('.'))
+                .forEach(file => {
+                    usage.bytes += blobService.logicalSize(file);
+                    usage.files++;
+                });
+            pageToken = page.nextPageToken;
+        } while (pageToken);
+
+        try {
+            await xapiService.saveActivityProfileDocument(this.activityId(scope), USAGE_PROFILE_ID, usage, { ifNoneMatch: true });
+        } catch (error) {
+            // Another process counted it first
+            if (error.status !== 409) {
+                throw error;
+            }
+        }
+        await this.register(scope);
+        return usage;
+    }
+}
+
+function pick(source, keys) {
+    const picked = {};
+    keys.forEach(key => {
+        if (source[key] !== undefined) {
+            picked[key] = source[key];
+        }
+    });
+    return picked;
+}
+
+function percentOf(used, limit) {
+    return limit > 0 ? Math.round(used / limit * 1000) / 10 : 100;
+}
+
+function formatBytes(bytes) {
+    return `${(bytes / MB).toFixed(1)}MB`;
+}
+
+module.exports = new QuotaService();
@@ -0,0 +1,53 @@
+const xapiConfig = require('../config/xapi');
+const storageConfig = require('../config/storage');
+const xapiService = require('./xapiService');
+const quotaService = require('./quotaService');
+
+const MB = 1024 * 1024;
+
+beforeAll(async () => {
+    await xapiConfig.initialize();
+    await xapiService.initialize();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(() => {
+    quotaService.stop();
+    xapiService.outbox.close();
+});
+
+describe('quotaService', () => {
+    test('refuses an upload over the user quota with a 413 describing it', async () => {
+        const user = { id: 'quota-full', email: 'quota-full@example.com', role: 'student' };
+        await quotaService.setQuota({ userId: user.id }, MB);
+
+        const error = await quotaService.checkUpload(user, null, 2 * MB).catch(caught => caught);
+
+        expect(error.status).toBe(413);
+        expect(error.quota).toMatchObject({ scope: 'user', userId: user.id, limit: MB, source: 'admin', requested: 2 * MB });
+        await expect(quotaService.checkUpload(user, null, MB / 2)).resolves.toMatchObject({ user: { limit: MB } });
+    });
+
+    test('gives instructors the educator quota', async () => {
+        const quota = await quotaService.getQuota({ userId: 'quota-instructor' }, 'instructor');
+
+        expect(quota).toMatchObject({ source: 'role', role: 'educator', limit: quotaService.roleQuotaBytes.educator });
+        expect(quotaService.quotaRole('unknown')).toBe('student');
+    });
+
+    test('counts only the files under the user\'s prefix that they uploaded', async () => {
+        const driver = storageConfig.getDriver();
+        await driver.save('quota-counted/general/a.txt', Buffer.alloc(100), { metadata: { uploadedBy: 'quota-counted' } });
+        await driver.save('quota-counted/general/b.txt', Buffer.alloc(50), { metadata: { uploadedBy: 'someone-else' } });
+        await driver.save('someone-else/general/c.txt', Buffer.alloc(25), { metadata: { uploadedBy: 'quota-counted' } });
+        const list = jest.spyOn(driver, 'list');
+
+        const usage = await quotaService.getUsage({ userId: 'quota-counted' });
+
+        expect(usage).toMatchObject({ bytes: 100, files: 1 });
+        list.mock.calls.forEach(([options]) => expect(options.prefix).toBe('quota-counted/'));
+    });
+});
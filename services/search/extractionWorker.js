@@ -0,0 +1,108 @@
+/**
+ * Text extraction off the main thread for Hu Lab Portal search
+ * Parsing a large PDF or spreadsheet takes long enough to hold up every request, so
+ * textExtractor.js runs in a worker thread. One worker extracts one file at a time;
+ * it is started when first needed and started again after it fails or is stopped for
+ * taking longer than the timeout.
+ *   const worker = new ExtractionWorker({ timeout });
+ *   await worker.extract(buffer, extension, { maxSize, maxChars }) -> text or null
+ *   await worker.close();
+ */
+
+const { Worker, isMainThread, parentPort } = require('worker_threads');
+
+const DEFAULT_TIMEOUT = 120 * 1000;
+
+class ExtractionWorker {
+    constructor(options = {}) {
+        this.timeout = options.timeout || DEFAULT_TIMEOUT;
+        this.worker = null;
+        // Request id -> { resolve, reject, timer }
+        this.pending = new Map();
+        this.nextId = 1;
+    }
+
+    /**
+     * Text of some content (at most maxChars of it), or null when it cannot be read
+     */
+    extract(buffer, extension, options = {}) {
+        const worker = this.start();
+        const id = this.nextId++;
+        // Copied so only the content itself is sent, not the pool it may be a slice of
+        const data = Uint8Array.from(buffer);
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.stop(worker, new Error(`Text extraction took longer than ${Math.round(this.timeout / 1000)}s`));
+            }, this.timeout);
+            this.pending.set(id, { resolve, reject, timer });
+            worker.postMessage({ id, data, extension, options }, [data.buffer]);
+        });
+    }
+
+    start() {
+        if (this.worker) {
+            return this.worker;
+        }
+        const worker = new Worker(__filename);
+        worker.on('message', ({ id, text, error }) => {
+            const request = this.pending.get(id);
+            if (!request) {
+                return;
+            }
+            this.pending.delete(id);
+            clearTimeout(request.timer);
+            if (error) {
+                request.reject(new Error(error));
+            } else {
+                request.resolve(text);
+            }
+        });
+        worker.on('error', error => this.stop(worker, error));
+        worker.on('exit', code => this.stop(worker, new Error(`Text extraction worker stopped (exit code ${code})`)));
+        // Never keep the process alive just for the worker
+        worker.unref();
+        this.worker = worker;
+        return worker;
+    }
+
+    /**
+     * Stop a worker, failing what it was extracting; the next extraction starts another
+     */
+    stop(worker, error) {
+        if (this.worker !== worker) {
+            return;
+        }
+        this.worker = null;
+        for (const request of this.pending.values()) {
+            clearTimeout(request.timer);
+            request.reject(error);
+        }
+        this.pending.clear();
+        worker.terminate().catch(() => {});
+    }
+
+    async close() {
+        if (this.worker) {
+            this.stop(this.worker, new Error('Text extraction worker closed'));
+        }
+    }
+}
+
+if (!isMainThread) {
+    const { extractText } = require('./textExtractor');
+
+    parentPort.on('message', ({ id, data, extension, options }) => {
+        try {
+            const buffer = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+            const text = extractText(buffer, extension, { maxSize: options.maxSize });
+            parentPort.postMessage({ id, text: text === null ? null : text.slice(0, options.maxChars) });
+        } catch (error) {
+            parentPort.postMessage({ id, error: error.message });
+        }
+    });
+}
+
+module.exports = {
+    ExtractionWorker
+};
@@ -0,0 +1,25 @@
+const { ExtractionWorker } = require('./extractionWorker');
+
+describe('ExtractionWorker', () => {
+    let worker;
+
+    afterEach(async () => {
+        await worker.close();
+    });
+
+    test('extracts text in a worker, cut to maxChars', async () => {
+        worker = new ExtractionWorker();
+
+        await expect(worker.extract(Buffer.from('ice core records'), 'txt', { maxChars: 8 })).resolves.toBe('ice core');
+        await expect(worker.extract(Buffer.from('second file'), 'txt')).resolves.toBe('second file');
+    });
+
+    test('stops an extraction that takes too long and starts again for the next', async () => {
+        worker = new ExtractionWorker({ timeout: 1 });
+
+        await expect(worker.extract(Buffer.from('slow'), 'txt')).rejects.toThrow('Text extraction took longer than');
+
+        worker.timeout = 30 * 1000;
+        await expect(worker.extract(Buffer.from('quick'), 'txt')).resolves.toBe('quick');
+    });
+});
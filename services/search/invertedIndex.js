@@ -0,0 +1,352 @@
+/**
+ * In-memory inverted index for Hu Lab Portal search
+ * Documents are a name and a text. Words are folded to lower case without accents;
+ * Chinese, Japanese and Korean text, which has no spaces, is indexed as overlapping
+ * pairs of characters. Matches rank by BM25, with words of the name counting
+ * NAME_WEIGHT times. Queries are words, "quoted phrases" and prefix* words; a
+ * document must match all of them.
+ *   index.add(id, { name, text }); index.remove(id);
+ *   index.search(query, { filter }) -> [{ id, score }] best first
+ *   index.snippets(id, query) -> ['...<mark>word</mark>...'] (HTML-escaped)
+ */
+
+const NAME_WEIGHT = 3;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const MAX_TERM_LENGTH = 64;
+const MAX_PREFIX_EXPANSION = 50;
+const SNIPPET_LENGTH = 160;
+const MAX_SNIPPETS = 3;
+const CJK = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+const CJK_OR_OTHER = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+|[^\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+/gu;
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in', 'is', 'it',
+    'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'will', 'with'
+]);
+
+class InvertedIndex {
+    constructor() {
+        // id -> { name, text, length, terms }
+        this.documents = new Map();
+        // term -> Map(id -> weighted term frequency)
+        this.postings = new Map();
+        this.totalLength = 0;
+    }
+
+    get size() {
+        return this.documents.size;
+    }
+
+    add(id, { name = '', text = '' }) {
+        this.remove(id);
+        const counts = new Map();
+        const count = (terms, weight) => terms.forEach(term => {
+            if (!STOPWORDS.has(term)) {
+                counts.set(term, (counts.get(term) || 0) + weight);
+            }
+        });
+        count(tokenize(name), NAME_WEIGHT);
+        count(tokenize(text), 1);
+
+        let length = 0;
+        for (const [term, frequency] of counts) {
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Map());
+            }
+            this.postings.get(term).set(id, frequency);
+            length += frequency;
+        }
+        this.documents.set(id, { name, text, length, terms: Array.from(counts.keys()) });
+        this.totalLength += length;
+    }
+
+    remove(id) {
+        const document = this.documents.get(id);
+        if (!document) {
+            return false;
+        }
+        for (const term of document.terms) {
+            const posting = this.postings.get(term);
+            posting.delete(id);
+            if (posting.size === 0) {
+                this.postings.delete(term);
+            }
+        }
+        this.totalLength -= document.length;
+        this.documents.delete(id);
+        return true;
+    }
+
+    /**
+     * Ids of the documents matching a query that pass filter(id), best first
+     */
+    search(query, { filter = () => true } = {}) {
+        const parsed = parseQuery(query);
+        const clauses = parsed.words.map(word => this.expand(word));
+        parsed.phrases.forEach(phrase => {
+            phrase.filter(term => !STOPWORDS.has(term)).forEach(term => clauses.push([term]));
+        });
+        if (clauses.length === 0 || clauses.some(terms => terms.length === 0)) {
+            return [];
+        }
+
+        // Documents with a term of every clause, starting from the rarest clause
+        const postingsOf = terms => terms.map(term => this.postings.get(term)).filter(Boolean);
+        const ordered = clauses
+            .map(terms => ({ terms, postings: postingsOf(terms) }))
+            .sort((a, b) => countIds(a.postings) - countIds(b.postings));
+        let candidates = null;
+        for (const { postings } of ordered) {
+            const ids = new Set();
+            postings.forEach(posting => posting.forEach((frequency, id) => {
+                if (!candidates || candidates.has(id)) {
+                    ids.add(id);
+                }
+            }));
+            candidates = ids;
+            if (candidates.size === 0) {
+                return [];
+            }
+        }
+
+        const averageLength = this.totalLength / Math.max(this.documents.size, 1) || 1;
+        const hits = [];
+        for (const id of candidates) {
+            if (!filter(id) || !parsed.phrases.every(phrase => this.containsPhrase(id, phrase))) {
+                continue;
+            }
+            const document = this.documents.get(id);
+            const norm = BM25_K1 * (1 - BM25_B + BM25_B * document.length / averageLength);
+            let score = 0;
+            for (const { postings } of ordered) {
+                for (const posting of postings) {
+                    const frequency = posting.get(id);
+                    if (frequency) {
+                        const idf = Math.log(1 + (this.documents.size - posting.size + 0.5) / (posting.size + 0.5));
+                        score += idf * frequency * (BM25_K1 + 1) / (frequency + norm);
+                    }
+                }
+            }
+            hits.push({ id, score });
+        }
+        return hits.sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Indexed terms a query word stands for: itself, or those it starts when it ends in *
+     */
+    expand({ term, prefix }) {
+        if (!prefix) {
+            return this.postings.has(term) ? [term] : [];
+        }
+        const terms = [];
+        for (const candidate of this.postings.keys()) {
+            if (candidate.startsWith(term)) {
+                terms.push(candidate);
+                if (terms.length >= MAX_PREFIX_EXPANSION) {
+                    break;
+                }
+            }
+        }
+        return terms;
+    }
+
+    containsPhrase(id, phrase) {
+        const document = this.documents.get(id);
+        return [document.name, document.text].some(field => {
+            const terms = tokenize(field);
+            for (let i = 0; i + phrase.length <= terms.length; i++) {
+                if (phrase.every((term, offset) => terms[i + offset] === term)) {
+                    return true;
+                }
+            }
+            return false;
+        });
+    }
+
+    /**
+     * Passages of a document's text around the words of a query, with the words in
+     * <mark>; the start of the text when no word of the query is in it
+     */
+    snippets(id, query, { length = SNIPPET_LENGTH, count = MAX_SNIPPETS } = {}) {
+        const document = this.documents.get(id);
+        if (!document || !document.text) {
+            return [];
+        }
+        const text = document.text;
+        const spans = matchSpans(text, parseQuery(query));
+        if (spans.length === 0) {
+            return [passage(text, 0, Math.min(text.length, length), [])];
+        }
+
+        const windows = [];
+        for (const span of spans) {
+            if (windows.length >= count) {
+                break;
+            }
+            if (windows.some(window => span.start >= window.start && span.end <= window.end)) {
+                continue;
+            }
+            let start = Math.max(0, span.start - Math.floor(length / 3));
+            const end = Math.min(text.length, start + length);
+            start = Math.max(0, Math.min(start, end - length));
+            windows.push({ start: wordStart(text, start), end: wordEnd(text, end) });
+        }
+        return windows.map(window => passage(text, window.start, window.end, spans));
+    }
+
+    /**
+     * The name with the words of a query in <mark> (HTML-escaped)
+     */
+    highlight(id, query) {
+        const document = this.documents.get(id);
+        if (!document) {
+            return null;
+        }
+        const spans = matchSpans(document.name, parseQuery(query));
+        return passage(document.name, 0, document.name.length, spans, false);
+    }
+}
+
+/**
+ * Search terms of a text, in order
+ */
+function tokenize(text) {
+    const terms = [];
+    for (const [word] of fold(String(text || '')).matchAll(/[\p{L}\p{N}]+/gu)) {
+        for (const [piece] of word.matchAll(CJK_OR_OTHER)) {
+            if (!CJK.test(piece)) {
+                if (piece.length <= MAX_TERM_LENGTH) {
+                    terms.push(piece);
+                }
+            } else if (piece.length === 1) {
+                terms.push(piece);
+            } else {
+                const characters = Array.from(piece);
+                for (let i = 0; i + 1 < characters.length; i++) {
+                    terms.push(characters[i] + characters[i + 1]);
+                }
+            }
+        }
+    }
+    return terms;
+}
+
+/**
+ * Lower case without accents or compatibility forms
+ */
+function fold(text) {
+    return text.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * "quoted phrases", prefix* words and words: { words: [{ term, prefix }], phrases: [[term]] }
+ */
+function parseQuery(query) {
+    const words = [];
+    const phrases = [];
+    const source = String(query || '').replace(/"([^"]*)"/g, (match, phrase) => {
+        const terms = tokenize(phrase);
+        if (terms.length > 1) {
+            phrases.push(terms);
+        } else if (terms.length === 1) {
+            words.push({ term: terms[0], prefix: false });
+        }
+        return ' ';
+    });
+    for (const [, word, star] of source.matchAll(/([^\s*]+)(\*)?/g)) {
+        const terms = tokenize(word);
+        terms.forEach((term, i) => {
+            const prefix = Boolean(star) && i === terms.length - 1 && !CJK.test(term);
+            if (prefix || !STOPWORDS.has(term)) {
+                words.push({ term, prefix });
+            }
+        });
+    }
+    return { words, phrases };
+}
+
+/**
+ * Where the words of a parsed query are in a text: [{ start, end }] in order
+ */
+function matchSpans(text, { words, phrases }) {
+    const exact = new Set(words.filter(word => !word.prefix).map(word => word.term));
+    phrases.forEach(phrase => phrase.forEach(term => exact.add(term)));
+    const prefixes = words.filter(word => word.prefix).map(word => word.term);
+    const pairs = Array.from(exact).filter(term => CJK.test(term));
+
+    const spans = [];
+    for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+        const word = match[0];
+        const folded = fold(word);
+        if (exact.has(folded) || prefixes.some(prefix => folded.startsWith(prefix))) {
+            spans.push({ start: match.index, end: match.index + word.length });
+        } else if (CJK.test(word)) {
+            // Pairs of characters within a run of text without spaces
+            for (const pair of pairs) {
+                for (let at = word.indexOf(pair); at !== -1; at = word.indexOf(pair, at + 1)) {
+                    spans.push({ start: match.index + at, end: match.index + at + pair.length });
+                }
+            }
+        }
+    }
+    spans.sort((a, b) => a.start - b.start);
+    // Overlapping pairs become one span
+    return spans.reduce((merged, span) => {
+        const last = merged[merged.length - 1];
+        if (last && span.start <= last.end) {
+            last.end = Math.max(last.end, span.end);
+        } else {
+            merged.push({ ...span });
+        }
+        return merged;
+    }, []);
+}
+
+function passage(text, start, end, spans, ellipsis = true) {
+    let html = '';
+    let position = start;
+    for (const span of spans) {
+        if (span.end <= start || span.start >= end) {
+            continue;
+        }
+        const from = Math.max(span.start, position);
+        const to = Math.min(span.end, end);
+        html += escapeHtml(text.slice(position, from)) + '<mark>' + escapeHtml(text.slice(from, to)) + '</mark>';
+        position = to;
+    }
+    html += escapeHtml(text.slice(position, end));
+    html = html.replace(/\s+/g, ' ').trim();
+    if (ellipsis) {
+        html = (start > 0 ? '…' : '') + html + (end < text.length ? '…' : '');
+    }
+    return html;
+}
+
+function wordStart(text, position) {
+    while (position > 0 && /[\p{L}\p{N}]/u.test(text[position - 1]) && !CJK.test(text[position - 1])) {
+        position--;
+    }
+    return position;
+}
+
+function wordEnd(text, position) {
+    while (position < text.length && /[\p{L}\p{N}]/u.test(text[position]) && !CJK.test(text[position])) {
+        position++;
+    }
+    return position;
+}
+
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' })[ch]);
+}
+
+function countIds(postings) {
+    return postings.reduce((total, posting) => total + posting.size, 0);
+}
+
+module.exports = {
+    InvertedIndex,
+    tokenize,
+    parseQuery
+};
@@ -0,0 +1,618 @@
+/**
+ * PDF text extraction for Hu Lab Portal search
+ * Reads the objects of a PDF (object streams included), walks its page tree and runs
+ * each page's content streams, collecting the strings shown with Tj, TJ, ' and ".
+ * Strings are decoded with the font's ToUnicode map when it has one and as Latin-1
+ * otherwise; moves to a new line and wide gaps become line breaks and spaces. Only
+ * Flate-compressed and uncompressed streams are read.
+ *   extractPdfText(buffer, { maxSize }) -> text, or null for encrypted or unreadable PDFs
+ */
+
+const zlib = require('zlib');
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0A, 0x0C, 0x0D, 0x20]);
+const DELIMITERS = new Set([0x28, 0x29, 0x3C, 0x3E, 0x5B, 0x5D, 0x7B, 0x7D, 0x2F, 0x25]);
+// TJ adjustments (thousandths of a text space unit) wider than this are word gaps
+const WORD_GAP = 200;
+const MAX_PAGE_DEPTH = 64;
+
+class Ref {
+    constructor(number) {
+        this.number = number;
+    }
+}
+
+class Name {
+    constructor(value) {
+        this.value = value;
+    }
+}
+
+class Operator {
+    constructor(value) {
+        this.value = value;
+    }
+}
+
+/**
+ * Tokens and objects of PDF syntax, from a position in a buffer
+ */
+class Lexer {
+    constructor(buffer, position = 0) {
+        this.buffer = buffer;
+        this.position = position;
+    }
+
+    skipWhitespace() {
+        const { buffer } = this;
+        while (this.position < buffer.length) {
+            const byte = buffer[this.position];
+            if (WHITESPACE.has(byte)) {
+                this.position++;
+            } else if (byte === 0x25) {
+                // Comments run to the end of the line
+                while (this.position < buffer.length && buffer[this.position] !== 0x0A && buffer[this.position] !== 0x0D) {
+                    this.position++;
+                }
+            } else {
+                break;
+            }
+        }
+    }
+
+    /**
+     * The next object; in content streams operators come back as Operator tokens.
+     * Returns undefined at the end of the buffer.
+     */
+    next() {
+        this.skipWhitespace();
+        const { buffer } = this;
+        if (this.position >= buffer.length) {
+            return undefined;
+        }
+        const byte = buffer[this.position];
+
+        if (byte === 0x28) {
+            return this.literalString();
+        }
+        if (byte === 0x3C) {
+            if (buffer[this.position + 1] === 0x3C) {
+                this.position += 2;
+                return this.dictionary();
+            }
+            return this.hexString();
+        }
+        if (byte === 0x5B) {
+            this.position++;
+            const array = [];
+            for (;;) {
+                this.skipWhitespace();
+                if (this.position >= buffer.length) {
+                    return array;
+                }
+                if (buffer[this.position] === 0x5D) {
+                    this.position++;
+                    return array;
+                }
+                array.push(this.next());
+            }
+        }
+        if (byte === 0x2F) {
+            this.position++;
+            return new Name(this.regular().replace(/#([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16))));
+        }
+        if (byte === 0x5D || byte === 0x3E || byte === 0x29 || byte === 0x7B || byte === 0x7D) {
+            this.position++;
+            return new Operator(String.fromCharCode(byte));
+        }
+
+        const token = this.regular();
+        if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+            // "n g R" is a reference
+            const number = parseFloat(token);
+            const saved = this.position;
+            if (/^\d+$/.test(token)) {
+                this.skipWhitespace();
+                const generation = this.regular();
+                if (/^\d+$/.test(generation)) {
+                    this.skipWhitespace();
+                    if (this.regular() === 'R') {
+                        return new Ref(number);
+                    }
+                }
+                this.position = saved;
+            }
+            return number;
+        }
+        if (token === 'true' || token === 'false') {
+            return token === 'true';
+        }
+        if (token === 'null') {
+            return null;
+        }
+        return new Operator(token || String.fromCharCode(buffer[this.position++]));
+    }
+
+    regular() {
+        const start = this.position;
+        const { buffer } = this;
+        while (this.position < buffer.length && !WHITESPACE.has(buffer[this.position]) && !DELIMITERS.has(buffer[this.position])) {
+            this.position++;
+        }
+        return buffer.toString('latin1', start, this.position);
+    }
+
+    dictionary() {
+        const dictionary = {};
+        for (;;) {
+            this.skipWhitespace();
+            if (this.position >= this.buffer.length) {
+                return dictionary;
+            }
+            if (this.buffer[this.position] === 0x3E && this.buffer[this.position + 1] === 0x3E) {
+                this.position += 2;
+                return dictionary;
+            }
+            const key = this.next();
+            if (!(key instanceof Name)) {
+                continue;
+            }
+            dictionary[key.value] = this.next();
+        }
+    }
+
+    literalString() {
+        const { buffer } = this;
+        const bytes = [];
+        let depth = 0;
+        this.position++;
+        while (this.position < buffer.length) {
+            const byte = buffer[this.position++];
+            if (byte === 0x5C) {
+                const escaped = buffer[this.position++];
+                const simple = { 0x6E: 0x0A, 0x72: 0x0D, 0x74: 0x09, 0x62: 0x08, 0x66: 0x0C }[escaped];
+                if (simple !== undefined) {
+                    bytes.push(simple);
+                } else if (escaped >= 0x30 && escaped <= 0x37) {
+                    let octal = escaped - 0x30;
+                    for (let i = 0; i < 2 && buffer[this.position] >= 0x30 && buffer[this.position] <= 0x37; i++) {
+                        octal = octal * 8 + buffer[this.position++] - 0x30;
+                    }
+                    bytes.push(octal & 0xFF);
+                } else if (escaped === 0x0D) {
+                    // Escaped line break: the string continues on the next line
+                    if (buffer[this.position] === 0x0A) {
+                        this.position++;
+                    }
+                } else if (escaped !== 0x0A) {
+                    bytes.push(escaped);
+                }
+            } else if (byte === 0x28) {
+                depth++;
+                bytes.push(byte);
+            } else if (byte === 0x29) {
+                if (depth === 0) {
+                    break;
+                }
+                depth--;
+                bytes.push(byte);
+            } else {
+                bytes.push(byte);
+            }
+        }
+        return Buffer.from(bytes);
+    }
+
+    hexString() {
+        const end = this.buffer.indexOf(0x3E, this.position);
+        const stop = end === -1 ? this.buffer.length : end;
+        let hex = this.buffer.toString('latin1', this.position + 1, stop).replace(/[^0-9a-f]/gi, '');
+        this.position = stop + 1;
+        if (hex.length % 2) {
+            hex += '0';
+        }
+        return Buffer.from(hex, 'hex');
+    }
+}
+
+/**
+ * Objects of a PDF by number: { value, stream } with stream the raw stream bytes
+ */
+class PdfDocument {
+    constructor(buffer, maxSize) {
+        this.buffer = buffer;
+        this.maxSize = maxSize;
+        this.objects = new Map();
+        this.decoded = new Map();
+        this.readObjects();
+        this.readObjectStreams();
+    }
+
+    readObjects() {
+        const source = this.buffer.toString('latin1');
+        const pattern = /(\d+)\s+(\d+)\s+obj\b/g;
+        let match;
+        while ((match = pattern.exec(source)) !== null) {
+            const lexer = new Lexer(this.buffer, pattern.lastIndex);
+            let value;
+            try {
+                value = lexer.next();
+            } catch (error) {
+                continue;
+            }
+            let stream = null;
+            lexer.skipWhitespace();
+            if (source.startsWith('stream', lexer.position)) {
+                let start = lexer.position + 6;
+                if (source[start] === '\r') {
+                    start++;
+                }
+                if (source[start] === '\n') {
+                    start++;
+                }
+                const length = value && typeof value.Length === 'number' ? value.Length : -1;
+                let end = length >= 0 && /^\s*endstream/.test(source.substr(start + length, 20))
+                    ? start + length
+                    : source.indexOf('endstream', start);
+                if (end === -1) {
+                    end = source.length;
+                }
+                stream = this.buffer.subarray(start, end);
+                lexer.position = end;
+            }
+            // Later definitions (incremental updates) replace earlier ones
+            this.objects.set(parseInt(match[1], 10), { value, stream });
+            pattern.lastIndex = Math.max(pattern.lastIndex, lexer.position);
+        }
+    }
+
+    /**
+     * Objects compressed into object streams, unless defined directly
+     */
+    readObjectStreams() {
+        for (const object of Array.from(this.objects.values())) {
+            const { value } = object;
+            if (!object.stream || !value || !(value.Type instanceof Name) || value.Type.value !== 'ObjStm') {
+                continue;
+            }
+            const data = this.streamData(object);
+            if (!data) {
+                continue;
+            }
+            const count = this.resolve(value.N);
+            const first = this.resolve(value.First);
+            const header = new Lexer(data.subarray(0, first));
+            const offsets = [];
+            for (let i = 0; i < count; i++) {
+                const number = header.next();
+                const offset = header.next();
+                if (typeof number !== 'number' || typeof offset !== 'number') {
+                    break;
+                }
+                offsets.push([number, offset]);
+            }
+            for (const [number, offset] of offsets) {
+                if (!this.objects.has(number)) {
+                    this.objects.set(number, { value: new Lexer(data, first + offset).next(), stream: null });
+                }
+            }
+        }
+    }
+
+    get(reference) {
+        const object = reference instanceof Ref ? this.objects.get(reference.number) : null;
+        return object || null;
+    }
+
+    resolve(value) {
+        for (let depth = 0; value instanceof Ref && depth < 8; depth++) {
+            const object = this.objects.get(value.number);
+            value = object ? object.value : null;
+        }
+        return value;
+    }
+
+    /**
+     * Decoded bytes of a stream object, or null when its filters cannot be read
+     */
+    streamData(object) {
+        if (this.decoded.has(object)) {
+            return this.decoded.get(object);
+        }
+        const filter = this.resolve(object.value && object.value.Filter);
+        const filters = (Array.isArray(filter) ? filter : [filter]).filter(Boolean).map(name => this.resolve(name));
+        let data = object.stream;
+        for (const name of filters) {
+            if (!(name instanceof Name) || (name.value !== 'FlateDecode' && name.value !== 'Fl')) {
+                data = null;
+                break;
+            }
+            try {
+                data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH, maxOutputLength: this.maxSize });
+            } catch (error) {
+                data = null;
+                break;
+            }
+        }
+        this.decoded.set(object, data);
+        return data;
+    }
+
+    catalog() {
+        for (const { value } of this.objects.values()) {
+            if (value && value.Type instanceof Name && value.Type.value === 'Catalog') {
+                return value;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Page dictionaries in page tree order, each with its inherited resources
+     */
+    pages() {
+        const pages = [];
+        const seen = new Set();
+        const walk = (reference, inherited, depth) => {
+            const node = this.resolve(reference);
+            if (!node || typeof node !== 'object' || depth > MAX_PAGE_DEPTH) {
+                return;
+            }
+            if (reference instanceof Ref) {
+                if (seen.has(reference.number)) {
+                    return;
+                }
+                seen.add(reference.number);
+            }
+            const resources = node.Resources !== undefined ? this.resolve(node.Resources) : inherited;
+            if (Array.isArray(this.resolve(node.Kids))) {
+                this.resolve(node.Kids).forEach(kid => walk(kid, resources, depth + 1));
+            } else {
+                pages.push({ page: node, resources: resources || {} });
+            }
+        };
+
+        const catalog = this.catalog();
+        if (catalog && catalog.Pages) {
+            walk(catalog.Pages, null, 0);
+        }
+        if (pages.length === 0) {
+            // No usable page tree: take page objects in file order
+            for (const { value } of this.objects.values()) {
+                if (value && value.Type instanceof Name && value.Type.value === 'Page') {
+                    pages.push({ page: value, resources: this.resolve(value.Resources) || {} });
+                }
+            }
+        }
+        return pages;
+    }
+
+    contents(page) {
+        const contents = this.resolve(page.Contents);
+        const references = Array.isArray(contents) ? contents : [page.Contents];
+        return Buffer.concat(references
+            .map(reference => this.get(reference))
+            .filter(object => object && object.stream)
+            .map(object => this.streamData(object))
+            .filter(Boolean)
+            .flatMap(data => [data, Buffer.from('\n')]));
+    }
+
+    /**
+     * Decoders of a page's fonts by resource name
+     */
+    fonts(resources) {
+        const fonts = {};
+        const dictionary = this.resolve(resources.Font) || {};
+        for (const [name, reference] of Object.entries(dictionary)) {
+            const font = this.resolve(reference) || {};
+            const toUnicode = this.get(font.ToUnicode);
+            const data = toUnicode && toUnicode.stream ? this.streamData(toUnicode) : null;
+            const subtype = this.resolve(font.Subtype);
+            fonts[name] = createDecoder(data ? parseCMap(data.toString('latin1')) : null,
+                subtype instanceof Name && subtype.value === 'Type0');
+        }
+        return fonts;
+    }
+}
+
+function extractPdfText(buffer, { maxSize } = {}) {
+    const document = new PdfDocument(buffer, maxSize);
+    const trailer = buffer.toString('latin1', Math.max(0, buffer.length - 4096));
+    const encrypted = /\/Encrypt\s/.test(trailer) ||
+        Array.from(document.objects.values()).some(({ value }) => value && value.Encrypt !== undefined && value.Type instanceof Name && value.Type.value === 'XRef');
+    if (encrypted) {
+        return null;
+    }
+
+    const pages = document.pages();
+    if (pages.length === 0) {
+        return null;
+    }
+    return pages.map(({ page, resources }) => {
+        const content = document.contents(page);
+        return content.length > 0 ? pageText(content, document.fonts(resources)) : '';
+    }).join('\n\n');
+}
+
+/**
+ * Run a page's content stream and collect the text it shows
+ */
+function pageText(content, fonts) {
+    const lexer = new Lexer(content);
+    const fallback = createDecoder(null, false);
+    let operands = [];
+    let font = fallback;
+    let text = '';
+    let lineY = null;
+
+    const write = value => {
+        text += value;
+    };
+    const space = () => {
+        if (text && !/\s$/.test(text)) {
+            text += ' ';
+        }
+    };
+    const newLine = () => {
+        if (text && !text.endsWith('\n')) {
+            text += '\n';
+        }
+    };
+
+    for (;;) {
+        const token = lexer.next();
+        if (token === undefined) {
+            break;
+        }
+        if (!(token instanceof Operator)) {
+            operands.push(token);
+            continue;
+        }
+
+        switch (token.value) {
+            case 'Tf':
+                font = (operands[0] instanceof Name && fonts[operands[0].value]) || fallback;
+                break;
+            case 'Tj':
+                if (Buffer.isBuffer(operands[0])) {
+                    write(font(operands[0]));
+                }
+                break;
+            case '\'':
+            case '"':
+                newLine();
+                if (Buffer.isBuffer(operands[operands.length - 1])) {
+                    write(font(operands[operands.length - 1]));
+                }
+                break;
+            case 'TJ':
+                for (const item of Array.isArray(operands[0]) ? operands[0] : []) {
+                    if (Buffer.isBuffer(item)) {
+                        write(font(item));
+                    } else if (typeof item === 'number' && item < -WORD_GAP) {
+                        space();
+                    }
+                }
+                break;
+            case 'Td':
+            case 'TD':
+                if (operands[1]) {
+                    newLine();
+                } else if (operands[0] > 0) {
+                    space();
+                }
+                break;
+            case 'T*':
+                newLine();
+                break;
+            case 'Tm':
+                if (lineY !== null && operands[5] !== lineY) {
+                    newLine();
+                } else {
+                    space();
+                }
+                lineY = operands[5];
+                break;
+            case 'BT':
+                lineY = null;
+                break;
+            case 'ET':
+                space();
+                break;
+            case 'BI':
+                skipInlineImage(lexer);
+                break;
+            default:
+                break;
+        }
+        operands = [];
+    }
+    return text;
+}
+
+/**
+ * Inline image data runs from ID to EI and is not PDF syntax
+ */
+function skipInlineImage(lexer) {
+    const source = lexer.buffer;
+    const start = source.indexOf('ID', lexer.position, 'latin1');
+    if (start === -1) {
+        lexer.position = source.length;
+        return;
+    }
+    let end = start + 3;
+    for (;;) {
+        end = source.indexOf('EI', end, 'latin1');
+        if (end === -1) {
+            lexer.position = source.length;
+            return;
+        }
+        if (WHITESPACE.has(source[end - 1]) && (end + 2 >= source.length || WHITESPACE.has(source[end + 2]))) {
+            lexer.position = end + 2;
+            return;
+        }
+        end += 2;
+    }
+}
+
+/**
+ * bfchar and bfrange mappings of a ToUnicode CMap: { codeLength, map: code -> text }
+ */
+function parseCMap(source) {
+    const map = new Map();
+    const codespace = /begincodespacerange\s*<([0-9a-f]+)>/i.exec(source);
+    const codeLength = codespace ? Math.max(1, Math.ceil(codespace[1].length / 2)) : 2;
+    const unicode = hex => Buffer.from(hex.length % 4 ? hex.padStart(Math.ceil(hex.length / 4) * 4, '0') : hex, 'hex').swap16().toString('utf16le');
+
+    for (const [, block] of source.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+        for (const [, code, target] of block.matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]*)>/gi)) {
+            map.set(parseInt(code, 16), unicode(target));
+        }
+    }
+    for (const [, block] of source.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+        for (const [, low, high, target, list] of block.matchAll(/<([0-9a-f]+)>\s*<([0-9a-f]+)>\s*(?:<([0-9a-f]*)>|\[([^\]]*)\])/gi)) {
+            const from = parseInt(low, 16);
+            const to = Math.min(parseInt(high, 16), from + 0xFFFF);
+            if (list !== undefined) {
+                const targets = Array.from(list.matchAll(/<([0-9a-f]*)>/gi), ([, hex]) => unicode(hex));
+                targets.forEach((value, i) => {
+                    if (from + i <= to) {
+                        map.set(from + i, value);
+                    }
+                });
+                continue;
+            }
+            // Each code maps to the target with its last character moved on
+            const base = unicode(target);
+            for (let code = from; code <= to; code++) {
+                const last = base.charCodeAt(base.length - 1) + (code - from);
+                map.set(code, base.slice(0, -1) + String.fromCharCode(last));
+            }
+        }
+    }
+    return { codeLength, map };
+}
+
+/**
+ * String bytes -> text for a font. Composite (Type0) fonts without a ToUnicode map
+ * use glyph ids that cannot be turned into text.
+ */
+function createDecoder(cmap, composite) {
+    if (!cmap) {
+        return composite ? () => '' : bytes => bytes.toString('latin1');
+    }
+    return bytes => {
+        let text = '';
+        for (let i = 0; i + cmap.codeLength <= bytes.length; i += cmap.codeLength) {
+            const code = bytes.readUIntBE(i, cmap.codeLength);
+            const value = cmap.map.get(code);
+            text += value !== undefined ? value : (cmap.codeLength === 1 ? String.fromCharCode(code) : '');
+        }
+        return text;
+    };
+}
+
+module.exports = {
+    extractPdfText
+};
@@ -0,0 +1,280 @@
+/**
+ * Text extraction for Hu Lab Portal search
+ * Takes the text out of the document and spreadsheet types uploads may have:
+ *   txt, csv     decoded as UTF-8 (or UTF-16 with a byte order mark)
+ *   rtf          control words and destinations such as font tables dropped
+ *   docx         body, headers, footers, footnotes and comments
+ *   xlsx         every sheet, cells separated by tabs and rows by lines
+ *   odt, ods     the OpenDocument content part
+ *   pdf          the text shown on each page (services/search/pdfText.js)
+ *   doc, xls     legacy binary Office files: runs of readable text, which is usually
+ *                the document's text with some of its style and font names
+ *   extractText(buffer, extension, { maxSize }) -> text, or null when the content
+ *   cannot be read (encrypted or damaged files)
+ * maxSize limits how large a single part may grow when it is decompressed.
+ */
+
+const { readZip, entryData } = require('../inspection/zipArchive');
+const { decodeText } = require('../inspection/signatures');
+const { extractPdfText } = require('./pdfText');
+
+const DEFAULT_MAX_SIZE = 64 * 1024 * 1024;
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' };
+const WORD_PARTS = /^word\/(document|header\d*|footer\d*|footnotes|endnotes|comments)\.xml$/;
+const SHEET_PART = /^xl\/worksheets\/sheet(\d+)\.xml$/;
+// RTF groups that hold no document text
+const RTF_SKIPPED = new Set([
+    'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'objdata', 'themedata',
+    'colorschememapping', 'latentstyles', 'datastore', 'listtable', 'listoverridetable',
+    'rsidtbl', 'generator', 'xmlnstbl', 'filetbl', 'revtbl', 'mmathPr', 'fldinst'
+]);
+
+const extractors = {
+    txt: buffer => decodeText(buffer),
+    csv: buffer => decodeText(buffer),
+    rtf: buffer => rtfText(buffer.toString('latin1')),
+    docx: (buffer, options) => docxText(zipParts(buffer, options)),
+    xlsx: (buffer, options) => xlsxText(zipParts(buffer, options)),
+    odt: (buffer, options) => odfText(zipParts(buffer, options)),
+    ods: (buffer, options) => odfText(zipParts(buffer, options)),
+    pdf: (buffer, options) => extractPdfText(buffer, options),
+    doc: buffer => binaryText(buffer),
+    xls: buffer => binaryText(buffer)
+};
+
+function canExtract(extension) {
+    return Object.prototype.hasOwnProperty.call(extractors, extension);
+}
+
+function extractText(buffer, extension, options = {}) {
+    if (!canExtract(extension)) {
+        return null;
+    }
+    const text = extractors[extension](buffer, { maxSize: options.maxSize || DEFAULT_MAX_SIZE });
+    return text === null ? null : normalizeWhitespace(text);
+}
+
+/**
+ * Parts of a zip archive by name, inflated when read; null for a damaged archive
+ */
+function zipParts(buffer, { maxSize }) {
+    let entries;
+    try {
+        entries = readZip(buffer);
+    } catch (error) {
+        return null;
+    }
+    const byName = new Map(entries.map(entry => [entry.name, entry]));
+    return {
+        names: entries.map(entry => entry.name),
+        read: name => byName.has(name) ? entryData(byName.get(name), { maxSize }).toString('utf8') : null
+    };
+}
+
+function docxText(parts) {
+    if (!parts) {
+        return null;
+    }
+    // The body first, then the other parts in archive order
+    const names = parts.names.filter(name => WORD_PARTS.test(name))
+        .sort((a, b) => (b === 'word/document.xml') - (a === 'word/document.xml'));
+    return names.map(name => xmlText(parts.read(name)
+        .replace(/<w:(instrText|delText)\b[^>]*>[\s\S]*?<\/w:\1>/g, '')
+        .replace(/<w:tab\b[^>]*\/>/g, '\t')
+        .replace(/<w:(br|cr)\b[^>]*\/>/g, '\n')
+        .replace(/<\/w:p>/g, '\n'))).join('\n');
+}
+
+function xlsxText(parts) {
+    if (!parts) {
+        return null;
+    }
+    const shared = [];
+    const sharedXml = parts.read('xl/sharedStrings.xml');
+    if (sharedXml) {
+        // Phonetic readings (<rPh>) repeat the string in kana
+        for (const [, item] of sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)) {
+            shared.push(runsText(item.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '')));
+        }
+    }
+
+    const sheets = parts.names
+        .filter(name => SHEET_PART.test(name))
+        .sort((a, b) => SHEET_PART.exec(a)[1] - SHEET_PART.exec(b)[1]);
+    const rows = [];
+    for (const name of sheets) {
+        for (const [, row] of parts.read(name).matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+            const cells = [];
+            for (const [, attributes, content = ''] of row.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+                const type = (/\bt="(\w+)"/.exec(attributes) || [])[1];
+                const value = (/<v>([\s\S]*?)<\/v>/.exec(content) || [])[1];
+                if (type === 's') {
+                    cells.push(shared[parseInt(value, 10)] || '');
+                } else if (type === 'inlineStr') {
+                    cells.push(runsText(content));
+                } else if (value !== undefined) {
+                    cells.push(decodeEntities(value));
+                }
+            }
+            rows.push(cells.join('\t'));
+        }
+        rows.push('');
+    }
+    return rows.join('\n');
+}
+
+function odfText(parts) {
+    const content = parts && parts.read('content.xml');
+    if (content === null || content === undefined) {
+        return null;
+    }
+    return xmlText(content
+        .replace(/<text:tab\b[^>]*\/>/g, '\t')
+        .replace(/<text:line-break\b[^>]*\/>/g, '\n')
+        .replace(/<text:s\b([^>]*)\/>/g, (match, attributes) =>
+            ' '.repeat(parseInt((/text:c="(\d+)"/.exec(attributes) || [])[1], 10) || 1))
+        .replace(/<\/text:(p|h)>/g, '\n')
+        .replace(/<\/table:table-cell>/g, '\t')
+        .replace(/<\/table:table-row>/g, '\n'));
+}
+
+/**
+ * Text of the <t> runs inside a shared or inline spreadsheet string
+ */
+function runsText(xml) {
+    return Array.from(xml.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g), ([, text]) => decodeEntities(text)).join('');
+}
+
+function xmlText(xml) {
+    return decodeEntities(xml.replace(/<[^>]*>/g, ''));
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' || entity[1] === 'X'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : '';
+        }
+        return XML_ENTITIES[entity] !== undefined ? XML_ENTITIES[entity] : match;
+    });
+}
+
+/**
+ * Plain text of an RTF document. \uN characters are followed by \ucN (default 1)
+ * replacement characters for older readers, which are skipped.
+ */
+function rtfText(rtf) {
+    let output = '';
+    let state = { skip: false, uc: 1 };
+    const stack = [];
+    let replacements = 0;
+
+    const emit = text => {
+        if (replacements > 0) {
+            replacements--;
+        } else if (!state.skip) {
+            output += text;
+        }
+    };
+
+    for (let i = 0; i < rtf.length; i++) {
+        const ch = rtf[i];
+        if (ch === '{') {
+            stack.push(state);
+            state = { ...state };
+            replacements = 0;
+        } else if (ch === '}') {
+            state = stack.pop() || { skip: false, uc: 1 };
+            replacements = 0;
+        } else if (ch === '\\') {
+            const next = rtf[i + 1];
+            const word = /^([a-zA-Z]+)(-?\d+)? ?/.exec(rtf.slice(i + 1, i + 40));
+            if (word) {
+                i += word[0].length;
+                const [, name, parameter] = word;
+                const value = parameter === undefined ? null : parseInt(parameter, 10);
+                if (RTF_SKIPPED.has(name)) {
+                    state.skip = true;
+                } else if (name === 'par' || name === 'line' || name === 'row' || name === 'sect' || name === 'page') {
+                    emit('\n');
+                } else if (name === 'tab' || name === 'cell') {
+                    emit('\t');
+                } else if (name === 'uc') {
+                    state.uc = value === null ? 1 : value;
+                } else if (name === 'u' && value !== null) {
+                    emit(String.fromCharCode(value < 0 ? value + 65536 : value));
+                    replacements = state.uc;
+                } else if (name === 'emdash' || name === 'endash') {
+                    emit(name === 'emdash' ? '\u2014' : '\u2013');
+                } else if (name === 'lquote' || name === 'rquote') {
+                    emit('\'');
+                } else if (name === 'ldblquote' || name === 'rdblquote') {
+                    emit('"');
+                }
+            } else if (next === '\'') {
+                emit(String.fromCharCode(parseInt(rtf.substr(i + 2, 2), 16) || 32));
+                i += 3;
+            } else if (next === '*') {
+                state.skip = true;
+                i++;
+            } else if (next === '~') {
+                emit(' ');
+                i++;
+            } else if (next === '_') {
+                emit('-');
+                i++;
+            } else if (next === '\n' || next === '\r') {
+                emit('\n');
+                i++;
+            } else if (next !== undefined) {
+                // \\ \{ \} and the optional hyphen \-
+                if (next !== '-') {
+                    emit(next);
+                }
+                i++;
+            }
+        } else if (ch !== '\n' && ch !== '\r') {
+            emit(ch);
+        }
+    }
+    return output;
+}
+
+/**
+ * Readable runs of a legacy Office file: UTF-16 text of four or more characters and
+ * 8-bit text of six or more that contains a word
+ */
+function binaryText(buffer) {
+    const runs = [];
+    const utf16 = buffer.toString('utf16le', 0, buffer.length - (buffer.length % 2));
+    for (const [run] of utf16.matchAll(/[\p{L}\p{N}\p{P}\p{Zs}\t\r\n]{4,}/gu)) {
+        if (/\p{L}{2}/u.test(run)) {
+            runs.push(run);
+        }
+    }
+    for (const [run] of buffer.toString('latin1').matchAll(/[\x20-\x7E\xA0-\xFF\t\r\n]{6,}/g)) {
+        if (/[A-Za-z\xC0-\xFF]{3}/.test(run) && /\s/.test(run.trim())) {
+            runs.push(run);
+        }
+    }
+    return runs.join('\n');
+}
+
+/**
+ * Collapse runs of spaces and blank lines, keeping line breaks
+ */
+function normalizeWhitespace(text) {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .replace(/[^\S\n]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+module.exports = {
+    canExtract,
+    extractText
+};
@@ -0,0 +1,534 @@
+/**
+ * Search Service for Hu Lab Portal
+ * Full-text search over the current version of every versioned file. The text of
+ * documents and spreadsheets is extracted (services/search/textExtractor.js, in a
+ * worker thread) when a file changes and added with its name to an inverted index;
+ * other files are found by name only. Files are indexed one at a time in the
+ * background, and content already extracted is not extracted again when only a
+ * file's name or place changes.
+ *
+ * The index lives in memory and is saved (SEARCH_INDEX_DIR, by default data/search)
+ * shortly after it changes: the files in index.json and the text of each file in
+ * text/<fileId>.txt, written only when it was extracted again. reindex() rebuilds it
+ * from storage.
+ * Searches only return files the user may see: their own files, and the files of
+ * projects they can view; admins see every file.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const storageConfig = require('../config/storage');
+const gcsService = require('./gcsService');
+const folderService = require('./folderService');
+const { InvertedIndex, parseQuery } = require('./search/invertedIndex');
+const { canExtract } = require('./search/textExtractor');
+const { ExtractionWorker } = require('./search/extractionWorker');
+
+const MB = 1024 * 1024;
+const SNAPSHOT_NAME = 'index.json';
+const TEXT_DIRECTORY = 'text';
+const SNAPSHOT_VERSION = 2;
+// Changes are saved together, shortly after
+const PERSIST_DELAY = 2 * 1000;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+class SearchService {
+    constructor() {
+        const defaultDir = process.env.NODE_ENV === 'test' ? null : path.join(__dirname, '..', 'data', 'search');
+        this.directory = process.env.SEARCH_INDEX_DIR || defaultDir;
+        this.maxExtractBytes = Math.round((parseFloat(process.env.SEARCH_MAX_EXTRACT_MB) || 25) * MB);
+        this.maxTextChars = parseInt(process.env.SEARCH_MAX_TEXT_CHARS, 10) || 200000;
+        this.extractor = new ExtractionWorker({
+            timeout: (parseFloat(process.env.SEARCH_EXTRACT_TIMEOUT_SECONDS) || 120) * 1000
+        });
+        this.index = new InvertedIndex();
+        // fileId -> indexed file (see describe), with its text and extraction status
+        this.records = new Map();
+        // Files whose text is to be saved, or deleted, with the next snapshot
+        this.changedTexts = new Set();
+        this.removedTexts = new Set();
+        this.queue = Promise.resolve();
+        this.queued = 0;
+        this.writeQueue = Promise.resolve();
+        this.persistTimer = null;
+        this.persistedAt = null;
+        this.opened = null;
+    }
+
+    /**
+     * Load the saved index (idempotent)
+     */
+    async open() {
+        if (!this.opened) {
+            this.opened = this.load();
+        }
+        return this.opened;
+    }
+
+    async load() {
+        if (!this.directory) {
+            return true;
+        }
+        const snapshot = await this.readSnapshot();
+        if (!snapshot) {
+            return true;
+        }
+        if (snapshot.version === 1) {
+            // Texts were kept in the snapshot itself; they move to their own files
+            snapshot.files.forEach(record => {
+                this.add(record);
+                this.changedTexts.add(record.fileId);
+            });
+            this.schedulePersist();
+        } else if (snapshot.version === SNAPSHOT_VERSION) {
+            for (const record of snapshot.files) {
+                this.add({ ...record, ...await this.readText(record) });
+            }
+        }
+        this.persistedAt = snapshot.savedAt;
+        return true;
+    }
+
+    /**
+     * Index a file's current version after the files queued before it. Never rejects;
+     * failures are logged and the file is indexed again on its next change.
+     */
+    queueFile(file) {
+        this.queued++;
+        this.queue = this.queue
+            .then(() => this.indexFile(file))
+            .catch(error => console.error(`Failed to index ${file.fileId} for search:`, error.message))
+            .finally(() => {
+                this.queued--;
+            });
+        return this.queue;
+    }
+
+    /**
+     * Resolves once every queued file is indexed
+     */
+    async idle() {
+        await this.queue;
+    }
+
+    async indexFile(file) {
+        await this.open();
+        const record = this.describe(file);
+        if (!record) {
+            return this.drop(file.fileId);
+        }
+
+        const previous = this.records.get(file.fileId);
+        const unchanged = previous && previous.objectPath === record.objectPath ||
+            previous && record.sha256 && previous.sha256 === record.sha256;
+        const { text, extraction } = unchanged
+            ? { text: previous.text, extraction: previous.extraction }
+            : await this.extract(record);
+
+        this.add({ ...record, text, extraction, indexedAt: new Date().toISOString() });
+        if (!unchanged) {
+            this.changedTexts.add(file.fileId);
+            this.removedTexts.delete(file.fileId);
+        }
+        this.schedulePersist();
+        return true;
+    }
+
+    /**
+     * What the index keeps of a file's history, or null when it has no current version
+     */
+    describe(file) {
+        const current = (file.versions || []).find(entry => entry.version === file.currentVersion);
+        if (!current) {
+            return null;
+        }
+        return {
+            fileId: file.fileId,
+            name: file.name,
+            extension: path.extname(file.name).toLowerCase().substring(1),
+            owner: file.owner,
+            ownerEmail: file.ownerEmail || null,
+            projectId: file.projectId || null,
+            folder: file.folder,
+            version: current.version,
+            objectPath: current.objectPath,
+            sha256: current.sha256 || null,
+            size: current.size,
+            contentType: current.contentType || null,
+            updatedAt: current.uploadedAt || file.createdAt
+        };
+    }
+
+    /**
+     * Text of a file's current version with how it was obtained: 'text' when extracted,
+     * 'none' for types without text, 'too-large', 'unreadable' (encrypted or damaged)
+     * or 'failed'
+     */
+    async extract(record) {
+        if (!canExtract(record.extension)) {
+            return { text: '', extraction: 'none' };
+        }
+        if (record.size > this.maxExtractBytes) {
+            return { text: '', extraction: 'too-large' };
+        }
+        try {
+            const buffer = await gcsService.getFileBuffer(record.objectPath);
+            const text = await this.extractor.extract(buffer, record.extension, {
+                maxSize: this.maxExtractBytes * 4,
+                maxChars: this.maxTextChars
+            });
+            if (text === null) {
+                return { text: '', extraction: 'unreadable' };
+            }
+            return { text, extraction: 'text' };
+        } catch (error) {
+            console.error(`Failed to extract the text of ${record.objectPath}:`, error.message);
+            return { text: '', extraction: 'failed' };
+        }
+    }
+
+    add(record) {
+        this.records.set(record.fileId, record);
+        this.index.add(record.fileId, { name: record.name, text: record.text });
+    }
+
+    /**
+     * Take a file out of the index. Returns whether it was in it. Indexing queued
+     * before is waited for, so it cannot put the file back.
+     */
+    async remove(fileId) {
+        await this.idle();
+        return this.drop(fileId);
+    }
+
+    async drop(fileId) {
+        await this.open();
+        this.index.remove(fileId);
+        const removed = this.records.delete(fileId);
+        if (removed) {
+            this.changedTexts.delete(fileId);
+            this.removedTexts.add(fileId);
+            this.schedulePersist();
+        }
+        return removed;
+    }
+
+    /**
+     * Files matching a query that the user may see, best first, with passages of their
+     * text around the matches. Filters: projectId (a project the user can view),
+     * owner ('me', a user id or an email), type (extensions or categories such as
+     * documents, comma-separated) and from/to (dates the current version was uploaded).
+     */
+    async search(user, options = {}) {
+        await this.open();
+        const { query, projectId, owner, type, from, to } = this.checkOptions(options);
+        const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+        const offset = Math.max(parseInt(options.offset, 10) || 0, 0);
+
+        if (projectId) {
+            await folderService.authorize(user, projectId, 'view');
+        }
+        const ownerKey = owner === 'me' ? user.id : owner;
+        const types = type ? this.expandTypes(type) : null;
+
+        const matches = this.index.search(query, {
+            filter: fileId => {
+                const record = this.records.get(fileId);
+                const updatedAt = Date.parse(record.updatedAt);
+                return (!projectId || record.projectId === projectId) &&
+                    (!ownerKey || record.owner === ownerKey || String(record.ownerEmail || '').toLowerCase() === ownerKey.toLowerCase()) &&
+                    (!types || types.has(record.extension)) &&
+                    (!from || updatedAt >= from) &&
+                    (!to || updatedAt <= to);
+            }
+        });
+
+        // Projects are checked once per search
+        const projectAccess = new Map();
+        const visible = [];
+        for (const match of matches) {
+            if (await this.canView(user, this.records.get(match.id), projectAccess)) {
+                visible.push(match);
+            }
+        }
+
+        const hits = [];
+        let total = visible.length;
+        for (let i = offset; i < visible.length && hits.length < limit; i++) {
+            const record = this.records.get(visible[i].id);
+            // Files whose objects are gone (erased or deleted outside the portal) leave the index
+            if (!await this.exists(record)) {
+                await this.drop(record.fileId);
+                total--;
+                continue;
+            }
+            hits.push(this.describeHit(record, visible[i].score, query));
+        }
+
+        return { query, total, limit, offset, hits };
+    }
+
+    checkOptions({ q, projectId = null, owner = null, type = null, from = null, to = null }) {
+        const query = typeof q === 'string' ? q.trim() : '';
+        const parsed = parseQuery(query);
+        if (!query || query.length > 500 || parsed.words.length + parsed.phrases.length === 0) {
+            throw httpError('A search needs a query (q) of up to 500 characters with at least one word', 400);
+        }
+        const date = (value, name, endOfDay) => {
+            if (!value) {
+                return null;
+            }
+            // A date without a time covers the whole day
+            const time = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(value) && endOfDay ? `${value}T23:59:59.999Z` : value);
+            if (Number.isNaN(time)) {
+                throw httpError(`${name} must be a date (YYYY-MM-DD or ISO 8601)`, 400);
+            }
+            return time;
+        };
+        return {
+            query,
+            projectId: projectId || null,
+            owner: owner || null,
+            type: type || null,
+            from: date(from, 'from', false),
+            to: date(to, 'to', true)
+        };
+    }
+
+    /**
+     * "pdf,spreadsheets" -> extensions; categories are those of gcsService.allowedFileTypes
+     */
+    expandTypes(type) {
+        const extensions = new Set();
+        for (const name of String(type).toLowerCase().split(',').map(part => part.trim().replace(/^\./, '')).filter(Boolean)) {
+            const category = gcsService.allowedFileTypes[name];
+            if (category) {
+                category.forEach(extension => extensions.add(extension));
+            } else if (Object.values(gcsService.allowedFileTypes).some(types => types.includes(name))) {
+                extensions.add(name);
+            } else {
+                throw httpError(`Unknown file type "${name}". Expected an extension or one of: ${Object.keys(gcsService.allowedFileTypes).join(', ')}`, 400);
+            }
+        }
+        return extensions;
+    }
+
+    /**
+     * Project files may be seen by whoever can view the project, other files by their
+     * owner; admins see all
+     */
+    async canView(user, record, projectAccess) {
+        if (user.role === 'admin') {
+            return true;
+        }
+        if (!record.projectId) {
+            return record.owner === user.id;
+        }
+        if (!projectAccess.has(record.projectId)) {
+            projectAccess.set(record.projectId, await folderService.authorize(user, record.projectId, 'view')
+                .then(() => true, () => false));
+        }
+        return projectAccess.get(record.projectId);
+    }
+
+    async exists(record) {
+        const driver = storageConfig.getDriver();
+        await driver.open();
+        return driver.exists(record.objectPath);
+    }
+
+    describeHit(record, score, query) {
+        return {
+            fileId: record.fileId,
+            name: record.name,
+            highlightedName: this.index.highlight(record.fileId, query),
+            type: record.extension,
+            contentType: record.contentType,
+            size: record.size,
+            projectId: record.projectId,
+            folder: record.folder,
+            owner: record.owner,
+            ownerEmail: record.ownerEmail,
+            version: record.version,
+            updatedAt: record.updatedAt,
+            score: Math.round(score * 1000) / 1000,
+            snippets: this.index.snippets(record.fileId, query)
+        };
+    }
+
+    /**
+     * Queue every versioned file in storage for indexing and drop files that no longer
+     * exist. loadFile(fileId) returns a file's version history (or null). Resolves with
+     * the number of files queued; indexing continues in the background.
+     */
+    async reindex(loadFile) {
+        await this.open();
+        const driver = storageConfig.getDriver();
+        await driver.open();
+
+        const fileIds = new Set();
+        let pageToken = null;
+        do {
+            const page = await driver.list({ prefix: '', pageToken });
+            page.files
+                .filter(object => object.metadata && object.metadata.versionOf && !object.name.startsWith('.'))
+                .forEach(object => fileIds.add(object.metadata.versionOf));
+            pageToken = page.nextPageToken;
+        } while (pageToken);
+
+        let removed = 0;
+        for (const fileId of Array.from(this.records.keys())) {
+            if (!fileIds.has(fileId) && await this.drop(fileId)) {
+                removed++;
+            }
+        }
+
+        let queued = 0;
+        for (const fileId of fileIds) {
+            const file = await loadFile(fileId).catch(error => {
+                console.error(`Failed to load the history of ${fileId} for search:`, error.message);
+                return null;
+            });
+            if (!file) {
+                if (await this.drop(fileId)) {
+                    removed++;
+                }
+                continue;
+            }
+            // Extract again even when the content is unchanged
+            const record = this.records.get(fileId);
+            if (record) {
+                record.objectPath = null;
+                record.sha256 = null;
+            }
+            this.queueFile(file);
+            queued++;
+        }
+        return { queued, removed };
+    }
+
+    getStatus() {
+        const extraction = {};
+        for (const record of this.records.values()) {
+            extraction[record.extraction] = (extraction[record.extraction] || 0) + 1;
+        }
+        return {
+            files: this.records.size,
+            terms: this.index.postings.size,
+            extraction,
+            queued: this.queued,
+            persisted: Boolean(this.directory),
+            persistedAt: this.persistedAt,
+            limits: { maxExtractBytes: this.maxExtractBytes, maxTextChars: this.maxTextChars }
+        };
+    }
+
+    /**
+     * Persistence helpers
+     */
+    snapshotPath() {
+        return path.join(this.directory, SNAPSHOT_NAME);
+    }
+
+    textPath(fileId) {
+        return path.join(this.directory, TEXT_DIRECTORY, `${fileId}.txt`);
+    }
+
+    schedulePersist() {
+        if (!this.directory || this.persistTimer) {
+            return;
+        }
+        this.persistTimer = setTimeout(() => {
+            this.persistTimer = null;
+            this.persist().catch(error => console.error('Failed to save the search index:', error.message));
+        }, PERSIST_DELAY);
+        // Never keep the process alive just to save the index
+        this.persistTimer.unref();
+    }
+
+    /**
+     * Save the texts that changed, then the files without their texts; writes never
+     * interleave
+     */
+    persist() {
+        const write = async () => {
+            const changed = Array.from(this.changedTexts);
+            const removed = Array.from(this.removedTexts);
+            this.changedTexts.clear();
+            this.removedTexts.clear();
+            try {
+                await fs.mkdir(path.join(this.directory, TEXT_DIRECTORY), { recursive: true });
+                for (const fileId of changed) {
+                    const record = this.records.get(fileId);
+                    if (record) {
+                        await writeAtomically(this.textPath(fileId), record.text);
+                    }
+                }
+                for (const fileId of removed) {
+                    await fs.unlink(this.textPath(fileId)).catch(error => {
+                        if (error.code !== 'ENOENT') {
+                            throw error;
+                        }
+                    });
+                }
+            } catch (error) {
+                // Saved with the next snapshot instead
+                changed.forEach(fileId => this.records.has(fileId) && this.changedTexts.add(fileId));
+                removed.forEach(fileId => !this.records.has(fileId) && this.removedTexts.add(fileId));
+                throw error;
+            }
+
+            const savedAt = new Date().toISOString();
+            const files = Array.from(this.records.values(), ({ text, ...record }) => record);
+            await writeAtomically(this.snapshotPath(), JSON.stringify({ version: SNAPSHOT_VERSION, savedAt, files }));
+            this.persistedAt = savedAt;
+        };
+        this.writeQueue = this.writeQueue.then(write, write);
+        return this.writeQueue;
+    }
+
+    /**
+     * A file's saved text. A text that is missing is extracted again on the file's
+     * next change or reindex.
+     */
+    async readText(record) {
+        if (record.extraction !== 'text') {
+            return { text: '' };
+        }
+        try {
+            return { text: await fs.readFile(this.textPath(record.fileId), 'utf8') };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Failed to read the indexed text of ${record.fileId}:`, error.message);
+            }
+            return { text: '', extraction: 'failed', objectPath: null, sha256: null };
+        }
+    }
+
+    async readSnapshot() {
+        try {
+            return JSON.parse(await fs.readFile(this.snapshotPath(), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            console.error('Failed to read the search index, it will be rebuilt as files change:', error.message);
+            return null;
+        }
+    }
+}
+
+async function writeAtomically(target, data) {
+    const tmp = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, data);
+    await fs.rename(tmp, target);
+}
+
+function httpError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+module.exports = new SearchService();
@@ -0,0 +1,161 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const xapiConfig = require('../config/xapi');
+const storageConfig = require('../config/storage');
+const xapiService = require('./xapiService');
+const projectIndexService = require('./projectIndexService');
+const searchService = require('./searchService');
+
+const owner = { id: 'search-owner', email: 'search-owner@example.com', role: 'researcher' };
+const member = { id: 'search-member', email: 'search-member@example.com', role: 'student' };
+const stranger = { id: 'search-stranger', email: 'search-stranger@example.com', role: 'student' };
+const admin = { id: 'search-admin', email: 'search-admin@example.com', role: 'admin' };
+
+let nextFile = 1;
+
+beforeAll(async () => {
+    await xapiConfig.initialize();
+    await xapiService.initialize();
+    await projectIndexService.upsert({
+        id: 'search-project',
+        title: 'Search project',
+        createdBy: owner.email,
+        status: 'active',
+        collaborators: [{ email: member.email, role: 'viewer', status: 'active' }]
+    });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+    await searchService.extractor.close();
+    xapiService.outbox.close();
+});
+
+/**
+ * Store content and the version history search indexes it from
+ */
+async function storedFile(name, content, options = {}) {
+    const fileId = `search-file-${nextFile++}`;
+    const objectPath = `${owner.id}/general/${fileId}-${name}`;
+    const driver = storageConfig.getDriver();
+    await driver.open();
+    await driver.save(objectPath, Buffer.from(content));
+    return {
+        fileId,
+        name,
+        owner: owner.id,
+        ownerEmail: owner.email,
+        projectId: options.projectId || null,
+        folder: 'general',
+        currentVersion: 1,
+        createdAt: options.uploadedAt || new Date().toISOString(),
+        versions: [{ version: 1, objectPath, size: Buffer.byteLength(content), uploadedAt: options.uploadedAt || new Date().toISOString() }]
+    };
+}
+
+async function index(...files) {
+    files.forEach(file => searchService.queueFile(file));
+    await searchService.idle();
+    return files;
+}
+
+describe('searchService', () => {
+    test('finds files by the text extracted from them, with highlighted snippets', async () => {
+        const [notes] = await index(
+            await storedFile('notes.txt', 'Interview notes on photosynthesis in alpine plants.'),
+            await storedFile('results.csv', 'species,rate\nalpine sedge,4.2\n')
+        );
+
+        const result = await searchService.search(owner, { q: 'photosynthesis' });
+
+        expect(result.total).toBe(1);
+        expect(result.hits[0]).toMatchObject({ fileId: notes.fileId, type: 'txt' });
+        expect(result.hits[0].snippets[0]).toContain('<mark>photosynthesis</mark>');
+        expect((await searchService.search(owner, { q: 'alpine', type: 'csv' })).hits).toHaveLength(1);
+    });
+
+    test('extracts text in a worker thread', async () => {
+        const extract = jest.spyOn(searchService.extractor, 'extract');
+        await index(await storedFile('worker.txt', 'glacier meltwater'));
+
+        expect(extract).toHaveBeenCalledWith(expect.any(Buffer), 'txt', expect.objectContaining({ maxChars: searchService.maxTextChars }));
+        expect((await searchService.search(owner, { q: 'meltwater' })).total).toBe(1);
+    });
+
+    test('only returns files the user may see', async () => {
+        await index(
+            await storedFile('private.txt', 'tundra survey, personal copy'),
+            await storedFile('shared.txt', 'tundra survey, project copy', { projectId: 'search-project' })
+        );
+
+        const names = async user => (await searchService.search(user, { q: 'tundra' })).hits.map(hit => hit.name).sort();
+
+        expect(await names(owner)).toEqual(['private.txt', 'shared.txt']);
+        expect(await names(member)).toEqual(['shared.txt']);
+        expect(await names(stranger)).toEqual([]);
+        expect(await names(admin)).toEqual(['private.txt', 'shared.txt']);
+        await expect(searchService.search(stranger, { q: 'tundra', projectId: 'search-project' }))
+            .rejects.toMatchObject({ status: 403 });
+    });
+
+    test('filters by owner and date and refuses queries without words', async () => {
+        await index(await storedFile('dated.txt', 'permafrost cores', { uploadedAt: '2024-03-01T10:00:00.000Z' }));
+
+        expect((await searchService.search(admin, { q: 'permafrost', owner: owner.email })).total).toBe(1);
+        expect((await searchService.search(admin, { q: 'permafrost', owner: stranger.id })).total).toBe(0);
+        expect((await searchService.search(owner, { q: 'permafrost', from: '2024-03-01', to: '2024-03-01' })).total).toBe(1);
+        expect((await searchService.search(owner, { q: 'permafrost', from: '2024-03-02' })).total).toBe(0);
+        await expect(searchService.search(owner, { q: '  ' })).rejects.toMatchObject({ status: 400 });
+    });
+
+    test('keeps the text when only the name changes and drops removed files', async () => {
+        const [file] = await index(await storedFile('draft.txt', 'moraine sediment'));
+        const extract = jest.spyOn(searchService.extractor, 'extract');
+
+        await index({ ...file, name: 'final.txt' });
+        expect(extract).not.toHaveBeenCalled();
+        expect((await searchService.search(owner, { q: 'moraine' })).hits[0].name).toBe('final.txt');
+
+        await searchService.remove(file.fileId);
+        expect((await searchService.search(owner, { q: 'moraine' })).total).toBe(0);
+    });
+
+    test('saves texts separately and writes only those that changed', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'search-index-'));
+        const saved = new searchService.constructor();
+        saved.directory = directory;
+        try {
+            const first = await storedFile('first.txt', 'esker gravel');
+            const second = await storedFile('second.txt', 'drumlin field');
+            for (const file of [first, second]) {
+                await saved.indexFile(file);
+            }
+            await saved.persist();
+
+            const snapshot = JSON.parse(fs.readFileSync(path.join(directory, 'index.json'), 'utf8'));
+            expect(snapshot.files.map(record => record.text)).toEqual([undefined, undefined]);
+            expect(fs.readFileSync(path.join(directory, 'text', `${first.fileId}.txt`), 'utf8')).toBe('esker gravel');
+
+            const writeFile = jest.spyOn(fs.promises, 'writeFile');
+            await saved.indexFile({ ...first, name: 'renamed.txt' });
+            await saved.remove(second.fileId);
+            await saved.persist();
+            expect(writeFile).toHaveBeenCalledTimes(1);
+            expect(fs.existsSync(path.join(directory, 'text', `${second.fileId}.txt`))).toBe(false);
+
+            const restarted = new searchService.constructor();
+            restarted.directory = directory;
+            const result = await restarted.search(owner, { q: 'esker' });
+            expect(result.hits.map(hit => hit.name)).toEqual(['renamed.txt']);
+            await restarted.extractor.close();
+        } finally {
+            await saved.extractor.close();
+            clearTimeout(saved.persistTimer);
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,234 @@
+/**
+ * Google Cloud Storage driver for Hu Lab Portal
+ * Stores objects in a GCS bucket. Custom metadata, signed URLs (V4) and public
+ * access are GCS features; the other drivers reproduce them.
+ */
+
+const fs = require('fs').promises;
+const { pipeline } = require('stream/promises');
+const { Storage } = require('@google-cloud/storage');
+const { notFound } = require('./objectInfo');
+
+class GCSDriver {
+    constructor(options = {}) {
+        this.projectId = options.projectId;
+        this.keyFilename = options.keyFilename;
+        this.bucketName = options.bucketName;
+        this.storage = null;
+        this.bucket = null;
+        this.opened = null;
+    }
+
+    get description() {
+        return `gcs:${this.bucketName}`;
+    }
+
+    /**
+     * Connect to the bucket, creating it if it does not exist (idempotent)
+     */
+    async open() {
+        if (!this.opened) {
+            this.opened = this.connect().catch(error => {
+                this.opened = null;
+                throw error;
+            });
+        }
+        return this.opened;
+    }
+
+    async connect() {
+        const storageConfig = { projectId: this.projectId };
+
+        // Use key file if provided, otherwise rely on environment authentication
+        if (this.keyFilename && await fs.access(this.keyFilename).then(() => true, () => false)) {
+            storageConfig.keyFilename = this.keyFilename;
+        }
+
+        this.storage = new Storage(storageConfig);
+        this.bucket = this.storage.bucket(this.bucketName);
+
+        const [exists] = await this.bucket.exists();
+        if (!exists) {
+            console.log(`Bucket ${this.bucketName} does not exist, attempting to create...`);
+            try {
+                await this.bucket.create();
+                console.log(`Successfully created bucket ${this.bucketName}`);
+            } catch (createError) {
+                console.warn(`Could not create bucket: ${createError.message}`);
+                console.log('GCS will operate in limited mode - some features may not work');
+            }
+        }
+
+        return true;
+    }
+
+    async save(name, data, options = {}) {
+        await this.open();
+        const stream = this.writeStream(name, options);
+
+        await new Promise((resolve, reject) => {
+            stream.on('error', reject);
+            stream.on('finish', resolve);
+            stream.end(data);
+        });
+
+        if (options.isPublic) {
+            await this.makePublic(name);
+        }
+        return this.getMetadata(name);
+    }
+
+    /**
+     * Save a stream through a resumable upload; the object only appears once it has ended
+     */
+    async saveStream(name, stream, options = {}) {
+        await this.open();
+        await pipeline(stream, this.writeStream(name, options));
+
+        if (options.isPublic) {
+            await this.makePublic(name);
+        }
+        return this.getMetadata(name);
+    }
+
+    writeStream(name, options) {
+        return this.bucket.file(name).createWriteStream({
+            metadata: {
+                contentType: options.contentType || 'application/octet-stream',
+                metadata: options.metadata || {}
+            },
+            resumable: true,
+            validation: 'crc32c'
+        });
+    }
+
+    async read(name) {
+        await this.open();
+        try {
+            const [buffer] = await this.bucket.file(name).download();
+            return buffer;
+        } catch (error) {
+            throw error.code === 404 ? notFound(name) : error;
+        }
+    }
+
+    async createReadStream(name) {
+        await this.getMetadata(name);
+        return this.bucket.file(name).createReadStream();
+    }
+
+    async exists(name) {
+        await this.open();
+        const [exists] = await this.bucket.file(name).exists();
+        return exists;
+    }
+
+    async getMetadata(name) {
+        await this.open();
+        try {
+            const [metadata] = await this.bucket.file(name).getMetadata();
+            return toInfo(metadata);
+        } catch (error) {
+            throw error.code === 404 ? notFound(name) : error;
+        }
+    }
+
+    async setMetadata(name, metadata) {
+        await this.open();
+        try {
+            const [updated] = await this.bucket.file(name).setMetadata({ metadata });
+            return toInfo(updated);
+        } catch (error) {
+            throw error.code === 404 ? notFound(name) : error;
+        }
+    }
+
+    async list(options = {}) {
+        await this.open();
+        const { prefix = '', limit = 1000, pageToken = null } = options;
+        const [files, nextQuery] = await this.bucket.getFiles({
+            prefix,
+            maxResults: limit,
+            pageToken: pageToken || undefined,
+            autoPaginate: false
+        });
+
+        return {
+            files: files.map(file => toInfo(file.metadata)),
+            nextPageToken: nextQuery?.pageToken || null
+        };
+    }
+
+    async copy(source, destination) {
+        await this.open();
+        try {
+            const [copied] = await this.bucket.file(source).copy(this.bucket.file(destination));
+            return toInfo(copied.metadata);
+        } catch (error) {
+            throw error.code === 404 ? notFound(source) : error;
+        }
+    }
+
+    async delete(name) {
+        await this.open();
+        try {
+            await this.bucket.file(name).delete();
+        } catch (error) {
+            throw error.code === 404 ? notFound(name) : error;
+        }
+    }
+
+    /**
+     * Grant public read access. The isPublic metadata flag records it, since the
+     * object ACL is not part of the object resource.
+     */
+    async makePublic(name) {
+        await this.open();
+        const file = this.bucket.file(name);
+        await file.makePublic();
+        await file.setMetadata({ metadata: { isPublic: 'true' } });
+    }
+
+    publicUrl(name) {
+        return this.bucket.file(name).publicUrl();
+    }
+
+    async getSignedUrl(name, options = {}) {
+        await this.open();
+        const signedUrlOptions = {
+            version: 'v4',
+            action: options.action || 'read',
+            expires: options.expires || Date.now() + 15 * 60 * 1000
+        };
+        if (options.contentType && signedUrlOptions.action === 'write') {
+            signedUrlOptions.contentType = options.contentType;
+        }
+
+        const [url] = await this.bucket.file(name).getSignedUrl(signedUrlOptions);
+        return url;
+    }
+
+    async check() {
+        await this.open();
+        await this.bucket.getFiles({ maxResults: 1, autoPaginate: false });
+        return { bucket: this.bucketName };
+    }
+}
+
+/**
+ * GCS object resource to the description every driver returns
+ */
+function toInfo(metadata = {}) {
+    return {
+        name: metadata.name,
+        size: parseInt(metadata.size || 0, 10),
+        contentType: metadata.contentType,
+        created: metadata.timeCreated,
+        updated: metadata.updated,
+        md5Hash: metadata.md5Hash || null,
+        metadata: metadata.metadata || {},
+        isPublic: metadata.metadata?.isPublic === 'true'
+    };
+}
+
+module.exports = GCSDriver;
@@ -0,0 +1,42 @@
+/**
+ * File storage driver factory for Hu Lab Portal
+ * Drivers share one promise based interface, used by gcsService:
+ *   objects:   save(name, data, { contentType, metadata, isPublic }), saveStream(name, stream, options),
+ *              read, createReadStream,
+ *              exists, getMetadata, setMetadata, list({ prefix, limit, pageToken }), copy, delete
+ *   access:    getSignedUrl(name, { action, expires, contentType }), makePublic, publicUrl
+ *   lifecycle: open, check
+ * Objects are described as { name, size, contentType, created, updated, md5Hash,
+ * metadata, isPublic }; a missing object is an error with status 404.
+ * gcs stores objects in a Google Cloud Storage bucket, local in a directory and
+ * memory in the process. local and memory sign URLs with an HMAC key and also
+ * implement verifySignedUrl for routes/storage.js, which serves those URLs.
+ */
+
+const GCSDriver = require('./gcsDriver');
+const LocalDriver = require('./localDriver');
+const MemoryDriver = require('./memoryDriver');
+const { signUrl, verifySignedUrl } = require('./signedUrls');
+
+const drivers = {
+    gcs: GCSDriver,
+    local: LocalDriver,
+    memory: MemoryDriver
+};
+
+function createDriver(type, options = {}) {
+    const Driver = drivers[type];
+    if (!Driver) {
+        throw new Error(`Unknown storage driver "${type}". Expected one of: ${Object.keys(drivers).join(', ')}`);
+    }
+    return new Driver(options);
+}
+
+module.exports = {
+    createDriver,
+    GCSDriver,
+    LocalDriver,
+    MemoryDriver,
+    signUrl,
+    verifySignedUrl
+};
@@ -0,0 +1,245 @@
+/**
+ * Local filesystem storage driver for Hu Lab Portal
+ * Stores objects as files so uploads, thumbnails and storage usage work without a
+ * GCS bucket. Object data lives under <directory>/objects/<name> and its description
+ * under <directory>/metadata/<name>.json; both are replaced atomically. Signed and
+ * public URLs point at routes/storage.js, which checks their HMAC signature.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const fsp = fs.promises;
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const mime = require('mime-types');
+const { checkName, describe, mergeMetadata, listPage, notFound } = require('./objectInfo');
+const { objectUrl, signUrl, verifySignedUrl } = require('./signedUrls');
+
+class LocalDriver {
+    constructor(options = {}) {
+        if (!options.directory) {
+            throw new Error('The local storage driver needs a directory');
+        }
+        this.directory = path.resolve(options.directory);
+        this.baseUrl = options.baseUrl || 'http://localhost:3000/storage';
+        this.secret = options.secret;
+        this.opened = null;
+    }
+
+    get description() {
+        return `local:${this.directory}`;
+    }
+
+    /**
+     * Create the storage directories (idempotent)
+     */
+    async open() {
+        if (!this.opened) {
+            this.opened = Promise.all(['objects', 'metadata', 'tmp'].map(dir =>
+                fsp.mkdir(path.join(this.directory, dir), { recursive: true })
+            )).then(() => true);
+        }
+        return this.opened;
+    }
+
+    async save(name, data, options = {}) {
+        await this.open();
+        const buffer = Buffer.from(data);
+        const info = describe(checkName(name), buffer, options);
+
+        await this.writeAtomic(this.objectPath(name), buffer);
+        await this.writeInfo(info);
+        return info;
+    }
+
+    /**
+     * Save a stream without holding it in memory. The object only appears once the
+     * stream has ended, so a failed or aborted stream leaves any previous object as it was.
+     */
+    async saveStream(name, stream, options = {}) {
+        await this.open();
+        checkName(name);
+        const temporary = this.temporaryPath();
+        const hash = crypto.createHash('md5');
+        let size = 0;
+
+        try {
+            await pipeline(stream, new Transform({
+                transform(chunk, encoding, callback) {
+                    hash.update(chunk);
+                    size += chunk.length;
+                    callback(null, chunk);
+                }
+            }), fs.createWriteStream(temporary));
+
+            await fsp.mkdir(path.dirname(this.objectPath(name)), { recursive: true });
+            await fsp.rename(temporary, this.objectPath(name));
+        } catch (error) {
+            await fsp.rm(temporary, { force: true });
+            throw error;
+        }
+
+        const info = { ...describe(name, Buffer.alloc(0), options), size, md5Hash: hash.digest('base64') };
+        await this.writeInfo(info);
+        return info;
+    }
+
+    async read(name) {
+        await this.open();
+        try {
+            return await fsp.readFile(this.objectPath(name));
+        } catch (error) {
+            throw error.code === 'ENOENT' ? notFound(name) : error;
+        }
+    }
+
+    async createReadStream(name) {
+        await this.getMetadata(name);
+        return fs.createReadStream(this.objectPath(name));
+    }
+
+    async exists(name) {
+        await this.open();
+        try {
+            await fsp.access(this.objectPath(name));
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    async getMetadata(name) {
+        await this.open();
+        try {
+            return JSON.parse(await fsp.readFile(this.infoPath(name), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+
+        // Files copied into the directory by hand have no description yet
+        try {
+            const stats = await fsp.stat(this.objectPath(name));
+            return {
+                name,
+                size: stats.size,
+                contentType: mime.lookup(name) || 'application/octet-stream',
+                created: stats.birthtime.toISOString(),
+                updated: stats.mtime.toISOString(),
+                md5Hash: null,
+                metadata: {},
+                isPublic: false
+            };
+        } catch (error) {
+            throw error.code === 'ENOENT' ? notFound(name) : error;
+        }
+    }
+
+    async setMetadata(name, metadata) {
+        const info = mergeMetadata(await this.getMetadata(name), metadata);
+        await this.writeInfo(info);
+        return info;
+    }
+
+    async list(options = {}) {
+        await this.open();
+        // Only walk the directory the prefix points into
+        const prefix = options.prefix || '';
+        const base = prefix.slice(0, prefix.lastIndexOf('/') + 1);
+        const directory = base ? this.objectPath(base.slice(0, -1)) : path.join(this.directory, 'objects');
+        const { names, nextPageToken } = listPage(await this.walk(directory, base), options);
+        return {
+            files: await Promise.all(names.map(name => this.getMetadata(name))),
+            nextPageToken
+        };
+    }
+
+    async copy(source, destination) {
+        checkName(destination);
+        const info = await this.getMetadata(source);
+        const data = await this.read(source);
+        return this.save(destination, data, { contentType: info.contentType, metadata: info.metadata });
+    }
+
+    async delete(name) {
+        await this.getMetadata(name);
+        await fsp.rm(this.objectPath(name), { force: true });
+        await fsp.rm(this.infoPath(name), { force: true });
+    }
+
+    async makePublic(name) {
+        const info = await this.getMetadata(name);
+        await this.writeInfo({ ...info, isPublic: true });
+    }
+
+    publicUrl(name) {
+        return objectUrl(this.baseUrl, name);
+    }
+
+    async getSignedUrl(name, options = {}) {
+        return signUrl(this.baseUrl, this.secret, checkName(name), options);
+    }
+
+    verifySignedUrl(name, query) {
+        return verifySignedUrl(this.secret, name, query);
+    }
+
+    async check() {
+        await this.open();
+        await fsp.access(this.directory, fs.constants.W_OK);
+        return { directory: this.directory };
+    }
+
+    objectPath(name) {
+        return path.join(this.directory, 'objects', ...checkName(name).split('/'));
+    }
+
+    infoPath(name) {
+        return `${path.join(this.directory, 'metadata', ...checkName(name).split('/'))}.json`;
+    }
+
+    async writeInfo(info) {
+        await this.writeAtomic(this.infoPath(info.name), JSON.stringify(info, null, 2));
+    }
+
+    async writeAtomic(file, data) {
+        const temporary = this.temporaryPath();
+        await fsp.mkdir(path.dirname(file), { recursive: true });
+        await fsp.writeFile(temporary, data);
+        await fsp.rename(temporary, file);
+    }
+
+    temporaryPath() {
+        return path.join(this.directory, 'tmp', crypto.randomBytes(8).toString('hex'));
+    }
+
+    /**
+     * Names of the objects below a directory, each starting with prefix
+     */
+    async walk(directory, prefix) {
+        let entries;
+        try {
+            entries = await fsp.readdir(directory, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+                return [];
+            }
+            throw error;
+        }
+
+        const names = [];
+        for (const entry of entries) {
+            const name = `${prefix}${entry.name}`;
+            if (entry.isDirectory()) {
+                names.push(...await this.walk(path.join(directory, entry.name), `${name}/`));
+            } else if (entry.isFile()) {
+                names.push(name);
+            }
+        }
+        return names;
+    }
+}
+
+module.exports = LocalDriver;
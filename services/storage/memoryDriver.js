@@ -0,0 +1,114 @@
+/**
+ * In-memory storage driver for Hu Lab Portal
+ * Keeps objects in a Map for tests and throwaway development servers. Signed and
+ * public URLs work as for the local driver, served by routes/storage.js.
+ */
+
+const { Readable } = require('stream');
+const { checkName, describe, mergeMetadata, listPage, notFound } = require('./objectInfo');
+const { objectUrl, signUrl, verifySignedUrl } = require('./signedUrls');
+
+class MemoryDriver {
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl || 'http://localhost:3000/storage';
+        this.secret = options.secret;
+        this.objects = new Map();
+    }
+
+    get description() {
+        return 'memory';
+    }
+
+    async open() {
+        return true;
+    }
+
+    async save(name, data, options = {}) {
+        checkName(name);
+        const buffer = Buffer.from(data);
+        const info = describe(name, buffer, options);
+        this.objects.set(name, { data: buffer, info });
+        return { ...info };
+    }
+
+    async read(name) {
+        return Buffer.from(this.entry(name).data);
+    }
+
+    async createReadStream(name) {
+        return Readable.from([this.entry(name).data]);
+    }
+
+    async saveStream(name, stream, options = {}) {
+        const chunks = [];
+        for await (const chunk of stream) {
+            chunks.push(Buffer.from(chunk));
+        }
+        return this.save(name, Buffer.concat(chunks), options);
+    }
+
+    async exists(name) {
+        return this.objects.has(name);
+    }
+
+    async getMetadata(name) {
+        return { ...this.entry(name).info };
+    }
+
+    async setMetadata(name, metadata) {
+        const entry = this.entry(name);
+        entry.info = mergeMetadata(entry.info, metadata);
+        return { ...entry.info };
+    }
+
+    async list(options = {}) {
+        const { names, nextPageToken } = listPage([...this.objects.keys()], options);
+        return {
+            files: names.map(name => ({ ...this.objects.get(name).info })),
+            nextPageToken
+        };
+    }
+
+    async copy(source, destination) {
+        checkName(destination);
+        const { data, info } = this.entry(source);
+        const copied = { ...describe(destination, data, info), isPublic: false };
+        this.objects.set(destination, { data, info: copied });
+        return { ...copied };
+    }
+
+    async delete(name) {
+        this.entry(name);
+        this.objects.delete(name);
+    }
+
+    async makePublic(name) {
+        this.entry(name).info.isPublic = true;
+    }
+
+    publicUrl(name) {
+        return objectUrl(this.baseUrl, name);
+    }
+
+    async getSignedUrl(name, options = {}) {
+        return signUrl(this.baseUrl, this.secret, checkName(name), options);
+    }
+
+    verifySignedUrl(name, query) {
+        return verifySignedUrl(this.secret, name, query);
+    }
+
+    async check() {
+        return { objects: this.objects.size };
+    }
+
+    entry(name) {
+        const entry = this.objects.get(name);
+        if (!entry) {
+            throw notFound(name);
+        }
+        return entry;
+    }
+}
+
+module.exports = MemoryDriver;
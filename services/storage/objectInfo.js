@@ -0,0 +1,83 @@
+/**
+ * Object names and descriptions shared by the local and in-memory storage drivers
+ * Every driver describes an object the same way:
+ *   { name, size, contentType, created, updated, md5Hash, metadata, isPublic }
+ * md5Hash is base64 like GCS, metadata holds the custom key/value pairs.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Reject names that could escape the storage root or that have empty path segments
+ */
+function checkName(name) {
+    if (typeof name !== 'string' || !name || name.includes('\0') ||
+        name.split(/[\\/]/).some(part => part === '' || part === '..' || part === '.')) {
+        const error = new Error(`Invalid object name "${name}"`);
+        error.status = 400;
+        throw error;
+    }
+    return name;
+}
+
+function describe(name, buffer, options = {}) {
+    const now = new Date().toISOString();
+    return {
+        name,
+        size: buffer.length,
+        contentType: options.contentType || 'application/octet-stream',
+        created: now,
+        updated: now,
+        md5Hash: crypto.createHash('md5').update(buffer).digest('base64'),
+        metadata: { ...(options.metadata || {}) },
+        isPublic: !!options.isPublic
+    };
+}
+
+/**
+ * Merge custom metadata the way GCS does: a null value removes the key
+ */
+function mergeMetadata(info, metadata = {}) {
+    const merged = { ...info.metadata };
+    Object.entries(metadata).forEach(([key, value]) => {
+        if (value === null) {
+            delete merged[key];
+        } else {
+            merged[key] = value;
+        }
+    });
+    return { ...info, metadata: merged, updated: new Date().toISOString() };
+}
+
+/**
+ * One page of a sorted list of names. The page token is the last name of the
+ * previous page, so objects added or removed between pages do not shift results.
+ */
+function listPage(names, options = {}) {
+    const { prefix = '', limit = 1000, pageToken = null } = options;
+    const after = pageToken ? Buffer.from(pageToken, 'base64url').toString('utf8') : null;
+    const matching = names
+        .filter(name => name.startsWith(prefix) && (after === null || name > after))
+        .sort();
+    const page = matching.slice(0, limit);
+
+    return {
+        names: page,
+        nextPageToken: matching.length > limit ? Buffer.from(page[page.length - 1], 'utf8').toString('base64url') : null
+    };
+}
+
+function notFound(name) {
+    const error = new Error('File not found');
+    error.status = 404;
+    error.objectName = name;
+    return error;
+}
+
+module.exports = {
+    checkName,
+    describe,
+    mergeMetadata,
+    listPage,
+    notFound
+};
@@ -0,0 +1,73 @@
+/**
+ * HMAC-signed URLs for the local and in-memory storage drivers
+ * Stand in for GCS V4 signed URLs: the portal serves objects at
+ *   <baseUrl>/<object name>?X-Action=read&X-Expires=<ms>&X-Signature=<hex>
+ * and routes/storage.js checks the signature before reading or writing the object.
+ * Public objects are served at <baseUrl>/<object name> without a signature.
+ */
+
+const crypto = require('crypto');
+
+const ACTIONS = ['read', 'write'];
+
+function signature(secret, name, action, expires, contentType) {
+    return crypto.createHmac('sha256', secret)
+        .update([action, name, expires, contentType || ''].join('\n'))
+        .digest('hex');
+}
+
+function objectUrl(baseUrl, name) {
+    return `${baseUrl.replace(/\/$/, '')}/${name.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+/**
+ * Signed URL for an object. options: { action: 'read' | 'write', expires (ms), contentType }
+ */
+function signUrl(baseUrl, secret, name, options = {}) {
+    const action = options.action || 'read';
+    if (!ACTIONS.includes(action)) {
+        throw new Error(`Unsupported signed URL action "${action}"`);
+    }
+    const expires = Math.floor(new Date(options.expires || Date.now() + 15 * 60 * 1000).getTime());
+    const contentType = action === 'write' ? options.contentType : null;
+
+    const query = new URLSearchParams({ 'X-Action': action, 'X-Expires': String(expires) });
+    if (contentType) {
+        query.set('X-Content-Type', contentType);
+    }
+    query.set('X-Signature', signature(secret, name, action, expires, contentType));
+
+    return `${objectUrl(baseUrl, name)}?${query}`;
+}
+
+/**
+ * Check the query of a signed URL. Returns { action, contentType } or throws a 403.
+ */
+function verifySignedUrl(secret, name, query = {}, now = Date.now()) {
+    const action = query['X-Action'];
+    const expires = query['X-Expires'];
+    const contentType = query['X-Content-Type'] || null;
+    const given = Buffer.from(String(query['X-Signature'] || ''), 'utf8');
+    const expected = Buffer.from(signature(secret, name, action, expires, contentType), 'utf8');
+
+    if (!ACTIONS.includes(action) || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        throw forbidden('Invalid URL signature');
+    }
+    if (!/^\d+$/.test(String(expires)) || Number(expires) < now) {
+        throw forbidden('Signed URL has expired');
+    }
+
+    return { action, contentType };
+}
+
+function forbidden(message) {
+    const error = new Error(message);
+    error.status = 403;
+    return error;
+}
+
+module.exports = {
+    objectUrl,
+    signUrl,
+    verifySignedUrl
+};
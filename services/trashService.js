@@ -0,0 +1,625 @@
+/**
+ * Trash Service for Hu Lab Portal
+ * Deleted files and research projects go to the trash of their owner instead of being
+ * removed. For TRASH_RETENTION_DAYS (default 30) they can be restored by the owner, or
+ * by an admin on the owner's behalf, or deleted for good by them before that; a
+ * periodic job then purges them for good. Trashed files count against their owner's
+ * quota until they are purged.
+ *
+ * Each owner's trash is an xAPI activity profile document (keyed by the owner's user
+ * id, or email for projects) updated with ETag preconditions like the project index,
+ * so trashing by one user never contends with another. A small index lists the owners
+ * with a trash, for admins and the purge job. Purged items are recorded in another
+ * document, newest first, so admins can see what was deleted and when.
+ * A trashed file is hidden by fileVersionService until it is restored; a trashed
+ * project keeps the 'deleted' status its deletion gave it. Purging a project deletes
+ * its files, folder tree, project data and index entry.
+ */
+
+const uuid = require('uuid');
+const xapiService = require('./xapiService');
+const storageConfig = require('../config/storage');
+const gcsService = require('./gcsService');
+const fileVersionService = require('./fileVersionService');
+const folderService = require('./folderService');
+const projectIndexService = require('./projectIndexService');
+
+const TRASH_PROFILE_ID = 'trash';
+const PURGES_PROFILE_ID = 'trash-purges';
+const OWNERS_PROFILE_ID = 'trash-owners';
+const PROJECT_STATE_ID = 'project-data';
+const MAX_WRITE_ATTEMPTS = 5;
+const PURGE_HISTORY_LIMIT = 1000;
+const DAY = 24 * 60 * 60 * 1000;
+const TYPES = ['file', 'project'];
+
+class TrashService {
+    constructor() {
+        const retentionDays = parseFloat(process.env.TRASH_RETENTION_DAYS);
+        this.retentionDays = Number.isNaN(retentionDays) || retentionDays < 0 ? 30 : retentionDays;
+        this.purgeInterval = (parseFloat(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60) * 60 * 1000;
+        this.monitor = null;
+        this.purging = null;
+    }
+
+    get activityId() {
+        return `${xapiService.baseActivityId}/trash`;
+    }
+
+    /**
+     * Activity of one owner's trash document
+     */
+    ownerActivityId(key) {
+        return `${this.activityId}/${encodeURIComponent(key)}`;
+    }
+
+    /**
+     * Whose trash an item goes to: its owner's user id, or email when it has none
+     */
+    ownerKey(item) {
+        return item.ownerId || String(item.ownerEmail || '').toLowerCase();
+    }
+
+    /**
+     * Move a versioned file to its owner's trash
+     */
+    async trashFile(file, user) {
+        const trashed = await fileVersionService.trash(file.fileId, { userEmail: user.email });
+        const item = {
+            id: uuid.v4(),
+            type: 'file',
+            itemId: trashed.fileId,
+            name: trashed.name,
+            ownerId: trashed.owner,
+            ownerEmail: trashed.ownerEmail || null,
+            projectId: trashed.projectId || null,
+            folder: trashed.folder,
+            size: trashed.versions.reduce((total, entry) => total + (entry.size || 0), 0),
+            versionCount: trashed.versions.length,
+            deletedAt: trashed.trashedAt,
+            deletedBy: user.email
+        };
+
+        try {
+            await this.register(item);
+            await this.mutate(this.ownerKey(item), trash => {
+                trash.items[item.id] = item;
+            });
+        } catch (error) {
+            // Without an entry nobody could restore it, so it stays where it was
+            await fileVersionService.untrash(trashed.fileId).catch(() => {});
+            throw error;
+        }
+        return this.describe(item);
+    }
+
+    /**
+     * Put a project that was just marked deleted in its owner's trash. previousStatus
+     * is the status it gets back when it is restored.
+     */
+    async trashProject(project, previousStatus, user) {
+        const item = {
+            id: uuid.v4(),
+            type: 'project',
+            itemId: project.id,
+            name: project.title,
+            ownerId: null,
+            ownerEmail: project.createdBy,
+            projectId: project.id,
+            previousStatus: previousStatus && previousStatus !== 'deleted' ? previousStatus : 'active',
+            deletedAt: project.deletedAt || new Date().toISOString(),
+            deletedBy: user.email
+        };
+
+        try {
+            await this.register(item);
+            await this.mutate(this.ownerKey(item), trash => {
+                // A project is in the trash once
+                Object.keys(trash.items)
+                    .filter(id => trash.items[id].type === 'project' && trash.items[id].itemId === project.id)
+                    .forEach(id => { delete trash.items[id]; });
+                trash.items[item.id] = item;
+            });
+        } catch (error) {
+            // Without an entry nobody could restore it, so it gets its status back
+            await this.restoreProject(item).catch(rollbackError => {
+                console.error(`Failed to give project ${project.id} its status back:`, rollbackError.message);
+                error.rollbackError = rollbackError;
+            });
+            throw error;
+        }
+        return this.describe(item);
+    }
+
+    /**
+     * Items in the trash, newest first. Users see what they own; admins may list
+     * another user's trash with owner (a user id or an email) or everything with all.
+     * type narrows the list to files or projects.
+     */
+    async list(user, options = {}) {
+        const { owner = null, all = false, type = null, limit = 50, offset = 0 } = options;
+        if (type && !TYPES.includes(type)) {
+            throw httpError(`type must be one of ${TYPES.join(', ')}`, 400);
+        }
+        const isAdmin = user.role === 'admin';
+        if ((all || (owner && !this.isOwner({ ownerId: owner, ownerEmail: owner }, user))) && !isAdmin) {
+            throw httpError('Only admins can see the trash of other users', 403);
+        }
+
+        const subject = owner ? { id: owner, email: owner } : user;
+        const keys = all ? await this.allKeys() : await this.keysOf(subject);
+        const items = (await this.loadItems(keys))
+            .filter(item => all || this.isOwner(item, subject))
+            .filter(item => !type || item.type === type)
+            .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+
+        const start = Math.max(parseInt(offset, 10) || 0, 0);
+        const count = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+        return {
+            items: items.slice(start, start + count).map(item => this.describe(item)),
+            total: items.length,
+            retentionDays: this.retentionDays
+        };
+    }
+
+    /**
+     * An item in the user's trash, or in anyone's for admins
+     */
+    async get(trashId, user) {
+        const keys = user.role === 'admin' ? await this.allKeys() : await this.keysOf(user);
+        for (const key of keys) {
+            const { trash } = await this.load(key);
+            if (trash.items[trashId]) {
+                return trash.items[trashId];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Restore an item from the trash. Owners restore their own items and admins
+     * anyone's. A file of a project that is itself deleted can only come back after
+     * the project.
+     */
+    async restore(trashId, user) {
+        const item = await this.find(trashId, user);
+
+        let restored;
+        if (item.type === 'file') {
+            if (item.projectId) {
+                const project = await projectIndexService.get(item.projectId);
+                if (!project || project.status === 'deleted') {
+                    throw httpError(`Project ${item.projectId} of this file is deleted; restore the project first`, 409);
+                }
+            }
+            restored = await fileVersionService.untrash(item.itemId);
+        } else {
+            restored = await this.restoreProject(item);
+        }
+
+        await this.mutate(this.ownerKey(item), trash => {
+            delete trash.items[trashId];
+        });
+        return { item: this.describe(item), restored };
+    }
+
+    /**
+     * Delete an item in the trash for good without waiting for it to expire, freeing
+     * its space. Owners delete their own items and admins anyone's. Resolves with the
+     * purge history entries written.
+     */
+    async remove(trashId, user) {
+        const item = await this.find(trashId, user);
+        return this.purge(item, 'deleted', user.email);
+    }
+
+    /**
+     * Delete everything in the user's trash for good. Resolves with the purge history
+     * entries written.
+     */
+    async empty(user) {
+        const items = await this.loadItems(await this.keysOf(user));
+        return this.purgeItems(items.filter(item => this.isOwner(item, user)), 'deleted', user.email);
+    }
+
+    /**
+     * For a personal data erasure: purge everything in the user's trash and drop their
+     * emptied trash documents and owner entries, then replace their ids and addresses
+     * in every other trash entry and in the purge history with `replacement`. Items
+     * that fail to purge stay in the trash and are counted.
+     */
+    async erase({ ids, emails }, replacement) {
+        const addresses = emails.map(email => email.toLowerCase());
+        const theirs = value => Boolean(value) && (ids.includes(value) || addresses.includes(String(value).toLowerCase()));
+
+        const keys = new Set();
+        for (const subject of [...ids.map(id => ({ id })), ...addresses.map(email => ({ email }))]) {
+            (await this.keysOf(subject)).forEach(key => keys.add(key));
+        }
+        const owned = (await this.loadItems(Array.from(keys)))
+            .filter(item => theirs(item.ownerId) || theirs(item.ownerEmail));
+        const purged = await this.purgeItems(owned, 'erased');
+
+        const emptied = [];
+        for (const key of keys) {
+            const { trash, etag } = await this.load(key);
+            if (Object.keys(trash.items).length === 0) {
+                if (etag) {
+                    await xapiService.dropActivityProfileDocument(this.ownerActivityId(key), TRASH_PROFILE_ID);
+                }
+                emptied.push(key);
+            }
+        }
+        await this.mutateOwners(owners => {
+            emptied.forEach(key => delete owners.keys[key]);
+        });
+
+        const scrub = entry => {
+            let changed = false;
+            ['ownerId', 'ownerEmail', 'deletedBy', 'purgedBy'].forEach(field => {
+                if (theirs(entry[field])) {
+                    entry[field] = replacement;
+                    changed = true;
+                }
+            });
+            return changed;
+        };
+        // Counted on the attempt that is saved, not on every retry
+        const scrubEntries = async (mutate, entriesOf) => {
+            let count = 0;
+            await mutate(data => {
+                count = entriesOf(data).filter(entry => scrub(entry)).length;
+            });
+            return count;
+        };
+
+        let scrubbed = 0;
+        for (const key of await this.allKeys()) {
+            const { trash } = await this.load(key);
+            if (Object.values(trash.items).some(item => scrub({ ...item }))) {
+                scrubbed += await scrubEntries(change => this.mutate(key, change), trash => Object.values(trash.items));
+            }
+        }
+        scrubbed += await scrubEntries(change => this.mutateHistory(change), history => history.purges);
+
+        return {
+            purged: purged.filter(purge => purge.reason === 'erased').length,
+            failed: owned.filter(item => !purged.some(purge => purge.id === item.id)).length,
+            scrubbed
+        };
+    }
+
+    async find(trashId, user) {
+        const item = await this.get(trashId, user);
+        if (!item || (!this.isOwner(item, user) && user.role !== 'admin')) {
+            throw httpError(`Trash item ${trashId} not found`, 404);
+        }
+        return item;
+    }
+
+    /**
+     * Give a project back the status it had before it was deleted
+     */
+    async restoreProject(item) {
+        const activityId = `${xapiService.baseActivityId}/project/${item.itemId}`;
+        for (let attempt = 1; ; attempt++) {
+            const document = await xapiService.getActivityStateDocument(item.ownerEmail, activityId, PROJECT_STATE_ID);
+            if (!document) {
+                throw httpError(`Project ${item.itemId} no longer exists`, 404);
+            }
+
+            const { deletedAt, deletedBy, ...project } = document.data;
+            Object.assign(project, {
+                status: item.previousStatus || 'active',
+                updatedAt: new Date().toISOString(),
+                version: (project.version || 0) + 1
+            });
+
+            try {
+                await xapiService.saveActivityState(item.ownerEmail, activityId, PROJECT_STATE_ID, project, { etag: document.etag });
+            } catch (error) {
+                if (error.status !== 409 || attempt >= MAX_WRITE_ATTEMPTS) {
+                    throw error;
+                }
+                continue;
+            }
+
+            await projectIndexService.upsert(project);
+            return project;
+        }
+    }
+
+    /**
+     * Purged items, newest first (admins). owner narrows it to one user's items.
+     */
+    async getHistory(options = {}) {
+        const { owner = null, limit = 50, offset = 0 } = options;
+        const { history } = await this.loadHistory();
+        const purges = owner
+            ? history.purges.filter(purge => this.isOwner(purge, { id: owner, email: owner }))
+            : history.purges;
+
+        const start = Math.max(parseInt(offset, 10) || 0, 0);
+        const count = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+        return {
+            purges: purges.slice(start, start + count),
+            total: purges.length
+        };
+    }
+
+    /**
+     * Purge expired items every purgeInterval, until stop()
+     */
+    start() {
+        if (this.monitor) {
+            return;
+        }
+        this.monitor = setInterval(() => {
+            this.purgeExpired().catch(error => console.error('Trash purge failed:', error.message));
+        }, this.purgeInterval);
+        // Never keep the process alive just to empty the trash
+        this.monitor.unref();
+        this.purgeExpired().catch(error => console.error('Trash purge failed:', error.message));
+    }
+
+    stop() {
+        clearInterval(this.monitor);
+        this.monitor = null;
+    }
+
+    /**
+     * Purge every item kept longer than the retention period. An item that fails stays
+     * in the trash and is tried again on the next run.
+     */
+    async purgeExpired(now = Date.now()) {
+        if (this.purging) {
+            return this.purging;
+        }
+        this.purging = (async () => {
+            const items = await this.loadItems(await this.allKeys());
+            return this.purgeItems(items.filter(item => Date.parse(this.expiresAt(item)) <= now), 'expired');
+        })().finally(() => {
+            this.purging = null;
+        });
+        return this.purging;
+    }
+
+    /**
+     * Purge items one by one. An item that fails stays in the trash and is logged.
+     */
+    async purgeItems(items, reason, purgedBy = null) {
+        // Projects first, so the files of a purged project go with it
+        const ordered = [...items].sort((a, b) => (b.type === 'project') - (a.type === 'project'));
+        const purged = [];
+        for (const item of ordered) {
+            if (purged.some(purge => purge.id === item.id)) {
+                continue;
+            }
+            try {
+                purged.push(...await this.purge(item, reason, purgedBy));
+            } catch (error) {
+                console.error(`Failed to purge ${item.type} ${item.itemId} from the trash:`, error.message);
+            }
+        }
+        return purged;
+    }
+
+    /**
+     * Delete an item for good and record it in the purge history. Resolves with the
+     * history entries written: a project's also cover its files that were in the trash,
+     * whoever's trash they were in.
+     */
+    async purge(item, reason, purgedBy = null) {
+        const purgedAt = new Date().toISOString();
+        let purges;
+        if (item.type === 'file') {
+            const result = await fileVersionService.purge(item.itemId);
+            purges = [{ ...item, purgedAt, purgedBy, reason, versions: result.versions, bytes: result.bytes }];
+        } else {
+            const result = await this.purgeProject(item);
+            purges = [{ ...item, purgedAt, purgedBy, reason, files: result.files }];
+        }
+
+        await this.mutate(this.ownerKey(item), trash => {
+            delete trash.items[item.id];
+        });
+        if (item.type === 'project') {
+            const ofProject = entry => entry.type === 'file' && entry.projectId === item.itemId;
+            for (const key of await this.allKeys()) {
+                const { trash } = await this.load(key);
+                if (!Object.values(trash.items).some(ofProject)) {
+                    continue;
+                }
+                await this.mutate(key, current => {
+                    Object.values(current.items).filter(ofProject).forEach(entry => {
+                        delete current.items[entry.id];
+                        purges.push({ ...entry, purgedAt, purgedBy, reason: 'project purged' });
+                    });
+                });
+            }
+        }
+        await this.mutateHistory(history => {
+            history.purges = [...purges, ...history.purges].slice(0, PURGE_HISTORY_LIMIT);
+        });
+        return purges;
+    }
+
+    /**
+     * Delete every stored file of a project, then its folder tree, project data and
+     * index entry
+     */
+    async purgeProject(item) {
+        const projectId = item.itemId;
+        const driver = storageConfig.getDriver();
+        await driver.open();
+
+        const objects = [];
+        let pageToken = null;
+        do {
+            const page = await driver.list({ prefix: '', pageToken });
+            page.files
+                .filter(file => file.metadata.projectId === projectId && !file.name.startsWith('.'))
+                .forEach(file => objects.push(file));
+            pageToken = page.nextPageToken;
+        } while (pageToken);
+
+        const fileIds = new Set(objects.map(file => file.metadata.versionOf).filter(Boolean));
+        for (const fileId of fileIds) {
+            await fileVersionService.purge(fileId);
+        }
+        // Objects no history refers to, such as uploads from before version history
+        let unversioned = 0;
+        for (const file of objects) {
+            try {
+                await gcsService.deleteFile(file.name);
+                unversioned++;
+            } catch (error) {
+                if (error.status !== 404) {
+                    throw error;
+                }
+            }
+        }
+
+        await folderService.dropTree({ projectId });
+        const activityId = `${xapiService.baseActivityId}/project/${projectId}`;
+        if (await xapiService.getActivityStateDocument(item.ownerEmail, activityId, PROJECT_STATE_ID)) {
+            await xapiService.dropActivityState(item.ownerEmail, activityId, PROJECT_STATE_ID);
+        }
+        await projectIndexService.remove(projectId);
+        return { files: fileIds.size + unversioned };
+    }
+
+    expiresAt(item) {
+        return new Date(Date.parse(item.deletedAt) + this.retentionDays * DAY).toISOString();
+    }
+
+    describe(item) {
+        return { ...item, expiresAt: this.expiresAt(item) };
+    }
+
+    isOwner(item, user) {
+        const email = String(user.email || '').toLowerCase();
+        return Boolean((item.ownerId && item.ownerId === user.id) ||
+            (email && String(item.ownerEmail || '').toLowerCase() === email));
+    }
+
+    /**
+     * Keys of the trash documents that may hold a user's items: their id and email, and
+     * any other key the index records for either
+     */
+    async keysOf(user) {
+        const email = String(user.email || '').toLowerCase();
+        const keys = new Set([user.id, email].filter(Boolean));
+        const { owners } = await this.loadOwners();
+        Object.entries(owners.keys)
+            .filter(([, owner]) => (user.id && owner.ownerId === user.id) ||
+                (email && String(owner.ownerEmail || '').toLowerCase() === email))
+            .forEach(([key]) => keys.add(key));
+        return Array.from(keys);
+    }
+
+    async allKeys() {
+        const { owners } = await this.loadOwners();
+        return Object.keys(owners.keys);
+    }
+
+    /**
+     * Record the owner of an item in the index unless it is there already
+     */
+    async register(item) {
+        const key = this.ownerKey(item);
+        const { owners } = await this.loadOwners();
+        const known = owners.keys[key];
+        if (known && (known.ownerEmail || !item.ownerEmail)) {
+            return;
+        }
+        await this.mutateOwners(current => {
+            current.keys[key] = { ownerId: item.ownerId || null, ownerEmail: item.ownerEmail || null };
+        });
+    }
+
+    async loadItems(keys) {
+        const items = [];
+        for (const key of keys) {
+            const { trash } = await this.load(key);
+            items.push(...Object.values(trash.items));
+        }
+        return items;
+    }
+
+    async mutate(key, change) {
+        return this.mutateDocument(this.ownerActivityId(key), TRASH_PROFILE_ID, emptyTrash, change);
+    }
+
+    async load(key) {
+        const { data, etag } = await this.loadDocument(this.ownerActivityId(key), TRASH_PROFILE_ID, emptyTrash);
+        return { trash: data, etag };
+    }
+
+    async mutateOwners(change) {
+        return this.mutateDocument(this.activityId, OWNERS_PROFILE_ID, emptyOwners, change);
+    }
+
+    async loadOwners() {
+        const { data, etag } = await this.loadDocument(this.activityId, OWNERS_PROFILE_ID, emptyOwners);
+        return { owners: data, etag };
+    }
+
+    async mutateHistory(change) {
+        return this.mutateDocument(this.activityId, PURGES_PROFILE_ID, emptyHistory, change);
+    }
+
+    async loadHistory() {
+        const { data, etag } = await this.loadDocument(this.activityId, PURGES_PROFILE_ID, emptyHistory);
+        return { history: data, etag };
+    }
+
+    async mutateDocument(activityId, profileId, empty, change) {
+        for (let attempt = 1; ; attempt++) {
+            const { data, etag } = await this.loadDocument(activityId, profileId, empty);
+            change(data);
+            data.updatedAt = new Date().toISOString();
+
+            try {
+                await xapiService.saveActivityProfileDocument(
+                    activityId,
+                    profileId,
+                    data,
+                    etag ? { etag } : { ifNoneMatch: true }
+                );
+                return data;
+            } catch (error) {
+                if (error.status !== 409 || attempt >= MAX_WRITE_ATTEMPTS) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    async loadDocument(activityId, profileId, empty) {
+        const document = await xapiService.getActivityProfileDocument(activityId, profileId);
+        return document
+            ? { data: document.data, etag: document.etag }
+            : { data: empty(), etag: null };
+    }
+}
+
+function emptyTrash() {
+    return { items: {}, updatedAt: null };
+}
+
+function emptyOwners() {
+    return { keys: {}, updatedAt: null };
+}
+
+function emptyHistory() {
+    return { purges: [], updatedAt: null };
+}
+
+function httpError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+module.exports = new TrashService();
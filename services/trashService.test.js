@@ -0,0 +1,151 @@
+const xapiConfig = require('../config/xapi');
+const xapiService = require('./xapiService');
+const quotaService = require('./quotaService');
+const projectIndexService = require('./projectIndexService');
+const fileVersionService = require('./fileVersionService');
+const searchService = require('./searchService');
+const trashService = require('./trashService');
+
+const owner = { id: 'trash-owner', email: 'trash-owner@example.com', role: 'researcher' };
+const other = { id: 'trash-other', email: 'trash-other@example.com', role: 'student' };
+const admin = { id: 'trash-admin', email: 'trash-admin@example.com', role: 'admin' };
+
+beforeAll(async () => {
+    await xapiConfig.initialize();
+    await xapiService.initialize();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+    await searchService.idle();
+    await searchService.extractor.close();
+    quotaService.stop();
+    xapiService.outbox.close();
+});
+
+function upload(user, name, text, options = {}) {
+    return fileVersionService.addVersion(Buffer.from(text), name, {
+        userId: user.id,
+        userEmail: user.email,
+        userRole: user.role,
+        folder: 'trash-tests',
+        ...options
+    });
+}
+
+async function trashed(user, name, text, options = {}) {
+    const { fileId } = await upload(user, name, text, options);
+    return trashService.trashFile(await fileVersionService.get(fileId), user);
+}
+
+async function createProject(id, previousStatus = 'active') {
+    const project = { id, title: `Project ${id}`, createdBy: owner.email, status: previousStatus, collaborators: [] };
+    const activityId = `${xapiService.baseActivityId}/project/${id}`;
+    await xapiService.saveActivityState(owner.email, activityId, 'project-data', project);
+    await projectIndexService.upsert(project);
+
+    const deleted = { ...project, status: 'deleted', deletedAt: new Date().toISOString() };
+    await xapiService.saveActivityState(owner.email, activityId, 'project-data', deleted);
+    await projectIndexService.upsert(deleted);
+    return deleted;
+}
+
+describe('trashService', () => {
+    test('keeps each owner\'s items in their own trash document', async () => {
+        const mine = await trashed(owner, 'mine.txt', 'my notes');
+        const theirs = await trashed(other, 'theirs.txt', 'their notes');
+
+        const document = await xapiService.getActivityProfileDocument(trashService.ownerActivityId(owner.id), 'trash');
+        expect(Object.keys(document.data.items)).toContain(mine.id);
+        expect(Object.keys(document.data.items)).not.toContain(theirs.id);
+
+        const { items } = await trashService.list(owner);
+        expect(items.map(item => item.id)).toContain(mine.id);
+        expect(items.map(item => item.id)).not.toContain(theirs.id);
+        await expect(trashService.list(other, { owner: owner.email })).rejects.toMatchObject({ status: 403 });
+
+        const byEmail = await trashService.list(admin, { owner: owner.email });
+        expect(byEmail.items.map(item => item.id)).toContain(mine.id);
+        const everyone = await trashService.list(admin, { all: true });
+        expect(everyone.items.map(item => item.id)).toEqual(expect.arrayContaining([mine.id, theirs.id]));
+    });
+
+    test('lets owners and admins restore, and nobody else', async () => {
+        const item = await trashed(owner, 'restore.txt', 'restorable');
+
+        await expect(trashService.restore(item.id, other)).rejects.toMatchObject({ status: 404 });
+
+        const { restored } = await trashService.restore(item.id, admin);
+        expect(restored.name).toBe('restore.txt');
+        expect(await fileVersionService.get(item.itemId)).not.toBeNull();
+        expect((await trashService.list(owner)).items.map(entry => entry.id)).not.toContain(item.id);
+    });
+
+    test('frees the quota of an item deleted for good and records who deleted it', async () => {
+        const text = 'x'.repeat(4096);
+        const before = (await quotaService.getUsage({ userId: owner.id })).bytes;
+        const item = await trashed(owner, 'large.txt', text);
+        expect((await quotaService.getUsage({ userId: owner.id })).bytes).toBe(before + text.length);
+
+        await expect(trashService.remove(item.id, other)).rejects.toMatchObject({ status: 404 });
+        const [purge] = await trashService.remove(item.id, owner);
+
+        expect(purge).toMatchObject({ id: item.id, reason: 'deleted', purgedBy: owner.email, bytes: text.length });
+        expect((await quotaService.getUsage({ userId: owner.id })).bytes).toBe(before);
+        expect((await trashService.getHistory({ owner: owner.id })).purges[0].id).toBe(item.id);
+    });
+
+    test('empties only the user\'s own trash', async () => {
+        const mine = await trashed(other, 'empty-a.txt', 'a');
+        const second = await trashed(other, 'empty-b.txt', 'b');
+        const theirs = await trashed(owner, 'kept.txt', 'kept');
+
+        const purges = await trashService.empty(other);
+
+        expect(purges.map(purge => purge.id)).toEqual(expect.arrayContaining([mine.id, second.id]));
+        expect((await trashService.list(other)).total).toBe(0);
+        expect((await trashService.list(owner)).items.map(item => item.id)).toContain(theirs.id);
+    });
+
+    test('gives a project its status back when it cannot be put in the trash', async () => {
+        const project = await createProject('trash-rollback', 'planning');
+        jest.spyOn(trashService, 'mutate').mockRejectedValue(new Error('LRS down'));
+
+        await expect(trashService.trashProject(project, 'planning', owner)).rejects.toThrow('LRS down');
+
+        expect((await projectIndexService.get('trash-rollback')).status).toBe('planning');
+    });
+
+    test('reports a rollback that fails with the error that caused it', async () => {
+        const project = await createProject('trash-rollback-failed', 'planning');
+        jest.spyOn(trashService, 'mutate').mockRejectedValue(new Error('LRS down'));
+        jest.spyOn(trashService, 'restoreProject').mockRejectedValue(new Error('index unavailable'));
+        const logged = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await expect(trashService.trashProject(project, 'planning', owner)).rejects.toMatchObject({
+            message: 'LRS down',
+            rollbackError: expect.objectContaining({ message: 'index unavailable' })
+        });
+
+        expect(logged).toHaveBeenCalledWith('Failed to give project trash-rollback-failed its status back:', 'index unavailable');
+    });
+
+    test('purges expired items from every trash, with the files of a purged project', async () => {
+        const project = await createProject('trash-purged');
+        const projectItem = await trashService.trashProject(project, 'active', owner);
+        const memberFile = await trashed(other, 'project.txt', 'project notes', { projectId: 'trash-purged' });
+        const later = Date.now() + (trashService.retentionDays + 1) * 24 * 60 * 60 * 1000;
+
+        const purged = await trashService.purgeExpired(later);
+
+        expect(purged).toEqual(expect.arrayContaining([
+            expect.objectContaining({ id: projectItem.id, reason: 'expired' }),
+            expect.objectContaining({ id: memberFile.id })
+        ]));
+        expect((await trashService.list(admin, { all: true })).total).toBe(0);
+        expect(await projectIndexService.get('trash-purged')).toBeNull();
+    });
+});
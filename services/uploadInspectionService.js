@@ -0,0 +1,233 @@
+/**
+ * Upload Inspection Service for Hu Lab Portal
+ * Checks every upload before it is stored, instead of trusting its file extension:
+ *   - the real type is detected from the content's signature; executables and content
+ *     that does not match the extension are rejected
+ *   - SVG images are sanitised, macros are removed from Office documents and EXIF,
+ *     XMP and IPTC metadata (GPS locations included) from photos; active content that
+ *     cannot be removed (legacy Office macros, PDF scripts) is reported
+ *   - the content is sent to a malware scanner (ClamAV, a stub for development, or
+ *     one plugged in with setScanner); infected files are rejected
+ * The report is stored in the file's metadata and returned with its downloads.
+ * Rejections are errors with status 422 and the report so far as error.inspection.
+ */
+
+const path = require('path');
+const { Readable } = require('stream');
+const { HEADER_SIZE, detect, accepts, decodeText } = require('./inspection/signatures');
+const { sanitizeSvg } = require('./inspection/svgSanitizer');
+const { stripMacros, hasLegacyMacros } = require('./inspection/officeMacros');
+const { stripImageMetadata } = require('./inspection/imageMetadata');
+const { createScanner } = require('./inspection/scanners');
+
+const MB = 1024 * 1024;
+// End of the file kept while streaming; zip central directories are found there
+const TAIL_SIZE = 64 * 1024;
+const OOXML_KINDS = ['ooxml-word', 'ooxml-excel', 'ooxml-powerpoint'];
+const PHOTO_KINDS = ['jpeg', 'png', 'webp'];
+const PDF_ACTIVE_CONTENT = /\/(JavaScript|JS|Launch|EmbeddedFile)\b/;
+
+/**
+ * Start and end of content as it streams past, for inspect()
+ */
+class ContentSample {
+    constructor() {
+        this.header = Buffer.alloc(0);
+        this.tail = Buffer.alloc(0);
+        this.size = 0;
+    }
+
+    update(chunk) {
+        if (this.header.length < HEADER_SIZE) {
+            this.header = Buffer.concat([this.header, chunk.subarray(0, HEADER_SIZE - this.header.length)]);
+        }
+        this.tail = Buffer.concat([this.tail, chunk]);
+        if (this.tail.length > TAIL_SIZE) {
+            this.tail = Buffer.from(this.tail.subarray(this.tail.length - TAIL_SIZE));
+        }
+        this.size += chunk.length;
+    }
+}
+
+class UploadInspectionService {
+    constructor() {
+        this.scannerType = process.env.UPLOAD_SCANNER || 'none';
+        this.scanRequired = process.env.UPLOAD_SCAN_REQUIRED === 'true';
+        this.sanitizeLimit = (parseFloat(process.env.UPLOAD_SANITIZE_MAX_MB) || 100) * MB;
+        this.stripImageMetadata = process.env.UPLOAD_STRIP_IMAGE_METADATA !== 'false';
+        this.scanner = undefined;
+    }
+
+    /**
+     * Use another malware scanner: an object with a name and
+     * scan(stream, { name, size }) -> { status: 'clean' | 'infected', signature },
+     * or null for none
+     */
+    setScanner(scanner) {
+        this.scanner = scanner;
+    }
+
+    getScanner() {
+        if (this.scanner === undefined) {
+            this.scanner = createScanner(this.scannerType, {
+                socket: process.env.CLAMAV_SOCKET,
+                host: process.env.CLAMAV_HOST,
+                port: process.env.CLAMAV_PORT,
+                timeout: parseInt(process.env.CLAMAV_TIMEOUT_MS, 10) || undefined
+            });
+        }
+        return this.scanner;
+    }
+
+    createSample() {
+        return new ContentSample();
+    }
+
+    async inspectBuffer(buffer, fileName) {
+        return this.inspect({
+            header: buffer.subarray(0, HEADER_SIZE),
+            tail: buffer.subarray(Math.max(0, buffer.length - TAIL_SIZE)),
+            size: buffer.length,
+            read: async () => buffer,
+            open: async () => Readable.from([buffer])
+        }, fileName);
+    }
+
+    /**
+     * Inspect content given as { header, tail, size, read(), open() }: its first and last
+     * bytes, its size, and functions returning all of it as a buffer or a stream.
+     * Returns { report, buffer }, where buffer is the content to store instead when
+     * active content was removed, or null.
+     */
+    async inspect(source, fileName) {
+        const extension = path.extname(fileName).toLowerCase().substring(1);
+        const detected = detect(source.header, { tail: source.tail });
+        const report = {
+            detectedType: detected.mimeType,
+            sanitized: false,
+            removed: [],
+            warnings: [],
+            scan: null,
+            inspectedAt: new Date().toISOString()
+        };
+
+        if (detected.kind === 'executable') {
+            throw rejection(`File content is an executable program (${detected.mimeType})`, report);
+        }
+        if (!accepts(extension, detected.kind)) {
+            throw rejection(`File content (${detected.mimeType}) does not match its .${extension} extension`, report);
+        }
+
+        report.scan = await this.scan(source, fileName);
+        if (report.scan.status === 'infected') {
+            throw rejection(`File is infected (${report.scan.signature})`, report);
+        }
+        if (report.scan.status === 'error') {
+            report.warnings.push('The malware scan could not be completed');
+        }
+
+        const buffer = await this.sanitize(detected.kind, source, report);
+        report.sanitized = buffer !== null;
+        return { report, buffer };
+    }
+
+    async scan(source, fileName) {
+        let scanner = null;
+        try {
+            scanner = this.getScanner();
+            if (!scanner) {
+                return { scanner: null, status: 'skipped', signature: null };
+            }
+            const result = await scanner.scan(await source.open(), { name: fileName, size: source.size });
+            return { scanner: scanner.name, status: result.status, signature: result.signature || null };
+        } catch (error) {
+            console.error(`Malware scan of ${fileName} failed:`, error.message);
+            if (this.scanRequired) {
+                throw httpError('Upload could not be scanned for malware', 503);
+            }
+            return { scanner: scanner ? scanner.name : this.scannerType, status: 'error', signature: null };
+        }
+    }
+
+    /**
+     * Remove what can be removed and warn about the rest. Returns the content to store
+     * instead, or null to keep it as it is.
+     */
+    async sanitize(kind, source, report) {
+        const photo = PHOTO_KINDS.includes(kind) && this.stripImageMetadata;
+        const checked = kind === 'svg' || kind === 'ole2' || kind === 'pdf' || OOXML_KINDS.includes(kind) || photo;
+        if (!checked) {
+            return null;
+        }
+        if (source.size > this.sanitizeLimit) {
+            report.warnings.push('File is too large to be checked for active content and metadata');
+            return null;
+        }
+        const content = await source.read();
+
+        if (kind === 'svg') {
+            const { svg, removed } = sanitizeSvg(decodeText(content));
+            if (removed.length === 0) {
+                return null;
+            }
+            if (!/<svg[\s>]/i.test(svg)) {
+                throw rejection('SVG image has no content left once sanitised', report);
+            }
+            report.removed.push(...removed);
+            return Buffer.from(svg, 'utf8');
+        }
+
+        if (OOXML_KINDS.includes(kind)) {
+            try {
+                const { buffer, removed, activeX } = stripMacros(content);
+                if (activeX) {
+                    report.warnings.push('Document contains ActiveX controls');
+                }
+                if (removed.length === 0) {
+                    return null;
+                }
+                report.removed.push(...removed.map(name => `macro:${name}`));
+                return buffer;
+            } catch (error) {
+                if (error.code !== 'ZIP_UNSUPPORTED') {
+                    throw error;
+                }
+                report.warnings.push(`Document could not be checked for macros: ${error.message}`);
+                return null;
+            }
+        }
+
+        if (photo) {
+            try {
+                const { buffer, removed } = await stripImageMetadata(content);
+                report.removed.push(...removed);
+                return buffer;
+            } catch (error) {
+                report.warnings.push(`Image metadata could not be removed: ${error.message}`);
+                return null;
+            }
+        }
+
+        if (kind === 'ole2' && hasLegacyMacros(content)) {
+            report.warnings.push('Document contains macros, which cannot be removed from this format');
+        }
+        if (kind === 'pdf' && PDF_ACTIVE_CONTENT.test(content.toString('latin1'))) {
+            report.warnings.push('PDF contains scripts, launch actions or embedded files');
+        }
+        return null;
+    }
+}
+
+function rejection(message, report) {
+    const error = httpError(message, 422);
+    error.inspection = report;
+    return error;
+}
+
+function httpError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+module.exports = new UploadInspectionService();
@@ -0,0 +1,75 @@
+const uploadInspectionService = require('./uploadInspectionService');
+const { StubScanner } = require('./inspection/scanners');
+
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+beforeEach(() => {
+    uploadInspectionService.setScanner(new StubScanner());
+});
+
+afterEach(() => {
+    uploadInspectionService.setScanner(undefined);
+    uploadInspectionService.scanRequired = false;
+    jest.restoreAllMocks();
+});
+
+describe('uploadInspectionService', () => {
+    test('stores a sanitised copy of an SVG with scripts and reports what was removed', async () => {
+        const { report, buffer } = await uploadInspectionService.inspectBuffer(
+            Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" onload="alert(1)"><script>alert(2)</script><rect width="1"/></svg>'),
+            'figure.svg'
+        );
+
+        expect(buffer.toString()).toBe('<svg xmlns="http://www.w3.org/2000/svg"><rect width="1"/></svg>');
+        expect(report).toMatchObject({
+            detectedType: 'image/svg+xml',
+            sanitized: true,
+            removed: ['attribute:event-handler', 'element:script'],
+            scan: { scanner: 'stub', status: 'clean' }
+        });
+    });
+
+    test('keeps a clean SVG as it is', async () => {
+        const { report, buffer } = await uploadInspectionService.inspectBuffer(
+            Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"><rect width="1"/></svg>'),
+            'figure.svg'
+        );
+
+        expect(buffer).toBeNull();
+        expect(report.sanitized).toBe(false);
+    });
+
+    test('rejects an SVG with nothing left once sanitised', async () => {
+        await expect(uploadInspectionService.inspectBuffer(Buffer.from('<svg'), 'figure.svg'))
+            .rejects.toMatchObject({ status: 422 });
+    });
+
+    test('rejects a file the scanner finds infected, with the report', async () => {
+        const error = await uploadInspectionService.inspectBuffer(Buffer.from(EICAR), 'notes.txt').catch(caught => caught);
+
+        expect(error.status).toBe(422);
+        expect(error.inspection.scan).toEqual({ scanner: 'stub', status: 'infected', signature: 'Eicar-Test-Signature' });
+    });
+
+    test('rejects executables and content that does not match its extension', async () => {
+        const executable = Buffer.concat([Buffer.from('MZ'), Buffer.alloc(256)]);
+
+        await expect(uploadInspectionService.inspectBuffer(executable, 'paper.pdf'))
+            .rejects.toMatchObject({ status: 422, message: expect.stringContaining('executable') });
+        await expect(uploadInspectionService.inspectBuffer(Buffer.from('%PDF-1.7\n'), 'figure.png'))
+            .rejects.toMatchObject({ status: 422, message: expect.stringContaining('does not match') });
+    });
+
+    test('warns when the scan fails, unless a scan is required', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        uploadInspectionService.setScanner({ name: 'broken', scan: async () => { throw new Error('Scanner down'); } });
+
+        const { report } = await uploadInspectionService.inspectBuffer(Buffer.from('plain notes'), 'notes.txt');
+        expect(report.scan.status).toBe('error');
+        expect(report.warnings).toContain('The malware scan could not be completed');
+
+        uploadInspectionService.scanRequired = true;
+        await expect(uploadInspectionService.inspectBuffer(Buffer.from('plain notes'), 'notes.txt'))
+            .rejects.toMatchObject({ status: 503 });
+    });
+});
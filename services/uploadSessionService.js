@@ -0,0 +1,530 @@
+/**
+ * Upload Session Service for Hu Lab Portal
+ * Resumable, chunked uploads for files too large to send in one request, such as
+ * classroom recordings and survey exports. A session is opened with the file's size
+ * and SHA-256, checked against the user's and the project's quotas before any data
+ * is accepted, and then receives numbered chunks in any order, each with its own
+ * SHA-256. Chunks are streamed to storage as they arrive, so a reconnecting client
+ * only resends the chunks the session does not have. Completing the session streams
+ * the chunks into the final object, checks the overall checksum and records it as a
+ * file version.
+ *
+ * Sessions are xAPI activity profile documents of the upload activity, changed with
+ * ETag preconditions so only one request can start completing a session. The bytes
+ * of open sessions are reserved in one document per user and per project, which
+ * upload quota checks read. Chunks are kept in storage, so uploads survive restarts:
+ *   .uploads/parts/<uploadId>/<index>      received chunks
+ */
+
+const crypto = require('crypto');
+const { Readable, Transform } = require('stream');
+const uuid = require('uuid');
+const storageConfig = require('../config/storage');
+const xapiService = require('./xapiService');
+const gcsService = require('./gcsService');
+const fileVersionService = require('./fileVersionService');
+const folderService = require('./folderService');
+const quotaService = require('./quotaService');
+
+const SESSION_PROFILE_ID = 'upload-session';
+const RESERVATIONS_PROFILE_ID = 'upload-reservations';
+const PART_PREFIX = '.uploads/parts/';
+const MAX_WRITE_ATTEMPTS = 5;
+const MB = 1024 * 1024;
+const DEFAULT_CHUNK_SIZE = 8 * MB;
+const MIN_CHUNK_SIZE = 256 * 1024;
+const MAX_CHUNK_SIZE = 64 * MB;
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+
+class UploadSessionService {
+    constructor() {
+        this.maxFileSize = (parseFloat(process.env.UPLOAD_MAX_FILE_SIZE_MB) || 10240) * MB;
+        this.sessionTtl = (parseFloat(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+        // A session left completing this long (the server stopped mid-way) is open again
+        this.completingTimeout = (parseFloat(process.env.UPLOAD_COMPLETING_TIMEOUT_MINUTES) || 30) * 60 * 1000;
+    }
+
+    activityId(uploadId) {
+        return `${xapiService.baseActivityId}/uploads/${uploadId}`;
+    }
+
+    /**
+     * Open a session. details: { fileName, size, sha256, contentType, chunkSize,
+     * projectId, folder, comment }. A project upload needs edit access to its files.
+     */
+    async create(user, details = {}) {
+        const { fileName, contentType = null, projectId = null, comment = null } = details;
+        const size = Number(details.size);
+        const sha256 = String(details.sha256 || '').toLowerCase();
+        const chunkSize = details.chunkSize === undefined ? Math.min(DEFAULT_CHUNK_SIZE, Math.max(size, 1)) : Number(details.chunkSize);
+
+        if (typeof fileName !== 'string' || !fileName.trim()) {
+            throw httpError('fileName is required', 400);
+        }
+        try {
+            gcsService.validateFileType(fileName);
+        } catch (error) {
+            throw httpError(error.message, 400);
+        }
+        if (!Number.isInteger(size) || size < 1) {
+            throw httpError('size must be a positive number of bytes', 400);
+        }
+        if (size > this.maxFileSize) {
+            throw httpError(`File size exceeds maximum allowed size of ${this.maxFileSize / MB}MB`, 413);
+        }
+        if (!SHA256_PATTERN.test(sha256)) {
+            throw httpError('sha256 must be the hex SHA-256 of the whole file', 400);
+        }
+        if (!Number.isInteger(chunkSize) || chunkSize > MAX_CHUNK_SIZE || (chunkSize < MIN_CHUNK_SIZE && chunkSize < size)) {
+            throw httpError(`chunkSize must be between ${MIN_CHUNK_SIZE} and ${MAX_CHUNK_SIZE} bytes`, 400);
+        }
+        const folder = folderService.normalizeFolder(details.folder);
+
+        await folderService.authorize(user, projectId, 'edit');
+        await quotaService.checkUpload(user, projectId, size, await this.reservedBytes(user.id, projectId));
+
+        const now = Date.now();
+        const session = {
+            id: uuid.v4(),
+            userId: user.id,
+            userEmail: user.email,
+            userRole: user.role || null,
+            fileName,
+            size,
+            sha256,
+            contentType,
+            chunkSize,
+            chunkCount: Math.ceil(size / chunkSize),
+            projectId,
+            folder,
+            comment,
+            status: 'open',
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + this.sessionTtl).toISOString()
+        };
+
+        await this.saveSession(session, { ifNoneMatch: true });
+        await this.reserve(session);
+        return this.describe(session, []);
+    }
+
+    /**
+     * Session with the chunks received so far
+     */
+    async get(uploadId, user) {
+        const session = await this.loadSession(uploadId, user);
+        return this.describe(session, await this.receivedChunks(session));
+    }
+
+    /**
+     * Store one chunk. Chunks may be sent in any order and again; a chunk is only kept
+     * once its size and SHA-256 match.
+     */
+    async receiveChunk(uploadId, user, index, stream, checksum) {
+        const session = await this.loadSession(uploadId, user);
+        this.requireOpen(session);
+
+        const position = Number(index);
+        if (!Number.isInteger(position) || position < 0 || position >= session.chunkCount) {
+            throw httpError(`Chunk index must be between 0 and ${session.chunkCount - 1}`, 400);
+        }
+        const expected = String(checksum || '').toLowerCase();
+        if (!SHA256_PATTERN.test(expected)) {
+            throw httpError('X-Chunk-SHA256 must be the hex SHA-256 of the chunk', 400);
+        }
+
+        const expectedSize = this.chunkLength(session, position);
+        const hash = crypto.createHash('sha256');
+        let received = 0;
+        const counter = new Transform({
+            transform(chunk, encoding, callback) {
+                received += chunk.length;
+                if (received > expectedSize) {
+                    return callback(httpError(`Chunk ${position} is larger than ${expectedSize} bytes`, 400));
+                }
+                hash.update(chunk);
+                callback(null, chunk);
+            }
+        });
+        stream.on('error', error => counter.destroy(error));
+
+        const driver = await this.storage();
+        const partName = this.partName(session, position);
+        await driver.saveStream(partName, stream.pipe(counter), {
+            contentType: 'application/octet-stream',
+            metadata: { uploadId: session.id, index: String(position) }
+        });
+
+        const digest = hash.digest('hex');
+        if (received !== expectedSize || digest !== expected) {
+            await driver.delete(partName).catch(() => {});
+            throw httpError(received !== expectedSize
+                ? `Chunk ${position} should be ${expectedSize} bytes, received ${received}`
+                : `Chunk ${position} checksum mismatch`, 400);
+        }
+
+        await driver.setMetadata(partName, { sha256: digest, verified: 'true' });
+        return this.describe(session, await this.receivedChunks(session));
+    }
+
+    /**
+     * Join the chunks into the final file, check its checksum and record it as a new
+     * version of the logical file. Completing a completed session returns its result.
+     * The session is claimed first, so of concurrent calls only one assembles the file
+     * and the others get a 409.
+     */
+    async complete(uploadId, user) {
+        const loaded = await this.loadSession(uploadId, user);
+        if (loaded.status === 'completed') {
+            return { session: this.describe(loaded, []), result: loaded.result, alreadyCompleted: true };
+        }
+        this.requireOpen(loaded);
+
+        const received = await this.receivedChunks(loaded);
+        const missing = this.missingChunks(loaded, received);
+        if (missing.length > 0) {
+            const error = httpError(`${missing.length} of ${loaded.chunkCount} chunks have not been received`, 409);
+            error.missingChunks = missing;
+            throw error;
+        }
+
+        const claim = uuid.v4();
+        const session = await this.mutateSession(uploadId, current => {
+            this.requireOpen(current);
+            Object.assign(current, { status: 'completing', claim, completingAt: new Date().toISOString() });
+            delete current.error;
+        });
+
+        const driver = await this.storage();
+        const hash = crypto.createHash('sha256');
+        const parts = Array.from({ length: session.chunkCount }, (_, position) => this.partName(session, position));
+        const content = Readable.from((async function* () {
+            for (const part of parts) {
+                for await (const chunk of await driver.createReadStream(part)) {
+                    hash.update(chunk);
+                    yield chunk;
+                }
+            }
+        })());
+
+        let versioned;
+        try {
+            versioned = await fileVersionService.addStreamedVersion(content, session.fileName, {
+                userId: session.userId,
+                userEmail: session.userEmail,
+                userRole: session.userRole,
+                projectId: session.projectId,
+                folder: session.folder,
+                comment: session.comment,
+                contentType: session.contentType,
+                metadata: { uploadedVia: 'resumable', uploadId: session.id },
+                verify: upload => {
+                    // A sanitised upload is stored with less than was sent
+                    const { original } = upload.inspection || {};
+                    const size = original ? original.size : upload.size;
+                    if (size !== session.size || hash.digest('hex') !== session.sha256) {
+                        throw httpError('The assembled file does not match the size and sha256 the upload was opened with', 400);
+                    }
+                }
+            });
+        } catch (error) {
+            // A checksum mismatch or a rejected file cannot be fixed by resending chunks
+            const status = error.status === 400 || error.status === 422 ? 'failed' : 'open';
+            await this.settle(session, { status, error: error.message }).catch(() => {});
+            if (status === 'failed') {
+                await this.deleteParts(session);
+                await this.release(session);
+            }
+            throw error;
+        }
+
+        const result = {
+            versionedFileId: versioned.fileId,
+            version: versioned.version,
+            versionCount: versioned.versionCount,
+            file: versioned.upload
+        };
+        const completed = await this.settle(session, { status: 'completed', completedAt: new Date().toISOString(), result });
+        await this.deleteParts(session);
+        await this.release(session);
+
+        return { session: this.describe(completed, []), result };
+    }
+
+    /**
+     * Leave the completing state, if this claim still holds the session
+     */
+    async settle(session, fields) {
+        return this.mutateSession(session.id, current => {
+            if (current.status !== 'completing' || current.claim !== session.claim) {
+                throw httpError('Upload was taken over by another request', 409);
+            }
+            Object.assign(current, fields);
+            delete current.claim;
+            delete current.completingAt;
+        });
+    }
+
+    /**
+     * Abandon a session and delete its chunks
+     */
+    async abort(uploadId, user) {
+        const session = await this.loadSession(uploadId, user);
+        if (this.statusOf(session) === 'completing') {
+            throw httpError('Upload is completing', 409);
+        }
+        await this.purge(session);
+        return { id: session.id, aborted: true };
+    }
+
+    /**
+     * Bytes promised to open sessions of a user and of a project, which count against
+     * their quotas, read from their reservation documents
+     */
+    async reservedBytes(userId, projectId = null) {
+        const total = async scope => {
+            const { reservations } = await this.loadReservations(scope);
+            return Object.values(reservations.uploads)
+                .filter(entry => !this.isExpired(entry))
+                .reduce((sum, entry) => sum + entry.bytes, 0);
+        };
+        return {
+            user: await total({ userId }),
+            project: projectId ? await total({ projectId }) : 0
+        };
+    }
+
+    /**
+     * Reserve a new session's bytes for its user and project
+     */
+    async reserve(session) {
+        for (const scope of this.scopesOf(session)) {
+            await this.mutateReservations(scope, reservations => {
+                reservations.uploads[session.id] = { bytes: session.size, expiresAt: session.expiresAt };
+            });
+        }
+    }
+
+    /**
+     * Give back a finished or abandoned session's reservation
+     */
+    async release(session) {
+        for (const scope of this.scopesOf(session)) {
+            await this.mutateReservations(scope, reservations => {
+                delete reservations.uploads[session.id];
+            }).catch(error => {
+                console.error(`Failed to release the reservation of upload ${session.id}:`, error.message);
+            });
+        }
+    }
+
+    scopesOf(session) {
+        return session.projectId
+            ? [{ userId: session.userId }, { projectId: session.projectId }]
+            : [{ userId: session.userId }];
+    }
+
+    /**
+     * Read-modify-write a reservation document. Expired uploads are dropped from it and
+     * their chunks deleted once the write succeeds.
+     */
+    async mutateReservations(scope, change) {
+        for (let attempt = 1; ; attempt++) {
+            const { reservations, etag } = await this.loadReservations(scope);
+            const expired = Object.keys(reservations.uploads).filter(id => this.isExpired(reservations.uploads[id]));
+            expired.forEach(id => delete reservations.uploads[id]);
+            change(reservations);
+
+            try {
+                await xapiService.saveActivityProfileDocument(
+                    quotaService.activityId(scope),
+                    RESERVATIONS_PROFILE_ID,
+                    reservations,
+                    etag ? { etag } : { ifNoneMatch: true }
+                );
+            } catch (error) {
+                if (error.status !== 409 || attempt >= MAX_WRITE_ATTEMPTS) {
+                    throw error;
+                }
+                continue;
+            }
+
+            for (const id of expired) {
+                await this.purge({ id }).catch(() => {});
+            }
+            return reservations;
+        }
+    }
+
+    async loadReservations(scope) {
+        const document = await xapiService.getActivityProfileDocument(quotaService.activityId(scope), RESERVATIONS_PROFILE_ID);
+        return document
+            ? { reservations: document.data, etag: document.etag }
+            : { reservations: { uploads: {} }, etag: null };
+    }
+
+    /**
+     * Delete a session, its chunks and its reservations
+     */
+    async purge(session) {
+        const driver = await this.storage();
+        let pageToken = null;
+        do {
+            const page = await driver.list({ prefix: `${PART_PREFIX}${session.id}/`, pageToken });
+            for (const file of page.files) {
+                await driver.delete(file.name).catch(() => {});
+            }
+            pageToken = page.nextPageToken;
+        } while (pageToken);
+
+        await xapiService.dropActivityProfileDocument(this.activityId(session.id), SESSION_PROFILE_ID).catch(() => {});
+        if (session.userId) {
+            await this.release(session);
+        }
+    }
+
+    describe(session, received) {
+        const { result, error, claim, ...fields } = session;
+        const description = {
+            ...fields,
+            status: this.statusOf(session),
+            receivedChunks: received,
+            missingChunks: session.status === 'completed' ? [] : this.missingChunks(session, received),
+            receivedBytes: received.reduce((total, position) => total + this.chunkLength(session, position), 0)
+        };
+        if (error) {
+            description.error = error;
+        }
+        if (result) {
+            description.result = result;
+        }
+        return description;
+    }
+
+    async receivedChunks(session) {
+        const driver = await this.storage();
+        const received = [];
+        let pageToken = null;
+        do {
+            const page = await driver.list({ prefix: `${PART_PREFIX}${session.id}/`, pageToken });
+            page.files
+                .filter(file => file.metadata.verified === 'true')
+                .forEach(file => received.push(Number(file.metadata.index)));
+            pageToken = page.nextPageToken;
+        } while (pageToken);
+        return received.sort((a, b) => a - b);
+    }
+
+    missingChunks(session, received) {
+        const have = new Set(received);
+        return Array.from({ length: session.chunkCount }, (_, position) => position)
+            .filter(position => !have.has(position));
+    }
+
+    chunkLength(session, position) {
+        return position === session.chunkCount - 1
+            ? session.size - position * session.chunkSize
+            : session.chunkSize;
+    }
+
+    async deleteParts(session) {
+        const driver = await this.storage();
+        for (let position = 0; position < session.chunkCount; position++) {
+            await driver.delete(this.partName(session, position)).catch(() => {});
+        }
+    }
+
+    /**
+     * Load a session of the user (admins may load any). Expired sessions are gone.
+     */
+    async loadSession(uploadId, user) {
+        if (!/^[0-9a-f-]{36}$/.test(String(uploadId))) {
+            throw httpError('Upload not found', 404);
+        }
+
+        const { session } = await this.load(uploadId);
+        if (!session) {
+            throw httpError('Upload not found', 404);
+        }
+        if (session.userId !== user.id && user.role !== 'admin') {
+            throw httpError('Upload belongs to another user', 403);
+        }
+        if (this.isExpired(session)) {
+            await this.purge(session);
+            throw httpError('Upload has expired', 410);
+        }
+        return session;
+    }
+
+    async load(uploadId) {
+        const document = await xapiService.getActivityProfileDocument(this.activityId(uploadId), SESSION_PROFILE_ID);
+        return document ? { session: document.data, etag: document.etag } : { session: null, etag: null };
+    }
+
+    async saveSession(session, precondition = {}) {
+        await xapiService.saveActivityProfileDocument(this.activityId(session.id), SESSION_PROFILE_ID, session, precondition);
+    }
+
+    /**
+     * Read-modify-write a session, retrying when another request got there first.
+     * change sees the latest session and may throw to refuse the change.
+     */
+    async mutateSession(uploadId, change) {
+        for (let attempt = 1; ; attempt++) {
+            const { session, etag } = await this.load(uploadId);
+            if (!session) {
+                throw httpError('Upload not found', 404);
+            }
+            change(session);
+
+            try {
+                await this.saveSession(session, { etag });
+                return session;
+            } catch (error) {
+                if (error.status !== 409 || attempt >= MAX_WRITE_ATTEMPTS) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    /**
+     * Status of a session, where a completing session whose request stopped long ago
+     * counts as open again
+     */
+    statusOf(session, now = Date.now()) {
+        if (session.status === 'completing' && Date.parse(session.completingAt) + this.completingTimeout < now) {
+            return 'open';
+        }
+        return session.status;
+    }
+
+    requireOpen(session) {
+        const status = this.statusOf(session);
+        if (status !== 'open') {
+            throw httpError(`Upload is ${status}`, 409);
+        }
+    }
+
+    isExpired(session, now = Date.now()) {
+        return Date.parse(session.expiresAt) < now;
+    }
+
+    partName(session, position) {
+        return `${PART_PREFIX}${session.id}/${String(position).padStart(6, '0')}`;
+    }
+
+    async storage() {
+        const driver = storageConfig.getDriver();
+        await driver.open();
+        return driver;
+    }
+}
+
+function httpError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+module.exports = new UploadSessionService();
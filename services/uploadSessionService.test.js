@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const xapiConfig = require('../config/xapi');
+const xapiService = require('./xapiService');
+const fileVersionService = require('./fileVersionService');
+const projectIndexService = require('./projectIndexService');
+const uploadSessionService = require('./uploadSessionService');
+
+const user = { id: 'uploader-1', email: 'uploader@example.com', role: 'researcher' };
+const CHUNK_SIZE = 256 * 1024;
+
+beforeAll(async () => {
+    await xapiConfig.initialize();
+    await xapiService.initialize();
+    await projectIndexService.upsert({ id: 'reserved-project', title: 'Reserved', createdBy: 'uploader-reserved@example.com', status: 'active' });
+});
+
+afterAll(() => {
+    xapiService.outbox.close();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Open an upload of content split into CHUNK_SIZE chunks
+ */
+async function open(content, details = {}) {
+    return uploadSessionService.create(user, {
+        fileName: 'recording.txt',
+        size: content.length,
+        sha256: sha256(content),
+        chunkSize: CHUNK_SIZE,
+        ...details
+    });
+}
+
+async function send(upload, content, index) {
+    const chunk = content.subarray(index * CHUNK_SIZE, (index + 1) * CHUNK_SIZE);
+    return uploadSessionService.receiveChunk(upload.id, user, index, Readable.from([chunk]), sha256(chunk));
+}
+
+describe('uploadSessionService', () => {
+    test('resumes with the missing chunks and completes into a file version', async () => {
+        const content = Buffer.alloc(CHUNK_SIZE * 2 + 100, 'resumable lecture notes\n');
+        const upload = await open(content, { folder: 'resumable' });
+
+        await send(upload, content, 2);
+        await send(upload, content, 0);
+        expect((await uploadSessionService.get(upload.id, user)).missingChunks).toEqual([1]);
+        await expect(uploadSessionService.complete(upload.id, user)).rejects.toMatchObject({ status: 409, missingChunks: [1] });
+
+        await send(upload, content, 1);
+        const { session, result } = await uploadSessionService.complete(upload.id, user);
+
+        expect(session.status).toBe('completed');
+        const file = await fileVersionService.get(result.versionedFileId);
+        expect(file.versions[0]).toMatchObject({ size: content.length, sha256: sha256(content) });
+        expect((await uploadSessionService.complete(upload.id, user)).alreadyCompleted).toBe(true);
+    });
+
+    test('rejects a chunk whose checksum does not match', async () => {
+        const content = Buffer.from('short upload');
+        const upload = await open(content);
+
+        await expect(uploadSessionService.receiveChunk(upload.id, user, 0, Readable.from([content]), sha256(Buffer.from('other'))))
+            .rejects.toMatchObject({ status: 400 });
+        expect((await uploadSessionService.get(upload.id, user)).missingChunks).toEqual([0]);
+    });
+
+    test('lets only one of two concurrent completions record a version', async () => {
+        const content = Buffer.from('completed once');
+        const upload = await open(content, { folder: 'concurrent' });
+        await send(upload, content, 0);
+        const addVersion = jest.spyOn(fileVersionService, 'addStreamedVersion');
+
+        const results = await Promise.allSettled([
+            uploadSessionService.complete(upload.id, user),
+            uploadSessionService.complete(upload.id, user)
+        ]);
+
+        expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+        expect(results.find(result => result.status === 'rejected').reason.status).toBe(409);
+        expect(addVersion).toHaveBeenCalledTimes(1);
+    });
+
+    test('reopens a session left completing past the timeout', async () => {
+        const content = Buffer.from('stuck upload');
+        const upload = await open(content, { folder: 'stuck' });
+        await send(upload, content, 0);
+        await uploadSessionService.mutateSession(upload.id, session => {
+            Object.assign(session, { status: 'completing', claim: 'gone', completingAt: new Date().toISOString() });
+        });
+
+        await expect(uploadSessionService.complete(upload.id, user)).rejects.toMatchObject({ status: 409 });
+        await expect(uploadSessionService.abort(upload.id, user)).rejects.toMatchObject({ status: 409 });
+
+        await uploadSessionService.mutateSession(upload.id, session => {
+            session.completingAt = new Date(Date.now() - uploadSessionService.completingTimeout - 1000).toISOString();
+        });
+        expect((await uploadSessionService.get(upload.id, user)).status).toBe('open');
+        expect((await uploadSessionService.complete(upload.id, user)).session.status).toBe('completed');
+    });
+
+    test('reserves the bytes of unfinished uploads for the user and project until they end', async () => {
+        const reservedUser = { ...user, id: 'uploader-reserved', email: 'uploader-reserved@example.com' };
+        const before = await uploadSessionService.reservedBytes(reservedUser.id, 'reserved-project');
+        expect(before).toEqual({ user: 0, project: 0 });
+
+        const upload = await uploadSessionService.create(reservedUser, {
+            fileName: 'reserved.txt',
+            size: 1000,
+            sha256: sha256(Buffer.alloc(1000)),
+            projectId: 'reserved-project'
+        });
+        expect(await uploadSessionService.reservedBytes(reservedUser.id, 'reserved-project')).toEqual({ user: 1000, project: 1000 });
+
+        await uploadSessionService.abort(upload.id, reservedUser);
+        expect(await uploadSessionService.reservedBytes(reservedUser.id, 'reserved-project')).toEqual({ user: 0, project: 0 });
+    });
+
+    test('refuses to open an upload into a project the user may not edit', async () => {
+        const checkUpload = jest.spyOn(require('./quotaService'), 'checkUpload');
+
+        await expect(open(Buffer.from('not mine'), { projectId: 'reserved-project' })).rejects.toMatchObject({ status: 403 });
+        await expect(open(Buffer.from('nowhere'), { projectId: 'missing-project' })).rejects.toMatchObject({ status: 404 });
+        expect(checkUpload).not.toHaveBeenCalled();
+    });
+});
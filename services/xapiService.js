@@ -4,52 +4,64 @@
  * All data storage operations should go through this service
  */
 
-const TinCan = require('tincanjs');
 const moment = require('moment');
 const uuid = require('uuid');
+const xapiConfig = require('../config/xapi');
+const {
+    StatementOutbox,
+    StatementCursor,
+    StatementForwarder,
+    StatementImporter,
+    exportStatements,
+    validateStatement,
+    formatErrors,
+    buildVerbMap,
+    buildProfileDocument,
+    compileTemplates,
+    checkTemplates
+} = require('./lrs');
+const { toPlain } = require('./lrs/agentKey');
+const xapiProfile = require('../config/xapiProfile');
 
 class XAPIService {
     constructor() {
         this.lrs = null;
+        this.outbox = null;
+        this.forwarder = null;
+        this.validationMode = xapiConfig.getValidationMode();
         this.initialized = false;
         this.baseActivityId = 'http://hulab.edu.hk';
-        this.customVerbs = {
-            registered: { id: 'http://adlnet.gov/expapi/verbs/registered', display: { 'en-US': 'registered' }},
-            uploaded: { id: 'http://hulab.edu.hk/verbs/uploaded', display: { 'en-US': 'uploaded' }},
-            downloaded: { id: 'http://hulab.edu.hk/verbs/downloaded', display: { 'en-US': 'downloaded' }},
-            collaborated: { id: 'http://hulab.edu.hk/verbs/collaborated', display: { 'en-US': 'collaborated' }},
-            researched: { id: 'http://hulab.edu.hk/verbs/researched', display: { 'en-US': 'researched' }},
-            analyzed: { id: 'http://hulab.edu.hk/verbs/analyzed', display: { 'en-US': 'analyzed' }},
-            assessed: { id: 'http://hulab.edu.hk/verbs/assessed', display: { 'en-US': 'assessed' }},
-            reviewed: { id: 'http://hulab.edu.hk/verbs/reviewed', display: { 'en-US': 'reviewed' }},
-            shared: { id: 'http://hulab.edu.hk/verbs/shared', display: { 'en-US': 'shared' }},
-            commented: { id: 'http://hulab.edu.hk/verbs/commented', display: { 'en-US': 'commented' }},
-            annotated: { id: 'http://hulab.edu.hk/verbs/annotated', display: { 'en-US': 'annotated' }},
-            queried: { id: 'http://hulab.edu.hk/verbs/queried', display: { 'en-US': 'queried AI' }},
-            completed: { id: 'http://adlnet.gov/expapi/verbs/completed', display: { 'en-US': 'completed' }},
-            attempted: { id: 'http://adlnet.gov/expapi/verbs/attempted', display: { 'en-US': 'attempted' }},
-            experienced: { id: 'http://adlnet.gov/expapi/verbs/experienced', display: { 'en-US': 'experienced' }},
-            interacted: { id: 'http://adlnet.gov/expapi/verbs/interacted', display: { 'en-US': 'interacted' }},
-            created: { id: 'http://hulab.edu.hk/verbs/created', display: { 'en-US': 'created' }},
-            updated: { id: 'http://hulab.edu.hk/verbs/updated', display: { 'en-US': 'updated' }},
-            deleted: { id: 'http://hulab.edu.hk/verbs/deleted', display: { 'en-US': 'deleted' }}
-        };
+        // Verbs, activity types and statement templates come from the profile registry
+        this.customVerbs = buildVerbMap(xapiProfile);
+        this.profileTemplates = compileTemplates(xapiProfile);
     }
 
     /**
      * Initialize xAPI connection
+     * The storage backend (external LRS or embedded local LRS) is chosen in config/xapi.js
+     * options.log receives the startup message (console.log by default)
      */
-    async initialize() {
+    async initialize(options = {}) {
         try {
-            this.lrs = new TinCan.LRS({
-                endpoint: process.env.LRS_ENDPOINT,
-                username: process.env.LRS_USERNAME,
-                password: process.env.LRS_PASSWORD,
-                allowFail: false
-            });
+            this.lrs = xapiConfig.getBackend();
+            await this.lrs.open();
+
+            if (!this.outbox) {
+                this.outbox = new StatementOutbox({
+                    ...xapiConfig.getOutboxOptions(),
+                    send: statements => this.lrs.saveStatements(statements)
+                });
+            }
+            await this.outbox.open();
+
+            if (!this.forwarder) {
+                const { targets, ...options } = xapiConfig.getForwardingOptions();
+                this.forwarder = new StatementForwarder(targets, options);
+            }
+            await this.forwarder.open();
 
             this.initialized = true;
-            console.log('xAPI LRS initialized successfully');
+            (options.log || console.log)(`xAPI LRS initialized successfully (${xapiConfig.getBackendType()} backend)`);
             return true;
         } catch (error) {
             console.error('Failed to initialize xAPI LRS:', error);
@@ -66,26 +78,10 @@ class XAPIService {
         }
 
         try {
-            const statement = new TinCan.Statement({
-                id: statementData.id || uuid.v4(),
-                actor: this.createActor(statementData.actor),
-                verb: statementData.verb,
-                object: statementData.object,
-                result: statementData.result || null,
-                context: statementData.context || null,
-                timestamp: statementData.timestamp || new Date().toISOString()
-            });
+            const statement = this.buildStatement(statementData);
+            const queued = await this.deliver([statement]);
 
-            const response = await new Promise((resolve, reject) => {
-                this.lrs.saveStatement(statement, {
-                    callback: (err, result) => {
-                        if (err) reject(err);
-                        else resolve(result);
-                    }
-                });
-            });
-
-            return response;
+            return { id: statement.id, statement: statement, queued: queued };
         } catch (error) {
             console.error('Error sending xAPI statement:', error);
             throw error;
@@ -96,60 +92,160 @@ class XAPIService {
      * Query xAPI statements with filters
      */
     async getStatements(params = {}) {
+        try {
+            // limit is the number of statements wanted, which may span several LRS pages
+            return await this.iterateStatements(params, { maxStatements: params.limit || 100 }).toArray();
+        } catch (error) {
+            console.error('Error querying xAPI statements:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Iterate over every statement matching the query, following the LRS "more" link.
+     * options.maxStatements caps the number of statements read (XAPI_QUERY_MAX_STATEMENTS
+     * by default; check cursor.truncated afterwards) and options.signal cancels the query.
+     * options.excludeVoided leaves out voiding statements and the statements they void.
+     */
+    iterateStatements(params = {}, options = {}) {
+        const defaults = xapiConfig.getQueryOptions();
+        const queryParams = {
+            agent: params.agent || null,
+            verb: params.verb || null,
+            activity: params.activity || null,
+            since: params.since || null,
+            until: params.until || null,
+            ascending: params.ascending || false,
+            related_activities: params.related_activities || false,
+            related_agents: params.related_agents || false,
+            format: params.format || 'canonical'
+        };
+
+        const source = {
+            queryStatements: async query => {
+                if (!this.initialized) {
+                    await this.initialize();
+                }
+                return this.lrs.queryStatements(query);
+            },
+            moreStatements: more => this.lrs.moreStatements(more)
+        };
+
+        return new StatementCursor(source, queryParams, {
+            pageSize: options.pageSize || defaults.pageSize,
+            maxStatements: options.maxStatements || defaults.maxStatements,
+            signal: options.signal,
+            excludeVoided: options.excludeVoided
+        });
+    }
+
+    /**
+     * Write the statements matching `filters` to a writable stream as JSON Lines, oldest
+     * first unless ascending is false. filters: { since, until, agent (email or agent
+     * JSON), verb (IRI or profile verb name), activity, related_activities,
+     * related_agents, ascending }. options.maxStatements caps the export (no cap by
+     * default) and options.signal cancels it. Returns { count, truncated }.
+     */
+    async exportStatements(filters, output, options = {}) {
+        const cursor = this.iterateStatements(this.exportQuery(filters), {
+            maxStatements: options.maxStatements || Infinity,
+            signal: options.signal,
+            excludeVoided: options.excludeVoided
+        });
+        const count = await exportStatements(cursor, output);
+        return { count, truncated: cursor.truncated };
+    }
+
+    exportQuery(filters = {}) {
+        ['since', 'until'].forEach(key => {
+            if (filters[key] && isNaN(Date.parse(filters[key]))) {
+                const error = new Error(`${key} must be an ISO 8601 date`);
+                error.status = 400;
+                throw error;
+            }
+        });
+
+        let agent = filters.agent || null;
+        if (typeof agent === 'string') {
+            try {
+                agent = agent.trim().startsWith('{')
+                    ? JSON.parse(agent)
+                    : this.createActor({ email: agent.replace(/^mailto:/, '') });
+            } catch (error) {
+                const invalid = new Error('agent must be an email address or agent JSON');
+                invalid.status = 400;
+                throw invalid;
+            }
+        }
+
+        const verb = filters.verb ? (this.customVerbs[filters.verb] || filters.verb) : null;
+        const flag = value => value === true || value === 'true';
+
+        return {
+            since: filters.since || null,
+            until: filters.until || null,
+            agent,
+            verb,
+            activity: filters.activity || null,
+            related_activities: flag(filters.related_activities),
+            related_agents: flag(filters.related_agents),
+            ascending: filters.ascending === undefined ? true : flag(filters.ascending)
+        };
+    }
+
+    /**
+     * Import JSON Lines statements from a readable stream. Statements keep their actors.
+     * Ids the LRS already has are skipped, so a rerun is harmless; with a checkpoint
+     * ({ load, save }) lines already imported are not read again.
+     * options: { checkpoint, batchSize, rebaseTo, rebaseFrom, onProgress } where
+     * rebaseTo (ISO date or "now") shifts every timestamp by the same amount so the
+     * first statement (or rebaseFrom) lands on it.
+     */
+    async importStatements(input, options = {}) {
         if (!this.initialized) {
             await this.initialize();
         }
 
-        try {
-            const queryParams = {
-                agent: params.agent || null,
-                verb: params.verb || null,
-                activity: params.activity || null,
-                since: params.since || null,
-                until: params.until || null,
-                limit: params.limit || 100,
-                ascending: params.ascending || false,
-                related_activities: params.related_activities || false,
-                related_agents: params.related_agents || false,
-                format: params.format || 'canonical'
-            };
-
-            const response = await new Promise((resolve, reject) => {
-                this.lrs.queryStatements(queryParams, {
-                    callback: (err, result) => {
-                        if (err) reject(err);
-                        else resolve(result);
-                    }
-                });
-            });
+        const importer = new StatementImporter({
+            ...options,
+            deliver: statements => this.deliver(statements),
+            validate: statement => this.validate(statement),
+            existing: statementIds => this.existingStatementIds(statementIds)
+        });
+        return importer.run(input);
+    }
 
-            return response.statements || [];
-        } catch (error) {
-            console.error('Error querying xAPI statements:', error);
-            throw error;
+    /**
+     * The ids the LRS already holds, voided or not, found in one lookup. Returns null
+     * when the backend has no bulk lookup (remote LRSs); the import then relies on the
+     * LRS ignoring identical re-sends and answering 409 for conflicting ones.
+     */
+    async existingStatementIds(statementIds) {
+        if (!this.initialized) {
+            await this.initialize();
         }
+        if (typeof this.lrs.findStatementIds !== 'function') {
+            return null;
+        }
+        return this.lrs.findStatementIds(statementIds);
     }
 
     /**
      * User Profile Management
      */
     async saveUserProfile(userEmail, profileData) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
         try {
             const agent = this.createActor({ email: userEmail });
-            const profile = {
+
+            const response = await this.lrs.saveAgentProfile({
+                agent: agent,
                 profileId: 'user-profile',
                 contents: JSON.stringify(profileData),
-                contentType: 'application/json',
-                etag: '"' + Date.now() + '"'
-            };
-
-            const response = await new Promise((resolve, reject) => {
-                this.lrs.saveAgentProfile(agent, profile.profileId, profile, {
-                    callback: (err, result) => {
-                        if (err) reject(err);
-                        else resolve(result);
-                    }
-                });
+                contentType: 'application/json'
             });
 
             return response;
@@ -161,15 +257,15 @@ class XAPIService {
 
     async getUserProfile(userEmail) {
         try {
+            if (!this.initialized) {
+                await this.initialize();
+            }
+
             const agent = this.createActor({ email: userEmail });
             
-            const response = await new Promise((resolve, reject) => {
-                this.lrs.retrieveAgentProfile(agent, 'user-profile', {
-                    callback: (err, result) => {
-                        if (err) reject(err);
-                        else resolve(result);
-                    }
-                });
+            const response = await this.lrs.retrieveAgentProfile({
+                agent: agent,
+                profileId: 'user-profile'
             });
 
             return response ? JSON.parse(response.contents) : null;
@@ -182,27 +278,37 @@ class XAPIService {
     /**
      * Activity State Management
      */
-    async saveActivityState(userEmail, activityId, stateId, stateData) {
+    /**
+     * Save activity state. Pass options.etag to only write if the stored document is
+     * unchanged since it was read, or options.ifNoneMatch to only create it.
+     * A failed precondition throws a 409 error carrying the current document as error.current.
+     */
+    async saveActivityState(userEmail, activityId, stateId, stateData, options = {}) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
         try {
             const agent = this.createActor({ email: userEmail });
-            const activity = { id: activityId };
-            const state = {
+
+            const response = await this.lrs.saveState({
+                agent: agent,
+                activityId: activityId,
+                stateId: stateId,
                 contents: JSON.stringify(stateData),
                 contentType: 'application/json',
-                etag: '"' + Date.now() + '"'
-            };
-
-            const response = await new Promise((resolve, reject) => {
-                this.lrs.saveState(agent, activity, stateId, null, state, {
-                    callback: (err, result) => {
-                        if (err) reject(err);
-                        else resolve(result);
-                    }
-                });
+                etag: options.etag || null,
+                ifNoneMatch: !!options.ifNoneMatch
             });
 
             return response;
         } catch (error) {
+            if (error.status === 412) {
+                const conflict = new Error(`Activity state ${stateId} was modified concurrently`);
+                conflict.status = 409;
+                conflict.current = await this.getActivityStateDocument(userEmail, activityId, stateId);
+                throw conflict;
+            }
             console.error('Error saving activity state:', error);
             throw error;
         }
@@ -210,16 +316,16 @@ class XAPIService {
 
     async getActivityState(userEmail, activityId, stateId) {
         try {
+            if (!this.initialized) {
+                await this.initialize();
+            }
+
             const agent = this.createActor({ email: userEmail });
-            const activity = { id: activityId };
 
-            const response = await new Promise((resolve, reject) => {
-                this.lrs.retrieveState(agent, activity, stateId, {
-                    callback: (err, result) => {
-                        if (err) reject(err);
-                        else resolve(result);
-                    }
-                });
+            const response = await this.lrs.retrieveState({
+                agent: agent,
+                activityId: activityId,
+                stateId: stateId
             });
 
             return response ? JSON.parse(response.contents) : null;
@@ -229,27 +335,42 @@ class XAPIService {
         }
     }
 
+    /**
+     * Activity state together with its ETag, for conditional updates.
+     * Returns { data, etag } or null if the state does not exist.
+     */
+    async getActivityStateDocument(userEmail, activityId, stateId) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        const agent = this.createActor({ email: userEmail });
+
+        const response = await this.lrs.retrieveState({
+            agent: agent,
+            activityId: activityId,
+            stateId: stateId
+        });
+
+        return response ? { data: JSON.parse(response.contents), etag: response.etag || null } : null;
+    }
+
     /**
      * Document Storage (metadata)
      */
     async saveDocument(activityId, documentData) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
         try {
-            const activity = { id: activityId };
             const profileId = `document-${documentData.id || uuid.v4()}`;
-            
-            const document = {
-                contents: JSON.stringify(documentData),
-                contentType: 'application/json',
-                etag: '"' + Date.now() + '"'
-            };
 
-            const response = await new Promise((resolve, reject) => {
-                this.lrs.saveActivityProfile(activity, profileId, document, {
-                    callback: (err, result) => {
-                        if (err) reject(err);
-                        else resolve(result);
-                    }
-                });
+            const response = await this.lrs.saveActivityProfile({
+                activityId: activityId,
+                profileId: profileId,
+                contents: JSON.stringify(documentData),
+                contentType: 'application/json'
             });
 
             return { profileId, ...response };
@@ -261,16 +382,15 @@ class XAPIService {
 
     async getDocument(activityId, documentId) {
         try {
-            const activity = { id: activityId };
+            if (!this.initialized) {
+                await this.initialize();
+            }
+
             const profileId = `document-${documentId}`;
 
-            const response = await new Promise((resolve, reject) => {
-                this.lrs.retrieveActivityProfile(activity, profileId, {
-                    callback: (err, result) => {
-                        if (err) reject(err);
-                        else resolve(result);
-                    }
-                });
+            const response = await this.lrs.retrieveActivityProfile({
+                activityId: activityId,
+                profileId: profileId
             });
 
             return response ? JSON.parse(response.contents) : null;
@@ -280,6 +400,118 @@ class XAPIService {
         }
     }
 
+    /**
+     * Activity profile document with its ETag, or null if it does not exist
+     */
+    async getActivityProfileDocument(activityId, profileId) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        const response = await this.lrs.retrieveActivityProfile({
+            activityId: activityId,
+            profileId: profileId
+        });
+
+        return response ? { data: JSON.parse(response.contents), etag: response.etag || null } : null;
+    }
+
+    /**
+     * Save an activity profile document, with the same etag / ifNoneMatch
+     * preconditions and 409 conflict error as saveActivityState
+     */
+    async saveActivityProfileDocument(activityId, profileId, data, options = {}) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        try {
+            return await this.lrs.saveActivityProfile({
+                activityId: activityId,
+                profileId: profileId,
+                contents: JSON.stringify(data),
+                contentType: 'application/json',
+                etag: options.etag || null,
+                ifNoneMatch: !!options.ifNoneMatch
+            });
+        } catch (error) {
+            if (error.status === 412) {
+                const conflict = new Error(`Activity profile ${profileId} was modified concurrently`);
+                conflict.status = 409;
+                conflict.current = await this.getActivityProfileDocument(activityId, profileId);
+                throw conflict;
+            }
+            console.error('Error saving activity profile:', error);
+            throw error;
+        }
+    }
+
+    async dropActivityProfileDocument(activityId, profileId) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+        return this.lrs.dropActivityProfile({ activityId: activityId, profileId: profileId });
+    }
+
+    /**
+     * Agent documents, used when one user's records are moved to another
+     */
+    async getAgentProfileIds(userEmail) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+        return this.lrs.retrieveAgentProfileIds({ agent: this.createActor({ email: userEmail }) });
+    }
+
+    async getAgentProfileDocument(userEmail, profileId) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        const response = await this.lrs.retrieveAgentProfile({
+            agent: this.createActor({ email: userEmail }),
+            profileId: profileId
+        });
+
+        return response ? { data: JSON.parse(response.contents), etag: response.etag || null } : null;
+    }
+
+    async saveAgentProfileDocument(userEmail, profileId, data, options = {}) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        return this.lrs.saveAgentProfile({
+            agent: this.createActor({ email: userEmail }),
+            profileId: profileId,
+            contents: JSON.stringify(data),
+            contentType: 'application/json',
+            etag: options.etag || null,
+            ifNoneMatch: !!options.ifNoneMatch
+        });
+    }
+
+    async dropAgentProfile(userEmail, profileId) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+        return this.lrs.dropAgentProfile({ agent: this.createActor({ email: userEmail }), profileId });
+    }
+
+    async getActivityStateIds(userEmail, activityId) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+        return this.lrs.retrieveStateIds({ agent: this.createActor({ email: userEmail }), activityId });
+    }
+
+    async dropActivityState(userEmail, activityId, stateId) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+        return this.lrs.dropState({ agent: this.createActor({ email: userEmail }), activityId, stateId });
+    }
+
     /**
      * Analytics Queries
      */
@@ -302,10 +534,9 @@ class XAPIService {
         });
     }
 
-    async getActivityAnalytics(activityId, dateRange = null) {
+    async getActivityAnalytics(activityId, dateRange = null, options = {}) {
         const params = {
-            activity: { id: activityId },
-            limit: 1000
+            activity: { id: activityId }
         };
 
         if (dateRange) {
@@ -313,20 +544,22 @@ class XAPIService {
             params.until = dateRange.until;
         }
 
-        const statements = await this.getStatements(params);
-        
-        // Process statements for analytics
         const analytics = {
-            totalInteractions: statements.length,
-            uniqueUsers: new Set(statements.map(s => s.actor.mbox)).size,
+            totalInteractions: 0,
+            uniqueUsers: 0,
             verbCounts: {},
             timeDistribution: {},
-            userEngagement: {}
+            userEngagement: {},
+            truncated: false
         };
 
-        statements.forEach(statement => {
+        // Aggregate page by page rather than holding every statement in memory
+        const cursor = this.iterateStatements(params, { ...options, excludeVoided: true });
+        for await (const statement of cursor) {
+            analytics.totalInteractions++;
+
             // Count verbs
-            const verbDisplay = statement.verb.display['en-US'] || 'unknown';
+            const verbDisplay = statement.verb.display?.['en-US'] || 'unknown';
             analytics.verbCounts[verbDisplay] = (analytics.verbCounts[verbDisplay] || 0) + 1;
 
             // Time distribution
@@ -340,11 +573,139 @@ class XAPIService {
             }
             analytics.userEngagement[userEmail].count++;
             analytics.userEngagement[userEmail].verbs.add(verbDisplay);
-        });
+        }
+
+        analytics.uniqueUsers = Object.keys(analytics.userEngagement).length;
+        analytics.truncated = cursor.truncated;
 
         return analytics;
     }
 
+    /**
+     * Statement voiding and correction
+     * Void a statement by id with a reason. Issues a voided statement (object is a
+     * StatementRef) on behalf of voidedBy ({ email, name }). LRSs then leave the original
+     * out of queries. Returns { id, statement, queued } for the voiding statement.
+     */
+    async voidStatement(statementId, options = {}) {
+        const { reason, voidedBy, replacedBy = null } = options;
+
+        if (!reason || typeof reason !== 'string') {
+            const error = new Error('A reason is required to void a statement');
+            error.status = 400;
+            throw error;
+        }
+
+        const original = await this.retrieveVoidableStatement(statementId);
+
+        const extensions = {
+            [xapiProfile.extensions.voidReason.id]: reason
+        };
+        if (replacedBy) {
+            extensions[xapiProfile.extensions.replacedBy.id] = replacedBy;
+        }
+
+        const result = await this.sendStatement({
+            actor: voidedBy,
+            verb: this.customVerbs.voided,
+            object: {
+                objectType: 'StatementRef',
+                id: original.id
+            },
+            context: {
+                extensions
+            }
+        });
+
+        console.log(`xAPI statement ${statementId} voided: ${reason}`);
+        return result;
+    }
+
+    /**
+     * Replace a statement with a corrected copy and void the original.
+     * Fields given in `replacement` (verb, object, result, context, timestamp) override
+     * the original's; the actor stays the original actor unless one is given.
+     * The replacement references the original through context.statement and the
+     * voiding statement names the replacement.
+     */
+    async correctStatement(statementId, replacement = {}, options = {}) {
+        const { reason, voidedBy } = options;
+
+        if (!reason || typeof reason !== 'string') {
+            const error = new Error('A reason is required to correct a statement');
+            error.status = 400;
+            throw error;
+        }
+
+        const original = await this.retrieveVoidableStatement(statementId);
+
+        const corrected = {
+            actor: replacement.actor || original.actor,
+            verb: replacement.verb || original.verb,
+            object: replacement.object || original.object,
+            timestamp: replacement.timestamp || original.timestamp
+        };
+        const resultData = replacement.result || original.result;
+        if (resultData) {
+            corrected.result = resultData;
+        }
+        corrected.context = {
+            ...(replacement.context || original.context || {}),
+            statement: { objectType: 'StatementRef', id: original.id }
+        };
+
+        const stored = await this.sendStatement(corrected);
+        const voiding = await this.voidStatement(statementId, { reason, voidedBy, replacedBy: stored.id });
+
+        return { replacement: stored, voiding };
+    }
+
+    /**
+     * Delete voided statements from the LRS for good. Only the local LRS can do this;
+     * returns the purged ids, or null when the backend has no way to delete statements.
+     */
+    async purgeStatements(statementIds) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+        if (typeof this.lrs.purgeStatements !== 'function') {
+            return null;
+        }
+        return this.lrs.purgeStatements(statementIds);
+    }
+
+    /**
+     * Fetch a statement that may be voided: 404 if unknown, 409 if already voided,
+     * 400 if it is itself a voiding statement
+     */
+    async retrieveVoidableStatement(statementId) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        // Remote LRSs answer 404 for unknown ids
+        const orNull = promise => promise.catch(error => {
+            if (error.status === 404) return null;
+            throw error;
+        });
+
+        const original = toPlain(await orNull(this.lrs.retrieveStatement(statementId)));
+        if (!original) {
+            const voided = await orNull(this.lrs.retrieveVoidedStatement(statementId));
+            const error = new Error(voided ? `Statement ${statementId} is already voided` : `Statement ${statementId} not found`);
+            error.status = voided ? 409 : 404;
+            throw error;
+        }
+
+        if (original.verb && original.verb.id === this.customVerbs.voided.id) {
+            const error = new Error('A voiding statement cannot be voided');
+            error.status = 400;
+            throw error;
+        }
+
+        return original;
+    }
+
     /**
      * Convenience methods for common statement types
      */
@@ -366,7 +727,10 @@ class XAPIService {
         });
     }
 
-    async trackFileUpload(userEmail, fileId, fileName, fileSize, projectId = null) {
+    /**
+     * options.version describes a versioned upload: { fileId, version, comment }
+     */
+    async trackFileUpload(userEmail, fileId, fileName, fileSize, projectId = null, options = {}) {
         const statementData = {
             actor: { email: userEmail },
             verb: this.customVerbs.uploaded,
@@ -394,6 +758,17 @@ class XAPIService {
             };
         }
 
+        if (options.version) {
+            const context = statementData.context = statementData.context || { contextActivities: {} };
+            context.contextActivities.other = [{ id: `${this.baseActivityId}/files/${options.version.fileId}` }];
+            context.extensions = {
+                'http://hulab.edu.hk/file-version': options.version.version
+            };
+            if (options.version.comment) {
+                context.extensions['http://hulab.edu.hk/version-comment'] = options.version.comment;
+            }
+        }
+
         return await this.sendStatement(statementData);
     }
 
@@ -409,7 +784,12 @@ class XAPIService {
                 }
             },
             context: {
-                team: collaboratorEmails.map(email => ({ mbox: `mailto:${email}` })),
+                ...(collaboratorEmails.length > 0 && {
+                    team: {
+                        objectType: 'Group',
+                        member: collaboratorEmails.map(email => ({ objectType: 'Agent', mbox: `mailto:${email}` }))
+                    }
+                }),
                 extensions: {
                     'http://hulab.edu.hk/collaboration-action': action
                 }
@@ -454,7 +834,7 @@ class XAPIService {
             actor: { email: userEmail },
             verb: this.customVerbs.experienced,
             object: {
-                id: `${this.baseActivityId}${pagePath}`,
+                id: `${this.baseActivityId}${encodeURI(pagePath)}`,
                 definition: {
                     type: 'http://adlnet.gov/expapi/activities/lesson',
                     name: { 'en-US': `Page: ${pagePath}` }
@@ -496,6 +876,25 @@ class XAPIService {
     /**
      * Helper methods
      */
+    buildStatement(statementData) {
+        const statement = {
+            id: statementData.id || uuid.v4(),
+            actor: this.createActor(statementData.actor),
+            verb: statementData.verb,
+            object: statementData.object,
+            timestamp: statementData.timestamp || new Date().toISOString()
+        };
+
+        if (statementData.result) {
+            statement.result = statementData.result;
+        }
+        if (statementData.context) {
+            statement.context = statementData.context;
+        }
+
+        return statement;
+    }
+
     createActor(actorData) {
         if (actorData.email) {
             return {
@@ -520,32 +919,118 @@ class XAPIService {
         }
 
         try {
-            const tinCanStatements = statements.map(stmt => new TinCan.Statement({
-                id: stmt.id || uuid.v4(),
-                actor: this.createActor(stmt.actor),
-                verb: stmt.verb,
-                object: stmt.object,
-                result: stmt.result || null,
-                context: stmt.context || null,
-                timestamp: stmt.timestamp || new Date().toISOString()
-            }));
-
-            const response = await new Promise((resolve, reject) => {
-                this.lrs.saveStatements(tinCanStatements, {
-                    callback: (err, result) => {
-                        if (err) reject(err);
-                        else resolve(result);
-                    }
-                });
-            });
+            const builtStatements = statements.map(stmt => this.buildStatement(stmt));
+            const queued = await this.deliver(builtStatements);
 
-            return response;
+            return { ids: builtStatements.map(stmt => stmt.id), statements: builtStatements, queued: queued };
         } catch (error) {
             console.error('Error sending batch statements:', error);
             throw error;
         }
     }
 
+    /**
+     * Deliver fully built statements (id and timestamp set) to the LRS.
+     * If the LRS is unreachable they are kept in the outbox for retry and true is returned.
+     * Statements the LRS refuses (4xx) are not queued and the error is rethrown.
+     * Accepted or queued statements are also forwarded to the secondary LRSs.
+     */
+    async deliver(statements) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        statements = statements.map(statement => this.validate(toPlain(statement)));
+
+        let queued = false;
+        try {
+            await this.lrs.saveStatements(statements);
+        } catch (error) {
+            if (!StatementOutbox.isRetryable(error)) {
+                throw error;
+            }
+            await this.outbox.enqueue(statements, error);
+            console.warn(`xAPI LRS unavailable, ${statements.length} statement(s) queued for retry: ${error.message}`);
+            queued = true;
+        }
+
+        // Secondary LRSs keep their own retry state, so forwarding never delays the caller
+        this.forwarder.forward(statements).catch(error => {
+            console.error('Error forwarding xAPI statements:', error.message);
+        });
+
+        return queued;
+    }
+
+    /**
+     * Check a statement against xAPI 1.0.3 and the profile's statement templates
+     * according to the configured validation mode.
+     * Returns the statement to send (repaired in lenient mode) or throws a 400 error
+     * whose `errors` list the path and problem of each violation.
+     */
+    validate(statement) {
+        if (this.validationMode === 'off') {
+            return statement;
+        }
+
+        const lenient = this.validationMode === 'lenient';
+        const result = validateStatement(statement, { repair: lenient });
+
+        if (!result.valid) {
+            const problems = result.errors.filter(error => !error.repaired);
+            const error = new Error(`Invalid xAPI statement ${statement && statement.id ? statement.id : ''}: ${formatErrors(problems).join('; ')}`);
+            error.status = 400;
+            error.errors = problems;
+            throw error;
+        }
+
+        if (lenient && result.errors.length > 0) {
+            console.warn(`Repaired xAPI statement ${result.statement.id}: ${formatErrors(result.errors).join('; ')}`);
+        }
+
+        const checked = lenient ? result.statement : statement;
+
+        // Template rules cannot be repaired, so lenient mode only reports them
+        const conformance = checkTemplates(checked, this.profileTemplates);
+        if (conformance.errors.length > 0) {
+            const message = `xAPI statement ${checked.id || ''} does not conform to the profile: ${formatErrors(conformance.errors).join('; ')}`;
+            if (!lenient) {
+                const error = new Error(message);
+                error.status = 400;
+                error.errors = conformance.errors;
+                throw error;
+            }
+            console.warn(message);
+        }
+
+        return checked;
+    }
+
+    /**
+     * The published xAPI Profile (JSON-LD) generated from config/xapiProfile.js
+     */
+    getProfileDocument(url = null) {
+        return buildProfileDocument(xapiProfile, { url });
+    }
+
+    getOutboxStats() {
+        return this.outbox ? this.outbox.getStats() : null;
+    }
+
+    /**
+     * Delivery status of each secondary LRS statements are forwarded to
+     */
+    getForwardingStatus() {
+        return this.forwarder ? this.forwarder.getStatus() : [];
+    }
+
+    async flushForwardTarget(name) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+        return this.forwarder.flush(name);
+    }
+
     /**
      * Health check for xAPI connection
      */
@@ -557,9 +1042,9 @@ class XAPIService {
 
             // Try to query a single statement to test connection
             await this.getStatements({ limit: 1 });
-            return { status: 'healthy', timestamp: new Date().toISOString() };
+            return { status: 'healthy', outbox: this.getOutboxStats(), timestamp: new Date().toISOString() };
         } catch (error) {
-            return { status: 'unhealthy', error: error.message, timestamp: new Date().toISOString() };
+            return { status: 'unhealthy', error: error.message, outbox: this.getOutboxStats(), timestamp: new Date().toISOString() };
         }
     }
 }
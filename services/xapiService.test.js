@@ -0,0 +1,82 @@
+const xapiConfig = require('../config/xapi');
+const xapiService = require('./xapiService');
+const xapiProfile = require('../config/xapiProfile');
+
+const admin = { email: 'admin@example.com', name: 'Admin' };
+
+beforeAll(async () => {
+    await xapiConfig.initialize();
+    await xapiService.initialize();
+});
+
+afterAll(() => {
+    xapiService.outbox.close();
+});
+
+function track(overrides = {}) {
+    return xapiService.sendStatement({
+        actor: { email: 'learner@example.com' },
+        verb: xapiService.customVerbs.uploaded,
+        object: { id: `${xapiService.baseActivityId}/file/${Math.random()}`, definition: { name: { 'en-US': 'notes.pdf' } } },
+        result: { success: true },
+        ...overrides
+    });
+}
+
+describe('xapiService.voidStatement', () => {
+    test('issues a voided statement and hides the original from queries', async () => {
+        const { id } = await track();
+
+        const voiding = await xapiService.voidStatement(id, { reason: 'File was deleted', voidedBy: admin });
+
+        expect(voiding.statement.verb.id).toBe(xapiService.customVerbs.voided.id);
+        expect(voiding.statement.object).toEqual({ objectType: 'StatementRef', id });
+        expect(voiding.statement.context.extensions[xapiProfile.extensions.voidReason.id]).toBe('File was deleted');
+        expect(await xapiService.lrs.retrieveStatement(id)).toBeNull();
+        expect((await xapiService.lrs.retrieveVoidedStatement(id)).id).toBe(id);
+
+        const ids = (await xapiService.iterateStatements({}, { excludeVoided: true }).toArray()).map(s => s.id);
+        expect(ids).not.toContain(id);
+        expect(ids).not.toContain(voiding.id);
+    });
+
+    test('requires a reason', async () => {
+        const { id } = await track();
+
+        await expect(xapiService.voidStatement(id, { voidedBy: admin })).rejects.toMatchObject({ status: 400 });
+    });
+
+    test('answers 404 for unknown statements and 409 for voided ones', async () => {
+        const { id } = await track();
+        await xapiService.voidStatement(id, { reason: 'Duplicate', voidedBy: admin });
+
+        await expect(xapiService.voidStatement(id, { reason: 'Again', voidedBy: admin })).rejects.toMatchObject({ status: 409 });
+        await expect(xapiService.voidStatement('00000000-0000-4000-8000-000000000000', { reason: 'Unknown', voidedBy: admin }))
+            .rejects.toMatchObject({ status: 404 });
+    });
+
+    test('refuses to void a voiding statement', async () => {
+        const { id } = await track();
+        const voiding = await xapiService.voidStatement(id, { reason: 'Mistake', voidedBy: admin });
+
+        await expect(xapiService.voidStatement(voiding.id, { reason: 'Undo', voidedBy: admin })).rejects.toMatchObject({ status: 400 });
+    });
+});
+
+describe('xapiService.correctStatement', () => {
+    test('stores a corrected copy that references the original, then voids the original', async () => {
+        const { id, statement } = await track({ result: { success: false } });
+
+        const { replacement, voiding } = await xapiService.correctStatement(id, { result: { success: true } }, {
+            reason: 'Mis-scored',
+            voidedBy: admin
+        });
+
+        expect(replacement.statement.actor).toEqual(statement.actor);
+        expect(replacement.statement.result).toEqual({ success: true });
+        expect(replacement.statement.context.statement).toEqual({ objectType: 'StatementRef', id });
+        expect(voiding.statement.context.extensions[xapiProfile.extensions.replacedBy.id]).toBe(replacement.id);
+        expect(await xapiService.lrs.retrieveStatement(id)).toBeNull();
+        expect((await xapiService.lrs.retrieveStatement(replacement.id)).result.success).toBe(true);
+    });
+});
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+/**
+ * Bulk xAPI statement export and import for Hu Lab Portal
+ * Streams statements as JSON Lines, e.g. to move to another LRS vendor or to replay a
+ * fixture file into a test LRS:
+ *
+ *   node xapi-statements.js export --since 2026-01-01 --verb shared --out shared.jsonl
+ *   node xapi-statements.js import fixtures/week1.jsonl --rebase-to now
+ *
+ * Imports skip statements the LRS already has and keep a checkpoint
+ * (<file>.checkpoint.json) so an interrupted import continues where it stopped.
+ */
+
+require('dotenv').config({ path: './.env' });
+const fs = require('fs');
+const { fileCheckpoint } = require('./services/lrs');
+
+const USAGE = `Usage:
+  node xapi-statements.js export [--since ISO] [--until ISO] [--agent EMAIL] [--verb IRI|NAME]
+                                 [--activity IRI] [--related-agents] [--related-activities]
+                                 [--descending] [--exclude-voided] [--limit N] [--out FILE]
+  node xapi-statements.js import FILE|- [--rebase-to ISO|now] [--rebase-from ISO]
+                                 [--batch-size N] [--checkpoint FILE] [--restart]`;
+
+const xapiService = require('./services/xapiService');
+
+/**
+ * Messages go to stderr so an export can be written to stdout
+ */
+function report(message) {
+    process.stderr.write(`${message}\n`);
+}
+
+async function runExport(options) {
+    const output = options.out ? fs.createWriteStream(options.out) : process.stdout;
+
+    const result = await xapiService.exportStatements({
+        since: options.since,
+        until: options.until,
+        agent: options.agent,
+        verb: options.verb,
+        activity: options.activity,
+        related_agents: !!options['related-agents'],
+        related_activities: !!options['related-activities'],
+        ascending: !options.descending
+    }, output, {
+        maxStatements: options.limit ? parseInt(options.limit, 10) : null,
+        excludeVoided: !!options['exclude-voided']
+    });
+
+    if (output !== process.stdout) {
+        await new Promise((resolve, reject) => output.end(error => error ? reject(error) : resolve()));
+    }
+
+    report(`✅ Exported ${result.count} statement(s)${result.truncated ? ` (stopped at --limit ${options.limit})` : ''}`);
+}
+
+async function runImport(file, options) {
+    if (!file) {
+        throw new Error('An input file is required (use - for stdin)');
+    }
+
+    const checkpointFile = options.checkpoint || (file !== '-' ? `${file}.checkpoint.json` : null);
+    const checkpoint = checkpointFile ? fileCheckpoint(checkpointFile) : null;
+    if (checkpoint && options.restart) {
+        await checkpoint.clear();
+    }
+
+    const input = file === '-' ? process.stdin : fs.createReadStream(file);
+    const result = await xapiService.importStatements(input, {
+        checkpoint,
+        batchSize: options['batch-size'] ? parseInt(options['batch-size'], 10) : undefined,
+        rebaseTo: options['rebase-to'],
+        rebaseFrom: options['rebase-from'],
+        onProgress: progress => report(`   line ${progress.line}: ${progress.imported} imported, ${progress.duplicates} duplicate(s)`)
+    });
+
+    if (result.resumedAfter > 0) {
+        report(`↪️  Resumed after line ${result.resumedAfter} (${checkpointFile})`);
+    }
+    result.errors.forEach(error => {
+        report(`❌ Line ${error.line}${error.id ? ` (${error.id})` : ''}: ${error.errors.join('; ')}`);
+    });
+    report(`✅ Imported ${result.imported}, queued ${result.queued}, skipped ${result.duplicates} duplicate(s), ${result.invalid} invalid`);
+    if (result.shiftMs !== null) {
+        report(`   Timestamps shifted by ${Math.round(result.shiftMs / 1000)}s`);
+    }
+}
+
+function parseArgs(args) {
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        const [name, inline] = arg.slice(2).split(/=(.*)/s);
+        if (inline !== undefined) {
+            options[name] = inline;
+        } else if (args[i + 1] !== undefined && !args[i + 1].startsWith('--')) {
+            options[name] = args[++i];
+        } else {
+            options[name] = true;
+        }
+    }
+
+    return { positional, options };
+}
+
+async function main() {
+    const [command, ...rest] = process.argv.slice(2);
+    const { positional, options } = parseArgs(rest);
+
+    if (command === 'export' || command === 'import') {
+        await xapiService.initialize({ log: report });
+    }
+
+    if (command === 'export') {
+        await runExport(options);
+    } else if (command === 'import') {
+        await runImport(positional[0], options);
+    } else {
+        report(USAGE);
+        process.exit(command ? 1 : 0);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        report(`❌ ${error.message}`);
+        process.exit(1);
+    });